@@ -28,4 +28,111 @@ const getRequiredNumberEnv = (name) => {
 
 // --- Financial Constants ---
 export const DEFAULT_PLATFORM_FEE_PERCENT = getRequiredNumberEnv("DEFAULT_PLATFORM_FEE_PERCENTAGE");
-export const DEFAULT_VENDOR_FEE_PERCENT = getRequiredNumberEnv("DEFAULT_VENDOR_FEE_PERCENTAGE");
\ No newline at end of file
+export const DEFAULT_VENDOR_FEE_PERCENT = getRequiredNumberEnv("DEFAULT_VENDOR_FEE_PERCENTAGE");
+
+// --- Cancellation Constants ---
+// Percentage of the vendor's quoted price deducted when a vendor withdraws from a paid order.
+export const DEFAULT_VENDOR_CANCELLATION_PENALTY_PERCENT = 10;
+
+// Percentage of the paid amount retained as a cancellation fee, keyed by the latest order stage.
+// Stages that are not listed here cannot be cancelled by the customer. Once the customer's items have been picked up
+// the order can no longer be cancelled, so WORK_STARTED only applies to orders where the vendor provides the material.
+export const DEFAULT_CANCELLATION_FEE_SCHEDULE = {
+    IN_PROGRESS: 0,
+    ITEM_PICKUP_FROM_CUSTOMER_SCHEDULED: 0,
+    WORK_STARTED: 25,
+};
+
+// --- Delivery Pricing Constants ---
+// Charge per delivery leg by vendor-to-customer distance. Beyond the last slab, `perKmBeyond` is added for
+// every extra (started) km. `defaultDistanceKm` is used when the customer's pincode has no known location.
+export const DEFAULT_DELIVERY_CHARGE_SLABS = {
+    slabs: [
+        { uptoKm: 3, charge: 30 },
+        { uptoKm: 6, charge: 45 },
+        { uptoKm: 10, charge: 60 },
+    ],
+    perKmBeyond: 6,
+    defaultDistanceKm: 5,
+};
+
+// Time-of-day multipliers on the delivery charge, evaluated in IST, e.g.
+// { name: "Evening peak", days: [1, 2, 3, 4, 5], startHour: 18, endHour: 21, multiplier: 1.2 }
+// `days` (0 = Sunday) is optional. When several rules match, the highest multiplier wins.
+export const DEFAULT_DELIVERY_SURGE_RULES = [];
+
+// --- Outbox Constants ---
+// A failed message is retried after OUTBOX_RETRY_BASE_DELAY_MS * 2^(attempts - 1), capped at OUTBOX_RETRY_MAX_DELAY_MS,
+// and moved to DEAD once it has been attempted OUTBOX_MAX_ATTEMPTS times.
+export const OUTBOX_MAX_ATTEMPTS = 8;
+export const OUTBOX_RETRY_BASE_DELAY_MS = 30 * 1000;
+export const OUTBOX_RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+// How long a claimed message stays PROCESSING before another worker may pick it up again (e.g. after a crash).
+export const OUTBOX_CLAIM_LEASE_MS = 5 * 60 * 1000;
+
+// --- Complaint Constants ---
+// A resolved ticket can be reopened by the customer or vendor for this many days after it was resolved.
+export const COMPLAINT_REOPEN_WINDOW_DAYS = 14;
+export const COMPLAINT_MAX_ATTACHMENTS = 5;
+export const COMPLAINT_ATTACHMENT_TYPES = ["image/jpeg", "image/png", "image/webp", "application/pdf"];
+
+// --- Payout Constants ---
+// Global settlement schedule, overridable per vendor through VendorPayoutSettings.
+// - `cycle`: DAILY pays every run, WEEKLY only on `weeklyDay` (0 = Sunday, IST), THRESHOLD once the net amount reaches `thresholdAmount`.
+// - `holdDays`: a completed order's payout only becomes eligible this many days after it was raised (complaint window).
+// - `minAmount`: smaller net amounts roll over to the next cycle.
+export const DEFAULT_PAYOUT_SCHEDULE = {
+    cycle: "WEEKLY",
+    weeklyDay: 1,
+    thresholdAmount: 2000,
+    holdDays: 3,
+    minAmount: 100,
+    mode: "IMPS"
+};
+
+// --- Invoice Constants ---
+// Supplier details and GST rates printed on invoices, overridable through the `invoice_settings` setting.
+// Prices charged to customers and the commission are GST inclusive, so invoices split the tax out of them.
+// `state` decides CGST + SGST (same state as the recipient) or IGST; without it every invoice is IGST.
+export const DEFAULT_INVOICE_SETTINGS = {
+    legalName: process.env.INVOICE_LEGAL_NAME || "NEXS DEVELOPMENT PRIVATE LIMITED",
+    gstin: process.env.INVOICE_GSTIN || null,
+    address: process.env.INVOICE_ADDRESS || null,
+    state: process.env.INVOICE_STATE || null,
+    service: { sac: "998821", gstRate: 5 },         // tailoring and stitching
+    platformFee: { sac: "998599", gstRate: 18 },
+    delivery: { sac: "996812", gstRate: 18 },
+    commission: { sac: "998599", gstRate: 18 }
+};
+
+// --- Promo Code Constants ---
+// A discount never brings the amount charged below this, since Razorpay can't create an order for less than ₹1.
+export const PROMO_MIN_PAYABLE_AMOUNT = 1;
+
+// --- Wallet Constants ---
+// Days a wallet credit stays usable, by source. Admins can set a different expiry on a grant.
+export const WALLET_CREDIT_EXPIRY_DAYS = {
+    REFUND: 365,
+    REFERRAL: 180,
+    ADMIN_GRANT: 90
+};
+
+// --- Split Payment Constants ---
+// The share of a quote a vendor may ask for upfront on large orders; the balance is due when the item is ready.
+export const ADVANCE_PERCENT_RANGE = {
+    min: 10,
+    max: 90
+};
+
+// --- Vendor Catalog Constants ---
+// Upper bound on catalog entries per vendor, active or not; keeps the vendor details payload small.
+export const MAX_CATALOG_ITEMS_PER_VENDOR = 50;
+
+// --- Vendor Availability Constants ---
+// Every vendor is in India, so business hours are read in IST (UTC+05:30).
+export const BUSINESS_HOURS_UTC_OFFSET_MINUTES = 330;
+// A quote request expires after this many business hours without a response; time outside opening hours and on
+// holiday doesn't count. However long the vendor is away, a request never waits longer than the max wait.
+export const VENDOR_RESPONSE_WINDOW_HOURS = 24;
+export const VENDOR_RESPONSE_MAX_WAIT_DAYS = 7;
+export const MAX_UPCOMING_TIME_OFF = 20;
@@ -2,6 +2,14 @@ import { MESSAGE } from "../types/enums/index.mjs";
 import { formatError, formatResponse } from "../utils/core-utils.mjs";
 import { logger } from "../utils/logger-utils.mjs";
 import * as adminService from "../services/adminService.mjs";
+import * as complaintService from "../services/complaintService.mjs";
+import * as ledgerService from "../services/ledgerService.mjs";
+import * as reconciliationService from "../services/reconciliationService.mjs";
+import * as invoiceService from "../services/invoiceService.mjs";
+import * as promoService from "../services/promoService.mjs";
+import * as walletService from "../services/walletService.mjs";
+import * as kycService from "../services/kycService.mjs";
+import * as bankAccountService from "../services/bankAccountService.mjs";
 
 export const login = async (req, res, next) => {
     try {
@@ -153,6 +161,47 @@ export const rejectVendor = async (req, res, next) => {
     }
 };
 
+export const getVendorKyc = async (req, res, next) => {
+    try {
+        const response = await kycService.getVendorKyc(req.params.id);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const reviewKycDocument = async (req, res, next) => {
+    try {
+        const adminUserId = req.user.id;
+        const response = await kycService.reviewKycDocument(req.body, adminUserId);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const revalidateBankAccount = async (req, res, next) => {
+    try {
+        const adminUserId = req.user.id;
+        const response = await bankAccountService.revalidateBankAccount(req.params.id, adminUserId);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
 export const updateVendor = async (req, res, next) => {
     try {
         const data = {
@@ -434,9 +483,8 @@ export const getComplaints = async (req, res, next) => {
 export const resolveComplaint = async (req, res, next) => {
     try {
         const complaintId = req.params.id;
-        const resolutionNotes = req.body.resolutionNotes;
         const adminUserId = req.user.id;
-        const response = await adminService.resolveComplaint(complaintId, resolutionNotes, adminUserId);
+        const response = await adminService.resolveComplaint(complaintId, req.body, adminUserId);
         if (!response) {
             throw new Error(formatError("No response", response));
         }
@@ -460,6 +508,63 @@ export const exportComplaints = async (req, res, next) => {
     }
 };
 
+export const getComplaintThread = async (req, res, next) => {
+    try {
+        const response = await complaintService.getComplaintThreadForAdmin(req.params.id);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const replyToComplaint = async (req, res, next) => {
+    try {
+        const complaintId = req.params.id;
+        const adminUserId = req.user.id;
+        const response = await complaintService.replyToComplaintAsAdmin(complaintId, req.body, adminUserId);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const updateComplaintStatus = async (req, res, next) => {
+    try {
+        const complaintId = req.params.id;
+        const adminUserId = req.user.id;
+        const response = await complaintService.updateComplaintStatus(complaintId, req.body, adminUserId);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const getComplaintAttachmentUploadUrl = async (req, res, next) => {
+    try {
+        const data = { userId: req.user.id, fileName: req.body.fileName, fileType: req.body.fileType };
+        const response = await complaintService.getAttachmentUploadUrl(data);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
 export const loginHistory = async (req, res, next) => {
     try {
         const response = await adminService.loginHistory(req.query);
@@ -552,6 +657,65 @@ export const getOutboxFailures = async (req, res, next) => {
     }
 }; 
 
+export const requeueOutboxMessage = async (req, res, next) => {
+    try {
+        const messageId = req.params.id;
+        const adminUserId = req.user.id;
+        const response = await adminService.requeueOutboxMessage(messageId, adminUserId);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const discardOutboxMessage = async (req, res, next) => {
+    try {
+        const messageId = req.params.id;
+        const reason = req.body.reason;
+        const adminUserId = req.user.id;
+        const response = await adminService.discardOutboxMessage(messageId, reason, adminUserId);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const getDeliveryWebhookEvents = async (req, res, next) => {
+    try {
+        const response = await adminService.getDeliveryWebhookEvents(req.query);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const replayDeliveryWebhookEvent = async (req, res, next) => {
+    try {
+        const eventId = req.params.id;
+        const adminUserId = req.user.id;
+        const response = await adminService.replayDeliveryWebhookEvent(eventId, adminUserId);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
 export const getPayoutsList = async (req, res, next) => {
     try {
         const response = await adminService.getPayoutsList(req.query);
@@ -612,6 +776,341 @@ export const cancelPayout = async (req, res, next) => {
     }
 };
 
+export const getPayoutBatches = async (req, res, next) => {
+    try {
+        const response = await adminService.getPayoutBatches(req.query);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const getPayoutBatchDetails = async (req, res, next) => {
+    try {
+        const response = await adminService.getPayoutBatchDetails(req.params.id);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const runPayoutCycle = async (req, res, next) => {
+    try {
+        const adminUserId = req.user.id;
+        const response = await adminService.runPayoutCycleNow(req.body, adminUserId);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const getVendorPayoutSettings = async (req, res, next) => {
+    try {
+        const response = await adminService.getVendorPayoutSettings(req.params.vendorId);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const updateVendorPayoutSettings = async (req, res, next) => {
+    try {
+        const vendorId = req.params.vendorId;
+        const adminUserId = req.user.id;
+        const response = await adminService.updateVendorPayoutSettings(vendorId, req.body, adminUserId);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const getLedgerEntries = async (req, res, next) => {
+    try {
+        const response = await ledgerService.getLedgerEntries(req.query);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const getTrialBalance = async (req, res, next) => {
+    try {
+        const response = await ledgerService.getTrialBalance(req.query);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const getPlatformRevenue = async (req, res, next) => {
+    try {
+        const response = await ledgerService.getPlatformRevenue(req.query);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const getVendorLedgerBalance = async (req, res, next) => {
+    try {
+        const response = await ledgerService.getVendorLedgerBalance(req.params.vendorId);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const runReconciliation = async (req, res, next) => {
+    try {
+        const adminUserId = req.user.id;
+        const response = await reconciliationService.runReconciliationNow(req.body, adminUserId);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const getReconciliationRuns = async (req, res, next) => {
+    try {
+        const response = await reconciliationService.getReconciliationRuns(req.query);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const getReconciliationMismatches = async (req, res, next) => {
+    try {
+        const response = await reconciliationService.getReconciliationMismatches(req.query);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const resolveReconciliationMismatch = async (req, res, next) => {
+    try {
+        const adminUserId = req.user.id;
+        const response = await reconciliationService.resolveReconciliationMismatch(req.params.id, req.body, adminUserId);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const getInvoices = async (req, res, next) => {
+    try {
+        const response = await invoiceService.getInvoices(req.query);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const getInvoiceDownloadUrl = async (req, res, next) => {
+    try {
+        const response = await invoiceService.getInvoiceDownloadUrlForAdmin(req.params.id);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const createPromoCode = async (req, res, next) => {
+    try {
+        const adminUserId = req.user.id;
+        const response = await promoService.createPromoCode(req.body, adminUserId);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const getPromoCodes = async (req, res, next) => {
+    try {
+        const response = await promoService.getPromoCodes(req.query);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const getPromoCodeById = async (req, res, next) => {
+    try {
+        const response = await promoService.getPromoCodeById(req.params.id);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const updatePromoCode = async (req, res, next) => {
+    try {
+        const adminUserId = req.user.id;
+        const response = await promoService.updatePromoCode(req.params.id, req.body, adminUserId);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const deactivatePromoCode = async (req, res, next) => {
+    try {
+        const adminUserId = req.user.id;
+        const response = await promoService.deactivatePromoCode(req.params.id, adminUserId);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const getPromoRedemptions = async (req, res, next) => {
+    try {
+        const response = await promoService.getPromoRedemptions(req.query);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const getPromoDiscountReport = async (req, res, next) => {
+    try {
+        const response = await promoService.getPromoDiscountReport(req.query);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const grantWalletCredit = async (req, res, next) => {
+    try {
+        const adminUserId = req.user.id;
+        const response = await walletService.grantWalletCredit(req.body, adminUserId);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const refundToWallet = async (req, res, next) => {
+    try {
+        const adminUserId = req.user.id;
+        const response = await walletService.refundToWalletByAdmin(req.body, adminUserId);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const getCustomerWallet = async (req, res, next) => {
+    try {
+        const response = await walletService.getCustomerWallet(req.params.customerId, req.query);
+        if (!response) {
+            throw new Error(formatError("No response", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
 export const refundRazorpayPaymentByAdmin = async (req, res, next) => {
     try {
         const body = req.body;
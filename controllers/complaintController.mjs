@@ -0,0 +1,74 @@
+import { MESSAGE } from "../types/enums/index.mjs";
+import { formatError, formatResponse } from "../utils/core-utils.mjs";
+import { logger } from "../utils/logger-utils.mjs";
+import * as complaintService from "../services/complaintService.mjs";
+
+export const getAttachmentUploadUrl = async (req, res, next) => {
+  try {
+    const data = { userId: req.user.id, fileName: req.body.fileName, fileType: req.body.fileType };
+    const response = await complaintService.getAttachmentUploadUrl(data);
+    if (!response) {
+      throw new Error(formatError("Upload URL not generated", response));
+    }
+    res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+  } catch (err) {
+    logger.error(err);
+    next(err);
+  }
+};
+
+export const getMyComplaints = async (req, res, next) => {
+  try {
+    const data = { userId: req.user.id, role: req.user.role, status: req.query.status, page: parseInt(req.params.page), limit: parseInt(req.params.limit) };
+    const response = await complaintService.getMyComplaints(data);
+    if (!response) {
+      throw new Error(formatError("Complaints not found", response));
+    }
+    res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+  } catch (err) {
+    logger.error(err);
+    next(err);
+  }
+};
+
+export const getComplaintThread = async (req, res, next) => {
+  try {
+    const data = { userId: req.user.id, role: req.user.role, complaintId: req.params.complaintId };
+    const response = await complaintService.getComplaintThread(data);
+    if (!response) {
+      throw new Error(formatError("Complaint not found", response));
+    }
+    res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+  } catch (err) {
+    logger.error(err);
+    next(err);
+  }
+};
+
+export const replyToComplaint = async (req, res, next) => {
+  try {
+    const data = { userId: req.user.id, role: req.user.role, complaintId: req.params.complaintId, message: req.body.message, attachments: req.body.attachments };
+    const response = await complaintService.replyToComplaint(data);
+    if (!response) {
+      throw new Error(formatError("Reply not added", response));
+    }
+    res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+  } catch (err) {
+    logger.error(err);
+    next(err);
+  }
+};
+
+export const reopenComplaint = async (req, res, next) => {
+  try {
+    const data = { userId: req.user.id, role: req.user.role, complaintId: req.params.complaintId, message: req.body.message, attachments: req.body.attachments };
+    const response = await complaintService.reopenComplaint(data);
+    if (!response) {
+      throw new Error(formatError("Complaint not reopened", response));
+    }
+    res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+  } catch (err) {
+    logger.error(err);
+    next(err);
+  }
+};
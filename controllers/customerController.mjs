@@ -2,6 +2,7 @@ import { MESSAGE } from "../types/enums/index.mjs";
 import { formatError, formatResponse } from "../utils/core-utils.mjs";
 import { logger } from "../utils/logger-utils.mjs";
 import * as customerService from "../services/customerService.mjs";
+import * as walletService from "../services/walletService.mjs";
 
 export const addCustomerAddress = async (req, res, next) => {
     try {
@@ -203,7 +204,7 @@ export const getAcceptedQuoteById = async (req, res, next) => {
 
 export const addComplaint = async (req, res, next) => {
   try {
-      const data = { userId: req.user.id, orderId: req.params.orderId, complaint: req.body.complaint };
+      const data = { userId: req.user.id, orderId: req.params.orderId, complaint: req.body.complaint, category: req.body.category, attachments: req.body.attachments };
       const response = await customerService.addComplaint(data);
       if (!response) {
           throw new Error(formatError("Complaint not added", response));
@@ -255,4 +256,32 @@ export const getAdBanner = async (req, res, next) => {
       logger.error(error);
       next(error);
   }
+};
+
+export const getWallet = async (req, res, next) => {
+  try {
+      const data = { userId: req.user.id };
+      const response = await walletService.getMyWallet(data);
+      if (!response) {
+          throw new Error(formatError("Wallet not found", response));
+      }
+      res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+  } catch (error) {
+      logger.error(error);
+      next(error);
+  }
+};
+
+export const getWalletTransactions = async (req, res, next) => {
+  try {
+      const data = { userId: req.user.id, page: parseInt(req.params.page), limit: parseInt(req.params.limit) };
+      const response = await walletService.getMyWalletTransactions(data);
+      if (!response) {
+          throw new Error(formatError("Wallet transactions not found", response));
+      }
+      res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+  } catch (error) {
+      logger.error(error);
+      next(error);
+  }
 };
\ No newline at end of file
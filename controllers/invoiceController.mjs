@@ -0,0 +1,32 @@
+import { MESSAGE } from "../types/enums/index.mjs";
+import { formatError, formatResponse } from "../utils/core-utils.mjs";
+import { logger } from "../utils/logger-utils.mjs";
+import * as invoiceService from "../services/invoiceService.mjs";
+
+export const getMyInvoices = async (req, res, next) => {
+  try {
+    const data = { userId: req.user.id, role: req.user.role, page: parseInt(req.params.page), limit: parseInt(req.params.limit) };
+    const response = await invoiceService.getMyInvoices(data);
+    if (!response) {
+      throw new Error(formatError("Invoices not found", response));
+    }
+    res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+  } catch (err) {
+    logger.error(err);
+    next(err);
+  }
+};
+
+export const getInvoiceDownloadUrl = async (req, res, next) => {
+  try {
+    const data = { userId: req.user.id, role: req.user.role, invoiceId: req.params.invoiceId };
+    const response = await invoiceService.getInvoiceDownloadUrl(data);
+    if (!response) {
+      throw new Error(formatError("Invoice not found", response));
+    }
+    res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+  } catch (err) {
+    logger.error(err);
+    next(err);
+  }
+};
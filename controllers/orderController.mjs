@@ -2,6 +2,7 @@ import { MESSAGE } from "../types/enums/index.mjs";
 import { formatError, formatResponse } from "../utils/core-utils.mjs";
 import { logger } from "../utils/logger-utils.mjs";
 import * as orderService from "../services/orderService.mjs";
+import * as promoService from "../services/promoService.mjs";
 
 export const createOrder = async (req, res, next) => {
     try {
@@ -34,6 +35,20 @@ export const sendOrderToVendor = async (req, res, next) => {
     }
 };
 
+export const instantBookOrder = async (req, res, next) => {
+    try {
+        const data = {userId: req.user.id, ...req.body};
+        const response = await orderService.instantBookOrder(data);
+        if (!response) {
+            throw new Error(formatError("Order not booked", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
 export const vendorOrderResponse = async (req, res, next) => {
     try {
         const data = {userId: req.user.id, ...req.body};
@@ -62,6 +77,76 @@ export const createRazorpayOrder = async (req, res, next) => {
     }   
 };
 
+export const createBalancePaymentOrder = async (req, res, next) => {
+    try {
+        const data = {userId: req.user.id, ...req.body};
+        const response = await orderService.createBalancePaymentOrder(data);
+        if (!response) {
+            throw new Error(formatError("Balance payment order not created", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }   
+};
+
+export const validatePromoCode = async (req, res, next) => {
+    try {
+        const data = {userId: req.user.id, ...req.body};
+        const response = await promoService.validatePromoCode(data);
+        if (!response) {
+            throw new Error(formatError("Promo code not validated", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const cancelOrder = async (req, res, next) => {
+    try {
+        const data = {userId: req.user.id, ...req.body};
+        const response = await orderService.cancelOrder(data);
+        if (!response) {
+            throw new Error(formatError("Order not cancelled", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const vendorCancelOrder = async (req, res, next) => {
+    try {
+        const data = {userId: req.user.id, ...req.body};
+        const response = await orderService.vendorCancelOrder(data);
+        if (!response) {
+            throw new Error(formatError("Order not cancelled", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
+export const reassignOrderVendor = async (req, res, next) => {
+    try {
+        const data = {userId: req.user.id, ...req.body};
+        const response = await orderService.reassignOrderVendor(data);
+        if (!response) {
+            throw new Error(formatError("Order not reassigned", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (error) {
+        logger.error(error);
+        next(error);
+    }
+};
+
 export const updateOrderStatus = async (req, res, next) => {
     try {
         const data = { userId: req.user.id, orderId: req.body.orderId, status: req.body.status };
@@ -3,6 +3,35 @@ import { formatError, formatResponse } from "../utils/core-utils.mjs";
 import { logger } from "../utils/logger-utils.mjs";
 import * as searchService from '../services/searchService.mjs';
 
+export const searchVendors = async (req, res, next) => {
+    try {
+        const { q, serviceType, shopType, ownershipType, services, minRating, maxPrice, availableOnly, openNow, lng, lat, radiusKm, sort, page, limit } = req.query;
+        const params = { q, serviceType, shopType, ownershipType, services, minRating, maxPrice, availableOnly, openNow, lng, lat, radiusKm, sort, page, limit };
+        const response = await searchService.searchVendors(params);
+        if (!response) {
+            throw new Error(formatError("Vendors not found", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (err) {
+        logger.error(err);
+        next(err);
+    }
+};
+
+export const suggestVendors = async (req, res, next) => {
+    try {
+        const params = { q: req.query.q, serviceType: req.query.serviceType, limit: req.query.limit };
+        const response = await searchService.suggestVendors(params);
+        if (!response) {
+            throw new Error(formatError("No suggestions", response));
+        }
+        res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+    } catch (err) {
+        logger.error(err);
+        next(err);
+    }
+};
+
 export const searchVendorsByRating = async (req, res, next) => {
     try {
         const params = {serviceType: req.params.serviceType, page: parseInt(req.params.page)};
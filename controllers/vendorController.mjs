@@ -2,6 +2,11 @@ import { MESSAGE } from "../types/enums/index.mjs";
 import { formatError, formatResponse } from "../utils/core-utils.mjs";
 import { logger } from "../utils/logger-utils.mjs";
 import * as vendorService from "../services/vendorService.mjs";
+import * as vendorEarningsService from "../services/vendorEarningsService.mjs";
+import * as kycService from "../services/kycService.mjs";
+import * as bankAccountService from "../services/bankAccountService.mjs";
+import * as catalogService from "../services/catalogService.mjs";
+import * as availabilityService from "../services/availabilityService.mjs";
 import {UAParser} from "ua-parser-js";
 
 export const checkProfile = async (req, res, next) => {
@@ -301,6 +306,8 @@ export const addComplaint = async (req, res, next) => {
       userId: req.user.id,
       orderId: req.params.orderId,
       complaint: req.body.complaint,
+      category: req.body.category,
+      attachments: req.body.attachments,
     }
 
     const response = await vendorService.addComplaint(data);
@@ -334,6 +341,64 @@ export const getVendorPayouts = async (req, res, next) => {
   }
 }
 
+export const getEarningsSummary = async (req, res, next) => {
+  try {
+    const data = {
+      userId: req.user.id,
+    }
+
+    const response = await vendorEarningsService.getEarningsSummary(data);
+    if (!response) {
+      throw new Error(formatError("Earnings not found", response));
+    }
+    res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+  } catch (err) {
+    logger.error(err);
+    next(err);
+  }
+}
+
+export const getEarningLines = async (req, res, next) => {
+  try {
+    const data = {
+      userId: req.user.id,
+      page: parseInt(req.params.page),
+      limit: parseInt(req.params.limit),
+      month: req.query.month,
+    }
+
+    const response = await vendorEarningsService.getEarningLines(data);
+    if (!response) {
+      throw new Error(formatError("Earnings not found", response));
+    }
+    res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+  } catch (err) {
+    logger.error(err);
+    next(err);
+  }
+}
+
+export const getEarningsStatement = async (req, res, next) => {
+  try {
+    const data = {
+      userId: req.user.id,
+      month: req.query.month,
+      format: req.query.format,
+    }
+
+    const response = await vendorEarningsService.getEarningsStatement(data);
+    if (!response) {
+      throw new Error(formatError("Statement not found", response));
+    }
+    res.setHeader("Content-Type", response.contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${response.fileName}"`);
+    res.status(200).send(response.content);
+  } catch (err) {
+    logger.error(err);
+    next(err);
+  }
+}
+
 export const getReviews = async (req, res, next) => {
   try {
     const data = {
@@ -368,4 +433,238 @@ export const getAdBanner = async (req, res, next) => {
     logger.error(err);
     next(err);
   }
+}
+
+export const getKycStatus = async (req, res, next) => {
+  try {
+    const data = {
+      userId: req.user.id,
+    }
+
+    const response = await kycService.getMyKycStatus(data);
+    if (!response) {
+      throw new Error(formatError("KYC status not found", response));
+    }
+    res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+  } catch (err) {
+    logger.error(err);
+    next(err);
+  }
+}
+
+export const resubmitKycDocument = async (req, res, next) => {
+  try {
+    const data = {
+      userId: req.user.id,
+      documentType: req.body.documentType,
+      urlPath: req.body.urlPath,
+      aadhaarNumber: req.body.aadhaarNumber,
+    }
+
+    const response = await kycService.resubmitKycDocument(data);
+    if (!response) {
+      throw new Error(formatError("Document not submitted", response));
+    }
+    res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+  } catch (err) {
+    logger.error(err);
+    next(err);
+  }
+}
+
+export const getBankAccount = async (req, res, next) => {
+  try {
+    const data = {
+      userId: req.user.id,
+    }
+
+    const response = await bankAccountService.getMyBankAccount(data);
+    if (!response) {
+      throw new Error(formatError("Bank account not found", response));
+    }
+    res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+  } catch (err) {
+    logger.error(err);
+    next(err);
+  }
+}
+
+export const updateBankDetails = async (req, res, next) => {
+  try {
+    const data = {
+      userId: req.user.id,
+      accountHolderName: req.body.accountHolderName,
+      accountNumber: req.body.accountNumber,
+      ifscCode: req.body.ifscCode,
+      bankPassbookUrlPath: req.body.bankPassbookUrlPath,
+    }
+
+    const response = await bankAccountService.updateBankDetails(data);
+    if (!response) {
+      throw new Error(formatError("Bank details not updated", response));
+    }
+    res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+  } catch (err) {
+    logger.error(err);
+    next(err);
+  }
+}
+
+export const getCatalogItems = async (req, res, next) => {
+  try {
+    const data = {
+      userId: req.user.id,
+    }
+
+    const response = await catalogService.getCatalogItems(data);
+    if (!response) {
+      throw new Error(formatError("Catalog not found", response));
+    }
+    res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+  } catch (err) {
+    logger.error(err);
+    next(err);
+  }
+}
+
+export const addCatalogItem = async (req, res, next) => {
+  try {
+    const data = {
+      userId: req.user.id,
+      name: req.body.name,
+      description: req.body.description,
+      basePrice: req.body.basePrice,
+      unit: req.body.unit,
+      turnaroundDays: req.body.turnaroundDays,
+      instantBook: req.body.instantBook,
+      isActive: req.body.isActive,
+    }
+
+    const response = await catalogService.addCatalogItem(data);
+    if (!response) {
+      throw new Error(formatError("Catalog item not added", response));
+    }
+    res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+  } catch (err) {
+    logger.error(err);
+    next(err);
+  }
+}
+
+export const updateCatalogItem = async (req, res, next) => {
+  try {
+    const data = {
+      userId: req.user.id,
+      catalogItemId: req.params.catalogItemId,
+      name: req.body.name,
+      description: req.body.description,
+      basePrice: req.body.basePrice,
+      unit: req.body.unit,
+      turnaroundDays: req.body.turnaroundDays,
+      instantBook: req.body.instantBook,
+      isActive: req.body.isActive,
+    }
+
+    const response = await catalogService.updateCatalogItem(data);
+    if (!response) {
+      throw new Error(formatError("Catalog item not updated", response));
+    }
+    res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+  } catch (err) {
+    logger.error(err);
+    next(err);
+  }
+}
+
+export const deleteCatalogItem = async (req, res, next) => {
+  try {
+    const data = {
+      userId: req.user.id,
+      catalogItemId: req.params.catalogItemId,
+    }
+
+    const response = await catalogService.deleteCatalogItem(data);
+    if (!response) {
+      throw new Error(formatError("Catalog item not deleted", response));
+    }
+    res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+  } catch (err) {
+    logger.error(err);
+    next(err);
+  }
+}
+
+export const getAvailability = async (req, res, next) => {
+  try {
+    const data = {
+      userId: req.user.id,
+    }
+
+    const response = await availabilityService.getAvailability(data);
+    if (!response) {
+      throw new Error(formatError("Availability not found", response));
+    }
+    res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+  } catch (err) {
+    logger.error(err);
+    next(err);
+  }
+}
+
+export const updateAvailability = async (req, res, next) => {
+  try {
+    const data = {
+      userId: req.user.id,
+      weeklyHours: req.body.weeklyHours,
+      maxConcurrentOrders: req.body.maxConcurrentOrders,
+    }
+
+    const response = await availabilityService.updateAvailability(data);
+    if (!response) {
+      throw new Error(formatError("Availability not updated", response));
+    }
+    res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+  } catch (err) {
+    logger.error(err);
+    next(err);
+  }
+}
+
+export const addTimeOff = async (req, res, next) => {
+  try {
+    const data = {
+      userId: req.user.id,
+      type: req.body.type,
+      startsAt: req.body.startsAt,
+      endsAt: req.body.endsAt,
+      reason: req.body.reason,
+    }
+
+    const response = await availabilityService.addTimeOff(data);
+    if (!response) {
+      throw new Error(formatError("Time off not added", response));
+    }
+    res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+  } catch (err) {
+    logger.error(err);
+    next(err);
+  }
+}
+
+export const deleteTimeOff = async (req, res, next) => {
+  try {
+    const data = {
+      userId: req.user.id,
+      timeOffId: req.params.timeOffId,
+    }
+
+    const response = await availabilityService.deleteTimeOff(data);
+    if (!response) {
+      throw new Error(formatError("Time off not deleted", response));
+    }
+    res.status(200).json(formatResponse(MESSAGE.SUCCESS, true, response));
+  } catch (err) {
+    logger.error(err);
+    next(err);
+  }
 }
\ No newline at end of file
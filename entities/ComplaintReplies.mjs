@@ -0,0 +1,54 @@
+import { EntitySchema } from "typeorm";
+
+export const ComplaintReplies = new EntitySchema({
+    name: "ComplaintReplies",
+    tableName: "complaint_replies",
+    indices: [
+        { name: "complaint_replies_complaint_id_created_at_idx", columns: ["complaintId", "createdAt"] },
+    ],
+    columns: {
+        id: {
+            primary: true,
+            type: "uuid",
+            generated: "uuid"
+        },
+        complaintId: {
+            type: "uuid",
+            nullable: false
+        },
+        authorUserId: {
+            type: "uuid",
+            nullable: false
+        },
+        authorRole: {           // customer | vendor | admin
+            type: "varchar",
+            nullable: false
+        },
+        message: {
+            type: "text",
+            nullable: false
+        },
+        attachments: {          // S3 keys
+            type: "jsonb",
+            nullable: true
+        },
+        statusAfter: {          // ticket status once this reply was posted
+            type: "varchar",
+            nullable: true
+        },
+        createdAt: {
+            type: "timestamp",
+            createDate: true
+        },
+    },
+    relations: {
+        complaint: {
+            type: "many-to-one",
+            target: "Complaints",
+            joinColumn: {
+                name: "complaintId"
+            },
+            onDelete: "CASCADE"
+        }
+    }
+});
@@ -1,8 +1,14 @@
 import { EntitySchema } from "typeorm";
+import { COMPLAINT_OUTCOME, COMPLAINT_STATUS, COMPLAINT_CATEGORY, COMPLAINT_PRIORITY } from "../types/enums/index.mjs";
 
 export const Complaints = new EntitySchema({
     name: "Complaints",
     tableName: "complaints",
+    indices: [
+        { name: "complaints_status_idx", columns: ["status"] },
+        { name: "complaints_customer_id_idx", columns: ["customerId"] },
+        { name: "complaints_vendor_id_idx", columns: ["vendorId"] },
+    ],
     columns: {
         id: {
             primary: true,
@@ -36,7 +42,34 @@ export const Complaints = new EntitySchema({
             type: "varchar",
             nullable: false
         },
-        isResolved: {
+        raisedByRole: {         // customer | vendor - the other party of the order can still follow the thread
+            type: "varchar",
+            nullable: true
+        },
+        category: {
+            type: "varchar",
+            enum: Object.values(COMPLAINT_CATEGORY),
+            default: COMPLAINT_CATEGORY.OTHER
+        },
+        priority: {
+            type: "varchar",
+            enum: Object.values(COMPLAINT_PRIORITY),
+            default: COMPLAINT_PRIORITY.MEDIUM
+        },
+        status: {
+            type: "varchar",
+            enum: Object.values(COMPLAINT_STATUS),
+            default: COMPLAINT_STATUS.OPEN
+        },
+        attachments: {          // S3 keys uploaded through /api/complaint/getAttachmentUploadUrl
+            type: "jsonb",
+            nullable: true
+        },
+        lastActivityAt: {
+            type: "timestamp",
+            nullable: true
+        },
+        isResolved: {           // kept in sync with status === RESOLVED
             type: "boolean",
             default: false
         },
@@ -48,10 +81,35 @@ export const Complaints = new EntitySchema({
             type: "varchar",
             nullable: true
         },
+        resolutionOutcome: {
+            type: "varchar",
+            nullable: true,
+            enum: Object.values(COMPLAINT_OUTCOME)
+        },
+        refundAmount: {
+            type: "decimal",
+            precision: 10,
+            scale: 2,
+            nullable: true
+        },
+        vendorDeductionAmount: {      // recovered from the vendor: taken off the pending payout first, the rest added to VendorStats.totalDeductions
+            type: "decimal",
+            precision: 10,
+            scale: 2,
+            nullable: true
+        },
+        resolvedBy: {
+            type: "uuid",
+            nullable: true
+        },
         createdAt: {
             type: "timestamp",
             createDate: true
         },
+        updatedAt: {
+            type: "timestamp",
+            updateDate: true
+        },
     },
     relations: {
         customer: {
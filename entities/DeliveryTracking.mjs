@@ -1,4 +1,5 @@
 import { EntitySchema } from "typeorm";
+import { DELIVERY_STATUS } from "../types/enums/index.mjs";
 
 
 export const DeliveryTracking = new EntitySchema({
@@ -6,6 +7,7 @@ export const DeliveryTracking = new EntitySchema({
     tableName: "deliveryTracking",
     indices: [
         { name: "delivery_tracking_order_id_idx", columns: ["orderId"] },
+        { name: "delivery_tracking_provider_shipment_id_idx", columns: ["providerShipmentId"] },
     ],
     columns: {
         id: {
@@ -39,11 +41,25 @@ export const DeliveryTracking = new EntitySchema({
         status: {
             type: "varchar",
             nullable: false,
-            enum: ["PENDING", "IN_TRANSIT", "DELIVERED", "CANCELLED"]
+            enum: Object.values(DELIVERY_STATUS)
         },
         statusUpdateTimeStamp: {
             type: "jsonb",
             nullable: true
         },
+        provider: {
+            type: "varchar",
+            nullable: true
+        },
+        providerShipmentId: {
+            type: "varchar",
+            nullable: true
+        },
+        providerFare: {
+            type: "decimal",
+            precision: 10,
+            scale: 2,
+            nullable: true
+        },
     },
 });
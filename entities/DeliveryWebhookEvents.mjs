@@ -0,0 +1,62 @@
+import { EntitySchema } from "typeorm";
+import { WEBHOOK_EVENT_STATUS } from "../types/enums/index.mjs";
+
+
+export const DeliveryWebhookEvents = new EntitySchema({
+    name: "DeliveryWebhookEvents",
+    tableName: "delivery_webhook_events",
+    indices: [
+        { name: "delivery_webhook_events_provider_event_id_idx", columns: ["provider", "providerEventId"], unique: true },
+        { name: "delivery_webhook_events_delivery_tracking_id_idx", columns: ["deliveryTrackingId"] },
+    ],
+    columns: {
+        id: {
+            primary: true,
+            type: "uuid",
+            generated: "uuid"
+        },
+        provider: {
+            type: "varchar",
+            nullable: false
+        },
+        providerEventId: {
+            type: "varchar",
+            nullable: false
+        },
+        deliveryTrackingId: {
+            type: "uuid",
+            nullable: true
+        },
+        deliveryStatus: {
+            type: "varchar",
+            nullable: true
+        },
+        payload: {
+            type: "jsonb",
+            nullable: false
+        },
+        processingStatus: {
+            type: "varchar",
+            nullable: false,
+            enum: Object.values(WEBHOOK_EVENT_STATUS),
+            default: WEBHOOK_EVENT_STATUS.RECEIVED
+        },
+        failureReason: {
+            type: "text",
+            nullable: true
+        },
+        attempts: {
+            type: "int",
+            nullable: false,
+            default: 0
+        },
+        processedAt: {
+            type: "timestamp",
+            nullable: true
+        },
+        receivedAt: {
+            type: "timestamp",
+            createDate: true
+        },
+    },
+});
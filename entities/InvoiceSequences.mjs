@@ -0,0 +1,34 @@
+import { EntitySchema } from "typeorm";
+
+/**
+ * The last invoice number used per series and financial year. The counter is bumped in the transaction that
+ * inserts the invoice, so a rolled back invoice gives its number back and the series has no gaps.
+ */
+export const InvoiceSequences = new EntitySchema({
+    name: "InvoiceSequences",
+    tableName: "invoice_sequences",
+    indices: [
+        { name: "IDX_INVOICE_SEQUENCES_SERIES_FINANCIAL_YEAR", columns: ["series", "financialYear"], unique: true },
+    ],
+    columns: {
+        id: {
+            primary: true,
+            type: "uuid",
+            generated: "uuid"
+        },
+        series: {               // INV (customer tax invoices) or COM (vendor commission invoices)
+            type: "varchar"
+        },
+        financialYear: {
+            type: "varchar"
+        },
+        lastNumber: {
+            type: "int",
+            default: 0
+        },
+        updatedAt: {
+            type: "timestamp",
+            updateDate: true
+        }
+    }
+});
@@ -0,0 +1,114 @@
+import { EntitySchema } from "typeorm";
+import { INVOICE_TYPE } from "../types/enums/index.mjs";
+
+/**
+ * A GST invoice issued for an order. Issued rows are never edited apart from `s3Key`, which is set once
+ * the PDF has been rendered and uploaded.
+ */
+export const Invoices = new EntitySchema({
+    name: "Invoices",
+    tableName: "invoices",
+    indices: [
+        { name: "IDX_INVOICES_ORDER_ID_INVOICE_TYPE", columns: ["orderId", "invoiceType"], unique: true },
+        { name: "IDX_INVOICES_CUSTOMER_ID", columns: ["customerId"] },
+        { name: "IDX_INVOICES_VENDOR_ID", columns: ["vendorId"] },
+    ],
+    columns: {
+        id: {
+            primary: true,
+            type: "uuid",
+            generated: "uuid"
+        },
+        invoiceNumber: {        // <series>/<YY-YY>/<6-digit sequence>, e.g. INV/25-26/000042
+            type: "varchar",
+            unique: true
+        },
+        invoiceType: {
+            type: "varchar",
+            enum: Object.values(INVOICE_TYPE)
+        },
+        financialYear: {        // April to March in IST, e.g. 2025-26
+            type: "varchar"
+        },
+        sequenceNumber: {
+            type: "int"
+        },
+        orderId: {
+            type: "uuid"
+        },
+        customerId: {
+            type: "uuid",
+            nullable: true
+        },
+        vendorId: {
+            type: "uuid",
+            nullable: true
+        },
+        paymentId: {
+            type: "uuid",
+            nullable: true
+        },
+        supplier: {             // { name, gstin, address, state }
+            type: "jsonb"
+        },
+        recipient: {            // { name, gstin, address, state, email, phoneNumber }
+            type: "jsonb"
+        },
+        placeOfSupply: {
+            type: "varchar",
+            nullable: true
+        },
+        isInterState: {         // IGST when true, CGST + SGST otherwise
+            type: "boolean"
+        },
+        lineItems: {            // [{ description, sac, gstRate, taxableValue, cgst, sgst, igst, total }]
+            type: "jsonb"
+        },
+        taxableAmount: {
+            type: "decimal",
+            precision: 12,
+            scale: 2
+        },
+        cgstAmount: {
+            type: "decimal",
+            precision: 12,
+            scale: 2,
+            default: 0
+        },
+        sgstAmount: {
+            type: "decimal",
+            precision: 12,
+            scale: 2,
+            default: 0
+        },
+        igstAmount: {
+            type: "decimal",
+            precision: 12,
+            scale: 2,
+            default: 0
+        },
+        totalAmount: {
+            type: "decimal",
+            precision: 12,
+            scale: 2
+        },
+        s3Key: {
+            type: "varchar",
+            nullable: true
+        },
+        issuedAt: {
+            type: "timestamp"
+        },
+        createdAt: {
+            type: "timestamp",
+            createDate: true
+        }
+    },
+    relations: {
+        order: {
+            type: "many-to-one",
+            target: "Orders",
+            joinColumn: { name: "orderId" }
+        }
+    }
+});
@@ -0,0 +1,60 @@
+import { EntitySchema } from "typeorm";
+import { LEDGER_ENTRY_TYPE } from "../types/enums/index.mjs";
+
+/**
+ * Header of a balanced journal entry. The debit and credit lines live in LedgerPostings.
+ * `idempotencyKey` makes a posting safe to repeat when a webhook or job is retried.
+ */
+export const LedgerEntries = new EntitySchema({
+    name: "LedgerEntries",
+    tableName: "ledger_entries",
+    indices: [
+        { name: "IDX_LEDGER_ENTRIES_ORDER_ID", columns: ["orderId"] },
+        { name: "IDX_LEDGER_ENTRIES_ENTRY_TYPE", columns: ["entryType"] },
+        { name: "IDX_LEDGER_ENTRIES_CREATED_AT", columns: ["createdAt"] },
+    ],
+    columns: {
+        id: {
+            primary: true,
+            type: "uuid",
+            generated: "uuid"
+        },
+        entryType: {
+            type: "varchar",
+            enum: Object.values(LEDGER_ENTRY_TYPE),
+            nullable: false
+        },
+        idempotencyKey: {
+            type: "varchar",
+            unique: true,
+            nullable: false
+        },
+        orderId: {
+            type: "uuid",
+            nullable: true
+        },
+        referenceType: {       // Payments, Refunds, Payouts, PayoutBatches, Complaints, Orders
+            type: "varchar",
+            nullable: true
+        },
+        referenceId: {
+            type: "varchar",
+            nullable: true
+        },
+        description: {
+            type: "varchar",
+            nullable: true
+        },
+        createdAt: {
+            type: "timestamp",
+            createDate: true
+        }
+    },
+    relations: {
+        postings: {
+            type: "one-to-many",
+            target: "LedgerPostings",
+            inverseSide: "entry"
+        }
+    }
+});
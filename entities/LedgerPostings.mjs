@@ -0,0 +1,68 @@
+import { EntitySchema } from "typeorm";
+import { LEDGER_ACCOUNT } from "../types/enums/index.mjs";
+
+/**
+ * One debit or credit line of a LedgerEntries journal entry. Exactly one of `debit`/`credit` is non-zero.
+ * VENDOR_PAYABLE lines carry the vendorId, which makes the vendor sub-ledger.
+ */
+export const LedgerPostings = new EntitySchema({
+    name: "LedgerPostings",
+    tableName: "ledger_postings",
+    indices: [
+        { name: "IDX_LEDGER_POSTINGS_ENTRY_ID", columns: ["entryId"] },
+        { name: "IDX_LEDGER_POSTINGS_ACCOUNT", columns: ["account"] },
+        { name: "IDX_LEDGER_POSTINGS_VENDOR_ID", columns: ["vendorId"] },
+    ],
+    columns: {
+        id: {
+            primary: true,
+            type: "uuid",
+            generated: "uuid"
+        },
+        entryId: {
+            type: "uuid",
+            nullable: false
+        },
+        account: {
+            type: "varchar",
+            enum: Object.values(LEDGER_ACCOUNT),
+            nullable: false
+        },
+        vendorId: {
+            type: "uuid",
+            nullable: true
+        },
+        customerId: {
+            type: "uuid",
+            nullable: true
+        },
+        orderId: {
+            type: "uuid",
+            nullable: true
+        },
+        debit: {
+            type: "decimal",
+            precision: 12,
+            scale: 2,
+            default: 0
+        },
+        credit: {
+            type: "decimal",
+            precision: 12,
+            scale: 2,
+            default: 0
+        },
+        createdAt: {
+            type: "timestamp",
+            createDate: true
+        }
+    },
+    relations: {
+        entry: {
+            type: "many-to-one",
+            target: "LedgerEntries",
+            joinColumn: { name: "entryId" },
+            onDelete: "CASCADE"
+        }
+    }
+});
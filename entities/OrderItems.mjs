@@ -69,6 +69,20 @@ export const OrderItems = new EntitySchema({
         designImage2: {
             type: "varchar",
             nullable: true
+        },
+        catalogItemId: {        // the vendor catalog entry the customer picked, if any
+            type: "uuid",
+            nullable: true
+        },
+        catalogPrice: {         // copy of the entry's base price and unit when the order was placed
+            type: "numeric",
+            precision: 10,
+            scale: 2,
+            nullable: true
+        },
+        catalogUnit: {
+            type: "varchar",
+            nullable: true
         }
     },
     relations: {
@@ -78,6 +92,12 @@ export const OrderItems = new EntitySchema({
             joinColumn: { name: "orderId" },
             onDelete: "CASCADE",
             cascade: true
+        },
+        catalogItem: {
+            type: "many-to-one",
+            target: "VendorCatalogItems",
+            joinColumn: { name: "catalogItemId" },
+            onDelete: "SET NULL"
         }
     }
 });
@@ -55,14 +55,26 @@ export const OrderQuotes = new EntitySchema({
             type: "float",
             nullable: false
         },
+        deliveryChargeBreakdown: {     // { distanceKm, distanceSource, legs, chargePerLeg, surgeMultiplier, surgeRule, total }
+            type: "jsonb",
+            nullable: true
+        },
         finalPrice: {
             type: "float",
             nullable: false
         },
+        advancePercent: {      // share of finalPrice paid upfront, the rest when the item is ready; null is paid in full
+            type: "int",
+            nullable: true
+        },
         notes: {
             type: "text",
             nullable: true
         },
+        isInstantBook: {       // generated from the vendor's catalog prices instead of quoted by the vendor
+            type: "boolean",
+            default: false
+        },
         isProcessed: {
             type: "boolean",
             default: false,
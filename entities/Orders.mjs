@@ -68,6 +68,21 @@ export const Orders = new EntitySchema({
             nullable: false,
             default: false
         },
+        // Split payment: set when the advance is paid. paymentId is the advance, balancePaymentId the balance
+        advancePercent: {
+            type: "int",
+            nullable: true
+        },
+        balanceAmount: {
+            type: "decimal",
+            precision: 10,
+            scale: 2,
+            default: 0
+        },
+        balancePaymentId: {
+            type: "uuid",
+            nullable: true
+        },
         serviceType: {
             type: "varchar",
             nullable: false
@@ -83,6 +98,13 @@ export const Orders = new EntitySchema({
             default: ORDER_STATUS.PENDING,
             nullable: false
         },
+        // Fine-grained stage (any ORDER_STATUS) maintained by the order state machine; orderStatus is derived from it
+        orderStage: {
+            type: "varchar",
+            enum: Object.values(ORDER_STATUS),
+            default: ORDER_STATUS.PENDING,
+            nullable: false
+        },
         orderStatusTimestamp: {
             type: "jsonb",
             nullable: true
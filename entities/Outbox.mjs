@@ -1,4 +1,5 @@
 import { EntitySchema } from "typeorm";
+import { OUTBOX_STATUS } from "../types/enums/index.mjs";
 
 
 export const Outbox = new EntitySchema({
@@ -6,6 +7,7 @@ export const Outbox = new EntitySchema({
     tableName: "outbox",
     indices: [
         { name: "IDX_OUTBOX_PENDING_MESSAGES", columns: ["status", "createdAt"] },
+        { name: "IDX_OUTBOX_DUE_MESSAGES", columns: ["status", "nextAttemptAt"] },
     ],
     columns: {
         id: {
@@ -23,7 +25,17 @@ export const Outbox = new EntitySchema({
         },
         status: {
             type: "varchar",
-            nullable: false
+            nullable: false,
+            enum: Object.values(OUTBOX_STATUS)
+        },
+        attempts: {
+            type: "int",
+            nullable: false,
+            default: 0
+        },
+        nextAttemptAt: {
+            type: "timestamp",
+            nullable: true
         },
         failureReason: {
             type: "text",
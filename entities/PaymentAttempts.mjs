@@ -1,4 +1,5 @@
 import { EntitySchema } from "typeorm";
+import { PAYMENT_INSTALMENT } from "../types/enums/index.mjs";
 
 export const PaymentAttempts = new EntitySchema({
     name: "PaymentAttempts",
@@ -17,12 +18,33 @@ export const PaymentAttempts = new EntitySchema({
             type: "varchar",
             nullable: false
         },
-        amount: {
+        amount: {              // charged through Razorpay: the quote's finalPrice less discountAmount and walletAmount
             type: "decimal",
             precision: 10,
             scale: 2,
             nullable: false
         },
+        promoCodeId: {
+            type: "uuid",
+            nullable: true
+        },
+        discountAmount: {
+            type: "decimal",
+            precision: 10,
+            scale: 2,
+            default: 0
+        },
+        walletAmount: {        // to be taken from the customer's wallet when the payment is captured
+            type: "decimal",
+            precision: 10,
+            scale: 2,
+            default: 0
+        },
+        instalment: {
+            type: "varchar",
+            enum: Object.values(PAYMENT_INSTALMENT),
+            default: PAYMENT_INSTALMENT.FULL
+        },
         status: {
             type: "varchar",
             nullable: false
@@ -1,4 +1,5 @@
 import { EntitySchema } from "typeorm";
+import { PAYMENT_INSTALMENT } from "../types/enums/index.mjs";
 
 export const Payments = new EntitySchema({
     name: "Payments",
@@ -28,16 +29,27 @@ export const Payments = new EntitySchema({
             type: "uuid",
             nullable: false
         },
-        razorpayPaymentId: {
+        razorpayPaymentId: {   // null when the wallet covered the whole amount
             type: "varchar",
             nullable: true
         },
-        paymentAmount: {
+        paymentAmount: {       // everything the customer paid with this payment, including walletAmount
             type: "decimal",
             precision: 10,
             scale: 2,
             nullable: false
         },
+        walletAmount: {        // the part paid from the wallet; the rest was captured by Razorpay
+            type: "decimal",
+            precision: 10,
+            scale: 2,
+            default: 0
+        },
+        instalment: {          // ADVANCE and BALANCE payments of a split order each get a row
+            type: "varchar",
+            enum: Object.values(PAYMENT_INSTALMENT),
+            default: PAYMENT_INSTALMENT.FULL
+        },
         paymentStatus: {
             type: "varchar",
             nullable: false
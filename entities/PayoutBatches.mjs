@@ -0,0 +1,105 @@
+import { EntitySchema } from "typeorm";
+
+/**
+ * One Razorpay payout covering every eligible Payouts row of a vendor in a settlement cycle.
+ * Status follows the Razorpay payout lifecycle, plus `created` until Razorpay accepts the request.
+ */
+export const PayoutBatches = new EntitySchema({
+    name: "PayoutBatches",
+    tableName: "payout_batches",
+    indices: [
+        { name: "IDX_PAYOUT_BATCHES_VENDOR_ID", columns: ["vendorId"] },
+        { name: "IDX_PAYOUT_BATCHES_STATUS", columns: ["status"] },
+    ],
+    columns: {
+        id: {
+            primary: true,
+            type: "uuid",
+            generated: "uuid"
+        },
+        vendorId: {
+            type: "uuid",
+            nullable: false
+        },
+        cycle: {
+            type: "varchar",
+            nullable: false
+        },
+        razorpay_fund_account_id: {
+            type: "varchar",
+            nullable: false
+        },
+        payout_count: {
+            type: "integer",
+            nullable: false
+        },
+        gross_amount: {         // sum of the rows' expected_amount
+            type: "decimal",
+            precision: 12,
+            scale: 2,
+            nullable: false
+        },
+        deduction_amount: {     // outstanding VendorStats deductions recovered from this batch
+            type: "decimal",
+            precision: 12,
+            scale: 2,
+            default: 0
+        },
+        net_amount: {
+            type: "decimal",
+            precision: 12,
+            scale: 2,
+            nullable: false
+        },
+        status: {
+            type: "varchar",
+            nullable: false
+        },
+        payout_id: {
+            type: "varchar",
+            nullable: true,
+            unique: true
+        },
+        utr: {
+            type: "varchar",
+            nullable: true
+        },
+        mode: {
+            type: "varchar",
+            nullable: true
+        },
+        failure_reason: {
+            type: "varchar",
+            nullable: true
+        },
+        status_history: {
+            type: "jsonb",
+            nullable: true
+        },
+        initiated_by: {         // admin user id for a manual run, null for the scheduled one
+            type: "uuid",
+            nullable: true
+        },
+        createdAt: {
+            type: "timestamp",
+            createDate: true
+        },
+        updatedAt: {
+            type: "timestamp",
+            updateDate: true
+        }
+    },
+    relations: {
+        vendor: {
+            type: "many-to-one",
+            target: "Vendors",
+            joinColumn: { name: "vendorId" },
+            onDelete: "CASCADE"
+        },
+        payouts: {
+            type: "one-to-many",
+            target: "Payouts",
+            inverseSide: "batch"
+        }
+    }
+});
@@ -1,4 +1,5 @@
 import { EntitySchema } from "typeorm";
+import { PAYMENT_INSTALMENT } from "../types/enums/index.mjs";
 
 export const Payouts = new EntitySchema({
     name: "Payouts",
@@ -6,6 +7,7 @@ export const Payouts = new EntitySchema({
     indices: [
         { name: "IDX_PAYOUTS_RAZORPAY_FUND_ACCOUNT_ID", columns: ["razorpay_fund_account_id"] },
         { name: "IDX_PAYOUTS_STATUS", columns: ["status"] },
+        { name: "IDX_PAYOUTS_BATCH_ID", columns: ["batchId"] },
     ],
     columns: {
         id: {
@@ -83,6 +85,21 @@ export const Payouts = new EntitySchema({
             type: "jsonb",
             nullable: true
         },
+        batchId: {                  // set once the row is settled as part of a PayoutBatches payout
+            type: "uuid",
+            nullable: true
+        },
+        batch_deduction_amount: {   // this row's share of the deductions recovered by its batch
+            type: "decimal",
+            precision: 10,
+            scale: 2,
+            nullable: true
+        },
+        instalment: {               // split orders pay the vendor's share of the advance on capture and the rest on completion
+            type: "varchar",
+            enum: Object.values(PAYMENT_INSTALMENT),
+            default: PAYMENT_INSTALMENT.FULL
+        },
         entry_created_at: {
             type: "timestamp",
             createDate: true
@@ -102,6 +119,12 @@ export const Payouts = new EntitySchema({
             joinColumn: { name: "vendorId" },
             onDelete: "SET NULL",
             cascade: true
-        }, 
+        },
+        batch: {
+            type: "many-to-one",
+            target: "PayoutBatches",
+            joinColumn: { name: "batchId" },
+            onDelete: "SET NULL"
+        },
     }
 });
\ No newline at end of file
@@ -0,0 +1,38 @@
+import { EntitySchema } from "typeorm";
+
+/**
+ * Approximate centre point of each pincode. Orders only carry a postal address, so delivery
+ * pricing measures the distance from the vendor's location to this point.
+ * Loaded with `npm run seed:pincodes -- <file.csv>`.
+ */
+export const PincodeLocations = new EntitySchema({
+    name: "PincodeLocations",
+    tableName: "pincode_locations",
+    columns: {
+        pincode: {
+            primary: true,
+            type: "varchar",
+            length: 6
+        },
+        location: {     //  { type: 'Point', coordinates: [lng, lat] }
+            type: "geography",
+            spatialFeatureType: "Point",
+            srid: 4326,
+            nullable: false
+        },
+        city: {
+            type: "varchar",
+            nullable: true
+        },
+        state: {
+            type: "varchar",
+            nullable: true
+        },
+        updatedAt: {
+            type: "timestamp",
+            updateDate: true
+        }
+    }
+});
+
+export default PincodeLocations;
@@ -0,0 +1,101 @@
+import { EntitySchema } from "typeorm";
+import { PROMO_DISCOUNT_TYPE, PROMO_FUNDED_BY } from "../types/enums/index.mjs";
+
+/**
+ * A promo code customers can apply when paying for a quote. Limits are counted from PromoRedemptions
+ * (redeemed uses plus live reservations); `usedCount` only tracks redeemed uses for reporting.
+ */
+export const PromoCodes = new EntitySchema({
+    name: "PromoCodes",
+    tableName: "promo_codes",
+    columns: {
+        id: {
+            primary: true,
+            type: "uuid",
+            generated: "uuid"
+        },
+        code: {                 // stored upper case
+            type: "varchar",
+            unique: true
+        },
+        description: {
+            type: "varchar",
+            nullable: true
+        },
+        discountType: {
+            type: "varchar",
+            enum: Object.values(PROMO_DISCOUNT_TYPE)
+        },
+        discountValue: {        // rupees for FLAT, percent of the final price for PERCENT
+            type: "decimal",
+            precision: 10,
+            scale: 2
+        },
+        maxDiscount: {          // cap for PERCENT codes
+            type: "decimal",
+            precision: 10,
+            scale: 2,
+            nullable: true
+        },
+        minOrderAmount: {
+            type: "decimal",
+            precision: 10,
+            scale: 2,
+            nullable: true
+        },
+        firstOrderOnly: {       // only for customers without a paid order
+            type: "boolean",
+            default: false
+        },
+        usageLimit: {           // across all customers; null for unlimited
+            type: "int",
+            nullable: true
+        },
+        perUserLimit: {         // per customer; null for unlimited
+            type: "int",
+            nullable: true,
+            default: 1
+        },
+        usedCount: {
+            type: "int",
+            default: 0
+        },
+        validFrom: {
+            type: "timestamp",
+            nullable: true
+        },
+        validUntil: {
+            type: "timestamp",
+            nullable: true
+        },
+        serviceTypes: {         // SERVICE_TYPE values the code applies to; null or empty for all
+            type: "jsonb",
+            nullable: true
+        },
+        vendorIds: {            // vendors the code applies to; null or empty for all
+            type: "jsonb",
+            nullable: true
+        },
+        fundedBy: {
+            type: "varchar",
+            enum: Object.values(PROMO_FUNDED_BY),
+            default: PROMO_FUNDED_BY.PLATFORM
+        },
+        isActive: {
+            type: "boolean",
+            default: true
+        },
+        createdBy: {
+            type: "uuid",
+            nullable: true
+        },
+        createdAt: {
+            type: "timestamp",
+            createDate: true
+        },
+        updatedAt: {
+            type: "timestamp",
+            updateDate: true
+        }
+    }
+});
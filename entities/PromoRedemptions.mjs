@@ -0,0 +1,79 @@
+import { EntitySchema } from "typeorm";
+import { PROMO_FUNDED_BY, PROMO_REDEMPTION_STATUS } from "../types/enums/index.mjs";
+
+/**
+ * One use of a promo code. It is reserved with the payment attempt that applied the code and becomes
+ * REDEEMED when that payment is captured. `fundedBy` is copied from the code at the time of use.
+ */
+export const PromoRedemptions = new EntitySchema({
+    name: "PromoRedemptions",
+    tableName: "promo_redemptions",
+    indices: [
+        { name: "IDX_PROMO_REDEMPTIONS_PROMO_CODE_ID_STATUS", columns: ["promoCodeId", "status"] },
+        { name: "IDX_PROMO_REDEMPTIONS_CUSTOMER_ID", columns: ["customerId"] },
+        { name: "IDX_PROMO_REDEMPTIONS_ORDER_ID", columns: ["orderId"] },
+    ],
+    columns: {
+        id: {
+            primary: true,
+            type: "uuid",
+            generated: "uuid"
+        },
+        promoCodeId: {
+            type: "uuid"
+        },
+        customerId: {
+            type: "uuid"
+        },
+        orderId: {
+            type: "uuid"
+        },
+        quoteId: {
+            type: "uuid"
+        },
+        vendorId: {
+            type: "uuid"
+        },
+        razorpayOrderId: {      // null when the order was paid entirely from the wallet
+            type: "varchar",
+            unique: true,
+            nullable: true
+        },
+        discountAmount: {
+            type: "decimal",
+            precision: 10,
+            scale: 2
+        },
+        fundedBy: {
+            type: "varchar",
+            enum: Object.values(PROMO_FUNDED_BY)
+        },
+        status: {
+            type: "varchar",
+            enum: Object.values(PROMO_REDEMPTION_STATUS),
+            default: PROMO_REDEMPTION_STATUS.RESERVED
+        },
+        expiresAt: {            // end of the reservation; ignored once REDEEMED
+            type: "timestamp"
+        },
+        redeemedAt: {
+            type: "timestamp",
+            nullable: true
+        },
+        createdAt: {
+            type: "timestamp",
+            createDate: true
+        },
+        updatedAt: {
+            type: "timestamp",
+            updateDate: true
+        }
+    },
+    relations: {
+        promoCode: {
+            type: "many-to-one",
+            target: "PromoCodes",
+            joinColumn: { name: "promoCodeId" }
+        }
+    }
+});
@@ -0,0 +1,98 @@
+import { EntitySchema } from "typeorm";
+import { RECONCILIATION_ENTITY, RECONCILIATION_MISMATCH, RECONCILIATION_MISMATCH_STATUS } from "../types/enums/index.mjs";
+
+/**
+ * A difference between Razorpay and our tables that the reconciliation job could not heal on its own.
+ * Amounts are in paise, as Razorpay reports them.
+ */
+export const ReconciliationMismatches = new EntitySchema({
+    name: "ReconciliationMismatches",
+    tableName: "reconciliation_mismatches",
+    indices: [
+        { name: "IDX_RECONCILIATION_MISMATCHES_RUN_ID", columns: ["runId"] },
+        { name: "IDX_RECONCILIATION_MISMATCHES_STATUS", columns: ["status"] },
+        { name: "IDX_RECONCILIATION_MISMATCHES_RAZORPAY_ID", columns: ["razorpayId"] },
+    ],
+    columns: {
+        id: {
+            primary: true,
+            type: "uuid",
+            generated: "uuid"
+        },
+        runId: {
+            type: "uuid",
+            nullable: false
+        },
+        entityType: {
+            type: "varchar",
+            enum: Object.values(RECONCILIATION_ENTITY),
+            nullable: false
+        },
+        mismatchType: {
+            type: "varchar",
+            enum: Object.values(RECONCILIATION_MISMATCH),
+            nullable: false
+        },
+        razorpayId: {
+            type: "varchar",
+            nullable: false
+        },
+        localId: {              // Payments/Refunds/Payouts/PayoutBatches row id
+            type: "varchar",
+            nullable: true
+        },
+        razorpayStatus: {
+            type: "varchar",
+            nullable: true
+        },
+        localStatus: {
+            type: "varchar",
+            nullable: true
+        },
+        razorpayAmount: {
+            type: "int",
+            nullable: true
+        },
+        localAmount: {
+            type: "int",
+            nullable: true
+        },
+        details: {              // e.g. why an auto-heal was not attempted or failed
+            type: "jsonb",
+            nullable: true
+        },
+        status: {
+            type: "varchar",
+            enum: Object.values(RECONCILIATION_MISMATCH_STATUS),
+            default: RECONCILIATION_MISMATCH_STATUS.OPEN
+        },
+        resolutionNotes: {
+            type: "varchar",
+            nullable: true
+        },
+        resolvedBy: {
+            type: "uuid",
+            nullable: true
+        },
+        resolvedAt: {
+            type: "timestamp",
+            nullable: true
+        },
+        createdAt: {
+            type: "timestamp",
+            createDate: true
+        },
+        updatedAt: {
+            type: "timestamp",
+            updateDate: true
+        }
+    },
+    relations: {
+        run: {
+            type: "many-to-one",
+            target: "ReconciliationRuns",
+            joinColumn: { name: "runId" },
+            onDelete: "CASCADE"
+        }
+    }
+});
@@ -0,0 +1,57 @@
+import { EntitySchema } from "typeorm";
+import { RECONCILIATION_RUN_STATUS } from "../types/enums/index.mjs";
+
+/**
+ * One run of the Razorpay reconciliation job over a single IST day.
+ */
+export const ReconciliationRuns = new EntitySchema({
+    name: "ReconciliationRuns",
+    tableName: "reconciliation_runs",
+    indices: [
+        { name: "IDX_RECONCILIATION_RUNS_RUN_DATE", columns: ["runDate"] },
+    ],
+    columns: {
+        id: {
+            primary: true,
+            type: "uuid",
+            generated: "uuid"
+        },
+        runDate: {              // the IST day that was reconciled, YYYY-MM-DD
+            type: "date",
+            nullable: false
+        },
+        windowStart: {
+            type: "timestamp",
+            nullable: false
+        },
+        windowEnd: {
+            type: "timestamp",
+            nullable: false
+        },
+        status: {
+            type: "varchar",
+            enum: Object.values(RECONCILIATION_RUN_STATUS),
+            default: RECONCILIATION_RUN_STATUS.RUNNING
+        },
+        summary: {              // { payments|refunds|payouts: { checked, matched, healed, mismatches } }
+            type: "jsonb",
+            nullable: true
+        },
+        error: {
+            type: "varchar",
+            nullable: true
+        },
+        triggeredBy: {          // admin user id for a manual run, null for the nightly job
+            type: "uuid",
+            nullable: true
+        },
+        startedAt: {
+            type: "timestamp",
+            createDate: true
+        },
+        finishedAt: {
+            type: "timestamp",
+            nullable: true
+        }
+    }
+});
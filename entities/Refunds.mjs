@@ -3,6 +3,10 @@ import { EntitySchema } from "typeorm";
 export const Refunds = new EntitySchema({
     name: "Refunds",
     tableName: "refunds",
+    indices: [
+        { name: "refunds_payment_id_idx", columns: ["paymentId"] },
+        { name: "refunds_complaint_id_idx", columns: ["complaintId"] },
+    ],
     columns: {
         id: {
             primary: true,
@@ -13,7 +17,21 @@ export const Refunds = new EntitySchema({
             type: "varchar",
             nullable: false
         },
-        amount: {
+        razorpayRefundId: {
+            type: "varchar",
+            unique: true,
+            nullable: true
+        },
+        idempotencyKey: {          // one row per key, so a retried refund updates its row instead of adding another
+            type: "varchar",
+            unique: true,
+            nullable: true
+        },
+        complaintId: {             // the complaint whose resolution raised this refund
+            type: "uuid",
+            nullable: true
+        },
+        amount: {          // in paise, as returned by Razorpay
             type: "int",
             nullable: true
         },
@@ -37,10 +55,18 @@ export const Refunds = new EntitySchema({
             type: "varchar",
             nullable: true
         },
+        processedAt: {
+            type: "timestamp",
+            nullable: true
+        },
         createdAt: {
             type: "timestamp",
             nullable: false,
             createDate: true
+        },
+        updatedAt: {
+            type: "timestamp",
+            updateDate: true
         }
     },
 });
@@ -0,0 +1,45 @@
+import { EntitySchema } from "typeorm";
+
+/**
+ * A vendor's opening hours and capacity. A vendor without a row is always open and has no order cap.
+ * Holiday and vacation blocks are in VendorTimeOff.
+ */
+export const VendorAvailability = new EntitySchema({
+    name: "VendorAvailability",
+    tableName: "vendor_availability",
+    columns: {
+        id: {
+            primary: true,
+            type: "uuid",
+            generated: "uuid"
+        },
+        vendorId: {
+            type: "uuid",
+            unique: true
+        },
+        weeklyHours: {          // { monday: [{ open: "09:00", close: "19:00" }], ... } in IST; a missing or empty day is closed, null is always open
+            type: "jsonb",
+            nullable: true
+        },
+        maxConcurrentOrders: {  // compared with VendorStats.totalInProgressOrders; null is no cap
+            type: "int",
+            nullable: true
+        },
+        createdAt: {
+            type: "timestamp",
+            createDate: true
+        },
+        updatedAt: {
+            type: "timestamp",
+            updateDate: true
+        }
+    },
+    relations: {
+        vendor: {
+            type: "one-to-one",
+            target: "Vendors",
+            joinColumn: { name: "vendorId" },
+            onDelete: "CASCADE"
+        }
+    }
+});
@@ -0,0 +1,74 @@
+import { EntitySchema } from "typeorm";
+import { CATALOG_UNIT } from "../types/enums/index.mjs";
+
+/**
+ * A service a vendor offers with its starting price, e.g. "Blouse stitching" from ₹450 per piece in 5 days.
+ * Prices are a guide for customers and the binding amount is the vendor's quote on an order, except for entries
+ * the vendor has opened for instant booking: their price is fixed and an order made only of such entries is
+ * quoted automatically.
+ * Order items that reference an entry keep a copy of its price and unit, so later edits don't change past orders.
+ */
+export const VendorCatalogItems = new EntitySchema({
+    name: "VendorCatalogItems",
+    tableName: "vendor_catalog_items",
+    indices: [
+        { name: "IDX_VENDOR_CATALOG_ITEMS_VENDOR_ID_ACTIVE", columns: ["vendorId", "isActive"] },
+        // GIN trigram index created by the AddVendorCatalog migration for catalog search
+        { name: "vendor_catalog_items_name_trgm_idx", columns: ["name"], synchronize: false },
+    ],
+    columns: {
+        id: {
+            primary: true,
+            type: "uuid",
+            generated: "uuid"
+        },
+        vendorId: {
+            type: "uuid"
+        },
+        name: {
+            type: "varchar",
+            length: 100
+        },
+        description: {
+            type: "varchar",
+            length: 500,
+            nullable: true
+        },
+        basePrice: {
+            type: "numeric",
+            precision: 10,
+            scale: 2
+        },
+        unit: {
+            type: "varchar",
+            enum: Object.values(CATALOG_UNIT)
+        },
+        turnaroundDays: {
+            type: "int"
+        },
+        instantBook: {          // fixed price; orders can be booked and paid without waiting for a quote
+            type: "boolean",
+            default: false
+        },
+        isActive: {             // inactive entries stay listed for the vendor but are hidden from customers
+            type: "boolean",
+            default: true
+        },
+        createdAt: {
+            type: "timestamp",
+            createDate: true
+        },
+        updatedAt: {
+            type: "timestamp",
+            updateDate: true
+        }
+    },
+    relations: {
+        vendor: {
+            type: "many-to-one",
+            target: "Vendors",
+            joinColumn: { name: "vendorId" },
+            onDelete: "CASCADE"
+        }
+    }
+});
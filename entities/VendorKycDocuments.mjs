@@ -0,0 +1,70 @@
+import { EntitySchema } from "typeorm";
+import { KYC_DOCUMENT_STATUS, KYC_DOCUMENT_TYPE } from "../types/enums/index.mjs";
+
+/**
+ * The current copy of each KYC document a vendor has submitted, one row per document type, with its review state.
+ * `urlPath` mirrors the matching path on Vendors (aadhaarUrlPath, bankPassbookUrlPath, shopDocumentUrlPath).
+ * Every submission and review decision is kept in VendorKycReviews.
+ */
+export const VendorKycDocuments = new EntitySchema({
+    name: "VendorKycDocuments",
+    tableName: "vendor_kyc_documents",
+    indices: [
+        { name: "IDX_VENDOR_KYC_DOCUMENTS_VENDOR_ID_TYPE", columns: ["vendorId", "documentType"], unique: true },
+        { name: "IDX_VENDOR_KYC_DOCUMENTS_STATUS", columns: ["status"] },
+    ],
+    columns: {
+        id: {
+            primary: true,
+            type: "uuid",
+            generated: "uuid"
+        },
+        vendorId: {
+            type: "uuid"
+        },
+        documentType: {
+            type: "varchar",
+            enum: Object.values(KYC_DOCUMENT_TYPE)
+        },
+        urlPath: {
+            type: "varchar"
+        },
+        status: {
+            type: "varchar",
+            enum: Object.values(KYC_DOCUMENT_STATUS),
+            default: KYC_DOCUMENT_STATUS.SUBMITTED
+        },
+        reviewNote: {           // why it was rejected or needs resubmitting
+            type: "varchar",
+            length: 500,
+            nullable: true
+        },
+        submittedAt: {
+            type: "timestamp"
+        },
+        reviewedAt: {
+            type: "timestamp",
+            nullable: true
+        },
+        reviewedBy: {           // admin user id
+            type: "uuid",
+            nullable: true
+        },
+        createdAt: {
+            type: "timestamp",
+            createDate: true
+        },
+        updatedAt: {
+            type: "timestamp",
+            updateDate: true
+        }
+    },
+    relations: {
+        vendor: {
+            type: "many-to-one",
+            target: "Vendors",
+            joinColumn: { name: "vendorId" },
+            onDelete: "CASCADE"
+        }
+    }
+});
@@ -0,0 +1,64 @@
+import { EntitySchema } from "typeorm";
+import { KYC_DOCUMENT_TYPE, KYC_REVIEW_ACTION } from "../types/enums/index.mjs";
+
+/**
+ * Append-only KYC history for a vendor, next to VendorAudit: every document submission and resubmission, every
+ * review decision, and the final verify / reject of the vendor (documentType null).
+ */
+export const VendorKycReviews = new EntitySchema({
+    name: "VendorKycReviews",
+    tableName: "vendor_kyc_reviews",
+    indices: [
+        { name: "IDX_VENDOR_KYC_REVIEWS_VENDOR_ID_CREATED_AT", columns: ["vendorId", "createdAt"] },
+    ],
+    columns: {
+        id: {
+            primary: true,
+            type: "uuid",
+            generated: "uuid"
+        },
+        vendorId: {
+            type: "uuid"
+        },
+        documentId: {
+            type: "uuid",
+            nullable: true
+        },
+        documentType: {
+            type: "varchar",
+            enum: Object.values(KYC_DOCUMENT_TYPE),
+            nullable: true
+        },
+        action: {
+            type: "varchar",
+            enum: Object.values(KYC_REVIEW_ACTION)
+        },
+        urlPath: {              // the copy that was submitted or reviewed
+            type: "varchar",
+            nullable: true
+        },
+        reason: {
+            type: "varchar",
+            length: 500,
+            nullable: true
+        },
+        actorId: {              // vendor id or admin user id
+            type: "uuid"
+        },
+        actorRole: {
+            type: "varchar"
+        },
+        createdAt: {
+            type: "timestamp",
+            createDate: true
+        }
+    },
+    relations: {
+        vendor: {
+            type: "many-to-one",
+            target: "Vendors",
+            joinColumn: { name: "vendorId" },
+            onDelete: "CASCADE"
+        }
+    }
+});
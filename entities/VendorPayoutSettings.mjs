@@ -0,0 +1,64 @@
+import { EntitySchema } from "typeorm";
+import { PAYOUT_CYCLE } from "../types/enums/index.mjs";
+
+/**
+ * Per-vendor overrides of the global `payout_schedule` setting. A vendor without a row follows the global schedule.
+ */
+export const VendorPayoutSettings = new EntitySchema({
+    name: "VendorPayoutSettings",
+    tableName: "vendor_payout_settings",
+    columns: {
+        id: {
+            primary: true,
+            type: "uuid",
+            generated: "uuid"
+        },
+        vendorId: {
+            type: "uuid",
+            unique: true
+        },
+        cycle: {                // null: use the global cycle
+            type: "varchar",
+            enum: Object.values(PAYOUT_CYCLE),
+            nullable: true
+        },
+        thresholdAmount: {
+            type: "decimal",
+            precision: 10,
+            scale: 2,
+            nullable: true
+        },
+        isOnHold: {             // payouts keep accumulating but nothing is paid, manually or in a batch
+            type: "boolean",
+            default: false
+        },
+        holdReason: {
+            type: "varchar",
+            nullable: true
+        },
+        isExcluded: {           // left out of batch payouts; an admin pays each payout through processPayout
+            type: "boolean",
+            default: false
+        },
+        updatedBy: {
+            type: "uuid",
+            nullable: true
+        },
+        createdAt: {
+            type: "timestamp",
+            createDate: true
+        },
+        updatedAt: {
+            type: "timestamp",
+            updateDate: true
+        }
+    },
+    relations: {
+        vendor: {
+            type: "one-to-one",
+            target: "Vendors",
+            joinColumn: { name: "vendorId" },
+            onDelete: "CASCADE"
+        }
+    }
+});
@@ -36,6 +36,12 @@ export const VendorStats = new EntitySchema({
             scale: 2,
             default: 0
         },
+        recoveredDeductions: {      // part of totalDeductions already taken out of batch payouts
+            type: "numeric",
+            precision: 12,
+            scale: 2,
+            default: 0
+        },
         updatedAt: {
             type: "timestamp",
             updateDate: true
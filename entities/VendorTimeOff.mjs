@@ -0,0 +1,51 @@
+import { EntitySchema } from "typeorm";
+import { VENDOR_TIME_OFF_TYPE } from "../types/enums/index.mjs";
+
+/**
+ * A holiday or vacation block. While one is running the vendor can't receive new requests, and the response timer
+ * of requests already sent is paused.
+ */
+export const VendorTimeOff = new EntitySchema({
+    name: "VendorTimeOff",
+    tableName: "vendor_time_off",
+    indices: [
+        { name: "IDX_VENDOR_TIME_OFF_VENDOR_ID_ENDS_AT", columns: ["vendorId", "endsAt"] },
+    ],
+    columns: {
+        id: {
+            primary: true,
+            type: "uuid",
+            generated: "uuid"
+        },
+        vendorId: {
+            type: "uuid"
+        },
+        type: {
+            type: "varchar",
+            enum: Object.values(VENDOR_TIME_OFF_TYPE)
+        },
+        startsAt: {
+            type: "timestamp"
+        },
+        endsAt: {
+            type: "timestamp"
+        },
+        reason: {
+            type: "varchar",
+            length: 200,
+            nullable: true
+        },
+        createdAt: {
+            type: "timestamp",
+            createDate: true
+        }
+    },
+    relations: {
+        vendor: {
+            type: "many-to-one",
+            target: "Vendors",
+            joinColumn: { name: "vendorId" },
+            onDelete: "CASCADE"
+        }
+    }
+});
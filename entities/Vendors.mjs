@@ -1,5 +1,5 @@
 import { EntitySchema } from "typeorm";
-import { SHOP_TYPE, OWNERSHIP_TYPE, SERVICE_TYPE, VENDOR_STATUS } from "../types/enums/index.mjs";
+import { SHOP_TYPE, OWNERSHIP_TYPE, SERVICE_TYPE, VENDOR_STATUS, BANK_VALIDATION_STATUS } from "../types/enums/index.mjs";
 
 export const Vendors = new EntitySchema({
     name: "Vendors",
@@ -13,7 +13,13 @@ export const Vendors = new EntitySchema({
         { name: "vendor_shopname_idx", columns: ["shopName"] },
         { name: "vendor_servicetype_idx", columns: ["serviceType"] },
         { name: "vendor_status_idx", columns: ["status"] },
-        { name: "vendor_razorpay_fund_account_id_idx", columns: ["razorpay_fund_account_id"] }
+        { name: "vendor_razorpay_fund_account_id_idx", columns: ["razorpay_fund_account_id"] },
+        // GIN indexes created by the AddVendorSearchIndex migration; TypeORM can't describe them, so it leaves them alone
+        { name: "vendor_search_vector_idx", columns: ["searchVector"], synchronize: false },
+        { name: "vendor_shopname_trgm_idx", columns: ["shopName"], synchronize: false },
+        { name: "vendor_services_trgm_idx", columns: ["vendorServices"], synchronize: false },
+        { name: "vendor_city_trgm_idx", columns: ["city"], synchronize: false },
+        { name: "vendor_district_trgm_idx", columns: ["district"], synchronize: false }
     ],
     columns: {
         id: {
@@ -121,6 +127,28 @@ export const Vendors = new EntitySchema({
             type: "varchar",
             nullable: true
         },
+        bankValidationStatus: {     // penny-drop result for razorpay_fund_account_id; payouts need VALID
+            type: "varchar",
+            enum: Object.values(BANK_VALIDATION_STATUS),
+            default: BANK_VALIDATION_STATUS.NOT_VALIDATED
+        },
+        bankValidationId: {         // the latest Razorpay fund account validation (fav_...)
+            type: "varchar",
+            nullable: true
+        },
+        bankRegisteredName: {       // account holder name as reported by the bank
+            type: "varchar",
+            nullable: true
+        },
+        bankValidationNote: {
+            type: "varchar",
+            length: 500,
+            nullable: true
+        },
+        bankValidatedAt: {
+            type: "timestamp",
+            nullable: true
+        },
         location: {     //  { type: 'Point', coordinates: [lng, lat] }
             type: "geography",
             spatialFeatureType: "Point", 
@@ -161,6 +189,15 @@ export const Vendors = new EntitySchema({
             scale: 2,
             default: 0
         },
+        searchVector: {     // weighted full-text document: shop name (A), services (B), description (C), city + district (D)
+            type: "tsvector",
+            nullable: true,
+            select: false,
+            insert: false,
+            update: false,
+            generatedType: "STORED",
+            asExpression: `setweight(to_tsvector('english', coalesce("shopName", '')), 'A') || setweight(to_tsvector('english', coalesce("vendorServices", '')), 'B') || setweight(to_tsvector('english', coalesce("shopDescription", '')), 'C') || setweight(to_tsvector('english', coalesce("city", '') || ' ' || coalesce("district", '')), 'D')`
+        },
         status: {
             type: "varchar",
             enum: Object.values(VENDOR_STATUS),
@@ -0,0 +1,87 @@
+import { EntitySchema } from "typeorm";
+import { WALLET_TRANSACTION_SOURCE, WALLET_TRANSACTION_TYPE } from "../types/enums/index.mjs";
+
+/**
+ * A customer's wallet history. Each CREDIT is a lot with its own expiry; `remainingAmount` is what is left of it.
+ * A DEBIT spends lots soonest-expiring first and lists them in `allocations`, so the balance is always
+ * the sum of `remainingAmount` over unexpired credits.
+ */
+export const WalletTransactions = new EntitySchema({
+    name: "WalletTransactions",
+    tableName: "wallet_transactions",
+    indices: [
+        { name: "IDX_WALLET_TRANSACTIONS_CUSTOMER_ID_CREATED_AT", columns: ["customerId", "createdAt"] },
+        { name: "IDX_WALLET_TRANSACTIONS_EXPIRES_AT", columns: ["expiresAt"] },
+        { name: "IDX_WALLET_TRANSACTIONS_ORDER_ID", columns: ["orderId"] },
+    ],
+    columns: {
+        id: {
+            primary: true,
+            type: "uuid",
+            generated: "uuid"
+        },
+        customerId: {
+            type: "uuid"
+        },
+        type: {
+            type: "varchar",
+            enum: Object.values(WALLET_TRANSACTION_TYPE)
+        },
+        source: {
+            type: "varchar",
+            enum: Object.values(WALLET_TRANSACTION_SOURCE)
+        },
+        amount: {
+            type: "decimal",
+            precision: 10,
+            scale: 2
+        },
+        remainingAmount: {      // credits only
+            type: "decimal",
+            precision: 10,
+            scale: 2,
+            nullable: true
+        },
+        expiresAt: {            // credits only; null never expires
+            type: "timestamp",
+            nullable: true
+        },
+        allocations: {          // debits only: [{ creditId, amount }]
+            type: "jsonb",
+            nullable: true
+        },
+        orderId: {
+            type: "uuid",
+            nullable: true
+        },
+        paymentId: {
+            type: "uuid",
+            nullable: true
+        },
+        idempotencyKey: {
+            type: "varchar",
+            unique: true,
+            nullable: true
+        },
+        notes: {
+            type: "varchar",
+            length: 500,
+            nullable: true
+        },
+        createdBy: {            // admin user id for grants
+            type: "uuid",
+            nullable: true
+        },
+        createdAt: {
+            type: "timestamp",
+            createDate: true
+        }
+    },
+    relations: {
+        customer: {
+            type: "many-to-one",
+            target: "Customers",
+            joinColumn: { name: "customerId" }
+        }
+    }
+});
@@ -0,0 +1,22 @@
+/**
+ * @typedef {import('typeorm').MigrationInterface} MigrationInterface
+ */
+
+/**
+ * @class
+ * @implements {MigrationInterface}
+ */
+module.exports = class AddOrderStageToOrders1758000000000 {
+    name = 'AddOrderStageToOrders1758000000000'
+
+    async up(queryRunner) {
+        await queryRunner.query(`ALTER TABLE "orders" ADD "orderStage" character varying NOT NULL DEFAULT 'PENDING'`);
+        await queryRunner.query(`UPDATE "orders" SET "orderStage" = "orderStatus"`);
+        // Orders already in progress take their stage from the latest timeline entry
+        await queryRunner.query(`UPDATE "orders" o SET "orderStage" = t."newStatus" FROM (SELECT DISTINCT ON ("orderId") "orderId", "newStatus" FROM "orderStatusTimeline" ORDER BY "orderId", "changedAt" DESC) t WHERE t."orderId" = o."id" AND o."orderStatus" = 'IN_PROGRESS'`);
+    }
+
+    async down(queryRunner) {
+        await queryRunner.query(`ALTER TABLE "orders" DROP COLUMN "orderStage"`);
+    }
+}
@@ -0,0 +1,25 @@
+/**
+ * @typedef {import('typeorm').MigrationInterface} MigrationInterface
+ */
+
+/**
+ * @class
+ * @implements {MigrationInterface}
+ */
+module.exports = class AddProviderFieldsToDeliveryTracking1758100000000 {
+    name = 'AddProviderFieldsToDeliveryTracking1758100000000'
+
+    async up(queryRunner) {
+        await queryRunner.query(`ALTER TABLE "deliveryTracking" ADD "provider" character varying`);
+        await queryRunner.query(`ALTER TABLE "deliveryTracking" ADD "providerShipmentId" character varying`);
+        await queryRunner.query(`ALTER TABLE "deliveryTracking" ADD "providerFare" numeric(10,2)`);
+        await queryRunner.query(`CREATE INDEX "delivery_tracking_provider_shipment_id_idx" ON "deliveryTracking" ("providerShipmentId") `);
+    }
+
+    async down(queryRunner) {
+        await queryRunner.query(`DROP INDEX "public"."delivery_tracking_provider_shipment_id_idx"`);
+        await queryRunner.query(`ALTER TABLE "deliveryTracking" DROP COLUMN "providerFare"`);
+        await queryRunner.query(`ALTER TABLE "deliveryTracking" DROP COLUMN "providerShipmentId"`);
+        await queryRunner.query(`ALTER TABLE "deliveryTracking" DROP COLUMN "provider"`);
+    }
+}
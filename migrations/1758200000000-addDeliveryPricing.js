@@ -0,0 +1,21 @@
+/**
+ * @typedef {import('typeorm').MigrationInterface} MigrationInterface
+ */
+
+/**
+ * @class
+ * @implements {MigrationInterface}
+ */
+module.exports = class AddDeliveryPricing1758200000000 {
+    name = 'AddDeliveryPricing1758200000000'
+
+    async up(queryRunner) {
+        await queryRunner.query(`CREATE TABLE "pincode_locations" ("pincode" character varying(6) NOT NULL, "location" geography(Point,4326) NOT NULL, "city" character varying, "state" character varying, "updatedAt" TIMESTAMP NOT NULL DEFAULT now(), CONSTRAINT "PK_pincode_locations_pincode" PRIMARY KEY ("pincode"))`);
+        await queryRunner.query(`ALTER TABLE "order_quotes" ADD "deliveryChargeBreakdown" jsonb`);
+    }
+
+    async down(queryRunner) {
+        await queryRunner.query(`ALTER TABLE "order_quotes" DROP COLUMN "deliveryChargeBreakdown"`);
+        await queryRunner.query(`DROP TABLE "pincode_locations"`);
+    }
+}
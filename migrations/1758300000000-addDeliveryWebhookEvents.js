@@ -0,0 +1,23 @@
+/**
+ * @typedef {import('typeorm').MigrationInterface} MigrationInterface
+ */
+
+/**
+ * @class
+ * @implements {MigrationInterface}
+ */
+module.exports = class AddDeliveryWebhookEvents1758300000000 {
+    name = 'AddDeliveryWebhookEvents1758300000000'
+
+    async up(queryRunner) {
+        await queryRunner.query(`CREATE TABLE "delivery_webhook_events" ("id" uuid NOT NULL DEFAULT uuid_generate_v4(), "provider" character varying NOT NULL, "providerEventId" character varying NOT NULL, "deliveryTrackingId" uuid, "deliveryStatus" character varying, "payload" jsonb NOT NULL, "processingStatus" character varying NOT NULL DEFAULT 'RECEIVED', "failureReason" text, "attempts" integer NOT NULL DEFAULT '0', "processedAt" TIMESTAMP, "receivedAt" TIMESTAMP NOT NULL DEFAULT now(), CONSTRAINT "PK_delivery_webhook_events_id" PRIMARY KEY ("id"))`);
+        await queryRunner.query(`CREATE UNIQUE INDEX "delivery_webhook_events_provider_event_id_idx" ON "delivery_webhook_events" ("provider", "providerEventId") `);
+        await queryRunner.query(`CREATE INDEX "delivery_webhook_events_delivery_tracking_id_idx" ON "delivery_webhook_events" ("deliveryTrackingId") `);
+    }
+
+    async down(queryRunner) {
+        await queryRunner.query(`DROP INDEX "public"."delivery_webhook_events_delivery_tracking_id_idx"`);
+        await queryRunner.query(`DROP INDEX "public"."delivery_webhook_events_provider_event_id_idx"`);
+        await queryRunner.query(`DROP TABLE "delivery_webhook_events"`);
+    }
+}
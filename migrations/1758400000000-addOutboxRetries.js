@@ -0,0 +1,27 @@
+/**
+ * @typedef {import('typeorm').MigrationInterface} MigrationInterface
+ */
+
+/**
+ * @class
+ * @implements {MigrationInterface}
+ */
+module.exports = class AddOutboxRetries1758400000000 {
+    name = 'AddOutboxRetries1758400000000'
+
+    async up(queryRunner) {
+        await queryRunner.query(`ALTER TABLE "outbox" ADD "attempts" integer NOT NULL DEFAULT '0'`);
+        await queryRunner.query(`ALTER TABLE "outbox" ADD "nextAttemptAt" TIMESTAMP`);
+        await queryRunner.query(`CREATE INDEX "IDX_OUTBOX_DUE_MESSAGES" ON "outbox" ("status", "nextAttemptAt") `);
+        // FAILED messages were never retried; DEAD keeps them visible and lets an admin requeue them
+        await queryRunner.query(`UPDATE "outbox" SET "status" = 'DEAD', "attempts" = 1 WHERE "status" = 'FAILED'`);
+    }
+
+    async down(queryRunner) {
+        await queryRunner.query(`UPDATE "outbox" SET "status" = 'FAILED' WHERE "status" = 'DEAD'`);
+        await queryRunner.query(`UPDATE "outbox" SET "status" = 'PENDING' WHERE "status" = 'PROCESSING'`);
+        await queryRunner.query(`DROP INDEX "public"."IDX_OUTBOX_DUE_MESSAGES"`);
+        await queryRunner.query(`ALTER TABLE "outbox" DROP COLUMN "nextAttemptAt"`);
+        await queryRunner.query(`ALTER TABLE "outbox" DROP COLUMN "attempts"`);
+    }
+}
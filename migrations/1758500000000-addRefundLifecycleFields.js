@@ -0,0 +1,31 @@
+/**
+ * @typedef {import('typeorm').MigrationInterface} MigrationInterface
+ */
+
+/**
+ * @class
+ * @implements {MigrationInterface}
+ */
+module.exports = class AddRefundLifecycleFields1758500000000 {
+    name = 'AddRefundLifecycleFields1758500000000'
+
+    async up(queryRunner) {
+        await queryRunner.query(`ALTER TABLE "refunds" ADD "razorpayRefundId" character varying`);
+        await queryRunner.query(`ALTER TABLE "refunds" ADD CONSTRAINT "UQ_refunds_razorpay_refund_id" UNIQUE ("razorpayRefundId")`);
+        await queryRunner.query(`ALTER TABLE "refunds" ADD "idempotencyKey" character varying`);
+        await queryRunner.query(`ALTER TABLE "refunds" ADD CONSTRAINT "UQ_refunds_idempotency_key" UNIQUE ("idempotencyKey")`);
+        await queryRunner.query(`ALTER TABLE "refunds" ADD "processedAt" TIMESTAMP`);
+        await queryRunner.query(`ALTER TABLE "refunds" ADD "updatedAt" TIMESTAMP NOT NULL DEFAULT now()`);
+        await queryRunner.query(`CREATE INDEX "refunds_payment_id_idx" ON "refunds" ("paymentId") `);
+    }
+
+    async down(queryRunner) {
+        await queryRunner.query(`DROP INDEX "public"."refunds_payment_id_idx"`);
+        await queryRunner.query(`ALTER TABLE "refunds" DROP COLUMN "updatedAt"`);
+        await queryRunner.query(`ALTER TABLE "refunds" DROP COLUMN "processedAt"`);
+        await queryRunner.query(`ALTER TABLE "refunds" DROP CONSTRAINT "UQ_refunds_idempotency_key"`);
+        await queryRunner.query(`ALTER TABLE "refunds" DROP COLUMN "idempotencyKey"`);
+        await queryRunner.query(`ALTER TABLE "refunds" DROP CONSTRAINT "UQ_refunds_razorpay_refund_id"`);
+        await queryRunner.query(`ALTER TABLE "refunds" DROP COLUMN "razorpayRefundId"`);
+    }
+}
@@ -0,0 +1,28 @@
+/**
+ * @typedef {import('typeorm').MigrationInterface} MigrationInterface
+ */
+
+/**
+ * @class
+ * @implements {MigrationInterface}
+ */
+module.exports = class AddComplaintResolutionOutcome1758600000000 {
+    name = 'AddComplaintResolutionOutcome1758600000000'
+
+    async up(queryRunner) {
+        await queryRunner.query(`ALTER TABLE "complaints" ADD "resolutionOutcome" character varying`);
+        await queryRunner.query(`ALTER TABLE "complaints" ADD "refundAmount" numeric(10,2)`);
+        await queryRunner.query(`ALTER TABLE "complaints" ADD "razorpayRefundId" character varying`);
+        await queryRunner.query(`ALTER TABLE "complaints" ADD "vendorDeductionAmount" numeric(10,2)`);
+        await queryRunner.query(`ALTER TABLE "complaints" ADD "resolvedBy" uuid`);
+        await queryRunner.query(`UPDATE "complaints" SET "resolutionOutcome" = 'NO_ACTION' WHERE "isResolved" = true`);
+    }
+
+    async down(queryRunner) {
+        await queryRunner.query(`ALTER TABLE "complaints" DROP COLUMN "resolvedBy"`);
+        await queryRunner.query(`ALTER TABLE "complaints" DROP COLUMN "vendorDeductionAmount"`);
+        await queryRunner.query(`ALTER TABLE "complaints" DROP COLUMN "razorpayRefundId"`);
+        await queryRunner.query(`ALTER TABLE "complaints" DROP COLUMN "refundAmount"`);
+        await queryRunner.query(`ALTER TABLE "complaints" DROP COLUMN "resolutionOutcome"`);
+    }
+}
@@ -0,0 +1,46 @@
+/**
+ * @typedef {import('typeorm').MigrationInterface} MigrationInterface
+ */
+
+/**
+ * @class
+ * @implements {MigrationInterface}
+ */
+module.exports = class AddComplaintTickets1758700000000 {
+    name = 'AddComplaintTickets1758700000000'
+
+    async up(queryRunner) {
+        await queryRunner.query(`ALTER TABLE "complaints" ADD "raisedByRole" character varying`);
+        await queryRunner.query(`ALTER TABLE "complaints" ADD "category" character varying NOT NULL DEFAULT 'OTHER'`);
+        await queryRunner.query(`ALTER TABLE "complaints" ADD "priority" character varying NOT NULL DEFAULT 'MEDIUM'`);
+        await queryRunner.query(`ALTER TABLE "complaints" ADD "status" character varying NOT NULL DEFAULT 'OPEN'`);
+        await queryRunner.query(`ALTER TABLE "complaints" ADD "attachments" jsonb`);
+        await queryRunner.query(`ALTER TABLE "complaints" ADD "lastActivityAt" TIMESTAMP`);
+        await queryRunner.query(`ALTER TABLE "complaints" ADD "updatedAt" TIMESTAMP NOT NULL DEFAULT now()`);
+        await queryRunner.query(`UPDATE "complaints" SET "status" = 'RESOLVED' WHERE "isResolved" = true`);
+        await queryRunner.query(`UPDATE "complaints" SET "raisedByRole" = CASE WHEN "vendorId" IS NOT NULL THEN 'vendor' ELSE 'customer' END, "lastActivityAt" = COALESCE("resolvedAt", "createdAt")`);
+        await queryRunner.query(`CREATE INDEX "complaints_status_idx" ON "complaints" ("status") `);
+        await queryRunner.query(`CREATE INDEX "complaints_customer_id_idx" ON "complaints" ("customerId") `);
+        await queryRunner.query(`CREATE INDEX "complaints_vendor_id_idx" ON "complaints" ("vendorId") `);
+
+        await queryRunner.query(`CREATE TABLE "complaint_replies" ("id" uuid NOT NULL DEFAULT uuid_generate_v4(), "complaintId" uuid NOT NULL, "authorUserId" uuid NOT NULL, "authorRole" character varying NOT NULL, "message" text NOT NULL, "attachments" jsonb, "statusAfter" character varying, "createdAt" TIMESTAMP NOT NULL DEFAULT now(), CONSTRAINT "PK_complaint_replies_id" PRIMARY KEY ("id"))`);
+        await queryRunner.query(`CREATE INDEX "complaint_replies_complaint_id_created_at_idx" ON "complaint_replies" ("complaintId", "createdAt") `);
+        await queryRunner.query(`ALTER TABLE "complaint_replies" ADD CONSTRAINT "FK_complaint_replies_complaint_id" FOREIGN KEY ("complaintId") REFERENCES "complaints"("id") ON DELETE CASCADE ON UPDATE NO ACTION`);
+    }
+
+    async down(queryRunner) {
+        await queryRunner.query(`ALTER TABLE "complaint_replies" DROP CONSTRAINT "FK_complaint_replies_complaint_id"`);
+        await queryRunner.query(`DROP INDEX "public"."complaint_replies_complaint_id_created_at_idx"`);
+        await queryRunner.query(`DROP TABLE "complaint_replies"`);
+        await queryRunner.query(`DROP INDEX "public"."complaints_vendor_id_idx"`);
+        await queryRunner.query(`DROP INDEX "public"."complaints_customer_id_idx"`);
+        await queryRunner.query(`DROP INDEX "public"."complaints_status_idx"`);
+        await queryRunner.query(`ALTER TABLE "complaints" DROP COLUMN "updatedAt"`);
+        await queryRunner.query(`ALTER TABLE "complaints" DROP COLUMN "lastActivityAt"`);
+        await queryRunner.query(`ALTER TABLE "complaints" DROP COLUMN "attachments"`);
+        await queryRunner.query(`ALTER TABLE "complaints" DROP COLUMN "status"`);
+        await queryRunner.query(`ALTER TABLE "complaints" DROP COLUMN "priority"`);
+        await queryRunner.query(`ALTER TABLE "complaints" DROP COLUMN "category"`);
+        await queryRunner.query(`ALTER TABLE "complaints" DROP COLUMN "raisedByRole"`);
+    }
+}
@@ -0,0 +1,42 @@
+/**
+ * @typedef {import('typeorm').MigrationInterface} MigrationInterface
+ */
+
+/**
+ * @class
+ * @implements {MigrationInterface}
+ */
+module.exports = class AddPayoutBatches1758800000000 {
+    name = 'AddPayoutBatches1758800000000'
+
+    async up(queryRunner) {
+        await queryRunner.query(`CREATE TABLE "payout_batches" ("id" uuid NOT NULL DEFAULT uuid_generate_v4(), "vendorId" uuid NOT NULL, "cycle" character varying NOT NULL, "razorpay_fund_account_id" character varying NOT NULL, "payout_count" integer NOT NULL, "gross_amount" numeric(12,2) NOT NULL, "deduction_amount" numeric(12,2) NOT NULL DEFAULT '0', "net_amount" numeric(12,2) NOT NULL, "status" character varying NOT NULL, "payout_id" character varying, "utr" character varying, "mode" character varying, "failure_reason" character varying, "status_history" jsonb, "initiated_by" uuid, "createdAt" TIMESTAMP NOT NULL DEFAULT now(), "updatedAt" TIMESTAMP NOT NULL DEFAULT now(), CONSTRAINT "UQ_payout_batches_payout_id" UNIQUE ("payout_id"), CONSTRAINT "PK_payout_batches_id" PRIMARY KEY ("id"))`);
+        await queryRunner.query(`CREATE INDEX "IDX_PAYOUT_BATCHES_VENDOR_ID" ON "payout_batches" ("vendorId") `);
+        await queryRunner.query(`CREATE INDEX "IDX_PAYOUT_BATCHES_STATUS" ON "payout_batches" ("status") `);
+        await queryRunner.query(`ALTER TABLE "payout_batches" ADD CONSTRAINT "FK_payout_batches_vendor_id" FOREIGN KEY ("vendorId") REFERENCES "vendors"("id") ON DELETE CASCADE ON UPDATE NO ACTION`);
+
+        await queryRunner.query(`CREATE TABLE "vendor_payout_settings" ("id" uuid NOT NULL DEFAULT uuid_generate_v4(), "vendorId" uuid NOT NULL, "cycle" character varying, "thresholdAmount" numeric(10,2), "isOnHold" boolean NOT NULL DEFAULT false, "holdReason" character varying, "isExcluded" boolean NOT NULL DEFAULT false, "updatedBy" uuid, "createdAt" TIMESTAMP NOT NULL DEFAULT now(), "updatedAt" TIMESTAMP NOT NULL DEFAULT now(), CONSTRAINT "UQ_vendor_payout_settings_vendor_id" UNIQUE ("vendorId"), CONSTRAINT "PK_vendor_payout_settings_id" PRIMARY KEY ("id"))`);
+        await queryRunner.query(`ALTER TABLE "vendor_payout_settings" ADD CONSTRAINT "FK_vendor_payout_settings_vendor_id" FOREIGN KEY ("vendorId") REFERENCES "vendors"("id") ON DELETE CASCADE ON UPDATE NO ACTION`);
+
+        await queryRunner.query(`ALTER TABLE "payouts" ADD "batchId" uuid`);
+        await queryRunner.query(`ALTER TABLE "payouts" ADD "batch_deduction_amount" numeric(10,2)`);
+        await queryRunner.query(`CREATE INDEX "IDX_PAYOUTS_BATCH_ID" ON "payouts" ("batchId") `);
+        await queryRunner.query(`ALTER TABLE "payouts" ADD CONSTRAINT "FK_payouts_batch_id" FOREIGN KEY ("batchId") REFERENCES "payout_batches"("id") ON DELETE SET NULL ON UPDATE NO ACTION`);
+
+        await queryRunner.query(`ALTER TABLE "vendor_stats" ADD "recoveredDeductions" numeric(12,2) NOT NULL DEFAULT '0'`);
+    }
+
+    async down(queryRunner) {
+        await queryRunner.query(`ALTER TABLE "vendor_stats" DROP COLUMN "recoveredDeductions"`);
+        await queryRunner.query(`ALTER TABLE "payouts" DROP CONSTRAINT "FK_payouts_batch_id"`);
+        await queryRunner.query(`DROP INDEX "public"."IDX_PAYOUTS_BATCH_ID"`);
+        await queryRunner.query(`ALTER TABLE "payouts" DROP COLUMN "batch_deduction_amount"`);
+        await queryRunner.query(`ALTER TABLE "payouts" DROP COLUMN "batchId"`);
+        await queryRunner.query(`ALTER TABLE "vendor_payout_settings" DROP CONSTRAINT "FK_vendor_payout_settings_vendor_id"`);
+        await queryRunner.query(`DROP TABLE "vendor_payout_settings"`);
+        await queryRunner.query(`ALTER TABLE "payout_batches" DROP CONSTRAINT "FK_payout_batches_vendor_id"`);
+        await queryRunner.query(`DROP INDEX "public"."IDX_PAYOUT_BATCHES_STATUS"`);
+        await queryRunner.query(`DROP INDEX "public"."IDX_PAYOUT_BATCHES_VENDOR_ID"`);
+        await queryRunner.query(`DROP TABLE "payout_batches"`);
+    }
+}
@@ -0,0 +1,36 @@
+/**
+ * @typedef {import('typeorm').MigrationInterface} MigrationInterface
+ */
+
+/**
+ * @class
+ * @implements {MigrationInterface}
+ */
+module.exports = class AddLedger1758900000000 {
+    name = 'AddLedger1758900000000'
+
+    async up(queryRunner) {
+        await queryRunner.query(`CREATE TABLE "ledger_entries" ("id" uuid NOT NULL DEFAULT uuid_generate_v4(), "entryType" character varying NOT NULL, "idempotencyKey" character varying NOT NULL, "orderId" uuid, "referenceType" character varying, "referenceId" character varying, "description" character varying, "createdAt" TIMESTAMP NOT NULL DEFAULT now(), CONSTRAINT "UQ_ledger_entries_idempotency_key" UNIQUE ("idempotencyKey"), CONSTRAINT "PK_ledger_entries_id" PRIMARY KEY ("id"))`);
+        await queryRunner.query(`CREATE INDEX "IDX_LEDGER_ENTRIES_ORDER_ID" ON "ledger_entries" ("orderId") `);
+        await queryRunner.query(`CREATE INDEX "IDX_LEDGER_ENTRIES_ENTRY_TYPE" ON "ledger_entries" ("entryType") `);
+        await queryRunner.query(`CREATE INDEX "IDX_LEDGER_ENTRIES_CREATED_AT" ON "ledger_entries" ("createdAt") `);
+
+        await queryRunner.query(`CREATE TABLE "ledger_postings" ("id" uuid NOT NULL DEFAULT uuid_generate_v4(), "entryId" uuid NOT NULL, "account" character varying NOT NULL, "vendorId" uuid, "customerId" uuid, "orderId" uuid, "debit" numeric(12,2) NOT NULL DEFAULT '0', "credit" numeric(12,2) NOT NULL DEFAULT '0', "createdAt" TIMESTAMP NOT NULL DEFAULT now(), CONSTRAINT "CHK_ledger_postings_one_side" CHECK (("debit" = 0) <> ("credit" = 0) AND "debit" >= 0 AND "credit" >= 0), CONSTRAINT "PK_ledger_postings_id" PRIMARY KEY ("id"))`);
+        await queryRunner.query(`CREATE INDEX "IDX_LEDGER_POSTINGS_ENTRY_ID" ON "ledger_postings" ("entryId") `);
+        await queryRunner.query(`CREATE INDEX "IDX_LEDGER_POSTINGS_ACCOUNT" ON "ledger_postings" ("account") `);
+        await queryRunner.query(`CREATE INDEX "IDX_LEDGER_POSTINGS_VENDOR_ID" ON "ledger_postings" ("vendorId") `);
+        await queryRunner.query(`ALTER TABLE "ledger_postings" ADD CONSTRAINT "FK_ledger_postings_entry_id" FOREIGN KEY ("entryId") REFERENCES "ledger_entries"("id") ON DELETE CASCADE ON UPDATE NO ACTION`);
+    }
+
+    async down(queryRunner) {
+        await queryRunner.query(`ALTER TABLE "ledger_postings" DROP CONSTRAINT "FK_ledger_postings_entry_id"`);
+        await queryRunner.query(`DROP INDEX "public"."IDX_LEDGER_POSTINGS_VENDOR_ID"`);
+        await queryRunner.query(`DROP INDEX "public"."IDX_LEDGER_POSTINGS_ACCOUNT"`);
+        await queryRunner.query(`DROP INDEX "public"."IDX_LEDGER_POSTINGS_ENTRY_ID"`);
+        await queryRunner.query(`DROP TABLE "ledger_postings"`);
+        await queryRunner.query(`DROP INDEX "public"."IDX_LEDGER_ENTRIES_CREATED_AT"`);
+        await queryRunner.query(`DROP INDEX "public"."IDX_LEDGER_ENTRIES_ENTRY_TYPE"`);
+        await queryRunner.query(`DROP INDEX "public"."IDX_LEDGER_ENTRIES_ORDER_ID"`);
+        await queryRunner.query(`DROP TABLE "ledger_entries"`);
+    }
+}
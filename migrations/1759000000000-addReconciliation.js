@@ -0,0 +1,32 @@
+/**
+ * @typedef {import('typeorm').MigrationInterface} MigrationInterface
+ */
+
+/**
+ * @class
+ * @implements {MigrationInterface}
+ */
+module.exports = class AddReconciliation1759000000000 {
+    name = 'AddReconciliation1759000000000'
+
+    async up(queryRunner) {
+        await queryRunner.query(`CREATE TABLE "reconciliation_runs" ("id" uuid NOT NULL DEFAULT uuid_generate_v4(), "runDate" date NOT NULL, "windowStart" TIMESTAMP NOT NULL, "windowEnd" TIMESTAMP NOT NULL, "status" character varying NOT NULL DEFAULT 'RUNNING', "summary" jsonb, "error" character varying, "triggeredBy" uuid, "startedAt" TIMESTAMP NOT NULL DEFAULT now(), "finishedAt" TIMESTAMP, CONSTRAINT "PK_reconciliation_runs_id" PRIMARY KEY ("id"))`);
+        await queryRunner.query(`CREATE INDEX "IDX_RECONCILIATION_RUNS_RUN_DATE" ON "reconciliation_runs" ("runDate") `);
+
+        await queryRunner.query(`CREATE TABLE "reconciliation_mismatches" ("id" uuid NOT NULL DEFAULT uuid_generate_v4(), "runId" uuid NOT NULL, "entityType" character varying NOT NULL, "mismatchType" character varying NOT NULL, "razorpayId" character varying NOT NULL, "localId" character varying, "razorpayStatus" character varying, "localStatus" character varying, "razorpayAmount" integer, "localAmount" integer, "details" jsonb, "status" character varying NOT NULL DEFAULT 'OPEN', "resolutionNotes" character varying, "resolvedBy" uuid, "resolvedAt" TIMESTAMP, "createdAt" TIMESTAMP NOT NULL DEFAULT now(), "updatedAt" TIMESTAMP NOT NULL DEFAULT now(), CONSTRAINT "PK_reconciliation_mismatches_id" PRIMARY KEY ("id"))`);
+        await queryRunner.query(`CREATE INDEX "IDX_RECONCILIATION_MISMATCHES_RUN_ID" ON "reconciliation_mismatches" ("runId") `);
+        await queryRunner.query(`CREATE INDEX "IDX_RECONCILIATION_MISMATCHES_STATUS" ON "reconciliation_mismatches" ("status") `);
+        await queryRunner.query(`CREATE INDEX "IDX_RECONCILIATION_MISMATCHES_RAZORPAY_ID" ON "reconciliation_mismatches" ("razorpayId") `);
+        await queryRunner.query(`ALTER TABLE "reconciliation_mismatches" ADD CONSTRAINT "FK_reconciliation_mismatches_run_id" FOREIGN KEY ("runId") REFERENCES "reconciliation_runs"("id") ON DELETE CASCADE ON UPDATE NO ACTION`);
+    }
+
+    async down(queryRunner) {
+        await queryRunner.query(`ALTER TABLE "reconciliation_mismatches" DROP CONSTRAINT "FK_reconciliation_mismatches_run_id"`);
+        await queryRunner.query(`DROP INDEX "public"."IDX_RECONCILIATION_MISMATCHES_RAZORPAY_ID"`);
+        await queryRunner.query(`DROP INDEX "public"."IDX_RECONCILIATION_MISMATCHES_STATUS"`);
+        await queryRunner.query(`DROP INDEX "public"."IDX_RECONCILIATION_MISMATCHES_RUN_ID"`);
+        await queryRunner.query(`DROP TABLE "reconciliation_mismatches"`);
+        await queryRunner.query(`DROP INDEX "public"."IDX_RECONCILIATION_RUNS_RUN_DATE"`);
+        await queryRunner.query(`DROP TABLE "reconciliation_runs"`);
+    }
+}
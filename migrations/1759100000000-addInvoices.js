@@ -0,0 +1,32 @@
+/**
+ * @typedef {import('typeorm').MigrationInterface} MigrationInterface
+ */
+
+/**
+ * @class
+ * @implements {MigrationInterface}
+ */
+module.exports = class AddInvoices1759100000000 {
+    name = 'AddInvoices1759100000000'
+
+    async up(queryRunner) {
+        await queryRunner.query(`CREATE TABLE "invoice_sequences" ("id" uuid NOT NULL DEFAULT uuid_generate_v4(), "series" character varying NOT NULL, "financialYear" character varying NOT NULL, "lastNumber" integer NOT NULL DEFAULT 0, "updatedAt" TIMESTAMP NOT NULL DEFAULT now(), CONSTRAINT "PK_invoice_sequences_id" PRIMARY KEY ("id"))`);
+        await queryRunner.query(`CREATE UNIQUE INDEX "IDX_INVOICE_SEQUENCES_SERIES_FINANCIAL_YEAR" ON "invoice_sequences" ("series", "financialYear") `);
+
+        await queryRunner.query(`CREATE TABLE "invoices" ("id" uuid NOT NULL DEFAULT uuid_generate_v4(), "invoiceNumber" character varying NOT NULL, "invoiceType" character varying NOT NULL, "financialYear" character varying NOT NULL, "sequenceNumber" integer NOT NULL, "orderId" uuid NOT NULL, "customerId" uuid, "vendorId" uuid, "paymentId" uuid, "supplier" jsonb NOT NULL, "recipient" jsonb NOT NULL, "placeOfSupply" character varying, "isInterState" boolean NOT NULL, "lineItems" jsonb NOT NULL, "taxableAmount" numeric(12,2) NOT NULL, "cgstAmount" numeric(12,2) NOT NULL DEFAULT '0', "sgstAmount" numeric(12,2) NOT NULL DEFAULT '0', "igstAmount" numeric(12,2) NOT NULL DEFAULT '0', "totalAmount" numeric(12,2) NOT NULL, "s3Key" character varying, "issuedAt" TIMESTAMP NOT NULL, "createdAt" TIMESTAMP NOT NULL DEFAULT now(), CONSTRAINT "UQ_invoices_invoice_number" UNIQUE ("invoiceNumber"), CONSTRAINT "PK_invoices_id" PRIMARY KEY ("id"))`);
+        await queryRunner.query(`CREATE UNIQUE INDEX "IDX_INVOICES_ORDER_ID_INVOICE_TYPE" ON "invoices" ("orderId", "invoiceType") `);
+        await queryRunner.query(`CREATE INDEX "IDX_INVOICES_CUSTOMER_ID" ON "invoices" ("customerId") `);
+        await queryRunner.query(`CREATE INDEX "IDX_INVOICES_VENDOR_ID" ON "invoices" ("vendorId") `);
+        await queryRunner.query(`ALTER TABLE "invoices" ADD CONSTRAINT "FK_invoices_order_id" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE NO ACTION ON UPDATE NO ACTION`);
+    }
+
+    async down(queryRunner) {
+        await queryRunner.query(`ALTER TABLE "invoices" DROP CONSTRAINT "FK_invoices_order_id"`);
+        await queryRunner.query(`DROP INDEX "public"."IDX_INVOICES_VENDOR_ID"`);
+        await queryRunner.query(`DROP INDEX "public"."IDX_INVOICES_CUSTOMER_ID"`);
+        await queryRunner.query(`DROP INDEX "public"."IDX_INVOICES_ORDER_ID_INVOICE_TYPE"`);
+        await queryRunner.query(`DROP TABLE "invoices"`);
+        await queryRunner.query(`DROP INDEX "public"."IDX_INVOICE_SEQUENCES_SERIES_FINANCIAL_YEAR"`);
+        await queryRunner.query(`DROP TABLE "invoice_sequences"`);
+    }
+}
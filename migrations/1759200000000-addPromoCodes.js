@@ -0,0 +1,35 @@
+/**
+ * @typedef {import('typeorm').MigrationInterface} MigrationInterface
+ */
+
+/**
+ * @class
+ * @implements {MigrationInterface}
+ */
+module.exports = class AddPromoCodes1759200000000 {
+    name = 'AddPromoCodes1759200000000'
+
+    async up(queryRunner) {
+        await queryRunner.query(`CREATE TABLE "promo_codes" ("id" uuid NOT NULL DEFAULT uuid_generate_v4(), "code" character varying NOT NULL, "description" character varying, "discountType" character varying NOT NULL, "discountValue" numeric(10,2) NOT NULL, "maxDiscount" numeric(10,2), "minOrderAmount" numeric(10,2), "firstOrderOnly" boolean NOT NULL DEFAULT false, "usageLimit" integer, "perUserLimit" integer DEFAULT 1, "usedCount" integer NOT NULL DEFAULT 0, "validFrom" TIMESTAMP, "validUntil" TIMESTAMP, "serviceTypes" jsonb, "vendorIds" jsonb, "fundedBy" character varying NOT NULL DEFAULT 'PLATFORM', "isActive" boolean NOT NULL DEFAULT true, "createdBy" uuid, "createdAt" TIMESTAMP NOT NULL DEFAULT now(), "updatedAt" TIMESTAMP NOT NULL DEFAULT now(), CONSTRAINT "UQ_promo_codes_code" UNIQUE ("code"), CONSTRAINT "PK_promo_codes_id" PRIMARY KEY ("id"))`);
+
+        await queryRunner.query(`CREATE TABLE "promo_redemptions" ("id" uuid NOT NULL DEFAULT uuid_generate_v4(), "promoCodeId" uuid NOT NULL, "customerId" uuid NOT NULL, "orderId" uuid NOT NULL, "quoteId" uuid NOT NULL, "vendorId" uuid NOT NULL, "razorpayOrderId" character varying NOT NULL, "discountAmount" numeric(10,2) NOT NULL, "fundedBy" character varying NOT NULL, "status" character varying NOT NULL DEFAULT 'RESERVED', "expiresAt" TIMESTAMP NOT NULL, "redeemedAt" TIMESTAMP, "createdAt" TIMESTAMP NOT NULL DEFAULT now(), "updatedAt" TIMESTAMP NOT NULL DEFAULT now(), CONSTRAINT "UQ_promo_redemptions_razorpay_order_id" UNIQUE ("razorpayOrderId"), CONSTRAINT "PK_promo_redemptions_id" PRIMARY KEY ("id"))`);
+        await queryRunner.query(`CREATE INDEX "IDX_PROMO_REDEMPTIONS_PROMO_CODE_ID_STATUS" ON "promo_redemptions" ("promoCodeId", "status") `);
+        await queryRunner.query(`CREATE INDEX "IDX_PROMO_REDEMPTIONS_CUSTOMER_ID" ON "promo_redemptions" ("customerId") `);
+        await queryRunner.query(`CREATE INDEX "IDX_PROMO_REDEMPTIONS_ORDER_ID" ON "promo_redemptions" ("orderId") `);
+        await queryRunner.query(`ALTER TABLE "promo_redemptions" ADD CONSTRAINT "FK_promo_redemptions_promo_code_id" FOREIGN KEY ("promoCodeId") REFERENCES "promo_codes"("id") ON DELETE NO ACTION ON UPDATE NO ACTION`);
+
+        await queryRunner.query(`ALTER TABLE "payment_attempts" ADD "promoCodeId" uuid`);
+        await queryRunner.query(`ALTER TABLE "payment_attempts" ADD "discountAmount" numeric(10,2) NOT NULL DEFAULT '0'`);
+    }
+
+    async down(queryRunner) {
+        await queryRunner.query(`ALTER TABLE "payment_attempts" DROP COLUMN "discountAmount"`);
+        await queryRunner.query(`ALTER TABLE "payment_attempts" DROP COLUMN "promoCodeId"`);
+        await queryRunner.query(`ALTER TABLE "promo_redemptions" DROP CONSTRAINT "FK_promo_redemptions_promo_code_id"`);
+        await queryRunner.query(`DROP INDEX "public"."IDX_PROMO_REDEMPTIONS_ORDER_ID"`);
+        await queryRunner.query(`DROP INDEX "public"."IDX_PROMO_REDEMPTIONS_CUSTOMER_ID"`);
+        await queryRunner.query(`DROP INDEX "public"."IDX_PROMO_REDEMPTIONS_PROMO_CODE_ID_STATUS"`);
+        await queryRunner.query(`DROP TABLE "promo_redemptions"`);
+        await queryRunner.query(`DROP TABLE "promo_codes"`);
+    }
+}
@@ -0,0 +1,34 @@
+/**
+ * @typedef {import('typeorm').MigrationInterface} MigrationInterface
+ */
+
+/**
+ * @class
+ * @implements {MigrationInterface}
+ */
+module.exports = class AddCustomerWallet1759300000000 {
+    name = 'AddCustomerWallet1759300000000'
+
+    async up(queryRunner) {
+        await queryRunner.query(`CREATE TABLE "wallet_transactions" ("id" uuid NOT NULL DEFAULT uuid_generate_v4(), "customerId" uuid NOT NULL, "type" character varying NOT NULL, "source" character varying NOT NULL, "amount" numeric(10,2) NOT NULL, "remainingAmount" numeric(10,2), "expiresAt" TIMESTAMP, "allocations" jsonb, "orderId" uuid, "paymentId" uuid, "idempotencyKey" character varying, "notes" character varying(500), "createdBy" uuid, "createdAt" TIMESTAMP NOT NULL DEFAULT now(), CONSTRAINT "UQ_wallet_transactions_idempotency_key" UNIQUE ("idempotencyKey"), CONSTRAINT "PK_wallet_transactions_id" PRIMARY KEY ("id"))`);
+        await queryRunner.query(`CREATE INDEX "IDX_WALLET_TRANSACTIONS_CUSTOMER_ID_CREATED_AT" ON "wallet_transactions" ("customerId", "createdAt") `);
+        await queryRunner.query(`CREATE INDEX "IDX_WALLET_TRANSACTIONS_EXPIRES_AT" ON "wallet_transactions" ("expiresAt") `);
+        await queryRunner.query(`CREATE INDEX "IDX_WALLET_TRANSACTIONS_ORDER_ID" ON "wallet_transactions" ("orderId") `);
+        await queryRunner.query(`ALTER TABLE "wallet_transactions" ADD CONSTRAINT "FK_wallet_transactions_customer_id" FOREIGN KEY ("customerId") REFERENCES "customers"("id") ON DELETE NO ACTION ON UPDATE NO ACTION`);
+
+        await queryRunner.query(`ALTER TABLE "payment_attempts" ADD "walletAmount" numeric(10,2) NOT NULL DEFAULT '0'`);
+        await queryRunner.query(`ALTER TABLE "payments" ADD "walletAmount" numeric(10,2) NOT NULL DEFAULT '0'`);
+        await queryRunner.query(`ALTER TABLE "promo_redemptions" ALTER COLUMN "razorpayOrderId" DROP NOT NULL`);
+    }
+
+    async down(queryRunner) {
+        await queryRunner.query(`ALTER TABLE "promo_redemptions" ALTER COLUMN "razorpayOrderId" SET NOT NULL`);
+        await queryRunner.query(`ALTER TABLE "payments" DROP COLUMN "walletAmount"`);
+        await queryRunner.query(`ALTER TABLE "payment_attempts" DROP COLUMN "walletAmount"`);
+        await queryRunner.query(`ALTER TABLE "wallet_transactions" DROP CONSTRAINT "FK_wallet_transactions_customer_id"`);
+        await queryRunner.query(`DROP INDEX "public"."IDX_WALLET_TRANSACTIONS_ORDER_ID"`);
+        await queryRunner.query(`DROP INDEX "public"."IDX_WALLET_TRANSACTIONS_EXPIRES_AT"`);
+        await queryRunner.query(`DROP INDEX "public"."IDX_WALLET_TRANSACTIONS_CUSTOMER_ID_CREATED_AT"`);
+        await queryRunner.query(`DROP TABLE "wallet_transactions"`);
+    }
+}
@@ -0,0 +1,40 @@
+/**
+ * @typedef {import('typeorm').MigrationInterface} MigrationInterface
+ */
+
+/**
+ * @class
+ * @implements {MigrationInterface}
+ */
+module.exports = class AddSplitPayments1759400000000 {
+    name = 'AddSplitPayments1759400000000'
+
+    async up(queryRunner) {
+        await queryRunner.query(`ALTER TABLE "order_quotes" ADD "advancePercent" integer`);
+        await queryRunner.query(`ALTER TABLE "orders" ADD "advancePercent" integer`);
+        await queryRunner.query(`ALTER TABLE "orders" ADD "balanceAmount" numeric(10,2) NOT NULL DEFAULT '0'`);
+        await queryRunner.query(`ALTER TABLE "orders" ADD "balancePaymentId" uuid`);
+        await queryRunner.query(`ALTER TABLE "payment_attempts" ADD "instalment" character varying NOT NULL DEFAULT 'FULL'`);
+        await queryRunner.query(`ALTER TABLE "payments" ADD "instalment" character varying NOT NULL DEFAULT 'FULL'`);
+        await queryRunner.query(`ALTER TABLE "payouts" ADD "instalment" character varying NOT NULL DEFAULT 'FULL'`);
+        // A complaint refund can now be split over the advance and balance payments, so refunds point at their complaint
+        await queryRunner.query(`ALTER TABLE "refunds" ADD "complaintId" uuid`);
+        await queryRunner.query(`UPDATE "refunds" SET "complaintId" = "complaints"."id" FROM "complaints" WHERE "complaints"."razorpayRefundId" = "refunds"."razorpayRefundId"`);
+        await queryRunner.query(`CREATE INDEX "refunds_complaint_id_idx" ON "refunds" ("complaintId") `);
+        await queryRunner.query(`ALTER TABLE "complaints" DROP COLUMN "razorpayRefundId"`);
+    }
+
+    async down(queryRunner) {
+        await queryRunner.query(`ALTER TABLE "complaints" ADD "razorpayRefundId" character varying`);
+        await queryRunner.query(`UPDATE "complaints" SET "razorpayRefundId" = "refunds"."razorpayRefundId" FROM "refunds" WHERE "refunds"."complaintId" = "complaints"."id"`);
+        await queryRunner.query(`DROP INDEX "public"."refunds_complaint_id_idx"`);
+        await queryRunner.query(`ALTER TABLE "refunds" DROP COLUMN "complaintId"`);
+        await queryRunner.query(`ALTER TABLE "payouts" DROP COLUMN "instalment"`);
+        await queryRunner.query(`ALTER TABLE "payments" DROP COLUMN "instalment"`);
+        await queryRunner.query(`ALTER TABLE "payment_attempts" DROP COLUMN "instalment"`);
+        await queryRunner.query(`ALTER TABLE "orders" DROP COLUMN "balancePaymentId"`);
+        await queryRunner.query(`ALTER TABLE "orders" DROP COLUMN "balanceAmount"`);
+        await queryRunner.query(`ALTER TABLE "orders" DROP COLUMN "advancePercent"`);
+        await queryRunner.query(`ALTER TABLE "order_quotes" DROP COLUMN "advancePercent"`);
+    }
+}
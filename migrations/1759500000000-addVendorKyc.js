@@ -0,0 +1,38 @@
+/**
+ * @typedef {import('typeorm').MigrationInterface} MigrationInterface
+ */
+
+/**
+ * @class
+ * @implements {MigrationInterface}
+ */
+module.exports = class AddVendorKyc1759500000000 {
+    name = 'AddVendorKyc1759500000000'
+
+    async up(queryRunner) {
+        await queryRunner.query(`CREATE TABLE "vendor_kyc_documents" ("id" uuid NOT NULL DEFAULT uuid_generate_v4(), "vendorId" uuid NOT NULL, "documentType" character varying NOT NULL, "urlPath" character varying NOT NULL, "status" character varying NOT NULL DEFAULT 'SUBMITTED', "reviewNote" character varying(500), "submittedAt" TIMESTAMP NOT NULL, "reviewedAt" TIMESTAMP, "reviewedBy" uuid, "createdAt" TIMESTAMP NOT NULL DEFAULT now(), "updatedAt" TIMESTAMP NOT NULL DEFAULT now(), CONSTRAINT "PK_vendor_kyc_documents_id" PRIMARY KEY ("id"))`);
+        await queryRunner.query(`CREATE UNIQUE INDEX "IDX_VENDOR_KYC_DOCUMENTS_VENDOR_ID_TYPE" ON "vendor_kyc_documents" ("vendorId", "documentType") `);
+        await queryRunner.query(`CREATE INDEX "IDX_VENDOR_KYC_DOCUMENTS_STATUS" ON "vendor_kyc_documents" ("status") `);
+        await queryRunner.query(`ALTER TABLE "vendor_kyc_documents" ADD CONSTRAINT "FK_vendor_kyc_documents_vendor_id" FOREIGN KEY ("vendorId") REFERENCES "vendors"("id") ON DELETE CASCADE ON UPDATE NO ACTION`);
+
+        await queryRunner.query(`CREATE TABLE "vendor_kyc_reviews" ("id" uuid NOT NULL DEFAULT uuid_generate_v4(), "vendorId" uuid NOT NULL, "documentId" uuid, "documentType" character varying, "action" character varying NOT NULL, "urlPath" character varying, "reason" character varying(500), "actorId" uuid NOT NULL, "actorRole" character varying NOT NULL, "createdAt" TIMESTAMP NOT NULL DEFAULT now(), CONSTRAINT "PK_vendor_kyc_reviews_id" PRIMARY KEY ("id"))`);
+        await queryRunner.query(`CREATE INDEX "IDX_VENDOR_KYC_REVIEWS_VENDOR_ID_CREATED_AT" ON "vendor_kyc_reviews" ("vendorId", "createdAt") `);
+        await queryRunner.query(`ALTER TABLE "vendor_kyc_reviews" ADD CONSTRAINT "FK_vendor_kyc_reviews_vendor_id" FOREIGN KEY ("vendorId") REFERENCES "vendors"("id") ON DELETE CASCADE ON UPDATE NO ACTION`);
+
+        // Existing vendors: documents of verified vendors count as approved, the rest wait for review
+        const documentColumns = { AADHAAR: "aadhaarUrlPath", BANK_PASSBOOK: "bankPassbookUrlPath", SHOP_DOCUMENT: "shopDocumentUrlPath" };
+        for (const [documentType, column] of Object.entries(documentColumns)) {
+            await queryRunner.query(`INSERT INTO "vendor_kyc_documents" ("vendorId", "documentType", "urlPath", "status", "submittedAt", "reviewedAt") SELECT "id", $1, "${column}", CASE WHEN "status" = 'VERIFIED' THEN 'APPROVED' ELSE 'SUBMITTED' END, "createdAt", CASE WHEN "status" = 'VERIFIED' THEN "updatedAt" END FROM "vendors" WHERE "${column}" IS NOT NULL`, [documentType]);
+        }
+    }
+
+    async down(queryRunner) {
+        await queryRunner.query(`ALTER TABLE "vendor_kyc_reviews" DROP CONSTRAINT "FK_vendor_kyc_reviews_vendor_id"`);
+        await queryRunner.query(`DROP INDEX "public"."IDX_VENDOR_KYC_REVIEWS_VENDOR_ID_CREATED_AT"`);
+        await queryRunner.query(`DROP TABLE "vendor_kyc_reviews"`);
+        await queryRunner.query(`ALTER TABLE "vendor_kyc_documents" DROP CONSTRAINT "FK_vendor_kyc_documents_vendor_id"`);
+        await queryRunner.query(`DROP INDEX "public"."IDX_VENDOR_KYC_DOCUMENTS_STATUS"`);
+        await queryRunner.query(`DROP INDEX "public"."IDX_VENDOR_KYC_DOCUMENTS_VENDOR_ID_TYPE"`);
+        await queryRunner.query(`DROP TABLE "vendor_kyc_documents"`);
+    }
+}
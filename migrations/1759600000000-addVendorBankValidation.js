@@ -0,0 +1,30 @@
+/**
+ * @typedef {import('typeorm').MigrationInterface} MigrationInterface
+ */
+
+/**
+ * @class
+ * @implements {MigrationInterface}
+ */
+module.exports = class AddVendorBankValidation1759600000000 {
+    name = 'AddVendorBankValidation1759600000000'
+
+    async up(queryRunner) {
+        await queryRunner.query(`ALTER TABLE "vendors" ADD "bankValidationStatus" character varying NOT NULL DEFAULT 'NOT_VALIDATED'`);
+        await queryRunner.query(`ALTER TABLE "vendors" ADD "bankValidationId" character varying`);
+        await queryRunner.query(`ALTER TABLE "vendors" ADD "bankRegisteredName" character varying`);
+        await queryRunner.query(`ALTER TABLE "vendors" ADD "bankValidationNote" character varying(500)`);
+        await queryRunner.query(`ALTER TABLE "vendors" ADD "bankValidatedAt" TIMESTAMP`);
+
+        // A fund account that has already received a payout is known to work; the rest need a penny drop
+        await queryRunner.query(`UPDATE "vendors" SET "bankValidationStatus" = 'VALID', "bankValidationNote" = 'Validated by an earlier processed payout', "bankValidatedAt" = now() WHERE "razorpay_fund_account_id" IS NOT NULL AND EXISTS (SELECT 1 FROM "payouts" WHERE "payouts"."vendorId" = "vendors"."id" AND "payouts"."razorpay_fund_account_id" = "vendors"."razorpay_fund_account_id" AND "payouts"."status" = 'processed')`);
+    }
+
+    async down(queryRunner) {
+        await queryRunner.query(`ALTER TABLE "vendors" DROP COLUMN "bankValidatedAt"`);
+        await queryRunner.query(`ALTER TABLE "vendors" DROP COLUMN "bankValidationNote"`);
+        await queryRunner.query(`ALTER TABLE "vendors" DROP COLUMN "bankRegisteredName"`);
+        await queryRunner.query(`ALTER TABLE "vendors" DROP COLUMN "bankValidationId"`);
+        await queryRunner.query(`ALTER TABLE "vendors" DROP COLUMN "bankValidationStatus"`);
+    }
+}
@@ -0,0 +1,35 @@
+/**
+ * @typedef {import('typeorm').MigrationInterface} MigrationInterface
+ */
+
+/**
+ * @class
+ * @implements {MigrationInterface}
+ */
+module.exports = class AddVendorSearchIndex1759700000000 {
+    name = 'AddVendorSearchIndex1759700000000'
+
+    async up(queryRunner) {
+        await queryRunner.query(`CREATE EXTENSION IF NOT EXISTS pg_trgm`);
+
+        // Stored generated column, so Postgres keeps it in step with every insert and update
+        await queryRunner.query(`ALTER TABLE "vendors" ADD "searchVector" tsvector GENERATED ALWAYS AS (setweight(to_tsvector('english', coalesce("shopName", '')), 'A') || setweight(to_tsvector('english', coalesce("vendorServices", '')), 'B') || setweight(to_tsvector('english', coalesce("shopDescription", '')), 'C') || setweight(to_tsvector('english', coalesce("city", '') || ' ' || coalesce("district", '')), 'D')) STORED`);
+        await queryRunner.query(`CREATE INDEX "vendor_search_vector_idx" ON "vendors" USING GIN ("searchVector")`);
+
+        // Trigram indexes back the fuzzy (typo tolerant) matches and the ILIKE prefix lookups used by suggestions
+        await queryRunner.query(`CREATE INDEX "vendor_shopname_trgm_idx" ON "vendors" USING GIN ("shopName" gin_trgm_ops)`);
+        await queryRunner.query(`CREATE INDEX "vendor_services_trgm_idx" ON "vendors" USING GIN ("vendorServices" gin_trgm_ops)`);
+        await queryRunner.query(`CREATE INDEX "vendor_city_trgm_idx" ON "vendors" USING GIN ("city" gin_trgm_ops)`);
+        await queryRunner.query(`CREATE INDEX "vendor_district_trgm_idx" ON "vendors" USING GIN ("district" gin_trgm_ops)`);
+    }
+
+    async down(queryRunner) {
+        await queryRunner.query(`DROP INDEX "public"."vendor_district_trgm_idx"`);
+        await queryRunner.query(`DROP INDEX "public"."vendor_city_trgm_idx"`);
+        await queryRunner.query(`DROP INDEX "public"."vendor_services_trgm_idx"`);
+        await queryRunner.query(`DROP INDEX "public"."vendor_shopname_trgm_idx"`);
+        await queryRunner.query(`DROP INDEX "public"."vendor_search_vector_idx"`);
+        await queryRunner.query(`ALTER TABLE "vendors" DROP COLUMN "searchVector"`);
+        // pg_trgm is left installed; other database objects may have started using it
+    }
+}
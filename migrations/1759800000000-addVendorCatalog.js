@@ -0,0 +1,34 @@
+/**
+ * @typedef {import('typeorm').MigrationInterface} MigrationInterface
+ */
+
+/**
+ * @class
+ * @implements {MigrationInterface}
+ */
+module.exports = class AddVendorCatalog1759800000000 {
+    name = 'AddVendorCatalog1759800000000'
+
+    async up(queryRunner) {
+        await queryRunner.query(`CREATE TABLE "vendor_catalog_items" ("id" uuid NOT NULL DEFAULT uuid_generate_v4(), "vendorId" uuid NOT NULL, "name" character varying(100) NOT NULL, "description" character varying(500), "basePrice" numeric(10,2) NOT NULL, "unit" character varying NOT NULL, "turnaroundDays" integer NOT NULL, "isActive" boolean NOT NULL DEFAULT true, "createdAt" TIMESTAMP NOT NULL DEFAULT now(), "updatedAt" TIMESTAMP NOT NULL DEFAULT now(), CONSTRAINT "PK_vendor_catalog_items_id" PRIMARY KEY ("id"))`);
+        await queryRunner.query(`CREATE INDEX "IDX_VENDOR_CATALOG_ITEMS_VENDOR_ID_ACTIVE" ON "vendor_catalog_items" ("vendorId", "isActive") `);
+        await queryRunner.query(`CREATE INDEX "vendor_catalog_items_name_trgm_idx" ON "vendor_catalog_items" USING GIN ("name" gin_trgm_ops)`);
+        await queryRunner.query(`ALTER TABLE "vendor_catalog_items" ADD CONSTRAINT "FK_vendor_catalog_items_vendor_id" FOREIGN KEY ("vendorId") REFERENCES "vendors"("id") ON DELETE CASCADE ON UPDATE NO ACTION`);
+
+        await queryRunner.query(`ALTER TABLE "orderItems" ADD "catalogItemId" uuid`);
+        await queryRunner.query(`ALTER TABLE "orderItems" ADD "catalogPrice" numeric(10,2)`);
+        await queryRunner.query(`ALTER TABLE "orderItems" ADD "catalogUnit" character varying`);
+        await queryRunner.query(`ALTER TABLE "orderItems" ADD CONSTRAINT "FK_orderItems_catalog_item_id" FOREIGN KEY ("catalogItemId") REFERENCES "vendor_catalog_items"("id") ON DELETE SET NULL ON UPDATE NO ACTION`);
+    }
+
+    async down(queryRunner) {
+        await queryRunner.query(`ALTER TABLE "orderItems" DROP CONSTRAINT "FK_orderItems_catalog_item_id"`);
+        await queryRunner.query(`ALTER TABLE "orderItems" DROP COLUMN "catalogUnit"`);
+        await queryRunner.query(`ALTER TABLE "orderItems" DROP COLUMN "catalogPrice"`);
+        await queryRunner.query(`ALTER TABLE "orderItems" DROP COLUMN "catalogItemId"`);
+        await queryRunner.query(`ALTER TABLE "vendor_catalog_items" DROP CONSTRAINT "FK_vendor_catalog_items_vendor_id"`);
+        await queryRunner.query(`DROP INDEX "public"."vendor_catalog_items_name_trgm_idx"`);
+        await queryRunner.query(`DROP INDEX "public"."IDX_VENDOR_CATALOG_ITEMS_VENDOR_ID_ACTIVE"`);
+        await queryRunner.query(`DROP TABLE "vendor_catalog_items"`);
+    }
+}
@@ -0,0 +1,21 @@
+/**
+ * @typedef {import('typeorm').MigrationInterface} MigrationInterface
+ */
+
+/**
+ * @class
+ * @implements {MigrationInterface}
+ */
+module.exports = class AddInstantBook1759900000000 {
+    name = 'AddInstantBook1759900000000'
+
+    async up(queryRunner) {
+        await queryRunner.query(`ALTER TABLE "vendor_catalog_items" ADD "instantBook" boolean NOT NULL DEFAULT false`);
+        await queryRunner.query(`ALTER TABLE "order_quotes" ADD "isInstantBook" boolean NOT NULL DEFAULT false`);
+    }
+
+    async down(queryRunner) {
+        await queryRunner.query(`ALTER TABLE "order_quotes" DROP COLUMN "isInstantBook"`);
+        await queryRunner.query(`ALTER TABLE "vendor_catalog_items" DROP COLUMN "instantBook"`);
+    }
+}
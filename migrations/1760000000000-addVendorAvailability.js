@@ -0,0 +1,28 @@
+/**
+ * @typedef {import('typeorm').MigrationInterface} MigrationInterface
+ */
+
+/**
+ * @class
+ * @implements {MigrationInterface}
+ */
+module.exports = class AddVendorAvailability1760000000000 {
+    name = 'AddVendorAvailability1760000000000'
+
+    async up(queryRunner) {
+        await queryRunner.query(`CREATE TABLE "vendor_availability" ("id" uuid NOT NULL DEFAULT uuid_generate_v4(), "vendorId" uuid NOT NULL, "weeklyHours" jsonb, "maxConcurrentOrders" integer, "createdAt" TIMESTAMP NOT NULL DEFAULT now(), "updatedAt" TIMESTAMP NOT NULL DEFAULT now(), CONSTRAINT "UQ_vendor_availability_vendor_id" UNIQUE ("vendorId"), CONSTRAINT "PK_vendor_availability_id" PRIMARY KEY ("id"))`);
+        await queryRunner.query(`ALTER TABLE "vendor_availability" ADD CONSTRAINT "FK_vendor_availability_vendor_id" FOREIGN KEY ("vendorId") REFERENCES "vendors"("id") ON DELETE CASCADE ON UPDATE NO ACTION`);
+
+        await queryRunner.query(`CREATE TABLE "vendor_time_off" ("id" uuid NOT NULL DEFAULT uuid_generate_v4(), "vendorId" uuid NOT NULL, "type" character varying NOT NULL, "startsAt" TIMESTAMP NOT NULL, "endsAt" TIMESTAMP NOT NULL, "reason" character varying(200), "createdAt" TIMESTAMP NOT NULL DEFAULT now(), CONSTRAINT "PK_vendor_time_off_id" PRIMARY KEY ("id"))`);
+        await queryRunner.query(`CREATE INDEX "IDX_VENDOR_TIME_OFF_VENDOR_ID_ENDS_AT" ON "vendor_time_off" ("vendorId", "endsAt") `);
+        await queryRunner.query(`ALTER TABLE "vendor_time_off" ADD CONSTRAINT "FK_vendor_time_off_vendor_id" FOREIGN KEY ("vendorId") REFERENCES "vendors"("id") ON DELETE CASCADE ON UPDATE NO ACTION`);
+    }
+
+    async down(queryRunner) {
+        await queryRunner.query(`ALTER TABLE "vendor_time_off" DROP CONSTRAINT "FK_vendor_time_off_vendor_id"`);
+        await queryRunner.query(`DROP INDEX "public"."IDX_VENDOR_TIME_OFF_VENDOR_ID_ENDS_AT"`);
+        await queryRunner.query(`DROP TABLE "vendor_time_off"`);
+        await queryRunner.query(`ALTER TABLE "vendor_availability" DROP CONSTRAINT "FK_vendor_availability_vendor_id"`);
+        await queryRunner.query(`DROP TABLE "vendor_availability"`);
+    }
+}
@@ -1,11 +1,13 @@
 import { Worker } from "bullmq";
+import { In } from "typeorm";
 import { bullRedis } from "../../../../config/redis-config.mjs";
 import { AppDataSource } from "../../../../config/data-source.mjs";
 import { QueueLogs } from "../../../../entities/queueLogs.mjs";
 import { logger } from "../../../../utils/logger-utils.mjs";
 import { OrderVendors } from "../../../../entities/OrderVendors.mjs";
 import { OrderQuotes } from "../../../../entities/OrderQuote.mjs";
-import { ORDER_VENDOR_STATUS } from "../../../../types/enums/index.mjs";
+import { ORDER_VENDOR_STATUS, ROLE } from "../../../../types/enums/index.mjs";
+import { transitionOrderVendors } from "../../../../utils/state-machine.mjs";
 
 let expireAcceptedQuotesWorker;
 
@@ -19,8 +21,8 @@ let expireAcceptedQuotesWorker;
  * 1.  The worker runs periodically (e.g., every 30 minutes).
  * 2.  It queries the database for all `OrderQuotes` that are older than 24 hours and still marked as unprocessed (`isProcessed = false`).
  * 3.  Crucially, it only considers quotes where the associated `OrderVendors` status is still `ACCEPTED`.
- * 4.  If such quotes are found, it performs two bulk updates in a single operation:
- * a. It changes the status of the corresponding `OrderVendors` from `ACCEPTED` to `EXPIRED`. A expired request cannot be paid for by the customer, effectively freeing up the vendor from that commitment.
+ * 4.  If such quotes are found, it performs two bulk updates in a single transaction:
+ * a. It locks the corresponding `OrderVendors` that are still `ACCEPTED` and moves them to `EXPIRED` through the state machine (`transitionOrderVendors`, as SYSTEM). A expired request cannot be paid for by the customer, effectively freeing up the vendor from that commitment.
  * b. It marks the `OrderQuotes` as processed (`isProcessed = true`) to prevent them from being picked up by this worker in future runs.
  *
  * This automated process ensures the system remains clean and vendors are not indefinitely held responsible for quotes that customers do not act upon.
@@ -31,7 +33,6 @@ export function initExpireAcceptedQuotesWorker() {
     expireAcceptedQuotesWorker = new Worker("expireAcceptedQuotesQueue", async (job) => {
         if (job.name !== "processExpireAcceptedQuotes") return;
         try {
-            const orderVendorRepo = AppDataSource.getRepository(OrderVendors);
             const orderQuoteRepo = AppDataSource.getRepository(OrderQuotes);
 
             // Find unprocessed quotes older than 24 hours with ACCEPTED vendors
@@ -45,22 +46,39 @@ export function initExpireAcceptedQuotesWorker() {
             if (orderQuotes.length > 0) {
                 const orderVendorIds = orderQuotes.map(q => q.orderVendorId);
 
-                // First, expire the OrderVendor status to prevent further action from the customer (bulk operation).
-                await orderVendorRepo.createQueryBuilder()
-                    .update()
-                    .set({ status: ORDER_VENDOR_STATUS.EXPIRED })
-                    .whereInIds(orderVendorIds)
-                    .andWhere("status = :status", { status: ORDER_VENDOR_STATUS.ACCEPTED })
-                    .execute();
+                const queryRunner = AppDataSource.createQueryRunner();
+                await queryRunner.connect();
+                await queryRunner.startTransaction();
+                try {
+                    // First, expire the OrderVendor status to prevent further action from the customer. The rows are
+                    // locked so a quote paid for meanwhile is either paid or expired, never both.
+                    const stillAccepted = await queryRunner.manager.find(OrderVendors, {
+                        where: { id: In(orderVendorIds), status: ORDER_VENDOR_STATUS.ACCEPTED },
+                        select: { id: true },
+                        lock: { mode: "pessimistic_write" }
+                    });
+                    if (stillAccepted.length > 0) {
+                        await transitionOrderVendors(queryRunner, { where: { id: In(stillAccepted.map(orderVendor => orderVendor.id)) }, to: ORDER_VENDOR_STATUS.EXPIRED, actorRole: ROLE.SYSTEM });
+                    }
 
-                // Second, mark the quotes as processed so this job doesn't run on them again (bulk operation)
-                const quoteIds = orderQuotes.map(q => q.id);
-                await orderQuoteRepo.createQueryBuilder()
-                    .update()
-                    .set({ isProcessed: true })
-                    .whereInIds(quoteIds)
-                    .andWhere("isProcessed = false")
-                    .execute();
+                    // Second, mark the quotes as processed so this job doesn't run on them again (bulk operation)
+                    const quoteIds = orderQuotes.map(q => q.id);
+                    await queryRunner.manager.createQueryBuilder()
+                        .update(OrderQuotes)
+                        .set({ isProcessed: true })
+                        .whereInIds(quoteIds)
+                        .andWhere("isProcessed = false")
+                        .execute();
+
+                    await queryRunner.commitTransaction();
+                } catch (error) {
+                    if (queryRunner.isTransactionActive) {
+                        await queryRunner.rollbackTransaction();
+                    }
+                    throw error;
+                } finally {
+                    await queryRunner.release();
+                }
             }
 
             logger.info(`Expired ${orderQuotes.length} accepted quotes at ${new Date().toISOString()}`);
@@ -1,24 +1,29 @@
 import { Worker } from "bullmq";
+import { In } from "typeorm";
 import { bullRedis } from "../../../../config/redis-config.mjs";
 import { AppDataSource } from "../../../../config/data-source.mjs";
 import { QueueLogs } from "../../../../entities/queueLogs.mjs";
 import { logger } from "../../../../utils/logger-utils.mjs";
 import { OrderVendors } from "../../../../entities/OrderVendors.mjs";
-import { ORDER_VENDOR_STATUS } from "../../../../types/enums/index.mjs";
+import { ORDER_VENDOR_STATUS, ROLE } from "../../../../types/enums/index.mjs";
+import { transitionOrderVendors } from "../../../../utils/state-machine.mjs";
+import { VENDOR_RESPONSE_WINDOW_HOURS } from "../../../../config/constants.mjs";
+import { loadVendorSchedules, isResponseWindowOver } from "../../../../services/availabilityService.mjs";
 
 let expirePendingVendorsWorker;
 
 /**
  * @file expirePendingVendorsWorker.mjs
- * @description This cron job worker enforces the 24-hour response window for vendors.
- * When a customer sends an order request to a vendor, the vendor has 24 hours to respond.
+ * @description This cron job worker enforces the 24-business-hour response window for vendors.
+ * When a customer sends an order request to a vendor, the vendor has 24 hours of their own opening hours to respond;
+ * the clock is paused while they are closed or on holiday / vacation, and stops after 7 days regardless.
  * If they fail to do so, this worker automatically expires the request.
  *
  * ### Business Logic Flow:
  * 1.  The worker runs periodically (e.g., every 30 minutes).
- * 2.  It executes a single, highly efficient bulk `UPDATE` query on the `OrderVendors` table.
- * 3.  The query finds all records that are still in `PENDING` status and were created more than 24 hours ago.
- * 4.  It changes the status of these records from `PENDING` to `EXPIRED`.
+ * 2.  It finds all `OrderVendors` records still in `PENDING` status that were created more than 24 hours ago (the earliest they can expire).
+ * 3.  It loads the opening hours and time off of their vendors and keeps the records whose response window is over (`isResponseWindowOver`).
+ * 4.  In one transaction it locks those still `PENDING` and moves them to `EXPIRED` through the state machine (`transitionOrderVendors`, as SYSTEM).
  *
  * ### Consequence:
  * - Expiring the request frees up one of the customer's 10 active vendor slots for that order,
@@ -32,14 +37,44 @@ export function initExpirePendingVendorsWorker() {
         if (job.name !== "processExpirePendingVendors") return;
         try {
             const orderVendorRepo = AppDataSource.getRepository(OrderVendors);
-            // Bulk update all pending vendors older than 24 hours
-            const result = await orderVendorRepo.createQueryBuilder()
-                .update()
-                .set({ status: ORDER_VENDOR_STATUS.EXPIRED })
-                .where("status = :status", { status: ORDER_VENDOR_STATUS.PENDING })
-                .andWhere("createdAt < :date", { date: new Date(Date.now() - 24 * 60 * 60 * 1000) })
-                .execute();
-            logger.info(`Expired ${result.affected} pending vendors at ${new Date().toISOString()}`);
+            const now = new Date();
+            const candidates = await orderVendorRepo.createQueryBuilder("orderVendors")
+                .select(["orderVendors.id", "orderVendors.vendorId", "orderVendors.createdAt"])
+                .where("orderVendors.status = :status", { status: ORDER_VENDOR_STATUS.PENDING })
+                .andWhere("orderVendors.createdAt < :date", { date: new Date(now.getTime() - VENDOR_RESPONSE_WINDOW_HOURS * 60 * 60 * 1000) })
+                .getMany();
+            if (candidates.length === 0) return;
+
+            const oldest = candidates.reduce((min, candidate) => candidate.createdAt < min ? candidate.createdAt : min, candidates[0].createdAt);
+            const schedules = await loadVendorSchedules(AppDataSource.manager, candidates.map(candidate => candidate.vendorId), oldest);
+            const expiredIds = candidates
+                .filter(candidate => isResponseWindowOver(schedules.get(candidate.vendorId), candidate.createdAt, now))
+                .map(candidate => candidate.id);
+            if (expiredIds.length === 0) return;
+
+            const queryRunner = AppDataSource.createQueryRunner();
+            await queryRunner.connect();
+            await queryRunner.startTransaction();
+            try {
+                // Locked so a request the vendor answers meanwhile is either answered or expired, never both
+                const stillPending = await queryRunner.manager.find(OrderVendors, {
+                    where: { id: In(expiredIds), status: ORDER_VENDOR_STATUS.PENDING },
+                    select: { id: true },
+                    lock: { mode: "pessimistic_write" }
+                });
+                const expired = stillPending.length > 0
+                    ? await transitionOrderVendors(queryRunner, { where: { id: In(stillPending.map(orderVendor => orderVendor.id)) }, to: ORDER_VENDOR_STATUS.EXPIRED, actorRole: ROLE.SYSTEM })
+                    : [];
+                await queryRunner.commitTransaction();
+                logger.info(`Expired ${expired.length} pending vendors at ${now.toISOString()}`);
+            } catch (error) {
+                if (queryRunner.isTransactionActive) {
+                    await queryRunner.rollbackTransaction();
+                }
+                throw error;
+            } finally {
+                await queryRunner.release();
+            }
         } catch (error) {
             logger.error(`Expire pending vendors processing failed: ${error.message}`, {
                 error,
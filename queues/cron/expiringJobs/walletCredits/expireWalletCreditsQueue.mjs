@@ -0,0 +1,30 @@
+import { Queue } from "bullmq";
+import { bullRedis } from "../../../../config/redis-config.mjs";
+
+export const expireWalletCreditsQueue = new Queue("expireWalletCreditsQueue", {
+    connection: bullRedis,
+    streams: {
+        events: {
+            maxLen: 100,
+        }
+    },
+    defaultJobOptions: {
+        attempts: 3,        // 3 attempts to process the job if it fails
+        backoff: {
+            type: "exponential",
+            delay: 3000
+        }
+    }
+});
+
+const repeatJobs = await expireWalletCreditsQueue.getRepeatableJobs();
+const alreadyScheduled = repeatJobs.some(job => job.name === "processExpireWalletCredits");
+
+if (!alreadyScheduled) {
+    await expireWalletCreditsQueue.add("processExpireWalletCredits", {}, {
+    repeat: {
+        cron: "30 0 * * *" // daily at 00:30
+        },
+        jobId: "processExpireWalletCredits"
+    });
+}
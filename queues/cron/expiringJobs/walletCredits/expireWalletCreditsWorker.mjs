@@ -0,0 +1,75 @@
+import { Worker } from "bullmq";
+import { bullRedis } from "../../../../config/redis-config.mjs";
+import { AppDataSource } from "../../../../config/data-source.mjs";
+import { QueueLogs } from "../../../../entities/queueLogs.mjs";
+import { logger } from "../../../../utils/logger-utils.mjs";
+import { expireWalletCredits } from "../../../../services/walletService.mjs";
+
+let expireWalletCreditsWorker;
+
+/**
+ * @file expireWalletCreditsWorker.mjs
+ * @description Writes off wallet credits (refunds, referral rewards, admin grants) that passed their `expiresAt`.
+ * Each expired credit gets an `EXPIRY` debit for what was left of it and a matching ledger entry; see
+ * `expireWalletCredits` in `services/walletService.mjs`. Credits are already excluded from the balance once
+ * expired, so a late run only delays the bookkeeping.
+ *
+ * @returns {Worker} The initialized BullMQ worker instance.
+ */
+export function initExpireWalletCreditsWorker() {
+    expireWalletCreditsWorker = new Worker("expireWalletCreditsQueue", async (job) => {
+        if (job.name !== "processExpireWalletCredits") return;
+        try {
+            const result = await expireWalletCredits();
+            logger.info(`Expired ${result.expired} wallet credits (${result.amount}) at ${new Date().toISOString()}`);
+            return result;
+        } catch (error) {
+            logger.error(`Expire wallet credits processing failed: ${error.message}`, {
+                error,
+                jobId: job.id
+            })
+            throw error;
+        }
+        },
+        {
+            connection: bullRedis,
+            concurrency: 1,
+            removeOnComplete: {
+                age: 30,
+                count: 10
+            },
+            removeOnFail: {
+                age: 30,
+                count: 10
+            }
+        }
+    );
+
+    expireWalletCreditsWorker.on("error", (error) => {
+        logger.error("Error in expire wallet credits worker:", error);
+    });
+
+    expireWalletCreditsWorker.on("completed", (job) => {
+        logger.info(`Job ${job.queueName} ${job.id} completed`, {
+            duration: job.finishedOn - job.processedOn,
+        });
+    });
+
+    expireWalletCreditsWorker.on("failed", (job, error) => {
+        logger.error(`Job ${job.queueName} ${job.id} failed: ${error.message}`);
+        if(job.attemptsMade >= job.opts.attempts) {
+            (async () => {
+                const queueLogsRepo = AppDataSource.getRepository(QueueLogs);
+                await queueLogsRepo.save({
+                    queueName: job.queueName,
+                    jobId: job.id,
+                    jobData: job.data,
+                    reason: error.message,
+                    failedAt: new Date()
+                });
+            })();
+        }
+    });
+
+    return expireWalletCreditsWorker;
+}
@@ -0,0 +1,34 @@
+import { Queue } from "bullmq";
+import { bullRedis } from "../../../config/redis-config.mjs";
+
+export const payoutCycleQueue = new Queue("payoutCycleQueue", {
+    connection: bullRedis,
+    streams: {
+        events: {
+            maxLen: 100,
+        }
+    },
+    defaultJobOptions: {
+        attempts: 3,        // 3 attempts to process the job if it fails
+        backoff: {
+            type: "exponential",
+            delay: 3000
+        }
+    }
+});
+
+const repeatJobs = await payoutCycleQueue.getRepeatableJobs();
+const alreadyScheduled = repeatJobs.some(job => job.name === "processPayoutCycle");
+
+if (!alreadyScheduled) {
+    await payoutCycleQueue.add("processPayoutCycle", {}, {
+    repeat: {
+        cron: "30 4 * * *" // every day at 04:30 UTC (10:00 IST), after banks open for IMPS/NEFT
+        // cron: "*/1 * * * *" // for testing
+        },
+        jobId: "processPayoutCycle"
+    });
+}
+
+// await payoutCycleQueue.clean(1000 * 60 * 60 * 24, "completed");
+// await payoutCycleQueue.clean(1000 * 60 * 60 * 24, "failed");
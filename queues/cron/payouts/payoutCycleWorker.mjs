@@ -0,0 +1,78 @@
+import { Worker } from "bullmq";
+import { bullRedis } from "../../../config/redis-config.mjs";
+import { AppDataSource } from "../../../config/data-source.mjs";
+import { QueueLogs } from "../../../entities/queueLogs.mjs";
+import { logger } from "../../../utils/logger-utils.mjs";
+import { runPayoutCycle } from "../../../services/payoutService.mjs";
+
+let payoutCycleWorker;
+
+/**
+ * @file payoutCycleWorker.mjs
+ * @description Settles vendor payouts in batches (see `services/payoutService.mjs`).
+ *
+ * - `processPayoutCycle` runs daily from the repeatable job. Vendors on a WEEKLY cycle are only paid on the configured day,
+ *   THRESHOLD vendors once their net amount crosses the threshold.
+ * - The same job name is queued by an admin through `/api/admin/runPayoutCycle` with `{ vendorId, force, initiatedBy }`.
+ *
+ * Concurrency is 1 so two runs never batch the same vendor at once; rows are also locked with SKIP LOCKED.
+ *
+ * @returns {Worker} The initialized BullMQ worker instance.
+ */
+export function initPayoutCycleWorker() {
+    payoutCycleWorker = new Worker("payoutCycleQueue", async (job) => {
+        if (job.name !== "processPayoutCycle") return;
+        try {
+            const { vendorId = null, force = false, initiatedBy = null } = job.data || {};
+            return await runPayoutCycle({ vendorId, force, initiatedBy });
+        } catch (error) {
+            logger.error(`Payout cycle processing failed: ${error.message}`, {
+                error,
+                jobId: job.id
+            })
+            throw error;
+        }
+        },
+        {
+            connection: bullRedis,
+            concurrency: 1,
+            removeOnComplete: {
+                age: 30,
+                count: 10
+            },
+            removeOnFail: {
+                age: 30,
+                count: 10
+            }
+        }
+    );
+
+    payoutCycleWorker.on("error", (error) => {
+        logger.error("Error in payout cycle worker:", error);
+    });
+
+    payoutCycleWorker.on("completed", (job) => {
+        logger.info(`Job ${job.queueName} ${job.id} completed`, {
+            duration: job.finishedOn - job.processedOn,
+            result: job.returnvalue
+        });
+    });
+
+    payoutCycleWorker.on("failed", (job, error) => {
+        logger.error(`Job ${job.queueName} ${job.id} failed: ${error.message}`);
+        if(job.attemptsMade >= job.opts.attempts) {
+            (async () => {
+                const queueLogsRepo = AppDataSource.getRepository(QueueLogs);
+                await queueLogsRepo.save({
+                    queueName: job.queueName,
+                    jobId: job.id,
+                    jobData: job.data,
+                    reason: error.message,
+                    failedAt: new Date()
+                });
+            })();
+        }
+    });
+
+    return payoutCycleWorker;
+}
@@ -0,0 +1,34 @@
+import { Queue } from "bullmq";
+import { bullRedis } from "../../../config/redis-config.mjs";
+
+export const reconciliationQueue = new Queue("reconciliationQueue", {
+    connection: bullRedis,
+    streams: {
+        events: {
+            maxLen: 100,
+        }
+    },
+    defaultJobOptions: {
+        attempts: 3,        // 3 attempts to process the job if it fails
+        backoff: {
+            type: "exponential",
+            delay: 3000
+        }
+    }
+});
+
+const repeatJobs = await reconciliationQueue.getRepeatableJobs();
+const alreadyScheduled = repeatJobs.some(job => job.name === "reconcileRazorpay");
+
+if (!alreadyScheduled) {
+    await reconciliationQueue.add("reconcileRazorpay", {}, {
+    repeat: {
+        cron: "30 21 * * *" // every day at 21:30 UTC (03:00 IST), once Razorpay has the previous IST day complete
+        // cron: "*/1 * * * *" // for testing
+        },
+        jobId: "reconcileRazorpay"
+    });
+}
+
+// await reconciliationQueue.clean(1000 * 60 * 60 * 24, "completed");
+// await reconciliationQueue.clean(1000 * 60 * 60 * 24, "failed");
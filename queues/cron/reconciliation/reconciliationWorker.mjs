@@ -0,0 +1,77 @@
+import { Worker } from "bullmq";
+import { bullRedis } from "../../../config/redis-config.mjs";
+import { AppDataSource } from "../../../config/data-source.mjs";
+import { QueueLogs } from "../../../entities/queueLogs.mjs";
+import { logger } from "../../../utils/logger-utils.mjs";
+import { runReconciliation } from "../../../services/reconciliationService.mjs";
+
+let reconciliationWorker;
+
+/**
+ * @file reconciliationWorker.mjs
+ * @description Reconciles our payments, refunds and payouts against Razorpay (see `services/reconciliationService.mjs`).
+ *
+ * - `reconcileRazorpay` runs nightly from the repeatable job and covers the previous IST day.
+ * - The same job name is queued by an admin through `/api/admin/runReconciliation` with `{ date, triggeredBy }`.
+ *
+ * Concurrency is 1 so two runs never replay the same missed webhook at once.
+ *
+ * @returns {Worker} The initialized BullMQ worker instance.
+ */
+export function initReconciliationWorker() {
+    reconciliationWorker = new Worker("reconciliationQueue", async (job) => {
+        if (job.name !== "reconcileRazorpay") return;
+        try {
+            const { date = null, triggeredBy = null } = job.data || {};
+            return await runReconciliation({ date, triggeredBy });
+        } catch (error) {
+            logger.error(`Razorpay reconciliation failed: ${error.message}`, {
+                error,
+                jobId: job.id
+            })
+            throw error;
+        }
+        },
+        {
+            connection: bullRedis,
+            concurrency: 1,
+            removeOnComplete: {
+                age: 30,
+                count: 10
+            },
+            removeOnFail: {
+                age: 30,
+                count: 10
+            }
+        }
+    );
+
+    reconciliationWorker.on("error", (error) => {
+        logger.error("Error in reconciliation worker:", error);
+    });
+
+    reconciliationWorker.on("completed", (job) => {
+        logger.info(`Job ${job.queueName} ${job.id} completed`, {
+            duration: job.finishedOn - job.processedOn,
+            result: job.returnvalue
+        });
+    });
+
+    reconciliationWorker.on("failed", (job, error) => {
+        logger.error(`Job ${job.queueName} ${job.id} failed: ${error.message}`);
+        if(job.attemptsMade >= job.opts.attempts) {
+            (async () => {
+                const queueLogsRepo = AppDataSource.getRepository(QueueLogs);
+                await queueLogsRepo.save({
+                    queueName: job.queueName,
+                    jobId: job.id,
+                    jobData: job.data,
+                    reason: error.message,
+                    failedAt: new Date()
+                });
+            })();
+        }
+    });
+
+    return reconciliationWorker;
+}
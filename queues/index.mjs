@@ -7,4 +7,7 @@ export { resetDailyLeadershipQueue } from "./cron/leadership/daily/resetDailyLea
 export { resetMonthlyLeadershipBoardQueue } from "./cron/leadership/monthly/resetMonthlyLeadershipBoardQueue.mjs"
 export { expireAcceptedQuotesQueue } from "./cron/expiringJobs/acceptedQuotes/expireAcceptedQuotesQueue.mjs"
 export { expirePendingVendorsQueue } from "./cron/expiringJobs/pendingVendors/expirePendingVendorsQueue.mjs"
-export { notificationHistoryQueue } from "./notification/notificationHistory/notificationHistoryQueue.mjs"
\ No newline at end of file
+export { notificationHistoryQueue } from "./notification/notificationHistory/notificationHistoryQueue.mjs"
+export { payoutCycleQueue } from "./cron/payouts/payoutCycleQueue.mjs"
+export { reconciliationQueue } from "./cron/reconciliation/reconciliationQueue.mjs"
+export { expireWalletCreditsQueue } from "./cron/expiringJobs/walletCredits/expireWalletCreditsQueue.mjs"
\ No newline at end of file
@@ -1,42 +1,119 @@
 import { Worker } from "bullmq";
+import { In } from "typeorm";
 import { bullRedis } from "../../config/redis-config.mjs";
 import { Outbox } from "../../entities/Outbox.mjs";
 import { AppDataSource } from "../../config/data-source.mjs";
 import { QueueLogs } from "../../entities/queueLogs.mjs";
 import { logger } from "../../utils/logger-utils.mjs";
-import { sendDeliveryRequest } from "../../services/deliveryService.mjs";
+import { sendDeliveryRequest, cancelDeliveryRequest } from "../../services/deliveryService.mjs";
+import { renderInvoicePdf } from "../../services/invoiceService.mjs";
+import { raiseQueuedRefund } from "../../services/walletService.mjs";
+import { DeliveryProviderError, isRetryableDeliveryError } from "../../utils/delivery-provider-utils.mjs";
+import { OUTBOX_STATUS } from "../../types/enums/index.mjs";
+import { OUTBOX_MAX_ATTEMPTS, OUTBOX_RETRY_BASE_DELAY_MS, OUTBOX_RETRY_MAX_DELAY_MS, OUTBOX_CLAIM_LEASE_MS } from "../../config/constants.mjs";
 
 let outboxWorker;
 
+const BATCH_SIZE = 10;
+
+/**
+ * Claims up to BATCH_SIZE due messages: PENDING ones whose retry time has come, and PROCESSING ones whose
+ * lease ran out because the worker that claimed them died. `FOR UPDATE SKIP LOCKED` lets several workers
+ * claim at once without picking the same rows; the claim is committed before any message is sent, so no
+ * row lock is held across provider calls.
+ */
+const claimDueMessages = async () => {
+    const queryRunner = AppDataSource.createQueryRunner();
+    await queryRunner.connect();
+    await queryRunner.startTransaction();
+    try {
+        const messages = await queryRunner.manager.createQueryBuilder(Outbox, "outbox")
+            .setLock("pessimistic_write")
+            .setOnLocked("skip_locked")
+            .where("(outbox.status = :pending AND (outbox.nextAttemptAt IS NULL OR outbox.nextAttemptAt <= now()))", { pending: OUTBOX_STATUS.PENDING })
+            .orWhere("(outbox.status = :processing AND outbox.nextAttemptAt <= now())", { processing: OUTBOX_STATUS.PROCESSING })
+            .orderBy("outbox.createdAt", "ASC")
+            .limit(BATCH_SIZE)
+            .getMany();
+
+        if (messages.length) {
+            await queryRunner.manager.update(Outbox, { id: In(messages.map((m) => m.id)) }, {
+                status: OUTBOX_STATUS.PROCESSING,
+                attempts: () => "\"attempts\" + 1",
+                nextAttemptAt: new Date(Date.now() + OUTBOX_CLAIM_LEASE_MS),
+                statusUpdatedAt: new Date()
+            });
+        }
+        await queryRunner.commitTransaction();
+
+        return messages.map((m) => ({ ...m, attempts: m.attempts + 1 }));
+    } catch (error) {
+        if (queryRunner.isTransactionActive) {
+            await queryRunner.rollbackTransaction();
+        }
+        throw error;
+    } finally {
+        await queryRunner.release();
+    }
+};
+
+const dispatchMessage = async (message) => {
+    // INITIATE_PICKUP is the old name of SEND_ITEM_PICKUP, kept for rows written before the rename
+    if (["SEND_ITEM_PICKUP", "SEND_ITEM_DELIVERY", "INITIATE_PICKUP"].includes(message.eventType)) {
+        await sendDeliveryRequest(message.payload);
+    } else if (message.eventType === "CANCEL_SHIPMENT") {
+        await cancelDeliveryRequest(message.payload);
+    } else if (message.eventType === "RENDER_INVOICE") {
+        await renderInvoicePdf(message.payload.invoiceId);
+    } else if (message.eventType === "RAISE_REFUND") {
+        await raiseQueuedRefund(message);
+    }
+};
+
+/**
+ * Provider errors say whether they are retryable. 4xx errors raised with sendError() (missing rows, a
+ * cancelled delivery) will fail the same way next time; anything else (DB, network) is worth retrying.
+ */
+const isRetryableOutboxError = (error) => {
+    if (error instanceof DeliveryProviderError) return isRetryableDeliveryError(error);
+    if (error?.statusCode >= 400 && error?.statusCode < 500) return false;
+    return true;
+};
+
+const getNextAttemptAt = (attempts) => {
+    const delay = Math.min(OUTBOX_RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), OUTBOX_RETRY_MAX_DELAY_MS);
+    return new Date(Date.now() + delay);
+};
+
 export function initOutboxWorker() {
     outboxWorker = new Worker("outboxQueue", async (job) => {
 
         const outboxRepo = AppDataSource.getRepository(Outbox);
 
-        const pendingMessages = await outboxRepo.find({
-            where: { status: "PENDING" },
-            order: { createdAt: "ASC" },
-            take: 10 // batch size
-        });
+        const messages = await claimDueMessages();
 
-        for (const message of pendingMessages) {
+        for (const message of messages) {
             try {
-                if (message.eventType === "SEND_ITEM_PICKUP" || message.eventType === "SEND_ITEM_DELIVERY") {
-                    await sendDeliveryRequest(message.payload);
-                }
-                message.status= "SENT";
-                message.statusUpdatedAt = new Date();
-                await outboxRepo.save(message);
+                await dispatchMessage(message);
+                await outboxRepo.update({ id: message.id, status: OUTBOX_STATUS.PROCESSING }, {
+                    status: OUTBOX_STATUS.SENT,
+                    nextAttemptAt: null,
+                    statusUpdatedAt: new Date()
+                });
             } catch (error) {
-                logger.error(`Outbox processing failed for message ${message.id}: ${error.message}`, {
+                const retry = isRetryableOutboxError(error) && message.attempts < OUTBOX_MAX_ATTEMPTS;
+                logger.error(`Outbox processing failed for message ${message.id} (attempt ${message.attempts}): ${error.message}`, {
                     error,
                     jobId: job.id,
-                    messageId: message.id
+                    messageId: message.id,
+                    retry
+                });
+                await outboxRepo.update({ id: message.id, status: OUTBOX_STATUS.PROCESSING }, {
+                    status: retry ? OUTBOX_STATUS.PENDING : OUTBOX_STATUS.DEAD,
+                    nextAttemptAt: retry ? getNextAttemptAt(message.attempts) : null,
+                    failureReason: error.message,
+                    statusUpdatedAt: new Date()
                 });
-                message.status = "FAILED";
-                message.failureReason = error.message;
-                message.statusUpdatedAt = new Date();
-                await outboxRepo.save(message);
             }
         }
         },
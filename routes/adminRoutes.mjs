@@ -22,6 +22,9 @@ router.post("/searchByEmailorPhoneNumber",verifyAdminAccessToken, controllerWrap
 router.post("/blockorUnblockVendor/:id",verifyAdminAccessToken, controllerWrapper(adminController.blockOrUnblockVendor, {logRequest, logResponse}))
 router.post("/verifyVendor/:id",verifyAdminAccessToken, controllerWrapper(adminController.verifyVendor, {logRequest, logResponse}))
 router.delete("/rejectVendor/:id",verifyAdminAccessToken, controllerWrapper(adminController.rejectVendor, {logRequest, logResponse}))
+router.get("/getVendorKyc/:id",verifyAdminAccessToken, controllerWrapper(adminController.getVendorKyc, {logRequest, logResponse}))
+router.post("/reviewKycDocument",verifyAdminAccessToken, controllerWrapper(adminController.reviewKycDocument, {logRequest, logResponse}))
+router.post("/revalidateBankAccount/:id",verifyAdminAccessToken, controllerWrapper(adminController.revalidateBankAccount, {logRequest, logResponse}))
 router.patch("/updateVendor/:id",verifyAdminAccessToken, controllerWrapper(adminController.updateVendor, {logRequest, logResponse}))
 router.get("/getOrders",verifyAdminAccessToken, controllerWrapper(adminController.getOrders, {logRequest, logResponse}))
 router.get("/getAllCustomers",verifyAdminAccessToken, controllerWrapper(adminController.getAllCustomers, {logRequest, logResponse}))
@@ -42,6 +45,10 @@ router.get("/reports", verifyAdminAccessToken, controllerWrapper(adminController
 router.get("/getComplaints", verifyAdminAccessToken, controllerWrapper(adminController.getComplaints, {logRequest, logResponse}))
 router.patch("/resolveComplaint/:id", verifyAdminAccessToken, controllerWrapper(adminController.resolveComplaint, {logRequest, logResponse}))
 router.get("/complaints/export", verifyAdminAccessToken, controllerWrapper(adminController.exportComplaints, {logRequest, logResponse}))
+router.get("/getComplaintThread/:id", verifyAdminAccessToken, controllerWrapper(adminController.getComplaintThread, {logRequest, logResponse}))
+router.post("/replyToComplaint/:id", verifyAdminAccessToken, controllerWrapper(adminController.replyToComplaint, {logRequest, logResponse}))
+router.patch("/updateComplaintStatus/:id", verifyAdminAccessToken, controllerWrapper(adminController.updateComplaintStatus, {logRequest, logResponse}))
+router.post("/getComplaintAttachmentUploadUrl", verifyAdminAccessToken, controllerWrapper(adminController.getComplaintAttachmentUploadUrl, {logRequest, logResponse}))
 router.get("/loginHistory", verifyAdminAccessToken, controllerWrapper(adminController.loginHistory, {logRequest, logResponse}))
 router.get("/getAdminActions", verifyAdminAccessToken, controllerWrapper(adminController.getAdminActions, {logRequest, logResponse}))
 router.get("/getPaymentsList", verifyAdminAccessToken, controllerWrapper(adminController.getPaymentsList, {logRequest, logResponse}))
@@ -49,10 +56,39 @@ router.get("/getRefundsList", verifyAdminAccessToken, controllerWrapper(adminCon
 router.get("/getPaymentFailuresList", verifyAdminAccessToken, controllerWrapper(adminController.getPaymentFailuresList, {logRequest, logResponse}))
 router.get("/getQueueLogs", verifyAdminAccessToken, controllerWrapper(adminController.getQueueLogs, {logRequest, logResponse}))
 router.get("/getOutboxFailures", verifyAdminAccessToken, controllerWrapper(adminController.getOutboxFailures, {logRequest, logResponse}))
+router.post("/requeueOutboxMessage/:id", verifyAdminAccessToken, controllerWrapper(adminController.requeueOutboxMessage, {logRequest, logResponse}))
+router.post("/discardOutboxMessage/:id", verifyAdminAccessToken, controllerWrapper(adminController.discardOutboxMessage, {logRequest, logResponse}))
+router.get("/getDeliveryWebhookEvents", verifyAdminAccessToken, controllerWrapper(adminController.getDeliveryWebhookEvents, {logRequest, logResponse}))
+router.post("/replayDeliveryWebhookEvent/:id", verifyAdminAccessToken, controllerWrapper(adminController.replayDeliveryWebhookEvent, {logRequest, logResponse}))
 router.get("/getPayoutsList", verifyAdminAccessToken, controllerWrapper(adminController.getPayoutsList, {logRequest, logResponse}))
 router.post("/processPayout", verifyAdminAccessToken, controllerWrapper(adminController.processPayout, {logRequest, logResponse}))
 router.post("/retryPayout", verifyAdminAccessToken, controllerWrapper(adminController.retryPayout, {logRequest, logResponse}))
 router.post("/cancelPayout", verifyAdminAccessToken, controllerWrapper(adminController.cancelPayout, {logRequest, logResponse}))
+router.get("/getPayoutBatches", verifyAdminAccessToken, controllerWrapper(adminController.getPayoutBatches, {logRequest, logResponse}))
+router.get("/getPayoutBatchDetails/:id", verifyAdminAccessToken, controllerWrapper(adminController.getPayoutBatchDetails, {logRequest, logResponse}))
+router.post("/runPayoutCycle", verifyAdminAccessToken, controllerWrapper(adminController.runPayoutCycle, {logRequest, logResponse}))
+router.get("/getVendorPayoutSettings/:vendorId", verifyAdminAccessToken, controllerWrapper(adminController.getVendorPayoutSettings, {logRequest, logResponse}))
+router.patch("/updateVendorPayoutSettings/:vendorId", verifyAdminAccessToken, controllerWrapper(adminController.updateVendorPayoutSettings, {logRequest, logResponse}))
+router.get("/getLedgerEntries", verifyAdminAccessToken, controllerWrapper(adminController.getLedgerEntries, {logRequest, logResponse}))
+router.get("/getTrialBalance", verifyAdminAccessToken, controllerWrapper(adminController.getTrialBalance, {logRequest, logResponse}))
+router.get("/getPlatformRevenue", verifyAdminAccessToken, controllerWrapper(adminController.getPlatformRevenue, {logRequest, logResponse}))
+router.get("/getVendorLedgerBalance/:vendorId", verifyAdminAccessToken, controllerWrapper(adminController.getVendorLedgerBalance, {logRequest, logResponse}))
+router.post("/runReconciliation", verifyAdminAccessToken, controllerWrapper(adminController.runReconciliation, {logRequest, logResponse}))
+router.get("/getReconciliationRuns", verifyAdminAccessToken, controllerWrapper(adminController.getReconciliationRuns, {logRequest, logResponse}))
+router.get("/getReconciliationMismatches", verifyAdminAccessToken, controllerWrapper(adminController.getReconciliationMismatches, {logRequest, logResponse}))
+router.patch("/resolveReconciliationMismatch/:id", verifyAdminAccessToken, controllerWrapper(adminController.resolveReconciliationMismatch, {logRequest, logResponse}))
+router.get("/getInvoices", verifyAdminAccessToken, controllerWrapper(adminController.getInvoices, {logRequest, logResponse}))
+router.get("/getInvoiceDownloadUrl/:id", verifyAdminAccessToken, controllerWrapper(adminController.getInvoiceDownloadUrl, {logRequest, logResponse}))
+router.post("/createPromoCode", verifyAdminAccessToken, controllerWrapper(adminController.createPromoCode, {logRequest, logResponse}))
+router.get("/getPromoCodes", verifyAdminAccessToken, controllerWrapper(adminController.getPromoCodes, {logRequest, logResponse}))
+router.get("/getPromoCode/:id", verifyAdminAccessToken, controllerWrapper(adminController.getPromoCodeById, {logRequest, logResponse}))
+router.patch("/updatePromoCode/:id", verifyAdminAccessToken, controllerWrapper(adminController.updatePromoCode, {logRequest, logResponse}))
+router.patch("/deactivatePromoCode/:id", verifyAdminAccessToken, controllerWrapper(adminController.deactivatePromoCode, {logRequest, logResponse}))
+router.get("/getPromoRedemptions", verifyAdminAccessToken, controllerWrapper(adminController.getPromoRedemptions, {logRequest, logResponse}))
+router.get("/getPromoDiscountReport", verifyAdminAccessToken, controllerWrapper(adminController.getPromoDiscountReport, {logRequest, logResponse}))
+router.post("/grantWalletCredit", verifyAdminAccessToken, controllerWrapper(adminController.grantWalletCredit, {logRequest, logResponse}))
+router.post("/refundToWallet", verifyAdminAccessToken, controllerWrapper(adminController.refundToWallet, {logRequest, logResponse}))
+router.get("/getCustomerWallet/:customerId", verifyAdminAccessToken, controllerWrapper(adminController.getCustomerWallet, {logRequest, logResponse}))
 router.post("/refundRazorpayPaymentByAdmin", verifyAdminAccessToken, controllerWrapper(adminController.refundRazorpayPaymentByAdmin, {logRequest, logResponse}))
 router.get("/getLeadershipBoard", verifyAdminAccessToken, controllerWrapper(adminController.getLeadershipBoard, {logRequest, logResponse}))
 router.post("/sendIndividualEmail", verifyAdminAccessToken, controllerWrapper(adminController.sendIndividualEmail, {logRequest, logResponse}))
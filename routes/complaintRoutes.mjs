@@ -0,0 +1,14 @@
+import { Router } from "express";
+import * as complaintController from "../controllers/complaintController.mjs";
+import { verifyAccessToken } from "../middlewares/auth.mjs";
+import { controllerWrapper } from "../controllers/index.mjs";
+
+const router = Router();
+
+router.post("/getAttachmentUploadUrl", verifyAccessToken, controllerWrapper(complaintController.getAttachmentUploadUrl, { logRequest: true, logResponse: true })); // Presigned upload URL for a complaint attachment
+router.get("/getMyComplaints/:page/:limit", verifyAccessToken, controllerWrapper(complaintController.getMyComplaints, { logRequest: true, logResponse: true })); // Tickets the customer/vendor is a party to
+router.get("/getComplaintThread/:complaintId", verifyAccessToken, controllerWrapper(complaintController.getComplaintThread, { logRequest: true, logResponse: true })); // Ticket with its replies
+router.post("/replyToComplaint/:complaintId", verifyAccessToken, controllerWrapper(complaintController.replyToComplaint, { logRequest: true, logResponse: true })); // Reply on a ticket
+router.post("/reopenComplaint/:complaintId", verifyAccessToken, controllerWrapper(complaintController.reopenComplaint, { logRequest: true, logResponse: true })); // Reopen a resolved ticket
+
+export default router;
@@ -21,5 +21,7 @@ router.post("/addComplaint/:orderId", verifyAccessToken, controllerWrapper(custo
 router.get("/getCustomerPayments/:page/:limit", verifyAccessToken, controllerWrapper(customerController.getCustomerPayments, { logRequest: true, logResponse: true }));
 router.get("/getVendorReviews/:vendorId/:page/:limit", verifyAccessToken, controllerWrapper(customerController.getVendorReviews, { logRequest: true, logResponse: true }));
 router.get("/getAdBanner", verifyAccessToken, controllerWrapper(customerController.getAdBanner, { logRequest: true, logResponse: true }));
+router.get("/getWallet", verifyAccessToken, controllerWrapper(customerController.getWallet, { logRequest: true, logResponse: true }));
+router.get("/getWalletTransactions/:page/:limit", verifyAccessToken, controllerWrapper(customerController.getWalletTransactions, { logRequest: true, logResponse: true }));
 
 export default router;
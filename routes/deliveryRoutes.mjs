@@ -6,6 +6,6 @@ import { handleDeliveryWebhook } from "../services/deliveryService.mjs";
 
 const router = Router();
 
-router.post("/handleDeliveryWebhook", handleDeliveryWebhook);
+router.post("/handleDeliveryWebhook", controllerWrapper(handleDeliveryWebhook, { logRequest: true, logResponse: true }));
 
 export default router;
\ No newline at end of file
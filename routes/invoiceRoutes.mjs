@@ -0,0 +1,11 @@
+import { Router } from "express";
+import * as invoiceController from "../controllers/invoiceController.mjs";
+import { verifyAccessToken } from "../middlewares/auth.mjs";
+import { controllerWrapper } from "../controllers/index.mjs";
+
+const router = Router();
+
+router.get("/getMyInvoices/:page/:limit", verifyAccessToken, controllerWrapper(invoiceController.getMyInvoices, { logRequest: true, logResponse: true })); // Tax invoices (customer) or commission invoices (vendor)
+router.get("/getInvoiceDownloadUrl/:invoiceId", verifyAccessToken, controllerWrapper(invoiceController.getInvoiceDownloadUrl, { logRequest: true, logResponse: true })); // Presigned URL of the invoice PDF
+
+export default router;
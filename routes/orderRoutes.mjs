@@ -11,12 +11,23 @@ router.post("/createOrder", verifyAccessToken, controllerWrapper(orderController
 
 router.post("/sendOrderToVendor", verifyAccessToken, controllerWrapper(orderController.sendOrderToVendor, { logRequest: true, logResponse: true }));
 
+router.post("/instantBookOrder", verifyAccessToken, controllerWrapper(orderController.instantBookOrder, { logRequest: true, logResponse: true }));
+
+router.post("/cancelOrder", verifyAccessToken, controllerWrapper(orderController.cancelOrder, { logRequest: true, logResponse: true }));
+
+router.post("/reassignOrderVendor", verifyAccessToken, controllerWrapper(orderController.reassignOrderVendor, { logRequest: true, logResponse: true }));
+
 
 // VENDOR ACCESSIBLE ROUTES
 
 router.post("/vendorOrderResponse", verifyAccessToken, controllerWrapper(orderController.vendorOrderResponse, { logRequest: true, logResponse: true }));
 
+router.post("/validatePromoCode", verifyAccessToken, controllerWrapper(orderController.validatePromoCode, { logRequest: true, logResponse: true }));
+
 router.post("/createRazorpayOrder", verifyAccessToken, controllerWrapper(orderController.createRazorpayOrder, { logRequest: true, logResponse: true }));
+router.post("/createBalancePaymentOrder", verifyAccessToken, controllerWrapper(orderController.createBalancePaymentOrder, { logRequest: true, logResponse: true }));
+
+router.post("/vendorCancelOrder", verifyAccessToken, controllerWrapper(orderController.vendorCancelOrder, { logRequest: true, logResponse: true }));
 
 router.post("/updateOrderStatus", verifyAccessToken, controllerWrapper(orderController.updateOrderStatus, { logRequest: true, logResponse: true }));
 
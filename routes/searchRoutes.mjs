@@ -5,6 +5,10 @@ import { controllerWrapper } from "../controllers/index.mjs";
 
 const router = Router();
 
+router.get('/vendors', verifyAccessToken, controllerWrapper(searchController.searchVendors, { logRequest: true, logResponse: true })); //GET: /search/vendors?q=&serviceType=&lng=&lat=&radiusKm=&minRating=&sort=&page=
+router.get('/suggest', verifyAccessToken, controllerWrapper(searchController.suggestVendors, { logRequest: true, logResponse: true })); //GET: /search/suggest?q=blou&serviceType=tailors
+
+// Single-purpose searches, kept for app versions that don't use /vendors yet
 router.get('/searchByRating/:serviceType/:page', verifyAccessToken, controllerWrapper(searchController.searchVendorsByRating, { logRequest: true, logResponse: true }));
 router.get('/searchByNearestLocation/:serviceType/:lng/:lat/:radiusKm/:page', verifyAccessToken, controllerWrapper(searchController.searchVendorsByNearestLocation, { logRequest: true, logResponse: true }));
 router.get('/searchByRatingAndLocation/:serviceType/:lng/:lat/:radiusKm/:page', verifyAccessToken, controllerWrapper(searchController.searchVendorsByRatingAndLocation, { logRequest: true, logResponse: true }));
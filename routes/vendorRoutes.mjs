@@ -23,7 +23,22 @@ router.get("/getVendorQuote/:orderVendorId", verifyAccessToken, controllerWrappe
 router.get("/getVendorStats", verifyAccessToken, controllerWrapper(vendorController.getVendorStats, { logRequest: true, logResponse: true}));
 router.post("/addComplaint/:orderId", verifyAccessToken, controllerWrapper(vendorController.addComplaint, { logRequest: true, logResponse: true}));
 router.get("/getVendorPayouts/:page/:limit", verifyAccessToken, controllerWrapper(vendorController.getVendorPayouts, { logRequest: true, logResponse: true}));
+router.get("/getEarningsSummary", verifyAccessToken, controllerWrapper(vendorController.getEarningsSummary, { logRequest: true, logResponse: true}));
+router.get("/getEarningLines/:page/:limit", verifyAccessToken, controllerWrapper(vendorController.getEarningLines, { logRequest: true, logResponse: true}));
+router.get("/getEarningsStatement", verifyAccessToken, controllerWrapper(vendorController.getEarningsStatement, { logRequest: true, logResponse: true}));
 router.get("/getReviews/:page/:limit", verifyAccessToken, controllerWrapper(vendorController.getReviews, { logRequest: true, logResponse: true}));
 router.get("/getAdBanner", verifyAccessToken, controllerWrapper(vendorController.getAdBanner, { logRequest: true, logResponse: true}));
+router.get("/getKycStatus", verifyAccessToken, controllerWrapper(vendorController.getKycStatus, { logRequest: true, logResponse: true}));
+router.post("/resubmitKycDocument", verifyAccessToken, controllerWrapper(vendorController.resubmitKycDocument, { logRequest: true, logResponse: true}));
+router.get("/getBankAccount", verifyAccessToken, controllerWrapper(vendorController.getBankAccount, { logRequest: true, logResponse: true}));
+router.post("/updateBankDetails", verifyAccessToken, controllerWrapper(vendorController.updateBankDetails, { logRequest: true, logResponse: true}));
+router.get("/getCatalogItems", verifyAccessToken, controllerWrapper(vendorController.getCatalogItems, { logRequest: true, logResponse: true}));
+router.post("/addCatalogItem", verifyAccessToken, controllerWrapper(vendorController.addCatalogItem, { logRequest: true, logResponse: true}));
+router.patch("/updateCatalogItem/:catalogItemId", verifyAccessToken, controllerWrapper(vendorController.updateCatalogItem, { logRequest: true, logResponse: true}));
+router.delete("/deleteCatalogItem/:catalogItemId", verifyAccessToken, controllerWrapper(vendorController.deleteCatalogItem, { logRequest: true, logResponse: true}));
+router.get("/getAvailability", verifyAccessToken, controllerWrapper(vendorController.getAvailability, { logRequest: true, logResponse: true}));
+router.patch("/updateAvailability", verifyAccessToken, controllerWrapper(vendorController.updateAvailability, { logRequest: true, logResponse: true}));
+router.post("/addTimeOff", verifyAccessToken, controllerWrapper(vendorController.addTimeOff, { logRequest: true, logResponse: true}));
+router.delete("/deleteTimeOff/:timeOffId", verifyAccessToken, controllerWrapper(vendorController.deleteTimeOff, { logRequest: true, logResponse: true}));
 
 export default router;
@@ -8,4 +8,8 @@ router.post("/handleRazorpayPaymentWebhook", controllerWrapper(webhookServices.h
 
 router.post("/handleRazorpayPayoutWebhook", controllerWrapper(webhookServices.handleRazorpayPayoutWebhook, { logRequest: true, logResponse: true }));
 
+router.post("/handleRazorpayRefundWebhook", controllerWrapper(webhookServices.handleRazorpayRefundWebhook, { logRequest: true, logResponse: true }));
+
+router.post("/handleRazorpayFundAccountValidationWebhook", controllerWrapper(webhookServices.handleRazorpayFundAccountValidationWebhook, { logRequest: true, logResponse: true }));
+
 export default router;
\ No newline at end of file
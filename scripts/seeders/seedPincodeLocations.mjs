@@ -0,0 +1,52 @@
+import fs from "fs";
+import { AppDataSource } from "../../config/data-source.mjs";
+import { PincodeLocations } from "../../entities/PincodeLocations.mjs";
+
+/**
+ * Loads pincode centre points used for delivery pricing from a CSV file with the header
+ * `pincode,lat,lng,city,state` (city and state optional). Existing pincodes are updated.
+ *
+ * Usage: npm run seed:pincodes -- ./pincodes.csv
+ */
+export const seedPincodeLocations = async (filePath) => {
+    try {
+        if (!filePath) throw new Error("Usage: npm run seed:pincodes -- <file.csv>");
+
+        const [header, ...lines] = fs.readFileSync(filePath, "utf8").split(/\r?\n/).filter((line) => line.trim());
+        const columns = header.split(",").map((column) => column.trim());
+
+        const rows = [];
+        for (const line of lines) {
+            const values = line.split(",").map((value) => value.trim());
+            const row = Object.fromEntries(columns.map((column, i) => [column, values[i]]));
+            const lat = parseFloat(row.lat);
+            const lng = parseFloat(row.lng);
+
+            if (!/^\d{6}$/.test(row.pincode) || isNaN(lat) || isNaN(lng)) {
+                console.warn(`Skipping invalid row: ${line}`);
+                continue;
+            }
+            rows.push({
+                pincode: row.pincode,
+                location: { type: "Point", coordinates: [lng, lat] },
+                city: row.city || null,
+                state: row.state || null
+            });
+        }
+
+        await AppDataSource.initialize();
+        const pincodeRepo = AppDataSource.getRepository(PincodeLocations);
+
+        for (let i = 0; i < rows.length; i += 500) {
+            await pincodeRepo.upsert(rows.slice(i, i + 500), ["pincode"]);
+        }
+
+        console.log(`Seeded ${rows.length} pincode locations`);
+    } catch (error) {
+        console.error("Error seeding pincode locations", error);
+    } finally {
+        if (AppDataSource.isInitialized) await AppDataSource.destroy();
+    }
+}
+
+seedPincodeLocations(process.argv[2]);
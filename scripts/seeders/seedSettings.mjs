@@ -1,5 +1,6 @@
 import { AppDataSource } from "../../config/data-source.mjs";
 import { Settings } from "../../entities/Settings.mjs";
+import { DEFAULT_CANCELLATION_FEE_SCHEDULE, DEFAULT_DELIVERY_CHARGE_SLABS, DEFAULT_DELIVERY_SURGE_RULES, DEFAULT_PAYOUT_SCHEDULE } from "../../config/constants.mjs";
 
 export const seedSettings = async () => {
     try {
@@ -18,6 +19,31 @@ export const seedSettings = async () => {
                 value: "20",
                 type: "number"
             },
+            {
+                key: "vendor_cancellation_penalty_percent",
+                value: "10",
+                type: "number"
+            },
+            {
+                key: "cancellation_fee_schedule",
+                value: JSON.stringify(DEFAULT_CANCELLATION_FEE_SCHEDULE),
+                type: "json"
+            },
+            {
+                key: "delivery_charge_slabs",
+                value: JSON.stringify(DEFAULT_DELIVERY_CHARGE_SLABS),
+                type: "json"
+            },
+            {
+                key: "delivery_surge_rules",
+                value: JSON.stringify(DEFAULT_DELIVERY_SURGE_RULES),
+                type: "json"
+            },
+            {
+                key: "payout_schedule",
+                value: JSON.stringify(DEFAULT_PAYOUT_SCHEDULE),
+                type: "json"
+            },
             {
                 key: "ad_banner_01",
                 value: null,
@@ -20,6 +20,8 @@ import ratingRoutes from "./routes/ratingRoutes.mjs"
 import deliveryRoutes from "./routes/deliveryRoutes.mjs"
 import customerRoutes from "./routes/customerRoutes.mjs"
 import webhookRoutes from "./routes/webhookRoutes.mjs"
+import complaintRoutes from "./routes/complaintRoutes.mjs"
+import invoiceRoutes from "./routes/invoiceRoutes.mjs"
 
 // Import Utils and config files
 import { MESSAGE } from "./types/enums/index.mjs";
@@ -70,6 +72,8 @@ app.use("/api/rating", ratingRoutes)
 app.use("/api/delivery", deliveryRoutes)
 app.use("/api/customer", customerRoutes)
 app.use("/api/webhook", webhookRoutes)
+app.use("/api/complaint", complaintRoutes)
+app.use("/api/invoice", invoiceRoutes)
 app.get("/api/health", (req, res) => {
   res.json({
     env: process.env.NODE_ENV,
@@ -12,27 +12,38 @@ import { OrderVendors } from "../entities/OrderVendors.mjs";
 import { OrderQuotes } from "../entities/OrderQuote.mjs"
 import { Payments } from "../entities/Payments.mjs"
 import { In, Not, Between, Like, ILike } from 'typeorm';
-import { ORDER_STATUS, SHOP_TYPE, SERVICE_TYPE, OWNERSHIP_TYPE, ORDER_VENDOR_STATUS } from "../types/enums/index.mjs";
-import { DEFAULT_PLATFORM_FEE_PERCENT, DEFAULT_VENDOR_FEE_PERCENT } from "../config/constants.mjs";
+import { ORDER_STATUS, SHOP_TYPE, SERVICE_TYPE, OWNERSHIP_TYPE, ORDER_VENDOR_STATUS, WEBHOOK_EVENT_STATUS, OUTBOX_STATUS, COMPLAINT_OUTCOME, COMPLAINT_STATUS, COMPLAINT_CATEGORY, COMPLAINT_PRIORITY, ROLE, PAYOUT_CYCLE, VENDOR_STATUS, KYC_REVIEW_ACTION, BANK_VALIDATION_STATUS } from "../types/enums/index.mjs";
+import { DEFAULT_PLATFORM_FEE_PERCENT, DEFAULT_VENDOR_FEE_PERCENT, DEFAULT_CANCELLATION_FEE_SCHEDULE, DEFAULT_VENDOR_CANCELLATION_PENALTY_PERCENT, DEFAULT_DELIVERY_CHARGE_SLABS, DEFAULT_DELIVERY_SURGE_RULES, DEFAULT_PAYOUT_SCHEDULE } from "../config/constants.mjs";
 import { z } from "zod";
 import { VendorStats } from "../entities/VendorStats.mjs";
 import { OrderStatusTimeline } from "../entities/orderStatusTimeline.mjs";
 import { DeliveryTracking } from "../entities/DeliveryTracking.mjs";
 import { Settings } from "../entities/Settings.mjs";
 import { delCache } from "../utils/cache.mjs";
-import { emailQueue } from "../queues/index.mjs";
+import { emailQueue, payoutCycleQueue } from "../queues/index.mjs";
 import { AdminActions } from "../entities/AdminActions.mjs";
 import { AdminLoginHistory } from "../entities/AdminLoginHistory.mjs";
 
 import { Complaints } from "../entities/Complaints.mjs";
+import { ComplaintReplies } from "../entities/ComplaintReplies.mjs";
 import { Refunds } from "../entities/Refunds.mjs";
 import { PaymentFailures } from "../entities/PaymentFailures.mjs";
 import { QueueLogs } from "../entities/queueLogs.mjs";
 import { Outbox } from "../entities/Outbox.mjs";
+import { DeliveryWebhookEvents } from "../entities/DeliveryWebhookEvents.mjs";
+import { processDeliveryWebhookEvent } from "./deliveryService.mjs";
+import { notifyComplaintParticipants } from "./complaintService.mjs";
 
 import { createRazorpayContact, createFundAccount, createPayout, refundRazorpayPayment } from "../utils/razorpay-utils.mjs";
+import { getRefundableAmount, refundOrderPayment } from "./walletService.mjs";
 
 import { Payouts } from "../entities/Payouts.mjs";
+import { PayoutBatches } from "../entities/PayoutBatches.mjs";
+import { VendorPayoutSettings } from "../entities/VendorPayoutSettings.mjs";
+import { getPayoutSchedule } from "./payoutService.mjs";
+import { assertKycApproved, recordKycReview } from "./kycService.mjs";
+import { startBankValidation, assertPayoutAccountValid, notifyBankValidation } from "./bankAccountService.mjs";
+import { postVendorDeduction, postPayoutStatus } from "./ledgerService.mjs";
 
 import { LeaderboardHistory } from "../entities/LeaderboardHistory.mjs";
 import { broadcastPushNotification } from "../services/notificationService.mjs";
@@ -411,6 +422,10 @@ export const getVendorById = async (id) => {
       "vendors.bankPassbookUrlPath",
       "vendors.razorpay_contact_id",
       "vendors.razorpay_fund_account_id",
+      "vendors.bankValidationStatus",
+      "vendors.bankRegisteredName",
+      "vendors.bankValidationNote",
+      "vendors.bankValidatedAt",
       "vendors.shopDescription",
       "vendors.status",
       "vendors.createdAt",
@@ -479,12 +494,17 @@ export const verifyVendor = async (id, adminUserId) => {
     if (!vendor) {
       throw sendError('Vendor not found', 404);
     }
+    if (vendor.status !== VENDOR_STATUS.PENDING) {
+      throw sendError(`Only a PENDING vendor can be verified, this one is ${vendor.status}`, 400);
+    }
+    await assertKycApproved(queryRunner.manager, vendor.id);
+
     await queryRunner.manager.update(Vendors, id, { status: "VERIFIED" });
 
     const contact = await createRazorpayContact(vendor.user.name, vendor.user.email, vendor.user.phoneNumber, "vendor", vendor.id);
     if (contact.error) throw sendError("Razorpay contact creation failed: "+contact.error.description,400);
 
-    const fundAccount = await createFundAccount(contact.id, "bank_account", vendor.user.name, vendor.ifscCode, vendor.accountNumber);
+    const fundAccount = await createFundAccount(contact.id, "bank_account", vendor.accountHolderName, vendor.ifscCode, vendor.accountNumber);
     if (fundAccount.error) throw sendError("Razorpay fund account creation failed: "+fundAccount.error.description,400);
 
     await queryRunner.manager.update(Vendors, vendor.id, {
@@ -492,18 +512,27 @@ export const verifyVendor = async (id, adminUserId) => {
       razorpay_fund_account_id: fundAccount.id,
     });
 
+    // Payouts stay blocked until the penny drop confirms the account
+    const bankValidationStatus = await startBankValidation(queryRunner.manager, { ...vendor, razorpay_fund_account_id: fundAccount.id });
+
+    await recordKycReview(queryRunner.manager, { vendorId: vendor.id, action: KYC_REVIEW_ACTION.VENDOR_VERIFIED, actorId: adminUserId, actorRole: ROLE.ADMIN });
+
     const adminAction = queryRunner.manager.create(AdminActions, {
       adminUserId: adminUserId,
       action: "verifyVendor",
       actionData: {
         vendorId: vendor.id,
         contactId: contact.id,
-        fundAccountId: fundAccount.id
+        fundAccountId: fundAccount.id,
+        bankValidationStatus
       }
     });
     await queryRunner.manager.save(AdminActions, adminAction);
     await queryRunner.commitTransaction();
-    return { message: "Vendor verified successfully" };
+
+    await notifyBankValidation({ vendorId: vendor.id, status: bankValidationStatus });
+
+    return { message: "Vendor verified successfully", bankValidationStatus };
   } catch (err) {
     if (queryRunner.isTransactionActive) {  
       await queryRunner.rollbackTransaction();
@@ -515,41 +544,58 @@ export const verifyVendor = async (id, adminUserId) => {
   }
 }
 
-export const rejectVendor = async (id, rejectionReason, adminUserId) => { //DELETE VENDOR
+/**
+ * Rejects a vendor awaiting verification. The profile is kept (status REJECTED) so the vendor can fix the
+ * documents marked rejected or needing a new copy and resubmit them, which puts it back to PENDING.
+ */
+export const rejectVendor = async (id, rejectionReason, adminUserId) => {
+  const queryRunner = AppDataSource.createQueryRunner();
+  await queryRunner.connect();
+  await queryRunner.startTransaction();
   try {
-    const vendor = await vendorRepo.findOne({ where: { id }, relations: { user: true } });
+    if (!rejectionReason) {
+      throw sendError('A rejection reason is required', 400);
+    }
+    const vendor = await queryRunner.manager.findOne(Vendors, { where: { id }, relations: { user: true }, lock: { mode: "pessimistic_write" } });
     if (!vendor) {
       throw sendError('Vendor not found', 404);
     }
-    const orderHistory = await orderRepo.exists({ where: { selectedVendorId: id } });
-    if (orderHistory) {
-      throw sendError('Vendor has / had orders. So deleting this vendor will cause issues with the orders. SYSTEM does not encourage HARD DELETE, instead try blocking the vendor', 400);
+    if (vendor.status !== VENDOR_STATUS.PENDING) {
+      throw sendError(`Only a PENDING vendor can be rejected, this one is ${vendor.status}. Block a verified vendor instead`, 400);
     }
- 
-    await emailQueue.add("vendorRejectionEmail", {
-      email: vendor.user.email,
-      name: vendor.user.name,
-      template_id: "vendor_rejection",
-      variables: { rejectionReason }
-    });
 
-    await vendorRepo.delete(id); 
+    await queryRunner.manager.update(Vendors, id, { status: VENDOR_STATUS.REJECTED });
+    await recordKycReview(queryRunner.manager, { vendorId: vendor.id, action: KYC_REVIEW_ACTION.VENDOR_REJECTED, actorId: adminUserId, actorRole: ROLE.ADMIN, reason: rejectionReason });
 
-    const adminAction = AppDataSource.getRepository(AdminActions).create({
+    const adminAction = queryRunner.manager.create(AdminActions, {
       adminUserId: adminUserId,
       action: "rejectVendor",
       actionData: {
+        vendorId: vendor.id,
         vendorEmail: vendor.user.email,
         vendorName: vendor.user.name,
         rejectionReason
       }
     });
-    await AppDataSource.getRepository(AdminActions).save(adminAction);
+    await queryRunner.manager.save(AdminActions, adminAction);
+    await queryRunner.commitTransaction();
+
+    await emailQueue.add("vendorRejectionEmail", {
+      email: vendor.user.email,
+      name: vendor.user.name,
+      template_id: "vendor_rejection",
+      variables: { rejectionReason }
+    });
 
     return { message: "Vendor rejected successfully" };
   } catch (err) {
+    if (queryRunner.isTransactionActive) {
+      await queryRunner.rollbackTransaction();
+    }
     logger.error(err);
     throw err;
+  } finally {
+    await queryRunner.release();
   }
 }
 
@@ -616,6 +662,9 @@ export const updateVendor = async (data, vendorId, adminUserId) => {
     });
     await queryRunner.manager.save(AdminActions, adminAction);
 
+    const bankChanged = ["accountHolderName", "accountNumber", "ifscCode", "razorpay_fund_account_id"]
+      .some(key => rest[key] !== undefined && rest[key] !== vendor[key]);
+
     Object.assign(vendor, rest);
     Object.assign(vendor.user, {name, email, phoneNumber});
 
@@ -632,8 +681,17 @@ export const updateVendor = async (data, vendorId, adminUserId) => {
     await queryRunner.manager.save(User, vendor.user);
     await queryRunner.manager.save(Vendors, vendor);
 
+    // An earlier penny drop says nothing about the edited account
+    let bankValidationStatus = vendor.bankValidationStatus;
+    if (bankChanged && vendor.razorpay_fund_account_id) {
+      bankValidationStatus = await startBankValidation(queryRunner.manager, vendor);
+    } else if (bankChanged) {
+      bankValidationStatus = BANK_VALIDATION_STATUS.NOT_VALIDATED;
+      await queryRunner.manager.update(Vendors, { id: vendor.id }, { bankValidationStatus, bankValidationId: null, bankRegisteredName: null, bankValidationNote: null, bankValidatedAt: null });
+    }
+
     await queryRunner.commitTransaction();
-    return { message: "Vendor updated successfully" };
+    return { message: "Vendor updated successfully", bankValidationStatus };
   } catch (error) {
     if (queryRunner.isTransactionActive) {  
       await queryRunner.rollbackTransaction();
@@ -1024,6 +1082,26 @@ export const getOrSetSettings = async (key) => {
           value = DEFAULT_VENDOR_FEE_PERCENT;
           await AppDataSource.getRepository(Settings).save({ key, value, type: "number" });
           break;
+        case "vendor_cancellation_penalty_percent":
+          value = DEFAULT_VENDOR_CANCELLATION_PENALTY_PERCENT;
+          await AppDataSource.getRepository(Settings).save({ key, value, type: "number" });
+          break;
+        case "cancellation_fee_schedule":
+          value = JSON.stringify(DEFAULT_CANCELLATION_FEE_SCHEDULE);
+          await AppDataSource.getRepository(Settings).save({ key, value, type: "json" });
+          break;
+        case "delivery_charge_slabs":
+          value = JSON.stringify(DEFAULT_DELIVERY_CHARGE_SLABS);
+          await AppDataSource.getRepository(Settings).save({ key, value, type: "json" });
+          break;
+        case "delivery_surge_rules":
+          value = JSON.stringify(DEFAULT_DELIVERY_SURGE_RULES);
+          await AppDataSource.getRepository(Settings).save({ key, value, type: "json" });
+          break;
+        case "payout_schedule":
+          value = JSON.stringify(DEFAULT_PAYOUT_SCHEDULE);
+          await AppDataSource.getRepository(Settings).save({ key, value, type: "json" });
+          break;
         case "ad_banner_01":
           value = null;
           await AppDataSource.getRepository(Settings).save({ key, value, type: "string" });
@@ -1055,13 +1133,59 @@ export const getOrSetSettings = async (key) => {
   }
 }
 
+const percentSettingSchema = z.coerce.number().min(0).max(100);
+const hourSchema = z.number().int().min(0).max(24);
+
+// Settings validated before they are saved. The JSON ones accept the object or its JSON string.
+const settingValueSchemas = {
+  platform_fee_percent: percentSettingSchema,
+  vendor_fee_percent: percentSettingSchema,
+  vendor_cancellation_penalty_percent: percentSettingSchema,
+  // e.g. { "IN_PROGRESS": 0, "WORK_STARTED": 25 }; only the stages a customer can cancel at
+  cancellation_fee_schedule: z.partialRecord(z.enum(Object.keys(DEFAULT_CANCELLATION_FEE_SCHEDULE)), z.number().min(0).max(100)),
+  // e.g. { "slabs": [{ "uptoKm": 3, "charge": 30 }, { "uptoKm": 6, "charge": 45 }], "perKmBeyond": 6, "defaultDistanceKm": 5 }
+  delivery_charge_slabs: z.object({
+    slabs: z.array(z.object({ uptoKm: z.number().positive(), charge: z.number().min(0) })).min(1),
+    perKmBeyond: z.number().min(0).optional(),
+    defaultDistanceKm: z.number().min(0).optional(),
+  }),
+  // e.g. [{ "name": "Evening peak", "days": [1, 2, 3, 4, 5], "startHour": 18, "endHour": 21, "multiplier": 1.2 }]
+  delivery_surge_rules: z.array(z.object({
+    name: z.string().optional(),
+    days: z.array(z.number().int().min(0).max(6)).optional(),
+    startHour: hourSchema,
+    endHour: hourSchema,
+    multiplier: z.number().min(1),
+  }).loose()),
+  // e.g. { "cycle": "WEEKLY", "weeklyDay": 1, "thresholdAmount": 2000, "holdDays": 3, "minAmount": 100, "mode": "IMPS" }
+  payout_schedule: z.object({
+    cycle: z.enum(Object.values(PAYOUT_CYCLE)),
+    weeklyDay: z.number().int().min(0).max(6),
+    thresholdAmount: z.number().positive(),
+    holdDays: z.number().min(0),
+    minAmount: z.number().min(1),
+    mode: z.enum(["IMPS", "NEFT", "RTGS", "UPI"]).optional(),
+  }).loose(),
+};
+const JSON_SETTING_KEYS = ["cancellation_fee_schedule", "delivery_charge_slabs", "delivery_surge_rules", "payout_schedule"];
+
+const parseSettingJson = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw sendError("Invalid value: not valid JSON", 400);
+  }
+};
+
 export const updateSettings = async (key, value, userId, adminUserId) => {
   const queryRunner = AppDataSource.createQueryRunner();
   await queryRunner.connect();
   await queryRunner.startTransaction();
   try {
-    if (key === "platform_fee_percent" || key === "vendor_fee_percent") {
-      if (value < 0 || value > 100) throw sendError("Invalid value", 400);
+    const schema = settingValueSchemas[key];
+    if (schema) {
+      const parsed = schema.parse(typeof value === "string" && JSON_SETTING_KEYS.includes(key) ? parseSettingJson(value) : value);
+      value = typeof parsed === "object" ? JSON.stringify(parsed) : String(parsed);
     }
     const settings = await queryRunner.manager.findOne(Settings, { where: { key } });
     if (!settings) throw sendError("Settings not found", 404);
@@ -1081,10 +1205,14 @@ export const updateSettings = async (key, value, userId, adminUserId) => {
     await AppDataSource.getRepository(AdminActions).save(adminAction);
     return { message: "Settings updated successfully" };
   } catch (error) {
-    logger.error("Error updating settings", error);
     if (queryRunner.isTransactionActive) {
       await queryRunner.rollbackTransaction();
     }
+    if (error instanceof z.ZodError) {
+      logger.warn("updateSettings validation failed", { key, errors: error.flatten() });
+      throw sendError("Invalid value", 400, error.flatten());
+    }
+    logger.error("Error updating settings", error);
     throw error;
   } finally {
     await queryRunner.release(); 
@@ -1137,7 +1265,7 @@ export const reports = async (data) => {
       AppDataSource.getRepository(Refunds).count({ where: { createdAt: Between(from, to) } }),
       AppDataSource.getRepository(PaymentFailures).count({ where: { timestamp: Between(from, to) } }),
       AppDataSource.getRepository(QueueLogs).count({ where: { failedAt: Between(from, to) } }),
-      AppDataSource.getRepository(Outbox).count({ where: { createdAt: Between(from, to), status: "FAILED" } }),
+      AppDataSource.getRepository(Outbox).count({ where: { createdAt: Between(from, to), status: OUTBOX_STATUS.DEAD } }),
     ])
 
     const activities = [];
@@ -1207,13 +1335,13 @@ export const reports = async (data) => {
       })
     })
 
-    const outboxLogs = await AppDataSource.getRepository(Outbox).find({ order: { createdAt: "DESC" }, take: 2, where: { status: "FAILED" } });
+    const outboxLogs = await AppDataSource.getRepository(Outbox).find({ order: { createdAt: "DESC" }, take: 2, where: { status: OUTBOX_STATUS.DEAD } });
     outboxLogs.forEach(outbox => {
       activities.push({
         id: outbox.id,
-        action: outbox.status === "FAILED" ? "Outbox message failed" : "Outbox message sent",
+        action: outbox.status === OUTBOX_STATUS.DEAD ? "Outbox message failed" : "Outbox message sent",
         type: "failure",
-        status: outbox.status === "FAILED" ? "error" : "success",
+        status: outbox.status === OUTBOX_STATUS.DEAD ? "error" : "success",
         time: outbox.createdAt,
       })
     })
@@ -1247,10 +1375,19 @@ export const getComplaints = async (filters) => {
        queryBuilder.where("complaints.id = :id", { id: filters.search });
     } else if (filters.status === "pending" || filters.status === "resolved") {
        queryBuilder.where("complaints.isResolved = :isResolved", { isResolved: filters.status === "pending" ? false : true });
+    } else if (Object.values(COMPLAINT_STATUS).includes(filters.status)) {
+       queryBuilder.where("complaints.status = :status", { status: filters.status });
     } else if (filters.from && filters.to) {
        queryBuilder.where("complaints.createdAt BETWEEN :from AND :to", { from: filters.from, to: filters.to });
     }
 
+    if (Object.values(COMPLAINT_CATEGORY).includes(filters.category)) {
+       queryBuilder.andWhere("complaints.category = :category", { category: filters.category });
+    }
+    if (Object.values(COMPLAINT_PRIORITY).includes(filters.priority)) {
+       queryBuilder.andWhere("complaints.priority = :priority", { priority: filters.priority });
+    }
+
     const [complaints, totalCount] = await Promise.all([
       queryBuilder
         .skip((filters.page - 1) * filters.limit)
@@ -1275,28 +1412,192 @@ export const getComplaints = async (filters) => {
   }
 }
 
-export const resolveComplaint = async (complaintId, resolutionNotes, adminUserId) => {
+const resolveComplaintSchema = z.object({
+  resolutionNotes: z.string().min(1, { message: "Resolution notes are required" }).max(1000),
+  outcome: z.enum(Object.values(COMPLAINT_OUTCOME)).default(COMPLAINT_OUTCOME.NO_ACTION),
+  amount: z.coerce.number().positive().optional(),
+  chargeVendor: z.boolean().default(true),       // false: the refund is a goodwill credit borne by the platform
+  speed: z.enum(["normal", "optimum"]).default("normal"),
+}).refine((data) => ![COMPLAINT_OUTCOME.PARTIAL_REFUND, COMPLAINT_OUTCOME.VENDOR_DEDUCTION].includes(data.outcome) || data.amount, {
+  message: "Amount is required for a partial refund or vendor deduction",
+  path: ["amount"]
+});
+
+/**
+ * Recovers an amount from the vendor: first from the order's payout that is still awaiting admin approval,
+ * then as an outstanding deduction on VendorStats for anything the payout can't cover.
+ */
+const applyVendorDeduction = async (queryRunner, { complaintId, orderId, vendorId, amount, recoversRefund }) => {
+  // A split-payment order can have an advance and a balance payout; the latest one is taken first
+  const payout = await queryRunner.manager.findOne(Payouts, { where: { orderId, vendorId, status: "action_required" }, order: { entry_created_at: "DESC" }, lock: { mode: "pessimistic_write" } });
+
+  let fromPayout = 0;
+  if (payout) {
+    fromPayout = Math.min(amount, parseFloat(payout.expected_amount));
+    await queryRunner.manager.update(Payouts, { id: payout.id }, { expected_amount: Math.round((parseFloat(payout.expected_amount) - fromPayout) * 100) / 100 });
+  }
+
+  const toDeductions = Math.round((amount - fromPayout) * 100) / 100;
+  if (toDeductions > 0) {
+    await queryRunner.manager.update(VendorStats, { vendorId }, { totalDeductions: () => `"totalDeductions" + ${toDeductions}` });
+  }
+
+  await postVendorDeduction(queryRunner.manager, {
+    idempotencyKey: `complaint_deduction:${complaintId}`,
+    vendorId,
+    orderId,
+    amount,
+    recoversRefund,
+    referenceType: "Complaints",
+    referenceId: complaintId,
+    description: recoversRefund ? "Complaint refund recovered from vendor" : "Complaint deduction"
+  });
+
+  return { payoutId: payout?.id || null, fromPayout, toDeductions };
+}
+
+/**
+ * Resolves a complaint with one of the COMPLAINT_OUTCOME outcomes:
+ * - NO_ACTION: only the resolution notes are stored.
+ * - PARTIAL_REFUND / FULL_REFUND: refunds the customer through refundOrderPayment, like a cancellation: what
+ *   Razorpay captured goes back through Razorpay and what was paid from the wallet goes back to the wallet.
+ *   For a split-payment order the refund is taken from the balance payment first, then the advance, each capped
+ *   at what is still refundable of that payment. FULL_REFUND refunds exactly what is still refundable. Unless `chargeVendor` is false, the refunded amount
+ *   (up to the vendor's share of the order) is recovered from the vendor.
+ * - VENDOR_DEDUCTION: recovers `amount` from the vendor without refunding the customer.
+ *
+ * The Razorpay part is queued in the same transaction and raised once it commits (its Refunds rows are linked to
+ * the complaint then), so a failure anywhere leaves no money moved.
+ */
+export const resolveComplaint = async (complaintId, data, adminUserId) => {
+  const queryRunner = AppDataSource.createQueryRunner();
+  await queryRunner.connect();
+  await queryRunner.startTransaction();
   try {
-    const complaint = await AppDataSource.getRepository(Complaints).findOne({ where: { id: complaintId } });
+    const { resolutionNotes, outcome, amount, chargeVendor, speed } = resolveComplaintSchema.parse(data);
+
+    const complaint = await queryRunner.manager.findOne(Complaints, { where: { id: complaintId }, lock: { mode: "pessimistic_write" } });
     if (!complaint) throw sendError("Complaint not found", 404);
-    complaint.isResolved = true;
-    complaint.resolvedAt = new Date();
-    complaint.resolutionNotes = resolutionNotes;
-    await AppDataSource.getRepository(Complaints).save(complaint);
-    const adminAction = AppDataSource.getRepository(AdminActions).create({
+    if (complaint.isResolved) throw sendError("Complaint is already resolved", 409);
+
+    // A split-payment order has an ADVANCE (order.paymentId) and a BALANCE (order.balancePaymentId) payment;
+    // refunds come out of the balance first and each payment is capped at what is still refundable of it
+    let payments = [];
+    let refundableByPayment = [];
+    let refundableAmount = 0;
+    let vendorId = null;
+    let vendorShare = 0;
+    if (outcome !== COMPLAINT_OUTCOME.NO_ACTION) {
+      if (!complaint.orderId) throw sendError("Complaint is not linked to an order", 400);
+
+      // Locked so that two complaints on the same order can't both refund what is left of it
+      const order = await queryRunner.manager.findOne(Orders, { where: { id: complaint.orderId }, select: { id: true, paymentId: true, balancePaymentId: true }, lock: { mode: "pessimistic_write" } });
+      if (!order?.paymentId) throw sendError("No payment found for this order", 400);
+
+      payments = await queryRunner.manager.find(Payments, { where: { id: In([order.paymentId, order.balancePaymentId].filter(Boolean)) } });
+      payments.sort((a, b) => (a.id === order.balancePaymentId ? -1 : 0) - (b.id === order.balancePaymentId ? -1 : 0));
+      const advancePayment = payments.find(payment => payment.id === order.paymentId);
+      if (!advancePayment) throw sendError("No payment found for this order", 400);
+
+      for (const payment of payments) refundableByPayment.push(await getRefundableAmount(queryRunner.manager, payment));
+      refundableAmount = Math.round(refundableByPayment.reduce((sum, refundable) => sum + refundable, 0) * 100) / 100;
+      vendorId = advancePayment.vendorId;
+
+      const quote = await queryRunner.manager.findOne(OrderQuotes, { where: { id: advancePayment.quoteId }, select: { id: true, vendorPayoutAfterCommission: true } });
+      vendorShare = quote ? quote.vendorPayoutAfterCommission : 0;
+    }
+
+    const isRefund = outcome === COMPLAINT_OUTCOME.PARTIAL_REFUND || outcome === COMPLAINT_OUTCOME.FULL_REFUND;
+    const refundAmount = outcome === COMPLAINT_OUTCOME.FULL_REFUND ? refundableAmount : (isRefund ? amount : 0);
+    if (isRefund && (refundAmount <= 0 || refundAmount > refundableAmount)) throw sendError(`Refund amount must be between 0 and ${refundableAmount}`, 400);
+
+    let deductionAmount = 0;
+    if (outcome === COMPLAINT_OUTCOME.VENDOR_DEDUCTION) deductionAmount = amount;
+    if (isRefund && chargeVendor) deductionAmount = Math.min(refundAmount, vendorShare);
+
+    let deduction = null;
+    if (deductionAmount > 0) {
+      deduction = await applyVendorDeduction(queryRunner, { complaintId: complaint.id, orderId: complaint.orderId, vendorId, amount: deductionAmount, recoversRefund: isRefund });
+    }
+
+    await queryRunner.manager.update(Complaints, { id: complaint.id }, {
+      status: COMPLAINT_STATUS.RESOLVED,
+      isResolved: true,
+      resolvedAt: new Date(),
+      lastActivityAt: new Date(),
+      resolutionNotes,
+      resolutionOutcome: outcome,
+      refundAmount: isRefund ? refundAmount : null,
+      vendorDeductionAmount: deductionAmount > 0 ? deductionAmount : null,
+      resolvedBy: adminUserId
+    });
+
+    // the resolution notes close the ticket thread so the customer and vendor see them alongside the replies
+    await queryRunner.manager.save(ComplaintReplies, {
+      complaintId: complaint.id,
+      authorUserId: adminUserId,
+      authorRole: ROLE.ADMIN,
+      message: resolutionNotes,
+      statusAfter: COMPLAINT_STATUS.RESOLVED
+    });
+
+    const adminAction = await queryRunner.manager.save(AdminActions, {
       adminUserId: adminUserId,
       action: "resolveComplaint",
       actionData: {
         complaintId: complaint.id,
-        resolutionNotes: resolutionNotes
+        orderId: complaint.orderId,
+        resolutionNotes: resolutionNotes,
+        outcome,
+        refund: null,
+        vendorDeduction: deduction ? { vendorId, amount: deductionAmount, ...deduction } : null
       }
     });
-    await AppDataSource.getRepository(AdminActions).save(adminAction);
-    return { message: "Complaint resolved successfully" };
+
+    if (isRefund) {
+      const refunds = [];
+      let remaining = refundAmount;
+      for (const [index, payment] of payments.entries()) {
+        const amount = Math.round(Math.min(remaining, refundableByPayment[index]) * 100) / 100;
+        if (amount <= 0) continue;
+        const refund = await refundOrderPayment(queryRunner, {
+          payment,
+          amount,
+          reason: `Complaint ${complaint.id} resolution`,
+          speed,
+          createdBy: adminUserId,
+          complaintId: complaint.id
+        });
+        refunds.push({ paymentId: payment.id, instalment: payment.instalment, amount, ...refund });
+        remaining = Math.round((remaining - amount) * 100) / 100;
+      }
+      await queryRunner.manager.update(AdminActions, { id: adminAction.id }, {
+        actionData: { ...adminAction.actionData, refund: { amount: refundAmount, parts: refunds } }
+      });
+    }
+
+    await queryRunner.commitTransaction();
+
+    notifyComplaintParticipants(complaint, {
+      authorUserId: adminUserId,
+      title: `Complaint #${complaint.id.substring(0, 8)} resolved`,
+      body: resolutionNotes.length > 100 ? `${resolutionNotes.substring(0, 97)}...` : resolutionNotes,
+    });
+
+    return { message: "Complaint resolved successfully", outcome, refundAmount: isRefund ? refundAmount : 0, vendorDeductionAmount: deductionAmount };
   }
   catch (err) {
+    if (queryRunner.isTransactionActive) {
+      await queryRunner.rollbackTransaction();
+    }
+    if (err instanceof z.ZodError) {
+      logger.warn("resolveComplaint validation failed", { errors: err.flatten().fieldErrors });
+      throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+    }
     logger.error(err);
     throw err;
+  } finally {
+    await queryRunner.release();
   }
 }
 
@@ -1623,7 +1924,7 @@ export const getOutboxFailures = async (filters) => {
   try {
     const repo = AppDataSource.getRepository(Outbox);
 
-    const failedCount = await repo.createQueryBuilder("outbox").where("outbox.status = :status", { status: "FAILED" }).getCount();
+    const failedCount = await repo.createQueryBuilder("outbox").where("outbox.status = :status", { status: OUTBOX_STATUS.DEAD }).getCount();
 
     let qb = repo.createQueryBuilder("outbox");
 
@@ -1671,6 +1972,147 @@ export const getOutboxFailures = async (filters) => {
   }
 }
 
+/**
+ * Puts a DEAD or DISCARDED outbox message back in the queue with a fresh retry budget.
+ */
+export const requeueOutboxMessage = async (messageId, adminUserId) => {
+  try {
+    const message = await AppDataSource.getRepository(Outbox).findOne({ where: { id: messageId } });
+    if (!message) throw sendError("Outbox message not found", 404);
+
+    const result = await AppDataSource.getRepository(Outbox).update(
+      { id: messageId, status: In([OUTBOX_STATUS.DEAD, OUTBOX_STATUS.DISCARDED]) },
+      { status: OUTBOX_STATUS.PENDING, attempts: 0, nextAttemptAt: null, statusUpdatedAt: new Date() }
+    );
+    if (result.affected === 0) throw sendError(`Only DEAD or DISCARDED messages can be requeued, this one is ${message.status}`, 409);
+
+    await AppDataSource.getRepository(AdminActions).save({
+      adminUserId: adminUserId,
+      action: "requeueOutboxMessage",
+      actionData: {
+        messageId: message.id,
+        eventType: message.eventType,
+        previousStatus: message.status,
+        attempts: message.attempts,
+        failureReason: message.failureReason
+      }
+    });
+
+    return { message: "Outbox message requeued successfully" };
+  } catch (err) {
+    logger.error(err);
+    throw err;
+  }
+}
+
+/**
+ * Gives up on a PENDING or DEAD outbox message so the worker never sends it.
+ */
+export const discardOutboxMessage = async (messageId, reason, adminUserId) => {
+  try {
+    const message = await AppDataSource.getRepository(Outbox).findOne({ where: { id: messageId } });
+    if (!message) throw sendError("Outbox message not found", 404);
+
+    const result = await AppDataSource.getRepository(Outbox).update(
+      { id: messageId, status: In([OUTBOX_STATUS.PENDING, OUTBOX_STATUS.DEAD]) },
+      { status: OUTBOX_STATUS.DISCARDED, nextAttemptAt: null, failureReason: reason || message.failureReason, statusUpdatedAt: new Date() }
+    );
+    if (result.affected === 0) throw sendError(`Only PENDING or DEAD messages can be discarded, this one is ${message.status}`, 409);
+
+    await AppDataSource.getRepository(AdminActions).save({
+      adminUserId: adminUserId,
+      action: "discardOutboxMessage",
+      actionData: {
+        messageId: message.id,
+        eventType: message.eventType,
+        previousStatus: message.status,
+        reason: reason || null
+      }
+    });
+
+    return { message: "Outbox message discarded successfully" };
+  } catch (err) {
+    logger.error(err);
+    throw err;
+  }
+}
+
+export const getDeliveryWebhookEvents = async (filters) => {
+  try {
+    let qb = AppDataSource.getRepository(DeliveryWebhookEvents).createQueryBuilder("events");
+
+    if (filters.processingStatus) {
+      qb = qb.andWhere("events.processingStatus = :processingStatus", { processingStatus: filters.processingStatus });
+    }
+
+    if (filters.deliveryTrackingId) {
+      qb = qb.andWhere("events.deliveryTrackingId = :deliveryTrackingId", { deliveryTrackingId: filters.deliveryTrackingId });
+    }
+
+    if (filters.providerEventId) {
+      qb = qb.andWhere("events.providerEventId = :providerEventId", { providerEventId: filters.providerEventId });
+    }
+
+    if (filters.from && filters.to) {
+      qb = qb.andWhere("events.receivedAt BETWEEN :from AND :to", { from: filters.from, to: filters.to });
+    }
+
+    const [events, totalCount] = await qb
+      .orderBy("events.receivedAt", "DESC")
+      .skip((filters.page - 1) * filters.limit)
+      .take(filters.limit)
+      .getManyAndCount();
+
+    return {
+      events,
+      pagination: {
+        currentPage: filters.page,
+        itemsPerPage: filters.limit,
+        totalItems: totalCount,
+        totalPages: Math.ceil(totalCount / filters.limit),
+        hasMore: filters.page * filters.limit < totalCount,
+      },
+    }
+  } catch (err) {
+    logger.error(err);
+    throw err;
+  }
+}
+
+/**
+ * Re-applies a stored delivery webhook event, e.g. after fixing the bug that made it fail.
+ * Already processed events are safe to replay: a status the delivery has already passed is ignored.
+ */
+export const replayDeliveryWebhookEvent = async (eventId, adminUserId) => {
+  try {
+    const event = await AppDataSource.getRepository(DeliveryWebhookEvents).findOne({ where: { id: eventId } });
+    if (!event) throw sendError("Webhook event not found", 404);
+
+    let result;
+    try {
+      result = await processDeliveryWebhookEvent(event.id, { replay: true });
+    } catch (err) {
+      result = { processingStatus: WEBHOOK_EVENT_STATUS.FAILED, failureReason: err.message };
+    }
+
+    await AppDataSource.getRepository(AdminActions).save({
+      adminUserId: adminUserId,
+      action: "replayDeliveryWebhookEvent",
+      actionData: {
+        eventId: event.id,
+        providerEventId: event.providerEventId,
+        previousStatus: event.processingStatus,
+        processingStatus: result.processingStatus
+      }
+    });
+
+    return { message: `Webhook event replayed: ${result.processingStatus}`, ...result };
+  } catch (err) {
+    logger.error(err);
+    throw err;
+  }
+}
+
 export const getPayoutsList = async (filters) => {
   try {
     const repo = AppDataSource.getRepository(Payouts);
@@ -1696,6 +2138,10 @@ export const getPayoutsList = async (filters) => {
       qb = qb.andWhere("payouts.utr = :utr", { utr: filters.utr });
     }
 
+    if (filters.batchId) {
+      qb = qb.andWhere("payouts.batchId = :batchId", { batchId: filters.batchId });
+    }
+
     if (filters.payoutId) {
       qb = qb.andWhere("payouts.payout_id = :payoutId", { payoutId: filters.payoutId });
     }
@@ -1815,6 +2261,16 @@ export const processPayout = async (idempotencyKey, amount, mode, adminUserId) =
       throw sendError("Payout is not in action_required status", 400);
     }
 
+    const payoutSettings = await AppDataSource.getRepository(VendorPayoutSettings).findOne({ where: { vendorId: payout.vendorId }, select: { id: true, isOnHold: true } });
+    if (payoutSettings?.isOnHold) {
+      throw sendError("Payouts for this vendor are on hold", 409);
+    }
+
+    // Paid to the vendor's current account, which may have changed since the payout was raised
+    const vendor = await vendorRepo.findOne({ where: { id: payout.vendorId }, select: { id: true, razorpay_fund_account_id: true, bankValidationStatus: true } });
+    assertPayoutAccountValid(vendor);
+    payout.razorpay_fund_account_id = vendor.razorpay_fund_account_id;
+
     const payoutData = {
       idempotencyKey: idempotencyKey,
       fundAccountId: payout.razorpay_fund_account_id,
@@ -1863,6 +2319,16 @@ export const processPayout = async (idempotencyKey, amount, mode, adminUserId) =
 
     await repo.update(payout.id, finalPayload);
 
+    // IMPS payouts can come back already processed; the webhook posts the rest
+    await postPayoutStatus(AppDataSource.manager, {
+      status: payoutResponse.status,
+      vendorId: payout.vendorId,
+      orderId: payout.orderId,
+      amount: payoutResponse.amount / 100,
+      referenceType: "Payouts",
+      referenceId: payout.id
+    });
+
     await AppDataSource.getRepository(AdminActions).save({
       adminUserId: adminUserId,
       action: "payout_initiated",
@@ -1981,11 +2447,157 @@ export const cancelPayout = async (data, adminUserId) => {
   }
 }
 
+const vendorPayoutSettingsSchema = z.object({
+  cycle: z.enum(Object.values(PAYOUT_CYCLE)).nullable().optional(),       // null: back to the global cycle
+  thresholdAmount: z.coerce.number().positive().nullable().optional(),
+  isOnHold: z.boolean().optional(),
+  holdReason: z.string().max(500).nullable().optional(),
+  isExcluded: z.boolean().optional(),
+}).refine((data) => !data.isOnHold || data.holdReason, { message: "A reason is required to hold payouts", path: ["holdReason"] });
+
+export const getPayoutBatches = async (filters) => {
+  try {
+    const page = Math.max(1, parseInt(filters.page) || 1);
+    const limit = Math.max(1, Math.min(parseInt(filters.limit) || 10, 100));
+
+    const qb = AppDataSource.getRepository(PayoutBatches).createQueryBuilder("batches")
+      .leftJoin("batches.vendor", "vendor")
+      .addSelect(["vendor.id", "vendor.shopName"]);
+
+    if (filters.vendorId) qb.andWhere("batches.vendorId = :vendorId", { vendorId: filters.vendorId });
+    if (filters.status) qb.andWhere("batches.status = :status", { status: filters.status });
+    if (filters.payoutId) qb.andWhere("batches.payout_id = :payoutId", { payoutId: filters.payoutId });
+    if (filters.from && filters.to) qb.andWhere("batches.createdAt BETWEEN :from AND :to", { from: filters.from, to: filters.to });
+
+    const [batches, totalCount] = await qb
+      .orderBy("batches.createdAt", "DESC")
+      .skip((page - 1) * limit)
+      .take(limit)
+      .getManyAndCount();
+
+    return {
+      batches,
+      pagination: {
+        currentPage: page,
+        itemsPerPage: limit,
+        totalItems: totalCount,
+        totalPages: Math.ceil(totalCount / limit),
+        hasMore: page * limit < totalCount
+      }
+    };
+  } catch (err) {
+    logger.error(err);
+    throw err;
+  }
+}
+
+export const getPayoutBatchDetails = async (batchId) => {
+  try {
+    const batch = await AppDataSource.getRepository(PayoutBatches).findOne({ where: { id: batchId } });
+    if (!batch) throw sendError("Payout batch not found", 404);
+
+    const payouts = await AppDataSource.getRepository(Payouts).find({
+      where: { batchId },
+      select: { id: true, orderId: true, expected_amount: true, batch_deduction_amount: true, actual_paid_amount: true, status: true, utr: true, entry_created_at: true },
+      order: { entry_created_at: "ASC" }
+    });
+
+    return { batch, payouts };
+  } catch (err) {
+    logger.error(err);
+    throw err;
+  }
+}
+
+/**
+ * Queues a payout cycle right away, for every vendor or just one. `force` skips the weekly day and threshold checks.
+ */
+export const runPayoutCycleNow = async (data, adminUserId) => {
+  try {
+    const vendorId = data.vendorId || null;
+    const force = data.force === true;
+    if (force && !vendorId) throw sendError("A vendor is required to force a payout", 400);
+
+    const job = await payoutCycleQueue.add("processPayoutCycle", { vendorId, force, initiatedBy: adminUserId });
+
+    await AppDataSource.getRepository(AdminActions).save({
+      adminUserId: adminUserId,
+      action: "runPayoutCycle",
+      actionData: { vendorId, force, jobId: job.id }
+    });
+
+    return { message: "Payout cycle queued", jobId: job.id };
+  } catch (err) {
+    logger.error(err);
+    throw err;
+  }
+}
+
+export const getVendorPayoutSettings = async (vendorId) => {
+  try {
+    const [settings, schedule, stats] = await Promise.all([
+      AppDataSource.getRepository(VendorPayoutSettings).findOne({ where: { vendorId } }),
+      getPayoutSchedule(),
+      AppDataSource.getRepository(VendorStats).findOne({ where: { vendorId }, select: { id: true, totalDeductions: true, recoveredDeductions: true } })
+    ]);
+
+    return {
+      settings: settings || null,
+      effective: {
+        cycle: settings?.cycle || schedule.cycle,
+        thresholdAmount: settings?.thresholdAmount !== null && settings?.thresholdAmount !== undefined ? parseFloat(settings.thresholdAmount) : schedule.thresholdAmount,
+        holdDays: schedule.holdDays,
+        isOnHold: settings?.isOnHold || false,
+        isExcluded: settings?.isExcluded || false
+      },
+      outstandingDeductions: stats ? Math.max(parseFloat(stats.totalDeductions) - parseFloat(stats.recoveredDeductions), 0) : 0
+    };
+  } catch (err) {
+    logger.error(err);
+    throw err;
+  }
+}
+
+/**
+ * Overrides the settlement cycle for a vendor, or holds/excludes them from scheduled payouts.
+ * A held vendor can't be paid manually either; an excluded vendor is only paid through processPayout.
+ */
+export const updateVendorPayoutSettings = async (vendorId, data, adminUserId) => {
+  try {
+    const changes = vendorPayoutSettingsSchema.parse(data);
+
+    const vendor = await AppDataSource.getRepository(Vendors).exists({ where: { id: vendorId } });
+    if (!vendor) throw sendError("Vendor not found", 404);
+
+    const repo = AppDataSource.getRepository(VendorPayoutSettings);
+    const existing = await repo.findOne({ where: { vendorId } });
+    if (changes.isOnHold === false) changes.holdReason = null;
+
+    const settings = await repo.save({ ...(existing || { vendorId }), ...changes, updatedBy: adminUserId });
+
+    await AppDataSource.getRepository(AdminActions).save({
+      adminUserId: adminUserId,
+      action: "updateVendorPayoutSettings",
+      actionData: { vendorId, before: existing || null, changes }
+    });
+
+    return { message: "Vendor payout settings updated", settings };
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      logger.warn("updateVendorPayoutSettings validation failed", { errors: err.flatten().fieldErrors });
+      throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+    }
+    logger.error(err);
+    throw err;
+  }
+}
+
 export const refundRazorpayPaymentByAdmin = async (data, adminUserId) => {
   try {
     const payment = await refundRazorpayPayment(data.razorpayPaymentId, data.reason, data.speed, data.amount);
  
-    if(payment.status === "processed") {
+    // A partial refund (e.g. from a complaint) doesn't make the order refunded
+    if(payment.status === "processed" && !data.amount) {
       const order = await AppDataSource.getRepository(Orders).findOne({ where: { id: data.orderId }, select: ["id", "isRefunded" ] });
    
       order.isRefunded = true;
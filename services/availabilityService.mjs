@@ -0,0 +1,419 @@
+import { z } from "zod";
+import { In, MoreThan } from "typeorm";
+import { logger } from "../utils/logger-utils.mjs";
+import { sendError } from "../utils/core-utils.mjs";
+import { AppDataSource } from "../config/data-source.mjs";
+import { Vendors } from "../entities/Vendors.mjs";
+import { VendorStats } from "../entities/VendorStats.mjs";
+import { VendorAvailability } from "../entities/VendorAvailability.mjs";
+import { VendorTimeOff } from "../entities/VendorTimeOff.mjs";
+import { VENDOR_TIME_OFF_TYPE, VENDOR_UNAVAILABLE_REASON } from "../types/enums/index.mjs";
+import { BUSINESS_HOURS_UTC_OFFSET_MINUTES, VENDOR_RESPONSE_WINDOW_HOURS, VENDOR_RESPONSE_MAX_WAIT_DAYS, MAX_UPCOMING_TIME_OFF } from "../config/constants.mjs";
+
+/**
+ * @file availabilityService.mjs
+ * @description When vendors can take work: weekly opening hours, holiday / vacation blocks and a cap on concurrent orders.
+ *
+ * A vendor is *unavailable* during time off or while their in-progress orders (VendorStats) are at the cap; they can't
+ * be sent requests or instant-booked then. Outside opening hours a vendor is only *closed*: requests still reach them,
+ * but the response window (VENDOR_RESPONSE_WINDOW_HOURS) only runs while they are open and not on time off.
+ * All times of day are IST.
+ */
+
+export const WEEK_DAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const UTC_OFFSET = BUSINESS_HOURS_UTC_OFFSET_MINUTES * MINUTE;
+const NEXT_OPENING_HORIZON = 100 * DAY;
+
+//========================= ZOD VALIDATION SCHEMAS =========================
+
+const TIME_REGEX = /^(?:[01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+const openingSlotSchema = z.object({
+    open: z.string().regex(TIME_REGEX, { message: "Use HH:MM (24-hour)" }),
+    close: z.string().regex(TIME_REGEX, { message: "Use HH:MM (24-hour)" }),
+}).refine(slot => slot.open < slot.close, { message: "Opening time must be before closing time" });
+
+const openingDaySchema = z.array(openingSlotSchema).max(3).refine(slots => {
+    const sorted = [...slots].sort((a, b) => a.open.localeCompare(b.open));
+    return sorted.every((slot, index) => index === 0 || sorted[index - 1].close <= slot.open);
+}, { message: "Opening hours on the same day must not overlap" });
+
+const weeklyHoursSchema = z.object(
+    Object.fromEntries(WEEK_DAYS.map(day => [day, openingDaySchema.optional().default([])]))
+).strict();
+
+const updateAvailabilitySchema = z.object({
+    userId: z.string().uuid(),
+    weeklyHours: weeklyHoursSchema.nullable().optional(),
+    maxConcurrentOrders: z.number().int().min(1).max(500).nullable().optional(),
+}).refine(data => data.weeklyHours !== undefined || data.maxConcurrentOrders !== undefined, {
+    message: "Nothing to update",
+});
+
+const addTimeOffSchema = z.object({
+    userId: z.string().uuid(),
+    type: z.enum(Object.values(VENDOR_TIME_OFF_TYPE)),
+    startsAt: z.coerce.date(),
+    endsAt: z.coerce.date(),
+    reason: z.string().trim().max(200).optional().nullable(),
+}).refine(data => data.endsAt > data.startsAt, { message: "endsAt must be after startsAt", path: ["endsAt"] })
+  .refine(data => data.endsAt > new Date(), { message: "Time off must end in the future", path: ["endsAt"] })
+  .refine(data => data.endsAt - data.startsAt <= 90 * DAY, { message: "Time off can be at most 90 days long", path: ["endsAt"] });
+
+const timeOffIdSchema = z.object({
+    userId: z.string().uuid(),
+    timeOffId: z.string().uuid(),
+});
+
+//========================= CORE =========================
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(":").map(Number);
+    return hours * 60 + minutes;
+};
+
+const findVendorByUserId = async (userId) => {
+    const vendor = await AppDataSource.getRepository(Vendors).findOne({ where: { userId }, select: { id: true } });
+    if (!vendor) throw sendError("Vendor profile not found", 404);
+    return vendor;
+};
+
+/**
+ * The IST weekday and time of day ("HH:MM") of an instant.
+ * @param {Date} [at]
+ * @returns {{ day: string, time: string }}
+ */
+export const getBusinessClock = (at = new Date()) => {
+    const local = new Date(at.getTime() + UTC_OFFSET);
+    return { day: WEEK_DAYS[local.getUTCDay()], time: local.toISOString().slice(11, 16) };
+};
+
+const formatBusinessTime = (date) => new Date(date.getTime() + UTC_OFFSET)
+    .toLocaleString("en-IN", { timeZone: "UTC", day: "numeric", month: "short", hour: "numeric", minute: "2-digit" });
+
+// Opening-hour intervals [start, end) in epoch ms overlapping [from, to), clipped to it. No weekly hours is always open.
+const openingIntervals = (weeklyHours, from, to) => {
+    if (!weeklyHours) return [[from, to]];
+    const intervals = [];
+    for (let dayStart = Math.floor((from + UTC_OFFSET) / DAY) * DAY - UTC_OFFSET; dayStart < to; dayStart += DAY) {
+        const day = WEEK_DAYS[new Date(dayStart + UTC_OFFSET).getUTCDay()];
+        for (const slot of weeklyHours[day] ?? []) {
+            const start = Math.max(dayStart + toMinutes(slot.open) * MINUTE, from);
+            const end = Math.min(dayStart + toMinutes(slot.close) * MINUTE, to);
+            if (start < end) intervals.push([start, end]);
+        }
+    }
+    return intervals.sort((a, b) => a[0] - b[0]);
+};
+
+// Time off as sorted, non-overlapping [start, end) blocks in epoch ms
+const timeOffBlocks = (timeOff) => {
+    const blocks = timeOff
+        .map(block => [new Date(block.startsAt).getTime(), new Date(block.endsAt).getTime()])
+        .sort((a, b) => a[0] - b[0]);
+    return blocks.reduce((merged, block) => {
+        const last = merged[merged.length - 1];
+        if (last && block[0] <= last[1]) last[1] = Math.max(last[1], block[1]);
+        else merged.push([...block]);
+        return merged;
+    }, []);
+};
+
+/**
+ * How long a vendor was open for business between two instants: inside opening hours and not on time off.
+ *
+ * @param {Object} schedule - From loadVendorSchedules; its timeOff must include every block ending after `from`.
+ * @param {number} from - Epoch ms.
+ * @param {number} to - Epoch ms.
+ * @returns {number} Milliseconds.
+ */
+export const businessTimeBetween = (schedule, from, to) => {
+    const blocks = timeOffBlocks(schedule.timeOff);
+    let total = 0;
+    for (const [start, end] of openingIntervals(schedule.weeklyHours, from, to)) {
+        total += end - start;
+        for (const [blockStart, blockEnd] of blocks) {
+            total -= Math.max(0, Math.min(end, blockEnd) - Math.max(start, blockStart));
+        }
+    }
+    return total;
+};
+
+const nextOpeningAt = (schedule, now) => {
+    const blocks = timeOffBlocks(schedule.timeOff);
+    for (const [start, end] of openingIntervals(schedule.weeklyHours, now, now + NEXT_OPENING_HORIZON)) {
+        let candidate = start;
+        for (const [blockStart, blockEnd] of blocks) {
+            if (blockStart <= candidate && candidate < blockEnd) candidate = blockEnd;
+        }
+        if (candidate < end) return new Date(candidate);
+    }
+    return null;
+};
+
+/**
+ * Loads what decides whether vendors can take requests. Vendors without settings get an always-open schedule.
+ *
+ * @param {import("typeorm").EntityManager} manager
+ * @param {string[]} vendorIds
+ * @param {Date} [since] - Time off that ended before this is left out.
+ * @returns {Promise<Map<string, { weeklyHours: Object|null, maxConcurrentOrders: number|null, inProgressOrders: number, timeOff: Object[] }>>}
+ */
+export const loadVendorSchedules = async (manager, vendorIds, since = new Date()) => {
+    const ids = [...new Set(vendorIds)];
+    const schedules = new Map(ids.map(id => [id, { weeklyHours: null, maxConcurrentOrders: null, inProgressOrders: 0, timeOff: [] }]));
+    if (ids.length === 0) return schedules;
+
+    const [settings, stats, timeOff] = await Promise.all([
+        manager.find(VendorAvailability, { where: { vendorId: In(ids) } }),
+        manager.find(VendorStats, { where: { vendorId: In(ids) }, select: { vendorId: true, totalInProgressOrders: true } }),
+        manager.find(VendorTimeOff, { where: { vendorId: In(ids), endsAt: MoreThan(since) }, order: { startsAt: "ASC" } }),
+    ]);
+
+    settings.forEach(row => Object.assign(schedules.get(row.vendorId), { weeklyHours: row.weeklyHours, maxConcurrentOrders: row.maxConcurrentOrders }));
+    stats.forEach(row => { schedules.get(row.vendorId).inProgressOrders = row.totalInProgressOrders; });
+    timeOff.forEach(row => schedules.get(row.vendorId).timeOff.push(row));
+    return schedules;
+};
+
+/**
+ * Whether a vendor can take new requests right now and whether they are open.
+ *
+ * @param {Object} schedule - From loadVendorSchedules.
+ * @param {Date} [at]
+ * @returns {{ isAvailable: boolean, unavailableReason: string|null, unavailableUntil: Date|null, isOpenNow: boolean, nextOpenAt: Date|null }}
+ */
+export const getAvailabilityStatus = (schedule, at = new Date()) => {
+    const now = at.getTime();
+    const currentTimeOff = schedule.timeOff.find(block => new Date(block.startsAt).getTime() <= now && now < new Date(block.endsAt).getTime());
+    const atCapacity = schedule.maxConcurrentOrders !== null && schedule.inProgressOrders >= schedule.maxConcurrentOrders;
+    const { day, time } = getBusinessClock(at);
+    const withinHours = !schedule.weeklyHours || (schedule.weeklyHours[day] ?? []).some(slot => slot.open <= time && time < slot.close);
+    const isOpenNow = !currentTimeOff && withinHours;
+
+    return {
+        isAvailable: !currentTimeOff && !atCapacity,
+        unavailableReason: currentTimeOff ? VENDOR_UNAVAILABLE_REASON.TIME_OFF : atCapacity ? VENDOR_UNAVAILABLE_REASON.AT_CAPACITY : null,
+        unavailableUntil: currentTimeOff ? new Date(currentTimeOff.endsAt) : null,
+        isOpenNow,
+        nextOpenAt: isOpenNow ? null : nextOpeningAt(schedule, now),
+    };
+};
+
+/**
+ * Rejects vendors that can't take a new request now, naming each one and why.
+ *
+ * @param {import("typeorm").EntityManager} manager
+ * @param {{ id: string, shopName: string }[]} vendors
+ * @throws 400 listing the unavailable vendors.
+ */
+export const assertVendorsAvailable = async (manager, vendors) => {
+    const schedules = await loadVendorSchedules(manager, vendors.map(vendor => vendor.id));
+    const unavailable = vendors
+        .map(vendor => ({ vendor, status: getAvailabilityStatus(schedules.get(vendor.id)) }))
+        .filter(({ status }) => !status.isAvailable);
+    if (unavailable.length === 0) return;
+
+    const reasons = unavailable.map(({ vendor, status }) => status.unavailableReason === VENDOR_UNAVAILABLE_REASON.TIME_OFF
+        ? `${vendor.shopName} is away until ${formatBusinessTime(status.unavailableUntil)}.`
+        : `${vendor.shopName} is fully booked right now.`);
+    throw sendError(reasons.join(" "), 400, {
+        unavailableVendors: unavailable.map(({ vendor, status }) => ({
+            vendorId: vendor.id,
+            reason: status.unavailableReason,
+            until: status.unavailableUntil,
+        })),
+    });
+};
+
+/**
+ * Whether a quote request has used up its response window: VENDOR_RESPONSE_WINDOW_HOURS of business time since it
+ * was sent, or VENDOR_RESPONSE_MAX_WAIT_DAYS in any case.
+ *
+ * @param {Object} schedule - From loadVendorSchedules, loaded with `since` at or before `sentAt`.
+ * @param {Date} sentAt
+ * @param {Date} [at]
+ * @returns {boolean}
+ */
+export const isResponseWindowOver = (schedule, sentAt, at = new Date()) => {
+    const from = new Date(sentAt).getTime();
+    const now = at.getTime();
+    if (now - from >= VENDOR_RESPONSE_MAX_WAIT_DAYS * DAY) return true;
+    if (now - from < VENDOR_RESPONSE_WINDOW_HOURS * 60 * MINUTE) return false;
+    return businessTimeBetween(schedule, from, now) >= VENDOR_RESPONSE_WINDOW_HOURS * 60 * MINUTE;
+};
+
+//========================= VENDOR SERVICES =========================
+
+/**
+ * @api {get} /api/vendor/getAvailability Get Availability
+ * @apiName GetAvailability
+ * @apiGroup Vendor
+ * @apiDescription The vendor's opening hours, order cap, upcoming time off and whether they can take requests right now.
+ *
+ * @param {Object} data
+ * @param {string} data.userId
+ *
+ * @apiSuccess {Object} weeklyHours - `{ monday: [{ open, close }], ... }` in IST; null means always open.
+ * @apiSuccess {number} maxConcurrentOrders - null means no cap.
+ * @apiSuccess {number} inProgressOrders
+ * @apiSuccess {Object[]} timeOff - Current and upcoming holiday / vacation blocks.
+ * @apiSuccess {Object} status - isAvailable, unavailableReason (TIME_OFF, AT_CAPACITY), unavailableUntil, isOpenNow, nextOpenAt.
+ *
+ * @apiError {Error} 404 - If the vendor profile is not found.
+ */
+export const getAvailability = async (data) => {
+    try {
+        const { userId } = data;
+        const vendor = await findVendorByUserId(userId);
+
+        const schedule = (await loadVendorSchedules(AppDataSource.manager, [vendor.id])).get(vendor.id);
+
+        return {
+            weeklyHours: schedule.weeklyHours,
+            maxConcurrentOrders: schedule.maxConcurrentOrders,
+            inProgressOrders: schedule.inProgressOrders,
+            timeOff: schedule.timeOff.map(({ id, type, startsAt, endsAt, reason }) => ({ id, type, startsAt, endsAt, reason })),
+            status: getAvailabilityStatus(schedule),
+        };
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+
+/**
+ * @api {patch} /api/vendor/updateAvailability Update Availability
+ * @apiName UpdateAvailability
+ * @apiGroup Vendor
+ * @apiDescription Sets the weekly opening hours and / or the cap on concurrent orders. Only the fields sent change.
+ * Outside opening hours customers see the shop as closed and the response timer of pending requests is paused.
+ *
+ * @apiBody {Object} [weeklyHours] - `{ monday: [{ open: "09:00", close: "13:00" }, { open: "14:00", close: "19:00" }], ... }`, IST, up to 3 slots a day. Days left out are closed. null for always open.
+ * @apiBody {number} [maxConcurrentOrders] - New requests are refused while this many orders are in progress. null for no cap.
+ *
+ * @param {Object} data
+ * @param {string} data.userId
+ *
+ * @apiSuccess {string} message
+ * @apiSuccess {Object} weeklyHours
+ * @apiSuccess {number} maxConcurrentOrders
+ *
+ * @apiError {Error} 400 - If the data is invalid.
+ * @apiError {Error} 404 - If the vendor profile is not found.
+ */
+export const updateAvailability = async (data) => {
+    try {
+        const { userId, weeklyHours, maxConcurrentOrders } = updateAvailabilitySchema.parse(data);
+        const vendor = await findVendorByUserId(userId);
+        const availabilityRepo = AppDataSource.getRepository(VendorAvailability);
+
+        const settings = await availabilityRepo.findOne({ where: { vendorId: vendor.id } })
+            ?? availabilityRepo.create({ vendorId: vendor.id, weeklyHours: null, maxConcurrentOrders: null });
+        if (weeklyHours !== undefined) settings.weeklyHours = weeklyHours;
+        if (maxConcurrentOrders !== undefined) settings.maxConcurrentOrders = maxConcurrentOrders;
+
+        const saved = await availabilityRepo.save(settings);
+
+        return {
+            message: "Availability updated",
+            weeklyHours: saved.weeklyHours,
+            maxConcurrentOrders: saved.maxConcurrentOrders,
+        };
+    } catch (err) {
+        if (err instanceof z.ZodError) {
+            logger.warn("updateAvailability validation failed", { errors: err.flatten().fieldErrors });
+            throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+        }
+        logger.error(err);
+        throw err;
+    }
+}
+
+/**
+ * @api {post} /api/vendor/addTimeOff Add Time Off
+ * @apiName AddTimeOff
+ * @apiGroup Vendor
+ * @apiDescription Blocks out a holiday or vacation. While it runs the vendor gets no new requests and the response timer
+ * of pending requests is paused.
+ *
+ * @apiBody {string} type - HOLIDAY or VACATION.
+ * @apiBody {string} startsAt - ISO date-time.
+ * @apiBody {string} endsAt - ISO date-time, in the future and at most 90 days after startsAt.
+ * @apiBody {string} [reason] - Max 200 characters.
+ *
+ * @param {Object} data
+ * @param {string} data.userId
+ *
+ * @apiSuccess {string} message
+ * @apiSuccess {Object} timeOff - The new block.
+ *
+ * @apiError {Error} 400 - If the data is invalid.
+ * @apiError {Error} 404 - If the vendor profile is not found.
+ * @apiError {Error} 409 - If the vendor already has MAX_UPCOMING_TIME_OFF blocks that haven't ended.
+ */
+export const addTimeOff = async (data) => {
+    try {
+        const { userId, type, startsAt, endsAt, reason } = addTimeOffSchema.parse(data);
+        const vendor = await findVendorByUserId(userId);
+        const timeOffRepo = AppDataSource.getRepository(VendorTimeOff);
+
+        const upcoming = await timeOffRepo.count({ where: { vendorId: vendor.id, endsAt: MoreThan(new Date()) } });
+        if (upcoming >= MAX_UPCOMING_TIME_OFF) {
+            throw sendError(`You can have at most ${MAX_UPCOMING_TIME_OFF} upcoming holidays or vacations`, 409);
+        }
+
+        const timeOff = await timeOffRepo.save(timeOffRepo.create({ vendorId: vendor.id, type, startsAt, endsAt, reason: reason || null }));
+
+        return {
+            message: "Time off added",
+            timeOff: { id: timeOff.id, type, startsAt, endsAt, reason: timeOff.reason },
+        };
+    } catch (err) {
+        if (err instanceof z.ZodError) {
+            logger.warn("addTimeOff validation failed", { errors: err.flatten().fieldErrors });
+            throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+        }
+        logger.error(err);
+        throw err;
+    }
+}
+
+/**
+ * @api {delete} /api/vendor/deleteTimeOff/:timeOffId Delete Time Off
+ * @apiName DeleteTimeOff
+ * @apiGroup Vendor
+ * @apiDescription Removes a holiday or vacation block, e.g. to come back early.
+ *
+ * @apiParam {string} timeOffId
+ *
+ * @param {Object} data
+ * @param {string} data.userId
+ * @param {string} data.timeOffId
+ *
+ * @apiSuccess {string} message
+ *
+ * @apiError {Error} 400 - If the id is invalid.
+ * @apiError {Error} 404 - If the vendor profile or the block is not found.
+ */
+export const deleteTimeOff = async (data) => {
+    try {
+        const { userId, timeOffId } = timeOffIdSchema.parse(data);
+        const vendor = await findVendorByUserId(userId);
+
+        const result = await AppDataSource.getRepository(VendorTimeOff).delete({ id: timeOffId, vendorId: vendor.id });
+        if (!result.affected) throw sendError("Time off not found", 404);
+
+        return { message: "Time off removed" };
+    } catch (err) {
+        if (err instanceof z.ZodError) {
+            logger.warn("deleteTimeOff validation failed", { errors: err.flatten().fieldErrors });
+            throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+        }
+        logger.error(err);
+        throw err;
+    }
+}
@@ -0,0 +1,358 @@
+import { z } from "zod";
+import { logger } from "../utils/logger-utils.mjs";
+import { sendError } from "../utils/core-utils.mjs";
+import { AppDataSource } from "../config/data-source.mjs";
+import { Vendors } from "../entities/Vendors.mjs";
+import { AdminActions } from "../entities/AdminActions.mjs";
+import { createFundAccount, createFundAccountValidation, fetchFundAccountValidation } from "../utils/razorpay-utils.mjs";
+import { pushQueue, notificationHistoryQueue } from "../queues/index.mjs";
+import { replaceKycDocument } from "./kycService.mjs";
+import { BANK_VALIDATION_STATUS, KYC_DOCUMENT_TYPE, VENDOR_STATUS } from "../types/enums/index.mjs";
+
+/**
+ * @file bankAccountService.mjs
+ * @description Vendor bank accounts and their penny-drop validation.
+ *
+ * Every new fund account (created when the vendor is verified or changes their bank details) is validated with
+ * Razorpay's fund account validation, which credits ₹1 and reports whether the account is active and whose name
+ * it is in. The result arrives through the `fund_account.validation.*` webhooks and is kept on the vendor;
+ * payouts only go to an account whose validation came back VALID.
+ *
+ * Set `RAZORPAY_VALIDATION_MODE=mock` to validate without Razorpay (see razorpay-utils).
+ */
+
+export const IFSC_REGEX = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+export const BANK_ACCOUNT_NUMBER_REGEX = /^\d{9,18}$/;
+
+//========================= ZOD VALIDATION SCHEMAS =========================
+
+const updateBankDetailsSchema = z.object({
+    userId: z.string().uuid(),
+    accountHolderName: z.string().trim().min(1),
+    accountNumber: z.string().trim().regex(BANK_ACCOUNT_NUMBER_REGEX, { message: "Account number must be 9 to 18 digits" }),
+    ifscCode: z.string().trim().toUpperCase().regex(IFSC_REGEX, { message: "Invalid IFSC code" }),
+    bankPassbookUrlPath: z.string().min(1),
+});
+
+//========================= CORE =========================
+
+const maskAccountNumber = (accountNumber) => accountNumber ? `${"X".repeat(Math.max(accountNumber.length - 4, 0))}${accountNumber.slice(-4)}` : null;
+
+/**
+ * Saves a validation result on the vendor it was started for. Results for an older validation (the vendor has
+ * changed their account since) are ignored.
+ *
+ * @param {import("typeorm").EntityManager} manager
+ * @param {Object} validation - The Razorpay fund_account.validation entity.
+ * @returns {Promise<{ vendorId: string, status: string, changed: boolean }|null>} null if no vendor is waiting for it.
+ */
+export const applyBankValidationResult = async (manager, validation) => {
+    const vendor = await manager.findOne(Vendors, {
+        where: { bankValidationId: validation.id },
+        select: { id: true, bankValidationStatus: true },
+        lock: { mode: "pessimistic_write" }
+    });
+    if (!vendor) return null;
+
+    let status = BANK_VALIDATION_STATUS.PENDING;
+    let note = null;
+    if (validation.status === "completed") {
+        const isActive = validation.results?.account_status === "active";
+        status = isActive ? BANK_VALIDATION_STATUS.VALID : BANK_VALIDATION_STATUS.INVALID;
+        note = isActive ? null : "The bank reported this account as invalid. Please check the account number and IFSC code.";
+    } else if (validation.status === "failed") {
+        // The check itself couldn't run (bank unreachable etc.), which says nothing about the account
+        status = BANK_VALIDATION_STATUS.NOT_VALIDATED;
+        note = "The bank could not be reached to check this account, so the check has to be run again.";
+    }
+
+    if (status === vendor.bankValidationStatus) return { vendorId: vendor.id, status, changed: false };
+
+    await manager.update(Vendors, { id: vendor.id }, {
+        bankValidationStatus: status,
+        bankRegisteredName: validation.results?.registered_name || null,
+        bankValidationNote: note,
+        bankValidatedAt: status === BANK_VALIDATION_STATUS.PENDING ? null : new Date(),
+    });
+    return { vendorId: vendor.id, status, changed: true };
+};
+
+/**
+ * Starts a penny drop for the vendor's current fund account. A Razorpay error doesn't fail the caller: the
+ * vendor is left NOT_VALIDATED with the reason, and an admin can retry with revalidateBankAccount.
+ *
+ * @param {import("typeorm").EntityManager} manager
+ * @param {Object} vendor - id, razorpay_fund_account_id, accountNumber and accountHolderName.
+ * @returns {Promise<string>} The vendor's bankValidationStatus afterwards.
+ */
+export const startBankValidation = async (manager, vendor) => {
+    const validation = await createFundAccountValidation({
+        fundAccountId: vendor.razorpay_fund_account_id,
+        accountNumber: vendor.accountNumber,
+        name: vendor.accountHolderName,
+        referenceId: vendor.id,
+    });
+
+    if (validation?.error || !validation?.id) {
+        const reason = validation?.error?.description || "Validation was not created";
+        logger.error(`Bank validation for vendor ${vendor.id} could not be started: ${reason}`);
+        await manager.update(Vendors, { id: vendor.id }, {
+            bankValidationStatus: BANK_VALIDATION_STATUS.NOT_VALIDATED,
+            bankValidationId: null,
+            bankRegisteredName: null,
+            bankValidationNote: `Validation could not be started: ${reason}`.slice(0, 500),
+            bankValidatedAt: null,
+        });
+        return BANK_VALIDATION_STATUS.NOT_VALIDATED;
+    }
+
+    await manager.update(Vendors, { id: vendor.id }, {
+        bankValidationStatus: BANK_VALIDATION_STATUS.PENDING,
+        bankValidationId: validation.id,
+        bankRegisteredName: null,
+        bankValidationNote: null,
+        bankValidatedAt: null,
+    });
+
+    // The mock (and occasionally Razorpay) answers straight away
+    const result = await applyBankValidationResult(manager, validation);
+    return result?.status || BANK_VALIDATION_STATUS.PENDING;
+};
+
+/**
+ * Throws unless payouts may be sent to the vendor's bank account.
+ *
+ * @param {Object} vendor - razorpay_fund_account_id and bankValidationStatus.
+ * @throws {Error} 409 if there is no fund account or it hasn't passed validation.
+ */
+export const assertPayoutAccountValid = (vendor) => {
+    if (!vendor?.razorpay_fund_account_id) throw sendError("The vendor has no fund account for payouts", 409);
+    if (vendor.bankValidationStatus !== BANK_VALIDATION_STATUS.VALID) {
+        throw sendError(`The vendor's bank account has not passed validation (${vendor.bankValidationStatus})`, 409);
+    }
+};
+
+/**
+ * Tells the vendor how the check of their bank account went.
+ */
+export const notifyBankValidation = async ({ vendorId, status }) => {
+    if (![BANK_VALIDATION_STATUS.VALID, BANK_VALIDATION_STATUS.INVALID].includes(status)) return;
+    try {
+        const vendor = await AppDataSource.getRepository(Vendors).findOne({ where: { id: vendorId }, relations: { user: true } });
+        if (!vendor?.user) return;
+
+        const isValid = status === BANK_VALIDATION_STATUS.VALID;
+        const title = isValid ? "Bank Account Verified" : "Bank Account Could Not Be Verified";
+        const message = isValid
+            ? `Your bank account ending ${vendor.accountNumber.slice(-4)} is verified for payouts.`
+            : `Your bank account ending ${vendor.accountNumber.slice(-4)} could not be verified. Please update your bank details to receive payouts.`;
+
+        if (vendor.user.pushToken) {
+            pushQueue.add("bankValidation", {
+                token: vendor.user.pushToken,
+                title,
+                message,
+                data: { url: '/(vendor)/(portal)/profile' }
+            });
+        }
+        notificationHistoryQueue.add("saveNotificationHistory", {
+            userId: vendor.user.id,
+            title,
+            body: message,
+            timestamp: new Date(),
+        });
+    } catch (notificationError) {
+        logger.error(`Failed to queue bank validation notification for vendor ${vendorId}`, notificationError);
+    }
+};
+
+//========================= VENDOR SERVICES =========================
+
+/**
+ * @api {get} /api/vendor/getBankAccount Get Bank Account
+ * @apiName GetBankAccount
+ * @apiGroup Vendor
+ * @apiDescription The vendor's payout bank account (account number masked) and whether it has passed validation.
+ * A validation still pending is refreshed from Razorpay in case its webhook was missed.
+ *
+ * @param {Object} data
+ * @param {string} data.userId
+ *
+ * @apiSuccess {string} accountHolderName
+ * @apiSuccess {string} accountNumber - Masked, last 4 digits shown.
+ * @apiSuccess {string} ifscCode
+ * @apiSuccess {string} validationStatus - NOT_VALIDATED, PENDING, VALID or INVALID.
+ * @apiSuccess {string} registeredName - The account holder's name as reported by the bank.
+ * @apiSuccess {string} validationNote - Why the account is not valid, if it isn't.
+ * @apiSuccess {string} validatedAt
+ * @apiSuccess {boolean} payoutsEnabled
+ *
+ * @apiError {Error} 404 - If the vendor profile is not found.
+ */
+export const getMyBankAccount = async (data) => {
+    try {
+        const { userId } = data;
+        const vendorRepo = AppDataSource.getRepository(Vendors);
+
+        let vendor = await vendorRepo.findOne({ where: { userId } });
+        if (!vendor) throw sendError("Vendor profile not found", 404);
+
+        if (vendor.bankValidationStatus === BANK_VALIDATION_STATUS.PENDING && vendor.bankValidationId) {
+            try {
+                const validation = await fetchFundAccountValidation(vendor.bankValidationId);
+                if (validation) {
+                    const result = await applyBankValidationResult(AppDataSource.manager, validation);
+                    if (result?.changed) {
+                        vendor = await vendorRepo.findOne({ where: { id: vendor.id } });
+                        await notifyBankValidation(result);
+                    }
+                }
+            } catch (refreshError) {
+                logger.warn(`Could not refresh bank validation for vendor ${vendor.id}`, refreshError);
+            }
+        }
+
+        return {
+            accountHolderName: vendor.accountHolderName,
+            accountNumber: maskAccountNumber(vendor.accountNumber),
+            ifscCode: vendor.ifscCode,
+            validationStatus: vendor.bankValidationStatus,
+            registeredName: vendor.bankRegisteredName,
+            validationNote: vendor.bankValidationNote,
+            validatedAt: vendor.bankValidatedAt,
+            payoutsEnabled: !!vendor.razorpay_fund_account_id && vendor.bankValidationStatus === BANK_VALIDATION_STATUS.VALID,
+        };
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+
+/**
+ * @api {post} /api/vendor/updateBankDetails Update Bank Details
+ * @apiName UpdateBankDetails
+ * @apiGroup Vendor
+ * @apiDescription Changes the vendor's payout bank account. The new passbook goes up for KYC review and, for a verified
+ * vendor, a new Razorpay fund account is created and validated with a penny drop. Payouts (including ones already due)
+ * wait until the new account passes; a vendor not verified yet is validated when they are verified.
+ *
+ * @apiBody {string} accountHolderName
+ * @apiBody {string} accountNumber - 9 to 18 digits.
+ * @apiBody {string} ifscCode
+ * @apiBody {string} bankPassbookUrlPath - The S3 path of the new passbook or cancelled cheque.
+ *
+ * @apiSuccess {string} message
+ * @apiSuccess {string} validationStatus
+ *
+ * @apiError {Error} 400 - If the data is invalid, unchanged, or Razorpay rejects the account details.
+ * @apiError {Error} 403 - If the vendor is blocked.
+ * @apiError {Error} 404 - If the vendor profile is not found.
+ * @apiError {Error} 409 - If the current account is still being validated.
+ */
+export const updateBankDetails = async (data) => {
+    const queryRunner = AppDataSource.createQueryRunner();
+    await queryRunner.connect();
+    await queryRunner.startTransaction();
+
+    try {
+        const { userId, accountHolderName, accountNumber, ifscCode, bankPassbookUrlPath } = updateBankDetailsSchema.parse(data);
+
+        const vendor = await queryRunner.manager.findOne(Vendors, { where: { userId }, lock: { mode: "pessimistic_write" } });
+        if (!vendor) throw sendError("Vendor profile not found", 404);
+        if (vendor.status === VENDOR_STATUS.BLOCKED) throw sendError("Your account has been blocked. Please contact support.", 403);
+        if (vendor.bankValidationStatus === BANK_VALIDATION_STATUS.PENDING) {
+            throw sendError("Your current bank account is still being verified. Please try again in a few minutes.", 409);
+        }
+        if (vendor.accountHolderName === accountHolderName && vendor.accountNumber === accountNumber && vendor.ifscCode === ifscCode) {
+            throw sendError("These are already your bank details", 400);
+        }
+
+        let fundAccountId = null;
+        if (vendor.razorpay_contact_id) {
+            const fundAccount = await createFundAccount(vendor.razorpay_contact_id, "bank_account", accountHolderName, ifscCode, accountNumber);
+            if (fundAccount.error) throw sendError("Bank details were not accepted: " + fundAccount.error.description, 400);
+            fundAccountId = fundAccount.id;
+        }
+
+        await queryRunner.manager.update(Vendors, { id: vendor.id }, {
+            accountHolderName,
+            accountNumber,
+            ifscCode,
+            razorpay_fund_account_id: fundAccountId,
+            bankValidationStatus: BANK_VALIDATION_STATUS.NOT_VALIDATED,
+            bankValidationId: null,
+            bankRegisteredName: null,
+            bankValidationNote: null,
+            bankValidatedAt: null,
+        });
+        await replaceKycDocument(queryRunner.manager, { vendor, documentType: KYC_DOCUMENT_TYPE.BANK_PASSBOOK, urlPath: bankPassbookUrlPath });
+
+        let validationStatus = BANK_VALIDATION_STATUS.NOT_VALIDATED;
+        if (fundAccountId) {
+            validationStatus = await startBankValidation(queryRunner.manager, { id: vendor.id, razorpay_fund_account_id: fundAccountId, accountNumber, accountHolderName });
+        }
+
+        await queryRunner.commitTransaction();
+
+        await notifyBankValidation({ vendorId: vendor.id, status: validationStatus });
+
+        return { message: "Bank details updated", validationStatus };
+    } catch (err) {
+        if (queryRunner.isTransactionActive) {
+            await queryRunner.rollbackTransaction();
+        }
+        if (err instanceof z.ZodError) {
+            logger.warn("updateBankDetails validation failed", { errors: err.flatten().fieldErrors });
+            throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+        }
+        logger.error(err);
+        throw err;
+    } finally {
+        await queryRunner.release();
+    }
+}
+
+//========================= ADMIN SERVICES =========================
+
+/**
+ * Runs the penny drop again for a vendor's current fund account, e.g. after the bank was unreachable or for
+ * accounts set up before validation existed.
+ */
+export const revalidateBankAccount = async (vendorId, adminUserId) => {
+    const queryRunner = AppDataSource.createQueryRunner();
+    await queryRunner.connect();
+    await queryRunner.startTransaction();
+
+    try {
+        const vendor = await queryRunner.manager.findOne(Vendors, {
+            where: { id: vendorId },
+            select: { id: true, razorpay_fund_account_id: true, accountNumber: true, accountHolderName: true, bankValidationStatus: true },
+            lock: { mode: "pessimistic_write" }
+        });
+        if (!vendor) throw sendError("Vendor not found", 404);
+        if (!vendor.razorpay_fund_account_id) throw sendError("The vendor has no fund account yet; it is created when the vendor is verified", 400);
+        if (vendor.bankValidationStatus === BANK_VALIDATION_STATUS.PENDING) throw sendError("A validation is already in progress", 409);
+
+        const validationStatus = await startBankValidation(queryRunner.manager, vendor);
+
+        await queryRunner.manager.save(AdminActions, {
+            adminUserId: adminUserId,
+            action: "revalidateBankAccount",
+            actionData: { vendorId, fundAccountId: vendor.razorpay_fund_account_id, previousStatus: vendor.bankValidationStatus, validationStatus }
+        });
+
+        await queryRunner.commitTransaction();
+
+        await notifyBankValidation({ vendorId, status: validationStatus });
+
+        return { message: "Bank account validation started", validationStatus };
+    } catch (err) {
+        if (queryRunner.isTransactionActive) {
+            await queryRunner.rollbackTransaction();
+        }
+        logger.error(err);
+        throw err;
+    } finally {
+        await queryRunner.release();
+    }
+}
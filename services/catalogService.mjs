@@ -0,0 +1,330 @@
+import { z } from "zod";
+import { In } from "typeorm";
+import { logger } from "../utils/logger-utils.mjs";
+import { sendError } from "../utils/core-utils.mjs";
+import { delCache } from "../utils/cache.mjs";
+import { AppDataSource } from "../config/data-source.mjs";
+import { Vendors } from "../entities/Vendors.mjs";
+import { VendorCatalogItems } from "../entities/VendorCatalogItems.mjs";
+import { CATALOG_UNIT, VENDOR_STATUS } from "../types/enums/index.mjs";
+import { MAX_CATALOG_ITEMS_PER_VENDOR } from "../config/constants.mjs";
+
+/**
+ * @file catalogService.mjs
+ * @description Vendor service catalog: the services a vendor offers, each with a base price, unit and turnaround.
+ *
+ * Vendors manage their own entries. Customers see the active ones on the vendor's details page, can filter search
+ * by them, and can point an order item at one; the item then keeps a copy of the entry's price and unit.
+ * Entries with `instantBook` have a fixed price, and an order made only of them can be booked without a quote
+ * (see orderService.instantBookOrder).
+ */
+
+//========================= ZOD VALIDATION SCHEMAS =========================
+
+const catalogItemFields = {
+    name: z.string().trim().min(1).max(100),
+    description: z.string().trim().max(500).optional().nullable(),
+    basePrice: z.number().positive().max(1000000).multipleOf(0.01),
+    unit: z.enum(Object.values(CATALOG_UNIT)),
+    turnaroundDays: z.number().int().min(1).max(90),
+    instantBook: z.boolean(),
+    isActive: z.boolean(),
+};
+
+const addCatalogItemSchema = z.object({
+    userId: z.string().uuid(),
+    ...catalogItemFields,
+    instantBook: catalogItemFields.instantBook.optional().default(false),
+    isActive: catalogItemFields.isActive.optional().default(true),
+});
+
+const updateCatalogItemSchema = z.object({
+    userId: z.string().uuid(),
+    catalogItemId: z.string().uuid(),
+    name: catalogItemFields.name.optional(),
+    description: catalogItemFields.description,
+    basePrice: catalogItemFields.basePrice.optional(),
+    unit: catalogItemFields.unit.optional(),
+    turnaroundDays: catalogItemFields.turnaroundDays.optional(),
+    instantBook: catalogItemFields.instantBook.optional(),
+    isActive: catalogItemFields.isActive.optional(),
+}).refine(data => Object.keys(data).some(key => !["userId", "catalogItemId"].includes(key) && data[key] !== undefined), {
+    message: "Nothing to update",
+});
+
+const catalogItemIdSchema = z.object({
+    userId: z.string().uuid(),
+    catalogItemId: z.string().uuid(),
+});
+
+//========================= CORE =========================
+
+const toCatalogItem = (item) => ({
+    id: item.id,
+    name: item.name,
+    description: item.description,
+    basePrice: Number(item.basePrice),
+    unit: item.unit,
+    turnaroundDays: item.turnaroundDays,
+    instantBook: item.instantBook,
+    isActive: item.isActive,
+});
+
+const findVendorByUserId = async (userId) => {
+    const vendor = await AppDataSource.getRepository(Vendors).findOne({ where: { userId }, select: { id: true } });
+    if (!vendor) throw sendError("Vendor profile not found", 404);
+    return vendor;
+};
+
+// Names are unique per vendor regardless of case, so "Blouse stitching" and "blouse Stitching" can't both exist
+const assertCatalogNameAvailable = async (vendorId, name, exceptId = null) => {
+    const query = AppDataSource.getRepository(VendorCatalogItems).createQueryBuilder("catalog")
+        .where("catalog.vendorId = :vendorId", { vendorId })
+        .andWhere("LOWER(catalog.name) = LOWER(:name)", { name });
+    if (exceptId) query.andWhere("catalog.id != :exceptId", { exceptId });
+    if (await query.getExists()) throw sendError(`"${name}" is already in your catalog`, 409);
+};
+
+/**
+ * The active catalog of a vendor, as shown to customers.
+ *
+ * @param {string} vendorId
+ * @returns {Promise<Object[]>}
+ */
+export const getActiveCatalog = async (vendorId) => {
+    const items = await AppDataSource.getRepository(VendorCatalogItems).find({
+        where: { vendorId, isActive: true },
+        order: { name: "ASC" },
+    });
+    return items.map(toCatalogItem);
+};
+
+/**
+ * Loads the catalog entries order items refer to and checks they can be ordered: every entry exists and is active,
+ * belongs to a verified vendor offering the order's service type, and all of them come from the same vendor (an order
+ * is priced by one vendor).
+ *
+ * @param {import("typeorm").EntityManager} manager
+ * @param {string[]} catalogItemIds
+ * @param {string} serviceType - The order's service type.
+ * @returns {Promise<Map<string, Object>>} Catalog entries by id.
+ */
+export const resolveOrderCatalogItems = async (manager, catalogItemIds, serviceType) => {
+    const ids = [...new Set(catalogItemIds)];
+    if (ids.length === 0) return new Map();
+
+    const items = await manager.find(VendorCatalogItems, {
+        where: { id: In(ids) },
+        relations: { vendor: true },
+    });
+    if (items.length !== ids.length || items.some(item => !item.isActive)) {
+        throw sendError("Some of the selected catalog items are no longer available", 400);
+    }
+    if (new Set(items.map(item => item.vendorId)).size > 1) {
+        throw sendError("Catalog items in one order must come from the same vendor", 400);
+    }
+    const vendor = items[0].vendor;
+    if (vendor.status !== VENDOR_STATUS.VERIFIED) {
+        throw sendError("This vendor is not taking orders right now", 400);
+    }
+    if (vendor.serviceType !== serviceType) {
+        throw sendError(`The selected catalog items are not ${serviceType} services`, 400);
+    }
+
+    return new Map(items.map(item => [item.id, item]));
+};
+
+//========================= VENDOR SERVICES =========================
+
+/**
+ * @api {get} /api/vendor/getCatalogItems Get Catalog Items
+ * @apiName GetCatalogItems
+ * @apiGroup Vendor
+ * @apiDescription The vendor's full service catalog, including inactive entries.
+ *
+ * @param {Object} data
+ * @param {string} data.userId
+ *
+ * @apiSuccess {Object[]} items
+ * @apiSuccess {string} items.id
+ * @apiSuccess {string} items.name - e.g. "Blouse stitching".
+ * @apiSuccess {string} items.description
+ * @apiSuccess {number} items.basePrice - Starting price in rupees.
+ * @apiSuccess {string} items.unit - per piece, per pair, per set, per kg or per meter.
+ * @apiSuccess {number} items.turnaroundDays
+ * @apiSuccess {boolean} items.instantBook - Whether customers can book it at this price without a quote.
+ * @apiSuccess {boolean} items.isActive - Whether customers can see it.
+ * @apiSuccess {number} maxItems - How many entries the catalog can hold.
+ *
+ * @apiError {Error} 404 - If the vendor profile is not found.
+ */
+export const getCatalogItems = async (data) => {
+    try {
+        const { userId } = data;
+        const vendor = await findVendorByUserId(userId);
+
+        const items = await AppDataSource.getRepository(VendorCatalogItems).find({
+            where: { vendorId: vendor.id },
+            order: { isActive: "DESC", name: "ASC" },
+        });
+
+        return {
+            items: items.map(toCatalogItem),
+            maxItems: MAX_CATALOG_ITEMS_PER_VENDOR,
+        };
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+
+/**
+ * @api {post} /api/vendor/addCatalogItem Add Catalog Item
+ * @apiName AddCatalogItem
+ * @apiGroup Vendor
+ * @apiDescription Adds a service to the vendor's catalog.
+ *
+ * @apiBody {string} name - Unique within the catalog, ignoring case (max 100 characters).
+ * @apiBody {string} [description] - Max 500 characters.
+ * @apiBody {number} basePrice - Starting price in rupees.
+ * @apiBody {string} unit - per piece, per pair, per set, per kg or per meter.
+ * @apiBody {number} turnaroundDays - 1 to 90.
+ * @apiBody {boolean} [instantBook=false] - Fix the price and let customers book it without a quote.
+ * @apiBody {boolean} [isActive=true]
+ *
+ * @param {Object} data
+ * @param {string} data.userId
+ *
+ * @apiSuccess {string} message
+ * @apiSuccess {Object} item - The new entry.
+ *
+ * @apiError {Error} 400 - If the data is invalid.
+ * @apiError {Error} 404 - If the vendor profile is not found.
+ * @apiError {Error} 409 - If the name is already used or the catalog is full.
+ */
+export const addCatalogItem = async (data) => {
+    try {
+        const { userId, ...fields } = addCatalogItemSchema.parse(data);
+        const vendor = await findVendorByUserId(userId);
+        const catalogRepo = AppDataSource.getRepository(VendorCatalogItems);
+
+        const count = await catalogRepo.count({ where: { vendorId: vendor.id } });
+        if (count >= MAX_CATALOG_ITEMS_PER_VENDOR) {
+            throw sendError(`A catalog can have at most ${MAX_CATALOG_ITEMS_PER_VENDOR} items`, 409);
+        }
+        await assertCatalogNameAvailable(vendor.id, fields.name);
+
+        const item = await catalogRepo.save(catalogRepo.create({ vendorId: vendor.id, ...fields }));
+        await delCache(`vendorDetailsByVendorId:${vendor.id}`);
+
+        return {
+            message: "Catalog item added",
+            item: toCatalogItem(item),
+        };
+    } catch (err) {
+        if (err instanceof z.ZodError) {
+            logger.warn("addCatalogItem validation failed", { errors: err.flatten().fieldErrors });
+            throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+        }
+        logger.error(err);
+        throw err;
+    }
+}
+
+/**
+ * @api {patch} /api/vendor/updateCatalogItem/:catalogItemId Update Catalog Item
+ * @apiName UpdateCatalogItem
+ * @apiGroup Vendor
+ * @apiDescription Edits a catalog entry, hides / shows it with `isActive`, or opts it in or out of instant booking
+ * with `instantBook`. Only the fields sent are changed. Orders already placed keep the price they were placed with.
+ *
+ * @apiParam {string} catalogItemId
+ * @apiBody {string} [name]
+ * @apiBody {string} [description]
+ * @apiBody {number} [basePrice]
+ * @apiBody {string} [unit]
+ * @apiBody {number} [turnaroundDays]
+ * @apiBody {boolean} [instantBook]
+ * @apiBody {boolean} [isActive]
+ *
+ * @param {Object} data
+ * @param {string} data.userId
+ * @param {string} data.catalogItemId
+ *
+ * @apiSuccess {string} message
+ * @apiSuccess {Object} item - The updated entry.
+ *
+ * @apiError {Error} 400 - If the data is invalid.
+ * @apiError {Error} 404 - If the vendor profile or the entry is not found.
+ * @apiError {Error} 409 - If the new name is already used.
+ */
+export const updateCatalogItem = async (data) => {
+    try {
+        const { userId, catalogItemId, ...fields } = updateCatalogItemSchema.parse(data);
+        const vendor = await findVendorByUserId(userId);
+        const catalogRepo = AppDataSource.getRepository(VendorCatalogItems);
+
+        const item = await catalogRepo.findOne({ where: { id: catalogItemId, vendorId: vendor.id } });
+        if (!item) throw sendError("Catalog item not found", 404);
+
+        if (fields.name !== undefined && fields.name.toLowerCase() !== item.name.toLowerCase()) {
+            await assertCatalogNameAvailable(vendor.id, fields.name, item.id);
+        }
+        for (const [key, value] of Object.entries(fields)) {
+            if (value !== undefined) item[key] = value;
+        }
+
+        const saved = await catalogRepo.save(item);
+        await delCache(`vendorDetailsByVendorId:${vendor.id}`);
+
+        return {
+            message: "Catalog item updated",
+            item: toCatalogItem(saved),
+        };
+    } catch (err) {
+        if (err instanceof z.ZodError) {
+            logger.warn("updateCatalogItem validation failed", { errors: err.flatten().fieldErrors });
+            throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+        }
+        logger.error(err);
+        throw err;
+    }
+}
+
+/**
+ * @api {delete} /api/vendor/deleteCatalogItem/:catalogItemId Delete Catalog Item
+ * @apiName DeleteCatalogItem
+ * @apiGroup Vendor
+ * @apiDescription Removes a catalog entry. Order items that referenced it keep their copied price and unit.
+ *
+ * @apiParam {string} catalogItemId
+ *
+ * @param {Object} data
+ * @param {string} data.userId
+ * @param {string} data.catalogItemId
+ *
+ * @apiSuccess {string} message
+ *
+ * @apiError {Error} 400 - If the id is invalid.
+ * @apiError {Error} 404 - If the vendor profile or the entry is not found.
+ */
+export const deleteCatalogItem = async (data) => {
+    try {
+        const { userId, catalogItemId } = catalogItemIdSchema.parse(data);
+        const vendor = await findVendorByUserId(userId);
+
+        const result = await AppDataSource.getRepository(VendorCatalogItems).delete({ id: catalogItemId, vendorId: vendor.id });
+        if (!result.affected) throw sendError("Catalog item not found", 404);
+
+        await delCache(`vendorDetailsByVendorId:${vendor.id}`);
+
+        return { message: "Catalog item deleted" };
+    } catch (err) {
+        if (err instanceof z.ZodError) {
+            logger.warn("deleteCatalogItem validation failed", { errors: err.flatten().fieldErrors });
+            throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+        }
+        logger.error(err);
+        throw err;
+    }
+}
@@ -0,0 +1,689 @@
+import { z } from "zod";
+import { randomUUID } from "crypto";
+import { logger } from "../utils/logger-utils.mjs";
+import { sendError } from "../utils/core-utils.mjs";
+import { AppDataSource } from "../config/data-source.mjs";
+import { Complaints } from "../entities/Complaints.mjs";
+import { ComplaintReplies } from "../entities/ComplaintReplies.mjs";
+import { Customers } from "../entities/Customers.mjs";
+import { Vendors } from "../entities/Vendors.mjs";
+import { Orders } from "../entities/Orders.mjs";
+import { AdminActions } from "../entities/AdminActions.mjs";
+import { getPresignedUrl, getPresignedViewUrl } from "./s3service.mjs";
+import { pushQueue, notificationHistoryQueue } from "../queues/index.mjs";
+import { ROLE, COMPLAINT_STATUS, COMPLAINT_CATEGORY, COMPLAINT_PRIORITY } from "../types/enums/index.mjs";
+import { COMPLAINT_REOPEN_WINDOW_DAYS, COMPLAINT_MAX_ATTACHMENTS, COMPLAINT_ATTACHMENT_TYPES } from "../config/constants.mjs";
+
+const complaintRepo = AppDataSource.getRepository(Complaints);
+const complaintReplyRepo = AppDataSource.getRepository(ComplaintReplies);
+
+/**
+ * Status changes an admin may make. Customers and vendors only move a ticket out of
+ * AWAITING_<their role> (by replying) and RESOLVED -> REOPENED (by reopening).
+ * RESOLVED is only reached through adminService.resolveComplaint, which also records the outcome.
+ */
+export const COMPLAINT_TRANSITIONS = {
+    [COMPLAINT_STATUS.OPEN]: [COMPLAINT_STATUS.AWAITING_CUSTOMER, COMPLAINT_STATUS.AWAITING_VENDOR, COMPLAINT_STATUS.ESCALATED, COMPLAINT_STATUS.RESOLVED],
+    [COMPLAINT_STATUS.AWAITING_CUSTOMER]: [COMPLAINT_STATUS.OPEN, COMPLAINT_STATUS.AWAITING_VENDOR, COMPLAINT_STATUS.ESCALATED, COMPLAINT_STATUS.RESOLVED],
+    [COMPLAINT_STATUS.AWAITING_VENDOR]: [COMPLAINT_STATUS.OPEN, COMPLAINT_STATUS.AWAITING_CUSTOMER, COMPLAINT_STATUS.ESCALATED, COMPLAINT_STATUS.RESOLVED],
+    [COMPLAINT_STATUS.ESCALATED]: [COMPLAINT_STATUS.AWAITING_CUSTOMER, COMPLAINT_STATUS.AWAITING_VENDOR, COMPLAINT_STATUS.RESOLVED],
+    [COMPLAINT_STATUS.RESOLVED]: [COMPLAINT_STATUS.REOPENED],
+    [COMPLAINT_STATUS.REOPENED]: [COMPLAINT_STATUS.AWAITING_CUSTOMER, COMPLAINT_STATUS.AWAITING_VENDOR, COMPLAINT_STATUS.ESCALATED, COMPLAINT_STATUS.RESOLVED],
+};
+
+//========================= ZOD VALIDATION SCHEMAS =========================
+
+const attachmentsSchema = z.array(z.string().min(1)).max(COMPLAINT_MAX_ATTACHMENTS).optional();
+
+const getAttachmentUploadUrlSchema = z.object({
+    userId: z.string().uuid(),
+    fileName: z.string().min(1).max(200),
+    fileType: z.enum(COMPLAINT_ATTACHMENT_TYPES),
+});
+
+const getMyComplaintsSchema = z.object({
+    userId: z.string().uuid(),
+    role: z.enum([ROLE.CUSTOMER, ROLE.VENDOR]),
+    status: z.enum(Object.values(COMPLAINT_STATUS)).optional(),
+    page: z.number().int().min(1).default(1),
+    limit: z.number().int().min(1).max(50).default(10),
+});
+
+const complaintThreadSchema = z.object({
+    userId: z.string().uuid(),
+    role: z.enum([ROLE.CUSTOMER, ROLE.VENDOR]),
+    complaintId: z.string().uuid(),
+});
+
+const replySchema = z.object({
+    userId: z.string().uuid(),
+    role: z.enum([ROLE.CUSTOMER, ROLE.VENDOR]),
+    complaintId: z.string().uuid(),
+    message: z.string().trim().min(1, { message: "Message is required" }).max(2000),
+    attachments: attachmentsSchema,
+});
+
+const adminReplySchema = z.object({
+    message: z.string().trim().min(1, { message: "Message is required" }).max(2000),
+    attachments: attachmentsSchema,
+    status: z.enum([COMPLAINT_STATUS.AWAITING_CUSTOMER, COMPLAINT_STATUS.AWAITING_VENDOR, COMPLAINT_STATUS.ESCALATED]).optional(),
+});
+
+const updateComplaintStatusSchema = z.object({
+    status: z.enum(Object.values(COMPLAINT_STATUS).filter(status => status !== COMPLAINT_STATUS.RESOLVED)).optional(),
+    priority: z.enum(Object.values(COMPLAINT_PRIORITY)).optional(),
+    category: z.enum(Object.values(COMPLAINT_CATEGORY)).optional(),
+    notes: z.string().max(1000).optional(),
+}).refine((data) => data.status || data.priority || data.category, { message: "Nothing to update" });
+
+//========================= HELPERS =========================
+
+/**
+ * Payment and refund tickets start at HIGH priority, everything else at MEDIUM. Admins can change it later.
+ * @param {string} category
+ * @returns {string}
+ */
+export const defaultComplaintPriority = (category) => {
+    return [COMPLAINT_CATEGORY.PAYMENT, COMPLAINT_CATEGORY.REFUND].includes(category) ? COMPLAINT_PRIORITY.HIGH : COMPLAINT_PRIORITY.MEDIUM;
+}
+
+/**
+ * Attachment keys are generated by getAttachmentUploadUrl under the uploader's own prefix,
+ * so a key outside it was either tampered with or belongs to someone else.
+ * @param {string} userId
+ * @param {string[]} [attachments]
+ */
+export const assertOwnAttachments = (userId, attachments = []) => {
+    const prefix = `complaints/${userId}/`;
+    if (attachments.some(key => !key.startsWith(prefix) || key.includes(".."))) {
+        throw sendError("Invalid attachment", 400);
+    }
+}
+
+const toAttachmentUrls = async (attachments) => {
+    if (!attachments?.length) return [];
+    return Promise.all(attachments.map(async (key) => ({ key, url: await getPresignedViewUrl(key) })));
+}
+
+/**
+ * Resolves the caller's customer/vendor profile and loads the ticket if they are a party to it:
+ * either they raised it, or it is about one of their orders.
+ */
+const findComplaintForParty = async (manager, { userId, role, complaintId, lock = false }) => {
+    const party = role === ROLE.CUSTOMER
+        ? await manager.findOne(Customers, { where: { userId }, select: { id: true } })
+        : await manager.findOne(Vendors, { where: { userId }, select: { id: true } });
+    if (!party) throw sendError(role === ROLE.CUSTOMER ? "Customer not found" : "Vendor not found", 404);
+
+    const complaint = await manager.findOne(Complaints, { where: { id: complaintId }, ...(lock && { lock: { mode: "pessimistic_write" } }) });
+    if (!complaint) throw sendError("Complaint not found", 404);
+
+    let isParty = role === ROLE.CUSTOMER ? complaint.customerId === party.id : complaint.vendorId === party.id;
+    if (!isParty && complaint.orderId) {
+        isParty = await manager.exists(Orders, {
+            where: role === ROLE.CUSTOMER
+                ? { id: complaint.orderId, customerId: party.id }
+                : { id: complaint.orderId, selectedVendorId: party.id }
+        });
+    }
+    if (!isParty) throw sendError("You are not authorized to view this complaint", 403);
+
+    return complaint;
+}
+
+/**
+ * Users on either side of a ticket: whoever raised it and the other party of the linked order.
+ * @returns {Promise<Array<{ id: string, role: string, pushToken: string|null }>>}
+ */
+const getComplaintParticipants = async (complaint) => {
+    let customerId = complaint.customerId;
+    let vendorId = complaint.vendorId;
+    if (complaint.orderId && (!customerId || !vendorId)) {
+        const order = await AppDataSource.getRepository(Orders).findOne({ where: { id: complaint.orderId }, select: { id: true, customerId: true, selectedVendorId: true } });
+        customerId = customerId || order?.customerId;
+        vendorId = vendorId || order?.selectedVendorId;
+    }
+
+    const [customer, vendor] = await Promise.all([
+        customerId ? AppDataSource.getRepository(Customers).findOne({ where: { id: customerId }, relations: { user: true } }) : null,
+        vendorId ? AppDataSource.getRepository(Vendors).findOne({ where: { id: vendorId }, relations: { user: true } }) : null,
+    ]);
+
+    const participants = [];
+    if (customer?.user) participants.push({ id: customer.user.id, role: ROLE.CUSTOMER, pushToken: customer.user.pushToken });
+    if (vendor?.user) participants.push({ id: vendor.user.id, role: ROLE.VENDOR, pushToken: vendor.user.pushToken });
+    return participants;
+}
+
+/**
+ * Queues a push notification and a notification history entry for every participant except the author.
+ * Called after commit; failures are logged and never surface to the caller.
+ */
+export const notifyComplaintParticipants = async (complaint, { authorUserId, title, body }) => {
+    try {
+        const participants = await getComplaintParticipants(complaint);
+        for (const participant of participants) {
+            if (participant.id === authorUserId) continue;
+
+            if (participant.pushToken) {
+                pushQueue.add("complaintUpdate", {
+                    token: participant.pushToken,
+                    title,
+                    message: body,
+                    data: { url: participant.role === ROLE.CUSTOMER ? '/(customer)/(portal)/complaints' : '/(vendor)/(portal)/complaints', complaintId: complaint.id }
+                });
+            }
+            notificationHistoryQueue.add("saveNotificationHistory", {
+                userId: participant.id,
+                title,
+                body,
+                timestamp: new Date(),
+            });
+        }
+    } catch (err) {
+        logger.error(`Failed to queue complaint notifications for ${complaint.id}`, err);
+    }
+}
+
+const ticketRef = (complaintId) => `#${complaintId.substring(0, 8)}`;
+
+//========================= COMPLAINT SERVICES =========================
+
+/**
+ * @api {post} /api/complaint/getAttachmentUploadUrl Get Attachment Upload URL
+ * @apiName GetComplaintAttachmentUploadUrl
+ * @apiGroup Complaint
+ * @apiDescription Returns a presigned S3 upload URL for a complaint attachment. The key is generated on the server under the caller's prefix;
+ * upload the file with a PUT to `presignedUrl` and send `key` in the `attachments` array of a complaint or reply.
+ *
+ * @apiBody {string} fileName - The original file name.
+ * @apiBody {string} fileType - One of image/jpeg, image/png, image/webp, application/pdf.
+ *
+ * @param {Object} data
+ * @param {string} data.userId - The UUID of the uploader (customer, vendor or admin user).
+ * @param {string} data.fileName
+ * @param {string} data.fileType
+ * @returns {Promise<{ presignedUrl: string, key: string }>}
+ *
+ * @apiError {Error} 400 - If the validation fails.
+ * @apiError {Error} 500 - Internal Server Error.
+ */
+export const getAttachmentUploadUrl = async (data) => {
+    try {
+        const { userId, fileName, fileType } = getAttachmentUploadUrlSchema.parse(data);
+
+        const safeName = fileName.replace(/[^a-zA-Z0-9._-]/g, "_");
+        const key = `complaints/${userId}/${randomUUID()}-${safeName}`;
+        const { presignedUrl } = await getPresignedUrl(key, fileType);
+
+        return { presignedUrl, key };
+    } catch (err) {
+        if (err instanceof z.ZodError) {
+            logger.warn("getAttachmentUploadUrl validation failed", { errors: err.flatten().fieldErrors });
+            throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+        }
+        logger.error(err);
+        throw err;
+    }
+}
+
+/**
+ * @api {get} /api/complaint/getMyComplaints/:page/:limit Get My Complaints
+ * @apiName GetMyComplaints
+ * @apiGroup Complaint
+ * @apiDescription Lists the tickets the customer or vendor is a party to, most recently active first.
+ *
+ * @apiParam {number} page
+ * @apiParam {number} limit
+ * @apiQuery {string} [status] - One of COMPLAINT_STATUS.
+ *
+ * @param {Object} data
+ * @param {string} data.userId
+ * @param {string} data.role - customer | vendor
+ * @param {string} [data.status]
+ * @param {number} data.page
+ * @param {number} data.limit
+ *
+ * @apiSuccess {Object[]} response.complaints
+ * @apiSuccess {Object} response.pagination
+ *
+ * @apiError {Error} 400 - If the validation fails.
+ * @apiError {Error} 404 - If the customer or vendor is not found.
+ * @apiError {Error} 500 - Internal Server Error.
+ */
+export const getMyComplaints = async (data) => {
+    try {
+        const { userId, role, status, page, limit } = getMyComplaintsSchema.parse(data);
+
+        const party = role === ROLE.CUSTOMER
+            ? await AppDataSource.getRepository(Customers).findOne({ where: { userId }, select: { id: true } })
+            : await AppDataSource.getRepository(Vendors).findOne({ where: { userId }, select: { id: true } });
+        if (!party) throw sendError(role === ROLE.CUSTOMER ? "Customer not found" : "Vendor not found", 404);
+
+        const queryBuilder = complaintRepo.createQueryBuilder("complaints")
+            .leftJoin("complaints.order", "order")
+            .select([
+                "complaints.id", "complaints.orderId", "complaints.complaint", "complaints.category", "complaints.priority",
+                "complaints.status", "complaints.raisedByRole", "complaints.createdAt", "complaints.lastActivityAt", "complaints.resolvedAt",
+                "order.id", "order.orderName"
+            ]);
+        if (role === ROLE.CUSTOMER) {
+            queryBuilder.where("(complaints.customerId = :partyId OR order.customerId = :partyId)", { partyId: party.id });
+        } else {
+            queryBuilder.where("(complaints.vendorId = :partyId OR order.selectedVendorId = :partyId)", { partyId: party.id });
+        }
+        if (status) queryBuilder.andWhere("complaints.status = :status", { status });
+
+        const [complaints, totalCount] = await queryBuilder
+            .orderBy("COALESCE(complaints.lastActivityAt, complaints.createdAt)", "DESC")
+            .skip((page - 1) * limit)
+            .take(limit)
+            .getManyAndCount();
+
+        return {
+            complaints,
+            pagination: {
+                currentPage: page,
+                itemsPerPage: limit,
+                totalItems: totalCount,
+                totalPages: Math.ceil(totalCount / limit),
+                hasMore: page * limit < totalCount
+            }
+        };
+    } catch (err) {
+        if (err instanceof z.ZodError) {
+            logger.warn("getMyComplaints validation failed", { errors: err.flatten().fieldErrors });
+            throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+        }
+        logger.error(err);
+        throw err;
+    }
+}
+
+const buildThread = async (complaint) => {
+    const replies = await complaintReplyRepo.find({ where: { complaintId: complaint.id }, order: { createdAt: "ASC" } });
+
+    return {
+        complaint: {
+            id: complaint.id,
+            orderId: complaint.orderId,
+            complaint: complaint.complaint,
+            category: complaint.category,
+            priority: complaint.priority,
+            status: complaint.status,
+            raisedByRole: complaint.raisedByRole,
+            attachments: await toAttachmentUrls(complaint.attachments),
+            createdAt: complaint.createdAt,
+            lastActivityAt: complaint.lastActivityAt,
+            resolvedAt: complaint.resolvedAt,
+            resolutionNotes: complaint.resolutionNotes,
+            resolutionOutcome: complaint.resolutionOutcome,
+        },
+        replies: await Promise.all(replies.map(async (reply) => ({
+            id: reply.id,
+            authorRole: reply.authorRole,
+            message: reply.message,
+            attachments: await toAttachmentUrls(reply.attachments),
+            statusAfter: reply.statusAfter,
+            createdAt: reply.createdAt,
+        }))),
+    };
+}
+
+/**
+ * @api {get} /api/complaint/getComplaintThread/:complaintId Get Complaint Thread
+ * @apiName GetComplaintThread
+ * @apiGroup Complaint
+ * @apiDescription Returns a ticket with all of its replies in order. Attachments are returned as presigned view URLs valid for an hour.
+ *
+ * @apiParam {string} complaintId
+ *
+ * @param {Object} data
+ * @param {string} data.userId
+ * @param {string} data.role - customer | vendor
+ * @param {string} data.complaintId
+ *
+ * @apiSuccess {Object} response.complaint
+ * @apiSuccess {Object[]} response.replies
+ *
+ * @apiError {Error} 400 - If the validation fails.
+ * @apiError {Error} 403 - If the caller is not a party to the ticket.
+ * @apiError {Error} 404 - If the ticket is not found.
+ * @apiError {Error} 500 - Internal Server Error.
+ */
+export const getComplaintThread = async (data) => {
+    try {
+        const { userId, role, complaintId } = complaintThreadSchema.parse(data);
+
+        const complaint = await findComplaintForParty(AppDataSource.manager, { userId, role, complaintId });
+        return buildThread(complaint);
+    } catch (err) {
+        if (err instanceof z.ZodError) {
+            logger.warn("getComplaintThread validation failed", { errors: err.flatten().fieldErrors });
+            throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+        }
+        logger.error(err);
+        throw err;
+    }
+}
+
+/**
+ * @api {post} /api/complaint/replyToComplaint/:complaintId Reply To Complaint
+ * @apiName ReplyToComplaint
+ * @apiGroup Complaint
+ * @apiDescription Adds a customer or vendor reply to the ticket thread. A reply to a ticket that is awaiting the caller moves it back to OPEN.
+ * Resolved tickets must be reopened first. The other participants are notified.
+ *
+ * @apiParam {string} complaintId
+ * @apiBody {string} message
+ * @apiBody {string[]} [attachments] - Keys returned by getAttachmentUploadUrl.
+ *
+ * @param {Object} data
+ * @param {string} data.userId
+ * @param {string} data.role - customer | vendor
+ * @param {string} data.complaintId
+ * @param {string} data.message
+ * @param {string[]} [data.attachments]
+ *
+ * @apiSuccess {string} response.replyId
+ * @apiSuccess {string} response.status - The ticket status after the reply.
+ *
+ * @apiError {Error} 400 - If the validation fails.
+ * @apiError {Error} 403 - If the caller is not a party to the ticket.
+ * @apiError {Error} 404 - If the ticket is not found.
+ * @apiError {Error} 409 - If the ticket is resolved.
+ * @apiError {Error} 500 - Internal Server Error.
+ */
+export const replyToComplaint = async (data) => {
+    const queryRunner = AppDataSource.createQueryRunner();
+    await queryRunner.connect();
+    await queryRunner.startTransaction();
+    try {
+        const { userId, role, complaintId, message, attachments } = replySchema.parse(data);
+        assertOwnAttachments(userId, attachments);
+
+        const complaint = await findComplaintForParty(queryRunner.manager, { userId, role, complaintId, lock: true });
+        if (complaint.status === COMPLAINT_STATUS.RESOLVED) throw sendError("Complaint is resolved. Reopen it to continue the conversation", 409);
+
+        const awaitingCaller = role === ROLE.CUSTOMER ? COMPLAINT_STATUS.AWAITING_CUSTOMER : COMPLAINT_STATUS.AWAITING_VENDOR;
+        const status = complaint.status === awaitingCaller ? COMPLAINT_STATUS.OPEN : complaint.status;
+
+        const reply = await queryRunner.manager.save(ComplaintReplies, {
+            complaintId: complaint.id,
+            authorUserId: userId,
+            authorRole: role,
+            message,
+            attachments: attachments?.length ? attachments : null,
+            statusAfter: status,
+        });
+        await queryRunner.manager.update(Complaints, { id: complaint.id }, { status, lastActivityAt: new Date() });
+
+        await queryRunner.commitTransaction();
+
+        notifyComplaintParticipants(complaint, {
+            authorUserId: userId,
+            title: `New reply on complaint ${ticketRef(complaint.id)}`,
+            body: message.length > 100 ? `${message.substring(0, 97)}...` : message,
+        });
+
+        return { replyId: reply.id, status };
+    } catch (err) {
+        if (queryRunner.isTransactionActive) {
+            await queryRunner.rollbackTransaction();
+        }
+        if (err instanceof z.ZodError) {
+            logger.warn("replyToComplaint validation failed", { errors: err.flatten().fieldErrors });
+            throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+        }
+        logger.error(err);
+        throw err;
+    } finally {
+        await queryRunner.release();
+    }
+}
+
+/**
+ * @api {post} /api/complaint/reopenComplaint/:complaintId Reopen Complaint
+ * @apiName ReopenComplaint
+ * @apiGroup Complaint
+ * @apiDescription Reopens a resolved ticket within COMPLAINT_REOPEN_WINDOW_DAYS of its resolution. The reason is added to the thread.
+ *
+ * @apiParam {string} complaintId
+ * @apiBody {string} message - Why the ticket is being reopened.
+ * @apiBody {string[]} [attachments]
+ *
+ * @param {Object} data - Same shape as replyToComplaint.
+ *
+ * @apiSuccess {string} response.status - REOPENED
+ *
+ * @apiError {Error} 400 - If the validation fails or the reopen window has passed.
+ * @apiError {Error} 403 - If the caller is not a party to the ticket.
+ * @apiError {Error} 404 - If the ticket is not found.
+ * @apiError {Error} 409 - If the ticket is not resolved.
+ * @apiError {Error} 500 - Internal Server Error.
+ */
+export const reopenComplaint = async (data) => {
+    const queryRunner = AppDataSource.createQueryRunner();
+    await queryRunner.connect();
+    await queryRunner.startTransaction();
+    try {
+        const { userId, role, complaintId, message, attachments } = replySchema.parse(data);
+        assertOwnAttachments(userId, attachments);
+
+        const complaint = await findComplaintForParty(queryRunner.manager, { userId, role, complaintId, lock: true });
+        if (complaint.status !== COMPLAINT_STATUS.RESOLVED) throw sendError("Only resolved complaints can be reopened", 409);
+
+        const reopenDeadline = new Date(complaint.resolvedAt || complaint.updatedAt);
+        reopenDeadline.setDate(reopenDeadline.getDate() + COMPLAINT_REOPEN_WINDOW_DAYS);
+        if (reopenDeadline < new Date()) throw sendError(`Complaints can only be reopened within ${COMPLAINT_REOPEN_WINDOW_DAYS} days of resolution`, 400);
+
+        await queryRunner.manager.save(ComplaintReplies, {
+            complaintId: complaint.id,
+            authorUserId: userId,
+            authorRole: role,
+            message,
+            attachments: attachments?.length ? attachments : null,
+            statusAfter: COMPLAINT_STATUS.REOPENED,
+        });
+        // resolution fields stay as a record of the previous outcome until the ticket is resolved again
+        await queryRunner.manager.update(Complaints, { id: complaint.id }, { status: COMPLAINT_STATUS.REOPENED, isResolved: false, lastActivityAt: new Date() });
+
+        await queryRunner.commitTransaction();
+
+        notifyComplaintParticipants(complaint, {
+            authorUserId: userId,
+            title: `Complaint ${ticketRef(complaint.id)} reopened`,
+            body: message.length > 100 ? `${message.substring(0, 97)}...` : message,
+        });
+
+        return { status: COMPLAINT_STATUS.REOPENED };
+    } catch (err) {
+        if (queryRunner.isTransactionActive) {
+            await queryRunner.rollbackTransaction();
+        }
+        if (err instanceof z.ZodError) {
+            logger.warn("reopenComplaint validation failed", { errors: err.flatten().fieldErrors });
+            throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+        }
+        logger.error(err);
+        throw err;
+    } finally {
+        await queryRunner.release();
+    }
+}
+
+//========================= ADMIN COMPLAINT SERVICES =========================
+
+/**
+ * @api {get} /api/admin/getComplaintThread/:id Get Complaint Thread
+ * @apiName AdminGetComplaintThread
+ * @apiGroup Admin
+ * @apiDescription Returns any ticket with its full thread, including the raiser's contact details.
+ *
+ * @param {string} complaintId
+ */
+export const getComplaintThreadForAdmin = async (complaintId) => {
+    try {
+        const complaint = await complaintRepo.findOne({ where: { id: complaintId } });
+        if (!complaint) throw sendError("Complaint not found", 404);
+
+        const thread = await buildThread(complaint);
+        thread.complaint = {
+            ...thread.complaint,
+            customerId: complaint.customerId,
+            vendorId: complaint.vendorId,
+            name: complaint.name,
+            email: complaint.email,
+            phoneNumber: complaint.phoneNumber,
+            refundAmount: complaint.refundAmount,
+            vendorDeductionAmount: complaint.vendorDeductionAmount,
+            resolvedBy: complaint.resolvedBy,
+        };
+        return thread;
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+
+/**
+ * @api {post} /api/admin/replyToComplaint/:id Reply To Complaint
+ * @apiName AdminReplyToComplaint
+ * @apiGroup Admin
+ * @apiDescription Adds an admin reply to the thread and notifies the customer and vendor. Unless `status` is given,
+ * an open ticket moves to AWAITING_CUSTOMER or AWAITING_VENDOR depending on who raised it; escalated and resolved tickets keep their status.
+ *
+ * @apiBody {string} message
+ * @apiBody {string[]} [attachments] - Keys returned by getComplaintAttachmentUploadUrl.
+ * @apiBody {string} [status] - AWAITING_CUSTOMER | AWAITING_VENDOR | ESCALATED
+ *
+ * @param {string} complaintId
+ * @param {Object} data
+ * @param {string} adminUserId
+ */
+export const replyToComplaintAsAdmin = async (complaintId, data, adminUserId) => {
+    const queryRunner = AppDataSource.createQueryRunner();
+    await queryRunner.connect();
+    await queryRunner.startTransaction();
+    try {
+        const { message, attachments, status: requestedStatus } = adminReplySchema.parse(data);
+        assertOwnAttachments(adminUserId, attachments);
+
+        const complaint = await queryRunner.manager.findOne(Complaints, { where: { id: complaintId }, lock: { mode: "pessimistic_write" } });
+        if (!complaint) throw sendError("Complaint not found", 404);
+
+        let status = complaint.status;
+        if (requestedStatus && requestedStatus !== complaint.status) {
+            if (!COMPLAINT_TRANSITIONS[complaint.status].includes(requestedStatus)) throw sendError(`Cannot move complaint from ${complaint.status} to ${requestedStatus}`, 409);
+            status = requestedStatus;
+        } else if (!requestedStatus && [COMPLAINT_STATUS.OPEN, COMPLAINT_STATUS.REOPENED].includes(complaint.status)) {
+            status = complaint.raisedByRole === ROLE.VENDOR ? COMPLAINT_STATUS.AWAITING_VENDOR : COMPLAINT_STATUS.AWAITING_CUSTOMER;
+        }
+
+        const reply = await queryRunner.manager.save(ComplaintReplies, {
+            complaintId: complaint.id,
+            authorUserId: adminUserId,
+            authorRole: ROLE.ADMIN,
+            message,
+            attachments: attachments?.length ? attachments : null,
+            statusAfter: status,
+        });
+        await queryRunner.manager.update(Complaints, { id: complaint.id }, { status, lastActivityAt: new Date() });
+
+        await queryRunner.commitTransaction();
+
+        notifyComplaintParticipants(complaint, {
+            authorUserId: adminUserId,
+            title: `Support replied to complaint ${ticketRef(complaint.id)}`,
+            body: message.length > 100 ? `${message.substring(0, 97)}...` : message,
+        });
+
+        return { replyId: reply.id, status };
+    } catch (err) {
+        if (queryRunner.isTransactionActive) {
+            await queryRunner.rollbackTransaction();
+        }
+        if (err instanceof z.ZodError) {
+            logger.warn("replyToComplaintAsAdmin validation failed", { errors: err.flatten().fieldErrors });
+            throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+        }
+        logger.error(err);
+        throw err;
+    } finally {
+        await queryRunner.release();
+    }
+}
+
+/**
+ * @api {patch} /api/admin/updateComplaintStatus/:id Update Complaint Status
+ * @apiName UpdateComplaintStatus
+ * @apiGroup Admin
+ * @apiDescription Changes a ticket's status, priority and/or category. Status changes must follow COMPLAINT_TRANSITIONS;
+ * use resolveComplaint to resolve a ticket.
+ *
+ * @apiBody {string} [status]
+ * @apiBody {string} [priority]
+ * @apiBody {string} [category]
+ * @apiBody {string} [notes] - Stored with the admin action.
+ *
+ * @param {string} complaintId
+ * @param {Object} data
+ * @param {string} adminUserId
+ */
+export const updateComplaintStatus = async (complaintId, data, adminUserId) => {
+    const queryRunner = AppDataSource.createQueryRunner();
+    await queryRunner.connect();
+    await queryRunner.startTransaction();
+    try {
+        const { status, priority, category, notes } = updateComplaintStatusSchema.parse(data);
+
+        const complaint = await queryRunner.manager.findOne(Complaints, { where: { id: complaintId }, lock: { mode: "pessimistic_write" } });
+        if (!complaint) throw sendError("Complaint not found", 404);
+
+        const changes = {};
+        if (status && status !== complaint.status) {
+            if (!COMPLAINT_TRANSITIONS[complaint.status].includes(status)) throw sendError(`Cannot move complaint from ${complaint.status} to ${status}`, 409);
+            changes.status = status;
+            changes.lastActivityAt = new Date();
+            if (status === COMPLAINT_STATUS.REOPENED) changes.isResolved = false;
+        }
+        if (priority) changes.priority = priority;
+        if (category) changes.category = category;
+
+        await queryRunner.manager.update(Complaints, { id: complaint.id }, changes);
+        await queryRunner.manager.save(AdminActions, {
+            adminUserId: adminUserId,
+            action: "updateComplaintStatus",
+            actionData: {
+                complaintId: complaint.id,
+                from: { status: complaint.status, priority: complaint.priority, category: complaint.category },
+                to: { status: changes.status || complaint.status, priority: changes.priority || complaint.priority, category: changes.category || complaint.category },
+                notes: notes || null
+            }
+        });
+
+        await queryRunner.commitTransaction();
+
+        if (changes.status) {
+            notifyComplaintParticipants(complaint, {
+                authorUserId: adminUserId,
+                title: `Complaint ${ticketRef(complaint.id)} updated`,
+                body: `Your complaint is now ${changes.status.replace(/_/g, " ").toLowerCase()}.`,
+            });
+        }
+
+        return { message: "Complaint updated successfully", status: changes.status || complaint.status, priority: changes.priority || complaint.priority, category: changes.category || complaint.category };
+    } catch (err) {
+        if (queryRunner.isTransactionActive) {
+            await queryRunner.rollbackTransaction();
+        }
+        if (err instanceof z.ZodError) {
+            logger.warn("updateComplaintStatus validation failed", { errors: err.flatten().fieldErrors });
+            throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+        }
+        logger.error(err);
+        throw err;
+    } finally {
+        await queryRunner.release();
+    }
+}
@@ -10,7 +10,7 @@ import { getPresignedViewUrl } from "../services/s3service.mjs";
 import { cacheOrFetch } from "../utils/cache.mjs";
 import { Orders } from "../entities/Orders.mjs";
 import { OrderItems } from "../entities/OrderItems.mjs";
-import { SERVICE_TYPE, ORDER_STATUS, ORDER_VENDOR_STATUS, PAYMENT_STATUS } from "../types/enums/index.mjs";
+import { SERVICE_TYPE, ORDER_STATUS, ORDER_VENDOR_STATUS, PAYMENT_STATUS, ROLE, COMPLAINT_STATUS, COMPLAINT_CATEGORY } from "../types/enums/index.mjs";
 import { OrderVendors } from "../entities/OrderVendors.mjs";
 import { OrderQuotes } from "../entities/OrderQuote.mjs";
 import { Complaints } from "../entities/Complaints.mjs";
@@ -18,6 +18,9 @@ import { Payments } from "../entities/Payments.mjs";
 import { PaymentFailures } from "../entities/PaymentFailures.mjs";
 import { Rating } from "../entities/Rating.mjs";
 import { Settings } from "../entities/Settings.mjs";
+import { assertOwnAttachments, defaultComplaintPriority } from "./complaintService.mjs";
+import { getActiveCatalog } from "./catalogService.mjs";
+import { COMPLAINT_MAX_ATTACHMENTS } from "../config/constants.mjs";
 
 const customerRepo = AppDataSource.getRepository(Customers);
 const customerAddressRepo = AppDataSource.getRepository(CustomerAddress);
@@ -61,6 +64,8 @@ const addComplaintSchema = z.object({
     userId: z.string().uuid(),
     orderId: z.string().uuid().optional(),
     complaint: z.string().min(1, { message: "Complaint is required" }),
+    category: z.enum(Object.values(COMPLAINT_CATEGORY)).default(COMPLAINT_CATEGORY.OTHER),
+    attachments: z.array(z.string().min(1)).max(COMPLAINT_MAX_ATTACHMENTS).optional(),
 })
 
 const getCustomerPaymentsSchema = z.object({
@@ -390,6 +395,14 @@ export const makeAddressDefault = async (data) => {
  * @apiSuccess {number} response.vendor.currentMonthRating - The rating of the vendor in the current month.
  * @apiSuccess {number} response.vendor.currentMonthReviewCount - The total number of reviews the vendor has received in the current month.
  * @apiSuccess {number} response.vendor.currentMonthBayesianScore - The Bayesian score of the vendor in the current month.
+ * @apiSuccess {Object[]} response.vendor.catalog - The vendor's active catalog items, which order items can reference.
+ * @apiSuccess {string} response.vendor.catalog.id - The UUID of the catalog item.
+ * @apiSuccess {string} response.vendor.catalog.name - The name of the service.
+ * @apiSuccess {string} response.vendor.catalog.description - The description of the service.
+ * @apiSuccess {number} response.vendor.catalog.basePrice - The starting price in rupees.
+ * @apiSuccess {string} response.vendor.catalog.unit - The unit the price is for (per piece, per kg, ...).
+ * @apiSuccess {number} response.vendor.catalog.turnaroundDays - The usual number of days the service takes.
+ * @apiSuccess {boolean} response.vendor.catalog.instantBook - Whether the price is fixed and the item can be booked without a quote.
  * 
  * @apiError {Error} 400 - If the validation fails.
  * @apiError {Error} 404 - If the vendor is not found.
@@ -422,9 +435,10 @@ export const getVendorDetailsByVendorId = async (data) => {
             .getOne();
             if (!vendor) throw sendError("Vendor profile not found", 404);
 
-            const [avatarUrl, shopImageUrl] = await Promise.all([
+            const [avatarUrl, shopImageUrl, catalog] = await Promise.all([
                 vendor.vendorAvatarUrlPath ? getPresignedViewUrl(vendor.vendorAvatarUrlPath) : null,
                 vendor.shopImageUrlPath ? getPresignedViewUrl(vendor.shopImageUrlPath) : null,
+                getActiveCatalog(vendor.id),
             ]);
 
             return {
@@ -444,6 +458,7 @@ export const getVendorDetailsByVendorId = async (data) => {
                     currentMonthRating: vendor.currentMonthRating,
                     currentMonthReviewCount: vendor.currentMonthReviewCount,
                     currentMonthBayesianScore: vendor.currentMonthBayesianScore,
+                    catalog: catalog.map(({ isActive, ...item }) => item),
                 }
             };
         }, 300);
@@ -623,6 +638,7 @@ export const getOrders = async (data) => {
  * @apiSuccess {number} response.quote.quotedDays - The number of days quoted.
  * @apiSuccess {number} response.quote.priceAfterPlatformFee - The price after platform fee.
  * @apiSuccess {number} response.quote.deliveryCharge - The delivery charge.
+ * @apiSuccess {Object} response.quote.deliveryChargeBreakdown - How the delivery charge was calculated: distanceKm, distanceSource (PINCODE or DEFAULT), legs, chargePerLeg, surgeMultiplier, surgeRule and total.
  * @apiSuccess {number} response.quote.finalPrice - The final price.
  * @apiSuccess {string} response.quote.notes - The notes of the quote.
  * @apiSuccess {boolean} response.quote.isProcessed - Whether the quote has been processed.
@@ -685,7 +701,7 @@ export const getOrderById = async (data) => {
             const vendor = await AppDataSource.getRepository(Vendors).findOne({ where: { id: order.selectedVendorId }, select: { id: true, shopName: true, shopImageUrlPath: true } });
             const shopImageUrl =  vendor.shopImageUrlPath ? await getPresignedViewUrl(vendor.shopImageUrlPath) : null;
 
-            const quote = await AppDataSource.getRepository(OrderQuotes).findOne({ where: { id: order.finalQuoteId }, select: { id: true, quotedDays: true, priceAfterPlatformFee: true, deliveryCharge: true, finalPrice: true, notes: true, isProcessed: true } });
+            const quote = await AppDataSource.getRepository(OrderQuotes).findOne({ where: { id: order.finalQuoteId }, select: { id: true, quotedDays: true, priceAfterPlatformFee: true, deliveryCharge: true, deliveryChargeBreakdown: true, finalPrice: true, notes: true, isProcessed: true } });
             if (!quote) throw sendError("Quote not found for this order", 404);
 
             return {
@@ -699,6 +715,7 @@ export const getOrderById = async (data) => {
                     quotedDays: quote.quotedDays,
                     priceAfterPlatformFee: quote.priceAfterPlatformFee,
                     deliveryCharge: quote.deliveryCharge,
+                    deliveryChargeBreakdown: quote.deliveryChargeBreakdown,
                     finalPrice: quote.finalPrice,
                     notes: quote.notes,
                     isProcessed: quote.isProcessed
@@ -878,6 +895,7 @@ export const getOrderRequests = async (data) => {
  * @apiSuccess {number} response.quote.quotedDays - The number of days quoted.
  * @apiSuccess {number} response.quote.priceAfterPlatformFee - The price after platform fee.
  * @apiSuccess {number} response.quote.deliveryCharge - The delivery charge.
+ * @apiSuccess {Object} response.quote.deliveryChargeBreakdown - How the delivery charge was calculated: distanceKm, distanceSource (PINCODE or DEFAULT), legs, chargePerLeg, surgeMultiplier, surgeRule and total.
  * @apiSuccess {number} response.quote.finalPrice - The final price.
  * @apiSuccess {string} response.quote.notes - The notes of the quote.
  * @apiSuccess {string} response.quote.orderId - The ID of the order.
@@ -895,7 +913,7 @@ export const getAcceptedQuoteById = async(data) => {
         const orderVendor = await orderVendorRepo.findOne({ where: { id: orderVendorId }, select: { id: true, status: true, orderId: true } });
         if (orderVendor.status !== ORDER_VENDOR_STATUS.ACCEPTED) throw sendError("Order Request timed out or Order hasn't been accepted by vendor", 404);
 
-        const quote = await orderQuoteRepo.findOne({ where: { orderVendorId: orderVendorId }, select: { id: true, quotedDays: true, priceAfterPlatformFee: true, deliveryCharge: true, finalPrice: true, notes: true } });
+        const quote = await orderQuoteRepo.findOne({ where: { orderVendorId: orderVendorId }, select: { id: true, quotedDays: true, priceAfterPlatformFee: true, deliveryCharge: true, deliveryChargeBreakdown: true, finalPrice: true, notes: true } });
         if (!quote) throw sendError("Quote not found", 404);
 
         return {
@@ -917,11 +935,15 @@ export const getAcceptedQuoteById = async(data) => {
  * 
  * @apiParam {string} orderId - The ID of the order.
  * @apiBody {string} complaint - The complaint.
+ * @apiBody {string} [category] - One of COMPLAINT_CATEGORY (default OTHER). Payment and refund complaints start at HIGH priority.
+ * @apiBody {string[]} [attachments] - Keys returned by /api/complaint/getAttachmentUploadUrl.
  * 
  * @param {object} data - The complaint data.
  * @param {string} data.userId - The UUID of the user.
  * @param {string} data.orderId - The ID of the order.
  * @param {string} data.complaint - The complaint.
+ * @param {string} [data.category] - The complaint category.
+ * @param {string[]} [data.attachments] - S3 keys of the attachments.
  * 
  * @apiSuccess {string} response.message - The message indicating the success of the operation.
  * @apiSuccess {boolean} response.success - Whether the operation was successful.
@@ -933,7 +955,8 @@ export const getAcceptedQuoteById = async(data) => {
  */ 
 export const addComplaint = async (data) => {
     try {
-        const { userId, orderId, complaint } = addComplaintSchema.parse(data);
+        const { userId, orderId, complaint, category, attachments } = addComplaintSchema.parse(data);
+        assertOwnAttachments(userId, attachments);
 
         const customer = await customerRepo.findOne({ where: { userId: userId }, select: { id: true }, relations: ["user"] });
         if (!customer) throw sendError("Customer not found", 404);
@@ -941,7 +964,7 @@ export const addComplaint = async (data) => {
         const order = await orderRepo.exists({ where: { id: orderId, customerId: customer.id } });
         if (!order) throw sendError("Order ID is invalid or You are not authorized to add complaint for this order", 403);
 
-        const complaintData = AppDataSource.getRepository(Complaints).create({ customerId: customer.id, email: customer.user.email, phoneNumber: customer.user.phoneNumber, name: customer.user.name, orderId, complaint });
+        const complaintData = AppDataSource.getRepository(Complaints).create({ customerId: customer.id, email: customer.user.email, phoneNumber: customer.user.phoneNumber, name: customer.user.name, orderId, complaint, category, priority: defaultComplaintPriority(category), status: COMPLAINT_STATUS.OPEN, raisedByRole: ROLE.CUSTOMER, attachments: attachments?.length ? attachments : null, lastActivityAt: new Date() });
 
         await AppDataSource.getRepository(Complaints).save(complaintData);
 
@@ -988,6 +1011,8 @@ export const addComplaint = async (data) => {
  * @apiSuccess {string} response.payments.payment_method - The method of the payment(if captured).
  * @apiSuccess {string} response.payments.reason - The reason of the payment failure(if failed).
  * @apiSuccess {string} response.payments.payment_date - The date of the payment.
+ * @apiSuccess {string} response.payments.refund_status - The status of the latest refund on the payment: pending, processed or failed (null if never refunded, captured only).
+ * @apiSuccess {number} response.payments.refunded_amount - The total amount refunded so far (captured only).
  * 
  * @apiSuccess {string} response.pagination.currentPage - The current page number.
  * @apiSuccess {string} response.pagination.hasMore - Whether there are more pages.
@@ -1021,6 +1046,8 @@ export const getCustomerPayments = async (data) => {
                 "payments.paymentMethod AS payment_method",
                 "payments.paymentDate AS payment_date"
             ])
+            .addSelect(`(SELECT refunds.status FROM refunds WHERE refunds."paymentId" = payments."razorpayPaymentId" ORDER BY refunds."createdAt" DESC LIMIT 1)`, "refund_status")
+            .addSelect(`(SELECT COALESCE(SUM(refunds.amount), 0) / 100.0 FROM refunds WHERE refunds."paymentId" = payments."razorpayPaymentId" AND refunds.status = 'processed')`, "refunded_amount")
             .orderBy("payments.paymentDate", "DESC")
             .skip(offset)
             .take(limit)
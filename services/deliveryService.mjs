@@ -1,298 +1,265 @@
+import crypto from "crypto";
+import { z } from "zod";
+
 import { logger } from "../utils/logger-utils.mjs";
 import { sendError } from "../utils/core-utils.mjs";
 import { AppDataSource } from "../config/data-source.mjs";
 import { DeliveryTracking } from "../entities/DeliveryTracking.mjs";
 import { Orders } from "../entities/Orders.mjs";
-import { createTimelineEntry } from "../services/orderService.mjs";
-import { OrderQuotes } from "../entities/OrderQuote.mjs";
-import { VendorStats } from "../entities/VendorStats.mjs";
 import { Vendors } from "../entities/Vendors.mjs";
-import { OrderVendors } from "../entities/OrderVendors.mjs";
-import { Payouts } from "../entities/Payouts.mjs";
-
+import { DeliveryWebhookEvents } from "../entities/DeliveryWebhookEvents.mjs";
+import { transitionDelivery, DELIVERY_TRANSITIONS } from "../utils/state-machine.mjs";
+import { getDeliveryProvider } from "../utils/delivery-provider-utils.mjs";
+import { DELIVERY_STATUS, ROLE, WEBHOOK_EVENT_STATUS } from "../types/enums/index.mjs";
+
+const toShipmentParty = ({ name, phoneNumber, addressLine1, addressLine2, street, landmark, city, district, state, pincode }, location = null) => ({
+    name,
+    phoneNumber,
+    address: [addressLine1, addressLine2, street, landmark, city, district, state].filter(Boolean).join(", "),
+    pincode,
+    coordinates: location?.coordinates ? { lat: location.coordinates[1], lng: location.coordinates[0] } : null,
+});
+
+/**
+ * Books a shipment with the configured logistics provider for a DeliveryTracking row and stores the
+ * provider's shipment ID and fare on it.
+ *
+ * Called by the outbox worker for `SEND_ITEM_PICKUP` / `SEND_ITEM_DELIVERY` events, so it is safe to retry:
+ * a row that already has a provider shipment is not booked again, and a shipment booked for a delivery
+ * that was cancelled in the meantime is cancelled straight away. A cancelled delivery is skipped.
+ *
+ * @param {Object} payload - The outbox payload.
+ * @param {string} payload.deliveryTrackingId - The UUID of the DeliveryTracking row.
+ * @returns {Promise<Object|null>} The provider, shipment ID and fare, or null if nothing was booked.
+ * @throws {DeliveryProviderError} Classified by the provider as retryable or not.
+ */
 export const sendDeliveryRequest = async (payload) => {
-    throw new Error("Not implemented");
-    // console.log(payload)
-}
-
-export const handleDeliveryWebhook = async (req, res) => {
-    const queryRunner = AppDataSource.createQueryRunner();
-    await queryRunner.connect();
-
-    try {
-        await queryRunner.startTransaction();
-
-        const { deliveryTrackingId, status } = req.body;
-
-        if (!deliveryTrackingId || !status) throw sendError("Delivery tracking ID and status are required");
-
-        const deliveryTracking = await queryRunner.manager.findOne(DeliveryTracking, { 
-            where: { id: deliveryTrackingId },
-            select: {
-                id: true,
-                orderId: true,
-                deliveryType: true,
-                status: true,
-                statusUpdateTimeStamp: true,
-            }
-        });
-        if (!deliveryTracking) throw sendError("Delivery tracking not found");
-
-        /**
-         * 
-         * ADD IDEMPOTENCY CHECK
-         * 
-         */
-        const order = await queryRunner.manager.findOne(Orders, { 
-            where: { id: deliveryTracking.orderId },
-            select: {
-                id: true,
-                selectedVendorId: true,
-                finalQuoteId: true,
-                orderStatus: true,
-                orderStatusTimestamp: true,
-            }
-        });
-        if (!order) throw sendError("Order not found");
-
-        switch(deliveryTracking.deliveryType) {
-            case "TO_VENDOR":
-                if (status === "PICKUP_ASSIGNED") {
-                    if ( deliveryTracking.statusUpdateTimeStamp.pickup_assigned_at ) {
-                        throw sendError("Duplicate event: Pickup already assigned", 400);
-                    }
-                    deliveryTracking.status = "PICKUP_ASSIGNED";
-                    deliveryTracking.statusUpdateTimeStamp.pickup_assigned_at = new Date().toString();
-                    await queryRunner.manager.update(DeliveryTracking, { id: deliveryTrackingId }, deliveryTracking);
-
-                } else if (status === "PICKUP_IN_TRANSIT") {
-                    if ( deliveryTracking.statusUpdateTimeStamp.pickup_in_transit_at ) {
-                        throw sendError("Duplicate event: Pickup already in transit", 400);
-                    }
-                    deliveryTracking.status = "PICKUP_IN_TRANSIT";
-                    deliveryTracking.statusUpdateTimeStamp.pickup_in_transit_at = new Date().toString();
-                    await queryRunner.manager.update(DeliveryTracking, { id: deliveryTrackingId }, deliveryTracking);
-                    
-                } else if (status === "PICKUP_COMPLETE") {
-                    if ( deliveryTracking.statusUpdateTimeStamp.pickup_completed_at ) {
-                        throw sendError("Duplicate event: Pickup already completed", 400);
-                    }
-                    deliveryTracking.status = "PICKUP_COMPLETE";
-                    deliveryTracking.statusUpdateTimeStamp.pickup_completed_at = new Date().toString();
-                    await queryRunner.manager.update(DeliveryTracking, { id: deliveryTrackingId }, deliveryTracking);
-
-                    await createTimelineEntry(
-                        queryRunner,
-                        order.id,
-                        "ITEM_PICKUP_FROM_CUSTOMER_SCHEDULED",
-                        "ITEM_PICKED_UP_FROM_CUSTOMER",
-                        "LOGISTICS",
-                        "SYSTEM",
-                        "Item picked up from customer"
-                    )
-
-                } else if (status === "DELIVERY_IN_TRANSIT") {
-                    if ( deliveryTracking.statusUpdateTimeStamp.delivery_in_transit_at ) {
-                        throw sendError("Duplicate event: Delivery already in transit", 400);
-                    }
-                    deliveryTracking.status = "DELIVERY_IN_TRANSIT";
-                    deliveryTracking.statusUpdateTimeStamp.delivery_in_transit_at = new Date().toString();
-                    await queryRunner.manager.update(DeliveryTracking, { id: deliveryTrackingId }, deliveryTracking);
-
-                } else if (status === "DELIVERY_COMPLETE") {
-                    if ( deliveryTracking.statusUpdateTimeStamp.delivery_completed_at ) {
-                        throw sendError("Duplicate event: Delivery already completed", 400);
-                    }
-                    deliveryTracking.status = "DELIVERY_COMPLETE";
-                    deliveryTracking.statusUpdateTimeStamp.delivery_completed_at = new Date().toString();
-                    await queryRunner.manager.update(DeliveryTracking, { id: deliveryTrackingId }, deliveryTracking);
-
-                    await createTimelineEntry(
-                        queryRunner,
-                        order.id,
-                        "ITEM_PICKED_UP_FROM_CUSTOMER",
-                        "ITEM_DELIVERED_TO_VENDOR",
-                        "LOGISTICS",
-                        "SYSTEM",
-                        "Item delivered to vendor"
-                    )
-
-                } else {
-                    throw sendError("Invalid status: " + status, 400);
-                }
-
-                break;
-            
-            case "TO_CUSTOMER":
-                /**
-                 * 
-                 * After receiving the item_delivered_to_customer, Make the Order COMPLETED
-                 * 
-                 */
-                if (status === "PICKUP_ASSIGNED") {
-                    if ( deliveryTracking.statusUpdateTimeStamp.pickup_assigned_at ) {
-                        throw sendError("Duplicate event: Pickup already assigned", 400);
-                    }
-                    deliveryTracking.status = "PICKUP_ASSIGNED";
-                    deliveryTracking.statusUpdateTimeStamp.pickup_assigned_at = new Date().toString();
-                    await queryRunner.manager.update(DeliveryTracking, { id: deliveryTrackingId }, deliveryTracking);
-
-                } else if (status === "PICKUP_IN_TRANSIT") {
-                    if ( deliveryTracking.statusUpdateTimeStamp.pickup_in_transit_at ) {
-                        throw sendError("Duplicate event: Pickup already in transit", 400);
-                    }
-                    deliveryTracking.status = "PICKUP_IN_TRANSIT";
-                    deliveryTracking.statusUpdateTimeStamp.pickup_in_transit_at = new Date().toString();
-                    await queryRunner.manager.update(DeliveryTracking, { id: deliveryTrackingId }, deliveryTracking);
-
-                } else if (status === "PICKUP_COMPLETE") {
-                    if ( deliveryTracking.statusUpdateTimeStamp.pickup_completed_at ) {
-                        throw sendError("Duplicate event: Pickup already completed", 400);
-                    }
-                    deliveryTracking.status = "PICKUP_COMPLETE";
-                    deliveryTracking.statusUpdateTimeStamp.pickup_completed_at = new Date().toString();
-                    await queryRunner.manager.update(DeliveryTracking, { id: deliveryTrackingId }, deliveryTracking);
-
-                    await createTimelineEntry(
-                        queryRunner,
-                        order.id,
-                        "ITEM_READY_FOR_PICKUP",
-                        "ITEM_PICKED_UP_FROM_VENDOR",
-                        "LOGISTICS",
-                        "SYSTEM",
-                        "Item picked up from vendor"
-                    )
-
-                } else if (status === "DELIVERY_IN_TRANSIT") {
-                    if ( deliveryTracking.statusUpdateTimeStamp.delivery_in_transit_at ) {
-                        throw sendError("Duplicate event: Delivery already in transit", 400);
-                    }
-                    deliveryTracking.status = "DELIVERY_IN_TRANSIT";
-                    deliveryTracking.statusUpdateTimeStamp.delivery_in_transit_at = new Date().toString();
-                    await queryRunner.manager.update(DeliveryTracking, { id: deliveryTrackingId }, deliveryTracking);
-
-                } else if (status === "DELIVERY_COMPLETE") {
-                    if ( deliveryTracking.statusUpdateTimeStamp.delivery_completed_at ) {
-                        throw sendError("Duplicate event: Delivery already completed", 400);
-                    }
-                    deliveryTracking.status = "DELIVERY_COMPLETE";
-                    deliveryTracking.statusUpdateTimeStamp.delivery_completed_at = new Date().toString();
-                    await queryRunner.manager.update(DeliveryTracking, { id: deliveryTrackingId }, deliveryTracking);
+    const deliveryTrackingRepo = AppDataSource.getRepository(DeliveryTracking);
 
-                    await createTimelineEntry(
-                        queryRunner,
-                        order.id,
-                        "ITEM_PICKED_UP_FROM_VENDOR",
-                        "ITEM_DELIVERED_TO_CUSTOMER",
-                        "LOGISTICS",
-                        "SYSTEM",
-                        "Item delivered to customer"
-                    )
+    const deliveryTracking = await deliveryTrackingRepo.findOne({ where: { id: payload.deliveryTrackingId } });
+    if (!deliveryTracking) throw sendError("Delivery tracking not found", 404);
 
-                    order.orderStatus = "COMPLETED";
-                    order.orderStatusTimestamp.completedAt = new Date().toString();
-                    await queryRunner.manager.update(Orders, { id: order.id }, order);
-
-                    /**
-                     * 
-                     * MAKE THE ORDER VENDOR STATUS AS COMPLETED
-                     * 
-                     */
-                    const orderVendor = await queryRunner.manager.findOne(OrderVendors, {
-                        where: { orderId: order.id, vendorId: order.selectedVendorId },
-                        select: { id: true, status: true }
-                    });
-                    if(!orderVendor) throw sendError("Order vendor not found", 404);
-                    orderVendor.status = "COMPLETED";
-                    await queryRunner.manager.update(OrderVendors, { id: orderVendor.id }, orderVendor);
-
-                    /**
-                     * 
-                     *  INCREMENT THE VENDOR COMPLETED ORDERS BY 1
-                     * 
-                     * 
-                     */
-
-                    const orderQuote = await queryRunner.manager.findOne(OrderQuotes, { where: { id: order.finalQuoteId }, select: { vendorPayoutAfterCommission: true } });
-                    if(!orderQuote) throw sendError("Order quote not found", 404);
+    if (deliveryTracking.providerShipmentId) {
+        logger.info(`Shipment ${deliveryTracking.providerShipmentId} already booked for delivery ${deliveryTracking.id}`);
+        return { provider: deliveryTracking.provider, shipmentId: deliveryTracking.providerShipmentId, fare: deliveryTracking.providerFare };
+    }
+    if (deliveryTracking.status === DELIVERY_STATUS.CANCELLED) {
+        logger.info(`Delivery ${deliveryTracking.id} was cancelled, not booking a shipment`);
+        return null;
+    }
+    if (deliveryTracking.status !== DELIVERY_STATUS.PENDING) throw sendError(`Delivery is ${deliveryTracking.status}, not booking a shipment`, 409);
+
+    const order = await AppDataSource.getRepository(Orders).findOne({ where: { id: deliveryTracking.orderId } });
+    if (!order) throw sendError("Order not found", 404);
+
+    const vendor = await AppDataSource.getRepository(Vendors).findOne({ where: { id: order.selectedVendorId }, relations: { user: true } });
+    if (!vendor) throw sendError("Vendor not found", 404);
+
+    const customerParty = toShipmentParty({ ...order, name: order.fullName });
+    const vendorParty = toShipmentParty({ ...vendor, name: vendor.shopName, phoneNumber: vendor.user?.phoneNumber }, vendor.location);
+
+    const provider = getDeliveryProvider();
+    const shipment = await provider.createShipment({
+        referenceId: deliveryTracking.id,
+        orderId: order.id,
+        deliveryType: deliveryTracking.deliveryType,
+        pickup: deliveryTracking.deliveryType === "TO_VENDOR" ? customerParty : vendorParty,
+        drop: deliveryTracking.deliveryType === "TO_VENDOR" ? vendorParty : customerParty,
+    });
+
+    const result = await deliveryTrackingRepo.update(
+        { id: deliveryTracking.id, status: DELIVERY_STATUS.PENDING },
+        { provider: provider.name, providerShipmentId: shipment.shipmentId, providerFare: shipment.fare }
+    );
+
+    if (result.affected === 0) {
+        logger.warn(`Delivery ${deliveryTracking.id} changed while booking, cancelling shipment ${shipment.shipmentId}`);
+        await provider.cancelShipment(shipment.shipmentId, "Delivery cancelled before booking completed");
+        return null;
+    }
 
-                    await queryRunner.manager.update(VendorStats, { vendorId: order.selectedVendorId }, { 
-                        totalCompletedOrders: () => "totalCompletedOrders + 1", totalInProgressOrders: () => "totalInProgressOrders - 1", totalEarnings: () => `totalEarnings + ${orderQuote.vendorPayoutAfterCommission}`
-                    });
+    logger.info(`Booked shipment ${shipment.shipmentId} with ${provider.name} for delivery ${deliveryTracking.id}`);
+    return { provider: provider.name, shipmentId: shipment.shipmentId, fare: shipment.fare };
+}
 
-                    /**
-                     * 
-                     * INITATE PUSH NOTIFICATION TO CUSTOMER FOR RATING & also to vendor for feedback
-                     * 
-                     */
+/**
+ * Cancels a booked shipment with the logistics provider. Called by the outbox worker for `CANCEL_SHIPMENT` events.
+ *
+ * @param {Object} payload - The outbox payload.
+ * @param {string} payload.providerShipmentId - The provider's shipment ID.
+ * @param {string} [payload.reason] - Why the shipment is cancelled.
+ * @returns {Promise<void>}
+ * @throws {DeliveryProviderError} Classified by the provider as retryable or not.
+ */
+export const cancelDeliveryRequest = async (payload) => {
+    const provider = getDeliveryProvider();
+    await provider.cancelShipment(payload.providerShipmentId, payload.reason || "Order cancelled");
+    logger.info(`Cancelled shipment ${payload.providerShipmentId} with ${provider.name}`);
+}
 
-                    const vendor = await queryRunner.manager.findOne(Vendors, { where: { id: order.selectedVendorId }, select: { razorpay_fund_account_id: true } });
-                    if(!vendor) throw sendError("Vendor not found", 404);
+//=================== DELIVERY WEBHOOK ====================
+
+const deliveryWebhookSchema = z.object({
+    eventId: z.string().min(1),
+    deliveryTrackingId: z.uuid(),
+    status: z.enum(Object.values(DELIVERY_STATUS)),
+});
+
+/**
+ * Shortest chain of logistics (SYSTEM) transitions from one delivery status to another, or null if the target
+ * can't be reached. Lets a late event be skipped and an early one fill in the steps whose events haven't arrived yet.
+ */
+const findDeliveryTransitionPath = (from, to) => {
+    const queue = [[from, []]];
+    const visited = new Set([from]);
+    while (queue.length) {
+        const [status, path] = queue.shift();
+        for (const [next, edge] of Object.entries(DELIVERY_TRANSITIONS[status] || {})) {
+            if (visited.has(next) || !edge.roles.includes(ROLE.SYSTEM)) continue;
+            if (next === to) return [...path, next];
+            visited.add(next);
+            queue.push([next, [...path, next]]);
+        }
+    }
+    return null;
+}
 
-                    const payout = queryRunner.manager.create(Payouts, {
-                        orderId: order.id,
-                        vendorId: order.selectedVendorId,
-                        razorpay_fund_account_id: vendor.razorpay_fund_account_id,
-                        expected_amount: orderQuote.vendorPayoutAfterCommission,
-                        status: "action_required",
-                        payout_status_history: {
-                            "action_required_at": new Date().toString(),
-                            "payout_initiated_by_admin_at": null,
-                            "pending_for_approval_at": null,
-                            "payout_rejected_at": null,
-                            "queued_at": null,
-                            "processing_at": null,
-                            "processed_at": null,
-                            "failed_at": null,
-                            "reversed_at": null,
-                            "cancelled_at": null
-                        },
-                        payout_status_description: {
-                            "action_required": "Payout is pending for approval by admin",
-                            "payout_initiated_by_admin": "Payout initiated by admin",
-                            "pending_for_approval": null,
-                            "payout_rejected": null,
-                            "queued": null,
-                            "processing": null,
-                            "processed": null,
-                            "failed": null,
-                            "reversed": null,
-                            "cancelled": null
-                        }
-                    });
-                    const payout_created = await queryRunner.manager.save(Payouts, payout);
-                    if(!payout_created) throw sendError("Failed to create payout", 500);
+/**
+ * Applies a stored delivery webhook event to its DeliveryTracking row.
+ *
+ * Events that no longer apply (a duplicate status, or an older status arriving after a newer one) are marked
+ * IGNORED instead of failing. An event that skips ahead walks the delivery through the missing statuses, so the
+ * order stage hooks still run. A failure marks the event FAILED with the reason, so it can be replayed once fixed.
+ *
+ * @param {string} eventId - The UUID of the DeliveryWebhookEvents row.
+ * @param {Object} [options]
+ * @param {boolean} [options.replay=false] - Re-run an event even if it was already processed or ignored.
+ * @returns {Promise<{processingStatus: string, failureReason: string|null}>}
+ * @throws {Error} 404 - If the event or its delivery tracking row is not found.
+ */
+export const processDeliveryWebhookEvent = async (eventId, { replay = false } = {}) => {
+    const queryRunner = AppDataSource.createQueryRunner();
+    await queryRunner.connect();
+    await queryRunner.startTransaction();
 
+    let outcome;
+    try {
+        const event = await queryRunner.manager.findOne(DeliveryWebhookEvents, { where: { id: eventId }, lock: { mode: "pessimistic_write" } });
+        if (!event) throw sendError("Webhook event not found", 404);
 
-                }
-                break;
+        // A concurrent delivery of the same event may have handled it while we waited for the lock
+        if (!replay && [WEBHOOK_EVENT_STATUS.PROCESSED, WEBHOOK_EVENT_STATUS.IGNORED].includes(event.processingStatus)) {
+            await queryRunner.commitTransaction();
+            return { processingStatus: event.processingStatus, failureReason: event.failureReason };
+        }
 
-            default:
-                throw sendError("Invalid delivery type");
+        const deliveryTracking = await queryRunner.manager.findOne(DeliveryTracking, { where: { id: event.deliveryTrackingId }, lock: { mode: "pessimistic_write" } });
+        if (!deliveryTracking) throw sendError("Delivery tracking not found", 404);
+
+        const path = deliveryTracking.status === event.deliveryStatus ? null : findDeliveryTransitionPath(deliveryTracking.status, event.deliveryStatus);
+        if (!path) {
+            outcome = {
+                processingStatus: WEBHOOK_EVENT_STATUS.IGNORED,
+                failureReason: deliveryTracking.status === event.deliveryStatus
+                    ? `Delivery is already ${event.deliveryStatus}`
+                    : `Delivery is ${deliveryTracking.status}, cannot move to ${event.deliveryStatus}`
+            };
+        } else {
+            /**
+             * The state machine stamps statusUpdateTimeStamp and, on PICKUP_COMPLETE / DELIVERY_COMPLETE, advances
+             * the order stage. Delivery to the customer completes the order (vendor request COMPLETED, vendor stats,
+             * payout awaiting admin approval).
+             */
+            for (const to of path) {
+                await transitionDelivery(queryRunner, { deliveryTracking, to, actorRole: ROLE.SYSTEM });
+            }
+            outcome = { processingStatus: WEBHOOK_EVENT_STATUS.PROCESSED, failureReason: null };
         }
 
-        await queryRunner.commitTransaction();
-        
-        return res.status(200).json({
-            message: "Delivery tracking updated successfully",
-        })
-    } catch (error) {
-        logger.error("Delivery webhook failed:", {
-            error: error.message,
-            body: req.body,
-            stack: error.stack
+        await queryRunner.manager.update(DeliveryWebhookEvents, { id: event.id }, {
+            ...outcome,
+            attempts: () => "\"attempts\" + 1",
+            processedAt: new Date()
         });
 
-        if(queryRunner.isTransactionActive) {
+        await queryRunner.commitTransaction();
+    } catch (err) {
+        if (queryRunner.isTransactionActive) {
             await queryRunner.rollbackTransaction();
         }
-throw error;
-        return {
-            success: false,
-            message: error.message || "Failed to process delivery update",
-            error: process.env.NODE_ENV === "development" ? error.stack : undefined
-        };
+        logger.error(`Delivery webhook event ${eventId} failed`, err);
+        await AppDataSource.getRepository(DeliveryWebhookEvents).update({ id: eventId }, {
+            processingStatus: WEBHOOK_EVENT_STATUS.FAILED,
+            failureReason: err.message,
+            attempts: () => "\"attempts\" + 1"
+        });
+        throw err;
     } finally {
         await queryRunner.release();
     }
-}
\ No newline at end of file
+
+    if (outcome.processingStatus === WEBHOOK_EVENT_STATUS.IGNORED) {
+        logger.info(`Ignored delivery webhook event ${eventId}: ${outcome.failureReason}`);
+    }
+    return outcome;
+}
+
+/**
+ * @api {post} /api/delivery/handleDeliveryWebhook Delivery Provider Webhook
+ * @apiName HandleDeliveryWebhook
+ * @apiGroup Delivery
+ * @apiDescription Receives delivery status updates from the logistics provider.
+ *
+ * 1.  **Signature Verification**: `X-Delivery-Signature` must be the hex HMAC-SHA256 of the JSON body with `DELIVERY_WEBHOOK_SECRET`.
+ * 2.  **Event Log**: Every event is stored in `DeliveryWebhookEvents`, keyed by provider and `eventId`. A redelivered event that was already processed or ignored is acknowledged without being applied again.
+ * 3.  **Processing**: The event is applied through the delivery state machine. Duplicate and out-of-order statuses are marked `IGNORED` and acknowledged with 200, so the provider stops retrying them.
+ *
+ * @apiHeader {string} X-Delivery-Signature - HMAC-SHA256 signature of the request body.
+ * @apiBody {string} eventId - The provider's unique ID for this event.
+ * @apiBody {string} deliveryTrackingId - Our DeliveryTracking ID (sent to the provider as the shipment reference).
+ * @apiBody {string} status - The new DELIVERY_STATUS.
+ *
+ * @apiSuccess {string} status - PROCESSED, IGNORED or "Already processed".
+ *
+ * @apiError {Error} 400 - If the signature is invalid or the payload is malformed.
+ * @apiError {Error} 404 - If the delivery tracking row is not found (the event is kept as FAILED for replay).
+ * @apiError {Error} 500 - If processing fails (the event is kept as FAILED and the provider may retry it).
+ */
+export const handleDeliveryWebhook = async (req, res) => {
+    const secret = process.env.DELIVERY_WEBHOOK_SECRET;
+    const signature = req.headers["x-delivery-signature"];
+    const body = JSON.stringify(req.body);
+
+    const expectedSignature = secret ? crypto.createHmac("sha256", secret).update(body).digest("hex") : null;
+    if (!expectedSignature || !signature || signature.length !== expectedSignature.length
+        || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expectedSignature))) {
+        logger.warn("Invalid delivery webhook signature received.");
+        return res.status(400).json({ status: "Signature mismatch" });
+    }
+
+    const parsed = deliveryWebhookSchema.safeParse(req.body);
+    if (!parsed.success) {
+        logger.warn("Delivery webhook validation failed", { errors: parsed.error.flatten(), body: req.body });
+        return res.status(400).json({ status: "Invalid payload" });
+    }
+    const { eventId, deliveryTrackingId, status } = parsed.data;
+
+    const provider = process.env.DELIVERY_PROVIDER || "http";
+    const eventRepo = AppDataSource.getRepository(DeliveryWebhookEvents);
+
+    await eventRepo.createQueryBuilder()
+        .insert()
+        .into(DeliveryWebhookEvents)
+        .values({ provider, providerEventId: eventId, deliveryTrackingId, deliveryStatus: status, payload: req.body })
+        .orIgnore()
+        .execute();
+
+    const event = await eventRepo.findOne({ where: { provider, providerEventId: eventId } });
+    if ([WEBHOOK_EVENT_STATUS.PROCESSED, WEBHOOK_EVENT_STATUS.IGNORED].includes(event.processingStatus)) {
+        logger.info(`Duplicate delivery webhook for already handled event: ${eventId}`);
+        return res.status(200).json({ status: "Already processed" });
+    }
+
+    const { processingStatus } = await processDeliveryWebhookEvent(event.id);
+    return res.status(200).json({ status: processingStatus });
+}
@@ -0,0 +1,518 @@
+import { z } from "zod";
+import { logger } from "../utils/logger-utils.mjs";
+import { sendError } from "../utils/core-utils.mjs";
+import { buildTextPdf } from "../utils/pdf-utils.mjs";
+import { getJsonSetting } from "../utils/pricing_utils.mjs";
+import { AppDataSource } from "../config/data-source.mjs";
+import { Invoices } from "../entities/Invoices.mjs";
+import { Customers } from "../entities/Customers.mjs";
+import { Vendors } from "../entities/Vendors.mjs";
+import { Outbox } from "../entities/Outbox.mjs";
+import { uploadFile, getPresignedViewUrl } from "./s3service.mjs";
+import { INVOICE_TYPE, OUTBOX_STATUS, PROMO_FUNDED_BY, ROLE } from "../types/enums/index.mjs";
+import { DEFAULT_INVOICE_SETTINGS } from "../config/constants.mjs";
+
+/**
+ * @file invoiceService.mjs
+ * @description GST invoices for orders.
+ *
+ * - A customer tax invoice (series INV) is issued when the payment is captured, covering the vendor's service,
+ *   the platform fee and delivery.
+ * - A commission invoice (series COM) is issued to the vendor when the order completes, for the commission
+ *   kept from their payout.
+ *
+ * Numbers are sequential per series and financial year. Each invoice is inserted in the transaction that caused
+ * it, together with its sequence bump and a RENDER_INVOICE outbox message; the outbox worker renders the PDF and
+ * stores it in S3 afterwards, and a download renders it on the spot if the worker hasn't yet.
+ */
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const INVOICE_SERIES = {
+    [INVOICE_TYPE.CUSTOMER_TAX_INVOICE]: "INV",
+    [INVOICE_TYPE.VENDOR_COMMISSION_INVOICE]: "COM",
+};
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+//========================= ZOD VALIDATION SCHEMAS =========================
+
+const getMyInvoicesSchema = z.object({
+    userId: z.string().uuid(),
+    role: z.enum([ROLE.CUSTOMER, ROLE.VENDOR]),
+    page: z.number().int().min(1).default(1),
+    limit: z.number().int().min(1).max(50).default(10),
+});
+
+const invoiceDownloadSchema = z.object({
+    userId: z.string().uuid(),
+    role: z.enum([ROLE.CUSTOMER, ROLE.VENDOR]),
+    invoiceId: z.string().uuid(),
+});
+
+//========================= HELPERS =========================
+
+const getInvoiceSettings = async () => {
+    const settings = await getJsonSetting("invoice_settings", DEFAULT_INVOICE_SETTINGS);
+    const merged = { ...DEFAULT_INVOICE_SETTINGS, ...settings };
+    for (const key of ["service", "platformFee", "delivery", "commission"]) {
+        merged[key] = { ...DEFAULT_INVOICE_SETTINGS[key], ...settings[key] };
+    }
+    return merged;
+};
+
+/**
+ * @param {Date} date
+ * @returns {string} The Indian financial year (April to March, IST) the date falls in, e.g. 2025-26.
+ */
+export const getFinancialYear = (date) => {
+    const ist = new Date(date.getTime() + IST_OFFSET_MS);
+    const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, "0")}`;
+};
+
+/**
+ * Takes the next number of a series. The upsert locks the sequence row until the caller's transaction ends,
+ * so concurrent invoices queue up behind it and a rollback leaves no gap.
+ */
+const takeInvoiceNumber = async (manager, series, financialYear) => {
+    const [row] = await manager.query(
+        `INSERT INTO "invoice_sequences" ("series", "financialYear", "lastNumber") VALUES ($1, $2, 1)
+         ON CONFLICT ("series", "financialYear") DO UPDATE SET "lastNumber" = "invoice_sequences"."lastNumber" + 1, "updatedAt" = now()
+         RETURNING "lastNumber"`,
+        [series, financialYear]
+    );
+    const sequenceNumber = row.lastNumber;
+    // At most 16 characters, as GST requires: INV/25-26/000042
+    const invoiceNumber = `${series}/${financialYear.slice(2)}/${String(sequenceNumber).padStart(6, "0")}`;
+    return { sequenceNumber, invoiceNumber };
+};
+
+const isSameState = (a, b) => Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Splits a GST-inclusive amount into its taxable value and tax.
+ */
+const buildLineItem = (description, { sac, gstRate }, amount, isInterState) => {
+    const total = round2(amount);
+    const taxableValue = round2(total * 100 / (100 + gstRate));
+    const tax = round2(total - taxableValue);
+    const cgst = isInterState ? 0 : round2(tax / 2);
+    return {
+        description,
+        sac,
+        gstRate,
+        taxableValue,
+        cgst,
+        sgst: isInterState ? 0 : round2(tax - cgst),
+        igst: isInterState ? tax : 0,
+        total
+    };
+};
+
+const sumLineItems = (lineItems, key) => round2(lineItems.reduce((sum, item) => sum + item[key], 0));
+
+const formatAddress = (parts) => parts.filter(Boolean).join(", ");
+
+/**
+ * Inserts an invoice (unless the order already has one of this type) and its RENDER_INVOICE outbox message.
+ * Must run inside the transaction of the event that raises the invoice.
+ */
+const createInvoice = async (manager, { invoiceType, orderId, customerId = null, vendorId = null, paymentId = null, settings, recipient, placeOfSupply, isInterState, lineItems, issuedAt }) => {
+    const existing = await manager.findOne(Invoices, { where: { orderId, invoiceType } });
+    if (existing) return existing;
+
+    const financialYear = getFinancialYear(issuedAt);
+    const { sequenceNumber, invoiceNumber } = await takeInvoiceNumber(manager, INVOICE_SERIES[invoiceType], financialYear);
+
+    const invoice = await manager.save(Invoices, {
+        invoiceNumber,
+        invoiceType,
+        financialYear,
+        sequenceNumber,
+        orderId,
+        customerId,
+        vendorId,
+        paymentId,
+        supplier: { name: settings.legalName, gstin: settings.gstin, address: settings.address, state: settings.state },
+        recipient,
+        placeOfSupply,
+        isInterState,
+        lineItems,
+        taxableAmount: sumLineItems(lineItems, "taxableValue"),
+        cgstAmount: sumLineItems(lineItems, "cgst"),
+        sgstAmount: sumLineItems(lineItems, "sgst"),
+        igstAmount: sumLineItems(lineItems, "igst"),
+        totalAmount: sumLineItems(lineItems, "total"),
+        issuedAt
+    });
+
+    await manager.save(Outbox, {
+        eventType: "RENDER_INVOICE",
+        payload: { invoiceId: invoice.id },
+        status: OUTBOX_STATUS.PENDING,
+        createdAt: new Date()
+    });
+
+    return invoice;
+};
+
+//========================= ISSUING =========================
+
+/**
+ * Takes a promo discount off the charges it was given on, in order, so each line's tax is worked out on what
+ * the customer actually paid for it. Charges brought to zero are dropped.
+ */
+const applyDiscount = (charges, keys, amount) => {
+    let remaining = round2(amount);
+    for (const key of keys) {
+        const charge = charges.find((item) => item.key === key);
+        if (!charge || remaining <= 0) continue;
+        const taken = Math.min(charge.amount, remaining);
+        charge.amount = round2(charge.amount - taken);
+        charge.discount = round2(taken);
+        remaining = round2(remaining - taken);
+    }
+    return charges.filter((charge) => charge.amount > 0);
+};
+
+/**
+ * Issues the customer's tax invoice for a paid order. Called by applyCapturedPayment.
+ *
+ * @param {import("typeorm").EntityManager} manager
+ * @param {Object} params
+ * @param {Object} params.order - The Orders row (delivery address fields are the billing address).
+ * @param {Object} params.quote - The paid OrderQuotes row.
+ * @param {Object} params.payment - The saved Payments row.
+ * @param {{ amount: number, fundedBy: string, code: string }} [params.discount] - The promo discount redeemed with the payment.
+ * A vendor-funded discount lowers the service charge; a platform-funded one lowers the platform's own fee and delivery first.
+ * @returns {Promise<Object>} The invoice.
+ */
+export const issueCustomerInvoice = async (manager, { order, quote, payment, discount = null }) => {
+    const settings = await getInvoiceSettings();
+    const [customer, vendor] = await Promise.all([
+        manager.findOne(Customers, { where: { id: payment.customerId }, relations: { user: true } }),
+        manager.findOne(Vendors, { where: { id: payment.vendorId }, select: { id: true, shopName: true } }),
+    ]);
+
+    const isInterState = !isSameState(settings.state, order.state);
+    const quotedPrice = parseFloat(quote.quotedPrice);
+    const platformFee = round2(parseFloat(quote.priceAfterPlatformFee) - quotedPrice);
+    const deliveryCharge = parseFloat(quote.deliveryCharge || 0);
+
+    let charges = [
+        { key: "service", description: `Tailoring service by ${vendor?.shopName || "vendor"} - ${order.orderName}`, rates: settings.service, amount: quotedPrice },
+        { key: "platformFee", description: "Platform fee", rates: settings.platformFee, amount: platformFee },
+        { key: "delivery", description: "Pickup and delivery", rates: settings.delivery, amount: deliveryCharge },
+    ].filter((charge) => charge.amount > 0);
+
+    if (discount?.amount > 0) {
+        const keys = discount.fundedBy === PROMO_FUNDED_BY.VENDOR ? ["service"] : ["platformFee", "delivery", "service"];
+        charges = applyDiscount(charges, keys, discount.amount);
+    }
+
+    const lineItems = charges.map((charge) => buildLineItem(
+        charge.discount ? `${charge.description} (less ${discount.code} discount ${charge.discount.toFixed(2)})` : charge.description,
+        charge.rates,
+        charge.amount,
+        isInterState
+    ));
+
+    return createInvoice(manager, {
+        invoiceType: INVOICE_TYPE.CUSTOMER_TAX_INVOICE,
+        orderId: order.id,
+        customerId: payment.customerId,
+        vendorId: payment.vendorId,
+        paymentId: payment.id,
+        settings,
+        recipient: {
+            name: order.fullName || customer?.user?.name,
+            gstin: null,
+            address: formatAddress([order.street, order.landmark, order.city, order.district, order.state, order.pincode]),
+            state: order.state,
+            email: customer?.user?.email || null,
+            phoneNumber: order.phoneNumber || customer?.user?.phoneNumber || null
+        },
+        placeOfSupply: order.state,
+        isInterState,
+        lineItems,
+        issuedAt: payment.paymentDate || new Date()
+    });
+};
+
+/**
+ * Issues the vendor's commission invoice for a completed order. Called by the state machine's completeOrder hook.
+ * Returns null when no commission was kept.
+ *
+ * @param {import("typeorm").EntityManager} manager
+ * @param {Object} params
+ * @param {Object} params.order
+ * @param {Object} params.quote - Needs quotedPrice and vendorPayoutAfterCommission.
+ * @returns {Promise<Object|null>}
+ */
+export const issueCommissionInvoice = async (manager, { order, quote }) => {
+    const commission = round2(parseFloat(quote.quotedPrice) - parseFloat(quote.vendorPayoutAfterCommission));
+    if (commission <= 0) return null;
+
+    const settings = await getInvoiceSettings();
+    const vendor = await manager.findOne(Vendors, { where: { id: order.selectedVendorId }, relations: { user: true } });
+    if (!vendor) throw sendError("Vendor not found", 404);
+
+    const isInterState = !isSameState(settings.state, vendor.state);
+
+    return createInvoice(manager, {
+        invoiceType: INVOICE_TYPE.VENDOR_COMMISSION_INVOICE,
+        orderId: order.id,
+        vendorId: vendor.id,
+        settings,
+        recipient: {
+            name: vendor.shopName,
+            gstin: null,
+            address: formatAddress([vendor.addressLine1, vendor.addressLine2, vendor.street, vendor.city, vendor.district, vendor.state, vendor.pincode]),
+            state: vendor.state,
+            email: vendor.user?.email || null,
+            phoneNumber: vendor.user?.phoneNumber || null
+        },
+        placeOfSupply: vendor.state,
+        isInterState,
+        lineItems: [buildLineItem(`Marketplace commission - ${order.orderName}`, settings.commission, commission, isInterState)],
+        issuedAt: new Date()
+    });
+};
+
+//========================= RENDERING =========================
+
+const formatMoney = (amount) => parseFloat(amount).toFixed(2);
+
+const buildInvoiceLines = (invoice) => {
+    const title = invoice.invoiceType === INVOICE_TYPE.CUSTOMER_TAX_INVOICE ? "TAX INVOICE" : "TAX INVOICE - COMMISSION";
+    const issuedOn = new Date(new Date(invoice.issuedAt).getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+    const widths = [38, 7, 5, 11, 9, 9, 9, 11];
+    const row = (values) => values.map((value, index) => index === 0 ? String(value).slice(0, widths[0]).padEnd(widths[0]) : String(value).padStart(widths[index])).join(" ");
+
+    return [
+        title,
+        "",
+        `Invoice number : ${invoice.invoiceNumber}`,
+        `Invoice date   : ${issuedOn}`,
+        `Order          : ${invoice.orderId}`,
+        `Place of supply: ${invoice.placeOfSupply || "-"}`,
+        "",
+        "Supplier",
+        `  ${invoice.supplier.name}`,
+        ...(invoice.supplier.gstin ? [`  GSTIN: ${invoice.supplier.gstin}`] : []),
+        ...(invoice.supplier.address ? [`  ${invoice.supplier.address}`] : []),
+        "",
+        "Billed to",
+        `  ${invoice.recipient.name || "-"}`,
+        ...(invoice.recipient.gstin ? [`  GSTIN: ${invoice.recipient.gstin}`] : []),
+        ...(invoice.recipient.address ? [`  ${invoice.recipient.address}`] : []),
+        ...(invoice.recipient.email ? [`  ${invoice.recipient.email}`] : []),
+        "",
+        row(["Description", "SAC", "GST%", "Taxable", "CGST", "SGST", "IGST", "Total"]),
+        ...invoice.lineItems.map(item => row([item.description, item.sac, item.gstRate, formatMoney(item.taxableValue), formatMoney(item.cgst), formatMoney(item.sgst), formatMoney(item.igst), formatMoney(item.total)])),
+        "",
+        row(["Total", "", "", formatMoney(invoice.taxableAmount), formatMoney(invoice.cgstAmount), formatMoney(invoice.sgstAmount), formatMoney(invoice.igstAmount), formatMoney(invoice.totalAmount)]),
+        "",
+        "Amounts in INR. Prices are inclusive of GST.",
+        "This is a computer generated invoice and does not require a signature.",
+    ];
+};
+
+/**
+ * Renders an invoice's PDF and stores it in S3. Run by the outbox worker for RENDER_INVOICE messages;
+ * an invoice that already has a PDF is left alone.
+ *
+ * @param {string} invoiceId
+ * @returns {Promise<string>} The S3 key of the PDF.
+ */
+export const renderInvoicePdf = async (invoiceId) => {
+    const invoiceRepo = AppDataSource.getRepository(Invoices);
+    const invoice = await invoiceRepo.findOne({ where: { id: invoiceId } });
+    if (!invoice) throw sendError("Invoice not found", 404);
+    if (invoice.s3Key) return invoice.s3Key;
+
+    const pdf = buildTextPdf(buildInvoiceLines(invoice), { title: `Invoice ${invoice.invoiceNumber}` });
+    const key = await uploadFile(`invoices/${invoice.financialYear}/${invoice.invoiceNumber.replace(/\//g, "-")}.pdf`, pdf, "application/pdf");
+    await invoiceRepo.update({ id: invoice.id }, { s3Key: key });
+
+    logger.info(`Invoice ${invoice.invoiceNumber} rendered to ${key}`);
+    return key;
+};
+
+const toInvoiceSummary = (invoice) => ({
+    id: invoice.id,
+    invoiceNumber: invoice.invoiceNumber,
+    invoiceType: invoice.invoiceType,
+    orderId: invoice.orderId,
+    issuedAt: invoice.issuedAt,
+    taxableAmount: invoice.taxableAmount,
+    taxAmount: round2(parseFloat(invoice.cgstAmount) + parseFloat(invoice.sgstAmount) + parseFloat(invoice.igstAmount)),
+    totalAmount: invoice.totalAmount,
+});
+
+const getDownloadUrl = async (invoice) => {
+    const key = invoice.s3Key || await renderInvoicePdf(invoice.id);
+    return { invoiceNumber: invoice.invoiceNumber, url: await getPresignedViewUrl(key) };
+};
+
+//========================= SERVICES =========================
+
+/**
+ * @api {get} /api/invoice/getMyInvoices/:page/:limit Get My Invoices
+ * @apiName GetMyInvoices
+ * @apiGroup Invoice
+ * @apiDescription Lists the caller's invoices, newest first: tax invoices for a customer, commission invoices for a vendor.
+ *
+ * @apiParam {number} page
+ * @apiParam {number} limit
+ *
+ * @param {Object} data
+ * @param {string} data.userId
+ * @param {string} data.role - customer | vendor
+ * @param {number} data.page
+ * @param {number} data.limit
+ *
+ * @apiSuccess {Object[]} response.invoices - id, invoiceNumber, invoiceType, orderId, issuedAt, taxableAmount, taxAmount, totalAmount
+ * @apiSuccess {Object} response.pagination
+ *
+ * @apiError {Error} 400 - If the validation fails.
+ * @apiError {Error} 404 - If the customer or vendor is not found.
+ * @apiError {Error} 500 - Internal Server Error.
+ */
+export const getMyInvoices = async (data) => {
+    try {
+        const { userId, role, page, limit } = getMyInvoicesSchema.parse(data);
+
+        const party = role === ROLE.CUSTOMER
+            ? await AppDataSource.getRepository(Customers).findOne({ where: { userId }, select: { id: true } })
+            : await AppDataSource.getRepository(Vendors).findOne({ where: { userId }, select: { id: true } });
+        if (!party) throw sendError(role === ROLE.CUSTOMER ? "Customer not found" : "Vendor not found", 404);
+
+        const invoices = await AppDataSource.getRepository(Invoices).find({
+            where: role === ROLE.CUSTOMER
+                ? { customerId: party.id, invoiceType: INVOICE_TYPE.CUSTOMER_TAX_INVOICE }
+                : { vendorId: party.id, invoiceType: INVOICE_TYPE.VENDOR_COMMISSION_INVOICE },
+            order: { issuedAt: "DESC" },
+            skip: (page - 1) * limit,
+            take: limit
+        });
+
+        return {
+            invoices: invoices.map(toInvoiceSummary),
+            pagination: {
+                currentPage: page,
+                hasMore: invoices.length === limit,
+                nextPage: invoices.length === limit ? page + 1 : null,
+            }
+        };
+    } catch (err) {
+        if (err instanceof z.ZodError) {
+            logger.warn("getMyInvoices validation failed", { errors: err.flatten().fieldErrors });
+            throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+        }
+        logger.error(err);
+        throw err;
+    }
+}
+
+/**
+ * @api {get} /api/invoice/getInvoiceDownloadUrl/:invoiceId Get Invoice Download URL
+ * @apiName GetInvoiceDownloadUrl
+ * @apiGroup Invoice
+ * @apiDescription Returns a presigned URL, valid for an hour, to download one of the caller's invoices as a PDF.
+ *
+ * @apiParam {string} invoiceId
+ *
+ * @param {Object} data
+ * @param {string} data.userId
+ * @param {string} data.role - customer | vendor
+ * @param {string} data.invoiceId
+ *
+ * @apiSuccess {string} response.invoiceNumber
+ * @apiSuccess {string} response.url
+ *
+ * @apiError {Error} 400 - If the validation fails.
+ * @apiError {Error} 403 - If the invoice was not issued to the caller.
+ * @apiError {Error} 404 - If the invoice is not found.
+ * @apiError {Error} 500 - Internal Server Error.
+ */
+export const getInvoiceDownloadUrl = async (data) => {
+    try {
+        const { userId, role, invoiceId } = invoiceDownloadSchema.parse(data);
+
+        const invoice = await AppDataSource.getRepository(Invoices).findOne({ where: { id: invoiceId } });
+        if (!invoice) throw sendError("Invoice not found", 404);
+
+        const party = role === ROLE.CUSTOMER
+            ? await AppDataSource.getRepository(Customers).findOne({ where: { userId }, select: { id: true } })
+            : await AppDataSource.getRepository(Vendors).findOne({ where: { userId }, select: { id: true } });
+        const isRecipient = role === ROLE.CUSTOMER
+            ? invoice.invoiceType === INVOICE_TYPE.CUSTOMER_TAX_INVOICE && invoice.customerId === party?.id
+            : invoice.invoiceType === INVOICE_TYPE.VENDOR_COMMISSION_INVOICE && invoice.vendorId === party?.id;
+        if (!isRecipient) throw sendError("You are not authorized to view this invoice", 403);
+
+        return getDownloadUrl(invoice);
+    } catch (err) {
+        if (err instanceof z.ZodError) {
+            logger.warn("getInvoiceDownloadUrl validation failed", { errors: err.flatten().fieldErrors });
+            throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+        }
+        logger.error(err);
+        throw err;
+    }
+}
+
+/**
+ * Admin: lists invoices, filtered by type, order, vendor, customer, number, financial year or issue date range.
+ */
+export const getInvoices = async (filters) => {
+    try {
+        const page = Math.max(1, parseInt(filters.page) || 1);
+        const limit = Math.max(1, Math.min(parseInt(filters.limit) || 10, 100));
+
+        const qb = AppDataSource.getRepository(Invoices).createQueryBuilder("invoices");
+        if (filters.invoiceType) qb.andWhere("invoices.invoiceType = :invoiceType", { invoiceType: filters.invoiceType });
+        if (filters.orderId) qb.andWhere("invoices.orderId = :orderId", { orderId: filters.orderId });
+        if (filters.vendorId) qb.andWhere("invoices.vendorId = :vendorId", { vendorId: filters.vendorId });
+        if (filters.customerId) qb.andWhere("invoices.customerId = :customerId", { customerId: filters.customerId });
+        if (filters.invoiceNumber) qb.andWhere("invoices.invoiceNumber = :invoiceNumber", { invoiceNumber: filters.invoiceNumber });
+        if (filters.financialYear) qb.andWhere("invoices.financialYear = :financialYear", { financialYear: filters.financialYear });
+        if (filters.from && filters.to) qb.andWhere("invoices.issuedAt BETWEEN :from AND :to", { from: filters.from, to: filters.to });
+
+        const [invoices, totalCount] = await qb
+            .orderBy("invoices.issuedAt", "DESC")
+            .skip((page - 1) * limit)
+            .take(limit)
+            .getManyAndCount();
+
+        return {
+            invoices,
+            pagination: {
+                currentPage: page,
+                itemsPerPage: limit,
+                totalItems: totalCount,
+                totalPages: Math.ceil(totalCount / limit),
+                hasMore: page * limit < totalCount
+            }
+        };
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+
+/**
+ * Admin: presigned download URL for any invoice.
+ */
+export const getInvoiceDownloadUrlForAdmin = async (invoiceId) => {
+    try {
+        const invoice = await AppDataSource.getRepository(Invoices).findOne({ where: { id: invoiceId } });
+        if (!invoice) throw sendError("Invoice not found", 404);
+
+        return getDownloadUrl(invoice);
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
@@ -0,0 +1,379 @@
+import { z } from "zod";
+import { logger } from "../utils/logger-utils.mjs";
+import { sendError } from "../utils/core-utils.mjs";
+import { AppDataSource } from "../config/data-source.mjs";
+import { Vendors } from "../entities/Vendors.mjs";
+import { VendorKycDocuments } from "../entities/VendorKycDocuments.mjs";
+import { VendorKycReviews } from "../entities/VendorKycReviews.mjs";
+import { AdminActions } from "../entities/AdminActions.mjs";
+import { getPresignedViewUrl } from "./s3service.mjs";
+import { pushQueue, notificationHistoryQueue } from "../queues/index.mjs";
+import { KYC_DOCUMENT_STATUS, KYC_DOCUMENT_TYPE, KYC_REVIEW_ACTION, ROLE, VENDOR_STATUS } from "../types/enums/index.mjs";
+
+/**
+ * @file kycService.mjs
+ * @description Vendor KYC review.
+ *
+ * Each KYC document (Aadhaar, bank passbook, optional shop document) has its own review state in
+ * VendorKycDocuments. Admins approve a document, reject it with a reason or ask for a new copy, and a vendor
+ * replaces just that document with resubmitKycDocument. verifyVendor only goes through once every submitted
+ * document is approved. Every submission and decision is appended to VendorKycReviews.
+ */
+
+// Where each document's current path is kept on the vendor profile
+const DOCUMENT_PATH_COLUMN = {
+    [KYC_DOCUMENT_TYPE.AADHAAR]: "aadhaarUrlPath",
+    [KYC_DOCUMENT_TYPE.BANK_PASSBOOK]: "bankPassbookUrlPath",
+    [KYC_DOCUMENT_TYPE.SHOP_DOCUMENT]: "shopDocumentUrlPath",
+};
+
+const AWAITING_VENDOR_STATUSES = [KYC_DOCUMENT_STATUS.REJECTED, KYC_DOCUMENT_STATUS.RESUBMISSION_REQUESTED];
+
+//========================= ZOD VALIDATION SCHEMAS =========================
+
+const resubmitKycDocumentSchema = z.object({
+    userId: z.string().uuid(),
+    documentType: z.enum(Object.values(KYC_DOCUMENT_TYPE)),
+    urlPath: z.string().min(1),
+    aadhaarNumber: z.string().length(12, { message: "Aadhaar number must be 12 digits" }).optional(),
+}).refine((data) => !data.aadhaarNumber || data.documentType === KYC_DOCUMENT_TYPE.AADHAAR, {
+    path: ["aadhaarNumber"],
+    message: "aadhaarNumber can only be changed with the Aadhaar document",
+});
+
+const reviewKycDocumentSchema = z.object({
+    vendorId: z.string().uuid(),
+    documentType: z.enum(Object.values(KYC_DOCUMENT_TYPE)),
+    decision: z.enum([KYC_DOCUMENT_STATUS.APPROVED, KYC_DOCUMENT_STATUS.REJECTED, KYC_DOCUMENT_STATUS.RESUBMISSION_REQUESTED]),
+    reason: z.string().min(1).max(500).optional(),
+}).refine((data) => data.decision === KYC_DOCUMENT_STATUS.APPROVED || data.reason, {
+    path: ["reason"],
+    message: "A reason is required to reject a document or ask for a new copy",
+});
+
+//========================= CORE =========================
+
+/**
+ * Appends an entry to the vendor's KYC history.
+ *
+ * @param {import("typeorm").EntityManager} manager
+ * @param {Object} params
+ * @param {string} params.vendorId
+ * @param {string} params.action - KYC_REVIEW_ACTION value.
+ * @param {string} params.actorId - The vendor id or admin user id.
+ * @param {string} params.actorRole - ROLE.VENDOR or ROLE.ADMIN.
+ * @param {Object} [params.document] - The VendorKycDocuments row; omitted for vendor-level decisions.
+ * @param {string} [params.reason]
+ */
+export const recordKycReview = async (manager, { vendorId, action, actorId, actorRole, document = null, reason = null }) => {
+    await manager.save(VendorKycReviews, {
+        vendorId,
+        documentId: document?.id ?? null,
+        documentType: document?.documentType ?? null,
+        urlPath: document?.urlPath ?? null,
+        action,
+        reason,
+        actorId,
+        actorRole,
+    });
+};
+
+/**
+ * Creates the KYC document rows for a newly completed vendor profile, all waiting for review.
+ *
+ * @param {import("typeorm").EntityManager} manager
+ * @param {Object} vendor - The saved Vendors row.
+ */
+export const submitInitialKycDocuments = async (manager, vendor) => {
+    const now = new Date();
+    for (const [documentType, column] of Object.entries(DOCUMENT_PATH_COLUMN)) {
+        if (!vendor[column]) continue;
+
+        const document = await manager.save(VendorKycDocuments, {
+            vendorId: vendor.id,
+            documentType,
+            urlPath: vendor[column],
+            status: KYC_DOCUMENT_STATUS.SUBMITTED,
+            submittedAt: now,
+        });
+        await recordKycReview(manager, { vendorId: vendor.id, action: KYC_REVIEW_ACTION.SUBMITTED, actorId: vendor.id, actorRole: ROLE.VENDOR, document });
+    }
+};
+
+/**
+ * Throws unless every KYC document the vendor submitted is approved. Aadhaar and bank passbook are required.
+ *
+ * @param {import("typeorm").EntityManager} manager
+ * @param {string} vendorId
+ * @throws {Error} 400 listing the documents still to be approved.
+ */
+export const assertKycApproved = async (manager, vendorId) => {
+    const documents = await manager.find(VendorKycDocuments, { where: { vendorId }, select: { documentType: true, status: true } });
+    const statusByType = Object.fromEntries(documents.map(document => [document.documentType, document.status]));
+
+    const pending = Object.values(KYC_DOCUMENT_TYPE).filter((documentType) => {
+        const status = statusByType[documentType];
+        if (!status) return documentType !== KYC_DOCUMENT_TYPE.SHOP_DOCUMENT;
+        return status !== KYC_DOCUMENT_STATUS.APPROVED;
+    });
+    if (pending.length) throw sendError(`KYC documents not approved yet: ${pending.join(", ")}`, 400);
+};
+
+/**
+ * Puts a new copy of a document up for review: the document row goes back to SUBMITTED, the vendor profile points
+ * at the new path and a rejected vendor goes back to PENDING. Callers check whether the document may be replaced.
+ *
+ * @param {import("typeorm").EntityManager} manager
+ * @param {Object} params
+ * @param {Object} params.vendor - The locked Vendors row (id and status).
+ * @param {string} params.documentType
+ * @param {string} params.urlPath
+ * @returns {Promise<string>} The vendor's status afterwards.
+ */
+export const replaceKycDocument = async (manager, { vendor, documentType, urlPath }) => {
+    const existing = await manager.findOne(VendorKycDocuments, { where: { vendorId: vendor.id, documentType } });
+    const document = await manager.save(VendorKycDocuments, {
+        ...existing,
+        vendorId: vendor.id,
+        documentType,
+        urlPath,
+        status: KYC_DOCUMENT_STATUS.SUBMITTED,
+        reviewNote: null,
+        submittedAt: new Date(),
+        reviewedAt: null,
+        reviewedBy: null,
+    });
+
+    const status = vendor.status === VENDOR_STATUS.REJECTED ? VENDOR_STATUS.PENDING : vendor.status;
+    await manager.update(Vendors, { id: vendor.id }, { [DOCUMENT_PATH_COLUMN[documentType]]: urlPath, status });
+
+    await recordKycReview(manager, {
+        vendorId: vendor.id,
+        action: existing ? KYC_REVIEW_ACTION.RESUBMITTED : KYC_REVIEW_ACTION.SUBMITTED,
+        actorId: vendor.id,
+        actorRole: ROLE.VENDOR,
+        document
+    });
+    return status;
+};
+
+const notifyVendorOfReview = async (vendorId, { documentType, decision, reason }) => {
+    try {
+        const vendor = await AppDataSource.getRepository(Vendors).findOne({ where: { id: vendorId }, relations: { user: true } });
+        if (!vendor?.user) return;
+
+        const documentName = documentType.replace(/_/g, " ").toLowerCase();
+        const title = decision === KYC_DOCUMENT_STATUS.APPROVED ? "KYC Document Approved" : "KYC Document Needs Attention";
+        const message = decision === KYC_DOCUMENT_STATUS.APPROVED
+            ? `Your ${documentName} has been approved.`
+            : `Please upload your ${documentName} again: ${reason}`;
+
+        if (vendor.user.pushToken) {
+            pushQueue.add("kycReview", {
+                token: vendor.user.pushToken,
+                title,
+                message,
+                data: { url: '/(vendor)/(portal)/profile' }
+            });
+        }
+        notificationHistoryQueue.add("saveNotificationHistory", {
+            userId: vendor.user.id,
+            title,
+            body: message,
+            timestamp: new Date(),
+        });
+    } catch (notificationError) {
+        logger.error(`Failed to queue KYC review notification for vendor ${vendorId}`, notificationError);
+    }
+};
+
+const withViewUrls = async (documents) => {
+    return Promise.all(documents.map(async (document) => ({
+        ...document,
+        viewUrl: await getPresignedViewUrl(document.urlPath),
+    })));
+};
+
+//========================= VENDOR SERVICES =========================
+
+/**
+ * @api {get} /api/vendor/getKycStatus Get KYC Status
+ * @apiName GetKycStatus
+ * @apiGroup Vendor
+ * @apiDescription The review state of each of the vendor's KYC documents. Documents marked `canResubmit` can be replaced with resubmitKycDocument.
+ *
+ * @param {Object} data
+ * @param {string} data.userId
+ *
+ * @apiSuccess {string} status - The vendor's profile status.
+ * @apiSuccess {Object[]} documents - documentType, status, reviewNote, submittedAt, reviewedAt and canResubmit.
+ *
+ * @apiError {Error} 404 - If the vendor profile is not found.
+ */
+export const getMyKycStatus = async (data) => {
+    try {
+        const { userId } = data;
+
+        const vendor = await AppDataSource.getRepository(Vendors).findOne({ where: { userId }, select: { id: true, status: true } });
+        if (!vendor) throw sendError("Vendor profile not found", 404);
+
+        const documents = await AppDataSource.getRepository(VendorKycDocuments).find({
+            where: { vendorId: vendor.id },
+            select: { documentType: true, status: true, reviewNote: true, submittedAt: true, reviewedAt: true },
+            order: { documentType: "ASC" }
+        });
+
+        return {
+            status: vendor.status,
+            documents: documents.map(document => ({ ...document, canResubmit: AWAITING_VENDOR_STATUSES.includes(document.status) })),
+        };
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+
+/**
+ * @api {post} /api/vendor/resubmitKycDocument Resubmit KYC Document
+ * @apiName ResubmitKycDocument
+ * @apiGroup Vendor
+ * @apiDescription Replaces one KYC document that was rejected or sent back for a new copy, and puts it back in the review queue.
+ * A shop document can also be added this way if none was given at onboarding. A rejected vendor profile goes back to `PENDING`.
+ * The Aadhaar number can be corrected together with its document. Changing the bank account goes through updateBankDetails,
+ * which also replaces the passbook.
+ *
+ * @apiBody {string} documentType - AADHAAR, BANK_PASSBOOK or SHOP_DOCUMENT.
+ * @apiBody {string} urlPath - The S3 path of the new upload.
+ * @apiBody {string} [aadhaarNumber] - With AADHAAR only.
+ *
+ * @apiSuccess {string} message
+ * @apiSuccess {string} status - The vendor's profile status afterwards.
+ *
+ * @apiError {Error} 400 - If the data is invalid or the document is not waiting for a new copy.
+ * @apiError {Error} 403 - If the vendor is blocked.
+ * @apiError {Error} 404 - If the vendor profile is not found.
+ */
+export const resubmitKycDocument = async (data) => {
+    const queryRunner = AppDataSource.createQueryRunner();
+    await queryRunner.connect();
+    await queryRunner.startTransaction();
+
+    try {
+        const { userId, documentType, urlPath, aadhaarNumber } = resubmitKycDocumentSchema.parse(data);
+
+        const vendor = await queryRunner.manager.findOne(Vendors, {
+            where: { userId },
+            select: { id: true, status: true },
+            lock: { mode: "pessimistic_write" }
+        });
+        if (!vendor) throw sendError("Vendor profile not found", 404);
+        if (vendor.status === VENDOR_STATUS.BLOCKED) throw sendError("Your account has been blocked. Please contact support.", 403);
+
+        const document = await queryRunner.manager.findOne(VendorKycDocuments, { where: { vendorId: vendor.id, documentType }, select: { id: true, status: true } });
+        if (document && !AWAITING_VENDOR_STATUSES.includes(document.status)) {
+            throw sendError(`Your ${documentType} is ${document.status.toLowerCase()} and can't be replaced`, 400);
+        }
+        if (!document && documentType !== KYC_DOCUMENT_TYPE.SHOP_DOCUMENT) throw sendError(`No ${documentType} on file for this vendor`, 400);
+
+        const status = await replaceKycDocument(queryRunner.manager, { vendor, documentType, urlPath });
+        if (aadhaarNumber) {
+            await queryRunner.manager.update(Vendors, { id: vendor.id }, { aadhaarNumber });
+        }
+
+        await queryRunner.commitTransaction();
+        return { message: "Document submitted for review", status };
+    } catch (err) {
+        if (queryRunner.isTransactionActive) {
+            await queryRunner.rollbackTransaction();
+        }
+        if (err instanceof z.ZodError) {
+            logger.warn("resubmitKycDocument validation failed", { errors: err.flatten().fieldErrors });
+            throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+        }
+        logger.error(err);
+        throw err;
+    } finally {
+        await queryRunner.release();
+    }
+}
+
+//========================= ADMIN SERVICES =========================
+
+/**
+ * A vendor's KYC documents, with short-lived view URLs, and the full review history.
+ */
+export const getVendorKyc = async (vendorId) => {
+    try {
+        const vendor = await AppDataSource.getRepository(Vendors).findOne({ where: { id: vendorId }, select: { id: true, status: true, aadhaarNumber: true, accountHolderName: true, accountNumber: true, ifscCode: true } });
+        if (!vendor) throw sendError("Vendor not found", 404);
+
+        const documents = await AppDataSource.getRepository(VendorKycDocuments).find({ where: { vendorId }, order: { documentType: "ASC" } });
+        const history = await AppDataSource.getRepository(VendorKycReviews).find({ where: { vendorId }, order: { createdAt: "DESC" } });
+
+        return { vendor, documents: await withViewUrls(documents), history };
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+
+/**
+ * Approves a submitted document, rejects it with a reason, or asks the vendor for a new copy. A new copy can also
+ * be requested for an approved document (for example an expired passbook); the vendor stays verified meanwhile.
+ */
+export const reviewKycDocument = async (data, adminUserId) => {
+    const queryRunner = AppDataSource.createQueryRunner();
+    await queryRunner.connect();
+    await queryRunner.startTransaction();
+
+    try {
+        const { vendorId, documentType, decision, reason } = reviewKycDocumentSchema.parse(data);
+
+        const document = await queryRunner.manager.findOne(VendorKycDocuments, {
+            where: { vendorId, documentType },
+            lock: { mode: "pessimistic_write" }
+        });
+        if (!document) throw sendError(`The vendor has not submitted a ${documentType}`, 404);
+
+        const allowedFrom = decision === KYC_DOCUMENT_STATUS.RESUBMISSION_REQUESTED
+            ? [KYC_DOCUMENT_STATUS.SUBMITTED, KYC_DOCUMENT_STATUS.APPROVED]
+            : [KYC_DOCUMENT_STATUS.SUBMITTED];
+        if (!allowedFrom.includes(document.status)) {
+            throw sendError(`A ${document.status.toLowerCase()} document can't be marked ${decision.toLowerCase()}`, 400);
+        }
+
+        const reviewNote = decision === KYC_DOCUMENT_STATUS.APPROVED ? null : reason;
+        await queryRunner.manager.update(VendorKycDocuments, { id: document.id }, {
+            status: decision,
+            reviewNote,
+            reviewedAt: new Date(),
+            reviewedBy: adminUserId,
+        });
+
+        await recordKycReview(queryRunner.manager, { vendorId, action: KYC_REVIEW_ACTION[decision], actorId: adminUserId, actorRole: ROLE.ADMIN, document, reason: reason ?? null });
+
+        await queryRunner.manager.save(AdminActions, {
+            adminUserId: adminUserId,
+            action: "reviewKycDocument",
+            actionData: { vendorId, documentType, documentId: document.id, decision, reason: reason ?? null }
+        });
+
+        await queryRunner.commitTransaction();
+
+        await notifyVendorOfReview(vendorId, { documentType, decision, reason });
+
+        return { message: "Document reviewed", documentType, status: decision };
+    } catch (err) {
+        if (queryRunner.isTransactionActive) {
+            await queryRunner.rollbackTransaction();
+        }
+        if (err instanceof z.ZodError) {
+            logger.warn("reviewKycDocument validation failed", { errors: err.flatten().fieldErrors });
+            throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+        }
+        logger.error(err);
+        throw err;
+    } finally {
+        await queryRunner.release();
+    }
+}
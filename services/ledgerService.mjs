@@ -0,0 +1,510 @@
+import { logger } from "../utils/logger-utils.mjs";
+import { sendError } from "../utils/core-utils.mjs";
+import { AppDataSource } from "../config/data-source.mjs";
+import { LedgerEntries } from "../entities/LedgerEntries.mjs";
+import { LedgerPostings } from "../entities/LedgerPostings.mjs";
+import { Payments } from "../entities/Payments.mjs";
+import { LEDGER_ACCOUNT, LEDGER_ENTRY_TYPE, PROMO_FUNDED_BY, WALLET_TRANSACTION_SOURCE } from "../types/enums/index.mjs";
+
+/**
+ * @file ledgerService.mjs
+ * @description Double-entry ledger for every money movement on the platform.
+ *
+ * Each movement posts one balanced journal entry (LedgerEntries + LedgerPostings) inside the transaction
+ * that causes it:
+ *
+ * | Entry              | Debit                                   | Credit                                                   |
+ * |--------------------|-----------------------------------------|----------------------------------------------------------|
+ * | PAYMENT_CAPTURED   | RAZORPAY_CLEARING, CUSTOMER_WALLET      | CUSTOMER_ADVANCES                                        |
+ * | ORDER_COMPLETED    | CUSTOMER_ADVANCES (amount paid),        | VENDOR_PAYABLE, COMMISSION, PLATFORM_FEE, DELIVERY       |
+ * |                    | PROMO_DISCOUNT_EXPENSE (platform promo) |                                                          |
+ * | CANCELLATION_FEE   | CUSTOMER_ADVANCES                       | CANCELLATION_FEE_REVENUE                                 |
+ * | REFUND_PROCESSED   | CUSTOMER_ADVANCES, then REFUNDS_EXPENSE | RAZORPAY_CLEARING                                        |
+ * | VENDOR_DEDUCTION   | VENDOR_PAYABLE                          | PENALTY_REVENUE, or REFUNDS_EXPENSE for a refund recovery |
+ * | PAYOUT_PROCESSED   | VENDOR_PAYABLE                          | RAZORPAY_CLEARING                                        |
+ * | PAYOUT_REVERSED    | RAZORPAY_CLEARING                       | VENDOR_PAYABLE                                           |
+ * | WALLET_CREDITED    | CUSTOMER_ADVANCES, then REFUNDS_EXPENSE | CUSTOMER_WALLET                                          |
+ * |                    | (refunds), or WALLET_GRANTS_EXPENSE     |                                                          |
+ * | WALLET_EXPIRED     | CUSTOMER_WALLET                         | WALLET_EXPIRY_REVENUE                                    |
+ *
+ * Every entry has an idempotency key derived from the Razorpay id or row it records, so webhook retries
+ * and repeated jobs never post twice. Amounts are balanced in paise before anything is written.
+ * Balances are always summed from the postings; VendorStats counters are not read here.
+ */
+
+const REVENUE_ACCOUNTS = [
+    LEDGER_ACCOUNT.PLATFORM_FEE_REVENUE,
+    LEDGER_ACCOUNT.COMMISSION_REVENUE,
+    LEDGER_ACCOUNT.DELIVERY_REVENUE,
+    LEDGER_ACCOUNT.CANCELLATION_FEE_REVENUE,
+    LEDGER_ACCOUNT.PENALTY_REVENUE,
+    LEDGER_ACCOUNT.WALLET_EXPIRY_REVENUE,
+];
+
+const EXPENSE_ACCOUNTS = [
+    LEDGER_ACCOUNT.REFUNDS_EXPENSE,
+    LEDGER_ACCOUNT.PROMO_DISCOUNT_EXPENSE,
+    LEDGER_ACCOUNT.WALLET_GRANTS_EXPENSE,
+];
+
+const toPaise = (amount) => Math.round(parseFloat(amount || 0) * 100);
+
+/**
+ * Writes one journal entry. Lines with a zero amount are dropped; an entry whose lines don't balance
+ * is rejected so the caller's transaction rolls back.
+ *
+ * @param {import("typeorm").EntityManager} manager - The caller's transactional manager.
+ * @param {Object} entry
+ * @param {string} entry.entryType - LEDGER_ENTRY_TYPE
+ * @param {string} entry.idempotencyKey
+ * @param {string} [entry.orderId]
+ * @param {string} [entry.referenceType]
+ * @param {string} [entry.referenceId]
+ * @param {string} [entry.description]
+ * @param {Array<{ account: string, vendorId?: string, customerId?: string, orderId?: string, debit?: number, credit?: number }>} entry.lines - Amounts in rupees.
+ * @returns {Promise<string|null>} The entry id, or null if nothing was posted (zero amount or already posted).
+ */
+export const postJournalEntry = async (manager, { entryType, idempotencyKey, orderId = null, referenceType = null, referenceId = null, description = null, lines }) => {
+    const postings = lines
+        .map((line) => ({ ...line, debit: toPaise(line.debit), credit: toPaise(line.credit) }))
+        .filter((line) => line.debit !== 0 || line.credit !== 0);
+
+    if (postings.some((line) => line.debit < 0 || line.credit < 0 || (line.debit > 0 && line.credit > 0))) {
+        throw sendError(`Invalid ledger posting in ${idempotencyKey}`, 500);
+    }
+    const totalDebit = postings.reduce((sum, line) => sum + line.debit, 0);
+    const totalCredit = postings.reduce((sum, line) => sum + line.credit, 0);
+    if (totalDebit !== totalCredit) {
+        throw sendError(`Unbalanced ledger entry ${idempotencyKey}: debit ${totalDebit / 100}, credit ${totalCredit / 100}`, 500);
+    }
+    if (totalDebit === 0) return null;
+
+    const result = await manager.createQueryBuilder()
+        .insert()
+        .into(LedgerEntries)
+        .values({ entryType, idempotencyKey, orderId, referenceType, referenceId, description })
+        .orIgnore()
+        .returning(["id"])
+        .execute();
+    const entryId = result.raw?.[0]?.id;
+    if (!entryId) {
+        logger.info(`Ledger entry ${idempotencyKey} already posted`);
+        return null;
+    }
+
+    await manager.insert(LedgerPostings, postings.map((line) => ({
+        entryId,
+        account: line.account,
+        vendorId: line.vendorId || null,
+        customerId: line.customerId || null,
+        orderId: line.orderId || orderId,
+        debit: line.debit / 100,
+        credit: line.credit / 100,
+    })));
+
+    return entryId;
+};
+
+/**
+ * What the customer has paid towards an order and not yet spent on it or had refunded.
+ */
+const getCustomerAdvanceBalance = async (manager, orderId) => {
+    const { balance } = await manager.createQueryBuilder(LedgerPostings, "postings")
+        .select("COALESCE(SUM(postings.credit - postings.debit), 0)", "balance")
+        .where("postings.account = :account", { account: LEDGER_ACCOUNT.CUSTOMER_ADVANCES })
+        .andWhere("postings.orderId = :orderId", { orderId })
+        .getRawOne();
+    return toPaise(balance);
+};
+
+//========================= POSTINGS =========================
+
+/**
+ * The part of a payment taken from the customer's wallet moves from CUSTOMER_WALLET to the order's advance
+ * like the part captured by Razorpay. Payments made entirely from the wallet are keyed by their own id.
+ */
+export const postPaymentCaptured = async (manager, payment) => {
+    const amount = toPaise(payment.paymentAmount);
+    const walletAmount = toPaise(payment.walletAmount);
+    const reference = payment.razorpayPaymentId || payment.id;
+    return postJournalEntry(manager, {
+        entryType: LEDGER_ENTRY_TYPE.PAYMENT_CAPTURED,
+        idempotencyKey: `payment:${reference}`,
+        orderId: payment.orderId,
+        referenceType: "Payments",
+        referenceId: reference,
+        description: walletAmount > 0 ? "Payment captured (wallet used)" : "Payment captured",
+        lines: [
+            { account: LEDGER_ACCOUNT.RAZORPAY_CLEARING, debit: (amount - walletAmount) / 100 },
+            { account: LEDGER_ACCOUNT.CUSTOMER_WALLET, customerId: payment.customerId, debit: walletAmount / 100 },
+            { account: LEDGER_ACCOUNT.CUSTOMER_ADVANCES, customerId: payment.customerId, credit: amount / 100 },
+        ]
+    });
+};
+
+/**
+ * Splits the final price of a completed order into the vendor's share and the platform's fees.
+ * The split is worked out in paise from the quote so the parts always add up to the final price.
+ *
+ * A promo discount leaves the fees untouched: the customer's advance covers the price less the discount, and the
+ * difference is either a platform expense or comes out of the vendor's share, depending on who funded it.
+ */
+export const postOrderCompleted = async (manager, { order, quote, discount = null }) => {
+    const quoted = toPaise(quote.quotedPrice);
+    const afterPlatformFee = toPaise(quote.priceAfterPlatformFee);
+    const finalPrice = toPaise(quote.finalPrice);
+    const discountAmount = toPaise(discount?.amount);
+    const vendorFunded = discount?.fundedBy === PROMO_FUNDED_BY.VENDOR;
+    const vendorShare = toPaise(quote.vendorPayoutAfterCommission);
+
+    return postJournalEntry(manager, {
+        entryType: LEDGER_ENTRY_TYPE.ORDER_COMPLETED,
+        idempotencyKey: `order_completed:${order.id}`,
+        orderId: order.id,
+        referenceType: "OrderQuotes",
+        referenceId: quote.id,
+        description: "Order completed",
+        lines: [
+            { account: LEDGER_ACCOUNT.CUSTOMER_ADVANCES, customerId: order.customerId, debit: (finalPrice - discountAmount) / 100 },
+            { account: LEDGER_ACCOUNT.PROMO_DISCOUNT_EXPENSE, debit: vendorFunded ? 0 : discountAmount / 100 },
+            { account: LEDGER_ACCOUNT.VENDOR_PAYABLE, vendorId: order.selectedVendorId, credit: (vendorShare - (vendorFunded ? discountAmount : 0)) / 100 },
+            { account: LEDGER_ACCOUNT.COMMISSION_REVENUE, credit: (quoted - vendorShare) / 100 },
+            { account: LEDGER_ACCOUNT.PLATFORM_FEE_REVENUE, credit: (afterPlatformFee - quoted) / 100 },
+            { account: LEDGER_ACCOUNT.DELIVERY_REVENUE, credit: (finalPrice - afterPlatformFee) / 100 },
+        ]
+    });
+};
+
+export const postCancellationFee = async (manager, { order, cancellationFee }) => {
+    return postJournalEntry(manager, {
+        entryType: LEDGER_ENTRY_TYPE.CANCELLATION_FEE,
+        idempotencyKey: `cancellation_fee:${order.id}`,
+        orderId: order.id,
+        referenceType: "Orders",
+        referenceId: order.id,
+        description: "Cancellation fee retained",
+        lines: [
+            { account: LEDGER_ACCOUNT.CUSTOMER_ADVANCES, customerId: order.customerId, debit: cancellationFee },
+            { account: LEDGER_ACCOUNT.CANCELLATION_FEE_REVENUE, credit: cancellationFee },
+        ]
+    });
+};
+
+/**
+ * A refund first returns what the customer still has on account for the order (cancellations, price
+ * differences). Anything beyond that, such as a complaint refund on a completed order, is a platform expense.
+ *
+ * @param {import("typeorm").EntityManager} manager
+ * @param {Object} params
+ * @param {string} params.razorpayRefundId
+ * @param {string} params.razorpayPaymentId
+ * @param {number} params.amount - In paise, as returned by Razorpay.
+ */
+export const postRefundProcessed = async (manager, { razorpayRefundId, razorpayPaymentId, amount }) => {
+    const payment = await manager.findOne(Payments, { where: { razorpayPaymentId }, select: { id: true, orderId: true, customerId: true } });
+    if (!payment) {
+        logger.warn(`Refund ${razorpayRefundId} not posted to the ledger: payment ${razorpayPaymentId} not found`);
+        return null;
+    }
+
+    const fromAdvances = Math.min(amount, Math.max(await getCustomerAdvanceBalance(manager, payment.orderId), 0));
+    return postJournalEntry(manager, {
+        entryType: LEDGER_ENTRY_TYPE.REFUND_PROCESSED,
+        idempotencyKey: `refund:${razorpayRefundId}`,
+        orderId: payment.orderId,
+        referenceType: "Refunds",
+        referenceId: razorpayRefundId,
+        description: "Refund processed",
+        lines: [
+            { account: LEDGER_ACCOUNT.CUSTOMER_ADVANCES, customerId: payment.customerId, debit: fromAdvances / 100 },
+            { account: LEDGER_ACCOUNT.REFUNDS_EXPENSE, customerId: payment.customerId, debit: (amount - fromAdvances) / 100 },
+            { account: LEDGER_ACCOUNT.RAZORPAY_CLEARING, credit: amount / 100 },
+        ]
+    });
+};
+
+/**
+ * Credit paid into a wallet. A refund taken as credit comes out of the order's advance like a Razorpay refund
+ * (and beyond it is a refund expense); referral rewards and grants are an expense of their own.
+ *
+ * @param {import("typeorm").EntityManager} manager
+ * @param {Object} transaction - The saved CREDIT WalletTransactions row.
+ */
+export const postWalletCredited = async (manager, transaction) => {
+    const amount = toPaise(transaction.amount);
+    const lines = [{ account: LEDGER_ACCOUNT.CUSTOMER_WALLET, customerId: transaction.customerId, credit: amount / 100 }];
+
+    if (transaction.source === WALLET_TRANSACTION_SOURCE.REFUND) {
+        const fromAdvances = transaction.orderId
+            ? Math.min(amount, Math.max(await getCustomerAdvanceBalance(manager, transaction.orderId), 0))
+            : 0;
+        lines.push(
+            { account: LEDGER_ACCOUNT.CUSTOMER_ADVANCES, customerId: transaction.customerId, debit: fromAdvances / 100 },
+            { account: LEDGER_ACCOUNT.REFUNDS_EXPENSE, customerId: transaction.customerId, debit: (amount - fromAdvances) / 100 },
+        );
+    } else {
+        lines.push({ account: LEDGER_ACCOUNT.WALLET_GRANTS_EXPENSE, customerId: transaction.customerId, debit: amount / 100 });
+    }
+
+    return postJournalEntry(manager, {
+        entryType: LEDGER_ENTRY_TYPE.WALLET_CREDITED,
+        idempotencyKey: `wallet_credit:${transaction.id}`,
+        orderId: transaction.orderId,
+        referenceType: "WalletTransactions",
+        referenceId: transaction.id,
+        description: `Wallet credited (${transaction.source.toLowerCase()})`,
+        lines
+    });
+};
+
+export const postWalletExpired = async (manager, transaction) => {
+    const amount = parseFloat(transaction.amount);
+    return postJournalEntry(manager, {
+        entryType: LEDGER_ENTRY_TYPE.WALLET_EXPIRED,
+        idempotencyKey: `wallet_expiry:${transaction.id}`,
+        referenceType: "WalletTransactions",
+        referenceId: transaction.id,
+        description: "Wallet credit expired",
+        lines: [
+            { account: LEDGER_ACCOUNT.CUSTOMER_WALLET, customerId: transaction.customerId, debit: amount },
+            { account: LEDGER_ACCOUNT.WALLET_EXPIRY_REVENUE, credit: amount },
+        ]
+    });
+};
+
+/**
+ * Charges a vendor. The vendor's payable goes down whether the amount comes out of a pending payout
+ * or is carried as an outstanding deduction, so later payouts settle it without another entry.
+ *
+ * @param {import("typeorm").EntityManager} manager
+ * @param {Object} params
+ * @param {string} params.idempotencyKey
+ * @param {string} params.vendorId
+ * @param {string} [params.orderId]
+ * @param {number} params.amount
+ * @param {boolean} [params.recoversRefund=false] - The deduction pays back a refund the platform made to the customer.
+ * @param {string} params.referenceType
+ * @param {string} params.referenceId
+ * @param {string} [params.description]
+ */
+export const postVendorDeduction = async (manager, { idempotencyKey, vendorId, orderId = null, amount, recoversRefund = false, referenceType, referenceId, description = null }) => {
+    return postJournalEntry(manager, {
+        entryType: LEDGER_ENTRY_TYPE.VENDOR_DEDUCTION,
+        idempotencyKey,
+        orderId,
+        referenceType,
+        referenceId,
+        description,
+        lines: [
+            { account: LEDGER_ACCOUNT.VENDOR_PAYABLE, vendorId, debit: amount },
+            { account: recoversRefund ? LEDGER_ACCOUNT.REFUNDS_EXPENSE : LEDGER_ACCOUNT.PENALTY_REVENUE, credit: amount },
+        ]
+    });
+};
+
+/**
+ * Records a payout status that moves money: `processed` pays the vendor, and `reversed` undoes a
+ * payout that was posted as processed. Other statuses post nothing.
+ *
+ * @param {import("typeorm").EntityManager} manager
+ * @param {Object} params
+ * @param {string} params.status - The Razorpay payout status.
+ * @param {string} params.vendorId
+ * @param {string} [params.orderId] - Set for single payouts; batches cover many orders.
+ * @param {number} params.amount - In rupees.
+ * @param {string} params.referenceType - `Payouts` or `PayoutBatches`.
+ * @param {string} params.referenceId - The Payouts/PayoutBatches row id.
+ */
+export const postPayoutStatus = async (manager, { status, vendorId, orderId = null, amount, referenceType, referenceId }) => {
+    const processedKey = `payout:${referenceId}:processed`;
+
+    if (status === "processed") {
+        return postJournalEntry(manager, {
+            entryType: LEDGER_ENTRY_TYPE.PAYOUT_PROCESSED,
+            idempotencyKey: processedKey,
+            orderId,
+            referenceType,
+            referenceId,
+            description: "Payout processed",
+            lines: [
+                { account: LEDGER_ACCOUNT.VENDOR_PAYABLE, vendorId, debit: amount },
+                { account: LEDGER_ACCOUNT.RAZORPAY_CLEARING, credit: amount },
+            ]
+        });
+    }
+
+    if (status === "reversed") {
+        const wasProcessed = await manager.exists(LedgerEntries, { where: { idempotencyKey: processedKey } });
+        if (!wasProcessed) return null;
+        return postJournalEntry(manager, {
+            entryType: LEDGER_ENTRY_TYPE.PAYOUT_REVERSED,
+            idempotencyKey: `payout:${referenceId}:reversed`,
+            orderId,
+            referenceType,
+            referenceId,
+            description: "Payout reversed",
+            lines: [
+                { account: LEDGER_ACCOUNT.RAZORPAY_CLEARING, debit: amount },
+                { account: LEDGER_ACCOUNT.VENDOR_PAYABLE, vendorId, credit: amount },
+            ]
+        });
+    }
+
+    return null;
+};
+
+//========================= REPORTS =========================
+
+const applyDateRange = (qb, alias, { from, to }) => {
+    if (from) qb.andWhere(`${alias}.createdAt >= :from`, { from: new Date(from) });
+    if (to) qb.andWhere(`${alias}.createdAt <= :to`, { to: new Date(to) });
+    return qb;
+};
+
+/**
+ * Journal entries with their postings, newest first.
+ */
+export const getLedgerEntries = async (filters) => {
+    try {
+        const page = Math.max(1, parseInt(filters.page) || 1);
+        const limit = Math.max(1, Math.min(parseInt(filters.limit) || 10, 100));
+
+        const qb = AppDataSource.getRepository(LedgerEntries).createQueryBuilder("entries")
+            .leftJoinAndSelect("entries.postings", "postings");
+
+        if (filters.entryType) qb.andWhere("entries.entryType = :entryType", { entryType: filters.entryType });
+        if (filters.orderId) qb.andWhere("entries.orderId = :orderId", { orderId: filters.orderId });
+        if (filters.referenceId) qb.andWhere("entries.referenceId = :referenceId", { referenceId: filters.referenceId });
+        if (filters.account || filters.vendorId) {
+            const sub = AppDataSource.getRepository(LedgerPostings).createQueryBuilder("p").select("p.entryId");
+            if (filters.account) sub.andWhere("p.account = :account");
+            if (filters.vendorId) sub.andWhere("p.vendorId = :vendorId");
+            qb.andWhere(`entries.id IN (${sub.getQuery()})`, { account: filters.account, vendorId: filters.vendorId });
+        }
+        applyDateRange(qb, "entries", filters);
+
+        const [entries, totalCount] = await qb
+            .orderBy("entries.createdAt", "DESC")
+            .skip((page - 1) * limit)
+            .take(limit)
+            .getManyAndCount();
+
+        return {
+            entries,
+            pagination: {
+                currentPage: page,
+                itemsPerPage: limit,
+                totalItems: totalCount,
+                totalPages: Math.ceil(totalCount / limit),
+                hasMore: page * limit < totalCount
+            }
+        };
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+};
+
+/**
+ * Debit and credit totals per account. Total debits always equal total credits; `isBalanced` is false
+ * only if postings were changed outside this service.
+ */
+export const getTrialBalance = async (filters) => {
+    try {
+        const qb = AppDataSource.getRepository(LedgerPostings).createQueryBuilder("postings")
+            .select("postings.account", "account")
+            .addSelect("COALESCE(SUM(postings.debit), 0)", "debit")
+            .addSelect("COALESCE(SUM(postings.credit), 0)", "credit")
+            .groupBy("postings.account")
+            .orderBy("postings.account", "ASC");
+        applyDateRange(qb, "postings", filters);
+        const rows = await qb.getRawMany();
+
+        const accounts = rows.map((row) => ({
+            account: row.account,
+            debit: parseFloat(row.debit),
+            credit: parseFloat(row.credit),
+            balance: Math.round((parseFloat(row.debit) - parseFloat(row.credit)) * 100) / 100
+        }));
+        const totalDebit = accounts.reduce((sum, row) => sum + toPaise(row.debit), 0);
+        const totalCredit = accounts.reduce((sum, row) => sum + toPaise(row.credit), 0);
+
+        return {
+            accounts,
+            totalDebit: totalDebit / 100,
+            totalCredit: totalCredit / 100,
+            isBalanced: totalDebit === totalCredit
+        };
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+};
+
+/**
+ * Platform revenue by account for a period, less refunds, promo discounts and wallet grants the platform bore itself.
+ */
+export const getPlatformRevenue = async (filters) => {
+    try {
+        const qb = AppDataSource.getRepository(LedgerPostings).createQueryBuilder("postings")
+            .select("postings.account", "account")
+            .addSelect("COALESCE(SUM(postings.credit - postings.debit), 0)", "amount")
+            .where("postings.account IN (:...accounts)", { accounts: [...REVENUE_ACCOUNTS, ...EXPENSE_ACCOUNTS] })
+            .groupBy("postings.account");
+        applyDateRange(qb, "postings", filters);
+        const rows = await qb.getRawMany();
+
+        const byAccount = Object.fromEntries([...REVENUE_ACCOUNTS, ...EXPENSE_ACCOUNTS].map((account) => [account, 0]));
+        rows.forEach((row) => { byAccount[row.account] = parseFloat(row.amount); });
+
+        const grossRevenue = REVENUE_ACCOUNTS.reduce((sum, account) => sum + toPaise(byAccount[account]), 0);
+        const refundsBorne = -toPaise(byAccount[LEDGER_ACCOUNT.REFUNDS_EXPENSE]);
+        const promoDiscounts = -toPaise(byAccount[LEDGER_ACCOUNT.PROMO_DISCOUNT_EXPENSE]);
+        const walletGrants = -toPaise(byAccount[LEDGER_ACCOUNT.WALLET_GRANTS_EXPENSE]);
+
+        return {
+            revenue: Object.fromEntries(REVENUE_ACCOUNTS.map((account) => [account, byAccount[account]])),
+            grossRevenue: grossRevenue / 100,
+            refundsBorne: refundsBorne / 100,
+            promoDiscounts: promoDiscounts / 100,
+            walletGrants: walletGrants / 100,
+            netRevenue: (grossRevenue - refundsBorne - promoDiscounts - walletGrants) / 100
+        };
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+};
+
+/**
+ * A vendor's payable balance and how it was built up. A negative balance means the vendor owes the
+ * platform deductions that no payout has covered yet.
+ */
+export const getVendorLedgerBalance = async (vendorId) => {
+    try {
+        const rows = await AppDataSource.getRepository(LedgerPostings).createQueryBuilder("postings")
+            .innerJoin("postings.entry", "entry")
+            .select("entry.entryType", "entryType")
+            .addSelect("COALESCE(SUM(postings.credit - postings.debit), 0)", "amount")
+            .where("postings.account = :account", { account: LEDGER_ACCOUNT.VENDOR_PAYABLE })
+            .andWhere("postings.vendorId = :vendorId", { vendorId })
+            .groupBy("entry.entryType")
+            .getRawMany();
+
+        const byType = Object.fromEntries(rows.map((row) => [row.entryType, toPaise(row.amount)]));
+        const earned = byType[LEDGER_ENTRY_TYPE.ORDER_COMPLETED] || 0;
+        const deductions = -(byType[LEDGER_ENTRY_TYPE.VENDOR_DEDUCTION] || 0);
+        const paidOut = -((byType[LEDGER_ENTRY_TYPE.PAYOUT_PROCESSED] || 0) + (byType[LEDGER_ENTRY_TYPE.PAYOUT_REVERSED] || 0));
+
+        return {
+            vendorId,
+            earned: earned / 100,
+            deductions: deductions / 100,
+            paidOut: paidOut / 100,
+            balance: (earned - deductions - paidOut) / 100
+        };
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+};
@@ -1,6 +1,6 @@
 import { z } from "zod";
 import Razorpay from "razorpay";
-import { In } from "typeorm";
+import { In, Not } from "typeorm";
 
 // Local imports
 import { logger } from "../utils/logger-utils.mjs";
@@ -12,13 +12,23 @@ import { OrderVendors } from "../entities/OrderVendors.mjs";
 import { Customers } from "../entities/Customers.mjs";
 import { Vendors } from "../entities/Vendors.mjs";
 import { OrderQuotes } from "../entities/OrderQuote.mjs";
-import { ORDER_VENDOR_STATUS, ORDER_STATUS, SERVICE_TYPE, ROLE, PAYMENT_ATTEMPT } from "../types/enums/index.mjs";
-import { calculateVendorPayoutAmount, calculateOrderAmount } from "../utils/pricing_utils.mjs";
-import { Outbox } from "../entities/Outbox.mjs";
-import { DeliveryTracking } from "../entities/DeliveryTracking.mjs";
-import { pushQueue, emailQueue, notificationHistoryQueue } from "../queues/index.mjs";
+import { ORDER_VENDOR_STATUS, ORDER_STATUS, SERVICE_TYPE, ROLE, PAYMENT_ATTEMPT, MISC, REFUND_DESTINATION, PAYMENT_INSTALMENT, PROMO_FUNDED_BY } from "../types/enums/index.mjs";
+import { calculateVendorPayoutAmount, calculateOrderAmount, calculateCancellationRefund, calculateVendorCancellationPenalty, calculateDeliveryCharge, calculateAdvanceSplit } from "../utils/pricing_utils.mjs";
+import { pushQueue, notificationHistoryQueue } from "../queues/index.mjs";
 import { OrderStatusTimeline } from "../entities/orderStatusTimeline.mjs";
 import { PaymentAttempts } from "../entities/PaymentAttempts.mjs";
+import { createTimelineEntry, transitionOrder, transitionOrderVendor, transitionOrderVendors, isBalanceDue } from "../utils/state-machine.mjs";
+import { Payments } from "../entities/Payments.mjs";
+import { VendorStats } from "../entities/VendorStats.mjs";
+import { Payouts } from "../entities/Payouts.mjs";
+import { postCancellationFee, postVendorDeduction } from "./ledgerService.mjs";
+import { raiseVendorPayout, recoverAdvancePayout } from "./payoutService.mjs";
+import { applyPromoCode, reservePromoCode, releasePromoReservation, redeemAppliedPromoCode, reversePromoRedemption, getOrderPromoRedemption, transferPromoRedemption } from "./promoService.mjs";
+import { getWalletBalance, refundOrderPayment } from "./walletService.mjs";
+import { applyOrderPayment, applyBalancePayment, notifyPaymentCaptured } from "./webhookService.mjs";
+import { resolveOrderCatalogItems } from "./catalogService.mjs";
+import { assertVendorsAvailable, loadVendorSchedules, isResponseWindowOver } from "./availabilityService.mjs";
+import { PROMO_MIN_PAYABLE_AMOUNT, ADVANCE_PERCENT_RANGE } from "../config/constants.mjs";
 
 const orderRepo = AppDataSource.getRepository(Orders);
 const orderStatusTimelineRepo = AppDataSource.getRepository(OrderStatusTimeline);
@@ -48,6 +58,7 @@ const orderItemSchema = z.object({
     designImage2: z.string().optional().nullable().default(null),
     clothProvided: z.boolean().optional().nullable().default(false),
     tailorService: z.string().optional().nullable().default(null),
+    catalogItemId: z.string().uuid().optional().nullable().default(null),
 }).refine(data => {
     if (!data.laundryService) {
         if(data.measurementType === "refCloth") {
@@ -103,6 +114,7 @@ const vendorOrderResponseSchema = z.object({
     action: z.enum([ORDER_VENDOR_STATUS.ACCEPTED, ORDER_VENDOR_STATUS.REJECTED]),
     quotedPrice: z.number().positive().optional(),
     quotedDays: z.number().int().positive().optional(),
+    advancePercent: z.number().int().min(ADVANCE_PERCENT_RANGE.min).max(ADVANCE_PERCENT_RANGE.max).optional().nullable(),
     notes: z.string().max(500).optional().nullable(),
 }).refine(data => {
     if (data.action === ORDER_VENDOR_STATUS.ACCEPTED) {
@@ -117,34 +129,91 @@ const createRazorpayOrderSchema = z.object({
     userId: z.string().uuid(),
     orderId: z.string().uuid(),
     quoteId: z.string().uuid(),
+    promoCode: z.string().trim().min(1).max(30).optional().nullable(),
+    useWallet: z.boolean().optional().default(false),
 });
 
-//=================== HELPER FUNCTIONS ====================
+const createBalancePaymentOrderSchema = z.object({
+    userId: z.string().uuid(),
+    orderId: z.string().uuid(),
+    useWallet: z.boolean().optional().default(false),
+});
+
+const cancelOrderSchema = z.object({
+    userId: z.string().uuid(),
+    orderId: z.string().uuid(),
+    reason: z.string().max(500).optional().nullable(),
+    refundTo: z.enum(Object.values(REFUND_DESTINATION)).optional(),
+});
+
+const vendorCancelOrderSchema = z.object({
+    userId: z.string().uuid(),
+    orderId: z.string().uuid(),
+    reason: z.string().min(1, { message: "Reason is required" }).max(500),
+});
+
+const reassignOrderVendorSchema = z.object({
+    userId: z.string().uuid(),
+    orderId: z.string().uuid(),
+    quoteId: z.string().uuid(),
+});
+
+const instantBookOrderSchema = z.object({
+    userId: z.string().uuid(),
+    orderId: z.string().uuid(),
+});
+
+//========================= HELPERS =========================
 
 /**
- * @description A crucial helper to create an audit trail entry in the OrderStatusTimeline table.
- * It records the transition of an order from one state to another, who changed it, and when.
- * THIS MUST ALWAYS BE CALLED WITHIN AN ACTIVE DATABASE TRANSACTION to ensure data consistency.
- * @param {import('typeorm').QueryRunner} queryRunner - The active TypeORM query runner.
- * @param {string} orderId - The UUID of the order being updated.
- * @param {string|null} previousStatus - The status the order is transitioning from (null for creation).
- * @param {string} newStatus - The new status of the order.
- * @param {string} changedById - The UUID of the user or system responsible for the change.
- * @param {string} changedByRole - The role of the entity making the change (e.g., 'CUSTOMER', 'SYSTEM').
- * @param {string|null} [notes=null] - Optional notes providing context for the status change.
- * @returns {Promise<void>}
+ * Prices a quote and saves it. Shared by vendor quotes and instant bookings so both go through the same fees.
+ * MUST BE CALLED WITHIN AN ACTIVE DATABASE TRANSACTION.
+ *
+ * @param {import('typeorm').QueryRunner} queryRunner
+ * @param {Object} params
+ * @param {string} params.orderVendorId
+ * @param {string} params.vendorId
+ * @param {Object} params.order - Needs `pincode` and `clothProvided`.
+ * @param {number} params.quotedPrice
+ * @param {number} params.quotedDays
+ * @param {number|null} [params.advancePercent]
+ * @param {string|null} [params.notes]
+ * @param {boolean} [params.isInstantBook]
+ * @returns {Promise<Object>} The saved OrderQuotes row.
  */
-export const createTimelineEntry = async (queryRunner, orderId, previousStatus, newStatus, changedById, changedByRole, notes = null) => {
-    const timelineEntry = queryRunner.manager.create(OrderStatusTimeline, {
-        orderId,
-        previousStatus,
-        newStatus,
-        changedBy: changedById,
-        changedByRole,
-        notes,
-        changedAt: new Date()
+const saveOrderQuote = async (queryRunner, { orderVendorId, vendorId, order, quotedPrice, quotedDays, advancePercent = null, notes = null, isInstantBook = false }) => {
+    /*
+    * 
+    *   Save the quotedPrice (By Vendor)
+    *   Calculate and save the vendorPayoutAfterCommission  -- FOR VENDOR PAYOUTS VIA ADMIN / RAZORPAY DASHBOARD 
+    *   Calculate and save the priceAfterPlatformFee
+    *   Calculate and save the deliveryCharge and its breakdown -- distance slabs and surge from Settings
+    *   Calculate and save the finalPrice -- TO BE ADDED ON RAZORPAY ORDER
+    * 
+    */
+
+    const vendorPayoutAfterCommission = await calculateVendorPayoutAmount(quotedPrice);
+    const priceAfterPlatformFee = await calculateOrderAmount(quotedPrice);
+    const { deliveryCharge, breakdown: deliveryChargeBreakdown } = await calculateDeliveryCharge({
+        vendorId,
+        pincode: order.pincode,
+        roundTrip: order.clothProvided
+    });
+    const finalPrice = priceAfterPlatformFee + deliveryCharge;
+
+    return queryRunner.manager.save(OrderQuotes, {
+        orderVendorId,
+        quotedDays: quotedDays,
+        quotedPrice: quotedPrice,
+        vendorPayoutAfterCommission: vendorPayoutAfterCommission,
+        priceAfterPlatformFee: priceAfterPlatformFee,
+        deliveryCharge: deliveryCharge,
+        deliveryChargeBreakdown: deliveryChargeBreakdown,
+        finalPrice: finalPrice,
+        advancePercent: advancePercent ?? null,
+        notes: notes || null,
+        isInstantBook
     });
-    await queryRunner.manager.save(OrderStatusTimeline, timelineEntry);
 };
 
 //========================= ORDER CREATION AND MANAGEMENT =========================
@@ -160,6 +229,7 @@ export const createTimelineEntry = async (queryRunner, orderId, previousStatus,
  * - If measurementType is 'refCloth', then no measurements are required. if the reference cloth is provided then it is an 2-way order. (The frontend will mark clothProvided as true on this action).
  * - If clothProvied is true, then its a 2-way order else its a 1-way order which means the vendor will start the work when the order is confirmed and ships the finished cloth to the customer.
  * - If any one of the orderItems has clothProvided as true, then clothProvided is true for the order. (handled by frontend)
+ * - An item can reference an active entry from a vendor's service catalog (catalogItemId). All referenced entries must come from one verified vendor of the order's service type; the entry's price and unit are copied onto the item.
  * 
  * @apiBody {string} orderName - The name of the order.
  * @apiBody {string} orderType - The type of the order.
@@ -194,6 +264,7 @@ export const createTimelineEntry = async (queryRunner, orderId, previousStatus,
  * @apiBody {string} orderItems.designImage1 - The first design image of the item.(optional) (default is null)
  * @apiBody {string} orderItems.designImage2 - The second design image of the item.(optional) (default is null)
  * @apiBody {boolean} orderItems.clothProvided - Whether the cloth is provided for the item.(optional) (default is false)
+ * @apiBody {string} orderItems.catalogItemId - The vendor catalog item this item is for.(optional) (default is null)
  *
  * @param {Object} data - The order data.
  * @param {string} data.userId - The UUID of the user.
@@ -229,13 +300,14 @@ export const createTimelineEntry = async (queryRunner, orderId, previousStatus,
  * @param {string} data.orderItems.designImage1 - The first design image of the item.
  * @param {string} data.orderItems.designImage2 - The second design image of the item.
  * @param {boolean} data.orderItems.clothProvided - Whether the cloth is provided for the item.
+ * @param {string} data.orderItems.catalogItemId - The vendor catalog item this item is for.
  *
  * @returns {Promise<Object>} { message: "Order created successfully", orderId: string }
  * 
  * @apiSuccess {string} message - A success confirmation message.
  * @apiSuccess {string} orderId - The UUID of the newly created order.
  *
- * @apiError {Error} 400 - If the input data fails Zod validation.
+ * @apiError {Error} 400 - If the input data fails Zod validation, or a referenced catalog item can't be ordered.
  * @apiError {Error} 404 - If the customer profile is not found for the user.
  * @apiError {Error} 500 - If the order fails to be created for any reason.
  */
@@ -252,6 +324,12 @@ export const createOrder = async (data) => {
         const customer = await queryRunner.manager.findOne(Customers, { where: { userId: userId }, select: { id: true} });
         if (!customer) throw sendError("Customer profile not found", 404);
 
+        const catalogItems = await resolveOrderCatalogItems(
+            queryRunner.manager,
+            orderItems.map(item => item.catalogItemId).filter(Boolean),
+            serviceType
+        );
+
         const order = await queryRunner.manager.save(Orders, {
             customerId: customer.id,
             orderName,
@@ -295,12 +373,15 @@ export const createOrder = async (data) => {
             'Order created by customer.'
         );
 
-        const itemToSave = orderItems.map(item => 
-            queryRunner.manager.create(OrderItems, {
+        const itemToSave = orderItems.map(item => {
+            const catalogItem = item.catalogItemId ? catalogItems.get(item.catalogItemId) : null;
+            return queryRunner.manager.create(OrderItems, {
                 orderId: order.id,
                 ...item,
-            })
-        );
+                catalogPrice: catalogItem?.basePrice ?? null,
+                catalogUnit: catalogItem?.unit ?? null,
+            });
+        });
 
         await queryRunner.manager.save(OrderItems, itemToSave);
 
@@ -331,8 +412,9 @@ export const createOrder = async (data) => {
  * @apiName SendOrderToVendor
  * @apiGroup Order
  * @apiDescription Allows a customer to send a 'PENDING' order to a list of vendors to request quotes. sends push notification to the vendors.
- * @apiDescription **Business Rule:** A customer has a pool of 10 "active" vendor slots per order. An active slot is one that is 'PENDING' or 'ACCEPTED'. A slot is freed if a vendor 'REJECTS' the request or if the request 'EXPIRES' (after 24 hours) having no response from the vendor or if the vendor has ACCEPTED but the customer fails to make payment within 24 hours. This prevents spamming vendors.
+ * @apiDescription **Business Rule:** A customer has a pool of 10 "active" vendor slots per order. An active slot is one that is 'PENDING' or 'ACCEPTED'. A slot is freed if a vendor 'REJECTS' the request or if the request 'EXPIRES' (after 24 business hours, see availabilityService) having no response from the vendor or if the vendor has ACCEPTED but the customer fails to make payment within 24 hours. This prevents spamming vendors.
  * - If an order is send to vendor once, it cannot be sent to the same vendor again (even if the request is expired or rejected).
+ * - Vendors on holiday / vacation or at their order cap can't be sent new requests. Vendors outside their opening hours can.
  * 
  * @apiBody {string} orderId - The UUID of the 'PENDING' order.
  * @apiBody {string[]} vendorIds - An array of vendor UUIDs to send the request to (max 10).
@@ -344,7 +426,7 @@ export const createOrder = async (data) => {
  * @apiSuccess {string} message - A success message indicating how many new vendors received the request.
  * @apiSuccess {string[]} sentTo - An array of vendor UUIDs the request was successfully sent to.
  *
- * @apiError {Error} 400 - If order is not 'PENDING', or if one or more vendor IDs are invalid.
+ * @apiError {Error} 400 - If order is not 'PENDING', if one or more vendor IDs are invalid, or if a new vendor is unavailable (the message names each one and why; `data.unavailableVendors` lists vendorId, reason and until).
  * @apiError {Error} 403 - If the user is not the owner of the order.
  * @apiError {Error} 404 - If the customer profile or order is not found.
  * @apiError {Error} 409 - If the request has already been sent to all specified vendors, or if sending to the new vendors would exceed the 10-slot limit.
@@ -363,16 +445,17 @@ export const sendOrderToVendor = async (data) => {
         const customer = await queryRunner.manager.findOne(Customers, { where: { userId: userId }, select: { id: true } });
         if (!customer) throw sendError("Customer profile not found", 404);
 
-        const order = await queryRunner.manager.findOne(Orders, { where: { id: orderId}, select: { id: true, customerId: true, orderStatus: true, requiredByDate: true } });
+        const order = await queryRunner.manager.findOne(Orders, { where: { id: orderId}, select: { id: true, customerId: true, orderStatus: true, requiredByDate: true, isPaid: true } });
         if (!order) throw sendError("Order not found", 404);
         if (order.customerId !== customer.id) throw sendError("You are not authorized to access this order", 403);
         if (order.orderStatus !== ORDER_STATUS.PENDING) throw sendError("This order is not pending and cannot be sent to vendors", 400);
+        if (order.isPaid) throw sendError("This order is already paid. Choose one of the existing quotes instead", 400);
         if (new Date(order.requiredByDate) < new Date()) throw sendError("This order's required by date is in the past", 400);
 
         // checking vendor validity and calculating available slots
         const [allAssignments, validVendors] = await Promise.all([
             queryRunner.manager.find(OrderVendors, { where: { orderId: orderId }, select: { vendorId: true, status: true } }),
-            queryRunner.manager.find(Vendors, { where: { id: In(uniqueVendorIds), status: "VERIFIED" }, select: { id: true } })
+            queryRunner.manager.find(Vendors, { where: { id: In(uniqueVendorIds), status: "VERIFIED" }, select: { id: true, shopName: true } })
         ]);
 
         if (validVendors.length !== uniqueVendorIds.length) throw sendError("One or more selected vendors are invalid or not verified.", 400);
@@ -391,6 +474,8 @@ export const sendOrderToVendor = async (data) => {
 
         if (availableSlots < newVendorIdsToSend.length) throw sendError(`You can only send this order to ${availableSlots} more vendor(s) at this time.`, 409);
 
+        await assertVendorsAvailable(queryRunner.manager, validVendors.filter(vendor => newVendorIdsToSend.includes(vendor.id)));
+
         const newAssignments = newVendorIdsToSend.map(vendorId => 
             queryRunner.manager.create(OrderVendors, {
                 orderId,
@@ -433,14 +518,14 @@ export const sendOrderToVendor = async (data) => {
                 pushQueue.add("sendNewOrderNotification", {
                     token: vendor.user_pushToken,
                     title: "New Order Request",
-                    message: `You have a new order to quote. Please respond within 24 hours.`,
+                    message: `You have a new order to quote. Please respond within 24 business hours.`,
                     data: { url: '/(vendor)/(portal)/orders'}
                 });
                 }
                 notificationHistoryQueue.add("saveNotificationHistory", {
                     userId: vendor.user_id,
                     title: "New Order Request",
-                    body: `You have a new order to quote. Please respond within 24 hours.`,
+                    body: `You have a new order to quote. Please respond within 24 business hours.`,
                     timestamp: new Date(),
                 });
             });
@@ -455,17 +540,166 @@ export const sendOrderToVendor = async (data) => {
     };
 }
 
+/**
+ * @api {post} /api/order/instantBookOrder Instant-Book Order at Catalog Prices (customer route)
+ * @apiName InstantBookOrder
+ * @apiGroup Order
+ * @apiDescription Books a 'PENDING' order straight with a vendor, skipping the quote request. Every item of the order must reference an active entry of the same vendor's catalog that the vendor has opened for instant booking.
+ * The quote is generated on the spot: the price is the sum of each entry's base price times the item count (the count is in the entry's unit, e.g. kg), the days are the longest turnaround, and fees and delivery are added exactly as for a vendor's quote. The request counts as accepted by the vendor, so the customer can pay the returned quote with `/createRazorpayOrder` right away.
+ * Calling it again for the same order returns the same quote while it is unpaid and the prices haven't changed.
+ *
+ * @apiBody {string} orderId - The UUID of the 'PENDING' order.
+ *
+ * @param {Object} data - The data.
+ * @param {string} data.userId - The UUID of the user.
+ * @param {string} data.orderId - The UUID of the order.
+ *
+ * @apiSuccess {string} message - A success confirmation message.
+ * @apiSuccess {string} orderVendorId - The UUID of the order-vendor request.
+ * @apiSuccess {string} quoteId - The UUID of the generated quote, to pay with `/createRazorpayOrder`.
+ * @apiSuccess {string} vendorId - The UUID of the vendor.
+ * @apiSuccess {number} quotedPrice - The catalog price of the items.
+ * @apiSuccess {number} quotedDays - The longest turnaround of the items.
+ * @apiSuccess {number} deliveryCharge - The delivery charge.
+ * @apiSuccess {number} finalPrice - What the customer pays.
+ *
+ * @apiError {Error} 400 - If the order is not 'PENDING' or already paid, an item has no catalog entry, an entry can't be booked instantly, the vendor can't finish before the required by date, or the vendor is on time off or at their order cap.
+ * @apiError {Error} 403 - If the user is not the owner of the order.
+ * @apiError {Error} 404 - If the customer profile or order is not found.
+ * @apiError {Error} 409 - If the order was already sent to this vendor for a quote, or has no free vendor slots.
+ */
+export const instantBookOrder = async (data) => {
+    const queryRunner = AppDataSource.createQueryRunner();
+    await queryRunner.connect();
+    await queryRunner.startTransaction();
+
+    try {
+        const { userId, orderId } = instantBookOrderSchema.parse(data);
+
+        const customer = await queryRunner.manager.findOne(Customers, { where: { userId: userId }, select: { id: true } });
+        if (!customer) throw sendError("Customer profile not found", 404);
+
+        const order = await queryRunner.manager.findOne(Orders, { where: { id: orderId }, lock: { mode: "pessimistic_write" } });
+        if (!order) throw sendError("Order not found", 404);
+        if (order.customerId !== customer.id) throw sendError("You are not authorized to access this order", 403);
+        if (order.orderStatus !== ORDER_STATUS.PENDING) throw sendError("This order is not pending and cannot be booked", 400);
+        if (order.isPaid) throw sendError("This order is already paid", 400);
+
+        const items = await queryRunner.manager.find(OrderItems, { where: { orderId } });
+        if (items.length === 0 || items.some(item => !item.catalogItemId)) {
+            throw sendError("Only orders where every item is from a vendor's catalog can be booked instantly", 400);
+        }
+
+        const catalogItems = await resolveOrderCatalogItems(queryRunner.manager, items.map(item => item.catalogItemId), order.serviceType);
+        const notInstant = [...catalogItems.values()].filter(catalogItem => !catalogItem.instantBook);
+        if (notInstant.length > 0) {
+            throw sendError(`${notInstant.map(catalogItem => catalogItem.name).join(", ")} can't be booked instantly. Send the order to the vendor for a quote instead`, 400);
+        }
+
+        const vendor = catalogItems.values().next().value.vendor;
+        const vendorId = vendor.id;
+        const quotedPrice = Math.round(items.reduce((sum, item) => sum + Number(catalogItems.get(item.catalogItemId).basePrice) * item.itemCount, 0) * 100) / 100;
+        const quotedDays = Math.max(...[...catalogItems.values()].map(catalogItem => catalogItem.turnaroundDays));
+
+        const readyBy = new Date(Date.now() + quotedDays * 24 * 60 * 60 * 1000);
+        if (readyBy > new Date(order.requiredByDate)) {
+            throw sendError(`The vendor needs ${quotedDays} day(s) for these items, which is later than the order's required by date`, 400);
+        }
+
+        const assignments = await queryRunner.manager.find(OrderVendors, { where: { orderId }, select: { id: true, vendorId: true, status: true } });
+        const existing = assignments.find(assignment => assignment.vendorId === vendorId);
+        if (existing) {
+            const existingQuote = existing.status === ORDER_VENDOR_STATUS.ACCEPTED
+                ? await queryRunner.manager.findOne(OrderQuotes, { where: { orderVendorId: existing.id } })
+                : null;
+            if (existingQuote?.isInstantBook && Math.abs(existingQuote.quotedPrice - quotedPrice) < 0.01) {
+                await queryRunner.commitTransaction();
+                return {
+                    message: "Order already booked",
+                    orderVendorId: existing.id,
+                    quoteId: existingQuote.id,
+                    vendorId,
+                    quotedPrice: existingQuote.quotedPrice,
+                    quotedDays: existingQuote.quotedDays,
+                    deliveryCharge: existingQuote.deliveryCharge,
+                    finalPrice: existingQuote.finalPrice,
+                };
+            }
+            throw sendError("This order was already sent to this vendor. Choose their quote instead", 409);
+        }
+
+        const activeSlotCount = assignments.filter(a => a.status === ORDER_VENDOR_STATUS.PENDING || a.status === ORDER_VENDOR_STATUS.ACCEPTED).length;
+        if (activeSlotCount >= 10) throw sendError("This order has no free vendor slots. Wait for a pending request to expire or be rejected", 409);
+
+        await assertVendorsAvailable(queryRunner.manager, [vendor]);
+
+        const orderVendor = await queryRunner.manager.save(OrderVendors, {
+            orderId,
+            vendorId,
+            status: ORDER_VENDOR_STATUS.PENDING
+        });
+        await transitionOrderVendor(queryRunner, {
+            where: { id: orderVendor.id },
+            to: ORDER_VENDOR_STATUS.ACCEPTED,
+            actorRole: ROLE.SYSTEM
+        });
+
+        // Bring the copied prices up to date with what the quote charges
+        for (const item of items) {
+            const catalogItem = catalogItems.get(item.catalogItemId);
+            await queryRunner.manager.update(OrderItems, { id: item.id }, { catalogPrice: catalogItem.basePrice, catalogUnit: catalogItem.unit });
+        }
+
+        const quote = await saveOrderQuote(queryRunner, {
+            orderVendorId: orderVendor.id,
+            vendorId,
+            order,
+            quotedPrice,
+            quotedDays,
+            notes: "Instant booking at catalog prices",
+            isInstantBook: true
+        });
+
+        await queryRunner.commitTransaction();
+
+        return {
+            message: "Order booked. Pay the quote to confirm it",
+            orderVendorId: orderVendor.id,
+            quoteId: quote.id,
+            vendorId,
+            quotedPrice: quote.quotedPrice,
+            quotedDays: quote.quotedDays,
+            deliveryCharge: quote.deliveryCharge,
+            finalPrice: quote.finalPrice,
+        };
+    } catch (err) {
+        if (queryRunner.isTransactionActive) {
+            await queryRunner.rollbackTransaction();
+        }
+        if (err instanceof z.ZodError) {
+            logger.warn("instantBookOrder validation failed", { errors: err.flatten().fieldErrors });
+            throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+        }
+        logger.error("Error in instantBookOrder service:", err);
+        throw err;
+    } finally {
+        await queryRunner.release();
+    }
+}
+
 /**
  * @api {post} /api/order/vendorOrderResponse Vendor Responds to Order (vendor route)
  * @apiName VendorOrderResponse
  * @apiGroup Order
  * @apiDescription Allows a vendor to 'ACCEPT' (and provide a quote) or 'REJECT' an order request from a customer. sends push notification to the customer.
- * @apiDescription **Business Rule:** A vendor must respond within 24 hours of receiving the request. After 24 hours, the request is considered 'EXPIRED' and cannot be acted upon. If accepted, the service calculates all pricing and fees and creates a formal quote.
+ * @apiDescription **Business Rule:** A vendor must respond within 24 business hours of receiving the request: time outside the vendor's opening hours or on holiday / vacation doesn't count, and the request expires after 7 days regardless. After that, the request is considered 'EXPIRED' and cannot be acted upon. If accepted, the service calculates all pricing and fees and creates a formal quote.
+ * The delivery charge is priced by the distance from the vendor to the order's pincode (two legs when the customer provides the cloth), using the `delivery_charge_slabs` and `delivery_surge_rules` settings.
  *
  * @apiBody {string} orderVendorId - The unique UUID for the order-vendor relationship.
  * @apiBody {string} action - The vendor's response: 'ACCEPTED' or 'REJECTED'.
  * @apiBody {number} [quotedPrice] - The price quoted by the vendor (Required if action is 'ACCEPTED').
  * @apiBody {number} [quotedDays] - The number of days the vendor estimates for completion (Required if action is 'ACCEPTED').
+ * @apiBody {number} [advancePercent] - For large orders, the share of the price (10-90) the customer pays upfront; the balance is paid when the item is ready. Omit to be paid in full upfront.
  * @apiBody {string} [notes] - Optional notes from the vendor.
  *
  * @param {Object} data - The data containing the user ID, order vendor ID, action, quoted price, quoted days, and notes.
@@ -474,6 +708,7 @@ export const sendOrderToVendor = async (data) => {
  * @param {string} data.action - The vendor's response: 'ACCEPTED' or 'REJECTED'.
  * @param {number} [data.quotedPrice] - The price quoted by the vendor (Required if action is 'ACCEPTED').
  * @param {number} [data.quotedDays] - The number of days the vendor estimates for completion (Required if action is 'ACCEPTED').
+ * @param {number} [data.advancePercent] - The share of the price paid upfront, for a split payment.
  * @param {string} [data.notes] - Optional notes from the vendor.
  * 
  * @returns {Promise<Object>} - The result of the response.
@@ -481,7 +716,7 @@ export const sendOrderToVendor = async (data) => {
  * @apiSuccess {string} message - A success confirmation message.
  *
  * @apiError {Error} 400 - If the order is no longer 'PENDING', or for invalid input.
- * @apiError {Error} 403 - If the vendor is not authorized for this request or if the 24-hour response window has expired.
+ * @apiError {Error} 403 - If the vendor is not authorized for this request or if the 24-business-hour response window has expired.
  * @apiError {Error} 404 - If the vendor profile or order request is not found.
  * @apiError {Error} 409 - If the vendor has already responded to this request.
  */
@@ -493,7 +728,7 @@ export const vendorOrderResponse = async (data) => {
     let notificationPayload = null;
 
     try {
-        const { userId, orderVendorId, action, quotedPrice, quotedDays, notes } = vendorOrderResponseSchema.parse(data);
+        const { userId, orderVendorId, action, quotedPrice, quotedDays, advancePercent, notes } = vendorOrderResponseSchema.parse(data);
 
         const vendor = await queryRunner.manager.findOne(Vendors, { where: { userId: userId }, select: { id: true, shopName: true } });
         if (!vendor) throw sendError("Vendor profile not found", 404);
@@ -508,49 +743,33 @@ export const vendorOrderResponse = async (data) => {
         if (orderVendor.order.orderStatus !== ORDER_STATUS.PENDING)  throw sendError("This order is no longer pending", 400);
         if (orderVendor.status !== ORDER_VENDOR_STATUS.PENDING) throw sendError("You have already responded to this order request with status: " + orderVendor.status, 409);
 
-        const hoursElapsed = (new Date() - new Date(orderVendor.createdAt)) / (1000 * 60 * 60);
-        if(hoursElapsed > 24 && orderVendor.status === ORDER_VENDOR_STATUS.PENDING) {
+        // The window only runs while the vendor is open, so time off and closed hours don't count
+        const schedule = (await loadVendorSchedules(queryRunner.manager, [vendor.id], orderVendor.createdAt)).get(vendor.id);
+        if(isResponseWindowOver(schedule, orderVendor.createdAt) && orderVendor.status === ORDER_VENDOR_STATUS.PENDING) {
             // orderVendor.status = ORDER_VENDOR_STATUS.EXPIRED;        // BACKGROUND JOB WILL UPDATE THE STATUS TO EXPIRED
             // await orderVendorRepo.save(orderVendor);
             throw sendError("The 24-hour response window has expired. Please contact the customer for a new request.", 403);
         }   
 
-        orderVendor.status = action === ORDER_VENDOR_STATUS.ACCEPTED ? ORDER_VENDOR_STATUS.ACCEPTED : ORDER_VENDOR_STATUS.REJECTED;
-
-        if (action === ORDER_VENDOR_STATUS.REJECTED) {
-            orderVendor.notes = notes || null;
-        }
-
-        await queryRunner.manager.save(OrderVendors, orderVendor);
+        await transitionOrderVendor(queryRunner, {
+            where: { id: orderVendor.id },
+            to: action,
+            actorRole: ROLE.VENDOR,
+            changes: action === ORDER_VENDOR_STATUS.REJECTED ? { notes: notes || null } : {}
+        });
 
         if(action === ORDER_VENDOR_STATUS.ACCEPTED) {
             const existingQuote = await queryRunner.manager.findOne(OrderQuotes, { where: { orderVendorId: orderVendor.id }, select: { id: true } });
             if(existingQuote) throw sendError("Quote already exists", 409);
 
-            /*
-            * 
-            *   Save the quotedPrice (By Vendor)
-            *   Calculate and save the vendorPayoutAfterCommission  -- FOR VENDOR PAYOUTS VIA ADMIN / RAZORPAY DASHBOARD 
-            *   Calculate and save the priceAfterPlatformFee
-            *   Calculate and save the deliveryCharge -- USE DELIVERY SERVICE API TO FETCH FARE
-            *   Calculate and save the finalPrice -- TO BE ADDED ON RAZORPAY ORDER
-            * 
-            */
-
-            const vendorPayoutAfterCommission = await calculateVendorPayoutAmount(quotedPrice);
-            const priceAfterPlatformFee = await calculateOrderAmount(quotedPrice);
-            const deliveryCharge = 40;          ////////////////////////////// TO BE CHANGED
-            const finalPrice = priceAfterPlatformFee + deliveryCharge;
-
-            await queryRunner.manager.save(OrderQuotes, {
+            await saveOrderQuote(queryRunner, {
                 orderVendorId: orderVendor.id,
-                quotedDays: quotedDays,
-                quotedPrice: quotedPrice,
-                vendorPayoutAfterCommission: vendorPayoutAfterCommission,
-                priceAfterPlatformFee: priceAfterPlatformFee,
-                deliveryCharge: deliveryCharge,
-                finalPrice: finalPrice,
-                notes: notes || null
+                vendorId: vendor.id,
+                order: orderVendor.order,
+                quotedPrice,
+                quotedDays,
+                advancePercent,
+                notes
             });
         }
 
@@ -612,25 +831,37 @@ export const vendorOrderResponse = async (data) => {
  * @apiName CreateRazorpayOrder
  * @apiGroup Order
  * @apiDescription After a customer chooses an accepted quote, this function creates a server-side order with Razorpay. The returned `razorpayOrderId` is then used by the client-side Razorpay checkout SDK to initiate payment.
- * @apiDescription (idempotency check) The payment attempt is created and saved to the database. If an existing payment attempt is found, it is reused if it is not expired(60 mins).
+ * @apiDescription (idempotency check) The payment attempt is created and saved to the database. If an existing payment attempt is found, it is reused if it is not expired(60 mins) and was made with the same promo code.
+ * @apiDescription (promo code) The discount is taken off the quote's final price and one use of the code is reserved for as long as the Razorpay order is valid.
+ * @apiDescription (wallet) With `useWallet`, as much of the amount as the wallet balance covers is left out of the Razorpay order and taken from the wallet when the payment is captured. If the wallet covers everything, no Razorpay order is created: the order is paid on the spot and moves to `IN_PROGRESS` exactly as after a captured payment.
+ * @apiDescription (split payment) If the quote has an `advancePercent`, only that share of the price (after the discount) is due now. The rest is paid through `/createBalancePaymentOrder` once the vendor marks the item ready.
  *
  * @apiBody {string} orderId - The UUID of the main order.
  * @apiBody {string} quoteId - The UUID of the accepted quote the customer wants to pay for.
+ * @apiBody {string} [promoCode] - A promo code to apply.
+ * @apiBody {boolean} [useWallet=false] - Pay as much as possible from the wallet.
  *
  * @param {Object} data - The data containing the user ID, order ID, and quote ID.
  * @param {string} data.userId - The UUID of the user.
  * @param {string} data.orderId - The UUID of the main order.
  * @param {string} data.quoteId - The UUID of the accepted quote the customer wants to pay for.
+ * @param {string} [data.promoCode] - A promo code to apply.
+ * @param {boolean} [data.useWallet] - Pay as much as possible from the wallet.
  * 
  * @returns {Promise<Object>} - The result of the creation.
  * 
  * @apiSuccess {string} message - A success confirmation message.
- * @apiSuccess {string} razorpayOrderId - The ID of the order created on Razorpay's servers.
- * @apiSuccess {number} amount - The final amount in the smallest currency unit (e.g., paise).
+ * @apiSuccess {string} razorpayOrderId - The ID of the order created on Razorpay's servers (null when paid from the wallet).
+ * @apiSuccess {number} amount - The amount to pay through Razorpay in the smallest currency unit (e.g., paise).
+ * @apiSuccess {number} discountAmount - The promo discount in rupees, 0 without a code.
+ * @apiSuccess {number} walletAmount - The part paid from the wallet in rupees.
+ * @apiSuccess {boolean} [paidFromWallet] - True when the wallet covered everything and the order is already paid.
+ * @apiSuccess {string} instalment - FULL, or ADVANCE for a split payment.
+ * @apiSuccess {number} balanceAmount - What will be due when the item is ready, 0 when paid in full.
  * @apiSuccess {string} currency - The currency code (e.g., 'INR').
  * @apiSuccess {string} key_id - The public Razorpay key ID for the client SDK.
  *
- * @apiError {Error} 400 - If the selected quote is no longer valid for payment.
+ * @apiError {Error} 400 - If the selected quote is no longer valid for payment, or the promo code doesn't apply.
  * @apiError {Error} 404 - If the customer profile is not found.
  * @apiError {Error} 500 - If the Razorpay API call fails.
  */
@@ -640,14 +871,14 @@ export const createRazorpayOrder = async (data) => {
     await queryRunner.startTransaction();
 
     try {
-        const { userId, orderId, quoteId } = createRazorpayOrderSchema.parse(data);
+        const { userId, orderId, quoteId, promoCode, useWallet } = createRazorpayOrderSchema.parse(data);
 
         const customer = await queryRunner.manager.findOne(Customers, { where: { userId: userId }, select: { id: true } });
         if (!customer) throw sendError("Customer profile not found", 404);
 
         const quote = await queryRunner.manager.getRepository(OrderQuotes).createQueryBuilder("order_quotes")
             .innerJoinAndSelect("order_quotes.orderVendor", "orderVendors")
-            .innerJoin("orderVendors.order", "orders")
+            .innerJoinAndSelect("orderVendors.order", "orders")
             .where("order_quotes.id = :quoteId", { quoteId: quoteId })
             .andWhere("orders.id = :orderId", { orderId: orderId })
             .andWhere("orders.customerId = :customerId", { customerId: customer.id })
@@ -657,25 +888,105 @@ export const createRazorpayOrder = async (data) => {
 
         if (!quote) throw sendError("This quote is not valid for payment. It may be expired, or the order may no longer be pending.", 400);
 
+        // PROMO CODE: validated (and the code row locked) before anything is reused or reserved.
+        const promo = promoCode
+            ? await applyPromoCode(queryRunner.manager, {
+                code: promoCode,
+                customerId: customer.id,
+                order: quote.orderVendor.order,
+                quote,
+                vendorId: quote.orderVendor.vendorId
+            })
+            : null;
+        const discountAmount = promo ? promo.discountAmount : 0;
+        // SPLIT PAYMENT: a quote with an advancePercent is paid in two parts; only the advance is due now.
+        const instalment = quote.advancePercent ? PAYMENT_INSTALMENT.ADVANCE : PAYMENT_INSTALMENT.FULL;
+        const { advanceAmount: amountPayable, balanceAmount } = calculateAdvanceSplit(quote.finalPrice - discountAmount, quote.advancePercent);
+
+        // WALLET: taken when the payment is captured. Whatever is left for Razorpay must still meet its minimum.
+        let walletAmount = 0;
+        if (useWallet) {
+            walletAmount = Math.min(await getWalletBalance(queryRunner.manager, customer.id), amountPayable);
+            if (walletAmount < amountPayable && amountPayable - walletAmount < PROMO_MIN_PAYABLE_AMOUNT) {
+                walletAmount = Math.max(amountPayable - PROMO_MIN_PAYABLE_AMOUNT, 0);
+            }
+            walletAmount = Math.round(walletAmount * 100) / 100;
+        }
+        const razorpayAmount = Math.round((amountPayable - walletAmount) * 100) / 100;
+
         // IDEMPOTENCY CHECK: Look for an existing, active payment attempt for this quote.
         const existingAttempt = await queryRunner.manager.findOne(PaymentAttempts, { where: { quoteId: quoteId, status: PAYMENT_ATTEMPT.PENDING } });
 
-        // REUSE existing Razorpay order if it's not expired.
-        if (existingAttempt && new Date() < new Date(existingAttempt.expiresAt)) {
+        // REUSE existing Razorpay order if it's not expired and was made with the same code and wallet amount.
+        const sameTerms = existingAttempt && (existingAttempt.promoCodeId ?? null) === (promo?.promo.id ?? null)
+            && parseFloat(existingAttempt.discountAmount) === discountAmount
+            && parseFloat(existingAttempt.walletAmount) === walletAmount
+            && existingAttempt.instalment === instalment;
+        if (existingAttempt && sameTerms && razorpayAmount > 0 && new Date() < new Date(existingAttempt.expiresAt)) {
             await queryRunner.commitTransaction(); // No changes needed, so commit immediately.
             logger.info(`Reusing existing Razorpay Order ID: ${existingAttempt.razorpayOrderId} for Quote ID: ${quote.id}`);
             return {
                 message: "Existing Razorpay order found.",
                 razorpayOrderId: existingAttempt.razorpayOrderId,
                 amount: Math.round(existingAttempt.amount * 100),
+                discountAmount,
+                walletAmount,
+                instalment,
+                balanceAmount,
                 currency: "INR",
                 key_id: process.env.RAZORPAY_KEY_ID,
             };
         }
 
-        // EXPIRE old attempt if it exists and is now past its expiration.
+        // EXPIRE old attempt if it exists and is now past its expiration (or used another code), giving back its promo reservation.
         if (existingAttempt) {
             await queryRunner.manager.update(PaymentAttempts, existingAttempt.id, { status: PAYMENT_ATTEMPT.EXPIRED });
+            await releasePromoReservation(queryRunner.manager, existingAttempt.razorpayOrderId);
+        }
+
+        // PAID FROM WALLET: no Razorpay order; the order goes through the same transition as a captured payment.
+        if (razorpayAmount === 0) {
+            const order = await queryRunner.manager.findOne(Orders, {
+                where: { id: orderId, orderStatus: ORDER_STATUS.PENDING, isPaid: false },
+                lock: { mode: "pessimistic_write" }
+            });
+            if (!order) throw sendError("This order is no longer waiting for payment", 400);
+
+            const vendorId = quote.orderVendor.vendorId;
+            const redemption = promo
+                ? await redeemAppliedPromoCode(queryRunner.manager, { promo: promo.promo, discountAmount, customerId: customer.id, orderId, quoteId: quote.id, vendorId })
+                : null;
+            const payment = queryRunner.manager.create(Payments, {
+                orderId,
+                vendorId,
+                customerId: customer.id,
+                quoteId: quote.id,
+                razorpayPaymentId: null,
+                paymentAmount: amountPayable,
+                walletAmount,
+                instalment,
+                paymentCurrency: "INR",
+                paymentMethod: "wallet",
+                paymentStatus: "captured",
+                paymentDate: new Date(),
+            });
+
+            const notificationDetails = await applyOrderPayment(queryRunner, { order, quote: { ...quote, orderVendor: undefined }, payment, redemption });
+
+            await queryRunner.commitTransaction();
+            await notifyPaymentCaptured(notificationDetails);
+
+            return {
+                message: "Order paid from wallet",
+                paidFromWallet: true,
+                razorpayOrderId: null,
+                amount: 0,
+                discountAmount,
+                walletAmount,
+                instalment,
+                balanceAmount,
+                currency: "INR",
+            };
         }
 
         const razorpay = new Razorpay({
@@ -684,7 +995,7 @@ export const createRazorpayOrder = async (data) => {
         });
      
         const razorpayOrder = await razorpay.orders.create({
-            amount: Math.round(quote.finalPrice * 100),
+            amount: Math.round(razorpayAmount * 100),
             currency: "INR",
             receipt: quote.id,
             notes: {
@@ -692,7 +1003,10 @@ export const createRazorpayOrder = async (data) => {
                 quoteId: quote.id.toString(),
                 vendorId: quote.orderVendor.vendorId.toString(),
                 customerId: customer.id.toString(),
-                amount: quote.finalPrice.toString(),
+                amount: razorpayAmount.toString(),
+                ...(promo && { promoCode: promo.promo.code, discountAmount: discountAmount.toString() }),
+                ...(walletAmount > 0 && { walletAmount: walletAmount.toString() }),
+                instalment,
             }
         })
 
@@ -704,17 +1018,38 @@ export const createRazorpayOrder = async (data) => {
         await queryRunner.manager.save( PaymentAttempts, {
             quoteId: quote.id,
             razorpayOrderId: razorpayOrder.id,
-            amount: quote.finalPrice,
+            amount: razorpayAmount,
+            promoCodeId: promo ? promo.promo.id : null,
+            discountAmount,
+            walletAmount,
+            instalment,
             status: PAYMENT_ATTEMPT.PENDING,
             expiresAt
         });
 
+        if (promo) {
+            await reservePromoCode(queryRunner.manager, {
+                promo: promo.promo,
+                discountAmount,
+                customerId: customer.id,
+                orderId,
+                quoteId: quote.id,
+                vendorId: quote.orderVendor.vendorId,
+                razorpayOrderId: razorpayOrder.id,
+                expiresAt
+            });
+        }
+
         await queryRunner.commitTransaction();
 
         return {
             message: "Razorpay order created successfully",
             razorpayOrderId: razorpayOrder.id,
             amount: razorpayOrder.amount,
+            discountAmount,
+            walletAmount,
+            instalment,
+            balanceAmount,
             currency: "INR",
             key_id: process.env.RAZORPAY_KEY_ID,
         }
@@ -733,27 +1068,663 @@ export const createRazorpayOrder = async (data) => {
     }
 }
 
-// export const cancelOrder = async (data) => {
-//     try {
-//         const { orderId } = data;
+/**
+ * @api {post} /api/order/createBalancePaymentOrder Create Balance Payment Order (customer route)
+ * @apiName CreateBalancePaymentOrder
+ * @apiGroup Order
+ * @apiDescription For an order paid with an advance (split payment), creates the Razorpay order for the balance once the vendor has marked the item `ITEM_READY_FOR_PICKUP`. The return delivery is only dispatched after the balance is captured.
+ * @apiDescription A pending balance attempt is reused while it is valid and was made with the same wallet amount. With `useWallet`, the wallet covers as much of the balance as it can; if it covers all of it the balance is paid on the spot.
+ *
+ * @apiBody {string} orderId - The UUID of the order.
+ * @apiBody {boolean} [useWallet=false] - Pay as much as possible from the wallet.
+ *
+ * @param {Object} data
+ * @param {string} data.userId - The UUID of the user.
+ * @param {string} data.orderId - The UUID of the order.
+ * @param {boolean} [data.useWallet] - Pay as much as possible from the wallet.
+ *
+ * @returns {Promise<Object>} - The Razorpay order details for the client SDK.
+ *
+ * @apiSuccess {string} message - A success confirmation message.
+ * @apiSuccess {string} razorpayOrderId - The ID of the Razorpay order (null when paid from the wallet).
+ * @apiSuccess {number} amount - The amount to pay through Razorpay in paise.
+ * @apiSuccess {number} balanceAmount - The whole balance in rupees.
+ * @apiSuccess {number} walletAmount - The part paid from the wallet in rupees.
+ * @apiSuccess {boolean} [paidFromWallet] - True when the wallet covered the whole balance.
+ * @apiSuccess {string} currency - The currency code (e.g., 'INR').
+ * @apiSuccess {string} key_id - The public Razorpay key ID for the client SDK.
+ *
+ * @apiError {Error} 400 - If the order has no balance due or the item is not ready yet.
+ * @apiError {Error} 403 - If the order does not belong to the customer.
+ * @apiError {Error} 404 - If the customer or order is not found.
+ * @apiError {Error} 500 - If the Razorpay order could not be created.
+ */
+export const createBalancePaymentOrder = async (data) => {
+    const queryRunner = AppDataSource.createQueryRunner();
+    await queryRunner.connect();
+    await queryRunner.startTransaction();
+
+    try {
+        const { userId, orderId, useWallet } = createBalancePaymentOrderSchema.parse(data);
 
-//         const order = await orderRepo.findOne({ where: { id: orderId } });
-//         if (!order) throw sendError("Order not found");
+        const customer = await queryRunner.manager.findOne(Customers, { where: { userId: userId }, select: { id: true } });
+        if (!customer) throw sendError("Customer profile not found", 404);
 
-//         if (order.orderStatus !== ORDER_STATUS.PENDING) throw sendError("Order is not in PENDING status");
+        const order = await queryRunner.manager.findOne(Orders, {
+            where: { id: orderId },
+            lock: { mode: "pessimistic_write" }
+        });
+        if (!order) throw sendError("Order not found", 404);
+        if (order.customerId !== customer.id) throw sendError("You are not authorized to pay for this order", 403);
+        if (!isBalanceDue(order)) throw sendError("This order has no balance due", 400);
+        if (order.orderStage !== ORDER_STATUS.ITEM_READY_FOR_PICKUP) throw sendError("The balance is due once the vendor marks your order ready", 400);
+
+        const balanceAmount = parseFloat(order.balanceAmount);
+        let walletAmount = 0;
+        if (useWallet) {
+            walletAmount = Math.min(await getWalletBalance(queryRunner.manager, customer.id), balanceAmount);
+            if (walletAmount < balanceAmount && balanceAmount - walletAmount < PROMO_MIN_PAYABLE_AMOUNT) {
+                walletAmount = Math.max(balanceAmount - PROMO_MIN_PAYABLE_AMOUNT, 0);
+            }
+            walletAmount = Math.round(walletAmount * 100) / 100;
+        }
+        const razorpayAmount = Math.round((balanceAmount - walletAmount) * 100) / 100;
 
-//         order.orderStatus = ORDER_STATUS.CANCELLED;
-//         await orderRepo.save(order);
+        const existingAttempt = await queryRunner.manager.findOne(PaymentAttempts, { where: { quoteId: order.finalQuoteId, status: PAYMENT_ATTEMPT.PENDING } });
+        if (existingAttempt && razorpayAmount > 0 && existingAttempt.instalment === PAYMENT_INSTALMENT.BALANCE
+            && parseFloat(existingAttempt.walletAmount) === walletAmount && new Date() < new Date(existingAttempt.expiresAt)) {
+            await queryRunner.commitTransaction();
+            return {
+                message: "Existing Razorpay order found.",
+                razorpayOrderId: existingAttempt.razorpayOrderId,
+                amount: Math.round(existingAttempt.amount * 100),
+                balanceAmount,
+                walletAmount,
+                currency: "INR",
+                key_id: process.env.RAZORPAY_KEY_ID,
+            };
+        }
+        if (existingAttempt) {
+            await queryRunner.manager.update(PaymentAttempts, existingAttempt.id, { status: PAYMENT_ATTEMPT.EXPIRED });
+        }
 
-//         return {
-//             message: "Order cancelled successfully",
-//         }
+        if (razorpayAmount === 0) {
+            const payment = queryRunner.manager.create(Payments, {
+                orderId,
+                vendorId: order.selectedVendorId,
+                customerId: customer.id,
+                quoteId: order.finalQuoteId,
+                razorpayPaymentId: null,
+                paymentAmount: balanceAmount,
+                walletAmount,
+                instalment: PAYMENT_INSTALMENT.BALANCE,
+                paymentCurrency: "INR",
+                paymentMethod: "wallet",
+                paymentStatus: "captured",
+                paymentDate: new Date(),
+            });
+            const notificationDetails = await applyBalancePayment(queryRunner, { order, payment });
 
-//     } catch(err) {
-//         logger.error(err);
-//         throw err;
-//     }
-// }
+            await queryRunner.commitTransaction();
+            await notifyPaymentCaptured(notificationDetails);
+
+            return {
+                message: "Balance paid from wallet",
+                paidFromWallet: true,
+                razorpayOrderId: null,
+                amount: 0,
+                balanceAmount,
+                walletAmount,
+                currency: "INR",
+            };
+        }
+
+        const razorpay = new Razorpay({
+            key_id: process.env.RAZORPAY_KEY_ID,
+            key_secret: process.env.RAZORPAY_KEY_SECRET
+        });
+        const razorpayOrder = await razorpay.orders.create({
+            amount: Math.round(razorpayAmount * 100),
+            currency: "INR",
+            receipt: `${order.finalQuoteId}-B`,
+            notes: {
+                orderId: orderId.toString(),
+                quoteId: order.finalQuoteId.toString(),
+                vendorId: order.selectedVendorId.toString(),
+                customerId: customer.id.toString(),
+                amount: razorpayAmount.toString(),
+                ...(walletAmount > 0 && { walletAmount: walletAmount.toString() }),
+                instalment: PAYMENT_INSTALMENT.BALANCE,
+            }
+        });
+        if (!razorpayOrder) throw sendError("Failed to create payment order with Razorpay", 500);
+
+        await queryRunner.manager.save(PaymentAttempts, {
+            quoteId: order.finalQuoteId,
+            razorpayOrderId: razorpayOrder.id,
+            amount: razorpayAmount,
+            walletAmount,
+            instalment: PAYMENT_INSTALMENT.BALANCE,
+            status: PAYMENT_ATTEMPT.PENDING,
+            expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+        });
+
+        await queryRunner.commitTransaction();
+
+        return {
+            message: "Razorpay order created successfully",
+            razorpayOrderId: razorpayOrder.id,
+            amount: razorpayOrder.amount,
+            balanceAmount,
+            walletAmount,
+            currency: "INR",
+            key_id: process.env.RAZORPAY_KEY_ID,
+        }
+    } catch(err) {
+        if (queryRunner.isTransactionActive) {
+            await queryRunner.rollbackTransaction();
+        }
+        if (err instanceof z.ZodError) {
+            logger.warn("createBalancePaymentOrder validation failed", { errors: err.flatten() });
+            throw sendError("Invalid data provided.", 400, err.flatten());
+        }
+        logger.error("Error in createBalancePaymentOrder service:", err);
+        throw err;
+    } finally {
+        await queryRunner.release();
+    }
+}
+
+/**
+ * @api {post} /api/order/cancelOrder Cancel Order (customer route)
+ * @apiName CancelOrder
+ * @apiGroup Order
+ * @apiDescription
+ * Allows a customer to cancel their own order. The behaviour depends on how far the order has progressed.
+ *
+ * - **`PENDING`** (not yet paid): The order is cancelled, every `PENDING`/`ACCEPTED` vendor request is marked `CANCELLED` (releasing the vendor slots) and any open payment attempts are expired.
+ * - **`PENDING`** (paid, after the assigned vendor withdrew): The remaining `FROZEN` quotes are cancelled and the full paid amount is refunded.
+ * - **`IN_PROGRESS`** (paid): The current stage (`orderStage`) is looked up in the cancellation fee schedule (`cancellation_fee_schedule` setting). The fee is deducted and the rest of the paid amount is refunded through Razorpay once the cancellation is committed. The vendor's in-progress counter is decremented, pending deliveries and outbox events are cancelled and the vendor is notified.
+ * For a split payment only the advance has been paid, so the fee and refund are based on it, and the vendor's advance payout is cancelled (or recovered from later payouts if it was already paid).
+ *
+ * Refunds go back to the original payment method by default; anything beyond what Razorpay captured (the part paid from the wallet) goes back to the wallet. With `refundTo: "WALLET"` the whole refund is credited to the wallet instead, which is instant.
+ *
+ * Orders whose stage is not in the schedule cannot be cancelled by the customer. That includes every stage after the customer's items have been picked up, as nothing would bring them back.
+ *
+ * @apiBody {string} orderId - The UUID of the order to cancel.
+ * @apiBody {string} [reason] - Optional reason for the cancellation.
+ * @apiBody {string="ORIGINAL_METHOD","WALLET"} [refundTo=ORIGINAL_METHOD] - Where the refund goes.
+ *
+ * @param {Object} data - The data containing the user ID, order ID and reason.
+ * @param {string} data.userId - The UUID of the user.
+ * @param {string} data.orderId - The UUID of the order to cancel.
+ * @param {string} [data.reason] - Optional reason for the cancellation.
+ * @param {string} [data.refundTo] - REFUND_DESTINATION.
+ *
+ * @returns {Promise<Object>} - The result of the cancellation.
+ *
+ * @apiSuccess {string} message - A success confirmation message.
+ * @apiSuccess {number} cancellationFee - The fee retained (0 for unpaid orders).
+ * @apiSuccess {number} refundAmount - The amount refunded to the customer (0 for unpaid orders).
+ * @apiSuccess {number} refundedToWallet - The part of it credited to the wallet.
+ *
+ * @apiError {Error} 400 - If the order is already closed or has progressed past the cancellable stages.
+ * @apiError {Error} 403 - If the order does not belong to the customer.
+ * @apiError {Error} 404 - If the customer, order, quote or payment is not found.
+ */
+export const cancelOrder = async (data) => {
+    const queryRunner = AppDataSource.createQueryRunner();
+    await queryRunner.connect();
+    await queryRunner.startTransaction();
+
+    let vendorToNotify = null;
+
+    try {
+        const { userId, orderId, reason, refundTo } = cancelOrderSchema.parse(data);
+
+        const customer = await queryRunner.manager.findOne(Customers, { where: { userId: userId }, select: { id: true } });
+        if (!customer) throw sendError("Customer profile not found", 404);
+
+        const order = await queryRunner.manager.findOne(Orders, {
+            where: { id: orderId },
+            lock: { mode: "pessimistic_write" }
+        });
+        if (!order) throw sendError("Order not found", 404);
+        if (order.customerId !== customer.id) throw sendError("You are not authorized to cancel this order", 403);
+
+        const cancellationNote = reason ? `Cancelled by customer: ${reason}` : "Cancelled by customer";
+        let cancellationFee = 0;
+        let refundAmount = 0;
+
+        let timelineNote = cancellationNote;
+        let payment = null;
+
+        if (order.orderStatus === ORDER_STATUS.PENDING && order.isPaid) {
+            // The assigned vendor withdrew and the customer chose a full refund instead of another quote
+            payment = await queryRunner.manager.findOne(Payments, { where: { id: order.paymentId }, select: { id: true, orderId: true, customerId: true, razorpayPaymentId: true, paymentAmount: true, walletAmount: true } });
+            if (!payment) throw sendError("Payment not found for this order", 404);
+
+            refundAmount = parseFloat(payment.paymentAmount);
+            timelineNote = `${cancellationNote}. Full refund of ${refundAmount} after vendor withdrawal`;
+
+        } else if (order.orderStatus === ORDER_STATUS.IN_PROGRESS && order.isPaid) {
+            payment = await queryRunner.manager.findOne(Payments, { where: { id: order.paymentId }, select: { id: true, orderId: true, customerId: true, razorpayPaymentId: true, paymentAmount: true, walletAmount: true } });
+            if (!payment) throw sendError("Payment not found for this order", 404);
+
+            // Based on what was paid rather than the quote, so a promo discount is never refunded as cash
+            const refund = await calculateCancellationRefund(parseFloat(payment.paymentAmount), order.orderStage);
+            if (!refund) throw sendError(`Order cannot be cancelled at this stage (${order.orderStage})`, 400);
+            cancellationFee = refund.cancellationFee;
+            refundAmount = refund.refundAmount;
+            timelineNote = `${cancellationNote}. Cancellation fee: ${cancellationFee} (${refund.feePercent}%), refund: ${refundAmount}`;
+
+            await postCancellationFee(queryRunner.manager, { order, cancellationFee });
+            await recoverAdvancePayout(queryRunner.manager, { orderId, vendorId: order.selectedVendorId });
+
+            await queryRunner.manager.update(VendorStats, { vendorId: order.selectedVendorId }, {
+                totalInProgressOrders: () => "GREATEST(\"totalInProgressOrders\" - 1, 0)"
+            });
+
+            vendorToNotify = order.selectedVendorId;
+
+        } else if (order.orderStatus !== ORDER_STATUS.PENDING) {
+            throw sendError(`Order cannot be cancelled in ${order.orderStatus} status`, 400);
+        }
+
+        // A cancelled order doesn't count against the code's limits
+        if (order.isPaid) await reversePromoRedemption(queryRunner.manager, orderId);
+
+        // Releases the vendor slots (PENDING/ACCEPTED) or the quotes held for this order (FINALIZED/FROZEN)
+        const cancelledOrderVendorIds = await transitionOrderVendors(queryRunner, {
+            where: { orderId: orderId },
+            to: ORDER_VENDOR_STATUS.CANCELLED,
+            actorRole: ROLE.CUSTOMER
+        });
+
+        // Expire any checkout that was started for one of the accepted quotes
+        if (cancelledOrderVendorIds.length > 0) {
+            const quotes = await queryRunner.manager.find(OrderQuotes, { where: { orderVendorId: In(cancelledOrderVendorIds) }, select: { id: true } });
+            if (quotes.length > 0) {
+                await queryRunner.manager.update(PaymentAttempts,
+                    { quoteId: In(quotes.map(q => q.id)), status: PAYMENT_ATTEMPT.PENDING },
+                    { status: PAYMENT_ATTEMPT.EXPIRED }
+                );
+            }
+        }
+
+        // Also cancels deliveries and outbox events that haven't been handed to the delivery partner
+        await transitionOrder(queryRunner, { orderId, to: ORDER_STATUS.CANCELLED, actorId: userId, actorRole: ROLE.CUSTOMER, notes: timelineNote });
+
+        // The Razorpay part is queued and only raised once this transaction commits; its webhook marks the order refunded.
+        // A refund that goes to the wallet only marks it refunded straight away
+        let refundedToWallet = 0;
+        if (refundAmount > 0) {
+            const refund = await refundOrderPayment(queryRunner, { payment, amount: refundAmount, reason: cancellationNote, destination: refundTo });
+            refundedToWallet = refund.walletAmount;
+        }
+
+        await queryRunner.commitTransaction();
+
+        if (vendorToNotify) {
+            try {
+                const vendor = await AppDataSource.getRepository(Vendors).createQueryBuilder("vendors")
+                    .leftJoin("vendors.user", "user")
+                    .select(["user.pushToken", "user.id"])
+                    .where("vendors.id = :vendorId", { vendorId: vendorToNotify })
+                    .getRawOne();
+
+                if (vendor) {
+                    if (vendor.user_pushToken) {
+                        pushQueue.add("sendOrderCancelledNotification", {
+                            token: vendor.user_pushToken,
+                            title: "Order Cancelled",
+                            message: `The customer has cancelled the order ${order.orderName || ""}. Please stop any work on it.`,
+                            data: { url: '/(vendor)/(portal)/orders' }
+                        });
+                    }
+                    notificationHistoryQueue.add("saveNotificationHistory", {
+                        userId: vendor.user_id,
+                        title: "Order Cancelled",
+                        body: `The customer has cancelled the order ${order.orderName || ""}. Please stop any work on it.`,
+                        timestamp: new Date(),
+                    });
+                }
+            } catch (notificationError) {
+                logger.error(`Failed to queue cancellation notification for order ${orderId}`, notificationError);
+            }
+        }
+
+        return {
+            message: "Order cancelled successfully",
+            cancellationFee,
+            refundAmount,
+            refundedToWallet,
+        }
+    } catch(err) {
+        if (queryRunner.isTransactionActive) {
+            await queryRunner.rollbackTransaction();
+        }
+        if (err instanceof z.ZodError) {
+            logger.warn("cancelOrder validation failed", { errors: err.flatten() });
+            throw sendError("Invalid data provided.", 400, err.flatten());
+        }
+        logger.error("Error in cancelOrder service:", err);
+        throw err;
+    } finally {
+        await queryRunner.release();
+    }
+}
+
+/**
+ * @api {post} /api/order/vendorCancelOrder Vendor Withdraws From Order (vendor route)
+ * @apiName VendorCancelOrder
+ * @apiGroup Order
+ * @apiDescription
+ * Allows the assigned vendor to withdraw from a paid (`FINALIZED`) order they can no longer fulfil.
+ *
+ * - Only allowed while the customer's items are not with the vendor: before pickup for `clothProvided` orders, or before the item is ready for pickup otherwise.
+ * - The vendor's request is marked `CANCELLED`, their in-progress counter is decremented and a penalty (`vendor_cancellation_penalty_percent` of the quoted price) is added to `VendorStats.totalDeductions`.
+ * - Pending deliveries and outbox events for the order are cancelled.
+ * - The order goes back to `PENDING` while keeping the payment. The customer can then either move to one of the remaining `FROZEN` quotes (`/reassignOrderVendor`) or cancel the order for a full refund (`/cancelOrder`).
+ *
+ * @apiBody {string} orderId - The UUID of the order.
+ * @apiBody {string} reason - The reason for withdrawing.
+ *
+ * @param {Object} data - The data containing the user ID, order ID and reason.
+ * @param {string} data.userId - The UUID of the user.
+ * @param {string} data.orderId - The UUID of the order.
+ * @param {string} data.reason - The reason for withdrawing.
+ *
+ * @returns {Promise<Object>} - The result of the withdrawal.
+ *
+ * @apiSuccess {string} message - A success confirmation message.
+ * @apiSuccess {number} penalty - The penalty recorded against the vendor.
+ *
+ * @apiError {Error} 400 - If the order is not in progress or has progressed too far to withdraw.
+ * @apiError {Error} 403 - If the order is not assigned to the vendor.
+ * @apiError {Error} 404 - If the vendor, order or quote is not found.
+ * @apiError {Error} 409 - If a payout has already been created for the order.
+ */
+export const vendorCancelOrder = async (data) => {
+    const queryRunner = AppDataSource.createQueryRunner();
+    await queryRunner.connect();
+    await queryRunner.startTransaction();
+
+    try {
+        const { userId, orderId, reason } = vendorCancelOrderSchema.parse(data);
+
+        const vendor = await queryRunner.manager.findOne(Vendors, { where: { userId: userId }, select: { id: true, shopName: true } });
+        if (!vendor) throw sendError("Vendor profile not found", 404);
+
+        const order = await queryRunner.manager.findOne(Orders, {
+            where: { id: orderId },
+            lock: { mode: "pessimistic_write" }
+        });
+        if (!order) throw sendError("Order not found", 404);
+        if (order.selectedVendorId !== vendor.id) throw sendError("You are not authorized to cancel this order", 403);
+        if (order.orderStatus !== ORDER_STATUS.IN_PROGRESS || !order.isPaid) throw sendError("Only orders in progress can be cancelled", 400);
+
+        // The advance share of a split payment is paid out early and is taken back below
+        const payoutExists = await queryRunner.manager.exists(Payouts, { where: { orderId: orderId, vendorId: vendor.id, instalment: Not(PAYMENT_INSTALMENT.ADVANCE) } });
+        if (payoutExists) throw sendError("A payout has already been created for this order", 409);
+
+        const quote = await queryRunner.manager.findOne(OrderQuotes, { where: { id: order.finalQuoteId }, select: { id: true, quotedPrice: true } });
+        if (!quote) throw sendError("Order quote not found", 404);
+
+        const penalty = await calculateVendorCancellationPenalty(quote.quotedPrice);
+
+        // The state machine only allows this while the customer's items are not with (or on the way to) the vendor,
+        // and cancels the pending pickup if one was scheduled
+        await transitionOrder(queryRunner, {
+            orderId,
+            to: ORDER_STATUS.PENDING,
+            actorId: userId,
+            actorRole: ROLE.VENDOR,
+            notes: `Vendor withdrew from the order: ${reason}. Penalty: ${penalty}`
+        });
+
+        await transitionOrderVendor(queryRunner, {
+            where: { orderId: orderId, vendorId: vendor.id },
+            to: ORDER_VENDOR_STATUS.CANCELLED,
+            actorRole: ROLE.VENDOR,
+            changes: { notes: `Withdrawn by vendor: ${reason}` }
+        });
+
+        await queryRunner.manager.update(VendorStats, { vendorId: vendor.id }, {
+            totalInProgressOrders: () => "GREATEST(\"totalInProgressOrders\" - 1, 0)",
+            totalDeductions: () => `"totalDeductions" + ${penalty}`
+        });
+
+        await recoverAdvancePayout(queryRunner.manager, { orderId, vendorId: vendor.id });
+
+        await postVendorDeduction(queryRunner.manager, {
+            idempotencyKey: `vendor_penalty:${orderId}:${vendor.id}`,
+            vendorId: vendor.id,
+            orderId,
+            amount: penalty,
+            referenceType: "Orders",
+            referenceId: orderId,
+            description: "Vendor cancellation penalty"
+        });
+
+        await queryRunner.manager.update(Orders, { id: orderId }, {
+            selectedVendorId: null,
+            finalQuoteId: null,
+        });
+
+        await queryRunner.commitTransaction();
+
+        try {
+            const customer = await AppDataSource.getRepository(Customers).findOne({ where: { id: order.customerId }, relations: { user: true } });
+            if (customer?.user) {
+                const message = `${vendor.shopName} can no longer complete your order ${order.orderName || ""}. Choose another quote or cancel for a full refund.`;
+                if (customer.user.pushToken) {
+                    pushQueue.add("vendorCancelledOrder", {
+                        token: customer.user.pushToken,
+                        title: "Vendor Cancelled Your Order",
+                        message,
+                        data: { url: '/(customer)/(portal)/orders' }
+                    });
+                }
+                notificationHistoryQueue.add("saveNotificationHistory", {
+                    userId: customer.user.id,
+                    title: "Vendor Cancelled Your Order",
+                    body: message,
+                    timestamp: new Date(),
+                });
+            }
+        } catch (notificationError) {
+            logger.error(`Failed to queue vendor cancellation notification for order ${orderId}`, notificationError);
+        }
+
+        return {
+            message: "Order cancelled successfully",
+            penalty,
+        }
+    } catch(err) {
+        if (queryRunner.isTransactionActive) {
+            await queryRunner.rollbackTransaction();
+        }
+        if (err instanceof z.ZodError) {
+            logger.warn("vendorCancelOrder validation failed", { errors: err.flatten() });
+            throw sendError("Invalid data provided.", 400, err.flatten());
+        }
+        logger.error("Error in vendorCancelOrder service:", err);
+        throw err;
+    } finally {
+        await queryRunner.release();
+    }
+}
+
+/**
+ * @api {post} /api/order/reassignOrderVendor Reassign Order to Another Quote (customer route)
+ * @apiName ReassignOrderVendor
+ * @apiGroup Order
+ * @apiDescription
+ * After the assigned vendor withdraws from a paid order, the customer can move the order to one of the remaining `FROZEN` quotes without paying again.
+ *
+ * - The existing payment is carried over to the new quote. If the new quote is cheaper, the difference is refunded once the reassignment is committed (to the wallet for whatever was paid from it). A more expensive quote can't be chosen this way; the customer should cancel the order for a full refund instead.
+ * - For a split payment the paid advance is carried over at the same advance percent: the balance due is recalculated against the new quote (so a more expensive quote is allowed) and the new vendor's share of the advance is raised as a payout.
+ * - A promo discount applied at payment carries over (up to the new quote's price). A vendor-funded discount is taken over by the platform, since the vendor who funded it withdrew.
+ * - The new vendor's request becomes `FINALIZED` and the order goes back to `IN_PROGRESS`, scheduling a pickup for `clothProvided` orders the same way a fresh payment does.
+ *
+ * @apiBody {string} orderId - The UUID of the order.
+ * @apiBody {string} quoteId - The UUID of the `FROZEN` quote to move to.
+ *
+ * @param {Object} data - The data containing the user ID, order ID and quote ID.
+ * @param {string} data.userId - The UUID of the user.
+ * @param {string} data.orderId - The UUID of the order.
+ * @param {string} data.quoteId - The UUID of the quote to move to.
+ *
+ * @returns {Promise<Object>} - The result of the reassignment.
+ *
+ * @apiSuccess {string} message - A success confirmation message.
+ * @apiSuccess {number} refundAmount - The price difference refunded to the customer.
+ * @apiSuccess {number} refundedToWallet - The part of it credited to the wallet.
+ * @apiSuccess {number} balanceAmount - The balance still due for a split payment, otherwise 0.
+ *
+ * @apiError {Error} 400 - If the order is not awaiting reassignment, the quote is not valid, or it costs more than the amount paid.
+ * @apiError {Error} 403 - If the order does not belong to the customer.
+ * @apiError {Error} 404 - If the customer, order or payment is not found.
+ */
+export const reassignOrderVendor = async (data) => {
+    const queryRunner = AppDataSource.createQueryRunner();
+    await queryRunner.connect();
+    await queryRunner.startTransaction();
+
+    try {
+        const { userId, orderId, quoteId } = reassignOrderVendorSchema.parse(data);
+
+        const customer = await queryRunner.manager.findOne(Customers, { where: { userId: userId }, select: { id: true } });
+        if (!customer) throw sendError("Customer profile not found", 404);
+
+        const order = await queryRunner.manager.findOne(Orders, {
+            where: { id: orderId },
+            lock: { mode: "pessimistic_write" }
+        });
+        if (!order) throw sendError("Order not found", 404);
+        if (order.customerId !== customer.id) throw sendError("You are not authorized to access this order", 403);
+        if (order.orderStatus !== ORDER_STATUS.PENDING || !order.isPaid) throw sendError("This order is not awaiting a new vendor", 400);
+
+        const quote = await queryRunner.manager.getRepository(OrderQuotes).createQueryBuilder("order_quotes")
+            .innerJoinAndSelect("order_quotes.orderVendor", "orderVendors")
+            .innerJoin("orderVendors.vendor", "vendors")
+            .where("order_quotes.id = :quoteId", { quoteId: quoteId })
+            .andWhere("orderVendors.orderId = :orderId", { orderId: orderId })
+            .andWhere("orderVendors.status = :ovStatus", { ovStatus: ORDER_VENDOR_STATUS.FROZEN })
+            .andWhere("vendors.status = :vendorStatus", { vendorStatus: "VERIFIED" })
+            .getOne();
+        if (!quote) throw sendError("This quote is not available for this order", 400);
+
+        const payment = await queryRunner.manager.findOne(Payments, { where: { id: order.paymentId } });
+        if (!payment) throw sendError("Payment not found for this order", 404);
+
+        const redemption = await getOrderPromoRedemption(queryRunner.manager, orderId);
+        const discountAmount = redemption ? Math.min(parseFloat(redemption.discountAmount), quote.finalPrice) : 0;
+
+        // Only the advance of a split payment has been paid, so a dearer quote just raises the balance still due
+        const paidAmount = parseFloat(payment.paymentAmount);
+        const priceDifference = Math.round((paidAmount - (quote.finalPrice - discountAmount)) * 100) / 100;
+        if (priceDifference < 0 && !order.advancePercent) throw sendError("This quote costs more than the amount paid. Cancel the order for a full refund and place a new one instead", 400);
+        const refundAmount = Math.max(priceDifference, 0);
+        const balanceAmount = order.advancePercent ? Math.max(-priceDifference, 0) : 0;
+
+        const vendorId = quote.orderVendor.vendorId;
+
+        if (redemption) {
+            await transferPromoRedemption(queryRunner.manager, redemption, { quoteId: quote.id, vendorId, discountAmount });
+        }
+
+        await queryRunner.manager.update(OrderQuotes, { id: quote.id }, { isProcessed: true });
+        await transitionOrderVendor(queryRunner, { where: { id: quote.orderVendor.id }, to: ORDER_VENDOR_STATUS.FINALIZED, actorRole: ROLE.CUSTOMER });
+        await queryRunner.manager.update(VendorStats, { vendorId }, { totalInProgressOrders: () => "\"totalInProgressOrders\" + 1" });
+
+        // The payment now backs the new quote, so payouts and refunds are traced to the right vendor
+        await queryRunner.manager.update(Payments, { id: payment.id }, { vendorId, quoteId: quote.id });
+
+        await queryRunner.manager.update(Orders, { id: orderId }, {
+            selectedVendorId: vendorId,
+            finalQuoteId: quote.id,
+            balanceAmount,
+        });
+
+        if (order.advancePercent) {
+            const vendorFundedDiscount = redemption?.fundedBy === PROMO_FUNDED_BY.VENDOR ? discountAmount : 0;
+            const vendorEarning = Math.round((quote.vendorPayoutAfterCommission - vendorFundedDiscount) * 100) / 100;
+            await raiseVendorPayout(queryRunner.manager, {
+                orderId,
+                vendorId,
+                amount: calculateAdvanceSplit(vendorEarning, order.advancePercent).advanceAmount,
+                instalment: PAYMENT_INSTALMENT.ADVANCE
+            });
+        }
+
+        await transitionOrder(queryRunner, {
+            orderId,
+            to: ORDER_STATUS.IN_PROGRESS,
+            actorId: userId,
+            actorRole: ROLE.CUSTOMER,
+            notes: `Order reassigned to quote ${quote.id}${refundAmount > 0 ? `. Price difference refunded: ${refundAmount}` : ""}`
+        });
+
+        // Schedules a fresh pickup for clothProvided orders, the same way a new payment does
+        if (order.clothProvided) {
+            await transitionOrder(queryRunner, { orderId, to: ORDER_STATUS.ITEM_PICKUP_FROM_CUSTOMER_SCHEDULED, actorId: MISC.LOGISTICS, actorRole: ROLE.SYSTEM, notes: "Pickup from customer scheduled" });
+        } else {
+            await transitionOrder(queryRunner, { orderId, to: ORDER_STATUS.WORK_STARTED, actorId: ROLE.SYSTEM, actorRole: ROLE.SYSTEM, notes: "Work started triggered by System for order with no cloth provided" });
+        }
+
+        // Queued in the outbox: the Razorpay part is only raised after the reassignment commits, outside the order lock
+        let refundedToWallet = 0;
+        if (refundAmount > 0) {
+            const refund = await refundOrderPayment(queryRunner, { payment, amount: refundAmount, reason: "Price difference after vendor reassignment" });
+            refundedToWallet = refund.walletAmount;
+        }
+
+        await queryRunner.commitTransaction();
+
+        try {
+            const vendor = await AppDataSource.getRepository(Vendors).findOne({ where: { id: vendorId }, relations: { user: true } });
+            if (vendor?.user) {
+                if (vendor.user.pushToken) {
+                    pushQueue.add("newOrderForVendor", {
+                        token: vendor.user.pushToken,
+                        title: "Order Confirmed !!!",
+                        message: `You have received a new paid order: #${orderId.substring(0, 8)}.`,
+                        data: { url: '/(vendor)/(portal)/orders' }
+                    });
+                }
+                notificationHistoryQueue.add("saveNotificationHistory", {
+                    userId: vendor.user.id,
+                    title: "You Have a New Order!",
+                    body: `You have received a new paid order: #${orderId.substring(0, 8)}...`,
+                    timestamp: new Date(),
+                });
+            }
+        } catch (notificationError) {
+            logger.error(`Failed to queue reassignment notification for order ${orderId}`, notificationError);
+        }
+
+        return {
+            message: "Order reassigned successfully",
+            refundAmount,
+            refundedToWallet,
+            balanceAmount,
+        }
+    } catch(err) {
+        if (queryRunner.isTransactionActive) {
+            await queryRunner.rollbackTransaction();
+        }
+        if (err instanceof z.ZodError) {
+            logger.warn("reassignOrderVendor validation failed", { errors: err.flatten() });
+            throw sendError("Invalid data provided.", 400, err.flatten());
+        }
+        logger.error("Error in reassignOrderVendor service:", err);
+        throw err;
+    } finally {
+        await queryRunner.release();
+    }
+}
 
 /**
  * @api {post} /api/order/updateOrderStatus Update Order Status (vendor route)
@@ -774,8 +1745,8 @@ export const createRazorpayOrder = async (data) => {
  * - **Context**: This status is used **only** for orders where the customer provides the cloth (`clothProvided` is true).
  * - **Trigger**: The vendor calls this endpoint after the delivery partner has dropped off the customer's item(s) at their shop. It serves as the vendor's digital acknowledgment of receipt.
  * - **Pre-conditions**:
- * - The order must have a timeline entry for `ITEM_DELIVERED_TO_VENDOR`. The system will reject the update if the delivery isn't officially complete.
- * - **Idempotency**: The system checks if an `ITEM_RECEIVED` entry already exists for this order to prevent duplicate acknowledgments.
+ * - The order must be at `ITEM_DELIVERED_TO_VENDOR`. The system will reject the update if the delivery isn't officially complete.
+ * - **Idempotency**: The order state machine only allows `ITEM_DELIVERED_TO_VENDOR -> ITEM_RECEIVED`, so a duplicate acknowledgment is rejected.
  * - **Actions**:
  * 1.  Creates a timeline entry for `ITEM_RECEIVED`.
  * 2.  Immediately creates a subsequent timeline entry for `WORK_STARTED`, as receiving the item signifies the start of the vendor's work.
@@ -784,12 +1755,11 @@ export const createRazorpayOrder = async (data) => {
  * - **Context**: This status is used when the vendor has completed all tailoring/laundry work on the items.
  * - **Trigger**: The vendor marks the order as ready, which initiates the return delivery process.
  * - **Pre-conditions**:
- * - The order's primary status must be `IN_PROGRESS`.
- * - A `WORK_STARTED` timeline entry must exist, ensuring the vendor can't mark an order as ready before they've even started.
- * - **Idempotency**: The system checks if an `ITEM_READY_FOR_PICKUP` entry already exists.
+ * - The order must be at `WORK_STARTED`, ensuring the vendor can't mark an order as ready before they've even started.
+ * - **Idempotency**: The order state machine only allows `WORK_STARTED -> ITEM_READY_FOR_PICKUP`, so it can't be triggered twice.
  * - **Actions**:
  * 1.  Creates a timeline entry for `ITEM_READY_FOR_PICKUP`.
- * 2.  **Initiates Return Logistics**: It creates a new `DeliveryTracking` entity for the return trip ("TO_CUSTOMER").
+ * 2.  **Initiates Return Logistics**: It creates a new `DeliveryTracking` entity for the return trip ("TO_CUSTOMER"). For a split payment with the balance still due, this waits until the balance is paid (see `createBalancePaymentOrder`) and the customer is notified instead.
  * 3.  **Outbox Pattern**: It creates an `Outbox` event (`SEND_ITEM_DELIVERY`). This decouples the main order transaction from the external call to the delivery service. A separate worker process will handle the outbox event, ensuring that even if the delivery API call fails, the order transaction remains successful.
  *
  * ---
@@ -805,6 +1775,7 @@ export const createRazorpayOrder = async (data) => {
  * @returns {Promise<Object>} - The result of the update.
  * 
  * @apiSuccess {string} message A success confirmation message.
+ * @apiSuccess {boolean} balanceDue Whether the return delivery is waiting for the customer to pay the balance.
  *
  * @apiError {Error} 400 - **Invalid Status or Pre-condition Failed**: Thrown if the requested status is not valid, if a required pre-condition is not met (e.g., trying to mark an item as received before it's delivered), or if the action has already been performed (idempotency failure).
  * @apiError {Error} 403 - **Forbidden**: Thrown if the order is not assigned to the vendor making the request.
@@ -822,103 +1793,69 @@ export const updateOrderStatus = async (data) => {
 
         if (!userId || !orderId || !status) throw sendError("Missing required fields: userId, orderId, or status", 400);
 
-        const { id: vendorId, addressLine1: vendorAddress } = await queryRunner.manager.findOne(Vendors, { 
+        const vendor = await queryRunner.manager.findOne(Vendors, { 
             where: { userId: userId },
-            select: { id: true, addressLine1: true } 
+            select: { id: true } 
         });
-        if (!vendorId) throw sendError("Vendor not found", 404);
+        if (!vendor) throw sendError("Vendor not found", 404);
+        const vendorId = vendor.id;
 
         const order = await queryRunner.manager.findOne(Orders, { 
             where: { id: orderId }, 
-            select: { id: true, clothProvided: true, orderStatus: true, customerId: true, selectedVendorId: true }
+            select: { id: true, selectedVendorId: true, customerId: true, balanceAmount: true, balancePaymentId: true }
         });
   
         if (!order) throw sendError("Order not found", 404);
         if (order.selectedVendorId !== vendorId) throw sendError("Order is not assigned to this vendor", 403);
 
-
+        // Pre-conditions and idempotency are enforced by the state machine: ITEM_RECEIVED is only reachable from
+        // ITEM_DELIVERED_TO_VENDOR (clothProvided orders) and ITEM_READY_FOR_PICKUP only from WORK_STARTED.
         switch (status) {
             case ORDER_STATUS.ITEM_RECEIVED:
-                // PRE-CONDITION: This flow is only for orders where the customer provides the materials.
-                if (!order.clothProvided) throw sendError("This order does not involve item pickup from the customer", 400);
-
-                // IDEMPOTENCY CHECK: Prevent the vendor from acknowledging receipt multiple times.
-                const alreadyReceived = await queryRunner.manager.exists(OrderStatusTimeline, {
-                    where: { orderId: orderId, newStatus: ORDER_STATUS.ITEM_RECEIVED }
-                });
-
-                if (alreadyReceived)  throw sendError("Item has already been marked as received by the vendor", 409);
-
-                // PRE-CONDITION: Ensure the logistics partner has marked the item as delivered to the vendor.
-                const itemDeliveredEvent = await queryRunner.manager.exists(OrderStatusTimeline, { 
-                    where: { orderId: orderId, newStatus: ORDER_STATUS.ITEM_DELIVERED_TO_VENDOR }
-                });
-                if (!itemDeliveredEvent) throw sendError("Item has not yet been marked as delivered by the logistics partner", 400);
-
-                // ACTIONS: Create timeline entries for both receiving the item and starting the work.
-                await createTimelineEntry(queryRunner, orderId, ORDER_STATUS.ITEM_DELIVERED_TO_VENDOR, ORDER_STATUS.ITEM_RECEIVED, vendorId, ROLE.VENDOR, "Vendor acknowledged receipt of the item.");            
-                await createTimelineEntry(queryRunner, orderId, ORDER_STATUS.ITEM_RECEIVED, ORDER_STATUS.WORK_STARTED, vendorId, ROLE.VENDOR, "Work started after item receipt acknowledgment.");  
-                
+                // ACTIONS: Receiving the item signifies the start of the vendor's work.
+                await transitionOrder(queryRunner, { orderId, to: ORDER_STATUS.ITEM_RECEIVED, actorId: vendorId, actorRole: ROLE.VENDOR, notes: "Vendor acknowledged receipt of the item." });
+                await transitionOrder(queryRunner, { orderId, to: ORDER_STATUS.WORK_STARTED, actorId: vendorId, actorRole: ROLE.VENDOR, notes: "Work started after item receipt acknowledgment." });
                 break;
 
             case ORDER_STATUS.ITEM_READY_FOR_PICKUP:
-                // PRE-CONDITION: The order must be in the 'IN_PROGRESS' state.
-                if (order.orderStatus !== ORDER_STATUS.IN_PROGRESS) throw sendError("Order is not currently in progress", 400);
-                
-                // IDEMPOTENCY CHECK: Prevent triggering return delivery multiple times.
-                const alreadyReadyForPickup = await queryRunner.manager.exists(OrderStatusTimeline, {
-                    where: { orderId: orderId, newStatus: ORDER_STATUS.ITEM_READY_FOR_PICKUP }
-                });
-                if (alreadyReadyForPickup) throw sendError("Order has already been marked as ready for pickup", 400);
-                        
-                // PRE-CONDITION: Ensure work has actually started before it can be finished.
-                const workStartedEvent = await queryRunner.manager.exists(OrderStatusTimeline, {
-                where: { orderId: orderId, newStatus: ORDER_STATUS.WORK_STARTED }
-                });
-                if (!workStartedEvent) throw sendError("Cannot mark as ready for pickup before work has started", 400);
-
-                // ACTION: Create the timeline entry for this new status.
-                await createTimelineEntry(queryRunner, orderId, ORDER_STATUS.WORK_STARTED, ORDER_STATUS.ITEM_READY_FOR_PICKUP, vendorId, ROLE.VENDOR, "Vendor marked item as ready for pickup.");
-
-                // GENERATE DELIVERY TRACKING ID 
-                // IF THE DELIVERY SERVICE NEED TO AVOID CHARACTERS, THEN ADD AN RANDOM/SEQUENTIAL NUMBER BY SETTING THE FIELD AS UNIQUE
-                const deliveryTracking = await queryRunner.manager.save(DeliveryTracking, {
-                    orderId: orderId, deliveryType: "TO_CUSTOMER", from: "VENDOR", to: "CUSTOMER", status: "PENDING",
-                    statusUpdateTimeStamp: {
-                        initiated_at: new Date(),
-                        pickup_assigned_at: null,
-                        pickup_in_transit_at: null,
-                        pickup_completed_at: null,
-                        delivery_in_transit_at: null,
-                        delivery_completed_at: null,
-                        delivery_failed_at: null,
-                        delivery_cancelled_at: null,
-                    },
-                })
-
-                // INITIATE CLOTH PICKUP FROM VENDOR, OUTBOX PATTERN: Create an event to be processed by a separate worker.
-                // This ensures the external API call to the delivery service does not block or fail this transaction.
-                await queryRunner.manager.save(Outbox, {
-                eventType: "SEND_ITEM_DELIVERY",
-                payload: {
-                    deliveryTrackingId: deliveryTracking.id, //deliveryTrackingId or order_id depends on delivery service
-                    orderId,
-                    vendorId,
-                    customerId: order.customerId,
-                    pickupAddress: vendorAddress,
-                    deliveryAddress: "test address 1",
-                },
-                status: "PENDING",
-                createdAt: new Date()
-                })
-
+                // ACTION: Also creates the return DeliveryTracking and its SEND_ITEM_DELIVERY outbox event, unless a balance is still due.
+                await transitionOrder(queryRunner, { orderId, to: ORDER_STATUS.ITEM_READY_FOR_PICKUP, actorId: vendorId, actorRole: ROLE.VENDOR, notes: "Vendor marked item as ready for pickup." });
                 break;
+
             default: throw sendError(`Invalid or unsupported status update: ${status}`, 400);
         }
 
         await queryRunner.commitTransaction();
+
+        const balanceDue = status === ORDER_STATUS.ITEM_READY_FOR_PICKUP && isBalanceDue(order);
+        if (balanceDue) {
+            try {
+                const customer = await AppDataSource.getRepository(Customers).findOne({ where: { id: order.customerId }, relations: { user: true } });
+                if (customer?.user) {
+                    const message = `Your order #${orderId.substring(0, 8)} is ready. Pay the balance of ${order.balanceAmount} to have it delivered.`;
+                    if (customer.user.pushToken) {
+                        pushQueue.add("balanceDue", {
+                            token: customer.user.pushToken,
+                            title: "Balance Payment Due",
+                            message,
+                            data: { url: '/(customer)/(portal)/orders' }
+                        });
+                    }
+                    notificationHistoryQueue.add("saveNotificationHistory", {
+                        userId: customer.user.id,
+                        title: "Balance Payment Due",
+                        body: message,
+                        timestamp: new Date(),
+                    });
+                }
+            } catch (notificationError) {
+                logger.error(`Failed to queue balance due notification for order ${orderId}`, notificationError);
+            }
+        }
+
         return {
             message: "Order status updated successfully",
+            balanceDue,
         }
     } catch (err) {
         if (queryRunner.isTransactionActive) {
@@ -0,0 +1,469 @@
+import { LessThan, Not, In } from "typeorm";
+import { logger } from "../utils/logger-utils.mjs";
+import { sendError } from "../utils/core-utils.mjs";
+import { AppDataSource } from "../config/data-source.mjs";
+import { Payouts } from "../entities/Payouts.mjs";
+import { PayoutBatches } from "../entities/PayoutBatches.mjs";
+import { VendorPayoutSettings } from "../entities/VendorPayoutSettings.mjs";
+import { VendorStats } from "../entities/VendorStats.mjs";
+import { Vendors } from "../entities/Vendors.mjs";
+import { createPayout } from "../utils/razorpay-utils.mjs";
+import { getJsonSetting } from "../utils/pricing_utils.mjs";
+import { postPayoutStatus } from "./ledgerService.mjs";
+import { PAYOUT_CYCLE, PAYMENT_INSTALMENT, BANK_VALIDATION_STATUS } from "../types/enums/index.mjs";
+import { DEFAULT_PAYOUT_SCHEDULE } from "../config/constants.mjs";
+
+/**
+ * @file payoutService.mjs
+ * @description Scheduled settlement of vendor payouts.
+ *
+ * Every completed order raises an `action_required` Payouts row. A split-payment order raises two: the vendor's share
+ * of the advance when it is captured (ADVANCE) and the rest on completion (BALANCE). Once a row is older than the hold period,
+ * the payout cycle groups all of a vendor's eligible rows into one PayoutBatches row, recovers outstanding
+ * deductions (VendorStats.totalDeductions - recoveredDeductions) from it and issues a single Razorpay payout.
+ * The rows are marked `batched` before Razorpay is called and then follow the batch's status through the
+ * payout webhook, so an admin can no longer pay them one by one.
+ *
+ * The batch id is the idempotency key, so a batch left in `created` (Razorpay unreachable, worker crash)
+ * is simply re-sent on the next run.
+ *
+ * Vendors whose bank account hasn't passed the penny drop (bankValidationStatus VALID) are skipped; their
+ * rows wait for a later cycle.
+ */
+
+const FAILED_PAYOUT_STATUSES = ["failed", "rejected", "reversed", "cancelled"];
+// A `created` batch younger than this may still be in flight in another run
+const STALE_BATCH_MS = 10 * 60 * 1000;
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+export const getPayoutSchedule = async () => {
+    return { ...DEFAULT_PAYOUT_SCHEDULE, ...(await getJsonSetting("payout_schedule", DEFAULT_PAYOUT_SCHEDULE)) };
+};
+
+const getIstWeekday = (date) => new Date(date.getTime() + 330 * 60 * 1000).getUTCDay();
+
+/**
+ * The first payout cycle run (payoutCycleQueue, daily at 04:30 UTC) that settles a payout which clears the hold
+ * period at `eligibleAt`. WEEKLY vendors wait for the configured weekday. THRESHOLD vendors are paid on the first
+ * run after their net amount reaches the threshold, which the caller has to check.
+ *
+ * @param {Date} eligibleAt - When the payout clears the hold period.
+ * @param {string} cycle - PAYOUT_CYCLE
+ * @param {Object} schedule - The result of getPayoutSchedule().
+ * @returns {Date}
+ */
+export const getNextPayoutRunAt = (eligibleAt, cycle, schedule) => {
+    const dayMs = 24 * 60 * 60 * 1000;
+    let runAt = new Date(Date.UTC(eligibleAt.getUTCFullYear(), eligibleAt.getUTCMonth(), eligibleAt.getUTCDate(), 4, 30));
+    if (runAt < eligibleAt) runAt = new Date(runAt.getTime() + dayMs);
+    if (cycle === PAYOUT_CYCLE.WEEKLY) {
+        while (getIstWeekday(runAt) !== schedule.weeklyDay) runAt = new Date(runAt.getTime() + dayMs);
+    }
+    return runAt;
+};
+
+/**
+ * Raises an `action_required` Payouts row for admin approval or the next payout cycle.
+ * MUST BE CALLED WITHIN AN ACTIVE DATABASE TRANSACTION.
+ *
+ * @param {import("typeorm").EntityManager} manager
+ * @param {Object} params
+ * @param {string} params.orderId
+ * @param {string} params.vendorId
+ * @param {number} params.amount - What the vendor is owed for this row.
+ * @param {string} [params.instalment] - PAYMENT_INSTALMENT, FULL by default.
+ * @returns {Promise<Object>} The saved Payouts row.
+ */
+export const raiseVendorPayout = async (manager, { orderId, vendorId, amount, instalment = PAYMENT_INSTALMENT.FULL }) => {
+    const vendor = await manager.findOne(Vendors, { where: { id: vendorId }, select: { razorpay_fund_account_id: true } });
+    if (!vendor) throw sendError("Vendor not found", 404);
+
+    const payout = manager.create(Payouts, {
+        orderId,
+        vendorId,
+        razorpay_fund_account_id: vendor.razorpay_fund_account_id,
+        expected_amount: amount,
+        instalment,
+        status: "action_required",
+        payout_status_history: {
+            "action_required_at": new Date().toString(),
+            "payout_initiated_by_admin_at": null,
+            "pending_for_approval_at": null,
+            "payout_rejected_at": null,
+            "queued_at": null,
+            "processing_at": null,
+            "processed_at": null,
+            "failed_at": null,
+            "reversed_at": null,
+            "cancelled_at": null
+        },
+        payout_status_description: {
+            "action_required": "Payout is pending for approval by admin",
+            "payout_initiated_by_admin": "Payout initiated by admin",
+            "pending_for_approval": null,
+            "payout_rejected": null,
+            "queued": null,
+            "processing": null,
+            "processed": null,
+            "failed": null,
+            "reversed": null,
+            "cancelled": null
+        }
+    });
+    const payout_created = await manager.save(Payouts, payout);
+    if (!payout_created) throw sendError("Failed to create payout", 500);
+    return payout_created;
+};
+
+/**
+ * Takes back the vendor's advance share when a split-payment order is cancelled or the vendor withdraws.
+ * A row nobody has paid yet is cancelled; one already batched or paid is recovered from the vendor's next
+ * payouts as an outstanding deduction. No ledger entry is needed: the payout already debited VENDOR_PAYABLE.
+ * MUST BE CALLED WITHIN AN ACTIVE DATABASE TRANSACTION.
+ *
+ * @param {import("typeorm").EntityManager} manager
+ * @param {Object} params
+ * @param {string} params.orderId
+ * @param {string} params.vendorId
+ * @returns {Promise<number>} The amount left to recover from later payouts, 0 if the row was cancelled or there was none.
+ */
+export const recoverAdvancePayout = async (manager, { orderId, vendorId }) => {
+    const payout = await manager.findOne(Payouts, {
+        where: { orderId, vendorId, instalment: PAYMENT_INSTALMENT.ADVANCE, status: Not(In(FAILED_PAYOUT_STATUSES)) },
+        lock: { mode: "pessimistic_write" }
+    });
+    if (!payout) return 0;
+
+    if (payout.status === "action_required" && !payout.batchId) {
+        await manager.update(Payouts, { id: payout.id }, {
+            status: "cancelled",
+            payout_status_history: { ...payout.payout_status_history, cancelled_at: new Date().toString() },
+            payout_status_description: { ...payout.payout_status_description, cancelled: "Order cancelled before the advance was paid out" }
+        });
+        return 0;
+    }
+
+    const amount = parseFloat(payout.expected_amount);
+    await manager.update(VendorStats, { vendorId }, { totalDeductions: () => `"totalDeductions" + ${amount}` });
+    return amount;
+};
+
+/**
+ * Groups a vendor's eligible payouts into a batch and recovers outstanding deductions from it.
+ * Returns null (and changes nothing) when the vendor's cycle doesn't pay out yet.
+ */
+const createVendorBatch = async (vendorId, { schedule, cutoff, now, initiatedBy, force }) => {
+    const queryRunner = AppDataSource.createQueryRunner();
+    await queryRunner.connect();
+    await queryRunner.startTransaction();
+    try {
+        const settings = await queryRunner.manager.findOne(VendorPayoutSettings, { where: { vendorId } });
+        if (settings?.isOnHold || settings?.isExcluded) {
+            await queryRunner.rollbackTransaction();
+            return null;
+        }
+
+        const cycle = settings?.cycle || schedule.cycle;
+        if (cycle === PAYOUT_CYCLE.WEEKLY && !force && getIstWeekday(now) !== schedule.weeklyDay) {
+            await queryRunner.rollbackTransaction();
+            return null;
+        }
+
+        const vendor = await queryRunner.manager.findOne(Vendors, { where: { id: vendorId }, select: { id: true, razorpay_fund_account_id: true, bankValidationStatus: true } });
+        if (!vendor?.razorpay_fund_account_id) {
+            logger.warn(`Skipping payout batch for vendor ${vendorId}: no fund account`);
+            await queryRunner.rollbackTransaction();
+            return null;
+        }
+        if (vendor.bankValidationStatus !== BANK_VALIDATION_STATUS.VALID) {
+            logger.warn(`Skipping payout batch for vendor ${vendorId}: bank account ${vendor.bankValidationStatus}`);
+            await queryRunner.rollbackTransaction();
+            return null;
+        }
+
+        const payouts = await queryRunner.manager.createQueryBuilder(Payouts, "payouts")
+            .setLock("pessimistic_write")
+            .setOnLocked("skip_locked")
+            .where("payouts.vendorId = :vendorId", { vendorId })
+            .andWhere("payouts.status = :status", { status: "action_required" })
+            .andWhere("payouts.batchId IS NULL")
+            .andWhere("payouts.entry_created_at <= :cutoff", { cutoff })
+            .orderBy("payouts.entry_created_at", "ASC")
+            .getMany();
+        if (!payouts.length) {
+            await queryRunner.rollbackTransaction();
+            return null;
+        }
+
+        const stats = await queryRunner.manager.findOne(VendorStats, { where: { vendorId }, lock: { mode: "pessimistic_write" } });
+        const outstanding = stats ? Math.max(round2(parseFloat(stats.totalDeductions) - parseFloat(stats.recoveredDeductions)), 0) : 0;
+
+        const grossAmount = round2(payouts.reduce((sum, payout) => sum + parseFloat(payout.expected_amount), 0));
+        const deductionAmount = Math.min(outstanding, grossAmount);
+        const netAmount = round2(grossAmount - deductionAmount);
+
+        const threshold = settings?.thresholdAmount !== null && settings?.thresholdAmount !== undefined ? parseFloat(settings.thresholdAmount) : schedule.thresholdAmount;
+        const belowThreshold = cycle === PAYOUT_CYCLE.THRESHOLD && !force && netAmount < threshold;
+        if (netAmount < schedule.minAmount || belowThreshold) {
+            await queryRunner.rollbackTransaction();
+            return null;
+        }
+
+        const batch = await queryRunner.manager.save(PayoutBatches, {
+            vendorId,
+            cycle,
+            razorpay_fund_account_id: vendor.razorpay_fund_account_id,
+            payout_count: payouts.length,
+            gross_amount: grossAmount,
+            deduction_amount: deductionAmount,
+            net_amount: netAmount,
+            status: "created",
+            mode: schedule.mode,
+            status_history: { created_at: now.toISOString() },
+            initiated_by: initiatedBy || null
+        });
+
+        // Deductions are taken from the oldest payouts first
+        let remaining = deductionAmount;
+        for (const payout of payouts) {
+            const share = Math.min(remaining, parseFloat(payout.expected_amount));
+            remaining = round2(remaining - share);
+            await queryRunner.manager.update(Payouts, { id: payout.id }, {
+                batchId: batch.id,
+                status: "batched",
+                batch_deduction_amount: share,
+                razorpay_fund_account_id: vendor.razorpay_fund_account_id,
+                payout_status_history: { ...payout.payout_status_history, batched_at: now.toISOString() },
+                payout_status_description: { ...payout.payout_status_description, batched: `Settled in ${cycle.toLowerCase()} payout batch ${batch.id}` }
+            });
+        }
+
+        if (deductionAmount > 0) {
+            await queryRunner.manager.update(VendorStats, { vendorId }, { recoveredDeductions: () => `"recoveredDeductions" + ${deductionAmount}` });
+        }
+
+        await queryRunner.commitTransaction();
+        return batch;
+    } catch (error) {
+        if (queryRunner.isTransactionActive) {
+            await queryRunner.rollbackTransaction();
+        }
+        throw error;
+    } finally {
+        await queryRunner.release();
+    }
+};
+
+/**
+ * Puts a batch's rows back to `action_required` and gives back the deductions it recovered,
+ * so the next cycle (or a manual payout) can pick them up again.
+ */
+const releaseBatch = async (queryRunner, batch) => {
+    await queryRunner.manager.createQueryBuilder()
+        .update(Payouts)
+        .set({ batchId: null, batch_deduction_amount: null, status: "action_required" })
+        .where("batchId = :batchId", { batchId: batch.id })
+        .execute();
+
+    if (parseFloat(batch.deduction_amount) > 0) {
+        await queryRunner.manager.update(VendorStats, { vendorId: batch.vendorId }, {
+            recoveredDeductions: () => `GREATEST("recoveredDeductions" - ${parseFloat(batch.deduction_amount)}, 0)`
+        });
+    }
+};
+
+/**
+ * Copies a batch status change onto its rows, keeping their history in the same shape as individual payouts.
+ */
+const applyStatusToRows = async (manager, batchId, { status, statusKey, at, description, extra = {} }) => {
+    await manager.createQueryBuilder()
+        .update(Payouts)
+        .set({
+            status,
+            ...extra,
+            payout_status_history: () => `COALESCE("payout_status_history", '{}'::jsonb) || jsonb_build_object(:historyKey::text, :at::text)`,
+            payout_status_description: () => `COALESCE("payout_status_description", '{}'::jsonb) || jsonb_build_object(:statusKey::text, :description::text)`
+        })
+        .where("batchId = :batchId", { batchId })
+        .setParameters({ historyKey: `${statusKey}_at`, at, statusKey, description: description || null })
+        .execute();
+};
+
+/**
+ * Sends a `created` batch to Razorpay. A Razorpay error response means the request will never succeed
+ * (bad fund account, insufficient permissions), so the batch is failed and its rows released.
+ * A thrown error (network) leaves the batch `created` for the next run.
+ */
+export const initiateBatch = async (batch) => {
+    const payoutResponse = await createPayout(
+        batch.id,
+        batch.razorpay_fund_account_id,
+        parseFloat(batch.net_amount),
+        "INR",
+        batch.mode || DEFAULT_PAYOUT_SCHEDULE.mode,
+        "payout",
+        true,
+        batch.id,
+        "NEXS DEVELOPMENT PRIVATE LIMIT",
+        { batchId: batch.id, vendorId: batch.vendorId, payoutCount: String(batch.payout_count) }
+    );
+
+    const queryRunner = AppDataSource.createQueryRunner();
+    await queryRunner.connect();
+    await queryRunner.startTransaction();
+    try {
+        const at = new Date().toISOString();
+        if (payoutResponse?.error || !payoutResponse?.id) {
+            const reason = payoutResponse?.error?.description || "Payout was not created";
+            await queryRunner.manager.update(PayoutBatches, { id: batch.id }, {
+                status: "failed",
+                failure_reason: reason,
+                status_history: { ...batch.status_history, failed_at: at }
+            });
+            await releaseBatch(queryRunner, batch);
+            await queryRunner.commitTransaction();
+            logger.error(`Payout batch ${batch.id} rejected by Razorpay: ${reason}`);
+            return { ...batch, status: "failed", failure_reason: reason };
+        }
+
+        await queryRunner.manager.update(PayoutBatches, { id: batch.id }, {
+            status: payoutResponse.status,
+            payout_id: payoutResponse.id,
+            mode: payoutResponse.mode,
+            status_history: { ...batch.status_history, [`${payoutResponse.status}_at`]: at }
+        });
+        await applyStatusToRows(queryRunner.manager, batch.id, {
+            status: payoutResponse.status,
+            statusKey: payoutResponse.status,
+            at,
+            description: payoutResponse.status_details?.description,
+            extra: { mode: payoutResponse.mode, actual_paid_amount: () => `"expected_amount" - COALESCE("batch_deduction_amount", 0)` }
+        });
+        await postPayoutStatus(queryRunner.manager, {
+            status: payoutResponse.status,
+            vendorId: batch.vendorId,
+            amount: parseFloat(batch.net_amount),
+            referenceType: "PayoutBatches",
+            referenceId: batch.id
+        });
+
+        await queryRunner.commitTransaction();
+        return { ...batch, status: payoutResponse.status, payout_id: payoutResponse.id };
+    } catch (error) {
+        if (queryRunner.isTransactionActive) {
+            await queryRunner.rollbackTransaction();
+        }
+        throw error;
+    } finally {
+        await queryRunner.release();
+    }
+};
+
+/**
+ * Applies a RazorpayX payout webhook to a batch and its rows. Called by handleRazorpayPayoutWebhook
+ * inside its transaction when the payout id belongs to a batch rather than a single payout.
+ *
+ * @param {import("typeorm").QueryRunner} queryRunner
+ * @param {Object} params
+ * @param {Object} params.batch - The locked PayoutBatches row.
+ * @param {{ key: string, extra?: Object }} params.handler - The webhook's event handler (status key and extra columns).
+ * @param {Object} params.payoutEntity - The payout entity from the webhook payload.
+ * @returns {Promise<string>} The webhook response status.
+ */
+export const reconcileBatchPayout = async (queryRunner, { batch, handler, payoutEntity }) => {
+    if (batch.status_history?.[`${handler.key}_at`]) return "Already processed";
+
+    const at = new Date(payoutEntity.created_at * 1000).toISOString();
+    const extra = {};
+    if (handler.extra?.utr) extra.utr = handler.extra.utr;
+    if (handler.extra?.failure_reason) extra.failure_reason = handler.extra.failure_reason;
+
+    await queryRunner.manager.update(PayoutBatches, { id: batch.id }, {
+        status: payoutEntity.status,
+        payout_id: payoutEntity.id,
+        ...extra,
+        status_history: { ...batch.status_history, [`${handler.key}_at`]: at }
+    });
+    await applyStatusToRows(queryRunner.manager, batch.id, {
+        status: payoutEntity.status,
+        statusKey: handler.key,
+        at,
+        description: payoutEntity.status_details?.description,
+        extra
+    });
+    // Deductions recovered by the batch were already taken off the vendor's payable when they were charged
+    await postPayoutStatus(queryRunner.manager, {
+        status: payoutEntity.status,
+        vendorId: batch.vendorId,
+        amount: payoutEntity.amount / 100,
+        referenceType: "PayoutBatches",
+        referenceId: batch.id
+    });
+
+    // Money didn't reach the vendor: the rows stay on the batch as a record and are retried one by one
+    // through retryPayout, so the recovered deductions are handed back to be taken from the next batch.
+    if (FAILED_PAYOUT_STATUSES.includes(payoutEntity.status) && !FAILED_PAYOUT_STATUSES.includes(batch.status) && parseFloat(batch.deduction_amount) > 0) {
+        await queryRunner.manager.update(VendorStats, { vendorId: batch.vendorId }, {
+            recoveredDeductions: () => `GREATEST("recoveredDeductions" - ${parseFloat(batch.deduction_amount)}, 0)`
+        });
+    }
+
+    return "Success";
+};
+
+/**
+ * Runs one settlement cycle: re-sends stale `created` batches, then batches every vendor with eligible payouts.
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()]
+ * @param {string} [options.vendorId] - Only settle this vendor.
+ * @param {boolean} [options.force=false] - Ignore the weekly day and threshold (the hold period and minimum amount still apply).
+ * @param {string} [options.initiatedBy] - Admin user id for a manual run.
+ * @returns {Promise<{ batches: number, failed: number, retried: number }>}
+ */
+export const runPayoutCycle = async ({ now = new Date(), vendorId = null, force = false, initiatedBy = null } = {}) => {
+    const schedule = await getPayoutSchedule();
+    const summary = { batches: 0, failed: 0, retried: 0 };
+
+    const staleBatches = await AppDataSource.getRepository(PayoutBatches).find({
+        where: { status: "created", createdAt: LessThan(new Date(now.getTime() - STALE_BATCH_MS)), ...(vendorId && { vendorId }) }
+    });
+    for (const batch of staleBatches) {
+        try {
+            await initiateBatch(batch);
+            summary.retried++;
+        } catch (error) {
+            logger.error(`Retrying payout batch ${batch.id} failed`, error);
+        }
+    }
+
+    const cutoff = new Date(now.getTime() - schedule.holdDays * 24 * 60 * 60 * 1000);
+    const vendorQuery = AppDataSource.getRepository(Payouts).createQueryBuilder("payouts")
+        .select("DISTINCT payouts.vendorId", "vendorId")
+        .leftJoin(VendorPayoutSettings, "settings", "settings.vendorId = payouts.vendorId")
+        .where("payouts.status = :status", { status: "action_required" })
+        .andWhere("payouts.batchId IS NULL")
+        .andWhere("payouts.entry_created_at <= :cutoff", { cutoff })
+        .andWhere("COALESCE(settings.isOnHold, false) = false")
+        .andWhere("COALESCE(settings.isExcluded, false) = false");
+    if (vendorId) vendorQuery.andWhere("payouts.vendorId = :vendorId", { vendorId });
+    const vendors = await vendorQuery.getRawMany();
+
+    for (const { vendorId: id } of vendors) {
+        try {
+            const batch = await createVendorBatch(id, { schedule, cutoff, now, initiatedBy, force });
+            if (!batch) continue;
+
+            const result = await initiateBatch(batch);
+            if (result.status === "failed") summary.failed++;
+            else summary.batches++;
+        } catch (error) {
+            summary.failed++;
+            logger.error(`Payout batch for vendor ${id} failed`, error);
+        }
+    }
+
+    logger.info(`Payout cycle finished: ${summary.batches} batches, ${summary.failed} failed, ${summary.retried} retried`);
+    return summary;
+};
@@ -0,0 +1,589 @@
+import { z } from "zod";
+import { Brackets } from "typeorm";
+import { logger } from "../utils/logger-utils.mjs";
+import { sendError } from "../utils/core-utils.mjs";
+import { AppDataSource } from "../config/data-source.mjs";
+import { PromoCodes } from "../entities/PromoCodes.mjs";
+import { PromoRedemptions } from "../entities/PromoRedemptions.mjs";
+import { Customers } from "../entities/Customers.mjs";
+import { Orders } from "../entities/Orders.mjs";
+import { OrderQuotes } from "../entities/OrderQuote.mjs";
+import { AdminActions } from "../entities/AdminActions.mjs";
+import { ORDER_STATUS, ORDER_VENDOR_STATUS, PROMO_DISCOUNT_TYPE, PROMO_FUNDED_BY, PROMO_REDEMPTION_STATUS, SERVICE_TYPE } from "../types/enums/index.mjs";
+import { PROMO_MIN_PAYABLE_AMOUNT } from "../config/constants.mjs";
+
+/**
+ * @file promoService.mjs
+ * @description Promo codes applied when a customer pays for a quote.
+ *
+ * createRazorpayOrder validates the code, charges the quote's finalPrice less the discount and reserves one use
+ * (a RESERVED PromoRedemptions row tied to the Razorpay order) until the payment attempt expires. When the payment
+ * is captured, applyCapturedPayment re-checks the reservation and expects exactly the discounted amount.
+ *
+ * Who pays for the discount is fixed per use (`fundedBy`): PLATFORM discounts are booked as PROMO_DISCOUNT_EXPENSE
+ * when the order completes, VENDOR discounts are taken off the vendor's payout for the order.
+ */
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+export const normalizePromoCode = (code) => code.trim().toUpperCase();
+
+//========================= ZOD VALIDATION SCHEMAS =========================
+
+const promoCodeFields = {
+    description: z.string().max(500).optional().nullable(),
+    discountType: z.enum(Object.values(PROMO_DISCOUNT_TYPE)),
+    discountValue: z.number().positive(),
+    maxDiscount: z.number().positive().optional().nullable(),
+    minOrderAmount: z.number().min(0).optional().nullable(),
+    firstOrderOnly: z.boolean().optional(),
+    usageLimit: z.number().int().min(1).optional().nullable(),
+    perUserLimit: z.number().int().min(1).optional().nullable(),
+    validFrom: z.coerce.date().optional().nullable(),
+    validUntil: z.coerce.date().optional().nullable(),
+    serviceTypes: z.array(z.enum(Object.values(SERVICE_TYPE))).optional().nullable(),
+    vendorIds: z.array(z.string().uuid()).optional().nullable(),
+    fundedBy: z.enum(Object.values(PROMO_FUNDED_BY)).optional(),
+    isActive: z.boolean().optional(),
+};
+
+const checkPromoCodeRules = (data, ctx) => {
+    if (data.discountType === PROMO_DISCOUNT_TYPE.PERCENT && data.discountValue > 100) {
+        ctx.addIssue({ code: "custom", path: ["discountValue"], message: "A percent discount can't be more than 100" });
+    }
+    if (data.validFrom && data.validUntil && data.validFrom >= data.validUntil) {
+        ctx.addIssue({ code: "custom", path: ["validUntil"], message: "validUntil must be after validFrom" });
+    }
+};
+
+const createPromoCodeSchema = z.object({
+    code: z.string().trim().min(3).max(30).regex(/^[A-Za-z0-9_-]+$/, { message: "Code may only contain letters, digits, - and _" }),
+    ...promoCodeFields,
+}).superRefine(checkPromoCodeRules);
+
+// The code itself can't be renamed once customers may have seen it
+const updatePromoCodeSchema = z.object(promoCodeFields).partial().superRefine(checkPromoCodeRules);
+
+const validatePromoCodeSchema = z.object({
+    userId: z.string().uuid(),
+    orderId: z.string().uuid(),
+    quoteId: z.string().uuid(),
+    code: z.string().trim().min(1).max(30),
+});
+
+//========================= HELPERS =========================
+
+/**
+ * Counts the uses that hold a slot of the code: redeemed ones plus reservations that haven't expired.
+ * Reservations for `excludeQuoteId` are skipped, since paying for that quote again replaces them.
+ */
+const countActiveUses = async (manager, promoCodeId, { customerId = null, excludeQuoteId = null, excludeRedemptionId = null, now }) => {
+    const qb = manager.createQueryBuilder(PromoRedemptions, "redemptions")
+        .where("redemptions.promoCodeId = :promoCodeId", { promoCodeId })
+        .andWhere(new Brackets((where) => {
+            where.where("redemptions.status = :redeemed", { redeemed: PROMO_REDEMPTION_STATUS.REDEEMED })
+                .orWhere("(redemptions.status = :reserved AND redemptions.expiresAt > :now)", { reserved: PROMO_REDEMPTION_STATUS.RESERVED, now });
+        }));
+    if (customerId) qb.andWhere("redemptions.customerId = :customerId", { customerId });
+    if (excludeQuoteId) qb.andWhere("(redemptions.status = :redeemed OR redemptions.quoteId != :excludeQuoteId)", { excludeQuoteId });
+    if (excludeRedemptionId) qb.andWhere("redemptions.id != :excludeRedemptionId", { excludeRedemptionId });
+    return qb.getCount();
+};
+
+/**
+ * Checks every rule of a code against an order and returns the discount it gives.
+ *
+ * @param {import("typeorm").EntityManager} manager
+ * @param {Object} promo - The PromoCodes row, locked by the caller when the use is going to be reserved.
+ * @param {Object} params
+ * @param {string} params.customerId
+ * @param {Object} params.order - Needs id and serviceType.
+ * @param {Object} params.quote - Needs id, finalPrice and vendorPayoutAfterCommission.
+ * @param {string} params.vendorId
+ * @param {Date} params.now
+ * @param {string} [params.excludeRedemptionId] - The use being re-checked at capture.
+ * @returns {Promise<number>} The discount in rupees.
+ * @throws {Error} 400 with the reason the code doesn't apply.
+ */
+const evaluatePromoCode = async (manager, promo, { customerId, order, quote, vendorId, now, excludeRedemptionId = null }) => {
+    if (!promo || !promo.isActive) throw sendError("Invalid promo code", 400);
+    if (promo.validFrom && now < new Date(promo.validFrom)) throw sendError("This promo code is not active yet", 400);
+    if (promo.validUntil && now > new Date(promo.validUntil)) throw sendError("This promo code has expired", 400);
+
+    if (promo.serviceTypes?.length && !promo.serviceTypes.includes(order.serviceType)) {
+        throw sendError("This promo code doesn't apply to this service", 400);
+    }
+    if (promo.vendorIds?.length && !promo.vendorIds.includes(vendorId)) {
+        throw sendError("This promo code doesn't apply to this vendor", 400);
+    }
+
+    const finalPrice = parseFloat(quote.finalPrice);
+    if (promo.minOrderAmount !== null && finalPrice < parseFloat(promo.minOrderAmount)) {
+        throw sendError(`This promo code needs an order of at least ${parseFloat(promo.minOrderAmount)}`, 400);
+    }
+
+    if (promo.firstOrderOnly) {
+        const hasPaidOrder = await manager.exists(Orders, { where: { customerId, isPaid: true } });
+        if (hasPaidOrder) throw sendError("This promo code is only for your first order", 400);
+    }
+
+    const countOptions = { excludeQuoteId: quote.id, excludeRedemptionId, now };
+    if (promo.usageLimit !== null && await countActiveUses(manager, promo.id, countOptions) >= promo.usageLimit) {
+        throw sendError("This promo code has reached its usage limit", 400);
+    }
+    if (promo.perUserLimit !== null && await countActiveUses(manager, promo.id, { ...countOptions, customerId }) >= promo.perUserLimit) {
+        throw sendError("You have already used this promo code", 400);
+    }
+
+    let discount = promo.discountType === PROMO_DISCOUNT_TYPE.FLAT
+        ? parseFloat(promo.discountValue)
+        : finalPrice * parseFloat(promo.discountValue) / 100;
+    if (promo.maxDiscount !== null) discount = Math.min(discount, parseFloat(promo.maxDiscount));
+    // A vendor can't fund more than they earn from the order
+    if (promo.fundedBy === PROMO_FUNDED_BY.VENDOR) discount = Math.min(discount, parseFloat(quote.vendorPayoutAfterCommission));
+    discount = round2(Math.min(discount, finalPrice - PROMO_MIN_PAYABLE_AMOUNT));
+
+    if (discount <= 0) throw sendError("This promo code doesn't apply to this order", 400);
+    return discount;
+};
+
+//========================= PAYMENT FLOW =========================
+
+/**
+ * Looks up and locks a code, then validates it for the quote being paid. Called by createRazorpayOrder before the
+ * Razorpay order is created; the lock is held until the reservation is saved, so two customers can't take the last use.
+ *
+ * @returns {Promise<{ promo: Object, discountAmount: number }>}
+ */
+export const applyPromoCode = async (manager, { code, customerId, order, quote, vendorId }) => {
+    const promo = await manager.findOne(PromoCodes, { where: { code: normalizePromoCode(code) }, lock: { mode: "pessimistic_write" } });
+    const discountAmount = await evaluatePromoCode(manager, promo, { customerId, order, quote, vendorId, now: new Date() });
+    return { promo, discountAmount };
+};
+
+/**
+ * Reserves one use of a code for a Razorpay order until `expiresAt`.
+ */
+export const reservePromoCode = async (manager, { promo, discountAmount, customerId, orderId, quoteId, vendorId, razorpayOrderId, expiresAt }) => {
+    return manager.save(PromoRedemptions, {
+        promoCodeId: promo.id,
+        customerId,
+        orderId,
+        quoteId,
+        vendorId,
+        razorpayOrderId,
+        discountAmount,
+        fundedBy: promo.fundedBy,
+        status: PROMO_REDEMPTION_STATUS.RESERVED,
+        expiresAt
+    });
+};
+
+/**
+ * Gives back the reservation of a payment attempt that is being replaced.
+ */
+export const releasePromoReservation = async (manager, razorpayOrderId) => {
+    await manager.update(PromoRedemptions, { razorpayOrderId, status: PROMO_REDEMPTION_STATUS.RESERVED }, { status: PROMO_REDEMPTION_STATUS.RELEASED });
+};
+
+/**
+ * Turns the reservation of a captured Razorpay order into a redeemed use. A reservation that is still live was
+ * already counted against the limits; one that expired or was released (the customer paid an older Razorpay order)
+ * is checked again, as the slot may have been taken since. Returns null when no code was applied.
+ *
+ * @param {import("typeorm").EntityManager} manager
+ * @param {Object} params
+ * @param {string} params.razorpayOrderId
+ * @param {Object} params.order
+ * @param {Object} params.quote
+ * @param {string} params.customerId
+ * @param {string} params.vendorId
+ * @returns {Promise<Object|null>} The redeemed PromoRedemptions row.
+ * @throws {Error} If the reservation belongs to another order or the code no longer applies.
+ */
+export const redeemPromoCode = async (manager, { razorpayOrderId, order, quote, customerId, vendorId }) => {
+    if (!razorpayOrderId) return null;
+
+    const redemption = await manager.findOne(PromoRedemptions, { where: { razorpayOrderId }, lock: { mode: "pessimistic_write" } });
+    if (!redemption) return null;
+    if (redemption.orderId !== order.id || redemption.quoteId !== quote.id || redemption.customerId !== customerId) {
+        throw sendError("Promo code reservation does not match this payment", 400);
+    }
+    if (redemption.status === PROMO_REDEMPTION_STATUS.REDEEMED) return redemption;
+
+    const now = new Date();
+    const promo = await manager.findOne(PromoCodes, { where: { id: redemption.promoCodeId }, lock: { mode: "pessimistic_write" } });
+    const isLive = redemption.status === PROMO_REDEMPTION_STATUS.RESERVED && new Date(redemption.expiresAt) > now;
+    if (!isLive) {
+        const discountAmount = await evaluatePromoCode(manager, promo, { customerId, order, quote, vendorId, now, excludeRedemptionId: redemption.id });
+        if (discountAmount !== parseFloat(redemption.discountAmount)) throw sendError("Promo code discount has changed", 400);
+    }
+
+    await manager.update(PromoRedemptions, { id: redemption.id }, { status: PROMO_REDEMPTION_STATUS.REDEEMED, redeemedAt: now });
+    await manager.update(PromoCodes, { id: promo.id }, { usedCount: () => "\"usedCount\" + 1" });
+
+    return { ...redemption, status: PROMO_REDEMPTION_STATUS.REDEEMED, redeemedAt: now, code: promo.code };
+};
+
+/**
+ * Redeems a code straight away for an order paid entirely from the wallet, where there is no Razorpay order to
+ * reserve it against. The caller still holds the lock taken by applyPromoCode.
+ */
+export const redeemAppliedPromoCode = async (manager, { promo, discountAmount, customerId, orderId, quoteId, vendorId }) => {
+    const now = new Date();
+    const redemption = await manager.save(PromoRedemptions, {
+        promoCodeId: promo.id,
+        customerId,
+        orderId,
+        quoteId,
+        vendorId,
+        razorpayOrderId: null,
+        discountAmount,
+        fundedBy: promo.fundedBy,
+        status: PROMO_REDEMPTION_STATUS.REDEEMED,
+        expiresAt: now,
+        redeemedAt: now
+    });
+    await manager.update(PromoCodes, { id: promo.id }, { usedCount: () => "\"usedCount\" + 1" });
+    return { ...redemption, code: promo.code };
+};
+
+/**
+ * The redeemed promo use of a paid order, or null.
+ */
+export const getOrderPromoRedemption = async (manager, orderId) => {
+    return manager.findOne(PromoRedemptions, { where: { orderId, status: PROMO_REDEMPTION_STATUS.REDEEMED } });
+};
+
+/**
+ * Gives the use back to the customer when a paid order is cancelled.
+ */
+export const reversePromoRedemption = async (manager, orderId) => {
+    const redemption = await getOrderPromoRedemption(manager, orderId);
+    if (!redemption) return null;
+
+    await manager.update(PromoRedemptions, { id: redemption.id }, { status: PROMO_REDEMPTION_STATUS.REVERSED });
+    await manager.update(PromoCodes, { id: redemption.promoCodeId }, { usedCount: () => "GREATEST(\"usedCount\" - 1, 0)" });
+    return redemption;
+};
+
+/**
+ * Moves an order's discount to the quote it was reassigned to. The vendor who funded it withdrew,
+ * so a vendor-funded discount is taken over by the platform.
+ */
+export const transferPromoRedemption = async (manager, redemption, { quoteId, vendorId, discountAmount }) => {
+    await manager.update(PromoRedemptions, { id: redemption.id }, {
+        quoteId,
+        vendorId,
+        discountAmount,
+        fundedBy: PROMO_FUNDED_BY.PLATFORM
+    });
+};
+
+//========================= CUSTOMER SERVICES =========================
+
+/**
+ * @api {post} /api/order/validatePromoCode Validate Promo Code (customer route)
+ * @apiName ValidatePromoCode
+ * @apiGroup Order
+ * @apiDescription Previews a promo code on an accepted quote before paying. Nothing is reserved; the code is checked
+ * again when `createRazorpayOrder` is called with it.
+ *
+ * @apiBody {string} orderId
+ * @apiBody {string} quoteId
+ * @apiBody {string} code
+ *
+ * @param {Object} data
+ * @param {string} data.userId
+ * @param {string} data.orderId
+ * @param {string} data.quoteId
+ * @param {string} data.code
+ *
+ * @apiSuccess {string} response.code
+ * @apiSuccess {string} response.description
+ * @apiSuccess {number} response.finalPrice
+ * @apiSuccess {number} response.discountAmount
+ * @apiSuccess {number} response.amountPayable
+ *
+ * @apiError {Error} 400 - If the validation fails or the code doesn't apply, with the reason.
+ * @apiError {Error} 404 - If the customer is not found.
+ * @apiError {Error} 500 - Internal Server Error.
+ */
+export const validatePromoCode = async (data) => {
+    try {
+        const { userId, orderId, quoteId, code } = validatePromoCodeSchema.parse(data);
+        const manager = AppDataSource.manager;
+
+        const customer = await manager.findOne(Customers, { where: { userId }, select: { id: true } });
+        if (!customer) throw sendError("Customer profile not found", 404);
+
+        const quote = await manager.getRepository(OrderQuotes).createQueryBuilder("order_quotes")
+            .innerJoinAndSelect("order_quotes.orderVendor", "orderVendors")
+            .innerJoinAndSelect("orderVendors.order", "orders")
+            .where("order_quotes.id = :quoteId", { quoteId })
+            .andWhere("orders.id = :orderId", { orderId })
+            .andWhere("orders.customerId = :customerId", { customerId: customer.id })
+            .andWhere("orders.orderStatus = :orderStatus", { orderStatus: ORDER_STATUS.PENDING })
+            .andWhere("orderVendors.status = :ovStatus", { ovStatus: ORDER_VENDOR_STATUS.ACCEPTED })
+            .getOne();
+        if (!quote) throw sendError("This quote is not valid for payment. It may be expired, or the order may no longer be pending.", 400);
+
+        const promo = await manager.findOne(PromoCodes, { where: { code: normalizePromoCode(code) } });
+        const discountAmount = await evaluatePromoCode(manager, promo, {
+            customerId: customer.id,
+            order: quote.orderVendor.order,
+            quote,
+            vendorId: quote.orderVendor.vendorId,
+            now: new Date()
+        });
+
+        return {
+            code: promo.code,
+            description: promo.description,
+            finalPrice: quote.finalPrice,
+            discountAmount,
+            amountPayable: round2(quote.finalPrice - discountAmount)
+        };
+    } catch (err) {
+        if (err instanceof z.ZodError) {
+            logger.warn("validatePromoCode validation failed", { errors: err.flatten().fieldErrors });
+            throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+        }
+        logger.error(err);
+        throw err;
+    }
+}
+
+//========================= ADMIN SERVICES =========================
+
+export const createPromoCode = async (data, adminUserId) => {
+    try {
+        const { code, ...fields } = createPromoCodeSchema.parse(data);
+        const repo = AppDataSource.getRepository(PromoCodes);
+
+        const normalized = normalizePromoCode(code);
+        if (await repo.exists({ where: { code: normalized } })) throw sendError("A promo code with this code already exists", 409);
+
+        const promo = await repo.save({ ...fields, code: normalized, createdBy: adminUserId });
+
+        await AppDataSource.getRepository(AdminActions).save({
+            adminUserId: adminUserId,
+            action: "createPromoCode",
+            actionData: { promoCodeId: promo.id, code: promo.code }
+        });
+
+        return promo;
+    } catch (err) {
+        if (err instanceof z.ZodError) {
+            logger.warn("createPromoCode validation failed", { errors: err.flatten().fieldErrors });
+            throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+        }
+        logger.error(err);
+        throw err;
+    }
+}
+
+/**
+ * Changes apply to new uses only; redeemed uses keep the discount and funding they were given.
+ */
+export const updatePromoCode = async (promoCodeId, data, adminUserId) => {
+    try {
+        const changes = updatePromoCodeSchema.parse(data);
+        if (!Object.keys(changes).length) throw sendError("Nothing to update", 400);
+
+        const repo = AppDataSource.getRepository(PromoCodes);
+        const promo = await repo.findOne({ where: { id: promoCodeId } });
+        if (!promo) throw sendError("Promo code not found", 404);
+
+        const merged = { ...promo, ...changes };
+        if (merged.discountType === PROMO_DISCOUNT_TYPE.PERCENT && parseFloat(merged.discountValue) > 100) {
+            throw sendError("A percent discount can't be more than 100", 400);
+        }
+        if (merged.validFrom && merged.validUntil && new Date(merged.validFrom) >= new Date(merged.validUntil)) {
+            throw sendError("validUntil must be after validFrom", 400);
+        }
+
+        await repo.update({ id: promo.id }, changes);
+
+        await AppDataSource.getRepository(AdminActions).save({
+            adminUserId: adminUserId,
+            action: "updatePromoCode",
+            actionData: { promoCodeId: promo.id, code: promo.code, changes }
+        });
+
+        return repo.findOne({ where: { id: promo.id } });
+    } catch (err) {
+        if (err instanceof z.ZodError) {
+            logger.warn("updatePromoCode validation failed", { errors: err.flatten().fieldErrors });
+            throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+        }
+        logger.error(err);
+        throw err;
+    }
+}
+
+/**
+ * Codes are never deleted, since redemptions and reports refer to them; deactivating stops new uses.
+ */
+export const deactivatePromoCode = async (promoCodeId, adminUserId) => {
+    try {
+        const repo = AppDataSource.getRepository(PromoCodes);
+        const promo = await repo.findOne({ where: { id: promoCodeId } });
+        if (!promo) throw sendError("Promo code not found", 404);
+
+        await repo.update({ id: promo.id }, { isActive: false });
+
+        await AppDataSource.getRepository(AdminActions).save({
+            adminUserId: adminUserId,
+            action: "deactivatePromoCode",
+            actionData: { promoCodeId: promo.id, code: promo.code }
+        });
+
+        return { message: "Promo code deactivated" };
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+
+export const getPromoCodes = async (filters) => {
+    try {
+        const page = Math.max(1, parseInt(filters.page) || 1);
+        const limit = Math.max(1, Math.min(parseInt(filters.limit) || 10, 100));
+
+        const qb = AppDataSource.getRepository(PromoCodes).createQueryBuilder("promos");
+        if (filters.search) qb.andWhere("promos.code ILIKE :search", { search: `%${filters.search.trim()}%` });
+        if (filters.isActive === "true" || filters.isActive === "false") qb.andWhere("promos.isActive = :isActive", { isActive: filters.isActive === "true" });
+        if (filters.fundedBy) qb.andWhere("promos.fundedBy = :fundedBy", { fundedBy: filters.fundedBy });
+
+        const [promoCodes, totalCount] = await qb
+            .orderBy("promos.createdAt", "DESC")
+            .skip((page - 1) * limit)
+            .take(limit)
+            .getManyAndCount();
+
+        return {
+            promoCodes,
+            pagination: {
+                currentPage: page,
+                itemsPerPage: limit,
+                totalItems: totalCount,
+                totalPages: Math.ceil(totalCount / limit),
+                hasMore: page * limit < totalCount
+            }
+        };
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+
+export const getPromoCodeById = async (promoCodeId) => {
+    try {
+        const promo = await AppDataSource.getRepository(PromoCodes).findOne({ where: { id: promoCodeId } });
+        if (!promo) throw sendError("Promo code not found", 404);
+
+        const usage = await AppDataSource.getRepository(PromoRedemptions).createQueryBuilder("redemptions")
+            .select("redemptions.status", "status")
+            .addSelect("COUNT(*)::int", "count")
+            .addSelect("COALESCE(SUM(redemptions.discountAmount), 0)", "discountAmount")
+            .where("redemptions.promoCodeId = :promoCodeId", { promoCodeId })
+            .groupBy("redemptions.status")
+            .getRawMany();
+
+        return { promoCode: promo, usage };
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+
+/**
+ * Redeemed discounts grouped by code and by who funds them, with vendor-funded totals per vendor.
+ * Filtered by the redemption date (`from`/`to`), code or vendor.
+ */
+export const getPromoDiscountReport = async (filters) => {
+    try {
+        const applyFilters = (qb) => {
+            qb.where("redemptions.status = :status", { status: PROMO_REDEMPTION_STATUS.REDEEMED });
+            if (filters.from && filters.to) qb.andWhere("redemptions.redeemedAt BETWEEN :from AND :to", { from: filters.from, to: filters.to });
+            if (filters.promoCodeId) qb.andWhere("redemptions.promoCodeId = :promoCodeId", { promoCodeId: filters.promoCodeId });
+            if (filters.vendorId) qb.andWhere("redemptions.vendorId = :vendorId", { vendorId: filters.vendorId });
+            return qb;
+        };
+        const repo = AppDataSource.getRepository(PromoRedemptions);
+
+        const [byCode, byVendor] = await Promise.all([
+            applyFilters(repo.createQueryBuilder("redemptions").innerJoin("redemptions.promoCode", "promos"))
+                .select("promos.id", "promoCodeId")
+                .addSelect("promos.code", "code")
+                .addSelect("redemptions.fundedBy", "fundedBy")
+                .addSelect("COUNT(*)::int", "redemptions")
+                .addSelect("SUM(redemptions.discountAmount)", "discountAmount")
+                .groupBy("promos.id")
+                .addGroupBy("promos.code")
+                .addGroupBy("redemptions.fundedBy")
+                .orderBy("\"discountAmount\"", "DESC")
+                .getRawMany(),
+            applyFilters(repo.createQueryBuilder("redemptions"))
+                .andWhere("redemptions.fundedBy = :vendorFunded", { vendorFunded: PROMO_FUNDED_BY.VENDOR })
+                .select("redemptions.vendorId", "vendorId")
+                .addSelect("COUNT(*)::int", "redemptions")
+                .addSelect("SUM(redemptions.discountAmount)", "discountAmount")
+                .groupBy("redemptions.vendorId")
+                .orderBy("\"discountAmount\"", "DESC")
+                .getRawMany(),
+        ]);
+
+        const totals = { redemptions: 0, discountAmount: 0, platformFunded: 0, vendorFunded: 0 };
+        for (const row of byCode) {
+            const amount = parseFloat(row.discountAmount);
+            totals.redemptions += row.redemptions;
+            totals.discountAmount = round2(totals.discountAmount + amount);
+            if (row.fundedBy === PROMO_FUNDED_BY.VENDOR) totals.vendorFunded = round2(totals.vendorFunded + amount);
+            else totals.platformFunded = round2(totals.platformFunded + amount);
+        }
+
+        return { totals, byCode, byVendor };
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+
+export const getPromoRedemptions = async (filters) => {
+    try {
+        const page = Math.max(1, parseInt(filters.page) || 1);
+        const limit = Math.max(1, Math.min(parseInt(filters.limit) || 10, 100));
+
+        const qb = AppDataSource.getRepository(PromoRedemptions).createQueryBuilder("redemptions")
+            .leftJoin("redemptions.promoCode", "promos")
+            .addSelect(["promos.id", "promos.code"]);
+        if (filters.promoCodeId) qb.andWhere("redemptions.promoCodeId = :promoCodeId", { promoCodeId: filters.promoCodeId });
+        if (filters.customerId) qb.andWhere("redemptions.customerId = :customerId", { customerId: filters.customerId });
+        if (filters.vendorId) qb.andWhere("redemptions.vendorId = :vendorId", { vendorId: filters.vendorId });
+        if (filters.orderId) qb.andWhere("redemptions.orderId = :orderId", { orderId: filters.orderId });
+        if (filters.fundedBy) qb.andWhere("redemptions.fundedBy = :fundedBy", { fundedBy: filters.fundedBy });
+        if (filters.status) qb.andWhere("redemptions.status IN (:...statuses)", { statuses: String(filters.status).split(",") });
+
+        const [redemptions, totalCount] = await qb
+            .orderBy("redemptions.createdAt", "DESC")
+            .skip((page - 1) * limit)
+            .take(limit)
+            .getManyAndCount();
+
+        return {
+            redemptions,
+            pagination: {
+                currentPage: page,
+                itemsPerPage: limit,
+                totalItems: totalCount,
+                totalPages: Math.ceil(totalCount / limit),
+                hasMore: page * limit < totalCount
+            }
+        };
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
@@ -0,0 +1,495 @@
+import { z } from "zod";
+import { Between, Not, IsNull } from "typeorm";
+import { logger } from "../utils/logger-utils.mjs";
+import { sendError } from "../utils/core-utils.mjs";
+import { AppDataSource } from "../config/data-source.mjs";
+import { Payments } from "../entities/Payments.mjs";
+import { Refunds } from "../entities/Refunds.mjs";
+import { Payouts } from "../entities/Payouts.mjs";
+import { PayoutBatches } from "../entities/PayoutBatches.mjs";
+import { ReconciliationRuns } from "../entities/ReconciliationRuns.mjs";
+import { ReconciliationMismatches } from "../entities/ReconciliationMismatches.mjs";
+import { AdminActions } from "../entities/AdminActions.mjs";
+import { listRazorpayEntities, fetchRazorpayEntity } from "../utils/razorpay-utils.mjs";
+import { applyCapturedPayment, notifyPaymentCaptured, applyRefundStatus, notifyRefundProcessed, applyPayoutStatus } from "./webhookService.mjs";
+import { reconciliationQueue } from "../queues/index.mjs";
+import { RECONCILIATION_ENTITY, RECONCILIATION_MISMATCH, RECONCILIATION_MISMATCH_STATUS, RECONCILIATION_RUN_STATUS } from "../types/enums/index.mjs";
+
+/**
+ * @file reconciliationService.mjs
+ * @description Nightly comparison of our Payments, Refunds and Payouts/PayoutBatches against what Razorpay recorded.
+ *
+ * Each run covers one IST day. Everything Razorpay lists for the day is matched against our rows, and every row
+ * we created that day is looked up at Razorpay so both sides are covered.
+ *
+ * Missed webhooks are healed by replaying the webhook's own transition (applyCapturedPayment, applyRefundStatus,
+ * applyPayoutStatus), but only where that can't undo anything:
+ * - a captured payment we never recorded, when its notes point at an order that is still waiting for payment;
+ * - a refund still `pending` (or unknown) here that Razorpay has since processed or failed;
+ * - a payout or batch whose status moved forward at Razorpay (a final status only changes for processed -> reversed).
+ *
+ * Anything else (amount differences, ids only one side knows, conflicting final statuses, heals that fail) is
+ * written to ReconciliationMismatches for an admin to review and resolve.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const REFUND_FINAL_STATUSES = ["processed", "failed"];
+const PAYOUT_FINAL_STATUSES = ["processed", "reversed", "failed", "rejected", "cancelled"];
+// Razorpay payout status -> the key used in payout_status_history, as in the payout webhook
+const PAYOUT_STATUS_KEYS = {
+    pending: "pending_for_approval",
+    rejected: "payout_rejected",
+    queued: "queued",
+    processing: "processing",
+    processed: "processed",
+    reversed: "reversed",
+    failed: "failed",
+    cancelled: "cancelled",
+};
+
+const toPaise = (amount) => Math.round(parseFloat(amount) * 100);
+
+const getPreviousIstDate = (now) => new Date(now.getTime() + IST_OFFSET_MS - DAY_MS).toISOString().slice(0, 10);
+
+const getIstDayWindow = (date) => {
+    const from = new Date(`${date}T00:00:00+05:30`);
+    return { from, to: new Date(from.getTime() + DAY_MS - 1) };
+};
+
+const newSummary = () => ({ checked: 0, matched: 0, healed: 0, mismatches: 0 });
+
+const inTransaction = async (fn) => {
+    const queryRunner = AppDataSource.createQueryRunner();
+    await queryRunner.connect();
+    await queryRunner.startTransaction();
+    try {
+        const result = await fn(queryRunner);
+        await queryRunner.commitTransaction();
+        return result;
+    } catch (error) {
+        if (queryRunner.isTransactionActive) {
+            await queryRunner.rollbackTransaction();
+        }
+        throw error;
+    } finally {
+        await queryRunner.release();
+    }
+};
+
+/**
+ * Adds a mismatch to the report. A difference that is still open from an earlier run is not reported twice.
+ */
+const recordMismatch = async (run, summary, mismatch) => {
+    summary.mismatches++;
+    const repo = AppDataSource.getRepository(ReconciliationMismatches);
+    const alreadyOpen = await repo.exists({
+        where: {
+            entityType: mismatch.entityType,
+            razorpayId: mismatch.razorpayId,
+            mismatchType: mismatch.mismatchType,
+            status: RECONCILIATION_MISMATCH_STATUS.OPEN
+        }
+    });
+    if (alreadyOpen) return;
+    await repo.save({ runId: run.id, ...mismatch });
+};
+
+/**
+ * Lists Razorpay's entities for the window and adds any of our ids it left out (fetched one by one, since
+ * timestamps on either side of midnight can differ by a few seconds). Ids Razorpay doesn't know are reported.
+ */
+const collectRemoteEntities = async (run, summary, { resource, entityType, from, to, localRows }) => {
+    const remote = await listRazorpayEntities(resource, from, to);
+    const seen = new Set(remote.map((entity) => entity.id));
+
+    for (const row of localRows) {
+        if (seen.has(row.razorpayId)) continue;
+        const entity = await fetchRazorpayEntity(resource, row.razorpayId);
+        if (entity) {
+            remote.push(entity);
+            seen.add(entity.id);
+            continue;
+        }
+        summary.checked++;
+        await recordMismatch(run, summary, {
+            entityType,
+            mismatchType: RECONCILIATION_MISMATCH.MISSING_AT_RAZORPAY,
+            razorpayId: row.razorpayId,
+            localId: row.id,
+            localStatus: row.status,
+            localAmount: row.amount
+        });
+    }
+
+    return remote;
+};
+
+//========================= PAYMENTS =========================
+
+const reconcilePayment = async (run, summary, entity) => {
+    const mismatch = { entityType: RECONCILIATION_ENTITY.PAYMENT, razorpayId: entity.id, razorpayStatus: entity.status, razorpayAmount: entity.amount };
+    const local = await AppDataSource.getRepository(Payments).findOne({ where: { razorpayPaymentId: entity.id } });
+
+    if (local) {
+        // Razorpay only captured what wasn't paid from the wallet
+        const capturedAmount = toPaise(local.paymentAmount) - toPaise(local.walletAmount || 0);
+        if (capturedAmount !== entity.amount) {
+            return recordMismatch(run, summary, { ...mismatch, mismatchType: RECONCILIATION_MISMATCH.AMOUNT_MISMATCH, localId: local.id, localStatus: local.paymentStatus, localAmount: capturedAmount });
+        }
+        summary.matched++;
+        return;
+    }
+
+    if (entity.status === "refunded") {
+        // The capture webhook failed and its fail-safe refunded the payment, so there is no Payments row by design
+        const refunded = await AppDataSource.getRepository(Refunds).exists({ where: { paymentId: entity.id } });
+        if (refunded) {
+            summary.matched++;
+            return;
+        }
+        return recordMismatch(run, summary, { ...mismatch, mismatchType: RECONCILIATION_MISMATCH.MISSING_LOCALLY, details: { reason: "Refunded payment with no payment or refund record" } });
+    }
+
+    if (!entity.notes?.orderId || !entity.notes?.quoteId) {
+        return recordMismatch(run, summary, { ...mismatch, mismatchType: RECONCILIATION_MISMATCH.MISSING_LOCALLY, details: { reason: "Payment notes don't reference an order" } });
+    }
+
+    try {
+        const notificationDetails = await inTransaction((queryRunner) => applyCapturedPayment(queryRunner, entity));
+        summary.healed++;
+        logger.info(`Reconciliation applied missed capture ${entity.id} to order ${entity.notes.orderId}`);
+        await notifyPaymentCaptured(notificationDetails);
+    } catch (error) {
+        await recordMismatch(run, summary, {
+            ...mismatch,
+            mismatchType: RECONCILIATION_MISMATCH.MISSING_LOCALLY,
+            details: { reason: "Missed capture could not be applied to its order", orderId: entity.notes.orderId, error: error.message }
+        });
+    }
+};
+
+const reconcilePayments = async (run, { from, to }) => {
+    const summary = newSummary();
+    const localRows = (await AppDataSource.getRepository(Payments).find({
+        // Orders paid entirely from the wallet never went through Razorpay
+        where: { paymentDate: Between(from, to), razorpayPaymentId: Not(IsNull()) },
+        select: { id: true, razorpayPaymentId: true, paymentStatus: true, paymentAmount: true, walletAmount: true }
+    })).map((row) => ({ id: row.id, razorpayId: row.razorpayPaymentId, status: row.paymentStatus, amount: toPaise(row.paymentAmount) - toPaise(row.walletAmount || 0) }));
+
+    const remote = await collectRemoteEntities(run, summary, { resource: "payments", entityType: RECONCILIATION_ENTITY.PAYMENT, from, to, localRows });
+
+    // Only captured money reaches our tables; created/authorized/failed attempts are not reconciled
+    for (const entity of remote.filter((payment) => ["captured", "refunded"].includes(payment.status))) {
+        summary.checked++;
+        await reconcilePayment(run, summary, entity);
+    }
+    return summary;
+};
+
+//========================= REFUNDS =========================
+
+const reconcileRefund = async (run, summary, entity) => {
+    const mismatch = { entityType: RECONCILIATION_ENTITY.REFUND, razorpayId: entity.id, razorpayStatus: entity.status, razorpayAmount: entity.amount };
+    const local = await AppDataSource.getRepository(Refunds).findOne({ where: { razorpayRefundId: entity.id } });
+
+    if (!local || (local.status !== entity.status && !REFUND_FINAL_STATUSES.includes(local.status))) {
+        if (!["pending", "processed", "failed"].includes(entity.status)) {
+            return recordMismatch(run, summary, { ...mismatch, mismatchType: RECONCILIATION_MISMATCH.STATUS_MISMATCH, localId: local?.id || null, localStatus: local?.status || null, localAmount: local?.amount ?? null });
+        }
+        try {
+            const result = await inTransaction((queryRunner) => applyRefundStatus(queryRunner, entity, entity.status));
+            summary.healed++;
+            logger.info(`Reconciliation moved refund ${entity.id} to ${entity.status}`);
+            if (result.notificationDetails) {
+                await notifyRefundProcessed({ ...result.notificationDetails, refundId: entity.id });
+            }
+        } catch (error) {
+            await recordMismatch(run, summary, { ...mismatch, mismatchType: RECONCILIATION_MISMATCH.STATUS_MISMATCH, localId: local?.id || null, localStatus: local?.status || null, details: { reason: "Missed refund status could not be applied", error: error.message } });
+        }
+        return;
+    }
+
+    if (local.status !== entity.status) {
+        return recordMismatch(run, summary, { ...mismatch, mismatchType: RECONCILIATION_MISMATCH.STATUS_MISMATCH, localId: local.id, localStatus: local.status, localAmount: local.amount });
+    }
+    if (local.amount !== null && local.amount !== entity.amount) {
+        return recordMismatch(run, summary, { ...mismatch, mismatchType: RECONCILIATION_MISMATCH.AMOUNT_MISMATCH, localId: local.id, localStatus: local.status, localAmount: local.amount });
+    }
+    summary.matched++;
+};
+
+const reconcileRefunds = async (run, { from, to }) => {
+    const summary = newSummary();
+    const localRows = (await AppDataSource.getRepository(Refunds).find({
+        where: { createdAt: Between(from, to), razorpayRefundId: Not(IsNull()) },
+        select: { id: true, razorpayRefundId: true, status: true, amount: true }
+    })).map((row) => ({ id: row.id, razorpayId: row.razorpayRefundId, status: row.status, amount: row.amount }));
+
+    const remote = await collectRemoteEntities(run, summary, { resource: "refunds", entityType: RECONCILIATION_ENTITY.REFUND, from, to, localRows });
+
+    for (const entity of remote) {
+        summary.checked++;
+        await reconcileRefund(run, summary, entity);
+    }
+    return summary;
+};
+
+//========================= PAYOUTS =========================
+
+const isSafePayoutTransition = (from, to) => !PAYOUT_FINAL_STATUSES.includes(from) || (from === "processed" && to === "reversed");
+
+const findLocalPayout = async (entity) => {
+    const payout = await AppDataSource.getRepository(Payouts).findOne({ where: { payout_id: entity.id } });
+    if (payout) return { id: payout.id, status: payout.status, amount: payout.actual_paid_amount };
+
+    const batch = await AppDataSource.getRepository(PayoutBatches).findOne({
+        where: z.string().uuid().safeParse(entity.reference_id).success ? [{ payout_id: entity.id }, { id: entity.reference_id }] : { payout_id: entity.id }
+    });
+    if (batch) return { id: batch.id, status: batch.status, amount: batch.net_amount };
+
+    return null;
+};
+
+const reconcilePayout = async (run, summary, entity) => {
+    const mismatch = { entityType: RECONCILIATION_ENTITY.PAYOUT, razorpayId: entity.id, razorpayStatus: entity.status, razorpayAmount: entity.amount };
+    const local = await findLocalPayout(entity);
+
+    if (!local) {
+        return recordMismatch(run, summary, { ...mismatch, mismatchType: RECONCILIATION_MISMATCH.MISSING_LOCALLY, details: { referenceId: entity.reference_id || null } });
+    }
+
+    const localMismatch = { ...mismatch, localId: local.id, localStatus: local.status, localAmount: local.amount !== null ? toPaise(local.amount) : null };
+
+    if (local.status !== entity.status) {
+        const statusKey = PAYOUT_STATUS_KEYS[entity.status];
+        if (!statusKey || !isSafePayoutTransition(local.status, entity.status)) {
+            return recordMismatch(run, summary, { ...localMismatch, mismatchType: RECONCILIATION_MISMATCH.STATUS_MISMATCH });
+        }
+
+        const extra = {};
+        if (entity.utr) extra.utr = entity.utr;
+        if (entity.status === "failed") extra.failure_reason = entity.status_details?.reason || null;
+
+        try {
+            const result = await inTransaction((queryRunner) => applyPayoutStatus(queryRunner, { payoutEntity: entity, handler: { key: statusKey, extra } }));
+            if (result !== "Success") {
+                return recordMismatch(run, summary, { ...localMismatch, mismatchType: RECONCILIATION_MISMATCH.STATUS_MISMATCH, details: { reason: result } });
+            }
+            summary.healed++;
+            logger.info(`Reconciliation moved payout ${entity.id} from ${local.status} to ${entity.status}`);
+        } catch (error) {
+            await recordMismatch(run, summary, { ...localMismatch, mismatchType: RECONCILIATION_MISMATCH.STATUS_MISMATCH, details: { reason: "Missed payout status could not be applied", error: error.message } });
+        }
+        return;
+    }
+
+    if (local.amount !== null && toPaise(local.amount) !== entity.amount) {
+        return recordMismatch(run, summary, { ...localMismatch, mismatchType: RECONCILIATION_MISMATCH.AMOUNT_MISMATCH });
+    }
+    summary.matched++;
+};
+
+const reconcilePayouts = async (run, { from, to }) => {
+    const summary = newSummary();
+    const [payouts, batches] = await Promise.all([
+        AppDataSource.getRepository(Payouts).find({
+            where: { payout_initiated_by_admin_at: Between(from, to), payout_id: Not(IsNull()) },
+            select: { id: true, payout_id: true, status: true, actual_paid_amount: true }
+        }),
+        AppDataSource.getRepository(PayoutBatches).find({
+            where: { createdAt: Between(from, to), payout_id: Not(IsNull()) },
+            select: { id: true, payout_id: true, status: true, net_amount: true }
+        })
+    ]);
+    const localRows = [
+        ...payouts.map((row) => ({ id: row.id, razorpayId: row.payout_id, status: row.status, amount: row.actual_paid_amount !== null ? toPaise(row.actual_paid_amount) : null })),
+        ...batches.map((row) => ({ id: row.id, razorpayId: row.payout_id, status: row.status, amount: toPaise(row.net_amount) }))
+    ];
+
+    const remote = await collectRemoteEntities(run, summary, { resource: "payouts", entityType: RECONCILIATION_ENTITY.PAYOUT, from, to, localRows });
+
+    for (const entity of remote) {
+        summary.checked++;
+        await reconcilePayout(run, summary, entity);
+    }
+    return summary;
+};
+
+//========================= RUN =========================
+
+/**
+ * Reconciles one IST day against Razorpay.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.date] - The IST day as YYYY-MM-DD; defaults to yesterday.
+ * @param {Date} [options.now=new Date()]
+ * @param {string} [options.triggeredBy] - Admin user id for a manual run.
+ * @returns {Promise<{ runId: string, date: string, summary: Object }>}
+ */
+export const runReconciliation = async ({ date = null, now = new Date(), triggeredBy = null } = {}) => {
+    const runDate = date || getPreviousIstDate(now);
+    const window = getIstDayWindow(runDate);
+    const runRepo = AppDataSource.getRepository(ReconciliationRuns);
+
+    const run = await runRepo.save({
+        runDate,
+        windowStart: window.from,
+        windowEnd: window.to,
+        status: RECONCILIATION_RUN_STATUS.RUNNING,
+        triggeredBy
+    });
+
+    try {
+        const summary = {
+            payments: await reconcilePayments(run, window),
+            refunds: await reconcileRefunds(run, window),
+            payouts: await reconcilePayouts(run, window),
+        };
+
+        await runRepo.update({ id: run.id }, { status: RECONCILIATION_RUN_STATUS.COMPLETED, summary, finishedAt: new Date() });
+        logger.info(`Reconciliation for ${runDate} completed`, summary);
+        return { runId: run.id, date: runDate, summary };
+    } catch (error) {
+        await runRepo.update({ id: run.id }, { status: RECONCILIATION_RUN_STATUS.FAILED, error: error.message?.substring(0, 255), finishedAt: new Date() });
+        throw error;
+    }
+};
+
+//========================= ADMIN =========================
+
+const runReconciliationSchema = z.object({
+    date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, { message: "Date must be YYYY-MM-DD" }).optional(),
+});
+
+const resolveMismatchSchema = z.object({
+    status: z.enum([RECONCILIATION_MISMATCH_STATUS.RESOLVED, RECONCILIATION_MISMATCH_STATUS.IGNORED]),
+    resolutionNotes: z.string().min(1, { message: "Resolution notes are required" }).max(1000),
+});
+
+/**
+ * Queues a reconciliation run right away, for yesterday or a given IST day.
+ */
+export const runReconciliationNow = async (data, adminUserId) => {
+    try {
+        const { date } = runReconciliationSchema.parse(data);
+        if (date && new Date(`${date}T00:00:00+05:30`) > new Date()) throw sendError("Date must not be in the future", 400);
+
+        const job = await reconciliationQueue.add("reconcileRazorpay", { date: date || null, triggeredBy: adminUserId });
+
+        await AppDataSource.getRepository(AdminActions).save({
+            adminUserId: adminUserId,
+            action: "runReconciliation",
+            actionData: { date: date || null, jobId: job.id }
+        });
+
+        return { message: "Reconciliation queued", jobId: job.id };
+    } catch (err) {
+        if (err instanceof z.ZodError) {
+            logger.warn("runReconciliationNow validation failed", { errors: err.flatten().fieldErrors });
+            throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+        }
+        logger.error(err);
+        throw err;
+    }
+};
+
+export const getReconciliationRuns = async (filters) => {
+    try {
+        const page = Math.max(1, parseInt(filters.page) || 1);
+        const limit = Math.max(1, Math.min(parseInt(filters.limit) || 10, 100));
+
+        const qb = AppDataSource.getRepository(ReconciliationRuns).createQueryBuilder("runs");
+        if (filters.status) qb.andWhere("runs.status = :status", { status: filters.status });
+        if (filters.from && filters.to) qb.andWhere("runs.runDate BETWEEN :from AND :to", { from: filters.from, to: filters.to });
+
+        const [runs, totalCount] = await qb
+            .orderBy("runs.startedAt", "DESC")
+            .skip((page - 1) * limit)
+            .take(limit)
+            .getManyAndCount();
+
+        return {
+            runs,
+            pagination: {
+                currentPage: page,
+                itemsPerPage: limit,
+                totalItems: totalCount,
+                totalPages: Math.ceil(totalCount / limit),
+                hasMore: page * limit < totalCount
+            }
+        };
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+};
+
+export const getReconciliationMismatches = async (filters) => {
+    try {
+        const page = Math.max(1, parseInt(filters.page) || 1);
+        const limit = Math.max(1, Math.min(parseInt(filters.limit) || 10, 100));
+
+        const qb = AppDataSource.getRepository(ReconciliationMismatches).createQueryBuilder("mismatches")
+            .leftJoin("mismatches.run", "run")
+            .addSelect(["run.id", "run.runDate"]);
+        if (filters.status) qb.andWhere("mismatches.status = :status", { status: filters.status });
+        if (filters.entityType) qb.andWhere("mismatches.entityType = :entityType", { entityType: filters.entityType });
+        if (filters.mismatchType) qb.andWhere("mismatches.mismatchType = :mismatchType", { mismatchType: filters.mismatchType });
+        if (filters.runId) qb.andWhere("mismatches.runId = :runId", { runId: filters.runId });
+        if (filters.razorpayId) qb.andWhere("mismatches.razorpayId = :razorpayId", { razorpayId: filters.razorpayId });
+
+        const [mismatches, totalCount] = await qb
+            .orderBy("mismatches.createdAt", "DESC")
+            .skip((page - 1) * limit)
+            .take(limit)
+            .getManyAndCount();
+
+        return {
+            mismatches,
+            pagination: {
+                currentPage: page,
+                itemsPerPage: limit,
+                totalItems: totalCount,
+                totalPages: Math.ceil(totalCount / limit),
+                hasMore: page * limit < totalCount
+            }
+        };
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+};
+
+/**
+ * Closes a mismatch once an admin has corrected it (RESOLVED) or accepted it as expected (IGNORED).
+ * Nothing is changed in Payments/Refunds/Payouts here; corrections go through the existing admin routes.
+ */
+export const resolveReconciliationMismatch = async (mismatchId, data, adminUserId) => {
+    try {
+        const { status, resolutionNotes } = resolveMismatchSchema.parse(data);
+
+        const repo = AppDataSource.getRepository(ReconciliationMismatches);
+        const mismatch = await repo.findOne({ where: { id: mismatchId } });
+        if (!mismatch) throw sendError("Mismatch not found", 404);
+        if (mismatch.status !== RECONCILIATION_MISMATCH_STATUS.OPEN) throw sendError("Mismatch is already closed", 409);
+
+        await repo.update({ id: mismatch.id }, { status, resolutionNotes, resolvedBy: adminUserId, resolvedAt: new Date() });
+
+        await AppDataSource.getRepository(AdminActions).save({
+            adminUserId: adminUserId,
+            action: "resolveReconciliationMismatch",
+            actionData: { mismatchId: mismatch.id, razorpayId: mismatch.razorpayId, status, resolutionNotes }
+        });
+
+        return { message: "Mismatch updated successfully", status };
+    } catch (err) {
+        if (err instanceof z.ZodError) {
+            logger.warn("resolveReconciliationMismatch validation failed", { errors: err.flatten().fieldErrors });
+            throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+        }
+        logger.error(err);
+        throw err;
+    }
+};
@@ -67,6 +67,25 @@ export const getPresignedViewUrl = async (fileName) => {
     }
 };
 
+/**
+ * Uploads a file generated on the server (e.g. an invoice PDF) to the private bucket.
+ *
+ * @param {string} fileName The key (full path and name) of the object in the S3 bucket.
+ * @param {Buffer|string} body
+ * @param {string} contentType
+ * @returns {Promise<string>} The key of the uploaded object.
+ */
+export const uploadFile = async (fileName, body, contentType) => {
+    const command = new PutObjectCommand({
+        Bucket: process.env.AWS_BUCKET_NAME,
+        Key: fileName,
+        Body: body,
+        ContentType: contentType
+    });
+    await s3Client.send(command);
+    return fileName;
+};
+
 /**
  * @api {delete} /api/s3/s3-delete-file/:fileName Delete S3 File
  * @apiName DeleteS3File
@@ -5,7 +5,8 @@ import { logger } from "../utils/logger-utils.mjs";
 import { cacheOrFetch } from "../utils/cache.mjs";
 import { getPresignedViewUrl } from "./s3service.mjs";
 import { sendError } from "../utils/core-utils.mjs";
-import { SERVICE_TYPE, VENDOR_STATUS } from '../types/enums/index.mjs';
+import { getBusinessClock, loadVendorSchedules, getAvailabilityStatus } from "./availabilityService.mjs";
+import { OWNERSHIP_TYPE, SERVICE_TYPE, SHOP_TYPE, VENDOR_SEARCH_SORT, VENDOR_STATUS } from '../types/enums/index.mjs';
 
 const vendorRepo = AppDataSource.getRepository(Vendors);
 
@@ -26,29 +27,121 @@ const shopNameSearchParamsSchema = baseSearchParamsSchema.extend({
   query: z.string().min(1),
 });
 
+// Every filter is optional and they can be combined freely. Values arrive as query-string strings.
+const vendorSearchParamsSchema = z.object({
+  q: z.string().trim().min(1).max(100).optional(),
+  serviceType: z.enum(Object.values(SERVICE_TYPE)).optional(),
+  shopType: z.enum(Object.values(SHOP_TYPE)).optional(),
+  ownershipType: z.enum(Object.values(OWNERSHIP_TYPE)).optional(),
+  services: z.string().optional()
+    .transform((value) => value ? [...new Set(value.split(",").map((service) => service.trim().toLowerCase()).filter(Boolean))] : [])
+    .pipe(z.array(z.string().max(50)).max(10)),
+  minRating: z.coerce.number().min(0).max(5).optional(),
+  lng: z.coerce.number().min(-180).max(180).optional(),
+  lat: z.coerce.number().min(-90).max(90).optional(),
+  radiusKm: z.coerce.number().positive().max(100).optional(),
+  maxPrice: z.coerce.number().positive().optional(),
+  availableOnly: z.enum(["true", "false"]).optional().transform((value) => value === "true"),
+  openNow: z.enum(["true", "false"]).optional().transform((value) => value === "true"),
+  sort: z.enum(Object.values(VENDOR_SEARCH_SORT)).optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(50).default(10),
+}).superRefine((data, ctx) => {
+  const hasLocation = data.lng !== undefined && data.lat !== undefined;
+  if ((data.lng === undefined) !== (data.lat === undefined)) {
+    ctx.addIssue({ code: "custom", message: "lng and lat must be provided together", path: ["lat"] });
+  }
+  if (data.radiusKm !== undefined && !hasLocation) {
+    ctx.addIssue({ code: "custom", message: "radiusKm needs lng and lat", path: ["radiusKm"] });
+  }
+  if (data.sort === VENDOR_SEARCH_SORT.DISTANCE && !hasLocation) {
+    ctx.addIssue({ code: "custom", message: "Sorting by distance needs lng and lat", path: ["sort"] });
+  }
+  if (data.sort === VENDOR_SEARCH_SORT.RELEVANCE && !data.q) {
+    ctx.addIssue({ code: "custom", message: "Sorting by relevance needs q", path: ["sort"] });
+  }
+});
+
+const suggestParamsSchema = z.object({
+  q: z.string().trim().min(2).max(50),
+  serviceType: z.enum(Object.values(SERVICE_TYPE)).optional(),
+  limit: z.coerce.number().int().min(1).max(10).default(5),
+});
+
+const DEFAULT_SEARCH_RADIUS_KM = 10;
+const RATING_FACET_BUCKETS = [4, 3, 2];
+
 
 //=================== HELPER FUNCTIONS ====================
 
+/**
+ * Restricts a vendor search to vendors customers may see: verified and not blocked.
+ * Expects the query builder to be aliased `vendors` and joined to `user`.
+ * @param {import('typeorm').SelectQueryBuilder<Vendors>} queryBuilder
+ * @returns {import('typeorm').SelectQueryBuilder<Vendors>}
+ */
+const applySearchVisibility = (queryBuilder) => queryBuilder
+    .andWhere("vendors.status = :status", { status: VENDOR_STATUS.VERIFIED })
+    .andWhere("user.isBlocked = :isBlocked", { isBlocked: false });
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, "\\$&");
+
+// An active entry in the vendor's service catalog satisfying `condition` (which can refer to `catalog`)
+const catalogItemExists = (condition) => `EXISTS (SELECT 1 FROM "vendor_catalog_items" catalog
+    WHERE catalog."vendorId" = vendors.id AND catalog."isActive" = true AND ${condition})`;
+
+// Full-text match on the weighted searchVector, or a close trigram match for typos ("tailr", "laundary").
+// `<%` uses pg_trgm.word_similarity_threshold (0.6 by default) and can use the trigram indexes.
+const TEXT_MATCH_CONDITION = `(vendors."searchVector" @@ websearch_to_tsquery('english', :q)
+    OR :q <% vendors."shopName" OR :q <% vendors."vendorServices" OR :q <% vendors.city OR :q <% vendors.district
+    OR ${catalogItemExists(`(to_tsvector('english', catalog.name) @@ websearch_to_tsquery('english', :q) OR :q <% catalog.name)`)})`;
+// Not on holiday / vacation and below their order cap, i.e. can be sent a request
+const AVAILABLE_CONDITION = `NOT EXISTS (SELECT 1 FROM "vendor_time_off" time_off
+        WHERE time_off."vendorId" = vendors.id AND time_off."startsAt" <= :now AND time_off."endsAt" > :now)
+    AND NOT EXISTS (SELECT 1 FROM "vendor_availability" availability
+        JOIN "vendor_stats" stats ON stats."vendorId" = availability."vendorId"
+        WHERE availability."vendorId" = vendors.id AND stats."totalInProgressOrders" >= availability."maxConcurrentOrders")`;
+// Inside today's opening hours (IST day and time as :localDay / :localTime) and not on time off; no weekly hours is always open
+const OPEN_NOW_CONDITION = `NOT EXISTS (SELECT 1 FROM "vendor_time_off" time_off
+        WHERE time_off."vendorId" = vendors.id AND time_off."startsAt" <= :now AND time_off."endsAt" > :now)
+    AND NOT EXISTS (SELECT 1 FROM "vendor_availability" availability
+        WHERE availability."vendorId" = vendors.id AND availability."weeklyHours" IS NOT NULL
+        AND NOT EXISTS (SELECT 1 FROM jsonb_array_elements(COALESCE(availability."weeklyHours" -> :localDay, '[]'::jsonb)) slot
+            WHERE slot ->> 'open' <= :localTime AND :localTime < slot ->> 'close'))`;
+const TEXT_RELEVANCE = `ts_rank_cd(vendors."searchVector", websearch_to_tsquery('english', :q))
+    + GREATEST(word_similarity(:q, vendors."shopName"), word_similarity(:q, COALESCE(vendors."vendorServices", '')))`;
+
+/**
+ * Adds the text match to a vendor query and selects its score as "relevance", for ordering.
+ * @param {import('typeorm').SelectQueryBuilder<Vendors>} queryBuilder
+ * @param {string} q - The search text, as typed.
+ * @returns {import('typeorm').SelectQueryBuilder<Vendors>}
+ */
+const applyTextRelevance = (queryBuilder, q) => queryBuilder
+    .andWhere(TEXT_MATCH_CONDITION, { q })
+    .addSelect(TEXT_RELEVANCE, "relevance");
+
 /**
  * A central helper function to execute, paginate, and process the final results of a vendor search query.
- * It enriches the vendor data with presigned URLs for images.
+ * It enriches the vendor data with presigned URLs for images and whether each vendor is available and open right now.
  * @param {import('typeorm').SelectQueryBuilder<Vendors>} queryBuilder - The TypeORM query builder instance, pre-configured with WHERE and ORDER BY clauses.
  * @param {number} page - The current page number for pagination.
  * @param {number} [limit=10] - The number of items to fetch per page.
- * @returns {Promise<{data: object[], pagination: object}>} An object containing the processed vendor data and pagination info.
+ * @returns {Promise<{data: object[], pagination: object}>} An object containing the processed vendor data and pagination info, including the total number of matches.
  */
 const executeSearchQuery = async (queryBuilder, page, limit = 10) => {
     const offset = (page - 1) * limit;
 
-    const vendors = await queryBuilder
-        .andWhere("vendors.status = :status", { status: VENDOR_STATUS.VERIFIED })
-        .andWhere("user.isBlocked = :isBlocked", { isBlocked: false })
+    const [vendors, totalCount] = await applySearchVisibility(queryBuilder)
         .limit(limit)
         .offset(offset)
-        .getMany();
+        .getManyAndCount();
+    const totalPages = Math.ceil(totalCount / limit);
 
+    const schedules = await loadVendorSchedules(AppDataSource.manager, vendors.map((vendor) => vendor.id));
     const processedResults = await Promise.all(
         vendors.map(async (vendor) => {
+            const { isAvailable, unavailableReason, isOpenNow, nextOpenAt } = getAvailabilityStatus(schedules.get(vendor.id));
             const [avatarUrl, shopImageUrl] = await Promise.all([
                 vendor.vendorAvatarUrlPath ? getPresignedViewUrl(vendor.vendorAvatarUrlPath) : null,
                 vendor.shopImageUrlPath ? getPresignedViewUrl(vendor.shopImageUrlPath) : null,
@@ -63,6 +156,10 @@ const executeSearchQuery = async (queryBuilder, page, limit = 10) => {
                 allTimeReviewCount: vendor.allTimeReviewCount,
                 vendorAvatarUrl: avatarUrl,
                 shopImageUrl: shopImageUrl,
+                isAvailable,
+                unavailableReason,
+                isOpenNow,
+                nextOpenAt,
             };
         })
     );
@@ -71,15 +168,215 @@ const executeSearchQuery = async (queryBuilder, page, limit = 10) => {
         data: processedResults,
         pagination: {
             currentPage: page,
-            hasMore: processedResults.length === limit,
-            nextPage: processedResults.length === limit ? page + 1 : null,
+            limit,
+            totalCount,
+            totalPages,
+            hasMore: page < totalPages,
+            nextPage: page < totalPages ? page + 1 : null,
         },
     };
 };
 
+/**
+ * Applies the unified search filters to a vendor query builder. `omit` leaves one filter out, so a facet
+ * can count every value of its own field while still honouring all the other filters.
+ * @param {import('typeorm').SelectQueryBuilder<Vendors>} queryBuilder
+ * @param {object} filters - Parsed vendorSearchParamsSchema output, with radiusKm defaulted when a location is given.
+ * @param {string} [omit] - Name of the filter to skip.
+ * @returns {import('typeorm').SelectQueryBuilder<Vendors>}
+ */
+const applyVendorSearchFilters = (queryBuilder, filters, omit) => {
+    const { q, serviceType, shopType, ownershipType, services, minRating, maxPrice, lng, lat, radiusKm, availableOnly, openNow } = filters;
+
+    if (q) {
+        queryBuilder.andWhere(TEXT_MATCH_CONDITION, { q });
+    }
+    if (serviceType && omit !== "serviceType") {
+        queryBuilder.andWhere("vendors.serviceType = :serviceType", { serviceType });
+    }
+    if (shopType && omit !== "shopType") {
+        queryBuilder.andWhere("vendors.shopType = :shopType", { shopType });
+    }
+    if (ownershipType && omit !== "ownershipType") {
+        queryBuilder.andWhere("vendors.ownershipType = :ownershipType", { ownershipType });
+    }
+    // Each requested service must appear in the free-text vendorServices or name one of the vendor's catalog items
+    services.forEach((service, index) => {
+        queryBuilder.andWhere(
+            `(vendors."vendorServices" ILIKE :service${index} OR ${catalogItemExists(`catalog.name ILIKE :service${index}`)})`,
+            { [`service${index}`]: `%${escapeLike(service)}%` }
+        );
+    });
+    // Priced from the catalog: some active item (one of the requested services, if any) costs at most maxPrice
+    if (maxPrice !== undefined) {
+        const serviceMatch = services.length
+            ? ` AND (${services.map((_, index) => `catalog.name ILIKE :service${index}`).join(" OR ")})`
+            : "";
+        queryBuilder.andWhere(catalogItemExists(`catalog."basePrice" <= :maxPrice${serviceMatch}`), { maxPrice });
+    }
+    if (minRating !== undefined && omit !== "minRating") {
+        queryBuilder.andWhere(`vendors."allTimeRating" >= :minRating`, { minRating });
+    }
+    if (lng !== undefined && lat !== undefined) {
+        queryBuilder
+            .andWhere(`ST_DWithin(vendors.location, ST_MakePoint(:lng, :lat)::geography, :radius)`)
+            .setParameters({ lng, lat, radius: radiusKm * 1000 });
+    }
+    if (availableOnly) {
+        queryBuilder.andWhere(AVAILABLE_CONDITION, { now: new Date() });
+    }
+    if (openNow) {
+        const { day, time } = getBusinessClock();
+        queryBuilder.andWhere(OPEN_NOW_CONDITION, { now: new Date(), localDay: day, localTime: time });
+    }
+    return queryBuilder;
+};
+
+/**
+ * Counts the matching vendors per service type, shop type, ownership type and minimum rating.
+ * @param {object} filters - The same filters the search itself was run with.
+ * @returns {Promise<object>}
+ */
+const getVendorSearchFacets = async (filters) => {
+    const facetQuery = (omit) => applySearchVisibility(
+        applyVendorSearchFilters(vendorRepo.createQueryBuilder("vendors").leftJoin("vendors.user", "user"), filters, omit)
+    );
+    const countBy = async (column) => {
+        const rows = await facetQuery(column)
+            .select(`vendors."${column}"`, "value")
+            .addSelect("COUNT(*)", "count")
+            .groupBy(`vendors."${column}"`)
+            .getRawMany();
+        return rows
+            .filter((row) => row.value !== null)
+            .map((row) => ({ value: row.value, count: Number(row.count) }))
+            .sort((a, b) => b.count - a.count);
+    };
+
+    const ratingQuery = facetQuery("minRating").select("COUNT(*)", "total");
+    RATING_FACET_BUCKETS.forEach((bucket) => {
+        ratingQuery.addSelect(`COUNT(*) FILTER (WHERE vendors."allTimeRating" >= ${bucket})`, `rating${bucket}`);
+    });
+
+    const [serviceType, shopType, ownershipType, ratingRow] = await Promise.all([
+        countBy("serviceType"),
+        countBy("shopType"),
+        countBy("ownershipType"),
+        ratingQuery.getRawOne(),
+    ]);
+
+    return {
+        serviceType,
+        shopType,
+        ownershipType,
+        minRating: RATING_FACET_BUCKETS.map((bucket) => ({ value: bucket, count: Number(ratingRow?.[`rating${bucket}`] ?? 0) })),
+    };
+};
+
 
 //=================== SEARCH SERVICES ====================
 
+/**
+ * @api {get} /api/search/vendors Search Vendors
+ * @apiName SearchVendors
+ * @apiGroup Search
+ * @apiDescription Unified vendor search. All filters are optional query-string parameters and can be combined. Returns a page of vendors, the total number of matches and facet counts for narrowing the search.
+ * Each facet ignores its own filter, so the app can show how many vendors every other value would return. Results are cached for 1 minute when a location is given and 5 minutes otherwise.
+ *
+ * @apiQuery {string} [q] - Free text, matched with full-text search across shop name, services, description, city, district and catalog item names, and fuzzily against shop name, services, city, district and catalog item names.
+ * @apiQuery {string} [serviceType] - 'tailors', 'laundry' or 'other'.
+ * @apiQuery {string} [shopType] - 'in-home' or 'outlet'.
+ * @apiQuery {string} [ownershipType] - 'single', 'partnership', 'private limited' or 'limited liability partnership'.
+ * @apiQuery {string} [services] - Comma-separated services the vendor must offer, e.g. "alteration,embroidery" (up to 10). Matched against the vendor's services text and catalog item names.
+ * @apiQuery {number} [maxPrice] - Only vendors with an active catalog item (one of `services`, if given) whose base price is at most this.
+ * @apiQuery {number} [minRating] - Minimum all-time rating (0-5).
+ * @apiQuery {string} [availableOnly] - "true" to hide vendors on holiday / vacation or at their order cap, who can't be sent a request.
+ * @apiQuery {string} [openNow] - "true" to only show vendors inside their opening hours right now.
+ * @apiQuery {number} [lng] - Longitude of the search center. Required together with lat.
+ * @apiQuery {number} [lat] - Latitude of the search center. Required together with lng.
+ * @apiQuery {number} [radiusKm=10] - Search radius in kilometers (max 100). Only used with lng/lat.
+ * @apiQuery {string} [sort] - 'relevance' (needs q), 'distance' (needs lng/lat), 'rating', 'bayesian' or 'reviewCount'. Defaults to 'relevance' with q, otherwise 'distance' with a location and 'bayesian' without.
+ * @apiQuery {number} [page=1] - The page number.
+ * @apiQuery {number} [limit=10] - Results per page (max 50).
+ *
+ * @param {object} params - The raw query-string values.
+ *
+ * @apiSuccess {Object[]} data - An array of vendor objects, in the same shape as the other search endpoints.
+ * @apiSuccess {boolean} data.isAvailable - Whether the vendor can be sent a request (not on time off or at their order cap).
+ * @apiSuccess {string} data.unavailableReason - TIME_OFF or AT_CAPACITY, or null.
+ * @apiSuccess {boolean} data.isOpenNow - false shows the shop as "closed now"; requests still reach it but wait for it to open.
+ * @apiSuccess {string} data.nextOpenAt - When a closed vendor opens next, or null.
+ * @apiSuccess {Object} pagination - Pagination details.
+ * @apiSuccess {number} pagination.currentPage - The current page number.
+ * @apiSuccess {number} pagination.limit - Results per page.
+ * @apiSuccess {number} pagination.totalCount - Total number of matching vendors.
+ * @apiSuccess {number} pagination.totalPages - Total number of pages.
+ * @apiSuccess {boolean} pagination.hasMore - Whether there are more pages.
+ * @apiSuccess {number} pagination.nextPage - The next page number, or null.
+ * @apiSuccess {Object} facets - Match counts per filter value.
+ * @apiSuccess {Object[]} facets.serviceType - `{ value, count }` for each service type.
+ * @apiSuccess {Object[]} facets.shopType - `{ value, count }` for each shop type.
+ * @apiSuccess {Object[]} facets.ownershipType - `{ value, count }` for each ownership type.
+ * @apiSuccess {Object[]} facets.minRating - `{ value, count }` for vendors rated at least 4, 3 and 2.
+ *
+ * @apiError {Error} 400 - If search parameters are invalid.
+ * @apiError {Error} 500 - Internal Server Error.
+ */
+export const searchVendors = async (params) => {
+    try {
+        const filters = vendorSearchParamsSchema.parse(params);
+        const hasLocation = filters.lng !== undefined && filters.lat !== undefined;
+        if (hasLocation) filters.radiusKm ??= DEFAULT_SEARCH_RADIUS_KM;
+        filters.sort ??= filters.q ? VENDOR_SEARCH_SORT.RELEVANCE : hasLocation ? VENDOR_SEARCH_SORT.DISTANCE : VENDOR_SEARCH_SORT.BAYESIAN;
+
+        const cacheKey = `search:vendors:${JSON.stringify(filters)}`;
+
+        return await cacheOrFetch(cacheKey, async () => {
+            const queryBuilder = applyVendorSearchFilters(
+                vendorRepo.createQueryBuilder("vendors").leftJoinAndSelect("vendors.user", "user"),
+                filters
+            );
+
+            switch (filters.sort) {
+                case VENDOR_SEARCH_SORT.RELEVANCE:
+                    queryBuilder.addSelect(TEXT_RELEVANCE, "relevance")
+                        .orderBy("\"relevance\"", "DESC")
+                        .addOrderBy("vendors.allTimeRating", "DESC", "NULLS LAST");
+                    break;
+                case VENDOR_SEARCH_SORT.DISTANCE:
+                    queryBuilder.orderBy(`ST_Distance(vendors.location, ST_MakePoint(:lng, :lat)::geography)`);
+                    break;
+                case VENDOR_SEARCH_SORT.RATING:
+                    queryBuilder.orderBy("vendors.allTimeRating", "DESC", "NULLS LAST")
+                        .addOrderBy("vendors.allTimeReviewCount", "DESC");
+                    break;
+                case VENDOR_SEARCH_SORT.REVIEW_COUNT:
+                    queryBuilder.orderBy("vendors.allTimeReviewCount", "DESC")
+                        .addOrderBy("vendors.allTimeRating", "DESC", "NULLS LAST");
+                    break;
+                default:
+                    queryBuilder.orderBy("vendors.currentMonthBayesianScore", "DESC", "NULLS LAST")
+                        .addOrderBy("vendors.allTimeRating", "DESC", "NULLS LAST");
+            }
+            queryBuilder.addOrderBy("vendors.id"); // stable paging between equal scores
+
+            const [results, facets] = await Promise.all([
+                executeSearchQuery(queryBuilder, filters.page, filters.limit),
+                getVendorSearchFacets(filters),
+            ]);
+
+            return { ...results, facets };
+        }, hasLocation ? 60 : 300);
+
+    } catch (err) {
+        logger.error("Error in searchVendors:", err);
+        if (err instanceof z.ZodError) {
+            throw sendError("Invalid search parameters.", 400, err.flatten().fieldErrors);
+        }
+        throw err;
+    }
+};
+
 /**
  * @api {get} /api/search/searchByRating/:serviceType/:page Search by Rating
  * @apiName SearchVendorsByRating
@@ -106,6 +403,8 @@ const executeSearchQuery = async (queryBuilder, page, limit = 10) => {
  *
  * @apiSuccess {Object} pagination - Pagination details.
  * @apiSuccess {Object} pagination.currentPage - The current page number.
+ * @apiSuccess {Object} pagination.totalCount - Total number of matching vendors.
+ * @apiSuccess {Object} pagination.totalPages - Total number of pages.
  * @apiSuccess {Object} pagination.hasMore - Whether there are more pages.
  * @apiSuccess {Object} pagination.nextPage - The next page number.
  *
@@ -167,6 +466,8 @@ export const searchVendorsByRating = async (params) => {
 
  * @apiSuccess {Object} pagination - Pagination details.
  * @apiSuccess {Object} pagination.currentPage - The current page number.
+ * @apiSuccess {Object} pagination.totalCount - Total number of matching vendors.
+ * @apiSuccess {Object} pagination.totalPages - Total number of pages.
  * @apiSuccess {Object} pagination.hasMore - Whether there are more pages.
  * @apiSuccess {Object} pagination.nextPage - The next page number.
  *
@@ -235,6 +536,8 @@ export const searchVendorByNearestLocation = async (params) => {
 
  * @apiSuccess {Object} pagination - Pagination details.
  * @apiSuccess {Object} pagination.currentPage - The current page number.
+ * @apiSuccess {Object} pagination.totalCount - Total number of matching vendors.
+ * @apiSuccess {Object} pagination.totalPages - Total number of pages.
  * @apiSuccess {Object} pagination.hasMore - Whether there are more pages.
  * @apiSuccess {Object} pagination.nextPage - The next page number.
  *
@@ -280,7 +583,7 @@ export const searchVendorsByRatingAndLocation = async (params) => {
  * @api {get} /api/search/searchByShopName/:serviceType/:query/:page Search by Shop Name
  * @apiName SearchVendorsByShopName
  * @apiGroup Search
- * @apiDescription Performs a case-insensitive search for vendors by their shop name. Results are cached for 5 minutes.
+ * @apiDescription Text search for vendors of a service type. Uses full-text search over shop name, services, description, city and district, so searches like "blouse stitching" or "dry clean saree" match a vendor's services, and falls back to trigram similarity so small typos in a shop name still match. Results are ordered by relevance and cached for 5 minutes.
  *
  * @apiParam {string} serviceType - The type of service to search for ('tailors', 'laundry').
  * @apiParam {string} query - The query to search for.
@@ -304,6 +607,8 @@ export const searchVendorsByRatingAndLocation = async (params) => {
 
  * @apiSuccess {Object} pagination - Pagination details.
  * @apiSuccess {Object} pagination.currentPage - The current page number.
+ * @apiSuccess {Object} pagination.totalCount - Total number of matching vendors.
+ * @apiSuccess {Object} pagination.totalPages - Total number of pages.
  * @apiSuccess {Object} pagination.hasMore - Whether there are more pages.
  * @apiSuccess {Object} pagination.nextPage - The next page number.
  *
@@ -313,14 +618,17 @@ export const searchVendorsByRatingAndLocation = async (params) => {
 export const searchVendorsByShopName = async (params) => {
     try {
         const { serviceType, query, page } = shopNameSearchParamsSchema.parse(params);
-        const cacheKey = `search:shopName:${serviceType}:${query}:${page}`;
+        const cacheKey = `search:shopName:${serviceType}:${query.toLowerCase()}:${page}`;
 
         return await cacheOrFetch(cacheKey, async () => {
-            const queryBuilder = vendorRepo.createQueryBuilder("vendors")
-                .leftJoinAndSelect("vendors.user", "user")
-                .where("vendors.serviceType = :serviceType", { serviceType })
-                .andWhere("vendors.shopName ILIKE :query", { query: `%${query}%` })
-                .orderBy("vendors.allTimeRating", "DESC");
+            const queryBuilder = applyTextRelevance(
+                vendorRepo.createQueryBuilder("vendors")
+                    .leftJoinAndSelect("vendors.user", "user")
+                    .where("vendors.serviceType = :serviceType", { serviceType }),
+                query.trim()
+            )
+                .orderBy("\"relevance\"", "DESC")
+                .addOrderBy("vendors.allTimeRating", "DESC");
 
             return executeSearchQuery(queryBuilder, page);
         }, 300); // 5 minutes
@@ -332,4 +640,92 @@ export const searchVendorsByShopName = async (params) => {
         }
         throw err;
     }
+};
+
+/**
+ * @api {get} /api/search/suggest Suggest
+ * @apiName SuggestVendors
+ * @apiGroup Search
+ * @apiDescription Autocomplete for the app's search box. Returns shops whose name starts with, contains a word starting with, or closely resembles the typed text, and the most common matching services vendors offer. Results are cached for 5 minutes.
+ *
+ * @apiQuery {string} q - The text typed so far (at least 2 characters).
+ * @apiQuery {string} [serviceType] - Only suggest vendors of this service type.
+ * @apiQuery {number} [limit=5] - Maximum suggestions of each kind (max 10).
+ *
+ * @param {object} params - The raw query-string values.
+ *
+ * @apiSuccess {Object[]} shops - Matching shops, best match first.
+ * @apiSuccess {string} shops.id - The UUID of the vendor.
+ * @apiSuccess {string} shops.shopName - The name of the shop.
+ * @apiSuccess {string} shops.city - The city of the shop.
+ * @apiSuccess {string} shops.serviceType - The vendor's service type.
+ * @apiSuccess {Object[]} services - Matching services, most offered first.
+ * @apiSuccess {string} services.name - The service, lower-cased.
+ * @apiSuccess {number} services.vendorCount - How many vendors offer it.
+ *
+ * @apiError {Error} 400 - If the parameters are invalid.
+ * @apiError {Error} 500 - Internal Server Error.
+ */
+export const suggestVendors = async (params) => {
+    try {
+        const { q, serviceType, limit } = suggestParamsSchema.parse(params);
+        const cacheKey = `search:suggest:${serviceType ?? "all"}:${limit}:${q.toLowerCase()}`;
+
+        return await cacheOrFetch(cacheKey, async () => {
+            const likeParams = { q, prefix: `${escapeLike(q)}%`, wordPrefix: `% ${escapeLike(q)}%`, contains: `%${escapeLike(q)}%` };
+
+            const shopsQuery = applySearchVisibility(vendorRepo.createQueryBuilder("vendors").leftJoin("vendors.user", "user"))
+                .select("vendors.id", "id")
+                .addSelect("vendors.shopName", "shopName")
+                .addSelect("vendors.city", "city")
+                .addSelect("vendors.serviceType", "serviceType")
+                .andWhere(`(vendors."shopName" ILIKE :prefix OR vendors."shopName" ILIKE :wordPrefix OR :q <% vendors."shopName")`)
+                .orderBy(`vendors."shopName" ILIKE :prefix`, "DESC")
+                .addOrderBy(`word_similarity(:q, vendors."shopName")`, "DESC")
+                .addOrderBy("vendors.allTimeRating", "DESC", "NULLS LAST")
+                .limit(limit)
+                .setParameters(likeParams);
+
+            // vendorServices is a comma separated list typed by the vendor; split it so each service can be suggested on its own
+            const servicesQuery = AppDataSource.createQueryBuilder()
+                .select("offered.service", "name")
+                .addSelect(`COUNT(DISTINCT offered."vendorId")`, "vendorCount")
+                .from((subQuery) => {
+                    applySearchVisibility(subQuery
+                        .select("vendors.id", "vendorId")
+                        .addSelect(`LOWER(TRIM(regexp_split_to_table(vendors."vendorServices", '[,;]')))`, "service")
+                        .from(Vendors, "vendors")
+                        .leftJoin("vendors.user", "user")
+                        .where(`vendors."vendorServices" ILIKE :contains`));
+                    if (serviceType) subQuery.andWhere("vendors.serviceType = :serviceType");
+                    return subQuery;
+                }, "offered")
+                .where("(offered.service ILIKE :prefix OR offered.service ILIKE :wordPrefix)")
+                .groupBy("offered.service")
+                .orderBy("\"vendorCount\"", "DESC")
+                .addOrderBy("offered.service", "ASC")
+                .limit(limit)
+                .setParameters(likeParams);
+
+            if (serviceType) {
+                shopsQuery.andWhere("vendors.serviceType = :serviceType");
+                shopsQuery.setParameter("serviceType", serviceType);
+                servicesQuery.setParameter("serviceType", serviceType);
+            }
+
+            const [shops, services] = await Promise.all([shopsQuery.getRawMany(), servicesQuery.getRawMany()]);
+
+            return {
+                shops,
+                services: services.map((row) => ({ name: row.name, vendorCount: Number(row.vendorCount) })),
+            };
+        }, 300); // 5 minutes
+
+    } catch (err) {
+        logger.error("Error in suggestVendors:", err);
+        if (err instanceof z.ZodError) {
+            throw sendError("Invalid search parameters.", 400, err.flatten().fieldErrors);
+        }
+        throw err;
+    }
 };
\ No newline at end of file
@@ -0,0 +1,519 @@
+import { z } from "zod";
+import { logger } from "../utils/logger-utils.mjs";
+import { sendError } from "../utils/core-utils.mjs";
+import { buildTextPdf } from "../utils/pdf-utils.mjs";
+import { AppDataSource } from "../config/data-source.mjs";
+import { Payouts } from "../entities/Payouts.mjs";
+import { Vendors } from "../entities/Vendors.mjs";
+import { OrderQuotes } from "../entities/OrderQuote.mjs";
+import { VendorStats } from "../entities/VendorStats.mjs";
+import { VendorPayoutSettings } from "../entities/VendorPayoutSettings.mjs";
+import { PromoRedemptions } from "../entities/PromoRedemptions.mjs";
+import { getPayoutSchedule, getNextPayoutRunAt } from "./payoutService.mjs";
+import { PAYOUT_CYCLE, PROMO_FUNDED_BY, PROMO_REDEMPTION_STATUS, PAYMENT_INSTALMENT } from "../types/enums/index.mjs";
+import { calculateAdvanceSplit } from "../utils/pricing_utils.mjs";
+
+/**
+ * @file vendorEarningsService.mjs
+ * @description A vendor's view of their money: balances, per-order earnings, payout ETAs and monthly statements.
+ *
+ * Every completed order has one Payouts row whose expected_amount starts at the quote's vendorPayoutAfterCommission,
+ * less any promo discount the vendor funded, and is reduced by complaint deductions charged before it is paid. A split-payment
+ * order has two rows instead, ADVANCE (raised when the advance is paid) and BALANCE, each carrying its share of the order's
+ * amounts, so per-order lines still add up to the whole. Deductions charged after that sit in
+ * VendorStats (totalDeductions - recoveredDeductions) until a payout batch recovers them (batch_deduction_amount).
+ * The delivery charge is collected by the platform and is shown for reference only.
+ *
+ * Months are calendar months in IST.
+ */
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const IN_PROGRESS_STATUSES = ["batched", "queued", "pending", "processing"];
+const FAILED_STATUSES = ["failed", "rejected", "reversed", "cancelled"];
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+const toAmount = (value) => round2(parseFloat(value || 0));
+
+//========================= ZOD VALIDATION SCHEMAS =========================
+
+const monthSchema = z.string().regex(/^\d{4}-(0[1-9]|1[0-2])$/, { message: "Month must be YYYY-MM" });
+
+const getEarningLinesSchema = z.object({
+    userId: z.string().uuid(),
+    page: z.number().int().min(1).default(1),
+    limit: z.number().int().min(1).max(50).default(10),
+    month: monthSchema.optional(),
+});
+
+const getEarningsStatementSchema = z.object({
+    userId: z.string().uuid(),
+    month: monthSchema,
+    format: z.enum(["csv", "pdf"]).default("pdf"),
+});
+
+//========================= HELPERS =========================
+
+/**
+ * @param {string} month - YYYY-MM
+ * @returns {{ from: Date, to: Date }} The month's bounds in IST, `to` exclusive.
+ */
+const getIstMonthRange = (month) => {
+    const [year, monthIndex] = month.split("-").map(Number);
+    return {
+        from: new Date(Date.UTC(year, monthIndex - 1, 1) - IST_OFFSET_MS),
+        to: new Date(Date.UTC(year, monthIndex, 1) - IST_OFFSET_MS),
+    };
+};
+
+const formatIstDate = (value) => {
+    if (!value) return "";
+    return new Date(new Date(value).getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+};
+
+const findVendorId = async (userId) => {
+    const vendor = await AppDataSource.getRepository(Vendors).findOne({ where: { userId }, select: { id: true } });
+    if (!vendor) throw sendError("Vendor not found", 404);
+    return vendor.id;
+};
+
+/**
+ * The vendor's effective payout rules: their VendorPayoutSettings override on top of the global schedule.
+ */
+const getVendorPayoutRules = async (vendorId) => {
+    const [schedule, settings] = await Promise.all([
+        getPayoutSchedule(),
+        AppDataSource.getRepository(VendorPayoutSettings).findOne({ where: { vendorId } }),
+    ]);
+    const hasThreshold = settings?.thresholdAmount !== null && settings?.thresholdAmount !== undefined;
+    return {
+        schedule,
+        cycle: settings?.cycle || schedule.cycle,
+        threshold: hasThreshold ? parseFloat(settings.thresholdAmount) : schedule.thresholdAmount,
+        isOnHold: settings?.isOnHold === true,
+        holdReason: settings?.holdReason || null,
+        isExcluded: settings?.isExcluded === true,
+    };
+};
+
+const getOutstandingDeductions = (stats) => {
+    if (!stats) return 0;
+    return Math.max(round2(parseFloat(stats.totalDeductions) - parseFloat(stats.recoveredDeductions)), 0);
+};
+
+/**
+ * Walks the scheduled runs at which each unpaid payout becomes eligible and returns the first one whose batch
+ * would clear the minimum amount (and the threshold for THRESHOLD vendors), mirroring createVendorBatch.
+ *
+ * @param {Array<{ amount: number, eligibleAt: Date }>} unpaid - `action_required` rows not in a batch.
+ * @returns {{ estimatedAt: Date|null, amount: number, reason: string|null }}
+ */
+const estimateNextPayout = (unpaid, outstanding, rules, now) => {
+    if (rules.isOnHold) return { estimatedAt: null, amount: 0, reason: "ON_HOLD" };
+    if (rules.isExcluded) return { estimatedAt: null, amount: 0, reason: "MANUAL" };
+    if (!unpaid.length) return { estimatedAt: null, amount: 0, reason: null };
+
+    const sorted = [...unpaid].sort((a, b) => a.eligibleAt - b.eligibleAt);
+    let reason = null;
+    let amount = 0;
+    for (const row of sorted) {
+        const runAt = getNextPayoutRunAt(row.eligibleAt > now ? row.eligibleAt : now, rules.cycle, rules.schedule);
+        const gross = sorted.filter(candidate => candidate.eligibleAt <= runAt).reduce((sum, candidate) => sum + candidate.amount, 0);
+        amount = Math.max(round2(gross - outstanding), 0);
+
+        if (amount < rules.schedule.minAmount) {
+            reason = "BELOW_MINIMUM";
+        } else if (rules.cycle === PAYOUT_CYCLE.THRESHOLD && amount < rules.threshold) {
+            reason = "BELOW_THRESHOLD";
+        } else {
+            return { estimatedAt: runAt, amount, reason: null };
+        }
+    }
+    return { estimatedAt: null, amount, reason };
+};
+
+/**
+ * One line per completed order: the quote, what the platform kept and what the vendor is (or was) paid.
+ */
+const earningLinesQuery = (vendorId) => {
+    return AppDataSource.getRepository(Payouts).createQueryBuilder("payouts")
+        .innerJoin("payouts.order", "orders")
+        .leftJoin(OrderQuotes, "quotes", "quotes.id = orders.finalQuoteId")
+        .leftJoin(PromoRedemptions, "promos", "promos.orderId = payouts.orderId AND promos.status = :redeemed AND promos.fundedBy = :vendorFunded", {
+            redeemed: PROMO_REDEMPTION_STATUS.REDEEMED,
+            vendorFunded: PROMO_FUNDED_BY.VENDOR
+        })
+        .select([
+            "payouts.id AS \"payoutId\"",
+            "payouts.orderId AS \"orderId\"",
+            "orders.orderName AS \"orderName\"",
+            "payouts.entry_created_at AS \"completedAt\"",
+            "quotes.quotedPrice AS \"quotedPrice\"",
+            "quotes.vendorPayoutAfterCommission AS \"vendorPayout\"",
+            "promos.discountAmount AS \"promoDiscount\"",
+            "quotes.deliveryCharge AS \"deliveryCharge\"",
+            "payouts.expected_amount AS \"expectedAmount\"",
+            "payouts.batch_deduction_amount AS \"recoveredDeduction\"",
+            "payouts.actual_paid_amount AS \"paidAmount\"",
+            "payouts.status AS \"status\"",
+            "payouts.batchId AS \"batchId\"",
+            "payouts.utr AS \"utr\"",
+            "payouts.payout_status_history AS \"history\"",
+            "payouts.instalment AS \"instalment\"",
+            "orders.advancePercent AS \"advancePercent\"",
+        ])
+        .where("payouts.vendorId = :vendorId", { vendorId });
+};
+
+const toEarningLine = (row, { rules, now }) => {
+    // The part of an order's amounts a payout row stands for: all of it, or the advance or balance share of a split payment
+    const shareOf = (amount) => {
+        if (row.instalment === PAYMENT_INSTALMENT.FULL) return amount;
+        const split = calculateAdvanceSplit(amount, row.advancePercent);
+        return row.instalment === PAYMENT_INSTALMENT.ADVANCE ? split.advanceAmount : split.balanceAmount;
+    };
+
+    const quotedPrice = shareOf(toAmount(row.quotedPrice));
+    const vendorPayout = shareOf(toAmount(row.vendorPayout));
+    const promoDiscount = shareOf(toAmount(row.promoDiscount));
+    const earning = shareOf(round2(toAmount(row.vendorPayout) - toAmount(row.promoDiscount)));
+    const expectedAmount = toAmount(row.expectedAmount);
+    const recoveredDeduction = toAmount(row.recoveredDeduction);
+
+    let estimatedPayoutAt = null;
+    if (row.status === "action_required" && !rules.isOnHold && !rules.isExcluded) {
+        const eligibleAt = new Date(new Date(row.completedAt).getTime() + rules.schedule.holdDays * DAY_MS);
+        estimatedPayoutAt = getNextPayoutRunAt(eligibleAt > now ? eligibleAt : now, rules.cycle, rules.schedule);
+    }
+
+    return {
+        payoutId: row.payoutId,
+        orderId: row.orderId,
+        orderName: row.orderName,
+        instalment: row.instalment,
+        completedAt: row.completedAt,
+        quotedPrice,
+        commission: round2(quotedPrice - vendorPayout),
+        promoDiscount,
+        deliveryCharge: shareOf(toAmount(row.deliveryCharge)),
+        earning,
+        complaintDeduction: Math.max(round2(earning - expectedAmount), 0),
+        recoveredDeduction,
+        netAmount: round2(expectedAmount - recoveredDeduction),
+        status: row.status,
+        paidAmount: row.paidAmount !== null ? toAmount(row.paidAmount) : null,
+        utr: row.utr,
+        paidAt: row.history?.processed_at || null,
+        estimatedPayoutAt,
+    };
+};
+
+const csvValue = (value) => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+};
+
+const toCsv = (rows) => rows.map(row => row.map(csvValue).join(",")).join("\n");
+
+const padRow = (values, widths) => values.map((value, index) => {
+    const text = String(value ?? "");
+    const width = widths[index];
+    return index < 2 ? text.slice(0, width).padEnd(width) : text.slice(0, width).padStart(width);
+}).join(" ");
+
+//========================= SERVICES =========================
+
+/**
+ * @api {get} /api/vendor/getEarningsSummary Get Earnings Summary
+ * @apiName GetEarningsSummary
+ * @apiGroup Vendor
+ * @apiDescription Returns the vendor's balance split by where the money is, and when the next payout is expected.
+ * - `pending`: completed orders still inside the hold period.
+ * - `available`: past the hold period and waiting for the next payout run; `availableNet` is after outstanding deductions.
+ * - `processing`: sent to Razorpay and not settled yet.
+ * - `paid`: credited to the vendor's bank account.
+ * - `failed`: payouts that failed and are waiting to be retried by an admin.
+ *
+ * `nextPayout.reason` explains a missing `estimatedAt`: ON_HOLD, MANUAL (paid by an admin), BELOW_MINIMUM or BELOW_THRESHOLD.
+ *
+ * @param {Object} data
+ * @param {string} data.userId
+ *
+ * @apiSuccess {Object} response.balance
+ * @apiSuccess {Object} response.lifetime - totalEarnings, totalDeductions, recoveredDeductions and outstandingDeductions from VendorStats.
+ * @apiSuccess {Object} response.schedule - The vendor's effective cycle, hold period, minimum amount and threshold.
+ * @apiSuccess {Object} response.nextPayout - { estimatedAt, amount, reason }
+ *
+ * @apiError {Error} 404 - If the vendor is not found.
+ * @apiError {Error} 500 - Internal Server Error.
+ */
+export const getEarningsSummary = async (data) => {
+    try {
+        const vendorId = await findVendorId(data.userId);
+        const now = new Date();
+
+        const [rules, stats, payouts] = await Promise.all([
+            getVendorPayoutRules(vendorId),
+            AppDataSource.getRepository(VendorStats).findOne({ where: { vendorId } }),
+            AppDataSource.getRepository(Payouts).createQueryBuilder("payouts")
+                .select(["payouts.id", "payouts.status", "payouts.batchId", "payouts.expected_amount", "payouts.batch_deduction_amount", "payouts.actual_paid_amount", "payouts.entry_created_at"])
+                .where("payouts.vendorId = :vendorId", { vendorId })
+                .getMany(),
+        ]);
+
+        const outstanding = getOutstandingDeductions(stats);
+        const balance = { pending: 0, available: 0, availableNet: 0, processing: 0, paid: 0, failed: 0, outstandingDeductions: outstanding };
+        const unpaid = [];
+
+        for (const payout of payouts) {
+            const expected = toAmount(payout.expected_amount);
+            const net = round2(expected - toAmount(payout.batch_deduction_amount));
+
+            if (payout.status === "action_required" && !payout.batchId) {
+                const eligibleAt = new Date(new Date(payout.entry_created_at).getTime() + rules.schedule.holdDays * DAY_MS);
+                if (eligibleAt > now) balance.pending += expected;
+                else balance.available += expected;
+                unpaid.push({ amount: expected, eligibleAt });
+            } else if (IN_PROGRESS_STATUSES.includes(payout.status)) {
+                balance.processing += net;
+            } else if (payout.status === "processed") {
+                balance.paid += toAmount(payout.actual_paid_amount ?? net);
+            } else if (FAILED_STATUSES.includes(payout.status)) {
+                balance.failed += net;
+            }
+        }
+        for (const key of ["pending", "available", "processing", "paid", "failed"]) balance[key] = round2(balance[key]);
+        balance.availableNet = Math.max(round2(balance.available - outstanding), 0);
+
+        return {
+            balance,
+            lifetime: {
+                totalEarnings: toAmount(stats?.totalEarnings),
+                totalDeductions: toAmount(stats?.totalDeductions),
+                recoveredDeductions: toAmount(stats?.recoveredDeductions),
+                outstandingDeductions: outstanding,
+            },
+            schedule: {
+                cycle: rules.cycle,
+                weeklyDay: rules.cycle === PAYOUT_CYCLE.WEEKLY ? rules.schedule.weeklyDay : null,
+                holdDays: rules.schedule.holdDays,
+                minAmount: rules.schedule.minAmount,
+                thresholdAmount: rules.cycle === PAYOUT_CYCLE.THRESHOLD ? rules.threshold : null,
+                isOnHold: rules.isOnHold,
+                holdReason: rules.holdReason,
+            },
+            nextPayout: estimateNextPayout(unpaid, outstanding, rules, now),
+        };
+    } catch (err) {
+        logger.error("getEarningsSummary error", err);
+        throw err;
+    }
+}
+
+/**
+ * @api {get} /api/vendor/getEarningLines/:page/:limit Get Earning Lines
+ * @apiName GetEarningLines
+ * @apiGroup Vendor
+ * @apiDescription Lists the vendor's completed orders, newest first, with how each quote turned into a payout:
+ * quotedPrice - commission - promoDiscount (promo codes the vendor funded) = earning, minus complaintDeduction (taken off this order) and recoveredDeduction
+ * (older deductions recovered from the batch that paid it) = netAmount. `estimatedPayoutAt` is the earliest scheduled
+ * run that can pay an unpaid line; THRESHOLD vendors may wait longer (see getEarningsSummary). A split-payment order
+ * shows up as an ADVANCE and a BALANCE line (`instalment`), each with its share of the amounts.
+ *
+ * @apiParam {number} page
+ * @apiParam {number} limit
+ * @apiQuery {string} [month] - YYYY-MM; only orders completed in that month.
+ *
+ * @param {Object} data
+ * @param {string} data.userId
+ * @param {number} data.page
+ * @param {number} data.limit
+ * @param {string} [data.month]
+ *
+ * @apiSuccess {Object[]} response.lines
+ * @apiSuccess {Object} response.pagination
+ *
+ * @apiError {Error} 400 - If the validation fails.
+ * @apiError {Error} 404 - If the vendor is not found.
+ * @apiError {Error} 500 - Internal Server Error.
+ */
+export const getEarningLines = async (data) => {
+    try {
+        const { userId, page, limit, month } = getEarningLinesSchema.parse(data);
+        const vendorId = await findVendorId(userId);
+        const rules = await getVendorPayoutRules(vendorId);
+
+        const query = earningLinesQuery(vendorId);
+        if (month) {
+            const { from, to } = getIstMonthRange(month);
+            query.andWhere("payouts.entry_created_at >= :from AND payouts.entry_created_at < :to", { from, to });
+        }
+        const rows = await query
+            .orderBy("payouts.entry_created_at", "DESC")
+            .offset((page - 1) * limit)
+            .limit(limit)
+            .getRawMany();
+
+        const now = new Date();
+        return {
+            lines: rows.map(row => toEarningLine(row, { rules, now })),
+            pagination: {
+                currentPage: page,
+                hasMore: rows.length === limit,
+                nextPage: rows.length === limit ? page + 1 : null,
+            }
+        };
+    } catch (err) {
+        if (err instanceof z.ZodError) {
+            logger.warn("getEarningLines validation failed", { errors: err.flatten().fieldErrors });
+            throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+        }
+        logger.error("getEarningLines error", err);
+        throw err;
+    }
+}
+
+/**
+ * @api {get} /api/vendor/getEarningsStatement Download Earnings Statement
+ * @apiName GetEarningsStatement
+ * @apiGroup Vendor
+ * @apiDescription Downloads the vendor's statement for a month as CSV or PDF. It has the earning line of every order
+ * completed in the month, the settlements credited in the month (one per batch or individual payout, with UTR) and
+ * the month's totals. Lifetime deduction figures are as of when the statement is generated.
+ *
+ * @apiQuery {string} month - YYYY-MM
+ * @apiQuery {string} [format=pdf] - csv | pdf
+ *
+ * @param {Object} data
+ * @param {string} data.userId
+ * @param {string} data.month
+ * @param {string} [data.format]
+ *
+ * @returns {Promise<{ fileName: string, contentType: string, content: string|Buffer }>}
+ *
+ * @apiError {Error} 400 - If the validation fails.
+ * @apiError {Error} 404 - If the vendor is not found.
+ * @apiError {Error} 500 - Internal Server Error.
+ */
+export const getEarningsStatement = async (data) => {
+    try {
+        const { userId, month, format } = getEarningsStatementSchema.parse(data);
+        const vendor = await AppDataSource.getRepository(Vendors).findOne({ where: { userId }, select: { id: true, shopName: true } });
+        if (!vendor) throw sendError("Vendor not found", 404);
+
+        const { from, to } = getIstMonthRange(month);
+        const now = new Date();
+
+        const [rules, stats, rows, paidRows] = await Promise.all([
+            getVendorPayoutRules(vendor.id),
+            AppDataSource.getRepository(VendorStats).findOne({ where: { vendorId: vendor.id } }),
+            earningLinesQuery(vendor.id)
+                .andWhere("payouts.entry_created_at >= :from AND payouts.entry_created_at < :to", { from, to })
+                .orderBy("payouts.entry_created_at", "ASC")
+                .getRawMany(),
+            AppDataSource.getRepository(Payouts).createQueryBuilder("payouts")
+                .select(["payouts.id", "payouts.batchId", "payouts.payout_id", "payouts.utr", "payouts.expected_amount", "payouts.batch_deduction_amount", "payouts.actual_paid_amount", "payouts.payout_status_history"])
+                .where("payouts.vendorId = :vendorId", { vendorId: vendor.id })
+                .andWhere("payouts.status = :status", { status: "processed" })
+                .andWhere("(payouts.payout_status_history->>'processed_at')::timestamptz >= :from", { from })
+                .andWhere("(payouts.payout_status_history->>'processed_at')::timestamptz < :to", { to })
+                .getMany(),
+        ]);
+
+        const lines = rows.map(row => toEarningLine(row, { rules, now }));
+
+        // Rows paid together share a batch, so each settlement is one bank credit
+        const settlementMap = new Map();
+        for (const payout of paidRows) {
+            const key = payout.batchId || payout.id;
+            const settlement = settlementMap.get(key) || {
+                reference: payout.payout_id || key,
+                utr: payout.utr,
+                paidAt: payout.payout_status_history.processed_at,
+                orders: 0, gross: 0, deduction: 0, net: 0
+            };
+            settlement.orders += 1;
+            settlement.gross = round2(settlement.gross + toAmount(payout.expected_amount));
+            settlement.deduction = round2(settlement.deduction + toAmount(payout.batch_deduction_amount));
+            settlement.net = round2(settlement.net + toAmount(payout.actual_paid_amount));
+            settlementMap.set(key, settlement);
+        }
+        const settlements = [...settlementMap.values()].sort((a, b) => new Date(a.paidAt) - new Date(b.paidAt));
+
+        const sum = (items, key) => round2(items.reduce((total, item) => total + (item[key] || 0), 0));
+        const totals = {
+            orders: lines.length,
+            quotedPrice: sum(lines, "quotedPrice"),
+            commission: sum(lines, "commission"),
+            promoDiscount: sum(lines, "promoDiscount"),
+            earning: sum(lines, "earning"),
+            complaintDeduction: sum(lines, "complaintDeduction"),
+            recoveredDeduction: sum(lines, "recoveredDeduction"),
+            netAmount: sum(lines, "netAmount"),
+            paidInMonth: sum(settlements, "net"),
+            outstandingDeductions: getOutstandingDeductions(stats),
+        };
+
+        const fileName = `earnings-statement-${month}`;
+        const lineHeader = ["Date", "Order", "Quoted", "Commission", "Promo", "Earning", "Complaint ded.", "Recovered ded.", "Net", "Status", "UTR"];
+        const lineValues = (line) => [formatIstDate(line.completedAt), line.orderName || line.orderId, line.quotedPrice, line.commission, line.promoDiscount, line.earning, line.complaintDeduction, line.recoveredDeduction, line.netAmount, line.status, line.utr || ""];
+        const settlementHeader = ["Paid on", "Reference", "Orders", "Gross", "Deduction", "Net", "UTR"];
+        const settlementValues = (settlement) => [formatIstDate(settlement.paidAt), settlement.reference, settlement.orders, settlement.gross, settlement.deduction, settlement.net, settlement.utr || ""];
+        const totalRows = [
+            ["Orders completed", totals.orders],
+            ["Quoted", totals.quotedPrice],
+            ["Commission", totals.commission],
+            ["Promo discounts funded", totals.promoDiscount],
+            ["Earnings", totals.earning],
+            ["Complaint deductions", totals.complaintDeduction],
+            ["Recovered deductions", totals.recoveredDeduction],
+            ["Net earnings", totals.netAmount],
+            ["Paid to bank this month", totals.paidInMonth],
+            ["Outstanding deductions (as of generation)", totals.outstandingDeductions],
+        ];
+
+        if (format === "csv") {
+            const content = toCsv([
+                ["Earnings statement", month],
+                ["Vendor", vendor.shopName || vendor.id],
+                [],
+                lineHeader,
+                ...lines.map(lineValues),
+                [],
+                settlementHeader,
+                ...settlements.map(settlementValues),
+                [],
+                ...totalRows,
+            ]);
+            return { fileName: `${fileName}.csv`, contentType: "text/csv", content };
+        }
+
+        const lineWidths = [10, 14, 9, 10, 8, 9, 9, 9, 9, 10];
+        const settlementWidths = [10, 30, 6, 10, 10, 10, 20];
+        const content = buildTextPdf([
+            `Earnings statement - ${month}`,
+            `Vendor: ${vendor.shopName || vendor.id}`,
+            `Generated: ${now.toISOString()}  (amounts in INR, dates in IST)`,
+            "",
+            "ORDERS COMPLETED",
+            padRow(lineHeader.slice(0, 10), lineWidths),
+            ...lines.map(line => padRow(lineValues(line).slice(0, 10), lineWidths)),
+            "",
+            "SETTLEMENTS",
+            padRow(settlementHeader, settlementWidths),
+            ...settlements.map(settlement => padRow(settlementValues(settlement), settlementWidths)),
+            "",
+            "SUMMARY",
+            ...totalRows.map(([label, value]) => `${label.padEnd(45)}${String(value).padStart(12)}`),
+        ], { title: `Earnings statement ${month}` });
+        return { fileName: `${fileName}.pdf`, contentType: "application/pdf", content };
+    } catch (err) {
+        if (err instanceof z.ZodError) {
+            logger.warn("getEarningsStatement validation failed", { errors: err.flatten().fieldErrors });
+            throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+        }
+        logger.error("getEarningsStatement error", err);
+        throw err;
+    }
+}
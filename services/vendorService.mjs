@@ -8,7 +8,7 @@ import { OtpPhone } from "../entities/OtpPhone.mjs";
 import { VendorImages } from "../entities/VendorImages.mjs";
 import { getPresignedViewUrl, deleteFile } from "./s3service.mjs";
 import { cacheOrFetch, delCache } from "../utils/cache.mjs";
-import { VENDOR_STATUS, SHOP_TYPE, SERVICE_TYPE, ORDER_VENDOR_STATUS } from "../types/enums/index.mjs";
+import { VENDOR_STATUS, SHOP_TYPE, SERVICE_TYPE, ORDER_VENDOR_STATUS, ROLE, COMPLAINT_STATUS, COMPLAINT_CATEGORY } from "../types/enums/index.mjs";
 import { redis } from "../config/redis-config.mjs";
 import { emailQueue } from "../queues/notification/email/emailQueue.mjs";
 import { OrderVendors } from "../entities/OrderVendors.mjs";
@@ -22,6 +22,10 @@ import { In } from "typeorm";
 import { Rating } from "../entities/Rating.mjs";
 import { Settings } from "../entities/Settings.mjs";
 import { Customers } from "../entities/Customers.mjs";
+import { assertOwnAttachments, defaultComplaintPriority } from "./complaintService.mjs";
+import { COMPLAINT_MAX_ATTACHMENTS } from "../config/constants.mjs";
+import { submitInitialKycDocuments } from "./kycService.mjs";
+import { IFSC_REGEX, BANK_ACCOUNT_NUMBER_REGEX } from "./bankAccountService.mjs";
 
 const vendorRepo = AppDataSource.getRepository(Vendors);
 const vendorImagesRepo = AppDataSource.getRepository(VendorImages);
@@ -62,8 +66,8 @@ const completeProfileSchema = z.object({
   pincode: z.string().length(6, { message: "Pincode must be 6 digits" }),
   shopDescription: z.string().min(1),
   accountHolderName: z.string().min(1),
-  accountNumber: z.string().min(1),
-  ifscCode: z.string().min(1),
+  accountNumber: z.string().trim().regex(BANK_ACCOUNT_NUMBER_REGEX, { message: "Account number must be 9 to 18 digits" }),
+  ifscCode: z.string().trim().toUpperCase().regex(IFSC_REGEX, { message: "Invalid IFSC code" }),
   bankPassbookUrlPath: z.string().min(1),
   
   ownershipType: z.string().optional(),
@@ -82,6 +86,8 @@ const addComplaintSchema = z.object({
   userId: z.string().uuid(),
   orderId: z.string().uuid().optional(),
   complaint: z.string().min(1, { message: "Complaint is required" }),
+  category: z.enum(Object.values(COMPLAINT_CATEGORY)).default(COMPLAINT_CATEGORY.OTHER),
+  attachments: z.array(z.string().min(1)).max(COMPLAINT_MAX_ATTACHMENTS).optional(),
 })
 
 const getVendorReviewsSchema = z.object({
@@ -130,7 +136,7 @@ export const checkProfile = async (data) => {
 
     const statusMessages = {
       [VENDOR_STATUS.PENDING]: "Your profile is under review. Please wait for admin approval.",
-      [VENDOR_STATUS.REJECTED]: "Your profile has been rejected. Please check for communications from the admin.",
+      [VENDOR_STATUS.REJECTED]: "Your profile has been rejected. Please check your KYC status and resubmit the documents marked for correction.",
       [VENDOR_STATUS.BLOCKED]: "Your account has been blocked. Please contact support.",
       [VENDOR_STATUS.VERIFIED]: "Vendor profile is verified and active."
     };
@@ -156,6 +162,7 @@ export const checkProfile = async (data) => {
  * @apiName CompleteProfile
  * @apiGroup Vendor
  * @apiDescription Handles the full vendor onboarding process by verifying the OTP and saving the profile data within a single transaction. Sends notifications to admin and user.
+ * The Aadhaar, bank passbook and shop document are queued for KYC review, one review per document (see getKycStatus).
  *
  * @apiParam {string} userId - The user's UUID.
  * @apiParam {string} phoneNumber - The phone number of the user.
@@ -302,6 +309,8 @@ export const completeProfile = async (data, deviceInfo) => {
     });
     await queryRunner.manager.save(VendorAudit, vendorAudit);
 
+    await submitInitialKycDocuments(queryRunner.manager, newVendor);
+
     const vendorStats = await queryRunner.manager.save(VendorStats, {
       vendorId: newVendor.id,
       totalInProgressOrders: 0,
@@ -1170,11 +1179,15 @@ export const getVendorStats = async (data) => {
  *
  * @apiParam {string} orderId - The UUID of the order.
  * @apiBody {string} complaint - The complaint.
+ * @apiBody {string} [category] - One of COMPLAINT_CATEGORY (default OTHER). Payment and refund complaints start at HIGH priority.
+ * @apiBody {string[]} [attachments] - Keys returned by /api/complaint/getAttachmentUploadUrl.
  * 
  * @param {Object} data - The data containing the user id, order id and complaint.
  * @param {string} data.userId - The user's UUID.
  * @param {string} data.orderId - The UUID of the order.
  * @param {string} data.complaint - The complaint.
+ * @param {string} [data.category] - The complaint category.
+ * @param {string[]} [data.attachments] - S3 keys of the attachments.
  * @returns {Promise<Object>} - The result of the post.
  * 
  * @apiSuccess {string} response.message - The message indicating the success of the operation.
@@ -1187,7 +1200,8 @@ export const getVendorStats = async (data) => {
  */
 export const addComplaint = async (data) => {
   try {
-      const { userId, orderId, complaint } = addComplaintSchema.parse(data);
+      const { userId, orderId, complaint, category, attachments } = addComplaintSchema.parse(data);
+      assertOwnAttachments(userId, attachments);
 
       const vendor = await vendorRepo.findOne({ where: { userId: userId }, select: { id: true }, relations: ["user"] });
       if (!vendor) throw sendError("Vendor not found", 404);
@@ -1195,7 +1209,7 @@ export const addComplaint = async (data) => {
       const order = await orderRepo.exists({ where: { id: orderId, selectedVendorId: vendor.id } });
       if (!order) throw sendError("Order ID is invalid or You are not authorized to add complaint for this order", 403);
 
-      const complaintData = AppDataSource.getRepository(Complaints).create({ vendorId: vendor.id, email: vendor.user.email, phoneNumber: vendor.user.phoneNumber, name: vendor.user.name, orderId, complaint });
+      const complaintData = AppDataSource.getRepository(Complaints).create({ vendorId: vendor.id, email: vendor.user.email, phoneNumber: vendor.user.phoneNumber, name: vendor.user.name, orderId, complaint, category, priority: defaultComplaintPriority(category), status: COMPLAINT_STATUS.OPEN, raisedByRole: ROLE.VENDOR, attachments: attachments?.length ? attachments : null, lastActivityAt: new Date() });
 
       await AppDataSource.getRepository(Complaints).save(complaintData);
 
@@ -1261,10 +1275,10 @@ export const getVendorPayouts = async (data) => {
 
     const statusFilters = {
       action_required: ["action_required"],
-      pending: ["queued", "pending", "processing"],
+      pending: ["batched", "queued", "pending", "processing"],
       processed: ["processed"],
       cancelled: ["rejected", "cancelled"],
-      all: ["action_required", "queued", "pending", "rejected","processing", "processed", "cancelled"],
+      all: ["action_required", "batched", "queued", "pending", "rejected","processing", "processed", "cancelled"],
     }
 
     const whereStatus = status
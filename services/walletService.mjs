@@ -0,0 +1,623 @@
+import { z } from "zod";
+import { In } from "typeorm";
+import { logger } from "../utils/logger-utils.mjs";
+import { sendError } from "../utils/core-utils.mjs";
+import { AppDataSource } from "../config/data-source.mjs";
+import { WalletTransactions } from "../entities/WalletTransactions.mjs";
+import { Customers } from "../entities/Customers.mjs";
+import { Orders } from "../entities/Orders.mjs";
+import { Payments } from "../entities/Payments.mjs";
+import { Refunds } from "../entities/Refunds.mjs";
+import { AdminActions } from "../entities/AdminActions.mjs";
+import { Outbox } from "../entities/Outbox.mjs";
+import { refundRazorpayPayment } from "../utils/razorpay-utils.mjs";
+import { transitionOrder, transitionOrderVendors } from "../utils/state-machine.mjs";
+import { postWalletCredited, postWalletExpired } from "./ledgerService.mjs";
+import { WALLET_CREDIT_EXPIRY_DAYS } from "../config/constants.mjs";
+import { ORDER_STATUS, ORDER_VENDOR_STATUS, ROLE, MISC, OUTBOX_STATUS, REFUND_DESTINATION, WALLET_TRANSACTION_SOURCE, WALLET_TRANSACTION_TYPE } from "../types/enums/index.mjs";
+
+/**
+ * @file walletService.mjs
+ * @description Customer wallet (store credit).
+ *
+ * Credits come from refunds taken as credit, referral rewards and admin grants, and each expires on its own
+ * date (WALLET_CREDIT_EXPIRY_DAYS by source). Checkout spends the soonest-expiring credit first. The
+ * expireWalletCredits job writes off whatever is left of a credit once it expires.
+ *
+ * Every change posts to the ledger's CUSTOMER_WALLET account in the same transaction, except spending at
+ * checkout, which postPaymentCaptured records together with the payment it belongs to.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXPIRY_BATCH_SIZE = 200;
+const EXPIRING_SOON_DAYS = 30;
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+const toAmount = (value) => round2(parseFloat(value || 0));
+
+//========================= ZOD VALIDATION SCHEMAS =========================
+
+const walletTransactionsSchema = z.object({
+    userId: z.string().uuid(),
+    page: z.number().int().min(1).default(1),
+    limit: z.number().int().min(1).max(50).default(10),
+});
+
+const grantWalletCreditSchema = z.object({
+    customerId: z.string().uuid(),
+    amount: z.number().positive().max(100000),
+    source: z.enum([WALLET_TRANSACTION_SOURCE.ADMIN_GRANT, WALLET_TRANSACTION_SOURCE.REFERRAL]).default(WALLET_TRANSACTION_SOURCE.ADMIN_GRANT),
+    expiresAt: z.coerce.date().refine((date) => date > new Date(), { message: "expiresAt must be in the future" }).optional(),
+    notes: z.string().max(500).optional().nullable(),
+});
+
+const refundToWalletSchema = z.object({
+    orderId: z.string().uuid(),
+    amount: z.number().positive(),
+    reason: z.string().min(1).max(500),
+});
+
+//========================= CORE =========================
+
+const liveCreditsQuery = (manager, customerId, now) => {
+    return manager.createQueryBuilder(WalletTransactions, "credits")
+        .where("credits.customerId = :customerId", { customerId })
+        .andWhere("credits.type = :credit", { credit: WALLET_TRANSACTION_TYPE.CREDIT })
+        .andWhere("credits.remainingAmount > 0")
+        .andWhere("(credits.expiresAt IS NULL OR credits.expiresAt > :now)", { now });
+};
+
+/**
+ * @param {import("typeorm").EntityManager} manager
+ * @param {string} customerId
+ * @returns {Promise<number>} What the customer can spend right now.
+ */
+export const getWalletBalance = async (manager, customerId, now = new Date()) => {
+    const { balance } = await liveCreditsQuery(manager, customerId, now)
+        .select("COALESCE(SUM(credits.remainingAmount), 0)", "balance")
+        .getRawOne();
+    return toAmount(balance);
+};
+
+/**
+ * Adds a credit to a customer's wallet and posts it to the ledger. With an idempotency key, a credit that was
+ * already made is returned instead of being made twice.
+ *
+ * @param {import("typeorm").EntityManager} manager
+ * @param {Object} params
+ * @param {string} params.customerId
+ * @param {number} params.amount
+ * @param {string} params.source - WALLET_TRANSACTION_SOURCE.REFUND, REFERRAL or ADMIN_GRANT.
+ * @param {Date|null} [params.expiresAt] - Defaults to WALLET_CREDIT_EXPIRY_DAYS for the source; null never expires.
+ * @returns {Promise<Object>} The CREDIT row.
+ */
+export const creditWallet = async (manager, { customerId, amount, source, orderId = null, paymentId = null, expiresAt, notes = null, createdBy = null, idempotencyKey = null }) => {
+    if (idempotencyKey) {
+        const existing = await manager.findOne(WalletTransactions, { where: { idempotencyKey } });
+        if (existing) return existing;
+    }
+
+    const credit = await manager.save(WalletTransactions, {
+        customerId,
+        type: WALLET_TRANSACTION_TYPE.CREDIT,
+        source,
+        amount: round2(amount),
+        remainingAmount: round2(amount),
+        expiresAt: expiresAt !== undefined ? expiresAt : new Date(Date.now() + WALLET_CREDIT_EXPIRY_DAYS[source] * DAY_MS),
+        orderId,
+        paymentId,
+        idempotencyKey,
+        notes,
+        createdBy
+    });
+    await postWalletCredited(manager, credit);
+    return credit;
+};
+
+/**
+ * Spends wallet credit, soonest-expiring first. The credits are locked until the caller's transaction ends,
+ * so two checkouts can't spend the same balance.
+ *
+ * @param {import("typeorm").EntityManager} manager
+ * @param {Object} params
+ * @param {string} params.customerId
+ * @param {number} params.amount
+ * @param {string} params.idempotencyKey - One debit per payment.
+ * @returns {Promise<Object>} The DEBIT row.
+ * @throws {Error} 400 if the balance doesn't cover the amount.
+ */
+export const debitWallet = async (manager, { customerId, amount, orderId = null, paymentId = null, idempotencyKey, notes = null }) => {
+    const existing = await manager.findOne(WalletTransactions, { where: { idempotencyKey } });
+    if (existing) return existing;
+
+    const credits = await liveCreditsQuery(manager, customerId, new Date())
+        .orderBy("credits.expiresAt", "ASC", "NULLS LAST")
+        .addOrderBy("credits.createdAt", "ASC")
+        .setLock("pessimistic_write")
+        .getMany();
+
+    let remaining = Math.round(amount * 100);
+    const allocations = [];
+    for (const credit of credits) {
+        if (remaining <= 0) break;
+        const taken = Math.min(Math.round(parseFloat(credit.remainingAmount) * 100), remaining);
+        allocations.push({ creditId: credit.id, amount: taken / 100 });
+        remaining -= taken;
+    }
+    if (remaining > 0) throw sendError("Insufficient wallet balance", 400);
+
+    for (const allocation of allocations) {
+        await manager.update(WalletTransactions, { id: allocation.creditId }, {
+            remainingAmount: () => `"remainingAmount" - ${allocation.amount}`
+        });
+    }
+
+    return manager.save(WalletTransactions, {
+        customerId,
+        type: WALLET_TRANSACTION_TYPE.DEBIT,
+        source: WALLET_TRANSACTION_SOURCE.ORDER_PAYMENT,
+        amount: round2(amount),
+        allocations,
+        orderId,
+        paymentId,
+        idempotencyKey,
+        notes
+    });
+};
+
+// Razorpay refunds raised (and not failed) plus those still queued in the outbox, in paise
+const getRazorpayRefundedPaise = async (manager, razorpayPaymentId) => {
+    const [{ refunded }, { queued }] = await Promise.all([
+        manager.createQueryBuilder(Refunds, "refunds")
+            .select("COALESCE(SUM(refunds.amount), 0)", "refunded")
+            .where("refunds.paymentId = :paymentId", { paymentId: razorpayPaymentId })
+            .andWhere("refunds.status != :failed", { failed: "failed" })
+            .getRawOne(),
+        // Refunds queued but not raised yet have no Refunds row, so they are counted from the outbox
+        manager.createQueryBuilder(Outbox, "outbox")
+            .select("COALESCE(SUM((outbox.payload ->> 'amount')::numeric), 0)", "queued")
+            .where("outbox.eventType = :eventType", { eventType: "RAISE_REFUND" })
+            .andWhere("outbox.status IN (:...statuses)", { statuses: [OUTBOX_STATUS.PENDING, OUTBOX_STATUS.PROCESSING] })
+            .andWhere("outbox.payload ->> 'razorpayPaymentId' = :razorpayPaymentId", { razorpayPaymentId })
+            .getRawOne(),
+    ]);
+    return parseInt(refunded) + Math.round(parseFloat(queued) * 100);
+};
+
+/**
+ * What can still be refunded of a payment: the amount paid, through Razorpay and from the wallet, less the Razorpay
+ * refunds raised or queued and the refunds already credited to the wallet.
+ *
+ * @param {import("typeorm").EntityManager} manager
+ * @param {Object} payment - Needs id, razorpayPaymentId and paymentAmount.
+ * @returns {Promise<number>}
+ */
+export const getRefundableAmount = async (manager, payment) => {
+    const [razorpayRefunded, { refunded: walletRefunded }] = await Promise.all([
+        payment.razorpayPaymentId ? getRazorpayRefundedPaise(manager, payment.razorpayPaymentId) : 0,
+        manager.createQueryBuilder(WalletTransactions, "credits")
+            .select("COALESCE(SUM(credits.amount), 0)", "refunded")
+            .where("credits.paymentId = :paymentId", { paymentId: payment.id })
+            .andWhere("credits.source = :refund", { refund: WALLET_TRANSACTION_SOURCE.REFUND })
+            .getRawOne(),
+    ]);
+    return Math.max(round2(parseFloat(payment.paymentAmount) - razorpayRefunded / 100 - parseFloat(walletRefunded)), 0);
+};
+
+/**
+ * Whether everything paid for an order, its advance and balance payments alike, has come back to the customer:
+ * Razorpay refunds that were processed plus refunds credited to the wallet.
+ *
+ * @param {import("typeorm").EntityManager} manager
+ * @param {Object} order - Needs paymentId and balancePaymentId.
+ * @returns {Promise<boolean>}
+ */
+export const isOrderFullyRefunded = async (manager, order) => {
+    const payments = await manager.find(Payments, {
+        where: { id: In([order.paymentId, order.balancePaymentId].filter(Boolean)) },
+        select: { id: true, razorpayPaymentId: true, paymentAmount: true }
+    });
+    if (payments.length === 0) return false;
+
+    const razorpayPaymentIds = payments.map(payment => payment.razorpayPaymentId).filter(Boolean);
+    const [{ refunded: razorpayRefunded }, { refunded: walletRefunded }] = await Promise.all([
+        razorpayPaymentIds.length === 0 ? { refunded: 0 } : manager.createQueryBuilder(Refunds, "refunds")
+            .select("COALESCE(SUM(refunds.amount), 0)", "refunded")
+            .where("refunds.paymentId IN (:...razorpayPaymentIds)", { razorpayPaymentIds })
+            .andWhere("refunds.status = :processed", { processed: "processed" })
+            .getRawOne(),
+        manager.createQueryBuilder(WalletTransactions, "credits")
+            .select("COALESCE(SUM(credits.amount), 0)", "refunded")
+            .where("credits.paymentId IN (:...paymentIds)", { paymentIds: payments.map(payment => payment.id) })
+            .andWhere("credits.source = :refund", { refund: WALLET_TRANSACTION_SOURCE.REFUND })
+            .getRawOne(),
+    ]);
+
+    const paid = payments.reduce((sum, payment) => sum + Math.round(parseFloat(payment.paymentAmount) * 100), 0);
+    return parseInt(razorpayRefunded) + Math.round(parseFloat(walletRefunded) * 100) >= paid;
+};
+
+/**
+ * Closes out a cancelled order, or a completed one that is now fully refunded: marks it refunded and moves it and
+ * the paid vendor's request to REFUNDED. Called once refunded money is back with the customer, by the refund webhook
+ * and by refundOrderPayment when nothing goes through Razorpay.
+ *
+ * @param {import("typeorm").QueryRunner} queryRunner
+ * @param {Object} params
+ * @param {Object} params.order - The order, locked by the caller.
+ * @param {string} params.actorId - MISC identifier for the timeline entry.
+ * @param {string} params.notes
+ * @returns {Promise<boolean>} Whether the order was closed out.
+ */
+export const closeOutRefundedOrder = async (queryRunner, { order, actorId, notes }) => {
+    const isClosable = order.orderStatus === ORDER_STATUS.CANCELLED
+        || (order.orderStatus === ORDER_STATUS.COMPLETED && await isOrderFullyRefunded(queryRunner.manager, order));
+    if (!isClosable) return false;
+
+    const payment = await queryRunner.manager.findOne(Payments, { where: { id: order.paymentId }, select: { id: true, vendorId: true } });
+
+    await queryRunner.manager.update(Orders, { id: order.id }, { isRefunded: true });
+    await transitionOrder(queryRunner, { orderId: order.id, to: ORDER_STATUS.REFUNDED, actorId, actorRole: ROLE.SYSTEM, notes });
+    await transitionOrderVendors(queryRunner, { where: { orderId: order.id, vendorId: payment.vendorId }, to: ORDER_VENDOR_STATUS.REFUNDED, actorRole: ROLE.SYSTEM });
+    return true;
+};
+
+/**
+ * Refunds part or all of an order's payment. With ORIGINAL_METHOD, whatever Razorpay captured (and hasn't already
+ * refunded) goes back through Razorpay and the rest, i.e. what was paid from the wallet, goes back to the wallet.
+ * With WALLET, everything is credited to the wallet instantly.
+ *
+ * The Razorpay part is not requested here: a RAISE_REFUND outbox event is queued in the caller's transaction and the
+ * outbox worker raises it once that transaction has committed (raiseQueuedRefund). A rollback therefore never leaves
+ * money refunded, and no row lock is held across the Razorpay call. When nothing goes through Razorpay the money is
+ * already back with the customer, so the order is closed out here (closeOutRefundedOrder).
+ *
+ * @param {import("typeorm").QueryRunner} queryRunner
+ * @param {Object} params
+ * @param {Object} params.payment - Needs id, orderId, customerId, razorpayPaymentId, paymentAmount and walletAmount.
+ * @param {number} params.amount
+ * @param {string} params.reason
+ * @param {string} [params.destination] - REFUND_DESTINATION, ORIGINAL_METHOD by default.
+ * @param {string} [params.speed] - Razorpay refund speed, "normal" by default.
+ * @param {string} [params.complaintId] - A complaint resolved by this refund; its Refunds row is linked to it once raised.
+ * @returns {Promise<{ refundMessageId: string|null, razorpayAmount: number, walletAmount: number }>} refundMessageId is the queued outbox event.
+ */
+export const refundOrderPayment = async (queryRunner, { payment, amount, reason, destination = REFUND_DESTINATION.ORIGINAL_METHOD, speed = "normal", createdBy = null, complaintId = null }) => {
+    const manager = queryRunner.manager;
+    let razorpayAmount = 0;
+    if (destination === REFUND_DESTINATION.ORIGINAL_METHOD && payment.razorpayPaymentId) {
+        const captured = Math.round((parseFloat(payment.paymentAmount) - parseFloat(payment.walletAmount || 0)) * 100);
+        const available = captured - await getRazorpayRefundedPaise(manager, payment.razorpayPaymentId);
+        razorpayAmount = Math.max(Math.min(Math.round(amount * 100), available), 0) / 100;
+    }
+    const walletAmount = round2(amount - razorpayAmount);
+
+    if (walletAmount > 0) {
+        await creditWallet(manager, {
+            customerId: payment.customerId,
+            amount: walletAmount,
+            source: WALLET_TRANSACTION_SOURCE.REFUND,
+            orderId: payment.orderId,
+            paymentId: payment.id,
+            notes: reason,
+            createdBy
+        });
+    }
+
+    // No orderId in the payload: cancelPendingLogistics cancels an order's unsent outbox events by it
+    const refundMessage = razorpayAmount > 0
+        ? await manager.save(Outbox, {
+            eventType: "RAISE_REFUND",
+            payload: { paymentId: payment.id, razorpayPaymentId: payment.razorpayPaymentId, amount: razorpayAmount, reason, speed, complaintId },
+            status: OUTBOX_STATUS.PENDING,
+            createdAt: new Date()
+        })
+        : null;
+
+    if (razorpayAmount === 0) {
+        const order = await manager.findOne(Orders, { where: { id: payment.orderId }, lock: { mode: "pessimistic_write" } });
+        await closeOutRefundedOrder(queryRunner, { order, actorId: MISC.WALLET, notes: `Refunded ${walletAmount} to the wallet` });
+    }
+
+    return { refundMessageId: refundMessage?.id || null, razorpayAmount, walletAmount };
+};
+
+/**
+ * Raises a refund queued by refundOrderPayment. Run by the outbox worker; the message id is the refund's
+ * idempotency key, so a retry after Razorpay accepted the refund finds it instead of refunding again.
+ *
+ * @param {Object} message - The RAISE_REFUND outbox message.
+ * @returns {Promise<Object>} The Razorpay refund.
+ */
+export const raiseQueuedRefund = async (message) => {
+    const { razorpayPaymentId, amount, reason, speed, complaintId } = message.payload;
+    const refund = await refundRazorpayPayment(razorpayPaymentId, reason, speed || "normal", amount, `refund:${message.id}`);
+    if (complaintId) {
+        await AppDataSource.getRepository(Refunds).update({ razorpayRefundId: refund.id }, { complaintId });
+    }
+    return refund;
+};
+
+/**
+ * Writes off what is left of expired credits, in batches, one transaction per batch. Run by the
+ * expireWalletCredits cron job.
+ *
+ * @returns {Promise<{ expired: number, amount: number }>}
+ */
+export const expireWalletCredits = async (now = new Date()) => {
+    const result = { expired: 0, amount: 0 };
+
+    while (true) {
+        const queryRunner = AppDataSource.createQueryRunner();
+        await queryRunner.connect();
+        await queryRunner.startTransaction();
+        try {
+            const credits = await queryRunner.manager.createQueryBuilder(WalletTransactions, "credits")
+                .where("credits.type = :credit", { credit: WALLET_TRANSACTION_TYPE.CREDIT })
+                .andWhere("credits.remainingAmount > 0")
+                .andWhere("credits.expiresAt <= :now", { now })
+                .orderBy("credits.expiresAt", "ASC")
+                .limit(EXPIRY_BATCH_SIZE)
+                .setLock("pessimistic_write")
+                .setOnLocked("skip_locked")
+                .getMany();
+
+            for (const credit of credits) {
+                const expiry = await queryRunner.manager.save(WalletTransactions, {
+                    customerId: credit.customerId,
+                    type: WALLET_TRANSACTION_TYPE.DEBIT,
+                    source: WALLET_TRANSACTION_SOURCE.EXPIRY,
+                    amount: credit.remainingAmount,
+                    allocations: [{ creditId: credit.id, amount: toAmount(credit.remainingAmount) }],
+                    orderId: credit.orderId,
+                    idempotencyKey: `expiry:${credit.id}`,
+                    notes: "Wallet credit expired"
+                });
+                await queryRunner.manager.update(WalletTransactions, { id: credit.id }, { remainingAmount: 0 });
+                await postWalletExpired(queryRunner.manager, expiry);
+
+                result.expired++;
+                result.amount = round2(result.amount + toAmount(credit.remainingAmount));
+            }
+
+            await queryRunner.commitTransaction();
+            if (credits.length < EXPIRY_BATCH_SIZE) break;
+        } catch (err) {
+            if (queryRunner.isTransactionActive) {
+                await queryRunner.rollbackTransaction();
+            }
+            throw err;
+        } finally {
+            await queryRunner.release();
+        }
+    }
+
+    logger.info(`Expired ${result.expired} wallet credits worth ${result.amount}`);
+    return result;
+};
+
+//========================= CUSTOMER SERVICES =========================
+
+/**
+ * @api {get} /api/customer/getWallet Get Wallet
+ * @apiName GetWallet
+ * @apiGroup Customer
+ * @apiDescription The customer's spendable wallet balance and the credits that expire in the next 30 days.
+ *
+ * @param {Object} data
+ * @param {string} data.userId - The UUID of the user.
+ *
+ * @apiSuccess {number} response.balance - The spendable balance.
+ * @apiSuccess {Object[]} response.expiringSoon - Credits expiring within 30 days, soonest first.
+ * @apiSuccess {number} response.expiringSoon.amount - What is left of the credit.
+ * @apiSuccess {string} response.expiringSoon.expiresAt - When it expires.
+ * @apiSuccess {string} response.expiringSoon.source - REFUND, REFERRAL or ADMIN_GRANT.
+ *
+ * @apiError {Error} 404 - If the customer is not found.
+ * @apiError {Error} 500 - If an internal server error occurs.
+ */
+export const getMyWallet = async (data) => {
+    try {
+        const customer = await AppDataSource.getRepository(Customers).findOne({ where: { userId: data.userId }, select: { id: true } });
+        if (!customer) throw sendError("Customer not found", 404);
+
+        const now = new Date();
+        const manager = AppDataSource.manager;
+        const [balance, expiring] = await Promise.all([
+            getWalletBalance(manager, customer.id, now),
+            liveCreditsQuery(manager, customer.id, now)
+                .andWhere("credits.expiresAt <= :soon", { soon: new Date(now.getTime() + EXPIRING_SOON_DAYS * DAY_MS) })
+                .orderBy("credits.expiresAt", "ASC")
+                .getMany()
+        ]);
+
+        return {
+            balance,
+            expiringSoon: expiring.map((credit) => ({ amount: toAmount(credit.remainingAmount), expiresAt: credit.expiresAt, source: credit.source }))
+        };
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
+
+/**
+ * @api {get} /api/customer/getWalletTransactions/:page/:limit Get Wallet Transactions
+ * @apiName GetWalletTransactions
+ * @apiGroup Customer
+ * @apiDescription The customer's wallet history, newest first.
+ *
+ * @apiParam {string} page - The page number.
+ * @apiParam {string} limit - The number of transactions per page (max 50).
+ *
+ * @param {Object} data
+ * @param {string} data.userId - The UUID of the user.
+ * @param {number} data.page
+ * @param {number} data.limit
+ *
+ * @apiSuccess {Object[]} response.transactions - id, type (CREDIT/DEBIT), source, amount, remainingAmount and expiresAt (credits), orderId, notes, createdAt.
+ * @apiSuccess {Object} response.pagination - currentPage, hasMore, nextPage.
+ *
+ * @apiError {Error} 400 - If the validation fails.
+ * @apiError {Error} 404 - If the customer is not found.
+ * @apiError {Error} 500 - If an internal server error occurs.
+ */
+export const getMyWalletTransactions = async (data) => {
+    try {
+        const { userId, page, limit } = walletTransactionsSchema.parse(data);
+
+        const customer = await AppDataSource.getRepository(Customers).findOne({ where: { userId }, select: { id: true } });
+        if (!customer) throw sendError("Customer not found", 404);
+
+        const [transactions, totalCount] = await AppDataSource.getRepository(WalletTransactions).findAndCount({
+            where: { customerId: customer.id },
+            select: { id: true, type: true, source: true, amount: true, remainingAmount: true, expiresAt: true, orderId: true, notes: true, createdAt: true },
+            order: { createdAt: "DESC" },
+            skip: (page - 1) * limit,
+            take: limit
+        });
+
+        const hasMore = page * limit < totalCount;
+        return {
+            transactions,
+            pagination: {
+                currentPage: page,
+                hasMore,
+                nextPage: hasMore ? page + 1 : null
+            }
+        };
+    } catch (err) {
+        if (err instanceof z.ZodError) {
+            logger.warn("getMyWalletTransactions validation failed", { errors: err.flatten().fieldErrors });
+            throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+        }
+        logger.error(err);
+        throw err;
+    }
+}
+
+//========================= ADMIN SERVICES =========================
+
+/**
+ * Grants goodwill credit or a referral reward to a customer.
+ */
+export const grantWalletCredit = async (data, adminUserId) => {
+    const queryRunner = AppDataSource.createQueryRunner();
+    await queryRunner.connect();
+    await queryRunner.startTransaction();
+
+    try {
+        const { customerId, amount, source, expiresAt, notes } = grantWalletCreditSchema.parse(data);
+
+        const customer = await queryRunner.manager.exists(Customers, { where: { id: customerId } });
+        if (!customer) throw sendError("Customer not found", 404);
+
+        const credit = await creditWallet(queryRunner.manager, { customerId, amount, source, expiresAt, notes, createdBy: adminUserId });
+
+        await queryRunner.manager.save(AdminActions, {
+            adminUserId: adminUserId,
+            action: "grantWalletCredit",
+            actionData: { customerId, amount, source, transactionId: credit.id, expiresAt: credit.expiresAt }
+        });
+
+        await queryRunner.commitTransaction();
+        return { message: "Wallet credited", transaction: credit };
+    } catch (err) {
+        if (queryRunner.isTransactionActive) {
+            await queryRunner.rollbackTransaction();
+        }
+        if (err instanceof z.ZodError) {
+            logger.warn("grantWalletCredit validation failed", { errors: err.flatten().fieldErrors });
+            throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+        }
+        logger.error(err);
+        throw err;
+    } finally {
+        await queryRunner.release();
+    }
+}
+
+/**
+ * Refunds part of a paid order as wallet credit, e.g. a small goodwill refund on a complaint, instead of
+ * waiting for a Razorpay refund. Limited to what the customer paid for the order less what was already refunded.
+ */
+export const refundToWalletByAdmin = async (data, adminUserId) => {
+    const queryRunner = AppDataSource.createQueryRunner();
+    await queryRunner.connect();
+    await queryRunner.startTransaction();
+
+    try {
+        const { orderId, amount, reason } = refundToWalletSchema.parse(data);
+
+        const order = await queryRunner.manager.findOne(Orders, { where: { id: orderId }, select: { id: true, paymentId: true, isPaid: true }, lock: { mode: "pessimistic_write" } });
+        if (!order) throw sendError("Order not found", 404);
+        if (!order.isPaid || !order.paymentId) throw sendError("This order has not been paid", 400);
+
+        const payment = await queryRunner.manager.findOne(Payments, { where: { id: order.paymentId } });
+        if (!payment) throw sendError("Payment not found for this order", 404);
+
+        const refundable = await getRefundableAmount(queryRunner.manager, payment);
+        if (amount > refundable) throw sendError(`At most ${refundable} can still be refunded for this order`, 400);
+
+        const refund = await refundOrderPayment(queryRunner, { payment, amount, reason, destination: REFUND_DESTINATION.WALLET, createdBy: adminUserId });
+
+        await queryRunner.manager.save(AdminActions, {
+            adminUserId: adminUserId,
+            action: "refundToWallet",
+            actionData: { orderId, paymentId: payment.id, amount, reason }
+        });
+
+        await queryRunner.commitTransaction();
+        return { message: "Refund credited to the customer's wallet", walletAmount: refund.walletAmount };
+    } catch (err) {
+        if (queryRunner.isTransactionActive) {
+            await queryRunner.rollbackTransaction();
+        }
+        if (err instanceof z.ZodError) {
+            logger.warn("refundToWalletByAdmin validation failed", { errors: err.flatten().fieldErrors });
+            throw sendError("Invalid data provided.", 400, err.flatten().fieldErrors);
+        }
+        logger.error(err);
+        throw err;
+    } finally {
+        await queryRunner.release();
+    }
+}
+
+export const getCustomerWallet = async (customerId, filters) => {
+    try {
+        const page = Math.max(1, parseInt(filters.page) || 1);
+        const limit = Math.max(1, Math.min(parseInt(filters.limit) || 10, 100));
+
+        const customer = await AppDataSource.getRepository(Customers).exists({ where: { id: customerId } });
+        if (!customer) throw sendError("Customer not found", 404);
+
+        const where = { customerId };
+        if (filters.source) where.source = filters.source;
+
+        const [balance, [transactions, totalCount]] = await Promise.all([
+            getWalletBalance(AppDataSource.manager, customerId),
+            AppDataSource.getRepository(WalletTransactions).findAndCount({
+                where,
+                order: { createdAt: "DESC" },
+                skip: (page - 1) * limit,
+                take: limit
+            })
+        ]);
+
+        return {
+            balance,
+            transactions,
+            pagination: {
+                currentPage: page,
+                itemsPerPage: limit,
+                totalItems: totalCount,
+                totalPages: Math.ceil(totalCount / limit),
+                hasMore: page * limit < totalCount
+            }
+        };
+    } catch (err) {
+        logger.error(err);
+        throw err;
+    }
+}
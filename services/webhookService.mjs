@@ -1,4 +1,5 @@
 import crypto from "crypto";
+import { z } from "zod";
 import Razorpay from "razorpay";
 import { Not } from "typeorm";
 
@@ -6,54 +7,225 @@ import { Not } from "typeorm";
 import { logger } from "../utils/logger-utils.mjs";
 import { AppDataSource } from "../config/data-source.mjs";
 import { Orders } from "../entities/Orders.mjs";
-import { OrderVendors } from "../entities/OrderVendors.mjs";
 import { Customers } from "../entities/Customers.mjs";
 import { Vendors } from "../entities/Vendors.mjs";
 import { Payments } from "../entities/Payments.mjs";
 import { OrderQuotes } from "../entities/OrderQuote.mjs";
-import { ORDER_VENDOR_STATUS, ORDER_STATUS, ROLE, MISC, PAYMENT_ATTEMPT } from "../types/enums/index.mjs";
+import { ORDER_VENDOR_STATUS, ORDER_STATUS, ROLE, MISC, PAYMENT_ATTEMPT, PAYMENT_INSTALMENT, PROMO_FUNDED_BY } from "../types/enums/index.mjs";
 import { PaymentFailures } from "../entities/PaymentFailures.mjs";
-import { Outbox } from "../entities/Outbox.mjs";
-import { DeliveryTracking } from "../entities/DeliveryTracking.mjs";
 import { pushQueue, emailQueue, notificationHistoryQueue } from "../queues/index.mjs";
 import { Refunds } from "../entities/Refunds.mjs";
 import { VendorStats } from "../entities/VendorStats.mjs";
-import { OrderStatusTimeline } from "../entities/orderStatusTimeline.mjs";
 import { Payouts } from "../entities/Payouts.mjs";
+import { PayoutBatches } from "../entities/PayoutBatches.mjs";
+import { reconcileBatchPayout, raiseVendorPayout } from "./payoutService.mjs";
+import { postPaymentCaptured, postRefundProcessed, postPayoutStatus } from "./ledgerService.mjs";
+import { issueCustomerInvoice } from "./invoiceService.mjs";
+import { redeemPromoCode } from "./promoService.mjs";
+import { debitWallet, closeOutRefundedOrder } from "./walletService.mjs";
+import { applyBankValidationResult, notifyBankValidation } from "./bankAccountService.mjs";
 import { PaymentAttempts } from "../entities/PaymentAttempts.mjs";
+import { transitionOrder, transitionOrderVendor, transitionOrderVendors, createTimelineEntry, scheduleReturnDelivery, isBalanceDue } from "../utils/state-machine.mjs";
+import { calculateAdvanceSplit } from "../utils/pricing_utils.mjs";
 
 const refundRepo = AppDataSource.getRepository(Refunds);
 
-//=================== HELPER FUNCTIONS ====================
+//=================== WEBHOOK HANDLER ====================
+
 
 /**
- * @description A crucial helper to create an audit trail entry in the OrderStatusTimeline table.
- * It records the transition of an order from one state to another, who changed it, and when.
- * THIS MUST ALWAYS BE CALLED WITHIN AN ACTIVE DATABASE TRANSACTION to ensure data consistency.
- * @param {import('typeorm').QueryRunner} queryRunner - The active TypeORM query runner.
- * @param {string} orderId - The UUID of the order being updated.
- * @param {string|null} previousStatus - The status the order is transitioning from (null for creation).
- * @param {string} newStatus - The new status of the order.
- * @param {string} changedById - The UUID of the user or system responsible for the change.
- * @param {string} changedByRole - The role of the entity making the change (e.g., 'CUSTOMER', 'SYSTEM').
- * @param {string|null} [notes=null] - Optional notes providing context for the status change.
- * @returns {Promise<void>}
+ * Applies a captured payment to its order: validates the order and quote, redeems the promo code reserved for the
+ * Razorpay order (if any) and checks the amount against the quote (or its advance, for a split payment) less the
+ * discount and the wallet part of the payment attempt, then hands over to applyOrderPayment. The balance of a split
+ * payment goes to applyBalancePayment instead. Runs inside the caller's transaction; shared by the payment
+ * webhook and the reconciliation job, which replays captures whose webhook never arrived.
+ *
+ * @param {import("typeorm").QueryRunner} queryRunner
+ * @param {Object} paymentEntity - The Razorpay payment entity.
+ * @returns {Promise<{ orderId: string, vendorId: string, customerId: string, paymentId: string, invoiceNumber: string, instalment: string }>} Details for notifyPaymentCaptured.
+ * @throws {Error} If the order is no longer awaiting this payment, the quote is missing, the promo code no longer applies, the amount doesn't match or the wallet no longer covers its part.
  */
-export const createTimelineEntry = async (queryRunner, orderId, previousStatus, newStatus, changedById, changedByRole, notes = null) => {
-    const timelineEntry = queryRunner.manager.create(OrderStatusTimeline, {
-        orderId,
-        previousStatus,
-        newStatus,
-        changedBy: changedById,
-        changedByRole,
-        notes,
-        changedAt: new Date()
+export const applyCapturedPayment = async (queryRunner, paymentEntity) => {
+    const { orderId, quoteId, vendorId, customerId } = paymentEntity.notes;
+
+    const attempt = await queryRunner.manager.findOne(PaymentAttempts, { where: { razorpayOrderId: paymentEntity.order_id }, select: { id: true, walletAmount: true, instalment: true } });
+    const walletAmount = attempt ? parseFloat(attempt.walletAmount) : 0;
+    const instalment = attempt?.instalment || PAYMENT_INSTALMENT.FULL;
+
+    const newPayment = () => queryRunner.manager.create(Payments, {
+        orderId, 
+        vendorId, 
+        customerId, 
+        quoteId,
+        razorpayPaymentId: paymentEntity.id,
+        paymentAmount: (paymentEntity.amount + Math.round(walletAmount * 100)) / 100,
+        walletAmount,
+        instalment,
+        paymentCurrency: paymentEntity.currency,
+        paymentMethod: paymentEntity.method,
+        paymentStatus: paymentEntity.status,
+        paymentDate: new Date(paymentEntity.created_at * 1000),
+    });
+
+    if (instalment === PAYMENT_INSTALMENT.BALANCE) {
+        const order = await queryRunner.manager.findOne(Orders, {
+            where: { id: orderId, orderStage: ORDER_STATUS.ITEM_READY_FOR_PICKUP, finalQuoteId: quoteId },
+            lock: { mode: "pessimistic_write" }
+        });
+        if (!order || !isBalanceDue(order) || paymentEntity.amount !== Math.round(parseFloat(order.balanceAmount) * 100) - Math.round(walletAmount * 100)) {
+            throw new Error("Validation failed: Order has no balance due or amount incorrect.");
+        }
+        return applyBalancePayment(queryRunner, { order, payment: newPayment() });
+    }
+
+    // ATOMIC VALIDATION: Fetch and lock the order and quote for update
+    const order = await queryRunner.manager.findOne(Orders, {
+        where: { id: orderId, orderStatus: ORDER_STATUS.PENDING, isPaid: false },
+        lock: { mode: "pessimistic_write" } // Lock the row to prevent race conditions
     });
-    await queryRunner.manager.save(OrderStatusTimeline, timelineEntry);
+    const quote = await queryRunner.manager.findOne(OrderQuotes, { where: { id: quoteId } });
+
+    if (!order || !quote) {
+        throw new Error("Validation failed: Order/quote mismatch or amount incorrect.");
+    }
+
+    // The amount must be the quote (or its advance) less the discount reserved for this Razorpay order and the part to be paid from the wallet, nothing else
+    const redemption = await redeemPromoCode(queryRunner.manager, { razorpayOrderId: paymentEntity.order_id, order, quote, customerId, vendorId });
+    const discountAmount = redemption ? parseFloat(redemption.discountAmount) : 0;
+    const { advanceAmount } = calculateAdvanceSplit(quote.finalPrice - discountAmount, instalment === PAYMENT_INSTALMENT.ADVANCE ? quote.advancePercent : null);
+    if (paymentEntity.amount !== Math.round(advanceAmount * 100) - Math.round(walletAmount * 100)) {
+        throw new Error("Validation failed: Order/quote mismatch or amount incorrect.");
+    }
+
+    return applyOrderPayment(queryRunner, { order, quote, payment: newPayment(), redemption });
 };
 
-//=================== WEBHOOK HANDLER ====================
+/**
+ * Records a validated payment and moves the order into work: saves the `Payments` row, takes the wallet part from
+ * the customer's wallet, posts to the ledger, issues the customer's tax invoice, finalizes the chosen vendor and
+ * freezes the others. Used by applyCapturedPayment and by createRazorpayOrder when the wallet covers the whole amount.
+ *
+ * For an ADVANCE payment the order keeps the balance still due, and the vendor's share of the advance is raised
+ * as a payout straight away. The invoice covers the whole order either way.
+ *
+ * @param {import("typeorm").QueryRunner} queryRunner
+ * @param {Object} params
+ * @param {Object} params.order - The locked Orders row.
+ * @param {Object} params.quote - The OrderQuotes row being paid.
+ * @param {Object} params.payment - The unsaved Payments row.
+ * @param {Object|null} params.redemption - The redeemed promo use, if any.
+ * @returns {Promise<{ orderId: string, vendorId: string, customerId: string, paymentId: string, invoiceNumber: string, instalment: string }>} Details for notifyPaymentCaptured.
+ * @throws {Error} 400 if the wallet no longer covers its part.
+ */
+export const applyOrderPayment = async (queryRunner, { order, quote, payment, redemption }) => {
+    const { orderId, vendorId, customerId, quoteId } = payment;
+
+    await savePayment(queryRunner.manager, payment);
+    const invoice = await issueCustomerInvoice(queryRunner.manager, {
+        order,
+        quote,
+        payment,
+        discount: redemption && { amount: parseFloat(redemption.discountAmount), fundedBy: redemption.fundedBy, code: redemption.code }
+    });
+
+    quote.isProcessed = true;
+    await queryRunner.manager.save(OrderQuotes, quote);
+
+    const discountAmount = redemption ? parseFloat(redemption.discountAmount) : 0;
+    const isAdvance = payment.instalment === PAYMENT_INSTALMENT.ADVANCE;
+    await queryRunner.manager.update(Orders, { id: orderId }, {
+        selectedVendorId: vendorId,
+        finalQuoteId: quoteId,
+        paymentId: payment.id,
+        isPaid: true,
+        advancePercent: isAdvance ? quote.advancePercent : null,
+        balanceAmount: isAdvance ? calculateAdvanceSplit(quote.finalPrice - discountAmount, quote.advancePercent).balanceAmount : 0,
+    });
+
+    if (isAdvance) {
+        const vendorFundedDiscount = redemption?.fundedBy === PROMO_FUNDED_BY.VENDOR ? discountAmount : 0;
+        const vendorEarning = Math.round((quote.vendorPayoutAfterCommission - vendorFundedDiscount) * 100) / 100;
+        await raiseVendorPayout(queryRunner.manager, {
+            orderId,
+            vendorId,
+            amount: calculateAdvanceSplit(vendorEarning, quote.advancePercent).advanceAmount,
+            instalment: PAYMENT_INSTALMENT.ADVANCE
+        });
+    }
+
+    await markAttemptPaid(queryRunner.manager, quoteId);
+
+    const paymentNote = payment.razorpayPaymentId ? `Payment successful. Razorpay ID: ${payment.razorpayPaymentId}` : "Paid from wallet";
+    await transitionOrder(queryRunner, { orderId, to: ORDER_STATUS.IN_PROGRESS, actorId: MISC.PAYMENT_GATEWAY, actorRole: ROLE.SYSTEM, notes: isAdvance ? `Advance paid. ${paymentNote}` : paymentNote });
+
+    if (order.clothProvided) {
+        // The state machine hook creates the TO_VENDOR DeliveryTracking and the INITIATE_PICKUP outbox event
+        await transitionOrder(queryRunner, { orderId, to: ORDER_STATUS.ITEM_PICKUP_FROM_CUSTOMER_SCHEDULED, actorId: MISC.LOGISTICS, actorRole: ROLE.SYSTEM, notes: "Pickup from customer scheduled" });
+    } else {
+        await transitionOrder(queryRunner, { orderId, to: ORDER_STATUS.WORK_STARTED, actorId: ROLE.SYSTEM, actorRole: ROLE.SYSTEM, notes: "Work started triggered by System for order with no cloth provided" });
+    }
+
+    await queryRunner.manager.update(VendorStats, { vendorId }, { totalInProgressOrders: () => "\"totalInProgressOrders\" + 1" });
+    await transitionOrderVendor(queryRunner, { where: { orderId, vendorId }, to: ORDER_VENDOR_STATUS.FINALIZED, actorRole: ROLE.SYSTEM });
+    // Only open requests are frozen; REJECTED/EXPIRED ones stay as they are
+    await transitionOrderVendors(queryRunner, { where: { orderId, vendorId: Not(vendorId) }, to: ORDER_VENDOR_STATUS.FROZEN, actorRole: ROLE.SYSTEM });
+
+    return { orderId, vendorId, customerId, paymentId: payment.razorpayPaymentId || payment.id, invoiceNumber: invoice.invoiceNumber, instalment: payment.instalment };
+};
+
+/**
+ * Records the balance of a split-payment order, which the customer pays once the vendor marks the item ready,
+ * and dispatches the return delivery that was held back until then. Used by applyCapturedPayment and by
+ * createBalancePaymentOrder when the wallet covers the whole balance.
+ *
+ * @param {import("typeorm").QueryRunner} queryRunner
+ * @param {Object} params
+ * @param {Object} params.order - The locked Orders row, at ITEM_READY_FOR_PICKUP with its balance due.
+ * @param {Object} params.payment - The unsaved BALANCE Payments row.
+ * @returns {Promise<{ orderId: string, vendorId: string, customerId: string, paymentId: string, invoiceNumber: null, instalment: string }>} Details for notifyPaymentCaptured.
+ * @throws {Error} 400 if the wallet no longer covers its part.
+ */
+export const applyBalancePayment = async (queryRunner, { order, payment }) => {
+    const { orderId, vendorId, customerId, quoteId } = payment;
+
+    await savePayment(queryRunner.manager, payment);
+    await queryRunner.manager.update(Orders, { id: orderId }, { balancePaymentId: payment.id });
+    order.balancePaymentId = payment.id;
+
+    await markAttemptPaid(queryRunner.manager, quoteId);
+
+    const paymentNote = payment.razorpayPaymentId ? `Razorpay ID: ${payment.razorpayPaymentId}` : "Paid from wallet";
+    await createTimelineEntry(queryRunner, orderId, order.orderStage, order.orderStage, MISC.PAYMENT_GATEWAY, ROLE.SYSTEM, `Balance of ${payment.paymentAmount} paid. ${paymentNote}`);
+    await scheduleReturnDelivery({ queryRunner, order });
+
+    return { orderId, vendorId, customerId, paymentId: payment.razorpayPaymentId || payment.id, invoiceNumber: null, instalment: payment.instalment };
+};
+
+/**
+ * Saves a Payments row, takes its wallet part from the customer's wallet and posts the capture to the ledger.
+ */
+const savePayment = async (manager, payment) => {
+    await manager.save(Payments, payment);
+    if (parseFloat(payment.walletAmount) > 0) {
+        await debitWallet(manager, {
+            customerId: payment.customerId,
+            amount: parseFloat(payment.walletAmount),
+            orderId: payment.orderId,
+            paymentId: payment.id,
+            idempotencyKey: `payment:${payment.id}`,
+            notes: `Paid for order #${payment.orderId.substring(0, 8)}`
+        });
+    }
+    await postPaymentCaptured(manager, payment);
+};
 
+// IDEMPOTENCY UPDATE: Update the payment attempt to PAID which is having PENDING status. This is to ensure that the payment attempt is not created again.
+const markAttemptPaid = async (manager, quoteId) => {
+    const paymentAttempt = await manager.findOne(PaymentAttempts, { where: { quoteId, status: PAYMENT_ATTEMPT.PENDING } });
+    if (paymentAttempt) {
+        await manager.update(PaymentAttempts, paymentAttempt.id, { status: PAYMENT_ATTEMPT.PAID });
+    }
+};
 
 /**
  * @api {post} /api/webhook/handleRazorpayPaymentWebhook Razorpay Payment Webhook
@@ -70,11 +242,12 @@ export const createTimelineEntry = async (queryRunner, orderId, previousStatus,
  * 2.  **`payment.failed` Event**: If a payment fails, this webhook captures the failure details and logs them in the `PaymentFailures` table for auditing and analysis, without affecting any existing order data.
  *
  * 3.  **`payment.captured` Event**: This is the most critical flow. When a payment is successful, this block executes a large database transaction to:
- * -   **Validate**: It locks the order row to prevent race conditions and verifies that the order is still `PENDING` and the payment amount matches the final quote.
+ * -   **Validate**: It locks the order row to prevent race conditions and verifies that the order is still `PENDING` and the payment amount matches the final quote less any promo discount reserved for the Razorpay order and the part to be paid from the wallet.
  * -   **Update Entities**: It creates a `Payments` record, marks the `OrderQuote` as processed, and updates the main `Order` entity with the selected vendor, payment details, and transitions its status to `IN_PROGRESS`.
  * -   **Update Related Entities**: It finalizes the order for the chosen vendor (`FINALIZED`), freezes the order for all other vendors who quoted (`FROZEN`), and increments the vendor's `in-progress` order stats.
  * -   **Trigger Logistics**: If the order requires the customer to provide cloth, it creates `DeliveryTracking` and `Outbox` records to initiate the pickup process via a separate worker.
  * -   **Queue Notifications**: After a successful transaction, it queues a series of push notifications and emails to both the customer and the vendor.
+ * -   **Split Payments**: An advance is checked against the quote's `advancePercent` share and leaves the rest as the order's `balanceAmount`. A balance payment (paid once the item is ready) only records the payment and dispatches the return delivery that was waiting for it.
  *
  * @apiWarning **Fail-Safe Refund Mechanism**: If any step within the `payment.captured` database transaction fails, the entire transaction is rolled back. The `catch` block then immediately triggers an API call to Razorpay to refund the entire payment to the customer. This ensures the customer is never charged if the system fails to process their order correctly. This is a critical safety feature.
  *
@@ -130,100 +303,10 @@ export const handleRazorpayPaymentWebhook = async(req, res) => {
         await queryRunner.startTransaction();
 
         try {
-            const { orderId, quoteId, vendorId, customerId } = paymentEntity.notes;
-
-            // ATOMIC VALIDATION: Fetch and lock the order and quote for update
-            const order = await queryRunner.manager.findOne(Orders, {
-                where: { id: orderId, orderStatus: ORDER_STATUS.PENDING },
-                lock: { mode: "pessimistic_write" } // Lock the row to prevent race conditions
-            });
-            const quote = await queryRunner.manager.findOne(OrderQuotes, { where: { id: quoteId } });
-
-            if (!order || !quote || (paymentEntity.amount !== Math.round(quote.finalPrice * 100))) {
-                throw new Error("Validation failed: Order/quote mismatch or amount incorrect.");
-            }
-
-            const paymentDate = new Date(paymentEntity.created_at * 1000);
-            const payment = queryRunner.manager.create(Payments, {
-                orderId, 
-                vendorId, 
-                customerId, 
-                quoteId,
-                razorpayPaymentId: paymentId,
-                paymentAmount: paymentEntity.amount / 100,
-                paymentCurrency: paymentEntity.currency,
-                paymentMethod: paymentEntity.method,
-                paymentStatus: paymentEntity.status,
-                paymentDate,
-            });
-            await queryRunner.manager.save(Payments, payment);
-
-            quote.isProcessed = true;
-            await queryRunner.manager.save(OrderQuotes, quote);
-
-            order.selectedVendorId = vendorId;
-            order.finalQuoteId = quoteId;
-            order.paymentId = payment.id;
-            order.isPaid = true;
-
-            // IDEMPOTENCY UPDATE: Update the payment attempt to PAID which is having PENDING status. This is to ensure that the payment attempt is not created again.
-            const paymentAttempt = await queryRunner.manager.findOne(PaymentAttempts, { where: { quoteId, status: PAYMENT_ATTEMPT.PENDING } });
-            if (paymentAttempt) {
-                await queryRunner.manager.update(PaymentAttempts, paymentAttempt.id, { status: PAYMENT_ATTEMPT.PAID });
-            }
-
-            await createTimelineEntry(queryRunner, orderId, order.orderStatus, ORDER_STATUS.IN_PROGRESS, MISC.PAYMENT_GATEWAY, ROLE.SYSTEM, `Payment successful. Razorpay ID: ${paymentId}`);
-
-            if (order.clothProvided) {
-                // Create Outbox event for 2-way delivery
-                // GENERATE DELIVERY TRACKING ID 
-                // IF THE DELIVERY SERVICE NEED TO AVOID CHARACTERS, THEN ADD AN RANDOM/SEQUENTIAL NUMBER BY SETTING THE FIELD AS UNIQUE
-                const deliveryTracking = await queryRunner.manager.save(DeliveryTracking, { 
-                    orderId, 
-                    deliveryType: "TO_VENDOR", 
-                    from: "CUSTOMER", 
-                    to: "VENDOR", 
-                    status: "PENDING",
-                    statusUpdateTimeStamp: {
-                        initiated_at: new Date(),
-                        pickup_assigned_at: null,
-                        pickup_in_transit_at: null,
-                        pickup_completed_at: null,
-                        delivery_in_transit_at: null,
-                        delivery_completed_at: null,
-                        delivery_failed_at: null,
-                        delivery_cancelled_at: null,
-                    },
-                });
-
-                // INITIATE CLOTH PICKUP FROM CUSTOMER, use OUTBOX pattern as this block is in a transaction
-                await queryRunner.manager.save(Outbox, { 
-                    eventType: "INITIATE_PICKUP", 
-                    payload: { 
-                        deliveryTrackingId: deliveryTracking.id, 
-                        orderId 
-                    } ,
-                    status: "PENDING",
-                    createdAt: new Date()
-                });
-
-                await createTimelineEntry(queryRunner, orderId, ORDER_STATUS.IN_PROGRESS, ORDER_STATUS.ITEM_PICKUP_FROM_CUSTOMER_SCHEDULED, MISC.LOGISTICS, ROLE.SYSTEM, "Pickup from customer scheduled");
-            } else {
-                await createTimelineEntry(queryRunner, orderId,  ORDER_STATUS.IN_PROGRESS, ORDER_STATUS.WORK_STARTED, ROLE.SYSTEM, ROLE.SYSTEM, "Work started triggered by System for order with no cloth provided");
-            }
-
-            order.orderStatus = ORDER_STATUS.IN_PROGRESS;
-            order.orderStatusTimestamp.inProgressAt = paymentDate.toString();
-
-            await queryRunner.manager.save(Orders, order);
-            await queryRunner.manager.update(VendorStats, { vendorId }, { totalInProgressOrders: () => "totalInProgressOrders + 1" });
-            await queryRunner.manager.update(OrderVendors, { orderId, vendorId }, { status: ORDER_VENDOR_STATUS.FINALIZED });
-            await queryRunner.manager.update(OrderVendors, { orderId, vendorId: Not(vendorId) }, { status: ORDER_VENDOR_STATUS.FROZEN });
+            notificationDetails = await applyCapturedPayment(queryRunner, paymentEntity);
 
             await queryRunner.commitTransaction();
             logger.info(`Successfully processed payment and updated order: ${paymentId}`);
-            
-            notificationDetails = { orderId, vendorId, customerId };
 
             res.status(200).json({ status: "Success" });
 
@@ -239,6 +322,7 @@ export const handleRazorpayPaymentWebhook = async(req, res) => {
                 const refund = await razorpay.payments.refund(paymentId, { speed: "normal", notes: { reason: "Internal server error during order processing." } });
                 await refundRepo.save({
                     paymentId: paymentId,
+                    razorpayRefundId: refund.id,
                     amount: refund.amount,
                     status: refund.status,
                     speedRequested: refund.speed_requested,
@@ -270,71 +354,282 @@ export const handleRazorpayPaymentWebhook = async(req, res) => {
     }
 
     // Queue notifications for customer and vendor about successful payment
-
     if (notificationDetails) {
-        try {
-            const { orderId, vendorId, customerId } = notificationDetails;
+        await notifyPaymentCaptured(notificationDetails);
+    }
+}
 
-            const customerDetails = await AppDataSource.getRepository(Customers).findOne({ where: { id: customerId }, relations: { user: true } });
-            
-            const vendorDetails = await AppDataSource.getRepository(Vendors).findOne({ where: { id: vendorId }, relations: { user: true } });
-
-            // Customer Notifications
-            if (customerDetails?.user) {
-                if (customerDetails.user.pushToken) {
-                    pushQueue.add('paymentSuccessCustomer', {
-                        token: customerDetails.user.pushToken,
-                        title: "Order Confirmed!",
-                        message: `Your payment for order #${orderId.substring(0, 8)} was successful.`,
-                        data: { url: '/(customer)/(portal)/orders' }
-                    });
-                }
-                emailQueue.add('paymentSuccessCustomerEmail', {
-                    email: customerDetails.user.email,
-                    name: customerDetails.user.name,
-                    template_id: 'customer_order_confirmation',
-                    variables: { orderId, paymentId }
-                });
+/**
+ * Queues the payment confirmation push, email and history entries for the customer and the vendor.
+ * The balance of a split payment gets its own, shorter messages.
+ */
+export const notifyPaymentCaptured = async ({ orderId, vendorId, customerId, paymentId, invoiceNumber, instalment }) => {
+    if (instalment === PAYMENT_INSTALMENT.BALANCE) return notifyBalanceCaptured({ orderId, vendorId, customerId });
+    try {
+        const customerDetails = await AppDataSource.getRepository(Customers).findOne({ where: { id: customerId }, relations: { user: true } });
+        
+        const vendorDetails = await AppDataSource.getRepository(Vendors).findOne({ where: { id: vendorId }, relations: { user: true } });
 
-                notificationHistoryQueue.add("saveNotificationHistory", {
-                    userId: customerDetails.user.id,
+        // Customer Notifications
+        if (customerDetails?.user) {
+            if (customerDetails.user.pushToken) {
+                pushQueue.add('paymentSuccessCustomer', {
+                    token: customerDetails.user.pushToken,
                     title: "Order Confirmed!",
-                    body: `Your payment for order #${orderId.substring(0, 8)}... was successful.`,
-                    timestamp: new Date(),
+                    message: `Your payment for order #${orderId.substring(0, 8)} was successful.`,
+                    data: { url: '/(customer)/(portal)/orders' }
                 });
             }
+            emailQueue.add('paymentSuccessCustomerEmail', {
+                email: customerDetails.user.email,
+                name: customerDetails.user.name,
+                template_id: 'customer_order_confirmation',
+                variables: { orderId, paymentId, invoiceNumber }
+            });
 
-            // Vendor Notifications
-            if (vendorDetails?.user) {
-                if (vendorDetails.user.pushToken) {
-                    pushQueue.add('newOrderForVendor', {
-                        token: vendorDetails.user.pushToken,
-                        title: "Order Confirmed !!!",
-                        message: `You have received a new paid order: #${orderId.substring(0, 8)}.`,
-                        data: { url: '/(vendor)/(portal)/orders' }
-                    });
-                }
-                emailQueue.add('newOrderForVendorEmail', {
-                    email: vendorDetails.user.email,
-                    name: vendorDetails.user.name,
-                    template_id: 'vendor_new_order_alert',
-                    variables: { orderId }
-                });
+            notificationHistoryQueue.add("saveNotificationHistory", {
+                userId: customerDetails.user.id,
+                title: "Order Confirmed!",
+                body: `Your payment for order #${orderId.substring(0, 8)}... was successful.`,
+                timestamp: new Date(),
+            });
+        }
 
-                notificationHistoryQueue.add("saveNotificationHistory", {
-                    userId: vendorDetails.user.id,
-                    title: "You Have a New Order!",
-                    body: `You have received a new paid order: #${orderId.substring(0, 8)}...`,
-                    timestamp: new Date(),
+        // Vendor Notifications
+        if (vendorDetails?.user) {
+            if (vendorDetails.user.pushToken) {
+                pushQueue.add('newOrderForVendor', {
+                    token: vendorDetails.user.pushToken,
+                    title: "Order Confirmed !!!",
+                    message: `You have received a new paid order: #${orderId.substring(0, 8)}.`,
+                    data: { url: '/(vendor)/(portal)/orders' }
                 });
             }
+            emailQueue.add('newOrderForVendorEmail', {
+                email: vendorDetails.user.email,
+                name: vendorDetails.user.name,
+                template_id: 'vendor_new_order_alert',
+                variables: { orderId }
+            });
+
+            notificationHistoryQueue.add("saveNotificationHistory", {
+                userId: vendorDetails.user.id,
+                title: "You Have a New Order!",
+                body: `You have received a new paid order: #${orderId.substring(0, 8)}...`,
+                timestamp: new Date(),
+            });
+        }
+
+    } catch (notificationError) {
+        logger.error(`Failed to queue notifications for order ${orderId}`, notificationError);
+    }
+};
+
+const notifyBalanceCaptured = async ({ orderId, vendorId, customerId }) => {
+    try {
+        const [customerDetails, vendorDetails] = await Promise.all([
+            AppDataSource.getRepository(Customers).findOne({ where: { id: customerId }, relations: { user: true } }),
+            AppDataSource.getRepository(Vendors).findOne({ where: { id: vendorId }, relations: { user: true } })
+        ]);
+        const messages = [
+            [customerDetails?.user, "Balance Paid", `Thanks! Order #${orderId.substring(0, 8)} is fully paid and will be on its way to you shortly.`, '/(customer)/(portal)/orders'],
+            [vendorDetails?.user, "Balance Received", `The customer paid the balance for order #${orderId.substring(0, 8)}. Pickup for delivery has been scheduled.`, '/(vendor)/(portal)/orders'],
+        ];
+        for (const [user, title, message, url] of messages) {
+            if (!user) continue;
+            if (user.pushToken) {
+                pushQueue.add('balancePaymentCaptured', { token: user.pushToken, title, message, data: { url } });
+            }
+            notificationHistoryQueue.add("saveNotificationHistory", { userId: user.id, title, body: message, timestamp: new Date() });
+        }
+    } catch (notificationError) {
+        logger.error(`Failed to queue balance payment notifications for order ${orderId}`, notificationError);
+    }
+};
+
+/**
+ * Moves a `Refunds` row to `status` and, once the money is back with the customer, closes out a cancelled or fully
+ * refunded order. Runs inside the caller's transaction; shared by the refund webhook and the reconciliation job.
+ *
+ * @param {import("typeorm").QueryRunner} queryRunner
+ * @param {Object} refundEntity - The Razorpay refund entity.
+ * @param {string} status - `pending`, `processed` or `failed`.
+ * @returns {Promise<{ duplicate: boolean, notificationDetails: Object|null }>} `duplicate` when the row was already in that (or a final) state.
+ */
+export const applyRefundStatus = async (queryRunner, refundEntity, status) => {
+    let notificationDetails = null;
+
+    // refundRazorpayPayment may not have saved its row yet; insert it here and let it skip its own insert
+    await queryRunner.manager.createQueryBuilder()
+        .insert()
+        .into(Refunds)
+        .values({
+            paymentId: refundEntity.payment_id,
+            razorpayRefundId: refundEntity.id,
+            amount: refundEntity.amount,
+            status: 'pending',
+            speedRequested: refundEntity.speed_requested,
+            notes: refundEntity.notes?.reason || null,
+        })
+        .orIgnore()
+        .execute();
+
+    const refund = await queryRunner.manager.findOne(Refunds, { where: { razorpayRefundId: refundEntity.id }, lock: { mode: "pessimistic_write" } });
+
+    // refundRazorpayPayment always records a refund as pending, so only this function moves it to processed
+    if (refund.status === status || refund.status === 'processed' || refund.status === 'failed') {
+        return { duplicate: true, notificationDetails: null };
+    }
+
+    await queryRunner.manager.update(Refunds, { id: refund.id }, {
+        status,
+        amount: refundEntity.amount,
+        speedProcessed: refundEntity.speed_processed || refund.speedProcessed,
+        processedAt: status === 'processed' ? new Date() : null,
+        comment: status === 'failed' ? (refundEntity.error_description || refundEntity.status_details?.description || "Refund failed") : refund.comment,
+    });
+
+    if (status === 'failed') {
+        logger.error(`CRITICAL: REFUND ${refundEntity.id} FOR PAYMENT ${refundEntity.payment_id} FAILED. MANUAL INTERVENTION REQUIRED.`);
+    }
+
+    if (status === 'processed') {
+        await postRefundProcessed(queryRunner.manager, { razorpayRefundId: refundEntity.id, razorpayPaymentId: refundEntity.payment_id, amount: refundEntity.amount });
+
+        const payment = await queryRunner.manager.findOne(Payments, { where: { razorpayPaymentId: refundEntity.payment_id } });
+        const order = payment && await queryRunner.manager.findOne(Orders, { where: { id: payment.orderId }, lock: { mode: "pessimistic_write" } });
+
+        if (order) {
+            await closeOutRefundedOrder(queryRunner, { order, actorId: MISC.PAYMENT_GATEWAY, notes: `Refund ${refundEntity.id} processed` });
+
+            notificationDetails = { customerId: order.customerId, orderName: order.orderName, amount: refundEntity.amount / 100 };
+        }
+    }
+
+    return { duplicate: false, notificationDetails };
+};
+
+/**
+ * @api {post} /api/webhook/handleRazorpayRefundWebhook Razorpay Refund Webhook
+ * @apiName HandleRazorpayRefundWebhook
+ * @apiGroup Webhook
+ * @apiDescription
+ * Tracks refunds after they are raised. `refundRazorpayPayment` records every refund as `pending`, even one Razorpay
+ * processed synchronously; this webhook moves the `Refunds` row to its final state.
+ *
+ * ### Refund Lifecycle Events Handled:
+ * - `refund.created`: The refund was raised (also recorded for refunds raised from the Razorpay dashboard).
+ * - `refund.processed`: The money has been sent back to the customer.
+ * - `refund.failed`: The refund failed; the payment remains with us and needs manual follow-up.
+ *
+ * ### Event Flow:
+ *
+ * 1.  **Signature Verification**: Verifies the webhook signature with `RAZORPAY_WEBHOOK_SECRET`.
+ * 2.  **Idempotency Check**: The `Refunds` row is found by `razorpayRefundId`. Events for a refund that is already in that state, or already `processed`/`failed`, are ignored.
+ * 3.  **Refund Completion**: On `refund.processed` for a cancelled order, or a completed order that is now fully refunded (processed Razorpay refunds plus wallet refund credits cover what was paid, advance and balance together), the order is marked `isRefunded` and moved to `REFUNDED` along with the paid vendor's `OrderVendors` row. Partial refunds on an active order (e.g. a price difference after reassignment) only update the `Refunds` row.
+ * 4.  **Notifications**: The customer is notified once the refund is processed.
+ *
+ * @apiError {Error} 400 - If the webhook signature is invalid or the payload is missing the refund.
+ * @apiError {Error} 500 - If the database transaction fails.
+ */
+export const handleRazorpayRefundWebhook = async(req, res) => {
+
+    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    const signature = req.headers["x-razorpay-signature"];
+
+    try {
+        const expectedSignature = crypto.createHmac("sha256", secret).update(JSON.stringify(req.body)).digest("hex");
+        if (signature !== expectedSignature) {
+            logger.warn("Invalid Razorpay webhook signature received.");
+            return res.status(400).json({ status: "Signature mismatch" });
+        }
+    } catch (err) {
+        logger.error("Error during signature verification.", err);
+        return res.status(400).json({ status: "Invalid request body" });
+    }
+
+    const { event, payload } = req.body;
+    const refundEntity = payload?.refund?.entity;
+
+    if (!event || !refundEntity?.id) {
+        return res.status(400).json({ status: "Missing event or refund ID" });
+    }
+
+    const refundStatusByEvent = {
+        'refund.created': 'pending',
+        'refund.processed': 'processed',
+        'refund.failed': 'failed',
+    };
+    const status = refundStatusByEvent[event];
+    if (!status) {
+        logger.info(`No handler for webhook event: ${event}`);
+        return res.status(200).json({ status: `No handler for ${event}` });
+    }
+
+    const refundId = refundEntity.id;
+    let notificationDetails = null;
+
+    const queryRunner = AppDataSource.createQueryRunner();
+    await queryRunner.connect();
+    await queryRunner.startTransaction();
+
+    try {
+        const result = await applyRefundStatus(queryRunner, refundEntity, status);
+
+        await queryRunner.commitTransaction();
+        if (result.duplicate) {
+            logger.info(`Duplicate webhook for already processed refund: ${refundId}, event: ${event}`);
+            return res.status(200).json({ status: "Already processed" });
+        }
+        notificationDetails = result.notificationDetails;
+        logger.info(`Successfully processed webhook for refund: ${refundId}, event: ${event}`);
+
+        res.status(200).json({ status: "Success" });
 
-        } catch (notificationError) {
-            logger.error(`Failed to queue notifications for order ${notificationDetails.orderId}`, notificationError);
+    } catch (err) {
+        if (queryRunner.isTransactionActive) {
+            await queryRunner.rollbackTransaction();
         }
+        logger.error(`Webhook processing failed for refund ${refundId}.`, err);
+        return res.status(500).json({ status: "Error processing webhook" });
+    } finally {
+        await queryRunner.release();
+    }
+
+    if (notificationDetails) {
+        await notifyRefundProcessed({ ...notificationDetails, refundId });
     }
 }
 
+/**
+ * Tells the customer their refund has been processed.
+ */
+export const notifyRefundProcessed = async ({ customerId, orderName, amount, refundId }) => {
+    try {
+        const customerDetails = await AppDataSource.getRepository(Customers).findOne({ where: { id: customerId }, relations: { user: true } });
+
+        if (customerDetails?.user) {
+            const message = `Your refund of ₹${amount} for order ${orderName || ""} has been processed. It may take a few days to reflect in your account.`;
+            if (customerDetails.user.pushToken) {
+                pushQueue.add('refundProcessedCustomer', {
+                    token: customerDetails.user.pushToken,
+                    title: "Refund Processed",
+                    message,
+                    data: { url: '/(customer)/(portal)/orders' }
+                });
+            }
+            notificationHistoryQueue.add("saveNotificationHistory", {
+                userId: customerDetails.user.id,
+                title: "Refund Processed",
+                body: message,
+                timestamp: new Date(),
+            });
+        }
+    } catch (notificationError) {
+        logger.error(`Failed to queue refund notification for refund ${refundId}`, notificationError);
+    }
+};
+
 //=================== HELPER FUNCTION ====================
 /**
  * @description Creates a standardized update payload for the Payouts entity based on the webhook data.
@@ -361,6 +656,58 @@ const createUpdatePayload = (payout, payoutEntity, statusKey) => {
 //=================== END OF HELPER FUNCTION ====================
 
 
+/**
+ * Applies a RazorpayX payout status to the matching `Payouts` row, or to a scheduled `PayoutBatches` payout through
+ * `reconcileBatchPayout`. Runs inside the caller's transaction; shared by the payout webhook and the reconciliation job.
+ *
+ * @param {import("typeorm").QueryRunner} queryRunner
+ * @param {Object} params
+ * @param {Object} params.payoutEntity - The Razorpay payout entity.
+ * @param {{ key: string, extra?: Object }} params.handler - The status key for `payout_status_history` and extra columns to set.
+ * @returns {Promise<string>} `Success`, `Already processed` or `Payout not found`.
+ */
+export const applyPayoutStatus = async (queryRunner, { payoutEntity, handler }) => {
+    const payoutId = payoutEntity.id;
+    const payout = await queryRunner.manager.findOne(Payouts, {
+        where: { payout_id: payoutId },
+    });
+
+    if (!payout) {
+        // Scheduled payouts are paid as one Razorpay payout per batch. The batch id is also the reference id,
+        // which finds the batch when the webhook beats initiateBatch storing the payout id.
+        const batch = await queryRunner.manager.findOne(PayoutBatches, {
+            where: z.string().uuid().safeParse(payoutEntity.reference_id).success ? [{ payout_id: payoutId }, { id: payoutEntity.reference_id }] : { payout_id: payoutId },
+            lock: { mode: "pessimistic_write" }
+        });
+        if (batch) {
+            return reconcileBatchPayout(queryRunner, { batch, handler, payoutEntity });
+        }
+
+        logger.info(`Payout status received for a payout not found in our system: ${payoutId}`);
+        return "Payout not found";
+    }
+
+    if (payout.payout_status_history[`${handler.key}_at`]) {
+        logger.info(`Duplicate status for already processed payout: ${payoutId}, status: ${handler.key}`);
+        return "Already processed";
+    }
+
+    const updatePayload = createUpdatePayload(payout, payoutEntity, handler.key);
+    const finalPayload = { ...updatePayload, ...handler.extra };
+
+    await queryRunner.manager.update(Payouts, { payout_id: payoutId }, finalPayload);
+    await postPayoutStatus(queryRunner.manager, {
+        status: payoutEntity.status,
+        vendorId: payout.vendorId,
+        orderId: payout.orderId,
+        amount: payoutEntity.amount / 100,
+        referenceType: "Payouts",
+        referenceId: payout.id
+    });
+
+    return "Success";
+};
+
 /**
  * @api {post} /api/webhook/handleRazorpayPayoutWebhook Razorpay Payout Webhook
  * @apiName HandleRazorpayPayoutWebhook
@@ -383,6 +730,7 @@ const createUpdatePayload = (payout, payoutEntity, statusKey) => {
  *
  * 1.  **Signature Verification**: Cryptographically verifies the webhook signature to ensure authenticity.
  * 2.  **Find Payout**: Locates the corresponding payout record in the database using the `payout_id` from the webhook.
+ *     If no single payout matches, the id may belong to a scheduled `PayoutBatches` payout; the batch and all of its rows are updated through `reconcileBatchPayout`.
  * 3.  **Event Mapping**: Uses an `eventHandlers` map to translate the incoming Razorpay event into a consistent internal key (e.g., `payout.rejected` maps to `payout_rejected`). A separate map (`statusToDbKeyMap`) is used for the generic `payout.updated` event to ensure the correct key is used.
  * 4.  **Idempotency Check**: Before processing, it checks the `payout_status_history` JSONB field. If a timestamp already exists for the current event (e.g., `payout_rejected_at` is not null), the webhook is considered a duplicate and is ignored.
  * 5.  **Transactional Update**: All database changes occur within a transaction. It updates the payout's `status`, and adds a new timestamp and description to the `payout_status_history` and `payout_status_description` JSONB columns.
@@ -419,16 +767,6 @@ export const handleRazorpayPayoutWebhook = async(req, res) => {
     await queryRunner.startTransaction();
 
     try {
-        const payout = await queryRunner.manager.findOne(Payouts, {
-            where: { payout_id: payoutId },
-        });
-
-        if (!payout) {
-            logger.info(`Webhook received for a payout not found in our system: ${payoutId}`);
-            // Return 200 OK as the webhook itself is valid
-            return res.status(200).json({ status: "Payout not found" });
-        }
-
         const eventHandlers = {
             'payout.pending':   { key: 'pending_for_approval' },
             'payout.rejected':  { key: 'payout_rejected' },
@@ -456,21 +794,13 @@ export const handleRazorpayPayoutWebhook = async(req, res) => {
             logger.info(`No handler for webhook event: ${event}`);
             return res.status(200).json({ status: `No handler for ${event}` });
         }
-        
-        if (payout.payout_status_history[`${handler.key}_at`]) {
-            logger.info(`Duplicate webhook for already processed payout: ${payoutId}, event: ${event}`);
-            return res.status(200).json({ status: "Already processed" });
-        }
-
-        const updatePayload = createUpdatePayload(payout, payoutEntity, handler.key);
-        const finalPayload = { ...updatePayload, ...handler.extra };
 
-        await queryRunner.manager.update(Payouts, { payout_id: payoutId }, finalPayload);
+        const status = await applyPayoutStatus(queryRunner, { payoutEntity, handler });
 
         await queryRunner.commitTransaction();
-        logger.info(`Successfully processed webhook for payout: ${payoutId}, event: ${event}`);
+        logger.info(`Processed webhook for payout: ${payoutId}, event: ${event}, result: ${status}`);
 
-        return res.status(200).json({ status: "Success" });
+        return res.status(200).json({ status });
 
     } catch (err) {
         if (queryRunner.isTransactionActive) {
@@ -481,4 +811,74 @@ export const handleRazorpayPayoutWebhook = async(req, res) => {
     } finally {
         await queryRunner.release();
     }
+}
+
+/**
+ * @api {post} /api/webhook/handleRazorpayFundAccountValidationWebhook Razorpay Fund Account Validation Webhook
+ * @apiName HandleRazorpayFundAccountValidationWebhook
+ * @apiGroup Webhook
+ * @apiDescription
+ * Receives the result of a vendor bank account penny drop from RazorpayX (`fund_account.validation.completed` and
+ * `fund_account.validation.failed`) and stores it on the vendor through `applyBankValidationResult`. The vendor is found by the
+ * validation id, so results for an account the vendor has since replaced are ignored, and a repeated event changes nothing.
+ * The vendor is notified when the account is confirmed or rejected.
+ *
+ * @apiError {Error} 400 - If the webhook signature is invalid or the payload is missing the validation.
+ * @apiError {Error} 500 - If the database transaction fails.
+ */
+export const handleRazorpayFundAccountValidationWebhook = async(req, res) => {
+
+    const secret = process.env.RAZORPAYX_PAYOUT_WEBHOOK_SECRET;
+    const signature = req.headers["x-razorpay-signature"];
+
+    try {
+        const expectedSignature = crypto.createHmac("sha256", secret).update(JSON.stringify(req.body)).digest("hex");
+        if (signature !== expectedSignature) {
+            logger.warn("Invalid Razorpay webhook signature received.");
+            return res.status(400).json({ status: "Signature mismatch" });
+        }
+    } catch (err) {
+        logger.error("Error during signature verification.", err);
+        return res.status(400).json({ status: "Invalid request body" });
+    }
+
+    const { event, payload } = req.body;
+    const validation = payload?.["fund_account.validation"]?.entity;
+
+    if (!event || !validation?.id) {
+        return res.status(400).json({ status: "Missing event or validation ID" });
+    }
+    if (!["fund_account.validation.completed", "fund_account.validation.failed"].includes(event)) {
+        logger.info(`No handler for webhook event: ${event}`);
+        return res.status(200).json({ status: `No handler for ${event}` });
+    }
+
+    const queryRunner = AppDataSource.createQueryRunner();
+    await queryRunner.connect();
+    await queryRunner.startTransaction();
+
+    let result = null;
+    try {
+        result = await applyBankValidationResult(queryRunner.manager, validation);
+        await queryRunner.commitTransaction();
+    } catch (err) {
+        if (queryRunner.isTransactionActive) {
+            await queryRunner.rollbackTransaction();
+        }
+        logger.error(`Webhook processing failed for fund account validation ${validation.id}.`, err);
+        return res.status(500).json({ status: "Error processing webhook" });
+    } finally {
+        await queryRunner.release();
+    }
+
+    if (!result) {
+        logger.info(`No vendor waiting for fund account validation ${validation.id}, event: ${event}`);
+        return res.status(200).json({ status: "Ignored" });
+    }
+    logger.info(`Processed webhook for fund account validation: ${validation.id}, event: ${event}, result: ${result.status}`);
+    res.status(200).json({ status: result.status });
+
+    if (result.changed) {
+        await notifyBankValidation(result);
+    }
 }
\ No newline at end of file
@@ -1,91 +1,312 @@
-export const MESSAGE = {
-  SUCCESS: "Success",
-  ERROR: "Error",
-  INTERNAL_SERVER_ERROR: "Internal Server Error",
-  UNAUTHORIZED: "Unauthorized",
-  FORBIDDEN: "Forbidden",
-  NOT_FOUND: "Not Found",
-  BAD_REQUEST: "Bad Request",
-  CONFLICT: "Conflict",
-  UNPROCESSABLE_ENTITY: "Unprocessable Entity",
-};
-
-export const ROLE = {
-  CUSTOMER: "customer",
-  VENDOR: "vendor",
-  ADMIN: "admin",
-  SYSTEM: "system"
-};
-
-export const ORDER_VENDOR_STATUS = {
-  PENDING: "PENDING",
-  ACCEPTED: "ACCEPTED",
-  REJECTED: "REJECTED",
-  EXPIRED: "EXPIRED",
-  FROZEN: "FROZEN",
-  FINALIZED: "FINALIZED",
-  COMPLETED: "COMPLETED",
-  CANCELLED: "CANCELLED",
-  REFUNDED: "REFUNDED"
-};
-
-export const ORDER_STATUS = {
-  PENDING: "PENDING",
-  IN_PROGRESS: "IN_PROGRESS",
-
-  WORK_STARTED: "WORK_STARTED",
-
-  ITEM_PICKUP_FROM_CUSTOMER_SCHEDULED: "ITEM_PICKUP_FROM_CUSTOMER_SCHEDULED",
-  ITEM_PICKED_UP_FROM_CUSTOMER: "ITEM_PICKED_UP_FROM_CUSTOMER",
-  ITEM_DELIVERED_TO_VENDOR: "ITEM_DELIVERED_TO_VENDOR",
-  ITEM_RECEIVED: "ITEM_RECEIVED",
-  ITEM_READY_FOR_PICKUP: "ITEM_READY_FOR_PICKUP",
-  ITEM_PICKED_UP_FROM_VENDOR: "ITEM_PICKED_UP_FROM_VENDOR",
-  ITEM_DELIVERED_TO_CUSTOMER: "ITEM_DELIVERED_TO_CUSTOMER",
-
-  COMPLETED: "COMPLETED",
-  CANCELLED: "CANCELLED",
-
-  REFUNDED: "REFUNDED",
-};
-
-export const VENDOR_STATUS = {
-  PENDING: "PENDING",
-  VERIFIED: "VERIFIED",
-  REJECTED: "REJECTED",
-  BLOCKED: "BLOCKED"
-}
-
-export const OWNERSHIP_TYPE = {
-  SINGLE: "single",
-  PARTNERSHIP: "partnership",
-  PRIVATE_LIMITED: "private limited",
-  LIMITED_LIABILITY_PARTNERSHIP: "limited liability partnership",
-}
-
-export const SERVICE_TYPE = {
-  TAILORS: "tailors",
-  LAUNDRY: "laundry",
-  OTHER: "other"
-}
-
-export const SHOP_TYPE = {
-  IN_HOME: "in-home",
-  OUTLET: "outlet"
-}
-
-export const MISC = {
-  PAYMENT_GATEWAY: "PAYMENT_GATEWAY",
-  LOGISTICS: "LOGISTICS"
-}
-
-export const PAYMENT_STATUS = {
-  CAPTURED: "captured",
-  FAILED: "failed"
-}
-
-export const PAYMENT_ATTEMPT = {
-  PENDING: "PENDING",
-  PAID: "PAID",
-  EXPIRED: "EXPIRED"
-}
\ No newline at end of file
+export const MESSAGE = {
+  SUCCESS: "Success",
+  ERROR: "Error",
+  INTERNAL_SERVER_ERROR: "Internal Server Error",
+  UNAUTHORIZED: "Unauthorized",
+  FORBIDDEN: "Forbidden",
+  NOT_FOUND: "Not Found",
+  BAD_REQUEST: "Bad Request",
+  CONFLICT: "Conflict",
+  UNPROCESSABLE_ENTITY: "Unprocessable Entity",
+};
+
+export const ROLE = {
+  CUSTOMER: "customer",
+  VENDOR: "vendor",
+  ADMIN: "admin",
+  SYSTEM: "system"
+};
+
+export const ORDER_VENDOR_STATUS = {
+  PENDING: "PENDING",
+  ACCEPTED: "ACCEPTED",
+  REJECTED: "REJECTED",
+  EXPIRED: "EXPIRED",
+  FROZEN: "FROZEN",
+  FINALIZED: "FINALIZED",
+  COMPLETED: "COMPLETED",
+  CANCELLED: "CANCELLED",
+  REFUNDED: "REFUNDED"
+};
+
+export const ORDER_STATUS = {
+  PENDING: "PENDING",
+  IN_PROGRESS: "IN_PROGRESS",
+
+  WORK_STARTED: "WORK_STARTED",
+
+  ITEM_PICKUP_FROM_CUSTOMER_SCHEDULED: "ITEM_PICKUP_FROM_CUSTOMER_SCHEDULED",
+  ITEM_PICKED_UP_FROM_CUSTOMER: "ITEM_PICKED_UP_FROM_CUSTOMER",
+  ITEM_DELIVERED_TO_VENDOR: "ITEM_DELIVERED_TO_VENDOR",
+  ITEM_RECEIVED: "ITEM_RECEIVED",
+  ITEM_READY_FOR_PICKUP: "ITEM_READY_FOR_PICKUP",
+  ITEM_PICKED_UP_FROM_VENDOR: "ITEM_PICKED_UP_FROM_VENDOR",
+  ITEM_DELIVERED_TO_CUSTOMER: "ITEM_DELIVERED_TO_CUSTOMER",
+
+  COMPLETED: "COMPLETED",
+  CANCELLED: "CANCELLED",
+
+  REFUNDED: "REFUNDED",
+};
+
+export const DELIVERY_STATUS = {
+  PENDING: "PENDING",
+  PICKUP_ASSIGNED: "PICKUP_ASSIGNED",
+  PICKUP_IN_TRANSIT: "PICKUP_IN_TRANSIT",
+  PICKUP_COMPLETE: "PICKUP_COMPLETE",
+  DELIVERY_IN_TRANSIT: "DELIVERY_IN_TRANSIT",
+  DELIVERY_COMPLETE: "DELIVERY_COMPLETE",
+  DELIVERY_FAILED: "DELIVERY_FAILED",
+  CANCELLED: "CANCELLED"
+};
+
+export const VENDOR_STATUS = {
+  PENDING: "PENDING",
+  VERIFIED: "VERIFIED",
+  REJECTED: "REJECTED",
+  BLOCKED: "BLOCKED"
+}
+
+export const OWNERSHIP_TYPE = {
+  SINGLE: "single",
+  PARTNERSHIP: "partnership",
+  PRIVATE_LIMITED: "private limited",
+  LIMITED_LIABILITY_PARTNERSHIP: "limited liability partnership",
+}
+
+export const SERVICE_TYPE = {
+  TAILORS: "tailors",
+  LAUNDRY: "laundry",
+  OTHER: "other"
+}
+
+export const SHOP_TYPE = {
+  IN_HOME: "in-home",
+  OUTLET: "outlet"
+}
+
+export const MISC = {
+  PAYMENT_GATEWAY: "PAYMENT_GATEWAY",
+  LOGISTICS: "LOGISTICS",
+  WALLET: "WALLET"
+}
+
+export const PAYMENT_STATUS = {
+  CAPTURED: "captured",
+  FAILED: "failed"
+}
+
+export const PAYMENT_ATTEMPT = {
+  PENDING: "PENDING",
+  PAID: "PAID",
+  EXPIRED: "EXPIRED"
+}
+export const WEBHOOK_EVENT_STATUS = {
+  RECEIVED: "RECEIVED",
+  PROCESSED: "PROCESSED",
+  IGNORED: "IGNORED",     // duplicate or out-of-order event that no longer applies
+  FAILED: "FAILED"
+}
+
+export const OUTBOX_STATUS = {
+  PENDING: "PENDING",
+  PROCESSING: "PROCESSING",     // claimed by a worker; nextAttemptAt is the lease expiry
+  SENT: "SENT",
+  DEAD: "DEAD",                 // retries exhausted or a permanent failure; only an admin requeue revives it
+  CANCELLED: "CANCELLED",
+  DISCARDED: "DISCARDED"
+}
+
+export const COMPLAINT_OUTCOME = {
+  NO_ACTION: "NO_ACTION",
+  PARTIAL_REFUND: "PARTIAL_REFUND",
+  FULL_REFUND: "FULL_REFUND",
+  VENDOR_DEDUCTION: "VENDOR_DEDUCTION"
+}
+
+export const COMPLAINT_STATUS = {
+  OPEN: "OPEN",
+  AWAITING_CUSTOMER: "AWAITING_CUSTOMER",
+  AWAITING_VENDOR: "AWAITING_VENDOR",
+  ESCALATED: "ESCALATED",
+  RESOLVED: "RESOLVED",
+  REOPENED: "REOPENED"
+}
+
+export const COMPLAINT_CATEGORY = {
+  ORDER_QUALITY: "ORDER_QUALITY",
+  DELAY: "DELAY",
+  DELIVERY: "DELIVERY",
+  PAYMENT: "PAYMENT",
+  REFUND: "REFUND",
+  BEHAVIOUR: "BEHAVIOUR",
+  OTHER: "OTHER"
+}
+
+export const COMPLAINT_PRIORITY = {
+  LOW: "LOW",
+  MEDIUM: "MEDIUM",
+  HIGH: "HIGH",
+  URGENT: "URGENT"
+}
+
+export const PAYOUT_CYCLE = {
+  DAILY: "DAILY",
+  WEEKLY: "WEEKLY",
+  THRESHOLD: "THRESHOLD"
+}
+
+export const LEDGER_ACCOUNT = {
+  RAZORPAY_CLEARING: "RAZORPAY_CLEARING",           // money held with Razorpay / in the platform bank account
+  CUSTOMER_ADVANCES: "CUSTOMER_ADVANCES",           // paid by customers for orders that are not completed yet
+  VENDOR_PAYABLE: "VENDOR_PAYABLE",                 // owed to a vendor, one sub-ledger per vendorId
+  PLATFORM_FEE_REVENUE: "PLATFORM_FEE_REVENUE",
+  COMMISSION_REVENUE: "COMMISSION_REVENUE",
+  DELIVERY_REVENUE: "DELIVERY_REVENUE",
+  CANCELLATION_FEE_REVENUE: "CANCELLATION_FEE_REVENUE",
+  PENALTY_REVENUE: "PENALTY_REVENUE",
+  REFUNDS_EXPENSE: "REFUNDS_EXPENSE",
+  PROMO_DISCOUNT_EXPENSE: "PROMO_DISCOUNT_EXPENSE",  // platform-funded promo code discounts
+  CUSTOMER_WALLET: "CUSTOMER_WALLET",               // store credit held for customers, one sub-ledger per customerId
+  WALLET_GRANTS_EXPENSE: "WALLET_GRANTS_EXPENSE",   // referral rewards and admin grants paid into wallets
+  WALLET_EXPIRY_REVENUE: "WALLET_EXPIRY_REVENUE"    // wallet credit that expired unused
+}
+
+export const LEDGER_ENTRY_TYPE = {
+  PAYMENT_CAPTURED: "PAYMENT_CAPTURED",
+  ORDER_COMPLETED: "ORDER_COMPLETED",
+  CANCELLATION_FEE: "CANCELLATION_FEE",
+  REFUND_PROCESSED: "REFUND_PROCESSED",
+  VENDOR_DEDUCTION: "VENDOR_DEDUCTION",
+  PAYOUT_PROCESSED: "PAYOUT_PROCESSED",
+  PAYOUT_REVERSED: "PAYOUT_REVERSED",
+  WALLET_CREDITED: "WALLET_CREDITED",
+  WALLET_EXPIRED: "WALLET_EXPIRED"
+}
+
+export const RECONCILIATION_ENTITY = {
+  PAYMENT: "PAYMENT",
+  REFUND: "REFUND",
+  PAYOUT: "PAYOUT"
+}
+
+export const RECONCILIATION_MISMATCH = {
+  MISSING_LOCALLY: "MISSING_LOCALLY",           // Razorpay has it, we don't (and it couldn't be healed)
+  MISSING_AT_RAZORPAY: "MISSING_AT_RAZORPAY",   // we have a Razorpay id that Razorpay didn't list for the day
+  STATUS_MISMATCH: "STATUS_MISMATCH",
+  AMOUNT_MISMATCH: "AMOUNT_MISMATCH"
+}
+
+export const RECONCILIATION_MISMATCH_STATUS = {
+  OPEN: "OPEN",
+  RESOLVED: "RESOLVED",
+  IGNORED: "IGNORED"
+}
+
+export const RECONCILIATION_RUN_STATUS = {
+  RUNNING: "RUNNING",
+  COMPLETED: "COMPLETED",
+  FAILED: "FAILED"
+}
+
+export const INVOICE_TYPE = {
+  CUSTOMER_TAX_INVOICE: "CUSTOMER_TAX_INVOICE",           // to the customer for the vendor service, platform fee and delivery
+  VENDOR_COMMISSION_INVOICE: "VENDOR_COMMISSION_INVOICE"  // to the vendor for the commission kept from their payout
+}
+
+export const PROMO_DISCOUNT_TYPE = {
+  FLAT: "FLAT",
+  PERCENT: "PERCENT"
+}
+
+export const PROMO_FUNDED_BY = {
+  PLATFORM: "PLATFORM",     // booked as PROMO_DISCOUNT_EXPENSE
+  VENDOR: "VENDOR"          // taken off the vendor's payout for the order
+}
+
+export const PROMO_REDEMPTION_STATUS = {
+  RESERVED: "RESERVED",     // held by an unpaid payment attempt until it expires
+  REDEEMED: "REDEEMED",     // the discounted payment was captured
+  RELEASED: "RELEASED",     // the payment attempt was replaced or expired before payment
+  REVERSED: "REVERSED"      // the order was cancelled after payment; the use is given back
+}
+
+export const WALLET_TRANSACTION_TYPE = {
+  CREDIT: "CREDIT",
+  DEBIT: "DEBIT"
+}
+
+export const WALLET_TRANSACTION_SOURCE = {
+  REFUND: "REFUND",                 // credit: an order refund taken as store credit
+  REFERRAL: "REFERRAL",             // credit: referral reward
+  ADMIN_GRANT: "ADMIN_GRANT",       // credit: goodwill credit from an admin
+  ORDER_PAYMENT: "ORDER_PAYMENT",   // debit: spent at checkout
+  EXPIRY: "EXPIRY"                  // debit: the unused part of a credit that expired
+}
+
+export const REFUND_DESTINATION = {
+  ORIGINAL_METHOD: "ORIGINAL_METHOD",   // back to the card/UPI through Razorpay
+  WALLET: "WALLET"                      // instantly, as wallet credit
+}
+
+export const PAYMENT_INSTALMENT = {
+  FULL: "FULL",         // the whole order paid upfront
+  ADVANCE: "ADVANCE",   // the quote's advancePercent, paid to start the work
+  BALANCE: "BALANCE"    // the rest, paid once the vendor marks the item ready
+}
+
+export const KYC_DOCUMENT_TYPE = {
+  AADHAAR: "AADHAAR",
+  BANK_PASSBOOK: "BANK_PASSBOOK",
+  SHOP_DOCUMENT: "SHOP_DOCUMENT"    // optional at onboarding
+}
+
+export const KYC_DOCUMENT_STATUS = {
+  SUBMITTED: "SUBMITTED",                           // waiting for review, including after a resubmission
+  APPROVED: "APPROVED",
+  REJECTED: "REJECTED",                             // with a reason; the vendor can upload a new copy
+  RESUBMISSION_REQUESTED: "RESUBMISSION_REQUESTED"  // e.g. unreadable scan; the vendor should upload a new copy
+}
+
+export const KYC_REVIEW_ACTION = {
+  SUBMITTED: "SUBMITTED",
+  RESUBMITTED: "RESUBMITTED",
+  APPROVED: "APPROVED",
+  REJECTED: "REJECTED",
+  RESUBMISSION_REQUESTED: "RESUBMISSION_REQUESTED",
+  VENDOR_VERIFIED: "VENDOR_VERIFIED",   // vendor-level decisions, no document
+  VENDOR_REJECTED: "VENDOR_REJECTED"
+}
+
+export const BANK_VALIDATION_STATUS = {
+  NOT_VALIDATED: "NOT_VALIDATED",   // no fund account yet, or the last check couldn't be completed
+  PENDING: "PENDING",               // penny drop sent, waiting for the bank
+  VALID: "VALID",                   // payouts allowed
+  INVALID: "INVALID"                // the bank rejected the account; the vendor must update it
+}
+
+export const VENDOR_SEARCH_SORT = {
+  RELEVANCE: "relevance",         // full-text rank + fuzzy similarity; needs q
+  DISTANCE: "distance",           // nearest first; needs lng/lat
+  RATING: "rating",               // all-time rating
+  BAYESIAN: "bayesian",           // current month Bayesian score
+  REVIEW_COUNT: "reviewCount"
+}
+
+export const CATALOG_UNIT = {
+  PER_PIECE: "per piece",
+  PER_PAIR: "per pair",
+  PER_SET: "per set",
+  PER_KG: "per kg",
+  PER_METER: "per meter"
+}
+
+export const VENDOR_TIME_OFF_TYPE = {
+  HOLIDAY: "HOLIDAY",
+  VACATION: "VACATION"
+}
+
+export const VENDOR_UNAVAILABLE_REASON = {
+  TIME_OFF: "TIME_OFF",             // inside a holiday / vacation block
+  AT_CAPACITY: "AT_CAPACITY"        // in-progress orders have reached maxConcurrentOrders
+}
@@ -0,0 +1,176 @@
+import { logger } from "./logger-utils.mjs";
+
+/**
+ * @file delivery-provider-utils.mjs
+ * @description Pluggable logistics provider interface used by `deliveryService`.
+ *
+ * A provider is a plain object implementing:
+ * - `createShipment(shipment)` -> `{ shipmentId, fare, raw }`
+ * - `cancelShipment(shipmentId, reason)` -> `void`
+ *
+ * Failures must be thrown as `DeliveryProviderError` so the outbox worker can tell a retryable
+ * failure (network, timeout, 429, 5xx) from one that will never succeed (validation, auth, unknown shipment).
+ *
+ * The active provider is picked with `DELIVERY_PROVIDER` (default `http`). The bundled `http` provider
+ * talks to `DELIVERY_PROVIDER_BASE_URL`, so it can be pointed at a local mock server.
+ */
+
+/**
+ * @typedef {Object} ShipmentParty
+ * @property {string} name
+ * @property {string} phoneNumber
+ * @property {string} address - Full single-line address.
+ * @property {string} pincode
+ * @property {{ lat: number, lng: number }|null} [coordinates]
+ */
+
+/**
+ * @typedef {Object} ShipmentRequest
+ * @property {string} referenceId - Our DeliveryTracking id; the provider echoes it back on webhooks.
+ * @property {string} orderId
+ * @property {"TO_VENDOR"|"TO_CUSTOMER"} deliveryType
+ * @property {ShipmentParty} pickup
+ * @property {ShipmentParty} drop
+ */
+
+/**
+ * @typedef {Object} DeliveryProvider
+ * @property {string} name
+ * @property {(shipment: ShipmentRequest) => Promise<{ shipmentId: string, fare: number|null, raw: Object }>} createShipment
+ * @property {(shipmentId: string, reason: string) => Promise<void>} cancelShipment
+ */
+
+export class DeliveryProviderError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} options
+     * @param {boolean} options.retryable - Whether retrying the same request later may succeed.
+     * @param {number|null} [options.statusCode=null] - HTTP status returned by the provider, if any.
+     */
+    constructor(message, { retryable, statusCode = null }) {
+        super(message);
+        this.name = "DeliveryProviderError";
+        this.retryable = retryable;
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Whether a failed provider call is worth retrying. Errors that are not `DeliveryProviderError`
+ * (bugs, bad data on our side) are treated as non-retryable.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isRetryableDeliveryError = (error) => {
+    return error instanceof DeliveryProviderError && error.retryable === true;
+};
+
+const RETRYABLE_STATUS_CODES = [408, 425, 429];
+
+/**
+ * Creates the default HTTP provider.
+ *
+ * Endpoints (relative to `baseUrl`):
+ * - `POST /shipments` with the shipment request; responds `{ id, fare }`. `Idempotency-Key` is the reference id.
+ * - `POST /shipments/:id/cancel` with `{ reason }`.
+ *
+ * @param {Object} config
+ * @param {string} config.baseUrl
+ * @param {string} [config.apiKey]
+ * @param {number} [config.timeoutMs=10000]
+ * @returns {DeliveryProvider}
+ */
+export const createHttpDeliveryProvider = ({ baseUrl, apiKey, timeoutMs = 10000 }) => {
+    const request = async (path, body, idempotencyKey) => {
+        if (!baseUrl) throw new DeliveryProviderError("DELIVERY_PROVIDER_BASE_URL is not set", { retryable: false });
+
+        let headers = {
+            "Content-Type": "application/json",
+        };
+        if (apiKey) headers["Authorization"] = `Bearer ${apiKey}`;
+        if (idempotencyKey) headers["Idempotency-Key"] = idempotencyKey;
+
+        let response;
+        try {
+            // Joined by hand: new URL(path, baseUrl) would drop the last segment of a base without a trailing slash
+            response = await fetch(new URL(`${baseUrl.replace(/\/+$/, "")}/${path.replace(/^\/+/, "")}`), {
+                method: "POST",
+                headers: headers,
+                body: JSON.stringify(body),
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+        } catch (err) {
+            // Network failures and timeouts
+            throw new DeliveryProviderError(`Delivery provider unreachable: ${err.message}`, { retryable: true });
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const retryable = response.status >= 500 || RETRYABLE_STATUS_CODES.includes(response.status);
+            throw new DeliveryProviderError(
+                `Delivery provider responded ${response.status}: ${data.message || data.error || response.statusText}`,
+                { retryable, statusCode: response.status }
+            );
+        }
+        return data;
+    };
+
+    return {
+        name: "http",
+
+        createShipment: async (shipment) => {
+            const data = await request("shipments", {
+                reference_id: shipment.referenceId,
+                order_id: shipment.orderId,
+                type: shipment.deliveryType,
+                pickup: shipment.pickup,
+                drop: shipment.drop,
+            }, shipment.referenceId);
+
+            const shipmentId = data.id || data.shipment_id;
+            if (!shipmentId) throw new DeliveryProviderError("Delivery provider did not return a shipment id", { retryable: false });
+
+            const fare = data.fare !== undefined && data.fare !== null ? parseFloat(data.fare) : null;
+            return { shipmentId: String(shipmentId), fare: isNaN(fare) ? null : fare, raw: data };
+        },
+
+        cancelShipment: async (shipmentId, reason) => {
+            await request(`shipments/${encodeURIComponent(shipmentId)}/cancel`, { reason });
+        },
+    };
+};
+
+const providers = {
+    http: () => createHttpDeliveryProvider({
+        baseUrl: process.env.DELIVERY_PROVIDER_BASE_URL,
+        apiKey: process.env.DELIVERY_PROVIDER_API_KEY,
+        timeoutMs: Number(process.env.DELIVERY_PROVIDER_TIMEOUT_MS) || 10000,
+    }),
+};
+
+/**
+ * Registers a provider factory under a name selectable through `DELIVERY_PROVIDER`.
+ * @param {string} name
+ * @param {() => DeliveryProvider} factory
+ */
+export const registerDeliveryProvider = (name, factory) => {
+    providers[name] = factory;
+};
+
+let activeProvider = null;
+
+/**
+ * Returns the configured provider (created once per process).
+ * @returns {DeliveryProvider}
+ */
+export const getDeliveryProvider = () => {
+    if (activeProvider) return activeProvider;
+
+    const name = process.env.DELIVERY_PROVIDER || "http";
+    const factory = providers[name];
+    if (!factory) throw new DeliveryProviderError(`Unknown delivery provider: ${name}`, { retryable: false });
+
+    activeProvider = factory();
+    logger.info(`Using delivery provider: ${activeProvider.name}`);
+    return activeProvider;
+};
@@ -0,0 +1,70 @@
+/**
+ * @file pdf-utils.mjs
+ * @description A minimal PDF writer for plain-text documents such as vendor statements.
+ *
+ * Text is set in Courier so callers can lay out tables with padded columns. Only printable ASCII is
+ * supported; anything else is replaced with `?`.
+ */
+
+const PAGE_WIDTH = 595;     // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+
+const escapePdfText = (text) => String(text)
+    .replace(/[^\x20-\x7E]/g, "?")
+    .replace(/\\/g, "\\\\")
+    .replace(/\(/g, "\\(")
+    .replace(/\)/g, "\\)");
+
+/**
+ * Builds an A4 PDF from lines of text, starting a new page whenever one fills up.
+ *
+ * @param {string[]} lines - The lines to print; an empty string leaves a blank line.
+ * @param {Object} [options]
+ * @param {string} [options.title] - Stored as the document title.
+ * @param {number} [options.fontSize=8] - Courier at 8pt fits about 110 characters per line.
+ * @returns {Buffer} The PDF file.
+ */
+export const buildTextPdf = (lines, { title = "", fontSize = 8 } = {}) => {
+    const lineHeight = Math.round(fontSize * 1.4);
+    const linesPerPage = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / lineHeight);
+
+    const pages = [];
+    for (let i = 0; i < Math.max(lines.length, 1); i += linesPerPage) {
+        pages.push(lines.slice(i, i + linesPerPage));
+    }
+
+    // 1: catalog, 2: page tree, 3: font, 4: info, then a page and its content stream per page
+    const objects = [];
+    const pageIds = pages.map((_, index) => 5 + index * 2);
+
+    objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`;
+    objects[3] = "<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>";
+    objects[4] = `<< /Title (${escapePdfText(title)}) /Producer (backend) >>`;
+
+    pages.forEach((pageLines, index) => {
+        const pageId = pageIds[index];
+        const text = pageLines.map((line) => `(${escapePdfText(line)}) Tj T*`).join("\n");
+        const stream = `BT\n/F1 ${fontSize} Tf\n${lineHeight} TL\n${MARGIN} ${PAGE_HEIGHT - MARGIN - fontSize} Td\n${text}\nET`;
+
+        objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+        objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, "latin1")} >>\nstream\n${stream}\nendstream`;
+    });
+
+    let pdf = "%PDF-1.4\n";
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = Buffer.byteLength(pdf, "latin1");
+        pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = Buffer.byteLength(pdf, "latin1");
+    pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+        pdf += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+    }
+    pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(pdf, "latin1");
+};
@@ -1,4 +1,4 @@
-import { DEFAULT_PLATFORM_FEE_PERCENT, DEFAULT_VENDOR_FEE_PERCENT } from "../config/constants.mjs";
+import { DEFAULT_PLATFORM_FEE_PERCENT, DEFAULT_VENDOR_FEE_PERCENT, DEFAULT_CANCELLATION_FEE_SCHEDULE, DEFAULT_VENDOR_CANCELLATION_PENALTY_PERCENT, DEFAULT_DELIVERY_CHARGE_SLABS, DEFAULT_DELIVERY_SURGE_RULES } from "../config/constants.mjs";
 import { Settings } from "../entities/Settings.mjs";
 import { AppDataSource } from "../config/data-source.mjs";
 import { cacheOrFetch } from "../utils/cache.mjs";
@@ -52,5 +52,160 @@ export const calculateOrderAmount = async (amount) => {
     return amount + platformFee;
 }
 
+export const getJsonSetting = async (key, defaultValue) => {
+    const value = await cacheOrFetch(key, async () => {
+        const settings = await AppDataSource.getRepository(Settings).findOne({
+            where: { key }
+        });
+
+        if (settings && settings.value) {
+            return JSON.parse(settings.value);
+        }
+
+        return null;
+    }, 60 * 60 * 24);
+
+    if (value && typeof value === "object") {
+        return value;
+    }
+    return defaultValue;
+}
+
+const getCancellationFeeSchedule = async () => {
+    return getJsonSetting("cancellation_fee_schedule", DEFAULT_CANCELLATION_FEE_SCHEDULE);
+}
+
+/**
+ * Calculates the refund for a customer cancellation at the given order stage.
+ *
+ * @param {number} amount - The amount paid by the customer.
+ * @param {string} stage - The latest order stage (ORDER_STATUS value) from the timeline.
+ * @returns {Promise<{feePercent: number, cancellationFee: number, refundAmount: number}|null>} null if the stage is not cancellable.
+ */
+export const calculateCancellationRefund = async (amount, stage) => {
+    amount = parseFloat(amount);
+    const schedule = await getCancellationFeeSchedule();
+    const feePercent = parseFloat(schedule[stage]);
+
+    if (isNaN(feePercent)) return null;
+
+    const cancellationFee = Math.round(amount * feePercent) / 100;
+    return {
+        feePercent,
+        cancellationFee,
+        refundAmount: Math.round((amount - cancellationFee) * 100) / 100
+    };
+}
+
+/**
+ * Calculates the penalty recorded against a vendor who withdraws from a paid order.
+ *
+ * @param {number} quotedPrice - The price quoted by the vendor.
+ * @returns {Promise<number>} The penalty amount.
+ */
+export const calculateVendorCancellationPenalty = async (quotedPrice) => {
+    quotedPrice = parseFloat(quotedPrice);
+    const penaltyPercent = await getFeePercent("vendor_cancellation_penalty_percent", DEFAULT_VENDOR_CANCELLATION_PENALTY_PERCENT);
+    return Math.round(quotedPrice * penaltyPercent) / 100;
+}
+
+/**
+ * Splits an amount into the advance and the balance of a split payment. Used for what the customer pays
+ * (finalPrice less any discount) and, with the same percent, for the vendor's payouts.
+ *
+ * @param {number} amount - The whole amount.
+ * @param {number|null} advancePercent - The share paid upfront; null or 100 is paid in full.
+ * @returns {{advanceAmount: number, balanceAmount: number}}
+ */
+export const calculateAdvanceSplit = (amount, advancePercent) => {
+    const total = Math.round(parseFloat(amount) * 100);
+    const advance = advancePercent && advancePercent < 100 ? Math.round(total * advancePercent / 100) : total;
+    return {
+        advanceAmount: advance / 100,
+        balanceAmount: (total - advance) / 100
+    };
+}
+
+/**
+ * Straight-line distance in km from the vendor's location to the centre of the customer's pincode,
+ * or null if either point is unknown.
+ */
+const getVendorToPincodeDistanceKm = async (vendorId, pincode) => {
+    const [row] = await AppDataSource.query(
+        `SELECT ST_Distance(vendors.location, pincode_locations.location) / 1000 AS "distanceKm"
+         FROM vendors
+         JOIN pincode_locations ON pincode_locations.pincode = $2
+         WHERE vendors.id = $1 AND vendors.location IS NOT NULL`,
+        [vendorId, pincode]
+    );
+    return row ? parseFloat(row.distanceKm) : null;
+}
+
+const getSlabCharge = ({ slabs, perKmBeyond }, distanceKm) => {
+    const sortedSlabs = [...slabs].sort((a, b) => a.uptoKm - b.uptoKm);
+    const slab = sortedSlabs.find((s) => distanceKm <= s.uptoKm);
+    if (slab) return slab.charge;
+
+    const lastSlab = sortedSlabs[sortedSlabs.length - 1];
+    return lastSlab.charge + Math.ceil(distanceKm - lastSlab.uptoKm) * (perKmBeyond || 0);
+}
 
+const getSurge = (rules, at) => {
+    // Surge windows are configured in IST (UTC+05:30)
+    const ist = new Date(at.getTime() + 330 * 60 * 1000);
+    const hour = ist.getUTCHours();
+    const day = ist.getUTCDay();
 
+    let surge = { multiplier: 1, rule: null };
+    for (const rule of rules) {
+        if (Array.isArray(rule.days) && !rule.days.includes(day)) continue;
+        const inWindow = rule.startHour <= rule.endHour
+            ? hour >= rule.startHour && hour < rule.endHour
+            : hour >= rule.startHour || hour < rule.endHour;     // window crossing midnight, e.g. 22 -> 6
+        if (inWindow && rule.multiplier > surge.multiplier) {
+            surge = { multiplier: rule.multiplier, rule: rule.name || null };
+        }
+    }
+    return surge;
+}
+
+/**
+ * Calculates the delivery charge for a quote from the distance between the vendor and the customer's pincode.
+ *
+ * Every order has the finished item delivered to the customer; when the customer provides the cloth it also has
+ * to be picked up and taken to the vendor, so the charge covers two legs. Each leg is priced by the distance slabs
+ * in the `delivery_charge_slabs` setting and the total is scaled by the matching `delivery_surge_rules` multiplier.
+ *
+ * @param {Object} params
+ * @param {string} params.vendorId - The UUID of the quoting vendor.
+ * @param {string} params.pincode - The delivery pincode on the order.
+ * @param {boolean} params.roundTrip - Whether the cloth is picked up from the customer (clothProvided).
+ * @param {Date} [params.at=new Date()] - When the charge is calculated, used for surge rules.
+ * @returns {Promise<{deliveryCharge: number, breakdown: Object}>} The charge and the breakdown stored on the quote.
+ */
+export const calculateDeliveryCharge = async ({ vendorId, pincode, roundTrip, at = new Date() }) => {
+    const slabConfig = await getJsonSetting("delivery_charge_slabs", DEFAULT_DELIVERY_CHARGE_SLABS);
+    const surgeRules = await getJsonSetting("delivery_surge_rules", DEFAULT_DELIVERY_SURGE_RULES);
+
+    let distanceKm = await getVendorToPincodeDistanceKm(vendorId, pincode);
+    const distanceSource = distanceKm === null ? "DEFAULT" : "PINCODE";
+    if (distanceKm === null) distanceKm = slabConfig.defaultDistanceKm ?? DEFAULT_DELIVERY_CHARGE_SLABS.defaultDistanceKm;
+
+    const legs = roundTrip ? 2 : 1;
+    const chargePerLeg = getSlabCharge(slabConfig, distanceKm);
+    const surge = getSurge(Array.isArray(surgeRules) ? surgeRules : [], at);
+    const deliveryCharge = Math.round(chargePerLeg * legs * surge.multiplier * 100) / 100;
+
+    return {
+        deliveryCharge,
+        breakdown: {
+            distanceKm: Math.round(distanceKm * 100) / 100,
+            distanceSource,
+            legs,
+            chargePerLeg,
+            surgeMultiplier: surge.multiplier,
+            surgeRule: surge.rule,
+            total: deliveryCharge
+        }
+    };
+}
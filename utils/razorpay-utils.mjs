@@ -1,4 +1,5 @@
 import Razorpay from "razorpay";
+import { IsNull } from "typeorm";
 import { logger } from "../utils/logger-utils.mjs";
 import { AppDataSource } from "../config/data-source.mjs";
 import { Refunds } from "../entities/Refunds.mjs";
@@ -6,6 +7,9 @@ import { promisify } from "util";
 
 const refundRepo = AppDataSource.getRepository(Refunds);
 
+// Overridable so a local stub can stand in for the REST API (the Razorpay SDK calls are not affected)
+const RAZORPAY_API_BASE_URL = process.env.RAZORPAY_API_BASE_URL || "https://api.razorpay.com/v1";
+
 /**
  * Refunds a payment from Razorpay.
  * 
@@ -13,41 +17,69 @@ const refundRepo = AppDataSource.getRepository(Refunds);
  * @param {string} reason - The reason for the refund.
  * @param {string} speed - The speed of the refund (default: normal).
  * @param {number} amount - The amount to refund (default: null).
- * @returns {Promise<void>}
+ * @param {string} [idempotencyKey] - Sent in the refund's notes. When a refund of the payment already carries it,
+ * that refund is returned instead of raising another, so a retried request can't refund twice. The key also keeps
+ * one Refunds row per refund: a failed attempt's row is updated by the next attempt rather than added to.
+ * @returns {Promise<object>} The Razorpay refund.
  */
-export const refundRazorpayPayment = async (paymentId, reason, speed = "normal", amount = null) => {
+export const refundRazorpayPayment = async (paymentId, reason, speed = "normal", amount = null, idempotencyKey = null) => {
     try {
         const razorpay = new Razorpay({
             key_id: process.env.RAZORPAY_KEY_ID,
             key_secret: process.env.RAZORPAY_KEY_SECRET
         });
 
+        const previous = idempotencyKey
+            ? (await listPaymentRefunds(paymentId)).find(refund => refund.notes?.idempotencyKey === idempotencyKey)
+            : null;
+
         const refundFn = promisify(razorpay.payments.refund.bind(razorpay.payments));
-        const refund = await refundFn(paymentId, {
+        const refund = previous || await refundFn(paymentId, {
             speed: speed,
-            amount: amount ? amount * 100 : undefined,
-            notes: { reason: reason }
+            amount: amount ? Math.round(amount * 100) : undefined,
+            notes: idempotencyKey ? { reason: reason, idempotencyKey: idempotencyKey } : { reason: reason }
         });
 
-        await refundRepo.save({
-            paymentId: paymentId,
-            amount: refund.amount,
-            status: refund.status,
-            speedRequested: refund.speed_requested,
-            speedProcessed: refund.speed_processed,
-            notes: reason
-        });
+        // A failed earlier attempt left a row without a refund id; this attempt's row replaces it
+        if (idempotencyKey) {
+            await refundRepo.delete({ idempotencyKey: idempotencyKey, razorpayRefundId: IsNull() });
+        }
+
+        // Always recorded as pending, even when Razorpay processed it synchronously: the refund webhook (or the
+        // reconciliation job) makes the move to processed, which also posts the ledger entry and closes out the order.
+        // The webhook may have recorded this refund already; its status is newer than ours
+        await refundRepo.createQueryBuilder()
+            .insert()
+            .into(Refunds)
+            .values({
+                paymentId: paymentId,
+                razorpayRefundId: refund.id,
+                idempotencyKey: idempotencyKey,
+                amount: refund.amount,
+                status: "pending",
+                speedRequested: refund.speed_requested,
+                speedProcessed: refund.speed_processed,
+                notes: reason
+            })
+            .orIgnore()
+            .execute();
         logger.info(`Refunded payment ${paymentId} for reason ${reason}`);
         return refund;
     } catch(err) {
         logger.error(`Error refunding payment ${paymentId} for reason ${reason}`);
         try{
-            await refundRepo.save({
+            const failedRefund = {
                 paymentId: paymentId,
+                idempotencyKey: idempotencyKey,
                 status: "failed",
                 notes: reason,
                 comment: err
-            });
+            };
+            if (idempotencyKey) {
+                await refundRepo.upsert(failedRefund, ["idempotencyKey"]);
+            } else {
+                await refundRepo.save(failedRefund);
+            }
         } catch(err2) {
             logger.error("Error in refundRazorpayPayment service:", err2);
         }
@@ -67,7 +99,7 @@ export const refundRazorpayPayment = async (paymentId, reason, speed = "normal",
  */
 export const createRazorpayContact = async (name, email, phoneNumber, type, referenceId) => {
     try {
-        const url = new URL("https://api.razorpay.com/v1/contacts");
+        const url = new URL(`${RAZORPAY_API_BASE_URL}/contacts`);
 
         const authString = Buffer.from(`${process.env.RAZORPAY_KEY_ID}:${process.env.RAZORPAY_KEY_SECRET}`).toString('base64');
 
@@ -111,7 +143,7 @@ export const createRazorpayContact = async (name, email, phoneNumber, type, refe
  */
 export const createFundAccount = async (contactId, accountType, name, ifsc, accountNumber) => {
     try {
-        const url = new URL("https://api.razorpay.com/v1/fund_accounts");
+        const url = new URL(`${RAZORPAY_API_BASE_URL}/fund_accounts`);
 
         const authString = Buffer.from(`${process.env.RAZORPAY_KEY_ID}:${process.env.RAZORPAY_KEY_SECRET}`).toString('base64');
 
@@ -144,6 +176,91 @@ export const createFundAccount = async (contactId, accountType, name, ifsc, acco
     }
 }
 
+/**
+ * Test double for fund account validation, used when `RAZORPAY_VALIDATION_MODE=mock` so local and test
+ * environments don't spend a real penny drop. It completes straight away: account numbers ending in 0000
+ * come back invalid, any other number is active and registered to the given name.
+ */
+const mockFundAccountValidation = ({ fundAccountId, accountNumber, name, referenceId }) => {
+    const isActive = !String(accountNumber).endsWith("0000");
+    return {
+        id: `fav_mock_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+        entity: "fund_account.validation",
+        fund_account: { id: fundAccountId },
+        status: "completed",
+        amount: 100,
+        currency: "INR",
+        notes: { reference_id: referenceId },
+        results: {
+            account_status: isActive ? "active" : "invalid",
+            registered_name: isActive ? name : null
+        },
+        created_at: Math.floor(Date.now() / 1000),
+        utr: null
+    };
+}
+
+/**
+ * Starts a penny-drop validation of a bank fund account (₹1 credited from the RazorpayX account).
+ * The result usually arrives later through the `fund_account.validation.*` webhooks.
+ *
+ * @param {Object} params
+ * @param {string} params.fundAccountId - The fund account to validate.
+ * @param {string} params.accountNumber - Only used by the mock.
+ * @param {string} params.name - Only used by the mock.
+ * @param {string} params.referenceId - Echoed back in the notes (the vendor id).
+ * @returns {Promise<object>} The validation entity, or Razorpay's `{ error }` response.
+ */
+export const createFundAccountValidation = async ({ fundAccountId, accountNumber, name, referenceId }) => {
+    if (process.env.RAZORPAY_VALIDATION_MODE === "mock") {
+        return mockFundAccountValidation({ fundAccountId, accountNumber, name, referenceId });
+    }
+
+    try {
+        const authString = Buffer.from(`${process.env.RAZORPAY_KEY_ID}:${process.env.RAZORPAY_KEY_SECRET}`).toString('base64');
+        const response = await fetch(new URL(`${RAZORPAY_API_BASE_URL}/fund_accounts/validations`), {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                "Authorization": `Basic ${authString}`
+            },
+            body: JSON.stringify({
+                account_number: process.env.RAZORPAYX_ACCOUNT_NUMBER,
+                fund_account: { id: fundAccountId },
+                amount: 100,
+                currency: "INR",
+                notes: { reference_id: referenceId }
+            })
+        });
+        return await response.json();
+    } catch (err) {
+        logger.error("Error in createFundAccountValidation service:", err);
+        throw err;
+    }
+}
+
+/**
+ * Fetches a fund account validation, for when its webhook was missed.
+ *
+ * @param {string} validationId
+ * @returns {Promise<object|null>} The validation entity, or null if Razorpay doesn't know the id (or it came from the mock).
+ * @throws {Error} For any other error response.
+ */
+export const fetchFundAccountValidation = async (validationId) => {
+    if (validationId.startsWith("fav_mock_")) return null;
+
+    const authString = Buffer.from(`${process.env.RAZORPAY_KEY_ID}:${process.env.RAZORPAY_KEY_SECRET}`).toString('base64');
+    const response = await fetch(new URL(`${RAZORPAY_API_BASE_URL}/fund_accounts/validations/${encodeURIComponent(validationId)}`), {
+        headers: { "Authorization": `Basic ${authString}` }
+    });
+    const data = await response.json();
+    if (response.status === 400 || response.status === 404) return null;
+    if (!response.ok || data.error) {
+        throw new Error(`Fetching fund account validation ${validationId} failed: ${data.error?.description || response.status}`);
+    }
+    return data;
+}
+
 export const createPayout = async (
     idempotencyKey, 
     fundAccountId, 
@@ -158,7 +275,7 @@ export const createPayout = async (
 ) => {
     
     try {
-        const url = new URL("https://api.razorpay.com/v1/payouts");
+        const url = new URL(`${RAZORPAY_API_BASE_URL}/payouts`);
 
         const authString = Buffer.from(`${process.env.RAZORPAY_KEY_ID}:${process.env.RAZORPAY_KEY_SECRET}`).toString('base64');
  
@@ -173,7 +290,7 @@ export const createPayout = async (
         let body = {
             account_number: accountNumber,
             fund_account_id: fundAccountId,
-            amount: amount*100,
+            amount: Math.round(amount * 100),
             currency: currency,
             mode: mode,
             purpose: purpose,
@@ -198,3 +315,80 @@ export const createPayout = async (
     }
 }
 
+/**
+ * Lists every Razorpay payment, refund or payout created in a time window, following the API's pagination.
+ *
+ * @param {"payments"|"refunds"|"payouts"} resource - The collection to list.
+ * @param {Date} from - Start of the window (inclusive).
+ * @param {Date} to - End of the window (inclusive).
+ * @returns {Promise<object[]>} The entities, oldest pages first.
+ * @throws {Error} If Razorpay returns an error response.
+ */
+export const listRazorpayEntities = async (resource, from, to) => {
+    const authString = Buffer.from(`${process.env.RAZORPAY_KEY_ID}:${process.env.RAZORPAY_KEY_SECRET}`).toString('base64');
+    const count = 100;
+    const items = [];
+
+    for (let skip = 0; ; skip += count) {
+        const url = new URL(`${RAZORPAY_API_BASE_URL}/${resource}`);
+        url.searchParams.set("from", String(Math.floor(from.getTime() / 1000)));
+        url.searchParams.set("to", String(Math.floor(to.getTime() / 1000)));
+        url.searchParams.set("count", String(count));
+        url.searchParams.set("skip", String(skip));
+        if (resource === "payouts") {
+            url.searchParams.set("account_number", process.env.RAZORPAYX_ACCOUNT_NUMBER);
+        }
+
+        const response = await fetch(url, { headers: { "Authorization": `Basic ${authString}` } });
+        const data = await response.json();
+        if (!response.ok || data.error) {
+            throw new Error(`Listing Razorpay ${resource} failed: ${data.error?.description || response.status}`);
+        }
+
+        items.push(...(data.items || []));
+        if (!data.items || data.items.length < count) break;
+    }
+
+    return items;
+}
+
+/**
+ * Lists the refunds raised against a Razorpay payment.
+ *
+ * @param {string} paymentId
+ * @returns {Promise<object[]>} The refunds, newest first.
+ * @throws {Error} If Razorpay returns an error response.
+ */
+export const listPaymentRefunds = async (paymentId) => {
+    const authString = Buffer.from(`${process.env.RAZORPAY_KEY_ID}:${process.env.RAZORPAY_KEY_SECRET}`).toString('base64');
+    const url = new URL(`${RAZORPAY_API_BASE_URL}/payments/${encodeURIComponent(paymentId)}/refunds`);
+    url.searchParams.set("count", "100");
+
+    const response = await fetch(url, { headers: { "Authorization": `Basic ${authString}` } });
+    const data = await response.json();
+    if (!response.ok || data.error) {
+        throw new Error(`Listing refunds of payment ${paymentId} failed: ${data.error?.description || response.status}`);
+    }
+    return data.items || [];
+}
+
+/**
+ * Fetches a single Razorpay payment, refund or payout by id.
+ *
+ * @param {"payments"|"refunds"|"payouts"} resource
+ * @param {string} id
+ * @returns {Promise<object|null>} The entity, or null if Razorpay doesn't know the id.
+ * @throws {Error} For any other error response.
+ */
+export const fetchRazorpayEntity = async (resource, id) => {
+    const authString = Buffer.from(`${process.env.RAZORPAY_KEY_ID}:${process.env.RAZORPAY_KEY_SECRET}`).toString('base64');
+    const response = await fetch(new URL(`${RAZORPAY_API_BASE_URL}/${resource}/${encodeURIComponent(id)}`), {
+        headers: { "Authorization": `Basic ${authString}` }
+    });
+    const data = await response.json();
+    if (response.status === 400 || response.status === 404) return null;
+    if (!response.ok || data.error) {
+        throw new Error(`Fetching Razorpay ${resource} ${id} failed: ${data.error?.description || response.status}`);
+    }
+    return data;
+}
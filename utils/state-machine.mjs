@@ -0,0 +1,591 @@
+import { In, Not } from "typeorm";
+
+import { sendError } from "./core-utils.mjs";
+import { Orders } from "../entities/Orders.mjs";
+import { OrderVendors } from "../entities/OrderVendors.mjs";
+import { OrderQuotes } from "../entities/OrderQuote.mjs";
+import { OrderStatusTimeline } from "../entities/orderStatusTimeline.mjs";
+import { DeliveryTracking } from "../entities/DeliveryTracking.mjs";
+import { Outbox } from "../entities/Outbox.mjs";
+import { Vendors } from "../entities/Vendors.mjs";
+import { VendorStats } from "../entities/VendorStats.mjs";
+import { Payouts } from "../entities/Payouts.mjs";
+import { postOrderCompleted } from "../services/ledgerService.mjs";
+import { issueCommissionInvoice } from "../services/invoiceService.mjs";
+import { getOrderPromoRedemption } from "../services/promoService.mjs";
+import { raiseVendorPayout } from "../services/payoutService.mjs";
+import { calculateAdvanceSplit } from "./pricing_utils.mjs";
+import { ORDER_STATUS, ORDER_VENDOR_STATUS, DELIVERY_STATUS, ROLE, MISC, OUTBOX_STATUS, PROMO_FUNDED_BY, PAYMENT_INSTALMENT } from "../types/enums/index.mjs";
+
+/**
+ * @file state-machine.mjs
+ * @description Declarative transition tables for `Orders.orderStage` (ORDER_STATUS), `OrderVendors.status`
+ * (ORDER_VENDOR_STATUS) and `DeliveryTracking.status` (DELIVERY_STATUS).
+ *
+ * Each table maps `from -> to -> edge`, where an edge declares:
+ * - `roles`  - the actor roles (ROLE) allowed to take the transition.
+ * - `guards` - optional `{ check(ctx), message }` pairs; the transition is rejected with a 400 if any check returns false.
+ * - `hooks`  - optional side effects `async (ctx)` run inside the caller's transaction after the status is written.
+ *
+ * Services never write these status columns directly; they call `transitionOrder`, `transitionOrderVendor(s)`
+ * or `transitionDelivery` with their active query runner, so illegal transitions are rejected the same way
+ * everywhere and every order transition leaves an `OrderStatusTimeline` entry.
+ */
+
+//=================== TIMELINE ====================
+
+/**
+ * @description A crucial helper to create an audit trail entry in the OrderStatusTimeline table.
+ * It records the transition of an order from one state to another, who changed it, and when.
+ * THIS MUST ALWAYS BE CALLED WITHIN AN ACTIVE DATABASE TRANSACTION to ensure data consistency.
+ * @param {import('typeorm').QueryRunner} queryRunner - The active TypeORM query runner.
+ * @param {string} orderId - The UUID of the order being updated.
+ * @param {string|null} previousStatus - The status the order is transitioning from (null for creation).
+ * @param {string} newStatus - The new status of the order.
+ * @param {string} changedById - The UUID of the user or system responsible for the change.
+ * @param {string} changedByRole - The role of the entity making the change (e.g., 'CUSTOMER', 'SYSTEM').
+ * @param {string|null} [notes=null] - Optional notes providing context for the status change.
+ * @returns {Promise<void>}
+ */
+export const createTimelineEntry = async (queryRunner, orderId, previousStatus, newStatus, changedById, changedByRole, notes = null) => {
+    const timelineEntry = queryRunner.manager.create(OrderStatusTimeline, {
+        orderId,
+        previousStatus,
+        newStatus,
+        changedBy: changedById,
+        changedByRole,
+        notes,
+        changedAt: new Date()
+    });
+    await queryRunner.manager.save(OrderStatusTimeline, timelineEntry);
+};
+
+//=================== HOOKS ====================
+
+/**
+ * Whether a split-payment order still has its balance to pay.
+ */
+export const isBalanceDue = (order) => parseFloat(order.balanceAmount || 0) > 0 && !order.balancePaymentId;
+
+const newStatusUpdateTimeStamp = () => ({
+    initiated_at: new Date(),
+    pickup_assigned_at: null,
+    pickup_in_transit_at: null,
+    pickup_completed_at: null,
+    delivery_in_transit_at: null,
+    delivery_completed_at: null,
+    delivery_failed_at: null,
+    delivery_cancelled_at: null,
+});
+
+/**
+ * Creates the customer -> vendor DeliveryTracking row and its outbox event for clothProvided orders.
+ */
+const schedulePickupFromCustomer = async ({ queryRunner, order }) => {
+    // GENERATE DELIVERY TRACKING ID
+    // IF THE DELIVERY SERVICE NEED TO AVOID CHARACTERS, THEN ADD AN RANDOM/SEQUENTIAL NUMBER BY SETTING THE FIELD AS UNIQUE
+    const deliveryTracking = await queryRunner.manager.save(DeliveryTracking, {
+        orderId: order.id,
+        deliveryType: "TO_VENDOR",
+        from: "CUSTOMER",
+        to: "VENDOR",
+        status: DELIVERY_STATUS.PENDING,
+        statusUpdateTimeStamp: newStatusUpdateTimeStamp(),
+    });
+
+    // INITIATE CLOTH PICKUP FROM CUSTOMER, use OUTBOX pattern as this runs inside a transaction
+    await queryRunner.manager.save(Outbox, {
+        eventType: "SEND_ITEM_PICKUP",
+        payload: {
+            deliveryTrackingId: deliveryTracking.id,
+            orderId: order.id
+        },
+        status: OUTBOX_STATUS.PENDING,
+        createdAt: new Date()
+    });
+};
+
+/**
+ * Creates the vendor -> customer DeliveryTracking row and its outbox event once the vendor has finished the work.
+ * A split-payment order waits for its balance: the balance capture calls this again once it is paid.
+ */
+export const scheduleReturnDelivery = async ({ queryRunner, order }) => {
+    if (isBalanceDue(order)) return;
+
+    const vendor = await queryRunner.manager.findOne(Vendors, { where: { id: order.selectedVendorId }, select: { id: true, addressLine1: true } });
+    if (!vendor) throw sendError("Vendor not found", 404);
+
+    // The customer's address is the one given on the order
+    const destination = await queryRunner.manager.findOne(Orders, {
+        where: { id: order.id },
+        select: { id: true, addressLine1: true, addressLine2: true, street: true, landmark: true, city: true, district: true, state: true, pincode: true }
+    });
+    const { addressLine1, addressLine2, street, landmark, city, district, state, pincode } = destination;
+
+    const deliveryTracking = await queryRunner.manager.save(DeliveryTracking, {
+        orderId: order.id, deliveryType: "TO_CUSTOMER", from: "VENDOR", to: "CUSTOMER", status: DELIVERY_STATUS.PENDING,
+        statusUpdateTimeStamp: newStatusUpdateTimeStamp(),
+    });
+
+    // OUTBOX PATTERN: the external API call to the delivery service must not block or fail this transaction.
+    await queryRunner.manager.save(Outbox, {
+        eventType: "SEND_ITEM_DELIVERY",
+        payload: {
+            deliveryTrackingId: deliveryTracking.id, //deliveryTrackingId or order_id depends on delivery service
+            orderId: order.id,
+            vendorId: vendor.id,
+            customerId: order.customerId,
+            pickupAddress: vendor.addressLine1,
+            deliveryAddress: [addressLine1, addressLine2, street, landmark, city, district, state, pincode].filter(Boolean).join(", "),
+        },
+        status: OUTBOX_STATUS.PENDING,
+        createdAt: new Date()
+    });
+};
+
+/**
+ * Cancels deliveries whose pickup hasn't happened yet, along with their unsent outbox events, so a
+ * cancelled or withdrawn order doesn't trigger a pickup/drop. Shipments already booked with the
+ * provider are cancelled through a CANCEL_SHIPMENT outbox event.
+ */
+const cancelPendingLogistics = async ({ queryRunner, order }) => {
+    await queryRunner.manager.createQueryBuilder()
+        .update(Outbox)
+        .set({ status: OUTBOX_STATUS.CANCELLED, statusUpdatedAt: new Date() })
+        .where("status = :status", { status: OUTBOX_STATUS.PENDING })
+        .andWhere("payload ->> 'orderId' = :orderId", { orderId: order.id })
+        .execute();
+
+    const openDeliveries = await queryRunner.manager.find(DeliveryTracking, {
+        where: { orderId: order.id, status: In([DELIVERY_STATUS.PENDING, DELIVERY_STATUS.PICKUP_ASSIGNED, DELIVERY_STATUS.PICKUP_IN_TRANSIT]) }
+    });
+    for (const delivery of openDeliveries) {
+        await transitionDelivery(queryRunner, { deliveryTracking: delivery, to: DELIVERY_STATUS.CANCELLED, actorRole: ROLE.SYSTEM });
+
+        if (delivery.providerShipmentId) {
+            await queryRunner.manager.save(Outbox, {
+                eventType: "CANCEL_SHIPMENT",
+                payload: {
+                    deliveryTrackingId: delivery.id,
+                    providerShipmentId: delivery.providerShipmentId,
+                    reason: "Order cancelled"
+                },
+                status: OUTBOX_STATUS.PENDING,
+                createdAt: new Date()
+            });
+        }
+    }
+};
+
+/**
+ * Closes out an order once it reaches the customer: completes the vendor's request, moves the vendor
+ * stats, posts the order's revenue split to the ledger and raises the payout for admin approval.
+ * A vendor-funded promo discount is taken off the vendor's earnings and payout. For a split-payment order
+ * the payout is what is left after the advance share raised when the advance was captured.
+ */
+const completeOrder = async ({ queryRunner, order }) => {
+    await transitionOrderVendor(queryRunner, {
+        where: { orderId: order.id, vendorId: order.selectedVendorId },
+        to: ORDER_VENDOR_STATUS.COMPLETED,
+        actorRole: ROLE.SYSTEM
+    });
+
+    const orderQuote = await queryRunner.manager.findOne(OrderQuotes, {
+        where: { id: order.finalQuoteId },
+        select: { id: true, quotedPrice: true, vendorPayoutAfterCommission: true, priceAfterPlatformFee: true, finalPrice: true }
+    });
+    if (!orderQuote) throw sendError("Order quote not found", 404);
+
+    const redemption = await getOrderPromoRedemption(queryRunner.manager, order.id);
+    const discount = redemption && { amount: parseFloat(redemption.discountAmount), fundedBy: redemption.fundedBy };
+    const vendorFundedDiscount = discount?.fundedBy === PROMO_FUNDED_BY.VENDOR ? discount.amount : 0;
+    const vendorEarning = Math.round((orderQuote.vendorPayoutAfterCommission - vendorFundedDiscount) * 100) / 100;
+
+    await postOrderCompleted(queryRunner.manager, { order, quote: orderQuote, discount });
+    await issueCommissionInvoice(queryRunner.manager, { order, quote: orderQuote });
+
+    await queryRunner.manager.update(VendorStats, { vendorId: order.selectedVendorId }, {
+        totalCompletedOrders: () => "\"totalCompletedOrders\" + 1",
+        totalInProgressOrders: () => "GREATEST(\"totalInProgressOrders\" - 1, 0)",
+        totalEarnings: () => `"totalEarnings" + ${vendorEarning}`
+    });
+
+    // A split-payment order already raised the vendor's share of the advance; this pays the rest
+    const advancePayout = await queryRunner.manager.findOne(Payouts, {
+        where: { orderId: order.id, vendorId: order.selectedVendorId, instalment: PAYMENT_INSTALMENT.ADVANCE, status: Not("cancelled") },
+        select: { id: true }
+    });
+    const { balanceAmount } = calculateAdvanceSplit(vendorEarning, order.advancePercent);
+    await raiseVendorPayout(queryRunner.manager, {
+        orderId: order.id,
+        vendorId: order.selectedVendorId,
+        amount: advancePayout ? balanceAmount : vendorEarning,
+        instalment: advancePayout ? PAYMENT_INSTALMENT.BALANCE : PAYMENT_INSTALMENT.FULL
+    });
+};
+
+/**
+ * Delivery to the customer is the last physical step, so the order is completed right after it.
+ */
+const completeAfterDelivery = async ({ queryRunner, order }) => {
+    await transitionOrder(queryRunner, {
+        orderId: order.id,
+        to: ORDER_STATUS.COMPLETED,
+        actorId: MISC.LOGISTICS,
+        actorRole: ROLE.SYSTEM,
+        notes: "Order completed after delivery to customer"
+    });
+};
+
+//=================== ORDER TRANSITIONS ====================
+
+const isClothProvided = { check: ({ order }) => order.clothProvided, message: "This order does not involve item pickup from the customer" };
+const isNotClothProvided = { check: ({ order }) => !order.clothProvided, message: "The customer's items are already with the vendor" };
+const isPaid = { check: ({ order }) => order.isPaid, message: "Order has not been paid" };
+const isFullyPaid = { check: ({ order }) => !isBalanceDue(order), message: "The balance for this order has not been paid" };
+
+const CUSTOMER_CANCELLATION = { roles: [ROLE.CUSTOMER, ROLE.ADMIN], hooks: [cancelPendingLogistics] };
+const VENDOR_WITHDRAWAL = { roles: [ROLE.VENDOR, ROLE.ADMIN], hooks: [cancelPendingLogistics] };
+
+/**
+ * Allowed stage transitions for an order. Stages map onto the coarse `Orders.orderStatus`
+ * through `ORDER_STATUS_FOR_STAGE`.
+ */
+export const ORDER_TRANSITIONS = {
+    [ORDER_STATUS.PENDING]: {
+        // Payment captured (system) or, after a vendor withdrew, the customer moving to another quote
+        [ORDER_STATUS.IN_PROGRESS]: { roles: [ROLE.SYSTEM, ROLE.CUSTOMER], guards: [isPaid] },
+        [ORDER_STATUS.CANCELLED]: CUSTOMER_CANCELLATION,
+    },
+    [ORDER_STATUS.IN_PROGRESS]: {
+        [ORDER_STATUS.ITEM_PICKUP_FROM_CUSTOMER_SCHEDULED]: { roles: [ROLE.SYSTEM], guards: [isClothProvided], hooks: [schedulePickupFromCustomer] },
+        [ORDER_STATUS.WORK_STARTED]: { roles: [ROLE.SYSTEM], guards: [isNotClothProvided] },
+        [ORDER_STATUS.PENDING]: VENDOR_WITHDRAWAL,
+        [ORDER_STATUS.CANCELLED]: CUSTOMER_CANCELLATION,
+    },
+    [ORDER_STATUS.ITEM_PICKUP_FROM_CUSTOMER_SCHEDULED]: {
+        [ORDER_STATUS.ITEM_PICKED_UP_FROM_CUSTOMER]: { roles: [ROLE.SYSTEM] },
+        [ORDER_STATUS.PENDING]: VENDOR_WITHDRAWAL,
+        [ORDER_STATUS.CANCELLED]: CUSTOMER_CANCELLATION,
+    },
+    // Once the customer's items have been picked up the order can't be cancelled or withdrawn from:
+    // nothing would bring them back to the customer
+    [ORDER_STATUS.ITEM_PICKED_UP_FROM_CUSTOMER]: {
+        [ORDER_STATUS.ITEM_DELIVERED_TO_VENDOR]: { roles: [ROLE.SYSTEM] },
+    },
+    [ORDER_STATUS.ITEM_DELIVERED_TO_VENDOR]: {
+        [ORDER_STATUS.ITEM_RECEIVED]: { roles: [ROLE.VENDOR] },
+    },
+    [ORDER_STATUS.ITEM_RECEIVED]: {
+        [ORDER_STATUS.WORK_STARTED]: { roles: [ROLE.VENDOR] },
+    },
+    [ORDER_STATUS.WORK_STARTED]: {
+        [ORDER_STATUS.ITEM_READY_FOR_PICKUP]: { roles: [ROLE.VENDOR], hooks: [scheduleReturnDelivery] },
+        [ORDER_STATUS.PENDING]: { ...VENDOR_WITHDRAWAL, guards: [isNotClothProvided] },
+        [ORDER_STATUS.CANCELLED]: { ...CUSTOMER_CANCELLATION, guards: [isNotClothProvided] },
+    },
+    [ORDER_STATUS.ITEM_READY_FOR_PICKUP]: {
+        [ORDER_STATUS.ITEM_PICKED_UP_FROM_VENDOR]: { roles: [ROLE.SYSTEM], guards: [isFullyPaid] },
+    },
+    [ORDER_STATUS.ITEM_PICKED_UP_FROM_VENDOR]: {
+        [ORDER_STATUS.ITEM_DELIVERED_TO_CUSTOMER]: { roles: [ROLE.SYSTEM], hooks: [completeAfterDelivery] },
+    },
+    [ORDER_STATUS.ITEM_DELIVERED_TO_CUSTOMER]: {
+        [ORDER_STATUS.COMPLETED]: { roles: [ROLE.SYSTEM], hooks: [completeOrder] },
+    },
+    [ORDER_STATUS.COMPLETED]: {
+        [ORDER_STATUS.REFUNDED]: { roles: [ROLE.SYSTEM, ROLE.ADMIN] },
+    },
+    [ORDER_STATUS.CANCELLED]: {
+        [ORDER_STATUS.REFUNDED]: { roles: [ROLE.SYSTEM, ROLE.ADMIN] },
+    },
+    [ORDER_STATUS.REFUNDED]: {},
+};
+
+/**
+ * The value of `Orders.orderStatus` for every stage.
+ */
+export const ORDER_STATUS_FOR_STAGE = {
+    [ORDER_STATUS.PENDING]: ORDER_STATUS.PENDING,
+    [ORDER_STATUS.IN_PROGRESS]: ORDER_STATUS.IN_PROGRESS,
+    [ORDER_STATUS.ITEM_PICKUP_FROM_CUSTOMER_SCHEDULED]: ORDER_STATUS.IN_PROGRESS,
+    [ORDER_STATUS.ITEM_PICKED_UP_FROM_CUSTOMER]: ORDER_STATUS.IN_PROGRESS,
+    [ORDER_STATUS.ITEM_DELIVERED_TO_VENDOR]: ORDER_STATUS.IN_PROGRESS,
+    [ORDER_STATUS.ITEM_RECEIVED]: ORDER_STATUS.IN_PROGRESS,
+    [ORDER_STATUS.WORK_STARTED]: ORDER_STATUS.IN_PROGRESS,
+    [ORDER_STATUS.ITEM_READY_FOR_PICKUP]: ORDER_STATUS.IN_PROGRESS,
+    [ORDER_STATUS.ITEM_PICKED_UP_FROM_VENDOR]: ORDER_STATUS.IN_PROGRESS,
+    [ORDER_STATUS.ITEM_DELIVERED_TO_CUSTOMER]: ORDER_STATUS.IN_PROGRESS,
+    [ORDER_STATUS.COMPLETED]: ORDER_STATUS.COMPLETED,
+    [ORDER_STATUS.CANCELLED]: ORDER_STATUS.CANCELLED,
+    [ORDER_STATUS.REFUNDED]: ORDER_STATUS.REFUNDED,
+};
+
+const ORDER_STATUS_TIMESTAMP_KEYS = {
+    [ORDER_STATUS.PENDING]: "pendingAt",
+    [ORDER_STATUS.IN_PROGRESS]: "inProgressAt",
+    [ORDER_STATUS.COMPLETED]: "completedAt",
+    [ORDER_STATUS.CANCELLED]: "cancelledAt",
+    [ORDER_STATUS.REFUNDED]: "refundedAt",
+};
+
+//=================== ORDER VENDOR TRANSITIONS ====================
+
+export const ORDER_VENDOR_TRANSITIONS = {
+    [ORDER_VENDOR_STATUS.PENDING]: {
+        // SYSTEM accepts on the vendor's behalf for an instant booking at their catalog prices
+        [ORDER_VENDOR_STATUS.ACCEPTED]: { roles: [ROLE.VENDOR, ROLE.SYSTEM] },
+        [ORDER_VENDOR_STATUS.REJECTED]: { roles: [ROLE.VENDOR] },
+        [ORDER_VENDOR_STATUS.EXPIRED]: { roles: [ROLE.SYSTEM] },
+        [ORDER_VENDOR_STATUS.FROZEN]: { roles: [ROLE.SYSTEM] },
+        [ORDER_VENDOR_STATUS.CANCELLED]: { roles: [ROLE.CUSTOMER, ROLE.ADMIN] },
+    },
+    [ORDER_VENDOR_STATUS.ACCEPTED]: {
+        [ORDER_VENDOR_STATUS.FINALIZED]: { roles: [ROLE.SYSTEM] },
+        [ORDER_VENDOR_STATUS.FROZEN]: { roles: [ROLE.SYSTEM] },
+        [ORDER_VENDOR_STATUS.EXPIRED]: { roles: [ROLE.SYSTEM] },
+        [ORDER_VENDOR_STATUS.CANCELLED]: { roles: [ROLE.CUSTOMER, ROLE.ADMIN] },
+    },
+    [ORDER_VENDOR_STATUS.FROZEN]: {
+        // Customer moving to this quote after the assigned vendor withdrew
+        [ORDER_VENDOR_STATUS.FINALIZED]: { roles: [ROLE.CUSTOMER] },
+        [ORDER_VENDOR_STATUS.CANCELLED]: { roles: [ROLE.CUSTOMER, ROLE.ADMIN, ROLE.SYSTEM] },
+    },
+    [ORDER_VENDOR_STATUS.FINALIZED]: {
+        [ORDER_VENDOR_STATUS.COMPLETED]: { roles: [ROLE.SYSTEM] },
+        [ORDER_VENDOR_STATUS.CANCELLED]: { roles: [ROLE.CUSTOMER, ROLE.VENDOR, ROLE.ADMIN] },
+    },
+    [ORDER_VENDOR_STATUS.COMPLETED]: {
+        [ORDER_VENDOR_STATUS.REFUNDED]: { roles: [ROLE.SYSTEM, ROLE.ADMIN] },
+    },
+    [ORDER_VENDOR_STATUS.CANCELLED]: {
+        [ORDER_VENDOR_STATUS.REFUNDED]: { roles: [ROLE.SYSTEM, ROLE.ADMIN] },
+    },
+    [ORDER_VENDOR_STATUS.REJECTED]: {},
+    [ORDER_VENDOR_STATUS.EXPIRED]: {},
+    [ORDER_VENDOR_STATUS.REFUNDED]: {},
+};
+
+//=================== DELIVERY TRANSITIONS ====================
+
+/**
+ * The order stage reached when a delivery hits a milestone, per delivery direction.
+ */
+const DELIVERY_ORDER_STAGES = {
+    TO_VENDOR: {
+        [DELIVERY_STATUS.PICKUP_COMPLETE]: { stage: ORDER_STATUS.ITEM_PICKED_UP_FROM_CUSTOMER, notes: "Item picked up from customer" },
+        [DELIVERY_STATUS.DELIVERY_COMPLETE]: { stage: ORDER_STATUS.ITEM_DELIVERED_TO_VENDOR, notes: "Item delivered to vendor" },
+    },
+    TO_CUSTOMER: {
+        [DELIVERY_STATUS.PICKUP_COMPLETE]: { stage: ORDER_STATUS.ITEM_PICKED_UP_FROM_VENDOR, notes: "Item picked up from vendor" },
+        [DELIVERY_STATUS.DELIVERY_COMPLETE]: { stage: ORDER_STATUS.ITEM_DELIVERED_TO_CUSTOMER, notes: "Item delivered to customer" },
+    },
+};
+
+const advanceOrderStage = async ({ queryRunner, deliveryTracking, to }) => {
+    const { stage, notes } = DELIVERY_ORDER_STAGES[deliveryTracking.deliveryType][to];
+    await transitionOrder(queryRunner, { orderId: deliveryTracking.orderId, to: stage, actorId: MISC.LOGISTICS, actorRole: ROLE.SYSTEM, notes });
+};
+
+const LOGISTICS = [ROLE.SYSTEM];
+const CANCELLABLE_DELIVERY = { roles: [ROLE.SYSTEM, ROLE.ADMIN] };
+const FAILED_DELIVERY = { roles: LOGISTICS };
+
+export const DELIVERY_TRANSITIONS = {
+    [DELIVERY_STATUS.PENDING]: {
+        [DELIVERY_STATUS.PICKUP_ASSIGNED]: { roles: LOGISTICS },
+        [DELIVERY_STATUS.CANCELLED]: CANCELLABLE_DELIVERY,
+    },
+    [DELIVERY_STATUS.PICKUP_ASSIGNED]: {
+        [DELIVERY_STATUS.PICKUP_IN_TRANSIT]: { roles: LOGISTICS },
+        [DELIVERY_STATUS.PICKUP_COMPLETE]: { roles: LOGISTICS, hooks: [advanceOrderStage] },
+        [DELIVERY_STATUS.DELIVERY_FAILED]: FAILED_DELIVERY,
+        [DELIVERY_STATUS.CANCELLED]: CANCELLABLE_DELIVERY,
+    },
+    [DELIVERY_STATUS.PICKUP_IN_TRANSIT]: {
+        [DELIVERY_STATUS.PICKUP_COMPLETE]: { roles: LOGISTICS, hooks: [advanceOrderStage] },
+        [DELIVERY_STATUS.DELIVERY_FAILED]: FAILED_DELIVERY,
+        [DELIVERY_STATUS.CANCELLED]: CANCELLABLE_DELIVERY,
+    },
+    [DELIVERY_STATUS.PICKUP_COMPLETE]: {
+        [DELIVERY_STATUS.DELIVERY_IN_TRANSIT]: { roles: LOGISTICS },
+        [DELIVERY_STATUS.DELIVERY_COMPLETE]: { roles: LOGISTICS, hooks: [advanceOrderStage] },
+        [DELIVERY_STATUS.DELIVERY_FAILED]: FAILED_DELIVERY,
+    },
+    [DELIVERY_STATUS.DELIVERY_IN_TRANSIT]: {
+        [DELIVERY_STATUS.DELIVERY_COMPLETE]: { roles: LOGISTICS, hooks: [advanceOrderStage] },
+        [DELIVERY_STATUS.DELIVERY_FAILED]: FAILED_DELIVERY,
+    },
+    [DELIVERY_STATUS.DELIVERY_COMPLETE]: {},
+    [DELIVERY_STATUS.DELIVERY_FAILED]: {},
+    [DELIVERY_STATUS.CANCELLED]: {},
+};
+
+/**
+ * The `statusUpdateTimeStamp` key stamped when a delivery enters each status.
+ */
+export const DELIVERY_STATUS_TIMESTAMP_KEYS = {
+    [DELIVERY_STATUS.PICKUP_ASSIGNED]: "pickup_assigned_at",
+    [DELIVERY_STATUS.PICKUP_IN_TRANSIT]: "pickup_in_transit_at",
+    [DELIVERY_STATUS.PICKUP_COMPLETE]: "pickup_completed_at",
+    [DELIVERY_STATUS.DELIVERY_IN_TRANSIT]: "delivery_in_transit_at",
+    [DELIVERY_STATUS.DELIVERY_COMPLETE]: "delivery_completed_at",
+    [DELIVERY_STATUS.DELIVERY_FAILED]: "delivery_failed_at",
+    [DELIVERY_STATUS.CANCELLED]: "delivery_cancelled_at",
+};
+
+//=================== ENGINE ====================
+
+/**
+ * Looks up the edge `from -> to` and checks the actor role and guards.
+ * @returns {Promise<Object>} The edge definition.
+ */
+const resolveEdge = async (table, label, from, to, actorRole, ctx) => {
+    if (from === to) throw sendError(`${label} is already ${to}`, 409);
+
+    const edge = table[from]?.[to];
+    if (!edge) throw sendError(`Invalid ${label.toLowerCase()} status transition from ${from} to ${to}`, 400);
+    if (!edge.roles.includes(actorRole)) throw sendError(`A ${actorRole} cannot move ${label.toLowerCase()} from ${from} to ${to}`, 403);
+
+    for (const guard of edge.guards || []) {
+        if (!(await guard.check(ctx))) throw sendError(guard.message, 400);
+    }
+    return edge;
+};
+
+const runHooks = async (edge, ctx) => {
+    for (const hook of edge.hooks || []) {
+        await hook(ctx);
+    }
+};
+
+/**
+ * Returns the statuses that `actorRole` may move to `to` from.
+ */
+const allowedFromStatuses = (table, to, actorRole) => {
+    return Object.keys(table).filter(from => table[from][to]?.roles.includes(actorRole));
+};
+
+/**
+ * Moves an order to a new stage. The order row is locked, the edge is validated against
+ * `ORDER_TRANSITIONS`, `orderStage`/`orderStatus`/`orderStatusTimestamp` are updated, a timeline
+ * entry is written and the edge's hooks are run.
+ * MUST BE CALLED WITHIN AN ACTIVE DATABASE TRANSACTION.
+ *
+ * @param {import('typeorm').QueryRunner} queryRunner - The active TypeORM query runner.
+ * @param {Object} params
+ * @param {string} params.orderId - The UUID of the order.
+ * @param {string} params.to - The target stage (ORDER_STATUS).
+ * @param {string} params.actorId - The UUID (or MISC identifier) of whoever makes the change.
+ * @param {string} params.actorRole - The role (ROLE) of whoever makes the change.
+ * @param {string|null} [params.notes=null] - Notes for the timeline entry.
+ * @returns {Promise<Object>} The updated order.
+ * @throws 400 for an unknown edge or a failed guard, 403 for a role that may not take the edge, 409 if the order is already in that stage.
+ */
+export const transitionOrder = async (queryRunner, { orderId, to, actorId, actorRole, notes = null }) => {
+    const order = await queryRunner.manager.findOne(Orders, {
+        where: { id: orderId },
+        lock: { mode: "pessimistic_write" }
+    });
+    if (!order) throw sendError("Order not found", 404);
+
+    const from = order.orderStage;
+    const ctx = { queryRunner, order, from, to, actorId, actorRole };
+    const edge = await resolveEdge(ORDER_TRANSITIONS, "Order", from, to, actorRole, ctx);
+
+    const updates = { orderStage: to };
+    const orderStatus = ORDER_STATUS_FOR_STAGE[to];
+    if (orderStatus !== order.orderStatus) {
+        updates.orderStatus = orderStatus;
+        updates.orderStatusTimestamp = { ...(order.orderStatusTimestamp || {}), [ORDER_STATUS_TIMESTAMP_KEYS[orderStatus]]: new Date().toString() };
+    }
+    await queryRunner.manager.update(Orders, { id: orderId }, updates);
+    Object.assign(order, updates);
+
+    await createTimelineEntry(queryRunner, orderId, from, to, actorId, actorRole, notes);
+    await runHooks(edge, ctx);
+
+    return order;
+};
+
+/**
+ * Moves a single order-vendor request to a new status, rejecting edges not in `ORDER_VENDOR_TRANSITIONS`.
+ * MUST BE CALLED WITHIN AN ACTIVE DATABASE TRANSACTION.
+ *
+ * @param {import('typeorm').QueryRunner} queryRunner - The active TypeORM query runner.
+ * @param {Object} params
+ * @param {Object} params.where - Criteria identifying exactly one OrderVendors row (e.g. `{ id }` or `{ orderId, vendorId }`).
+ * @param {string} params.to - The target status (ORDER_VENDOR_STATUS).
+ * @param {string} params.actorRole - The role (ROLE) of whoever makes the change.
+ * @param {Object} [params.changes={}] - Extra columns to update alongside the status (e.g. `notes`).
+ * @returns {Promise<Object>} The updated order-vendor row.
+ */
+export const transitionOrderVendor = async (queryRunner, { where, to, actorRole, changes = {} }) => {
+    const orderVendor = await queryRunner.manager.findOne(OrderVendors, { where, lock: { mode: "pessimistic_write" } });
+    if (!orderVendor) throw sendError("Order vendor not found", 404);
+
+    const ctx = { queryRunner, orderVendor, from: orderVendor.status, to, actorRole };
+    const edge = await resolveEdge(ORDER_VENDOR_TRANSITIONS, "Order request", orderVendor.status, to, actorRole, ctx);
+
+    await queryRunner.manager.update(OrderVendors, { id: orderVendor.id }, { ...changes, status: to });
+    Object.assign(orderVendor, changes, { status: to });
+
+    await runHooks(edge, ctx);
+    return orderVendor;
+};
+
+/**
+ * Bulk variant of `transitionOrderVendor`: moves every matching row whose current status has an edge
+ * to `to` for this role, and leaves the rest untouched (e.g. freezing the other quotes after payment
+ * must not revive REJECTED or EXPIRED requests).
+ * MUST BE CALLED WITHIN AN ACTIVE DATABASE TRANSACTION.
+ *
+ * @param {import('typeorm').QueryRunner} queryRunner - The active TypeORM query runner.
+ * @param {Object} params
+ * @param {Object} params.where - Criteria for the OrderVendors rows; must not include `status`.
+ * @param {string} params.to - The target status (ORDER_VENDOR_STATUS).
+ * @param {string} params.actorRole - The role (ROLE) of whoever makes the change.
+ * @returns {Promise<string[]>} The ids of the rows that were moved.
+ */
+export const transitionOrderVendors = async (queryRunner, { where, to, actorRole }) => {
+    const fromStatuses = allowedFromStatuses(ORDER_VENDOR_TRANSITIONS, to, actorRole);
+    if (fromStatuses.length === 0) return [];
+
+    const orderVendors = await queryRunner.manager.find(OrderVendors, { where: { ...where, status: In(fromStatuses) }, select: { id: true } });
+    if (orderVendors.length === 0) return [];
+
+    const ids = orderVendors.map(ov => ov.id);
+    await queryRunner.manager.update(OrderVendors, { id: In(ids) }, { status: to });
+    return ids;
+};
+
+/**
+ * Moves a delivery to a new status, stamping `statusUpdateTimeStamp` and running the edge's hooks
+ * (which advance the order stage on pickup/delivery completion).
+ * MUST BE CALLED WITHIN AN ACTIVE DATABASE TRANSACTION.
+ *
+ * @param {import('typeorm').QueryRunner} queryRunner - The active TypeORM query runner.
+ * @param {Object} params
+ * @param {Object} [params.deliveryTracking] - An already loaded DeliveryTracking row.
+ * @param {string} [params.deliveryTrackingId] - Or the id of the row to load.
+ * @param {string} params.to - The target status (DELIVERY_STATUS).
+ * @param {string} params.actorRole - The role (ROLE) of whoever makes the change.
+ * @returns {Promise<Object>} The updated delivery tracking row.
+ */
+export const transitionDelivery = async (queryRunner, { deliveryTracking, deliveryTrackingId, to, actorRole }) => {
+    if (!deliveryTracking) {
+        deliveryTracking = await queryRunner.manager.findOne(DeliveryTracking, { where: { id: deliveryTrackingId }, lock: { mode: "pessimistic_write" } });
+        if (!deliveryTracking) throw sendError("Delivery tracking not found", 404);
+    }
+
+    const from = deliveryTracking.status;
+    const ctx = { queryRunner, deliveryTracking, from, to, actorRole };
+    const edge = await resolveEdge(DELIVERY_TRANSITIONS, "Delivery", from, to, actorRole, ctx);
+
+    const statusUpdateTimeStamp = { ...(deliveryTracking.statusUpdateTimeStamp || {}), [DELIVERY_STATUS_TIMESTAMP_KEYS[to]]: new Date().toString() };
+    await queryRunner.manager.update(DeliveryTracking, { id: deliveryTracking.id }, { status: to, statusUpdateTimeStamp });
+    Object.assign(deliveryTracking, { status: to, statusUpdateTimeStamp });
+
+    await runHooks(edge, ctx);
+    return deliveryTracking;
+};
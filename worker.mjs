@@ -37,6 +37,9 @@ import { initResetMonthlyLeadershipBoardWorker } from "./queues/cron/leadership/
 import { initExpireAcceptedQuotesWorker } from "./queues/cron/expiringJobs/acceptedQuotes/expireAcceptedQuotesWorker.mjs";
 import { initExpirePendingVendorsWorker } from "./queues/cron/expiringJobs/pendingVendors/expirePendingVendorsWorker.mjs";
 import { initNotificationHistoryWorker } from "./queues/notification/notificationHistory/notificationHistoryWorker.mjs";
+import { initPayoutCycleWorker } from "./queues/cron/payouts/payoutCycleWorker.mjs";
+import { initReconciliationWorker } from "./queues/cron/reconciliation/reconciliationWorker.mjs";
+import { initExpireWalletCreditsWorker } from "./queues/cron/expiringJobs/walletCredits/expireWalletCreditsWorker.mjs";
 
 let chatWorker;
 let pushWorker;
@@ -48,6 +51,9 @@ let resetMonthlyLeadershipBoardWorker;
 let expireAcceptedQuotesWorker;
 let expirePendingVendorsWorker;
 let notificationHistoryWorker;
+let payoutCycleWorker;
+let reconciliationWorker;
+let expireWalletCreditsWorker;
 let isShuttingDown = false;
 
 async function startWorker() {
@@ -75,6 +81,12 @@ async function startWorker() {
         console.log("Expire pending vendors worker started")
         notificationHistoryWorker = initNotificationHistoryWorker();
         console.log("Notification history worker started")
+        payoutCycleWorker = initPayoutCycleWorker();
+        console.log("Payout cycle worker started")
+        reconciliationWorker = initReconciliationWorker();
+        console.log("Reconciliation worker started")
+        expireWalletCreditsWorker = initExpireWalletCreditsWorker();
+        console.log("Expire wallet credits worker started")
         setupGracefulShutdown();
 
         setInterval(() => {
@@ -108,6 +120,9 @@ function setupGracefulShutdown() {
                 expireAcceptedQuotesWorker.close(),
                 expirePendingVendorsWorker.close(),
                 notificationHistoryWorker.close(),
+                payoutCycleWorker.close(),
+                reconciliationWorker.close(),
+                expireWalletCreditsWorker.close(),
                 new Promise((_, reject) => 
                     setTimeout(() => reject(new Error('Worker close timeout')), 5000)
                 )